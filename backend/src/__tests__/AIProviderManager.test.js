@@ -0,0 +1,459 @@
+import { jest } from '@jest/globals';
+import { AIProviderManager } from '../ai/AIProviderManager.js';
+import { BaseAIProvider } from '../ai/providers/BaseAIProvider.js';
+import { MockProvider } from '../ai/providers/MockProvider.js';
+import metrics from '../metrics/index.js';
+import tracer from '../tracing/index.js';
+
+/**
+ * Provedor falso: entradas "provedor:modelo" em `down` falham com service_unavailable
+ * e "provedor:health" faz a inicialização e o healthCheck falharem
+ */
+const down = new Set();
+
+class FakeProvider extends BaseAIProvider {
+  constructor(config) {
+    super(config);
+    this.providerName = config.name;
+    this.calls = [];
+  }
+
+  async initialize() {
+    await this.healthCheck();
+    this.isConnected = true;
+  }
+
+  async healthCheck() {
+    if (down.has(`${this.providerName}:health`)) {
+      const error = new Error(`${this.providerName} fora do ar`);
+      error.type = 'service_unavailable';
+      throw error;
+    }
+    return { status: 'ok' };
+  }
+
+  async sendMessage(message, options = {}) {
+    const model = options.model || this.config.model;
+    this.calls.push(model);
+
+    if (down.has(`${this.providerName}:${model}`)) {
+      const error = new Error(`${model} indisponível`);
+      error.type = 'service_unavailable';
+      throw error;
+    }
+
+    return { message: `Resposta de ${this.providerName}:${model}`, usage: { totalTokens: 1 }, metadata: {} };
+  }
+}
+
+const createChainManager = (fallbackChain, circuitBreaker = {}) => {
+  const manager = new AIProviderManager({ provider: 'primario', fallbackChain, circuitBreaker });
+  manager.registerProviders = () => {
+    ['primario', 'reserva'].forEach(name => {
+      manager.availableProviders.set(name, { class: FakeProvider, config: { name, model: `${name}-padrao` } });
+    });
+  };
+  return manager;
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('AIProviderManager', () => {
+  let consoleSpies;
+
+  beforeEach(() => {
+    consoleSpies = ['info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+  });
+
+  afterEach(() => {
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  describe('Streaming', () => {
+    test('deve transmitir resposta roteirizada do mock em trechos', async () => {
+      const manager = new AIProviderManager({
+        provider: 'mock',
+        mockReplies: ['Olá! Como posso ajudar você hoje?']
+      });
+      await manager.initialize();
+
+      const deltas = [];
+      const response = await manager.sendMessage('Oi', {
+        sessionId: 'session_test',
+        onDelta: (delta) => deltas.push(delta)
+      });
+
+      expect(deltas.length).toBeGreaterThan(1);
+      expect(deltas.join('')).toBe('Olá! Como posso ajudar você hoje?');
+      expect(response.message).toBe('Olá! Como posso ajudar você hoje?');
+      expect(response.usage.totalTokens).toBeGreaterThan(0);
+      expect(response.metadata.streamed).toBe(true);
+    });
+
+    test('deve responder sem streaming quando onDelta não é informado', async () => {
+      const manager = new AIProviderManager({
+        provider: 'mock',
+        mockReplies: ['Primeira', 'Segunda']
+      });
+      await manager.initialize();
+
+      const first = await manager.sendMessage('Oi');
+      const second = await manager.sendMessage('Oi de novo');
+      const third = await manager.sendMessage('Mais uma');
+
+      expect(first.message).toBe('Primeira');
+      expect(second.message).toBe('Segunda');
+      expect(third.message).toBe('Segunda');
+      expect(first.metadata.streamed).toBe(false);
+    });
+
+    test('deve emular streaming para provedores sem suporte', async () => {
+      const manager = new AIProviderManager({ provider: 'mock' });
+      await manager.initialize();
+
+      const provider = new MockProvider({ replies: ['Resposta completa'] });
+      provider.supportsStreaming = false;
+      const sendSpy = jest.spyOn(provider, 'sendMessage');
+
+      const deltas = [];
+      const response = await manager.sendWithProvider(provider, 'Oi', {
+        onDelta: (delta) => deltas.push(delta)
+      });
+
+      expect(deltas).toEqual(['Resposta completa']);
+      expect(response.message).toBe('Resposta completa');
+      expect(sendSpy.mock.calls[0][1].onDelta).toBeUndefined();
+    });
+
+    test('não deve tentar fallback depois que trechos já foram enviados', async () => {
+      const manager = new AIProviderManager({ provider: 'mock' });
+      await manager.initialize();
+
+      const error = new Error('Timeout na requisição');
+      error.type = 'timeout';
+      manager.currentProvider.sendMessage = async (message, options) => {
+        options.onDelta('Parcial');
+        throw error;
+      };
+      const fallbackSpy = jest.spyOn(manager, 'tryFallback');
+
+      await expect(
+        manager.sendMessage('Oi', { onDelta: () => {} })
+      ).rejects.toBe(error);
+      expect(fallbackSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Cancelamento', () => {
+    test('deve interromper streaming do mock quando o sinal é abortado', async () => {
+      const manager = new AIProviderManager({
+        provider: 'mock',
+        mockReplies: ['uma resposta bem longa que será interrompida no meio']
+      });
+      await manager.initialize();
+
+      const controller = new AbortController();
+      const deltas = [];
+
+      await expect(
+        manager.sendMessage('Oi', {
+          signal: controller.signal,
+          onDelta: (delta) => {
+            deltas.push(delta);
+            if (deltas.length === 2) controller.abort();
+          }
+        })
+      ).rejects.toMatchObject({ type: 'cancelled', code: 'cancelled' });
+
+      expect(deltas).toHaveLength(2);
+    });
+
+    test('deve rejeitar imediatamente quando o sinal já foi abortado', async () => {
+      const manager = new AIProviderManager({ provider: 'mock', mockReplies: ['Oi'] });
+      await manager.initialize();
+
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(
+        manager.sendMessage('Oi', { signal: controller.signal })
+      ).rejects.toMatchObject({ type: 'cancelled' });
+    });
+
+    test('não deve tentar fallback para erros de cancelamento', async () => {
+      const manager = new AIProviderManager({ provider: 'mock' });
+      await manager.initialize();
+
+      manager.currentProvider.sendMessage = async () => {
+        throw manager.currentProvider.createCancelledError();
+      };
+      manager.shouldTryFallback = jest.fn(() => true);
+      const fallbackSpy = jest.spyOn(manager, 'tryFallback');
+
+      await expect(manager.sendMessage('Oi')).rejects.toMatchObject({ type: 'cancelled' });
+      expect(fallbackSpy).not.toHaveBeenCalled();
+    });
+
+    test('deve mapear erros de abort do SDK para cancelamento', () => {
+      const provider = new BaseAIProvider();
+      const sdkError = new Error('Request was aborted.');
+      sdkError.name = 'APIUserAbortError';
+
+      const error = provider.handleProviderError(sdkError, 'Envio de mensagem');
+
+      expect(error.type).toBe('cancelled');
+      expect(error.code).toBe('cancelled');
+    });
+  });
+
+  describe('consumeCompletionStream', () => {
+    test('deve montar completion a partir de chunks no formato OpenAI', async () => {
+      const provider = new BaseAIProvider();
+      const chunks = [
+        { model: 'gpt-test', choices: [{ delta: { role: 'assistant' } }] },
+        { model: 'gpt-test', choices: [{ delta: { content: 'Olá' } }] },
+        { model: 'gpt-test', choices: [{ delta: { content: ', mundo' }, finish_reason: 'stop' }] },
+        { model: 'gpt-test', choices: [], usage: { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 } }
+      ];
+
+      async function* stream() {
+        yield* chunks;
+      }
+
+      const deltas = [];
+      const completion = await provider.consumeCompletionStream(stream(), (delta) => deltas.push(delta));
+
+      expect(deltas).toEqual(['Olá', ', mundo']);
+      expect(completion.model).toBe('gpt-test');
+      expect(completion.choices[0].message.content).toBe('Olá, mundo');
+      expect(completion.choices[0].finish_reason).toBe('stop');
+      expect(completion.usage.total_tokens).toBe(8);
+    });
+
+    test('deve montar tool_calls fragmentados entre chunks', async () => {
+      const provider = new BaseAIProvider();
+      async function* stream() {
+        yield { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'agenda__listar', arguments: '{"da' } }] } }] };
+        yield { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'ta":"hoje"}' } }] }, finish_reason: 'tool_calls' }] };
+      }
+
+      const completion = await provider.consumeCompletionStream(stream(), () => {});
+      const toolCalls = provider.normalizeToolCalls(completion.choices[0].message.tool_calls);
+
+      expect(toolCalls).toEqual([{ id: 'call_1', name: 'agenda__listar', arguments: '{"data":"hoje"}' }]);
+    });
+  });
+
+  describe('Cadeia de fallback', () => {
+    beforeEach(() => {
+      down.clear();
+    });
+
+    test('deve montar a cadeia a partir de entradas provedor:modelo', () => {
+      const manager = new AIProviderManager({ provider: 'mock' });
+      manager.registerProviders();
+
+      expect(manager.buildFallbackChain('openrouter:z-ai/glm-4.5-air:free, openai,desconhecido:x')).toEqual([
+        { provider: 'openrouter', model: 'z-ai/glm-4.5-air:free' },
+        { provider: 'openai', model: undefined }
+      ]);
+    });
+
+    test('deve seguir a cadeia em ordem sem trocar o provedor ativo', async () => {
+      const manager = createChainManager(['primario:gratis', 'primario:pago', 'reserva']);
+      await manager.initialize();
+      down.add('primario:gratis');
+      down.add('primario:pago');
+
+      const response = await manager.sendMessage('Oi', { model: 'gratis' });
+
+      expect(response.message).toBe('Resposta de reserva:reserva-padrao');
+      expect(response.metadata).toMatchObject({ fallbackFrom: 'primario:gratis', servedBy: 'reserva:reserva-padrao' });
+      expect(manager.currentProvider.providerName).toBe('primario');
+      expect(manager.currentProvider.calls).toEqual(['gratis', 'pago']);
+    });
+
+    test('deve abrir o disjuntor após falhas seguidas e pular a entrada', async () => {
+      const manager = createChainManager(['primario', 'reserva'], { failureThreshold: 2 });
+      await manager.initialize();
+      down.add('primario:primario-padrao');
+
+      await manager.sendMessage('Um');
+      await manager.sendMessage('Dois');
+      const response = await manager.sendMessage('Três');
+
+      expect(response.message).toBe('Resposta de reserva:reserva-padrao');
+      expect(manager.currentProvider.calls).toHaveLength(2);
+
+      const health = manager.getHealthStatus();
+      expect(health.status).toBe('warning');
+      expect(health.circuitBreakers).toEqual([
+        expect.objectContaining({ name: 'primario:primario-padrao', state: 'open', failures: 2 }),
+        expect.objectContaining({ name: 'reserva:reserva-padrao', state: 'closed' })
+      ]);
+    });
+
+    test('deve sondar o provedor via healthCheck antes de fechar o disjuntor', async () => {
+      const manager = createChainManager(['primario', 'reserva'], { failureThreshold: 1, resetTimeout: 20 });
+      await manager.initialize();
+      down.add('primario:primario-padrao');
+      down.add('primario:health');
+      await manager.sendMessage('Um');
+
+      // Sonda falha: continua aberto sem chamar sendMessage do provedor
+      await sleep(30);
+      await manager.sendMessage('Dois');
+      const breaker = manager.getCircuitBreaker({ provider: 'primario' });
+      expect(breaker.state).toBe('open');
+      expect(manager.currentProvider.calls).toHaveLength(1);
+
+      // Provedor recuperado: a sonda fecha o disjuntor e a requisição passa
+      down.clear();
+      await sleep(30);
+      const response = await manager.sendMessage('Três');
+
+      expect(response.message).toBe('Resposta de primario:primario-padrao');
+      expect(breaker.state).toBe('closed');
+    });
+
+    test('deve falhar sem recorrer ao mock quando toda a cadeia está fora', async () => {
+      const manager = createChainManager(['primario', 'reserva']);
+      await manager.initialize();
+      down.add('primario:primario-padrao');
+      down.add('reserva:reserva-padrao');
+
+      await expect(manager.sendMessage('Oi')).rejects.toMatchObject({
+        type: 'service_unavailable',
+        code: 'all_providers_failed'
+      });
+    });
+
+    test('deve manter o provedor principal com disjuntor aberto quando a inicialização falha', async () => {
+      down.add('primario:health');
+      const manager = createChainManager(['primario', 'reserva']);
+      await manager.initialize();
+
+      expect(manager.currentProvider.providerName).toBe('primario');
+      expect(manager.getCircuitBreaker({ provider: 'primario' }).state).toBe('open');
+
+      const response = await manager.sendMessage('Oi');
+      expect(response.message).toBe('Resposta de reserva:reserva-padrao');
+    });
+  });
+
+  describe('Janela de contexto', () => {
+    beforeEach(() => {
+      down.clear();
+    });
+
+    test('deve recortar o histórico conforme a janela do modelo de cada entrada', async () => {
+      const manager = createChainManager(['primario', 'reserva']);
+      await manager.initialize();
+      manager.contextBuilder.contextWindows.set('primario:primario-padrao', 300);
+      manager.contextBuilder.contextWindows.set('reserva:reserva-padrao', 100000);
+      down.add('primario:primario-padrao');
+
+      const history = Array.from({ length: 12 }, (_, index) => ({
+        role: index % 2 === 0 ? 'user' : 'assistant',
+        content: `Mensagem ${index} `.repeat(10)
+      }));
+      const primarySpy = jest.spyOn(manager.currentProvider, 'sendMessage');
+
+      const response = await manager.sendMessage('Oi', { history, systemPrompt: 'Seja breve.' });
+      const reserva = await manager.loadProvider('reserva');
+      const reservaSpy = jest.spyOn(reserva, 'sendMessage');
+      await manager.sendMessage('Oi de novo', { provider: 'reserva', history, systemPrompt: 'Seja breve.' });
+
+      const primaryHistory = primarySpy.mock.calls[0][1].history;
+      expect(response.message).toBe('Resposta de reserva:reserva-padrao');
+      expect(primaryHistory.length).toBeLessThan(history.length);
+      expect(primaryHistory[0].role).toBe('user');
+      expect(primaryHistory).toEqual(history.slice(history.length - primaryHistory.length));
+      expect(reservaSpy.mock.calls[0][1].history).toEqual(history);
+    });
+
+    test('deve recusar sem fallback a mensagem maior que a janela', async () => {
+      const manager = createChainManager(['primario', 'reserva']);
+      await manager.initialize();
+      manager.contextBuilder.config.contextWindow = 3000;
+
+      await expect(manager.sendMessage('x'.repeat(9000))).rejects.toMatchObject({
+        type: 'invalid_request',
+        code: 'context_length_exceeded'
+      });
+      expect(manager.currentProvider.calls).toHaveLength(0);
+    });
+  });
+
+  describe('Métricas', () => {
+    beforeEach(() => {
+      down.clear();
+    });
+
+    test('deve registrar latência, tokens, custo e fallback por provedor e modelo', async () => {
+      const manager = createChainManager(['primario:metricas', 'reserva:metricas-reserva']);
+      await manager.initialize();
+      manager.config.costPer1kTokens = 0.5;
+      down.add('primario:metricas');
+
+      const reserva = await manager.loadProvider('reserva');
+      jest.spyOn(reserva, 'sendMessage').mockResolvedValue({
+        message: 'Olá',
+        usage: { promptTokens: 1200, completionTokens: 800, totalTokens: 2000 },
+        metadata: {}
+      });
+
+      await manager.sendMessage('Oi', { model: 'metricas' });
+
+      const served = { provider: 'reserva', model: 'metricas-reserva' };
+      expect(metrics.get('chatbot_ai_request_duration_seconds').get({ ...served, status: 'success' }).count).toBe(1);
+      expect(metrics.get('chatbot_ai_requests_total').get({ provider: 'primario', model: 'metricas', status: 'error' })).toBe(1);
+      expect(metrics.get('chatbot_ai_tokens_total').get({ ...served, type: 'prompt' })).toBe(1200);
+      expect(metrics.get('chatbot_ai_tokens_total').get({ ...served, type: 'completion' })).toBe(800);
+      expect(metrics.get('chatbot_ai_cost_usd_total').get(served)).toBeCloseTo(1);
+      expect(metrics.get('chatbot_ai_fallbacks_total').get({
+        from: 'primario:metricas',
+        to: 'reserva:metricas-reserva',
+        result: 'success'
+      })).toBe(1);
+
+      expect(metrics.render()).toContain(
+        'chatbot_ai_request_duration_seconds_count{provider="reserva",model="metricas-reserva",status="success"} 1'
+      );
+    });
+
+    test('deve registrar cada tentativa e o fallback como trechos do trace da mensagem', async () => {
+      const exported = [];
+      tracer.configure({ exporters: [{ exporterName: 'memory', export: spans => exported.push(...spans), close: async () => {} }] });
+      const manager = createChainManager(['primario', 'reserva']);
+      await manager.initialize();
+      down.add('primario:primario-padrao');
+
+      const root = tracer.startSpan('chat.frame', { kind: 'server' });
+      try {
+        await manager.sendMessage('Oi', { span: root });
+        root.end();
+        await tracer.flush();
+      } finally {
+        tracer.configure();
+      }
+
+      const byName = name => exported.filter(span => span.name === name);
+      const [send] = byName('ai.send');
+      const [fallback] = byName('ai.fallback');
+      const attempts = byName('ai.attempt');
+
+      expect(exported.every(span => span.traceId === root.traceId)).toBe(true);
+      expect(send.parentSpanId).toBe(root.spanId);
+      expect(send.attributes).toMatchObject({ 'ai.served_by': 'reserva:reserva-padrao', 'ai.fallback_from': 'primario:primario-padrao' });
+      expect(fallback).toMatchObject({ parentSpanId: send.spanId, status: { code: 'ok' } });
+      expect(attempts.map(span => [span.attributes['ai.provider'], span.parentSpanId, span.status.code])).toEqual([
+        ['primario', send.spanId, 'error'],
+        ['reserva', fallback.spanId, 'ok']
+      ]);
+      expect(byName('ai.context').map(span => span.parentSpanId)).toEqual(attempts.map(span => span.spanId));
+    });
+  });
+});
@@ -0,0 +1,284 @@
+import { jest } from '@jest/globals';
+import { createServer as createHttpServer } from 'http';
+import { createServer as createTcpServer } from 'net';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { AlertManager } from '../alerts/AlertManager.js';
+import { createAlertChannel } from '../alerts/channels/index.js';
+
+/**
+ * Canal falso que guarda as notificações recebidas
+ */
+const createChannel = (name, send = () => Promise.resolve()) => ({
+  channelName: name,
+  received: [],
+  send: jest.fn(function (notification) {
+    this.received.push(notification);
+    return send(notification);
+  }),
+  close: jest.fn(() => Promise.resolve()),
+  getChannelInfo() {
+    return { name };
+  }
+});
+
+const MINUTE = 60 * 1000;
+
+describe('AlertManager', () => {
+  let consoleSpies;
+  let manager;
+
+  beforeEach(() => {
+    consoleSpies = ['info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+  });
+
+  afterEach(async () => {
+    await manager?.close();
+    manager = null;
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  test('deve entregar aos canais da severidade e deduplicar o alerta ativo com espera crescente', async () => {
+    const slack = createChannel('slack');
+    const email = createChannel('email');
+    manager = new AlertManager({
+      channels: [slack, email],
+      routes: { critical: ['slack', 'email'], warning: ['slack'] },
+      dedupWindow: 5 * MINUTE,
+      maxRepeatInterval: 15 * MINUTE
+    });
+
+    const start = Date.now();
+    manager.trigger({ type: 'SLOW_RESPONSE', severity: 'warning', data: { responseTime: 6000 } }, start);
+    manager.trigger({ type: 'HIGH_ERROR_RATE', severity: 'critical', key: 'HIGH_ERROR_RATE:HTTP_500', data: { count: 11 } }, start);
+
+    // Dentro da janela: só conta a ocorrência
+    manager.trigger({ type: 'HIGH_ERROR_RATE', severity: 'critical', key: 'HIGH_ERROR_RATE:HTTP_500', data: { count: 12 } }, start + MINUTE);
+    // Repetições: depois de 5 min, depois de mais 10 min e, no máximo, a cada 15 min
+    [6, 10, 17, 32, 40].forEach(minutes => {
+      manager.trigger({ type: 'HIGH_ERROR_RATE', severity: 'critical', key: 'HIGH_ERROR_RATE:HTTP_500', data: { count: 12 + minutes } }, start + minutes * MINUTE);
+    });
+    await Promise.all(manager.deliveries);
+
+    expect(slack.received.map(n => n.type)).toEqual(['SLOW_RESPONSE', 'HIGH_ERROR_RATE', 'HIGH_ERROR_RATE', 'HIGH_ERROR_RATE', 'HIGH_ERROR_RATE']);
+    expect(email.received.map(n => [n.repeat, n.occurrences])).toEqual([[0, 1], [1, 3], [2, 5], [3, 6]]);
+    expect(email.received[3]).toMatchObject({ status: 'firing', key: 'HIGH_ERROR_RATE:HTTP_500', data: { count: 44 } });
+
+    const alerts = manager.getAlerts();
+    expect(alerts.suppressed).toBe(3);
+    expect(alerts.active).toHaveLength(2);
+    expect(alerts.channels).toEqual([
+      expect.objectContaining({ name: 'slack', severities: ['critical', 'warning'], sent: 5 }),
+      expect.objectContaining({ name: 'email', severities: ['critical'], sent: 4 })
+    ]);
+  });
+
+  test('deve avisar a resolução, manual ou por falta de novas ocorrências', async () => {
+    const file = createChannel('file');
+    manager = new AlertManager({ channels: [file], routes: { warning: ['file'], critical: ['file'] }, resolveAfter: 10 * MINUTE });
+
+    const start = Date.now();
+    manager.trigger({ type: 'MEMORY_USAGE_HIGH', severity: 'warning', data: { memoryUsage: 600 } }, start);
+    manager.trigger({ type: 'SLOW_RESPONSE', severity: 'warning', data: {} }, start);
+    manager.trigger({ type: 'MCP_CONNECTION_FAILED', severity: 'critical', key: 'MCP_CONNECTION_FAILED:crm', autoResolve: false }, start);
+
+    expect(manager.resolve('MEMORY_USAGE_HIGH', { memoryUsage: 300 }, start + MINUTE)).toBe(true);
+    expect(manager.resolve('MEMORY_USAGE_HIGH', null, start + MINUTE)).toBe(false);
+
+    manager.sweep(start + 11 * MINUTE);
+    await Promise.all(manager.deliveries);
+
+    expect(file.received.filter(n => n.status === 'resolved').map(n => [n.type, n.data])).toEqual([
+      ['MEMORY_USAGE_HIGH', { memoryUsage: 300 }],
+      ['SLOW_RESPONSE', {}]
+    ]);
+    expect(manager.getAlerts().active.map(alert => alert.key)).toEqual(['MCP_CONNECTION_FAILED:crm']);
+
+    const resolved = manager.getAlerts({ status: 'resolved' }).history;
+    expect(resolved.map(entry => [entry.event, entry.type])).toEqual([
+      ['resolved', 'SLOW_RESPONSE'],
+      ['resolved', 'MEMORY_USAGE_HIGH']
+    ]);
+    expect(resolved[0].deliveries).toEqual([{ channel: 'file', status: 'sent' }]);
+  });
+
+  test('deve limitar os avisos por canal e registrar as falhas de entrega', async () => {
+    const webhook = createChannel('webhook');
+    const broken = createChannel('slack', () => Promise.reject(new Error('Webhook do Slack respondeu 500')));
+    manager = new AlertManager({
+      channels: [webhook, broken],
+      routes: { critical: ['webhook', 'slack'] },
+      rateLimit: { capacity: 2, perMinute: 1 }
+    });
+
+    ['A', 'B', 'C'].forEach(type => manager.trigger({ type, severity: 'critical' }));
+    await Promise.all(manager.deliveries);
+
+    expect(webhook.received.map(n => n.type)).toEqual(['A', 'B']);
+    expect(manager.getAlerts().history[0].deliveries).toEqual([
+      { channel: 'webhook', status: 'rate_limited' },
+      { channel: 'slack', status: 'rate_limited' }
+    ]);
+    expect(manager.getAlerts().channels[1]).toMatchObject({ failed: 2, rateLimited: 1, lastError: 'Webhook do Slack respondeu 500' });
+
+    // A resolução chega mesmo com o balde vazio
+    manager.resolve('A');
+    await Promise.all(manager.deliveries);
+
+    expect(webhook.received.map(n => [n.type, n.status])).toEqual([['A', 'firing'], ['B', 'firing'], ['A', 'resolved']]);
+    expect(webhook.received[2]).not.toHaveProperty('nextNotifyAt');
+    expect(webhook.received[2]).not.toHaveProperty('lastSeenTime');
+    expect(webhook.received[2]).not.toHaveProperty('autoResolve');
+  });
+
+  describe('Canais', () => {
+    const notification = {
+      id: 'alert_1',
+      key: 'HIGH_ERROR_RATE:HTTP_500',
+      type: 'HIGH_ERROR_RATE',
+      severity: 'critical',
+      status: 'firing',
+      repeat: 0,
+      occurrences: 11,
+      firstSeenAt: '2026-10-18T10:00:00.000Z',
+      lastSeenAt: '2026-10-18T10:05:00.000Z',
+      resolvedAt: null,
+      data: { errorType: 'HTTP_500', count: 11 },
+      server: { environment: 'production', hostname: 'app-1' }
+    };
+
+    test('deve postar nos webhooks genérico (assinado) e do Slack', async () => {
+      const received = [];
+      const server = createHttpServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+          res.writeHead(req.url === '/falha' ? 500 : 200).end();
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      try {
+        await createAlertChannel({ type: 'webhook', url: `${baseUrl}/hook`, secret: 'segredo' }).send(notification);
+        await createAlertChannel({ type: 'slack', url: `${baseUrl}/slack` }).send({
+          ...notification,
+          status: 'resolved',
+          resolvedAt: '2026-10-18T10:20:00.000Z'
+        });
+        await expect(createAlertChannel({ type: 'slack', url: `${baseUrl}/falha` }).send(notification))
+          .rejects.toThrow('Webhook do Slack respondeu 500');
+
+        expect(received[0].headers['x-signature-256']).toMatch(/^sha256=[0-9a-f]{64}$/);
+        expect(received[0].body).toEqual(notification);
+        expect(received[1].body.text).toBe(':white_check_mark: *[RESOLVIDO] HIGH_ERROR_RATE*');
+        expect(received[1].body.attachments[0]).toMatchObject({ color: '#2e7d32', footer: 'alert_1' });
+        expect(received[1].body.attachments[0].text).toContain('Resolvido em: 2026-10-18T10:20:00.000Z');
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    test('deve enviar e-mail por SMTP e recusar credenciais sem TLS', async () => {
+      const sessions = [];
+      const smtp = createTcpServer(socket => {
+        const session = { commands: [], data: '' };
+        sessions.push(session);
+        let inData = false;
+        let buffer = '';
+
+        socket.write('220 smtp.local ESMTP\r\n');
+        socket.on('data', chunk => {
+          buffer += chunk.toString();
+          let index;
+          while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+
+            if (inData) {
+              if (line === '.') {
+                inData = false;
+                socket.write('250 2.0.0 Ok: queued\r\n');
+              } else {
+                session.data += `${line}\r\n`;
+              }
+              continue;
+            }
+
+            session.commands.push(line);
+            const [verb] = line.split(' ');
+            if (verb === 'EHLO') socket.write('250-smtp.local\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+            else if (verb === 'AUTH') socket.write('235 2.7.0 Authentication successful\r\n');
+            else if (verb === 'DATA') {
+              inData = true;
+              socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+            } else if (verb === 'QUIT') socket.end('221 2.0.0 Bye\r\n');
+            else socket.write('250 2.1.0 Ok\r\n');
+          }
+        });
+      });
+      await new Promise(resolve => smtp.listen(0, '127.0.0.1', resolve));
+      const options = {
+        type: 'email',
+        host: '127.0.0.1',
+        port: smtp.address().port,
+        from: 'Chatbot <alertas@example.com>',
+        to: ['ops@example.com', 'dev@example.com'],
+        clientName: 'app-1'
+      };
+
+      try {
+        await createAlertChannel(options).send(notification);
+
+        expect(sessions[0].commands).toEqual([
+          'EHLO app-1',
+          'MAIL FROM:<alertas@example.com>',
+          'RCPT TO:<ops@example.com>',
+          'RCPT TO:<dev@example.com>',
+          'DATA',
+          'QUIT'
+        ]);
+        const [headers, body] = sessions[0].data.split('\r\n\r\n');
+        expect(headers).toContain('Subject: [CRITICAL] HIGH_ERROR_RATE (production)');
+        expect(headers).toContain('To: ops@example.com, dev@example.com');
+        expect(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString()).toContain('Ocorrências: 11 desde 2026-10-18T10:00:00.000Z');
+
+        const withAuth = createAlertChannel({ ...options, user: 'alertas', pass: 'senha' });
+        await expect(withAuth.send(notification)).rejects.toMatchObject({ code: 'SMTP_ERROR' });
+        expect(sessions[1].commands).toEqual(['EHLO app-1']);
+
+        await createAlertChannel({ ...options, user: 'alertas', pass: 'senha', allowInsecureAuth: true }).send(notification);
+        expect(sessions[2].commands[1]).toBe(`AUTH PLAIN ${Buffer.from('\0alertas\0senha').toString('base64')}`);
+      } finally {
+        await new Promise(resolve => smtp.close(resolve));
+      }
+    });
+
+    test('deve gravar as notificações em JSON Lines', async () => {
+      const directory = await mkdtemp(join(tmpdir(), 'alerts-'));
+      const channel = createAlertChannel({ type: 'file', path: join(directory, 'logs', 'alerts.jsonl') });
+
+      try {
+        await channel.send(notification);
+        await channel.send({ ...notification, status: 'resolved' });
+        await channel.close();
+
+        const lines = (await readFile(join(directory, 'logs', 'alerts.jsonl'), 'utf8')).trim().split('\n');
+        expect(lines.map(line => JSON.parse(line).status)).toEqual(['firing', 'resolved']);
+      } finally {
+        await rm(directory, { recursive: true, force: true });
+      }
+    });
+
+    test('deve exigir a configuração mínima de cada canal', () => {
+      expect(() => createAlertChannel({ type: 'webhook' })).toThrow('ALERT_WEBHOOK_URL');
+      expect(() => createAlertChannel({ type: 'slack' })).toThrow('ALERT_SLACK_WEBHOOK_URL');
+      expect(() => createAlertChannel({ type: 'email', host: 'smtp.example.com', to: [] })).toThrow('ALERT_EMAIL_TO');
+      expect(() => createAlertChannel({ type: 'pager' })).toThrow('Canal de alertas não suportado: pager');
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import { jest } from '@jest/globals';
+import { AnthropicProvider } from '../ai/providers/AnthropicProvider.js';
+import { startStubServer, sendJSON, sendSSE } from './fixtures/stub-llm-server.mjs';
+
+const modelsRoute = (request, res) => sendJSON(res, 200, {
+  data: [{ id: 'claude-test', type: 'model' }]
+});
+
+describe('AnthropicProvider', () => {
+  let consoleSpies;
+  let stub;
+
+  const createProvider = async (messagesRoute) => {
+    stub = await startStubServer({
+      'GET /v1/models': modelsRoute,
+      'POST /v1/messages': messagesRoute
+    });
+
+    const provider = new AnthropicProvider({
+      apiKey: 'sk-ant-teste',
+      baseURL: stub.url,
+      model: 'claude-test',
+      systemPrompt: 'Você é a Ana, assistente da clínica.'
+    });
+    await provider.initialize();
+    return provider;
+  };
+
+  beforeEach(() => {
+    consoleSpies = ['log', 'info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+  });
+
+  afterEach(async () => {
+    await stub?.close();
+    stub = null;
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  test('deve enviar o prompt no campo system e converter os blocos de conteúdo', async () => {
+    const provider = await createProvider((request, res) => sendJSON(res, 200, {
+      id: 'msg_1',
+      type: 'message',
+      role: 'assistant',
+      model: 'claude-test',
+      content: [{ type: 'text', text: 'Olá! ' }, { type: 'text', text: 'Como posso ajudar?' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 12, output_tokens: 7 }
+    }));
+
+    const response = await provider.sendMessage('Quero marcar uma consulta', {
+      requestId: 'req_1',
+      sessionId: 'session_1',
+      history: [
+        { role: 'user', content: 'Oi' },
+        { role: 'assistant', content: 'Olá!' }
+      ]
+    });
+
+    const [health, request] = stub.requests;
+    expect(health.headers['x-api-key']).toBe('sk-ant-teste');
+    expect(request.headers['anthropic-version']).toBe('2023-06-01');
+    expect(request.body).toMatchObject({
+      model: 'claude-test',
+      system: 'Você é a Ana, assistente da clínica.',
+      messages: [
+        { role: 'user', content: 'Oi' },
+        { role: 'assistant', content: 'Olá!' },
+        { role: 'user', content: 'Quero marcar uma consulta' }
+      ],
+      stream: false,
+      metadata: { user_id: 'session_1' }
+    });
+
+    expect(response).toMatchObject({
+      id: 'req_1',
+      message: 'Olá! Como posso ajudar?',
+      provider: 'anthropic',
+      finishReason: 'stop',
+      usage: { promptTokens: 12, completionTokens: 7, totalTokens: 19 }
+    });
+  });
+
+  test('deve transmitir texto e montar tool_use a partir do stream SSE', async () => {
+    const provider = await createProvider((request, res) => sendSSE(res, [
+      { event: 'message_start', data: { type: 'message_start', message: { model: 'claude-test', usage: { input_tokens: 20, output_tokens: 1 } } } },
+      { event: 'content_block_start', data: { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } } },
+      { event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Vou ' } } },
+      { event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'verificar.' } } },
+      { event: 'content_block_stop', data: { type: 'content_block_stop', index: 0 } },
+      { event: 'content_block_start', data: { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'agenda__listar', input: {} } } },
+      { event: 'content_block_delta', data: { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"data":' } } },
+      { event: 'content_block_delta', data: { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"hoje"}' } } },
+      { event: 'content_block_stop', data: { type: 'content_block_stop', index: 1 } },
+      { event: 'message_delta', data: { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 15 } } },
+      { event: 'message_stop', data: { type: 'message_stop' } }
+    ]));
+
+    const deltas = [];
+    const response = await provider.sendMessage('Tem horário hoje?', {
+      onDelta: delta => deltas.push(delta)
+    });
+
+    expect(stub.requests[1].body.stream).toBe(true);
+    expect(deltas).toEqual(['Vou ', 'verificar.']);
+    expect(response.message).toBe('Vou verificar.');
+    expect(response.finishReason).toBe('tool_calls');
+    expect(response.toolCalls).toEqual([{ id: 'toolu_1', name: 'agenda__listar', arguments: '{"data":"hoje"}' }]);
+    expect(response.usage).toMatchObject({ promptTokens: 20, completionTokens: 15, totalTokens: 35 });
+    expect(response.metadata.streamed).toBe(true);
+  });
+
+  test('deve converter ferramentas e o ciclo de tool calling para blocos tool_use/tool_result', async () => {
+    const provider = await createProvider((request, res) => sendJSON(res, 200, {
+      model: 'claude-test',
+      content: [{ type: 'text', text: 'Há horário às 14h.' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 30, output_tokens: 6 }
+    }));
+
+    await provider.sendMessage('Tem horário hoje?', {
+      tools: [{
+        type: 'function',
+        function: { name: 'agenda__listar', description: 'Lista horários', parameters: { type: 'object', properties: { data: { type: 'string' } } } }
+      }],
+      toolChoice: 'none',
+      toolMessages: [
+        { role: 'assistant', content: null, tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'agenda__listar', arguments: '{"data":"hoje"}' } }] },
+        { role: 'tool', tool_call_id: 'toolu_1', content: '14h, 16h' }
+      ]
+    });
+
+    const { body } = stub.requests[1];
+    expect(body.tools).toEqual([{
+      name: 'agenda__listar',
+      description: 'Lista horários',
+      input_schema: { type: 'object', properties: { data: { type: 'string' } } }
+    }]);
+    expect(body.tool_choice).toEqual({ type: 'none' });
+    expect(body.messages.slice(1)).toEqual([
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'agenda__listar', input: { data: 'hoje' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '14h, 16h' }] }
+    ]);
+  });
+
+  test('deve mapear erros HTTP da API para os tipos padronizados', async () => {
+    const errors = [
+      [429, 'rate_limit_error', 'Limite de requisições'],
+      [529, 'overloaded_error', 'Sobrecarregado'],
+      [400, 'invalid_request_error', 'Your credit balance is too low']
+    ];
+    const provider = await createProvider((request, res) => {
+      const [status, type, message] = errors.shift();
+      sendJSON(res, status, { type: 'error', error: { type, message } });
+    });
+
+    await expect(provider.sendMessage('Oi')).rejects.toMatchObject({ type: 'rate_limit', code: 'rate_limit_error', provider: 'anthropic' });
+    await expect(provider.sendMessage('Oi')).rejects.toMatchObject({ type: 'service_unavailable', code: 'overloaded_error' });
+    await expect(provider.sendMessage('Oi')).rejects.toMatchObject({ type: 'quota_exceeded' });
+  });
+
+  test('deve rejeitar chave inválida na inicialização', async () => {
+    stub = await startStubServer({
+      'GET /v1/models': (request, res) => sendJSON(res, 401, {
+        type: 'error',
+        error: { type: 'authentication_error', message: 'invalid x-api-key' }
+      })
+    });
+
+    const provider = new AnthropicProvider({ apiKey: 'sk-ant-errada', baseURL: stub.url });
+
+    await expect(provider.initialize()).rejects.toMatchObject({ type: 'invalid_api_key', code: 'authentication_error' });
+    expect(provider.isConnected).toBe(false);
+  });
+
+  test('deve cancelar a requisição quando o sinal é abortado', async () => {
+    const provider = await createProvider(() => {
+      // Nunca responde: só o abort encerra a requisição
+    });
+
+    const controller = new AbortController();
+    const pending = provider.sendMessage('Oi', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(pending).rejects.toMatchObject({ type: 'cancelled' });
+  });
+});
@@ -0,0 +1,124 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { BotProfileRegistry, DEFAULT_PROFILE_ID } from '../profiles/BotProfileRegistry.js';
+import { SessionManager } from '../session/SessionManager.js';
+
+describe('BotProfileRegistry', () => {
+  let consoleSpies;
+  let dir;
+
+  beforeEach(async () => {
+    consoleSpies = ['log', 'info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+
+    dir = await fs.mkdtemp(join(tmpdir(), 'bot-profiles-'));
+    await fs.writeFile(join(dir, 'imobiliaria.yaml'), [
+      'name: Imobiliária Central',
+      'origins: ["https://Imobiliaria.example/"]',
+      'systemPrompt: Você é o corretor virtual.',
+      'ai: { model: gpt-4o-mini, temperature: 0.2, apiKey: segredo }',
+      'topics:',
+      '  aluguel: [Alugar, aluguel]',
+      'stageInstructions:',
+      '  closing: Ofereça agendar uma visita.',
+      'branding: { title: Central Imóveis, primaryColor: "#0a7d4f" }'
+    ].join('\n'));
+    await fs.writeFile(join(dir, 'padaria.json'), JSON.stringify({ id: 'padaria', origins: ['https://padaria.example'] }));
+    await fs.writeFile(join(dir, 'quebrado.json'), '{ id: ');
+    await fs.writeFile(join(dir, 'notas.txt'), 'ignorado');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  const createRegistry = async () => {
+    const registry = new BotProfileRegistry({ directory: dir, systemPrompt: 'Prompt global' });
+    await registry.initialize();
+    return registry;
+  };
+
+  test('deve carregar perfis JSON e YAML do diretório', async () => {
+    const registry = await createRegistry();
+
+    expect(registry.list().map(profile => profile.id).sort()).toEqual(['default', 'imobiliaria', 'padaria']);
+
+    const profile = registry.get('imobiliaria');
+    expect(profile.systemPrompt).toBe('Você é o corretor virtual.');
+    expect(profile.ai).toEqual({ model: 'gpt-4o-mini', temperature: 0.2 });
+    expect(profile.stageMachine.getPrompt('closing')).toBe('Ofereça agendar uma visita.');
+    expect(profile.stageMachine.getPrompt('greeting')).toBeDefined();
+    expect(registry.get('padaria').systemPrompt).toBe('Prompt global');
+  });
+
+  test('deve selecionar perfil por profileId, origem ou padrão', async () => {
+    const registry = await createRegistry();
+
+    expect(registry.resolve({ profileId: 'padaria', origin: 'https://imobiliaria.example' }).id).toBe('padaria');
+    expect(registry.resolve({ origin: 'https://imobiliaria.example' }).id).toBe('imobiliaria');
+    expect(registry.resolve({ profileId: 'inexistente', origin: 'https://padaria.example' }).id).toBe('padaria');
+    expect(registry.resolve({ origin: 'https://outro.example' }).id).toBe(DEFAULT_PROFILE_ID);
+  });
+
+  test('deve expor apenas dados públicos do perfil', async () => {
+    const registry = await createRegistry();
+
+    expect(registry.getPublicProfile(registry.get('imobiliaria'))).toEqual({
+      id: 'imobiliaria',
+      name: 'Imobiliária Central',
+      branding: { title: 'Central Imóveis', primaryColor: '#0a7d4f' }
+    });
+  });
+
+  test('deve manter perfil padrão quando o diretório não existe', async () => {
+    const registry = new BotProfileRegistry({ directory: join(dir, 'nao-existe') });
+    await registry.initialize();
+
+    expect(registry.list().map(profile => profile.id)).toEqual([DEFAULT_PROFILE_ID]);
+    expect(registry.getDefault().topics.botox).toContain('rugas');
+  });
+
+  test('deve rejeitar perfil com ID inválido', () => {
+    const registry = new BotProfileRegistry();
+
+    expect(() => registry.register({ id: '../x' })).toThrow('ID de perfil inválido');
+  });
+
+  describe('SessionManager com perfis', () => {
+    let manager;
+
+    afterEach(async () => {
+      await manager.destroy();
+    });
+
+    test('deve usar prompt, tópicos e instruções do perfil da sessão', async () => {
+      manager = new SessionManager({ profiles: await createRegistry() });
+      const session = manager.createSession('127.0.0.1', { profileId: 'imobiliaria' });
+
+      manager.addMessage(session.id, { role: 'user', content: 'Quero alugar um apartamento' });
+      manager.addMessage(session.id, { role: 'user', content: 'Pode encerrar' });
+      await manager.waitForStage(session.id);
+
+      const prompt = manager.buildSystemPrompt(session);
+      expect(session.profileId).toBe('imobiliaria');
+      expect(session.context.currentTopic).toBe('aluguel');
+      expect(prompt).toMatch(/^Você é o corretor virtual\./);
+      expect(prompt).toContain('Ofereça agendar uma visita.');
+    });
+
+    test('deve usar perfil padrão para profileId desconhecido', async () => {
+      manager = new SessionManager({ profiles: await createRegistry() });
+      const session = manager.createSession('127.0.0.1', { profileId: 'inexistente' });
+
+      manager.addMessage(session.id, { role: 'user', content: 'Quero fazer botox' });
+
+      expect(session.profileId).toBe(DEFAULT_PROFILE_ID);
+      expect(session.context.currentTopic).toBe('botox');
+      expect(manager.buildSystemPrompt(session)).toMatch(/^Prompt global/);
+    });
+  });
+});
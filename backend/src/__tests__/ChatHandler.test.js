@@ -0,0 +1,644 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import express from 'express';
+import request from 'supertest';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { WebSocketHandler, createMessageRouter } from '../handlers/index.js';
+import { SessionManager } from '../session/SessionManager.js';
+import { BotProfileRegistry } from '../profiles/BotProfileRegistry.js';
+import { HandoffManager } from '../handoff/HandoffManager.js';
+import { RateLimiter } from '../limits/RateLimiter.js';
+import { KnowledgeBase } from '../knowledge/KnowledgeBase.js';
+import { ResumeTokenSigner } from '../session/ResumeTokenSigner.js';
+import { VisitorHistory } from '../session/VisitorHistory.js';
+import { createChatRoutes } from '../routes/chat.js';
+import tracer from '../tracing/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * WebSocket falso que guarda os frames enviados
+ */
+const createSocket = () => {
+  const ws = new EventEmitter();
+  ws.OPEN = 1;
+  ws.readyState = 1;
+  ws.sent = [];
+  ws.send = data => ws.sent.push(JSON.parse(data));
+  ws.close = jest.fn((code, reason) => {
+    ws.readyState = 3;
+    ws.emit('close', code, Buffer.from(reason || ''));
+  });
+  ws.frames = type => ws.sent.filter(frame => frame.type === type);
+  return ws;
+};
+
+const createRequest = (url = '/ws', visitor = null) => ({
+  url,
+  headers: { origin: 'http://localhost' },
+  socket: { remoteAddress: '10.0.0.1' },
+  visitor
+});
+
+/**
+ * Provedor falso: responde ecoando a mensagem; `hold` segura a resposta até o cancelamento
+ */
+const createAIManager = () => ({
+  hold: false,
+  countTokens: text => Math.ceil(text.length / 4),
+  sendMessageWithTools: jest.fn(function (content, options) {
+    options.onDelta?.('Res');
+    if (this.hold) {
+      return new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => {
+          const error = new Error('Requisição cancelada');
+          error.type = 'cancelled';
+          reject(error);
+        });
+      });
+    }
+    return Promise.resolve({
+      message: `Resposta: ${content}`,
+      usage: { promptTokens: 5, completionTokens: 5, totalTokens: 10 },
+      model: 'fake-model',
+      provider: 'fake',
+      timestamp: new Date().toISOString(),
+      metadata: {}
+    });
+  })
+});
+
+describe('ChatHandler', () => {
+  let consoleSpies;
+  let sessionManager;
+  let handoffManager;
+  let rateLimiter;
+  let knowledgeBase;
+  let aiManager;
+
+  const createHandler = ({ historyMode = 'client', streaming = false, resumeTokens, visitorHistory } = {}) => {
+    const botProfiles = new BotProfileRegistry({ systemPrompt: 'Você é um assistente.' });
+    const deps = {
+      sessionManager,
+      aiManager,
+      botProfiles,
+      handoffManager,
+      rateLimiter,
+      knowledgeBase,
+      mcpTools: null,
+      resumeTokens,
+      visitorHistory,
+      config: { historyMode, streaming }
+    };
+
+    return new WebSocketHandler({
+      router: createMessageRouter(deps),
+      botProfiles,
+      handoffManager,
+      config: { historyMode }
+    });
+  };
+
+  const connect = (handler, url, visitor) => {
+    const ws = createSocket();
+    const connection = handler.handleConnection(ws, createRequest(url, visitor));
+    const send = frame => handler.handleFrame(connection, Buffer.from(typeof frame === 'string' ? frame : JSON.stringify(frame)));
+    return { ws, connection, send };
+  };
+
+  beforeEach(async () => {
+    consoleSpies = ['log', 'info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+
+    sessionManager = new SessionManager();
+    handoffManager = new HandoffManager({ sessionManager });
+    rateLimiter = new RateLimiter();
+    knowledgeBase = new KnowledgeBase({ directory: join(__dirname, 'fixtures', 'knowledge'), topK: 1 });
+    await knowledgeBase.initialize();
+    aiManager = createAIManager();
+  });
+
+  afterEach(async () => {
+    rateLimiter.close();
+    await sessionManager.destroy();
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  describe('Conexão', () => {
+    test('deve informar a versão negociada do protocolo no frame connection', () => {
+      const { ws } = connect(createHandler({ historyMode: 'server' }), '/ws?protocol=1');
+
+      expect(ws.frames('connection')[0]).toMatchObject({
+        status: 'connected',
+        protocolVersion: 1,
+        supportedVersions: [1],
+        historyMode: 'server',
+        profile: expect.objectContaining({ id: 'default' })
+      });
+    });
+
+    test('deve recusar versões não suportadas', () => {
+      const handler = createHandler();
+      const { ws, connection } = connect(handler, '/ws?protocol=7');
+
+      expect(connection).toBeNull();
+      expect(ws.sent).toEqual([
+        expect.objectContaining({ type: 'error', code: 'UNSUPPORTED_PROTOCOL_VERSION', supportedVersions: [1] })
+      ]);
+      expect(ws.close).toHaveBeenCalledWith(1002, expect.any(String));
+      expect(handler.getStats().connectedClients).toBe(0);
+    });
+
+    test('deve responder ping e rejeitar JSON inválido e tipos desconhecidos', async () => {
+      const { ws, send } = connect(createHandler());
+
+      await send({ type: 'ping' });
+      await send('{não é json');
+      await send({ type: 'teleport', messageId: 'm1' });
+
+      expect(ws.sent.slice(1).map(frame => [frame.type, frame.code])).toEqual([
+        ['pong', undefined],
+        ['error', 'INVALID_JSON'],
+        ['error', 'UNKNOWN_TYPE']
+      ]);
+    });
+  });
+
+  describe('Sessões', () => {
+    test('deve iniciar, consultar e encerrar a sessão', async () => {
+      const { ws, send } = connect(createHandler());
+
+      await send({ type: 'session_start', messageId: 'm1' });
+      const [started] = ws.frames('session_started');
+      expect(started.context).toEqual({ stage: expect.any(String), isNewSession: true });
+
+      await send({ type: 'session_info', sessionId: started.sessionId });
+      expect(ws.frames('session_info')[0]).toMatchObject({ sessionId: started.sessionId, summary: null });
+
+      await send({ type: 'session_end', sessionId: started.sessionId });
+      expect(ws.frames('session_ended')[0]).toMatchObject({ success: true });
+    });
+
+    test('deve usar session_error para sessão inexistente ou frame sem sessionId', async () => {
+      const { ws, send } = connect(createHandler());
+
+      await send({ type: 'session_info', sessionId: 'inexistente' });
+      await send({ type: 'session_reset' });
+
+      expect(ws.frames('session_error').map(frame => frame.code)).toEqual(['SESSION_NOT_FOUND', 'INVALID_FRAME']);
+    });
+  });
+
+  describe('Retomada de sessão', () => {
+    test('deve religar a sessão em outra conexão e reenviar as respostas perdidas', async () => {
+      const handler = createHandler({ historyMode: 'server' });
+      const first = connect(handler);
+
+      await first.send({ type: 'session_start', messageId: 'm1' });
+      const [started] = first.ws.frames('session_started');
+      expect(started.resumeToken).toEqual(expect.any(String));
+
+      await first.send({ type: 'chat', messageId: 'm2', sessionId: started.sessionId, content: 'Olá' });
+      const [response] = first.ws.frames('chat_response');
+      expect(response.resumeToken).toBeUndefined();
+      first.ws.close(1006, '');
+
+      // Resposta do atendente enquanto o visitante estava desconectado
+      sessionManager.addMessage(started.sessionId, {
+        role: 'assistant',
+        content: 'Oi, aqui é a Ana',
+        metadata: { from: 'agent' }
+      });
+
+      const second = connect(handler);
+      await second.send({
+        type: 'session_resume',
+        sessionId: started.sessionId,
+        resumeToken: started.resumeToken,
+        lastMessageId: response.assistantMessageId
+      });
+
+      const [resumed] = second.ws.frames('session_resumed');
+      expect(resumed).toMatchObject({
+        sessionId: started.sessionId,
+        resumeToken: expect.any(String),
+        messages: [expect.objectContaining({ role: 'assistant', from: 'agent', content: 'Oi, aqui é a Ana' })],
+        handoff: null
+      });
+      expect(resumed.lastMessageId).toBe(resumed.messages[0].id);
+      expect(second.ws.frames('history_sync')).toHaveLength(0);
+      expect(handoffManager.visitors.get(started.sessionId)).toEqual(new Set([second.ws]));
+    });
+
+    test('deve enviar a transcrição completa quando a última mensagem vista saiu do histórico', async () => {
+      const { ws, send } = connect(createHandler());
+
+      await send({ type: 'chat', messageId: 'm1', content: 'Olá' });
+      const [response] = ws.frames('chat_response');
+      expect(response.resumeToken).toEqual(expect.any(String));
+
+      await send({
+        type: 'session_resume',
+        sessionId: response.sessionId,
+        resumeToken: response.resumeToken,
+        lastMessageId: 'msg_removida'
+      });
+
+      expect(ws.frames('history_sync')[0]).toMatchObject({ reason: 'resume', clientLastMessageId: 'msg_removida' });
+      expect(ws.frames('history_sync')[0].messages).toHaveLength(2);
+      expect(ws.frames('session_resumed')[0].messages).toEqual([]);
+    });
+
+    test('deve recusar tokens forjados, de outra sessão ou expirados', async () => {
+      const resumeTokens = new ResumeTokenSigner({ secret: 'segredo' });
+      const { ws, send } = connect(createHandler({ resumeTokens }));
+      const session = sessionManager.createSession('10.0.0.1');
+      const other = sessionManager.createSession('10.0.0.1');
+
+      const { token } = resumeTokens.issue(session.id);
+      const [payload, signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ sid: session.id, exp: Date.now() + 60000 })).toString('base64url');
+
+      await send({ type: 'session_resume', sessionId: session.id, resumeToken: `${forged}.${signature}` });
+      await send({ type: 'session_resume', sessionId: session.id, resumeToken: new ResumeTokenSigner({ secret: 'outro' }).issue(session.id).token });
+      await send({ type: 'session_resume', sessionId: other.id, resumeToken: token });
+      await send({ type: 'session_resume', sessionId: session.id, resumeToken: new ResumeTokenSigner({ secret: 'segredo', ttl: -1 }).issue(session.id).token });
+      await send({ type: 'session_resume', sessionId: session.id, resumeToken: `${payload}.${signature}` });
+      sessionManager.endSession(session.id);
+      await send({ type: 'session_resume', sessionId: session.id, resumeToken: token });
+
+      expect(ws.frames('session_error').map(frame => frame.code)).toEqual([
+        'RESUME_TOKEN_INVALID',
+        'RESUME_TOKEN_INVALID',
+        'RESUME_TOKEN_INVALID',
+        'RESUME_TOKEN_EXPIRED',
+        'SESSION_NOT_FOUND'
+      ]);
+      expect(ws.frames('session_resumed')).toHaveLength(1);
+    });
+
+    test('deve exigir o token de retomada para usar uma sessão de outra conexão', async () => {
+      const handler = createHandler({ historyMode: 'server' });
+      const owner = connect(handler);
+
+      await owner.send({ type: 'chat', messageId: 'm1', content: 'Meu CPF é 123' });
+      const [first] = owner.ws.frames('chat_response');
+      expect(first.sessionId).toMatch(/^session_[0-9a-f-]{36}$/);
+
+      // Sem token: não recebe a transcrição nem escreve na sessão, nem a reseta
+      const intruder = connect(handler);
+      await intruder.send({ type: 'chat', messageId: 'm2', sessionId: first.sessionId, lastMessageId: 'x', content: 'Oi' });
+      await intruder.send({ type: 'chat', messageId: 'm3', sessionId: first.sessionId, resumeToken: 'forjado', content: 'Oi' });
+      await intruder.send({ type: 'session_reset', sessionId: first.sessionId });
+      await intruder.send({ type: 'session_info', sessionId: first.sessionId });
+
+      expect(intruder.ws.frames('chat_response').map(frame => frame.sessionId)).not.toContain(first.sessionId);
+      expect(intruder.ws.frames('history_sync').map(frame => frame.sessionId)).not.toContain(first.sessionId);
+      expect(intruder.ws.frames('session_reset')[0].resumeToken).toBeUndefined();
+      expect(intruder.ws.frames('session_error').map(frame => frame.code)).toEqual(['SESSION_NOT_FOUND']);
+      expect(sessionManager.getTranscript(first.sessionId).map(msg => msg.content)).toEqual(['Meu CPF é 123', 'Resposta: Meu CPF é 123']);
+
+      // Mensagem da fila enviada após reconectar, antes do session_resume
+      const reconnected = connect(handler);
+      await reconnected.send({ type: 'chat', messageId: 'm4', sessionId: first.sessionId, resumeToken: first.resumeToken, content: 'Voltei' });
+      await reconnected.send({ type: 'session_info', sessionId: first.sessionId });
+
+      expect(reconnected.ws.frames('chat_response')[0]).toMatchObject({ sessionId: first.sessionId });
+      expect(reconnected.ws.frames('chat_response')[0].resumeToken).toBeUndefined();
+      expect(reconnected.ws.frames('session_info')).toHaveLength(1);
+    });
+  });
+
+  describe('Visitantes autenticados', () => {
+    const ana = { userId: 'u-42', name: 'Ana Souza', email: 'ana@example.com', plan: 'pro' };
+
+    test('deve preencher os dados do cliente com as claims e listar as conversas anteriores', async () => {
+      const visitorHistory = new VisitorHistory();
+      visitorHistory.attach(sessionManager);
+      const handler = createHandler({ visitorHistory });
+
+      const first = connect(handler, '/ws', ana);
+      expect(first.ws.frames('connection')[0].visitor).toEqual({ userId: 'u-42', name: 'Ana Souza' });
+
+      await first.send({ type: 'chat', messageId: 'm1', content: 'Meu nome é Bruno' });
+      const [response] = first.ws.frames('chat_response');
+      const session = sessionManager.sessions.get(response.sessionId);
+      expect(session.context.customerName).toBe('Ana Souza');
+      expect(session.context.customerInfo).toMatchObject({
+        nome: { value: 'Ana Souza', source: 'jwt' },
+        email: { value: 'ana@example.com', source: 'jwt' },
+        plano: { value: 'pro', source: 'jwt' }
+      });
+      sessionManager.endSession(response.sessionId);
+
+      const second = connect(handler, '/ws', ana);
+      await second.send({ type: 'session_start' });
+      const [started] = second.ws.frames('session_started');
+      await second.send({ type: 'conversation_history', sessionId: started.sessionId });
+
+      const [history] = second.ws.frames('conversation_history');
+      expect(history.conversations).toEqual([
+        expect.objectContaining({
+          sessionId: response.sessionId,
+          status: 'ended',
+          messages: [
+            expect.objectContaining({ role: 'user', content: 'Meu nome é Bruno' }),
+            expect.objectContaining({ role: 'assistant' })
+          ]
+        })
+      ]);
+    });
+
+    test('deve isolar as sessões de cada usuário e recusar o histórico a anônimos', async () => {
+      const handler = createHandler({ visitorHistory: new VisitorHistory() });
+      const owner = connect(handler, '/ws', ana);
+      await owner.send({ type: 'session_start' });
+      const [started] = owner.ws.frames('session_started');
+
+      const intruder = connect(handler, '/ws', { userId: 'u-7', name: 'Outro' });
+      await intruder.send({ type: 'session_info', sessionId: started.sessionId });
+      await intruder.send({ type: 'session_resume', sessionId: started.sessionId, resumeToken: started.resumeToken });
+      await intruder.send({ type: 'chat', messageId: 'm1', sessionId: started.sessionId, content: 'Oi' });
+
+      expect(intruder.ws.frames('session_error').map(frame => frame.code)).toEqual(['SESSION_NOT_FOUND', 'SESSION_NOT_FOUND']);
+      expect(intruder.ws.frames('chat_response')[0].sessionId).not.toBe(started.sessionId);
+      expect(sessionManager.sessions.get(started.sessionId).messageHistory).toHaveLength(0);
+
+      const anonymous = connect(handler);
+      await anonymous.send({ type: 'conversation_history' });
+      expect(anonymous.ws.frames('session_error')[0].code).toBe('VISITOR_NOT_AUTHENTICATED');
+    });
+  });
+
+  describe('Chat HTTP', () => {
+    const createApp = (handler, resumeTokens) => {
+      const app = express();
+      app.use(express.json());
+      app.use('/api/chat', createChatRoutes({ router: handler.router, sessionManager, resumeTokens }));
+      return app;
+    };
+
+    test('deve responder pelo mesmo pipeline do /ws e reaproveitar a resposta de reenvios', async () => {
+      const resumeTokens = new ResumeTokenSigner({ secret: 'segredo' });
+      const handler = createHandler({ historyMode: 'server', resumeTokens });
+      const app = createApp(handler, resumeTokens);
+
+      const first = await request(app).post('/api/chat/send').send({ messageId: 'out_1', content: 'Olá offline' });
+      expect(first.status).toBe(200);
+      expect(first.body.data).toMatchObject({
+        type: 'chat_response',
+        content: 'Resposta: Olá offline',
+        resumeToken: expect.any(String),
+        streamed: false
+      });
+
+      const { sessionId, resumeToken } = first.body.data;
+      const retry = await request(app)
+        .post('/api/chat/send')
+        .set('X-Resume-Token', resumeToken)
+        .send({ messageId: 'out_1', sessionId, content: 'Olá offline' });
+      expect(retry.body.data).toMatchObject({ duplicate: true, assistantMessageId: first.body.data.assistantMessageId });
+
+      // A mesma mensagem reenviada depois pelo WebSocket também não gera nova resposta
+      const { ws, send } = connect(handler);
+      await send({ type: 'chat', messageId: 'out_1', sessionId, resumeToken, content: 'Olá offline' });
+      expect(ws.frames('ack')[0]).toMatchObject({ status: 'completed', duplicate: true });
+      expect(aiManager.sendMessageWithTools).toHaveBeenCalledTimes(1);
+    });
+
+    test('deve exigir o token de retomada e devolver as respostas posteriores a uma mensagem', async () => {
+      const resumeTokens = new ResumeTokenSigner({ secret: 'segredo' });
+      const app = createApp(createHandler({ historyMode: 'server', resumeTokens }), resumeTokens);
+      const session = sessionManager.createSession('10.0.0.1');
+      const { token } = resumeTokens.issue(session.id);
+      const userMessage = sessionManager.addMessage(session.id, { role: 'user', content: 'Preciso de ajuda' });
+      sessionManager.addMessage(session.id, { role: 'assistant', content: 'Oi, aqui é a Ana', metadata: { from: 'agent' } });
+
+      const denied = await request(app).post('/api/chat/send').send({ messageId: 'out_2', sessionId: session.id, content: 'Oi' });
+      expect(denied.status).toBe(401);
+      expect(denied.body.code).toBe('RESUME_TOKEN_INVALID');
+
+      const empty = await request(app).post('/api/chat/send').set('X-Resume-Token', token).send({ messageId: 'out_3', sessionId: session.id });
+      expect(empty.status).toBe(400);
+      expect(empty.body.code).toBe('EMPTY_MESSAGE');
+
+      const replies = await request(app)
+        .get('/api/chat/messages')
+        .query({ sessionId: session.id, after: userMessage.id })
+        .set('X-Resume-Token', token);
+      expect(replies.body.data).toMatchObject({
+        status: 'active',
+        historySync: false,
+        messages: [expect.objectContaining({ from: 'agent', content: 'Oi, aqui é a Ana' })]
+      });
+      expect(replies.body.data.lastMessageId).toBe(replies.body.data.messages[0].id);
+    });
+  });
+
+  describe('Chat', () => {
+    test('deve responder com a IA, registrar a conversa e citar a base de conhecimento', async () => {
+      const { ws, send } = connect(createHandler());
+
+      await send({ type: 'chat', messageId: 'm1', content: 'Qual o prazo de entrega?' });
+
+      const [response] = ws.frames('chat_response');
+      expect(ws.frames('typing').map(frame => frame.isTyping)).toEqual([true, false]);
+      expect(response).toMatchObject({
+        messageId: 'm1',
+        content: 'Resposta: Qual o prazo de entrega?',
+        streamed: false,
+        sources: [expect.objectContaining({ index: 1, source: 'atendimento.md' })]
+      });
+
+      const [, options] = aiManager.sendMessageWithTools.mock.calls[0];
+      expect(options.systemPrompt).toContain('[1] Guia de Atendimento');
+      expect(options.onDelta).toBeUndefined();
+      expect(sessionManager.getTranscript(response.sessionId).map(msg => msg.role)).toEqual(['user', 'assistant']);
+    });
+
+    test('deve rejeitar mensagens vazias e informar erros do provedor', async () => {
+      const { ws, send } = connect(createHandler());
+
+      await send({ type: 'chat', messageId: 'm1', content: '   ' });
+      aiManager.sendMessageWithTools.mockRejectedValueOnce(Object.assign(new Error('HTTP 500'), { type: 'api_error' }));
+      await send({ type: 'chat', messageId: 'm2', content: 'Olá' });
+      await send({ type: 'chat', content: 'sem messageId' });
+
+      const errors = ws.frames('chat_error');
+      expect(errors.map(frame => [frame.messageId, frame.code, frame.retryable])).toEqual([
+        ['m1', 'EMPTY_MESSAGE', false],
+        ['m2', 'AI_ERROR', true],
+        [undefined, 'INVALID_FRAME', false]
+      ]);
+      expect(errors[1].userMessageId).toEqual(expect.any(String));
+      expect(ws.frames('typing').map(frame => frame.isTyping)).toEqual([true, false, true, false]);
+    });
+
+    test('deve aplicar o limite de mensagens antes de chamar a IA', async () => {
+      rateLimiter.close();
+      rateLimiter = new RateLimiter({ chat: { ip: { capacity: 1, perMinute: 1 } } });
+      const { ws, send } = connect(createHandler());
+
+      await send({ type: 'chat', messageId: 'm1', content: 'Olá' });
+      await send({ type: 'chat', messageId: 'm2', content: 'Olá de novo' });
+
+      expect(ws.frames('rate_limited')).toEqual([expect.objectContaining({ messageId: 'm2', scope: 'ip' })]);
+      expect(aiManager.sendMessageWithTools).toHaveBeenCalledTimes(1);
+    });
+
+    test('deve enviar history_sync quando o cliente não viu a última mensagem no modo server', async () => {
+      const { ws, send } = connect(createHandler({ historyMode: 'server', streaming: true }));
+
+      await send({ type: 'chat', messageId: 'm1', content: 'Olá', stream: true });
+      const [first] = ws.frames('chat_response');
+      expect(ws.frames('chat_delta')[0]).toMatchObject({ messageId: 'm1', delta: 'Res', index: 0 });
+      expect(ws.frames('history_sync')).toHaveLength(0);
+
+      await send({ type: 'chat', messageId: 'm2', sessionId: first.sessionId, lastMessageId: first.userMessageId, content: 'Oi' });
+
+      expect(ws.frames('history_sync')[0]).toMatchObject({
+        sessionId: first.sessionId,
+        clientLastMessageId: first.userMessageId,
+        messages: expect.arrayContaining([expect.objectContaining({ id: first.assistantMessageId })])
+      });
+    });
+
+    test('deve confirmar o recebimento e devolver a resposta guardada para mensagens repetidas', async () => {
+      const { ws, send } = connect(createHandler());
+
+      await send({ type: 'chat', messageId: 'm1', content: 'Olá' });
+      const [first] = ws.frames('chat_response');
+      await send({ type: 'chat', messageId: 'm1', content: 'Olá' });
+      await send({ type: 'chat', messageId: 'm1', sessionId: first.sessionId, content: 'Olá' });
+
+      expect(ws.frames('ack').map(frame => [frame.messageId, frame.status, frame.duplicate])).toEqual([
+        ['m1', 'received', false],
+        ['m1', 'completed', true],
+        ['m1', 'completed', true]
+      ]);
+      expect(ws.frames('chat_response').map(frame => [frame.assistantMessageId, frame.duplicate])).toEqual([
+        [first.assistantMessageId, undefined],
+        [first.assistantMessageId, true],
+        [first.assistantMessageId, true]
+      ]);
+      expect(aiManager.sendMessageWithTools).toHaveBeenCalledTimes(1);
+      expect(sessionManager.getTranscript(first.sessionId)).toHaveLength(2);
+    });
+
+    test('não deve devolver a resposta guardada de outra sessão sem o token de retomada', async () => {
+      const handler = createHandler();
+      const owner = connect(handler);
+      await owner.send({ type: 'chat', messageId: 'm1', content: 'Meu pedido é o 4521' });
+      const [first] = owner.ws.frames('chat_response');
+
+      const intruder = connect(handler);
+      intruder.connection.ip = '10.0.0.2';
+      await intruder.send({ type: 'chat', messageId: 'm1', sessionId: first.sessionId, content: 'Oi' });
+
+      expect(intruder.ws.frames('ack')[0]).toMatchObject({ status: 'received', duplicate: false });
+      expect(intruder.ws.frames('chat_response')[0]).toMatchObject({ content: 'Resposta: Oi' });
+      expect(intruder.ws.frames('chat_response')[0].sessionId).not.toBe(first.sessionId);
+      expect(sessionManager.getTranscript(first.sessionId)).toHaveLength(2);
+    });
+
+    test('deve reprocessar tentativas que falharam sem duplicar a mensagem do usuário', async () => {
+      aiManager.sendMessageWithTools.mockRejectedValueOnce(Object.assign(new Error('HTTP 500'), { type: 'api_error' }));
+      const { ws, send } = connect(createHandler());
+
+      await send({ type: 'chat', messageId: 'm1', content: 'Olá' });
+      await send({ type: 'chat', messageId: 'm1', content: 'Olá' });
+
+      const [error] = ws.frames('chat_error');
+      const [response] = ws.frames('chat_response');
+      expect(ws.frames('ack').map(frame => [frame.status, frame.duplicate])).toEqual([['received', false], ['received', true]]);
+      expect(response.userMessageId).toBe(error.userMessageId);
+      expect(aiManager.sendMessageWithTools).toHaveBeenCalledTimes(2);
+      expect(sessionManager.getTranscript(response.sessionId).map(msg => msg.role)).toEqual(['user', 'assistant']);
+    });
+
+    test('não deve chamar a IA de novo enquanto a primeira tentativa está em andamento', async () => {
+      aiManager.hold = true;
+      const { ws, send } = connect(createHandler());
+
+      const chat = send({ type: 'chat', messageId: 'm1', content: 'Olá' });
+      await new Promise(resolve => setImmediate(resolve));
+      await send({ type: 'chat', messageId: 'm1', content: 'Olá' });
+
+      expect(ws.frames('ack')[1]).toMatchObject({ status: 'processing', duplicate: true });
+      expect(aiManager.sendMessageWithTools).toHaveBeenCalledTimes(1);
+
+      await send({ type: 'chat_cancel', messageId: 'm1' });
+      await chat;
+    });
+
+    test('deve cancelar a geração mantendo o trecho parcial', async () => {
+      aiManager.hold = true;
+      const { ws, send, connection } = connect(createHandler({ streaming: true }));
+
+      const chat = send({ type: 'chat', messageId: 'm1', content: 'Conte uma história', stream: true });
+      await new Promise(resolve => setImmediate(resolve));
+      expect(connection.activeGenerations.has('m1')).toBe(true);
+
+      await send({ type: 'chat_cancel', messageId: 'm1' });
+      await chat;
+
+      const [cancelled] = ws.frames('chat_cancelled');
+      expect(cancelled).toMatchObject({ messageId: 'm1', cancelled: true, partialContent: 'Res' });
+      expect(connection.activeGenerations.size).toBe(0);
+
+      await send({ type: 'chat_cancel', messageId: 'm1' });
+      expect(ws.frames('chat_cancelled')[1]).toMatchObject({ cancelled: false, reason: 'not_found' });
+    });
+
+    test('deve continuar o trace do widget e devolver o traceId no chat_response', async () => {
+      const exported = [];
+      tracer.configure({ exporters: [{ exporterName: 'memory', export: spans => exported.push(...spans), close: async () => {} }] });
+      const { ws, send } = connect(createHandler());
+      const traceparent = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+      try {
+        await send({ type: 'chat', messageId: 'm1', content: 'Olá', traceparent });
+        aiManager.sendMessageWithTools.mockRejectedValueOnce(Object.assign(new Error('HTTP 500'), { type: 'api_error' }));
+        await send({ type: 'chat', messageId: 'm2', content: 'Olá de novo' });
+        await tracer.flush();
+      } finally {
+        tracer.configure();
+      }
+
+      const [response] = ws.frames('chat_response');
+      const [error] = ws.frames('chat_error');
+      expect(response.metadata.traceId).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+      expect(error.metadata.traceId).toMatch(/^[0-9a-f]{32}$/);
+      expect(error.metadata.traceId).not.toBe(response.metadata.traceId);
+
+      const root = exported.find(span => span.name === 'chat.frame' && span.traceId === response.metadata.traceId);
+      expect(root).toMatchObject({ parentSpanId: '00f067aa0ba902b7', kind: 'server', status: { code: 'ok' } });
+      expect(exported.filter(span => span.parentSpanId === root.spanId).map(span => span.name))
+        .toEqual(['session.resolve', 'chat.history', 'session.stage', 'knowledge.search']);
+
+      // A tentativa da IA recebe o trecho da mensagem como pai
+      const [, options] = aiManager.sendMessageWithTools.mock.calls[0];
+      expect(options.span).toBe(root);
+      expect(exported.find(span => span.traceId === error.metadata.traceId && span.name === 'chat.frame').status)
+        .toEqual({ code: 'error', message: 'HTTP 500' });
+    });
+
+    test('deve interromper gerações e liberar o visitante ao fechar a conexão', async () => {
+      aiManager.hold = true;
+      const handler = createHandler();
+      const { ws, send } = connect(handler);
+
+      const chat = send({ type: 'chat', messageId: 'm1', content: 'Olá' });
+      await new Promise(resolve => setImmediate(resolve));
+      const unregister = jest.spyOn(handoffManager, 'unregisterVisitor');
+
+      ws.close(1001, 'bye');
+      await chat;
+
+      expect(unregister).toHaveBeenCalledWith(ws);
+      expect(handler.getStats()).toMatchObject({ connectedClients: 0, activeGenerations: 0 });
+    });
+  });
+});
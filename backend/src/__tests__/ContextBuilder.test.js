@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import { ContextBuilder } from '../ai/ContextBuilder.js';
+import { TokenCounter } from '../ai/TokenCounter.js';
+
+const createProvider = (overrides = {}) => ({
+  providerName: 'fake',
+  config: { model: 'modelo-desconhecido', maxTokens: 100, systemPrompt: 'Você é um assistente.' },
+  ...overrides
+});
+
+const buildHistory = (length, content = 'Mensagem de teste com algumas palavras. ') =>
+  Array.from({ length }, (_, index) => ({
+    role: index % 2 === 0 ? 'user' : 'assistant',
+    content: `${index}: ${content.repeat(5)}`
+  }));
+
+describe('ContextBuilder', () => {
+  let consoleSpies;
+
+  beforeEach(() => {
+    consoleSpies = ['info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+  });
+
+  afterEach(() => {
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  describe('TokenCounter', () => {
+    test('deve escolher a codificação BPE dos modelos OpenAI', () => {
+      const counter = new TokenCounter();
+
+      expect(counter.getEncodingName('gpt-4o-mini')).toBe('o200k_base');
+      expect(counter.getEncodingName('openai/gpt-4.1-nano')).toBe('o200k_base');
+      expect(counter.getEncodingName('gpt-3.5-turbo')).toBe('cl100k_base');
+      expect(counter.getEncodingName('gpt-4-turbo')).toBe('cl100k_base');
+      expect(counter.getEncodingName('meta-llama/llama-3.1-8b-instruct:free')).toBeNull();
+    });
+
+    test('deve contar com o tokenizador real após carregá-lo', async () => {
+      const counter = new TokenCounter();
+
+      expect(counter.isExact('gpt-3.5-turbo')).toBe(false);
+      expect(await counter.loadEncoder('gpt-3.5-turbo')).not.toBeNull();
+
+      expect(counter.isExact('gpt-3.5-turbo')).toBe(true);
+      expect(counter.countText('hello world', 'gpt-3.5-turbo')).toBe(2);
+      expect(counter.countText('<|endoftext|>', 'gpt-3.5-turbo')).toBeGreaterThan(1);
+      expect(counter.countMessages([{ role: 'user', content: 'hello world' }], 'gpt-4')).toBe(2 + 4 + 3);
+    });
+
+    test('deve estimar de forma conservadora modelos sem tokenizador', async () => {
+      const counter = new TokenCounter();
+
+      expect(await counter.loadEncoder('llama3.1')).toBeNull();
+      expect(counter.countText('a'.repeat(30), 'llama3.1')).toBe(10);
+    });
+  });
+
+  describe('Janela de contexto', () => {
+    test('deve usar a tabela de modelos pelo prefixo mais longo', () => {
+      const builder = new ContextBuilder();
+
+      expect(builder.lookupContextWindow('meta-llama/llama-3.1-8b-instruct:free')).toBe(131072);
+      expect(builder.lookupContextWindow('openai/gpt-4o-mini')).toBe(128000);
+      expect(builder.lookupContextWindow('gpt-4-turbo')).toBe(128000);
+      expect(builder.lookupContextWindow('gpt-4')).toBe(8192);
+      expect(builder.lookupContextWindow('anthropic/claude-3.5-sonnet')).toBe(200000);
+      expect(builder.lookupContextWindow('modelo-desconhecido')).toBe(8192);
+    });
+
+    test('deve preferir a janela informada pelo provedor e guardá-la', async () => {
+      const builder = new ContextBuilder();
+      const getModelInfo = jest.fn().mockResolvedValue({ id: 'z-ai/glm-4.5-air:free', context_length: 65536 });
+      const provider = createProvider({ providerName: 'openrouter', getModelInfo });
+
+      expect(await builder.getContextWindow(provider, 'z-ai/glm-4.5-air:free')).toBe(65536);
+      expect(await builder.getContextWindow(provider, 'z-ai/glm-4.5-air:free')).toBe(65536);
+      expect(getModelInfo).toHaveBeenCalledTimes(1);
+    });
+
+    test('deve cair na tabela quando o provedor falha e respeitar a configuração', async () => {
+      const provider = createProvider({ getModelInfo: jest.fn().mockRejectedValue(new Error('sem rede')) });
+
+      expect(await new ContextBuilder().getContextWindow(provider, 'gpt-4o')).toBe(128000);
+      expect(await new ContextBuilder({ contextWindow: 4096 }).getContextWindow(provider, 'gpt-4o')).toBe(4096);
+    });
+  });
+
+  describe('build', () => {
+    test('deve manter o histórico inteiro quando cabe na janela', async () => {
+      const builder = new ContextBuilder({ contextWindow: 100000 });
+      const history = buildHistory(6);
+
+      const context = await builder.build(createProvider(), 'modelo-desconhecido', 'Oi', { history });
+
+      expect(context.history).toBe(history);
+      expect(context.removedMessages).toBe(0);
+    });
+
+    test('deve descartar os turnos mais antigos e reservar maxTokens para a resposta', async () => {
+      const builder = new ContextBuilder({ contextWindow: 1000, safetyMargin: 0 });
+      const history = buildHistory(21);
+
+      const context = await builder.build(createProvider(), 'modelo-desconhecido', 'Qual o preço?', {
+        history,
+        maxTokens: 400
+      });
+
+      expect(context.removedMessages).toBeGreaterThan(0);
+      expect(context.history).toEqual(history.slice(context.removedMessages));
+      expect(context.history[0].role).toBe('user');
+      expect(context.promptTokens).toBeLessThanOrEqual(1000 - 400);
+    });
+
+    test('deve contar ferramentas e resultados de ferramentas no orçamento', async () => {
+      const builder = new ContextBuilder({ contextWindow: 2000, safetyMargin: 0 });
+      const history = buildHistory(10);
+      const toolMessages = [{ role: 'tool', tool_call_id: 'call_1', content: 'x'.repeat(4000) }];
+
+      const withoutTools = await builder.build(createProvider(), 'modelo', 'Oi', { history });
+      const withTools = await builder.build(createProvider(), 'modelo', 'Oi', { history, toolMessages });
+
+      expect(withTools.history.length).toBeLessThan(withoutTools.history.length);
+    });
+
+    test('deve recusar a mensagem que não cabe nem sem histórico', async () => {
+      const builder = new ContextBuilder({ contextWindow: 1000 });
+
+      await expect(builder.build(createProvider(), 'modelo', 'x'.repeat(3000), { history: buildHistory(4) }))
+        .rejects.toMatchObject({ type: 'invalid_request', code: 'context_length_exceeded', provider: 'fake' });
+    });
+  });
+});
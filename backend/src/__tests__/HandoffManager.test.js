@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { HandoffManager, HANDOFF_ACTIVE_MESSAGE } from '../handoff/HandoffManager.js';
+import { SessionManager } from '../session/SessionManager.js';
+
+/**
+ * WebSocket falso que guarda os frames enviados
+ */
+const createSocket = () => {
+  const ws = new EventEmitter();
+  ws.OPEN = 1;
+  ws.readyState = 1;
+  ws.sent = [];
+  ws.send = data => ws.sent.push(JSON.parse(data));
+  ws.close = jest.fn(() => ws.emit('close'));
+  ws.frames = type => ws.sent.filter(frame => frame.type === type);
+  ws.receive = frame => ws.emit('message', Buffer.from(JSON.stringify(frame)));
+  return ws;
+};
+
+const ana = { id: 'ana', name: 'Ana' };
+const bruno = { id: 'bruno', name: 'Bruno' };
+
+describe('HandoffManager', () => {
+  let consoleSpies;
+  let sessionManager;
+  let handoff;
+  let session;
+  let visitor;
+  let agentSocket;
+
+  beforeEach(() => {
+    consoleSpies = ['log', 'info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+
+    sessionManager = new SessionManager();
+    handoff = new HandoffManager({ sessionManager });
+    session = sessionManager.createSession('127.0.0.1');
+    visitor = createSocket();
+    handoff.registerVisitor(session.id, visitor);
+    agentSocket = createSocket();
+    handoff.handleAgentConnection(agentSocket, ana);
+  });
+
+  afterEach(async () => {
+    await sessionManager.destroy();
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  test('deve listar as sessões ativas ao conectar o atendente', () => {
+    const [connected] = agentSocket.frames('agent_connected');
+
+    expect(connected.agent).toEqual(ana);
+    expect(connected.sessions).toEqual([
+      expect.objectContaining({ sessionId: session.id, status: 'active', handoff: null, visitorOnline: true })
+    ]);
+  });
+
+  test('deve pausar o bot, repassar mensagens e entregar respostas do atendente', () => {
+    agentSocket.receive({ type: 'session_claim', sessionId: session.id });
+
+    expect(agentSocket.frames('session_claimed')[0].sessionId).toBe(session.id);
+    expect(session.status).toBe('paused');
+    expect(handoff.isHandedOff(session)).toBe(true);
+    expect(visitor.frames('handoff')).toEqual([
+      expect.objectContaining({ active: true, agent: { name: 'Ana' }, message: HANDOFF_ACTIVE_MESSAGE })
+    ]);
+
+    sessionManager.addMessage(session.id, { role: 'user', content: 'Quero falar com alguém' });
+    expect(agentSocket.frames('session_message')[0].message).toMatchObject({
+      from: 'visitor',
+      content: 'Quero falar com alguém'
+    });
+
+    agentSocket.receive({ type: 'agent_message', sessionId: session.id, content: 'Olá, aqui é a Ana!', clientMessageId: 'c1' });
+
+    const [reply] = visitor.frames('chat_response');
+    expect(reply).toMatchObject({ from: 'agent', agent: { name: 'Ana' }, content: 'Olá, aqui é a Ana!' });
+    expect(agentSocket.frames('agent_message_sent')[0]).toMatchObject({ clientMessageId: 'c1', messageId: reply.messageId });
+    expect(sessionManager.getTranscript(session.id).map(message => message.from)).toEqual(['visitor', 'agent']);
+    expect(sessionManager.getTranscript(session.id)[1].metadata).toEqual({ from: 'agent', agentId: 'ana', agentName: 'Ana' });
+  });
+
+  test('deve devolver a sessão ao bot ao liberar', () => {
+    agentSocket.receive({ type: 'session_claim', sessionId: session.id });
+    agentSocket.receive({ type: 'session_release', sessionId: session.id });
+
+    expect(session.status).toBe('active');
+    expect(session.handoff).toBeNull();
+    expect(visitor.frames('handoff')[1]).toMatchObject({ active: false, reason: 'released' });
+    expect(agentSocket.frames('session_released')).toHaveLength(1);
+  });
+
+  test('deve impedir que outro atendente assuma ou responda a sessão', () => {
+    const brunoSocket = createSocket();
+    handoff.handleAgentConnection(brunoSocket, bruno);
+
+    agentSocket.receive({ type: 'session_claim', sessionId: session.id });
+    brunoSocket.receive({ type: 'session_claim', sessionId: session.id });
+    brunoSocket.receive({ type: 'agent_message', sessionId: session.id, content: 'Oi' });
+    brunoSocket.receive({ type: 'session_claim', sessionId: 'nao-existe' });
+
+    expect(brunoSocket.frames('agent_error').map(frame => frame.code)).toEqual([
+      'SESSION_CLAIMED', 'NOT_CLAIMED', 'SESSION_NOT_FOUND'
+    ]);
+    expect(session.handoff.agentId).toBe('ana');
+  });
+
+  test('deve devolver as sessões ao bot quando o atendente desconecta', () => {
+    agentSocket.receive({ type: 'session_claim', sessionId: session.id });
+    agentSocket.close();
+
+    expect(session.status).toBe('active');
+    expect(visitor.frames('handoff')[1]).toMatchObject({ active: false, reason: 'agent_disconnected' });
+  });
+
+  test('deve avisar o visitante que reconecta durante o atendimento humano', () => {
+    agentSocket.receive({ type: 'session_claim', sessionId: session.id });
+    handoff.unregisterVisitor(visitor);
+
+    const reconnected = createSocket();
+    handoff.registerVisitor(session.id, reconnected);
+
+    expect(reconnected.frames('handoff')[0]).toMatchObject({ active: true, agent: { name: 'Ana' } });
+  });
+
+  test('deve autenticar atendentes pelos tokens configurados', () => {
+    const secured = new HandoffManager({ sessionManager, tokens: { ana: 'token-ana', bruno: 'token-do-bruno' } });
+    const request = (url, headers = {}) => ({ url, headers });
+
+    expect(secured.authenticate(request('/ws/agent?token=token-ana&name=Ana%20Souza'))).toEqual({ id: 'ana', name: 'Ana Souza' });
+    expect(secured.authenticate(request('/ws/agent', { authorization: 'Bearer token-ana' }))).toEqual({ id: 'ana', name: 'ana' });
+    expect(secured.authenticate(request('/ws/agent?token=token-do-bruno'))).toEqual({ id: 'bruno', name: 'bruno' });
+    expect(secured.authenticate(request('/ws/agent?token=errado'))).toBeNull();
+    expect(secured.authenticate(request('/ws/agent?token=token-an'))).toBeNull();
+    expect(secured.authenticate(request('/ws/agent'))).toBeNull();
+  });
+
+  test('deve recusar atendentes sem AGENT_TOKENS, salvo no modo aberto explícito', () => {
+    const request = (url) => ({ url, headers: {} });
+
+    expect(handoff.authenticate(request('/ws/agent?agent=dev'))).toBeNull();
+
+    const open = new HandoffManager({ sessionManager, allowAnonymous: true });
+    expect(open.authenticate(request('/ws/agent?agent=dev'))).toEqual({ id: 'dev', name: 'dev' });
+  });
+});
@@ -0,0 +1,161 @@
+import { jest } from '@jest/globals';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { KnowledgeBase } from '../knowledge/KnowledgeBase.js';
+import { BM25Index, tokenize } from '../knowledge/BM25Index.js';
+import { parseDocument, parseCSV, chunkText } from '../knowledge/documentLoaders.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = join(__dirname, 'fixtures', 'knowledge');
+
+// Embeddings de brinquedo: uma dimensão por tema
+const THEMES = [['entrega', 'frete', 'prazo', 'envio'], ['troca', 'reembolso', 'devolucao'], ['plano', 'preco', 'usuarios']];
+const fakeEmbedding = text => {
+  const terms = tokenize(text);
+  return THEMES.map(theme => terms.filter(term => theme.some(word => term.startsWith(word))).length);
+};
+
+describe('KnowledgeBase', () => {
+  let consoleSpies;
+
+  beforeEach(() => {
+    consoleSpies = ['info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+  });
+
+  afterEach(() => {
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  describe('Leitura de documentos', () => {
+    test('deve dividir Markdown por cabeçalho mantendo a hierarquia', () => {
+      const { title, sections } = parseDocument('# Guia\n\nIntro\n\n## Entrega\n\n### Prazo\n\n3 dias\n\n## Trocas\n\n30 dias', 'guia.md');
+
+      expect(title).toBe('Guia');
+      expect(sections).toEqual([
+        { section: 'Guia', text: 'Intro' },
+        { section: 'Guia > Entrega > Prazo', text: '3 dias' },
+        { section: 'Guia > Trocas', text: '30 dias' }
+      ]);
+    });
+
+    test('deve separar páginas de texto extraído de PDF e linhas de CSV', () => {
+      expect(parseDocument('Página um\fPágina dois', 'manual-do-produto.txt')).toEqual({
+        title: 'manual do produto',
+        sections: [{ section: 'página 1', text: 'Página um' }, { section: 'página 2', text: 'Página dois' }]
+      });
+
+      expect(parseCSV('\uFEFFnome;obs\n"Ana";"disse ""oi""; tchau"\r\n')).toEqual([['nome', 'obs'], ['Ana', 'disse "oi"; tchau']]);
+      expect(parseDocument('plano,preco\nBásico,49\n', 'planos.csv').sections).toEqual([
+        { section: 'linha 2', text: 'plano: Básico\npreco: 49' }
+      ]);
+    });
+
+    test('deve quebrar textos longos em trechos com sobreposição', () => {
+      const paragraphs = Array.from({ length: 6 }, (_, index) => `Parágrafo ${index} ${'palavra '.repeat(20).trim()}.`);
+      const chunks = chunkText(paragraphs.join('\n\n'), { chunkSize: 300, chunkOverlap: 40 });
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(300));
+      expect(chunks[1].startsWith('Parágrafo')).toBe(false); // Começa com o final do trecho anterior
+      expect(chunkText('x '.repeat(1000), { chunkSize: 200, chunkOverlap: 0 }).every(chunk => chunk.length <= 200)).toBe(true);
+    });
+  });
+
+  describe('BM25', () => {
+    test('deve ranquear pelos termos da consulta sem acentos e stopwords', () => {
+      const index = new BM25Index();
+      index.add('a', 'O prazo de entrega é de 3 dias úteis');
+      index.add('b', 'Trocas em até 30 dias');
+      index.add('c', 'Entrega expressa e entrega agendada');
+
+      expect(tokenize('Qual é o prazo de ENTREGA?')).toEqual(['prazo', 'entrega']);
+      expect(index.search('prazo da entrega').map(result => result.id)).toEqual(['a', 'c']);
+      expect(index.search('assinatura')).toEqual([]);
+    });
+  });
+
+  describe('Busca', () => {
+    test('deve indexar os arquivos suportados do diretório e subdiretórios', async () => {
+      const knowledgeBase = new KnowledgeBase({ directory: FIXTURES_DIR });
+      await knowledgeBase.initialize();
+
+      expect(knowledgeBase.documents.map(document => document.id)).toEqual(['atendimento.md', 'politicas.txt', 'precos/planos.csv']);
+      expect(knowledgeBase.getHealthStatus()).toMatchObject({ status: 'ok', documents: 3, embeddings: false });
+    });
+
+    test('deve retornar os trechos mais relevantes com a origem', async () => {
+      const knowledgeBase = new KnowledgeBase({ directory: FIXTURES_DIR, topK: 2 });
+      await knowledgeBase.initialize();
+
+      const passages = await knowledgeBase.search('Qual o prazo de entrega para o interior?');
+
+      expect(passages).toHaveLength(2);
+      expect(passages[0]).toMatchObject({
+        title: 'Guia de Atendimento',
+        source: 'atendimento.md',
+        section: 'Guia de Atendimento > Entrega > Prazo'
+      });
+      expect(passages[0].text).toContain('5 a 7 dias úteis');
+
+      const [plan] = await knowledgeBase.search('quanto custa o plano profissional?');
+      expect(plan).toMatchObject({ source: 'precos/planos.csv', section: 'linha 3' });
+      expect(await knowledgeBase.search('bom dia')).toEqual([]);
+    });
+
+    test('deve formatar o contexto do prompt e as fontes citadas', async () => {
+      const knowledgeBase = new KnowledgeBase({ directory: FIXTURES_DIR, topK: 1 });
+      await knowledgeBase.initialize();
+
+      const passages = await knowledgeBase.search('reembolso via pix');
+      const context = knowledgeBase.formatContext(passages);
+
+      expect(context).toContain('[1] politicas — página 2');
+      expect(context).toContain('O reembolso via PIX');
+      expect(context).toContain('cite a fonte');
+      expect(knowledgeBase.formatContext([])).toBe('');
+      expect(knowledgeBase.toSources(passages)).toEqual([
+        expect.objectContaining({ index: 1, title: 'politicas', source: 'politicas.txt', section: 'página 2' })
+      ]);
+    });
+
+    test('deve deixar a base vazia quando o diretório não existe', async () => {
+      const knowledgeBase = new KnowledgeBase({ directory: join(FIXTURES_DIR, 'inexistente') });
+      await knowledgeBase.initialize();
+
+      expect(knowledgeBase.chunks.size).toBe(0);
+      expect(await knowledgeBase.search('entrega')).toEqual([]);
+    });
+  });
+
+  describe('Embeddings', () => {
+    test('deve combinar BM25 com a similaridade dos embeddings do provedor', async () => {
+      const aiManager = {
+        createEmbeddings: jest.fn(async texts => texts.map(fakeEmbedding))
+      };
+      const knowledgeBase = new KnowledgeBase({ directory: FIXTURES_DIR, embeddings: true, aiManager, topK: 1 });
+      await knowledgeBase.initialize();
+
+      expect(knowledgeBase.getHealthStatus().embeddings).toBe(true);
+
+      // Sem termo em comum com o documento: só a similaridade encontra o trecho
+      const [passage] = await knowledgeBase.search('envio');
+      expect(passage.section).toContain('Entrega');
+      expect(passage).not.toHaveProperty('embedding');
+      expect(aiManager.createEmbeddings).toHaveBeenLastCalledWith(['envio'], { model: undefined });
+    });
+
+    test('deve seguir apenas com BM25 quando o provedor não gera embeddings', async () => {
+      const aiManager = {
+        createEmbeddings: jest.fn().mockRejectedValue(new Error('Provedor atual não suporta embeddings'))
+      };
+      const knowledgeBase = new KnowledgeBase({ directory: FIXTURES_DIR, embeddings: true, aiManager });
+      await knowledgeBase.initialize();
+
+      expect(knowledgeBase.getHealthStatus()).toMatchObject({ status: 'warning', embeddings: false });
+      expect((await knowledgeBase.search('frete grátis'))[0].section).toContain('Frete');
+      expect(aiManager.createEmbeddings).toHaveBeenCalledTimes(1);
+    });
+  });
+});
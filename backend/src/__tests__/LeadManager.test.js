@@ -0,0 +1,338 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import { createServer } from 'http';
+import { createHmac } from 'crypto';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import express from 'express';
+import request from 'supertest';
+import { LeadManager } from '../leads/LeadManager.js';
+import { createLeadSink, CsvLeadSink, WebhookLeadSink } from '../leads/sinks/index.js';
+import { createLeadRoutes } from '../routes/leads.js';
+import { SessionManager } from '../session/SessionManager.js';
+import { BotProfileRegistry } from '../profiles/BotProfileRegistry.js';
+
+/**
+ * Sink em memória para inspecionar as versões exportadas
+ */
+const createMemorySink = () => ({
+  sinkName: 'memory',
+  written: [],
+  connect: jest.fn(async () => {}),
+  write: jest.fn(async function (lead) { this.written.push(lead); }),
+  readAll: jest.fn(async () => []),
+  close: jest.fn(async () => {}),
+  getSinkInfo: () => ({ name: 'memory' })
+});
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('LeadManager', () => {
+  let consoleSpies;
+  let tmpDir;
+
+  beforeEach(async () => {
+    consoleSpies = ['log', 'info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+    tmpDir = await fs.mkdtemp(join(tmpdir(), 'leads-'));
+  });
+
+  afterEach(async () => {
+    consoleSpies.forEach(spy => spy.mockRestore());
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('captura pelas sessões', () => {
+    let sessionManager;
+    let leadManager;
+    let sink;
+
+    beforeEach(async () => {
+      sink = createMemorySink();
+      sessionManager = new SessionManager();
+      leadManager = new LeadManager({ sinks: [sink] });
+      await leadManager.initialize();
+      leadManager.attach(sessionManager);
+    });
+
+    afterEach(async () => {
+      await sessionManager.destroy();
+      await leadManager.close();
+    });
+
+    test('deve capturar quando os dados obrigatórios forem preenchidos', async () => {
+      const session = sessionManager.createSession('127.0.0.1');
+
+      sessionManager.addMessage(session.id, { role: 'user', content: 'Oi, me chamo Carla' });
+      expect(sink.write).not.toHaveBeenCalled();
+
+      sessionManager.addMessage(session.id, { role: 'user', content: 'Meu whatsapp é 11987654321, quero botox' });
+      await flushPromises();
+
+      expect(sink.written).toHaveLength(1);
+      expect(sink.written[0]).toMatchObject({
+        id: `lead_${session.id}`,
+        sessionId: session.id,
+        profileId: 'default',
+        trigger: 'slots_complete',
+        customerName: 'Carla',
+        customerInfo: { nome: 'Carla', telefone: '11987654321' },
+        topic: 'botox',
+        summary: 'Oi, me chamo Carla / Meu whatsapp é 11987654321, quero botox'
+      });
+    });
+
+    test('deve atualizar o lead no estágio de captura e ao fim da sessão', async () => {
+      const session = sessionManager.createSession('127.0.0.1');
+
+      sessionManager.addMessage(session.id, { role: 'user', content: 'Quero saber sobre estrias. Tchau!' });
+      await sessionManager.waitForStage(session.id);
+      await flushPromises();
+
+      expect(session.context.stage).toBe('closing');
+      expect(sink.written.map(lead => lead.trigger)).toEqual(['stage_reached']);
+
+      sessionManager.endSession(session.id, 'client_closed');
+      await flushPromises();
+
+      expect(sink.written.map(lead => lead.trigger)).toEqual(['stage_reached', 'session_ended']);
+      expect(sink.written[1]).toMatchObject({
+        id: sink.written[0].id,
+        createdAt: sink.written[0].createdAt,
+        status: 'ended',
+        endReason: 'client_closed'
+      });
+      expect(leadManager.query().total).toBe(1);
+    });
+
+    test('deve exportar a sessão encerrada uma única vez', async () => {
+      const session = sessionManager.createSession('127.0.0.1');
+      sessionManager.addMessage(session.id, { role: 'user', content: 'Quero saber sobre estrias' });
+      await sessionManager.waitForStage(session.id);
+
+      sessionManager.endSession(session.id, 'timeout');
+      session.lastActivity = new Date(Date.now() - 2 * sessionManager.config.sessionTimeout);
+      sessionManager.cleanupExpiredSessions();
+      await sessionManager.destroy();
+
+      // Evento repetido com outro motivo também não reexporta
+      sessionManager.emit('sessionEnded', { ...session, endReason: 'shutdown' });
+      await flushPromises();
+
+      const ended = sink.written.filter(lead => lead.status === 'ended');
+      expect(ended.map(lead => [lead.trigger, lead.endReason])).toEqual([['session_ended', 'timeout']]);
+    });
+
+    test('não deve gerar lead para sessões sem mensagens do cliente', async () => {
+      const session = sessionManager.createSession('127.0.0.1');
+      sessionManager.endSession(session.id, 'timeout');
+      await flushPromises();
+
+      expect(sink.write).not.toHaveBeenCalled();
+    });
+
+    test('deve usar as regras de captura do perfil', async () => {
+      await sessionManager.destroy();
+      const profiles = new BotProfileRegistry({
+        profiles: [{ id: 'agenda', lead: { requiredSlots: ['email'] } }]
+      });
+      await profiles.initialize();
+      sessionManager = new SessionManager({ profiles });
+      leadManager.attach(sessionManager);
+
+      const session = sessionManager.createSession('127.0.0.1', { profileId: 'agenda' });
+      sessionManager.addMessage(session.id, { role: 'user', content: 'Me chamo Carla, telefone 11987654321' });
+      await flushPromises();
+      expect(sink.write).not.toHaveBeenCalled();
+
+      sessionManager.mergeCustomerInfo(session, { email: { value: 'carla@exemplo.com', confidence: 1 } }, null, 'llm');
+      sessionManager.emit('slotsExtracted', { sessionId: session.id });
+      await flushPromises();
+
+      expect(sink.written[0]).toMatchObject({ profileId: 'agenda', trigger: 'slots_complete' });
+    });
+  });
+
+  test('deve consultar o índice com filtros', () => {
+    const leadManager = new LeadManager();
+    const base = { customerInfo: {}, summary: '', stage: 'closing' };
+
+    leadManager.index({ ...base, id: 'lead_1', sessionId: 's1', profileId: 'default', trigger: 'session_ended', topic: 'botox', customerName: 'Ana', updatedAt: '2024-05-01T10:00:00.000Z' });
+    leadManager.index({ ...base, id: 'lead_2', sessionId: 's2', profileId: 'imobiliaria', trigger: 'slots_complete', topic: null, customerName: 'Bruno', updatedAt: '2024-05-03T10:00:00.000Z' });
+    leadManager.index({ ...base, id: 'lead_3', sessionId: 's3', profileId: 'default', trigger: 'stage_reached', topic: 'botox', customerName: 'Carla', customerInfo: { telefone: '11987654321' }, updatedAt: '2024-05-05T10:00:00.000Z' });
+
+    expect(leadManager.query().leads.map(lead => lead.id)).toEqual(['lead_3', 'lead_2', 'lead_1']);
+    expect(leadManager.query({ profileId: 'default', topic: 'botox' }).total).toBe(2);
+    expect(leadManager.query({ since: '2024-05-02', until: '2024-05-04' }).leads.map(lead => lead.id)).toEqual(['lead_2']);
+    expect(leadManager.query({ q: '98765' }).leads.map(lead => lead.id)).toEqual(['lead_3']);
+    expect(leadManager.query({ limit: '1', offset: '1' })).toEqual({
+      total: 3,
+      leads: [expect.objectContaining({ id: 'lead_2' })]
+    });
+    expect(leadManager.get('lead_1').customerName).toBe('Ana');
+  });
+
+  describe('sinks', () => {
+    const lead = {
+      id: 'lead_1',
+      sessionId: 's1',
+      profileId: 'default',
+      trigger: 'session_ended',
+      customerName: 'Ana "Aninha"',
+      customerInfo: { telefone: '11987654321' },
+      summary: '=HYPERLINK("x"), olá',
+      updatedAt: '2024-05-01T10:00:00.000Z'
+    };
+
+    test('jsonl deve anexar versões e reconstruir o índice', async () => {
+      const path = join(tmpDir, 'leads', 'leads.jsonl');
+      const sink = createLeadSink({ type: 'jsonl', path });
+      const leadManager = new LeadManager({ sinks: [sink] });
+      await leadManager.initialize();
+
+      await sink.write(lead);
+      await sink.write({ ...lead, trigger: 'stage_reached' });
+
+      expect((await fs.readFile(path, 'utf8')).trim().split('\n')).toHaveLength(2);
+
+      const restored = new LeadManager({ sinks: [createLeadSink({ type: 'jsonl', path })] });
+      await restored.initialize();
+      expect(restored.query().leads).toEqual([{ ...lead, trigger: 'stage_reached' }]);
+    });
+
+    test('csv deve escrever cabeçalho e escapar valores', async () => {
+      const path = join(tmpDir, 'leads.csv');
+      const sink = new CsvLeadSink({ path });
+      await sink.connect();
+      await sink.write(lead);
+      await new CsvLeadSink({ path }).connect(); // Não duplica o cabeçalho
+
+      const lines = (await fs.readFile(path, 'utf8')).trim().split('\r\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toMatch(/^id,sessionId,profileId,trigger,/);
+      expect(lines[1]).toContain('"Ana ""Aninha"""');
+      expect(lines[1]).toContain('"{""telefone"":""11987654321""}"');
+      expect(lines[1]).toContain(`"'=HYPERLINK(""x""), olá"`);
+    });
+
+    test('createLeadSink deve rejeitar tipos desconhecidos', () => {
+      expect(() => createLeadSink({ type: 'ftp' })).toThrow('Destino de leads não suportado: ftp');
+      expect(() => createLeadSink({ type: 'webhook' })).toThrow('URL do webhook');
+    });
+
+    describe('webhook', () => {
+      let server;
+      let received;
+      let statuses;
+      let url;
+
+      beforeEach(async () => {
+        received = [];
+        statuses = [];
+        server = createServer((req, res) => {
+          let body = '';
+          req.on('data', chunk => { body += chunk; });
+          req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = statuses.shift() || 200;
+            res.end();
+          });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/leads`;
+      });
+
+      afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+      });
+
+      test('deve assinar o corpo com HMAC-SHA256', async () => {
+        const sink = new WebhookLeadSink({ url, secret: 'segredo' });
+        await sink.write(lead);
+
+        const expected = 'sha256=' + createHmac('sha256', 'segredo').update(received[0].body).digest('hex');
+        expect(JSON.parse(received[0].body)).toEqual(lead);
+        expect(received[0].headers['x-signature-256']).toBe(expected);
+        expect(received[0].headers['x-lead-id']).toBe('lead_1');
+      });
+
+      test('deve reenviar com backoff após falhas e desistir após maxRetries', async () => {
+        statuses = [500, 503];
+        const sink = new WebhookLeadSink({ url, secret: 'segredo', retryDelay: 10, maxRetries: 3 });
+
+        await sink.write(lead);
+        expect(received).toHaveLength(1);
+        expect(sink.getSinkInfo().pendingRetries).toBe(1);
+
+        await new Promise(resolve => setTimeout(resolve, 150));
+        expect(received).toHaveLength(3);
+        expect(sink.getSinkInfo().pendingRetries).toBe(0);
+
+        statuses = [500, 500];
+        const limited = new WebhookLeadSink({ url, retryDelay: 10, maxRetries: 1 });
+        await limited.write(lead);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(received).toHaveLength(5);
+        expect(limited.getSinkInfo().pendingRetries).toBe(0);
+      });
+
+      test('close deve cancelar reenvios pendentes', async () => {
+        statuses = [500];
+        const sink = new WebhookLeadSink({ url, retryDelay: 50 });
+
+        await sink.write(lead);
+        await sink.close();
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        expect(received).toHaveLength(1);
+      });
+    });
+  });
+
+  describe('GET /api/leads', () => {
+    let leadManager;
+
+    const createApp = (options) => {
+      const app = express();
+      app.use('/api/leads', createLeadRoutes(leadManager, options));
+      return app;
+    };
+
+    beforeEach(() => {
+      leadManager = new LeadManager();
+      leadManager.index({ id: 'lead_1', sessionId: 's1', profileId: 'default', customerInfo: {}, updatedAt: '2024-05-01T10:00:00.000Z' });
+    });
+
+    test('deve exigir a chave de administração', async () => {
+      const app = createApp({ apiKey: 'chave' });
+
+      expect((await request(app).get('/api/leads')).status).toBe(401);
+      expect((await request(app).get('/api/leads').set('Authorization', 'Bearer errada')).status).toBe(401);
+      expect((await request(app).get('/api/leads').set('X-API-Key', 'chav')).status).toBe(401);
+
+      const response = await request(app).get('/api/leads?profileId=default').set('X-API-Key', 'chave');
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ total: 1, count: 1 });
+    });
+
+    test('deve bloquear sem chave configurada, salvo se aberta explicitamente', async () => {
+      const blocked = await request(createApp({})).get('/api/leads');
+      expect(blocked.status).toBe(503);
+      expect(blocked.body.code).toBe('ADMIN_NOT_CONFIGURED');
+
+      expect((await request(createApp({ allowUnauthenticated: true })).get('/api/leads')).status).toBe(200);
+    });
+
+    test('deve validar datas e retornar 404 para lead desconhecido', async () => {
+      const app = createApp({ allowUnauthenticated: true });
+
+      const invalid = await request(app).get('/api/leads?since=ontem');
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.code).toBe('VALIDATION_ERROR');
+
+      expect((await request(app).get('/api/leads/lead_1')).body.data.id).toBe('lead_1');
+      expect((await request(app).get('/api/leads/lead_x')).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { jest } from '@jest/globals';
+import { LocalProvider } from '../ai/providers/LocalProvider.js';
+import { AIProviderManager } from '../ai/AIProviderManager.js';
+import { startStubServer, sendJSON, sendSSE } from './fixtures/stub-llm-server.mjs';
+
+const completion = (content, usage = { prompt_tokens: 10, completion_tokens: 4, total_tokens: 14 }) => ({
+  id: 'chatcmpl-local',
+  object: 'chat.completion',
+  model: 'llama3.1',
+  choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+  usage
+});
+
+describe('LocalProvider', () => {
+  let consoleSpies;
+  let stub;
+
+  const startLocalServer = (chatRoute) => startStubServer({
+    'GET /v1/models': (request, res) => sendJSON(res, 200, {
+      object: 'list',
+      data: [{ id: 'llama3.1', object: 'model' }]
+    }),
+    'POST /v1/chat/completions': chatRoute
+  });
+
+  beforeEach(() => {
+    consoleSpies = ['log', 'info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+  });
+
+  afterEach(async () => {
+    await stub?.close();
+    stub = null;
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  test('deve conversar com o servidor local sem chave de API', async () => {
+    stub = await startLocalServer((request, res) => sendJSON(res, 200, completion('Olá! Em que posso ajudar?')));
+
+    const provider = new LocalProvider({ baseURL: `${stub.url}/v1/`, model: 'llama3.1' });
+    await provider.initialize();
+
+    const response = await provider.sendMessage('Oi', {
+      requestId: 'req_local',
+      history: [{ role: 'assistant', content: 'Bem-vindo!' }]
+    });
+
+    const [health, chat] = stub.requests;
+    expect(health.headers.authorization).toBeUndefined();
+    expect(chat.headers.authorization).toBeUndefined();
+    expect(chat.body).toMatchObject({
+      model: 'llama3.1',
+      stream: false,
+      messages: [
+        { role: 'system', content: expect.any(String) },
+        { role: 'assistant', content: 'Bem-vindo!' },
+        { role: 'user', content: 'Oi' }
+      ]
+    });
+    expect(response).toMatchObject({
+      id: 'req_local',
+      message: 'Olá! Em que posso ajudar?',
+      provider: 'local',
+      usage: { promptTokens: 10, completionTokens: 4, totalTokens: 14 }
+    });
+  });
+
+  test('deve transmitir chunks SSE até o [DONE]', async () => {
+    const chunk = (delta, extra = {}) => ({ data: { model: 'llama3.1', choices: [{ index: 0, delta, finish_reason: null }], ...extra } });
+
+    stub = await startLocalServer((request, res) => sendSSE(res, [
+      chunk({ role: 'assistant', content: 'Olá' }),
+      chunk({ content: ', tudo bem?' }),
+      { data: { model: 'llama3.1', choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] } },
+      { data: { model: 'llama3.1', choices: [], usage: { prompt_tokens: 8, completion_tokens: 5, total_tokens: 13 } } },
+      { data: '[DONE]' }
+    ]));
+
+    const provider = new LocalProvider({ baseURL: `${stub.url}/v1`, model: 'llama3.1' });
+    await provider.initialize();
+
+    const deltas = [];
+    const response = await provider.sendMessage('Oi', { onDelta: delta => deltas.push(delta) });
+
+    expect(stub.requests[1].body).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    expect(deltas).toEqual(['Olá', ', tudo bem?']);
+    expect(response.message).toBe('Olá, tudo bem?');
+    expect(response.usage.totalTokens).toBe(13);
+    expect(response.metadata.streamed).toBe(true);
+  });
+
+  test('deve enviar a chave opcional quando configurada', async () => {
+    stub = await startLocalServer((request, res) => sendJSON(res, 200, completion('Ok')));
+
+    const provider = new LocalProvider({ baseURL: `${stub.url}/v1`, apiKey: 'token-local' });
+    await provider.initialize();
+
+    expect(stub.requests[0].headers.authorization).toBe('Bearer token-local');
+  });
+
+  test('deve reportar servidor fora do ar como indisponível', async () => {
+    stub = await startLocalServer(() => {});
+    const baseURL = `${stub.url}/v1`;
+    await stub.close();
+    stub = null;
+
+    const provider = new LocalProvider({ baseURL });
+
+    await expect(provider.initialize()).rejects.toMatchObject({ type: 'service_unavailable', provider: 'local' });
+  });
+
+  test('deve ser registrado no AIProviderManager como provedor "local"', async () => {
+    stub = await startLocalServer((request, res) => sendJSON(res, 200, completion('Resposta offline')));
+    process.env.LOCAL_AI_BASE_URL = `${stub.url}/v1`;
+
+    try {
+      const manager = new AIProviderManager({ provider: 'local', model: 'llama3.1' });
+      await manager.initialize();
+
+      const response = await manager.sendMessage('Oi');
+
+      expect(manager.currentProvider.providerName).toBe('local');
+      expect(response.message).toBe('Resposta offline');
+    } finally {
+      delete process.env.LOCAL_AI_BASE_URL;
+    }
+  });
+});
@@ -0,0 +1,206 @@
+import { jest } from '@jest/globals';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { MCPClient } from '../mcp/MCPClient.js';
+import { MCPToolRegistry } from '../mcp/MCPToolRegistry.js';
+import { AIProviderManager } from '../ai/AIProviderManager.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fakeServer = {
+  command: process.execPath,
+  args: [join(__dirname, 'fixtures', 'fake-mcp-server.mjs')],
+  statusMessage: 'consultando agenda…'
+};
+
+describe('Ferramentas MCP', () => {
+  let consoleSpies;
+
+  beforeEach(() => {
+    consoleSpies = ['log', 'info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+  });
+
+  afterEach(() => {
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  describe('MCPClient', () => {
+    let client;
+
+    afterEach(async () => {
+      await client?.close();
+    });
+
+    test('deve executar handshake e listar ferramentas paginadas', async () => {
+      client = new MCPClient('agenda', fakeServer);
+      const result = await client.connect();
+
+      expect(client.isConnected).toBe(true);
+      expect(result.serverInfo.name).toBe('fake-agenda');
+
+      const tools = await client.listTools();
+      expect(tools.map(t => t.name)).toEqual(['listar_horarios', 'falhar']);
+    });
+
+    test('deve rejeitar erros JSON-RPC do servidor', async () => {
+      client = new MCPClient('agenda', fakeServer);
+      await client.connect();
+
+      await expect(client.callTool('inexistente')).rejects.toThrow('Ferramenta desconhecida');
+    });
+
+    test('deve rejeitar requisições pendentes quando o processo termina', async () => {
+      client = new MCPClient('quebrado', {
+        command: process.execPath,
+        args: ['-e', 'process.stdin.once("data", () => process.exit(3))']
+      });
+
+      await expect(client.connect()).rejects.toThrow("encerrado (code 3)");
+    });
+  });
+
+  describe('MCPToolRegistry', () => {
+    let registry;
+
+    beforeEach(async () => {
+      registry = new MCPToolRegistry({ servers: { agenda: fakeServer } });
+      await registry.initialize();
+    });
+
+    afterEach(async () => {
+      await registry.close();
+    });
+
+    test('deve expor ferramentas no formato de function calling', () => {
+      const definitions = registry.getToolDefinitions();
+
+      expect(definitions).toHaveLength(2);
+      expect(definitions[0]).toEqual({
+        type: 'function',
+        function: {
+          name: 'agenda__listar_horarios',
+          description: 'Lista horários livres em uma data',
+          parameters: expect.objectContaining({ required: ['data'] })
+        }
+      });
+    });
+
+    test('deve executar ferramenta e devolver texto do resultado', async () => {
+      const result = await registry.executeToolCall({
+        id: 'call_1',
+        name: 'agenda__listar_horarios',
+        arguments: '{"data":"2024-05-10"}'
+      });
+
+      expect(result).toMatchObject({
+        toolCallId: 'call_1',
+        server: 'agenda',
+        content: 'Horários em 2024-05-10: 09:00, 14:30',
+        isError: false
+      });
+    });
+
+    test('deve converter falhas em resultados com isError', async () => {
+      const toolError = await registry.executeToolCall({ id: 'c1', name: 'agenda__falhar', arguments: '{}' });
+      const unknown = await registry.executeToolCall({ id: 'c2', name: 'outro__x', arguments: '{}' });
+      const invalidArgs = await registry.executeToolCall({ id: 'c3', name: 'agenda__listar_horarios', arguments: '{data' });
+
+      expect(toolError).toMatchObject({ isError: true, content: 'Agenda indisponível' });
+      expect(unknown.isError).toBe(true);
+      expect(invalidArgs.content).toMatch('Argumentos inválidos');
+    });
+
+    test('deve usar status configurado do servidor', () => {
+      expect(registry.getToolStatus('agenda__listar_horarios')).toBe('consultando agenda…');
+    });
+
+    test('deve ignorar servidores que falham ao iniciar', async () => {
+      const partial = new MCPToolRegistry({
+        servers: {
+          agenda: fakeServer,
+          ausente: { command: join(__dirname, 'nao-existe') }
+        }
+      });
+      await partial.initialize();
+
+      expect(partial.getStats().servers.map(s => s.name)).toEqual(['agenda']);
+      await partial.close();
+    });
+  });
+
+  describe('AIProviderManager.sendMessageWithTools', () => {
+    let registry;
+
+    beforeEach(async () => {
+      registry = new MCPToolRegistry({ servers: { agenda: fakeServer }, maxToolIterations: 2 });
+      await registry.initialize();
+    });
+
+    afterEach(async () => {
+      await registry.close();
+    });
+
+    test('deve executar ferramentas pedidas pelo modelo até a resposta final', async () => {
+      const manager = new AIProviderManager({
+        provider: 'mock',
+        mockReplies: [
+          { toolCalls: [{ name: 'agenda__listar_horarios', arguments: { data: 'amanhã' } }] },
+          'Temos horários às 09:00 e 14:30.'
+        ]
+      });
+      await manager.initialize();
+      const sendSpy = jest.spyOn(manager.currentProvider, 'sendMessage');
+
+      const toolCalls = [];
+      const toolResults = [];
+      const response = await manager.sendMessageWithTools('Tem horário amanhã?', {
+        onToolCall: (call) => toolCalls.push(call),
+        onToolResult: (result) => toolResults.push(result)
+      }, registry);
+
+      expect(response.message).toBe('Temos horários às 09:00 e 14:30.');
+      expect(toolCalls[0]).toMatchObject({ name: 'agenda__listar_horarios', status: 'consultando agenda…' });
+      expect(toolResults[0].content).toBe('Horários em amanhã: 09:00, 14:30');
+      expect(response.metadata.toolCalls).toEqual([
+        expect.objectContaining({ name: 'agenda__listar_horarios', isError: false })
+      ]);
+
+      const secondCall = sendSpy.mock.calls[1][1];
+      expect(secondCall.tools).toHaveLength(2);
+      expect(secondCall.toolMessages).toEqual([
+        expect.objectContaining({ role: 'assistant', tool_calls: [expect.objectContaining({ type: 'function' })] }),
+        expect.objectContaining({ role: 'tool', tool_call_id: toolCalls[0].id })
+      ]);
+    });
+
+    test('deve desabilitar ferramentas ao atingir o limite de iterações', async () => {
+      const manager = new AIProviderManager({
+        provider: 'mock',
+        mockReplies: [
+          { toolCalls: [{ name: 'agenda__falhar' }] },
+          { toolCalls: [{ name: 'agenda__falhar' }] },
+          { content: 'Não consegui acessar a agenda agora.', toolCalls: [{ name: 'agenda__falhar' }] }
+        ]
+      });
+      await manager.initialize();
+      const sendSpy = jest.spyOn(manager.currentProvider, 'sendMessage');
+
+      const response = await manager.sendMessageWithTools('Tem horário?', {}, registry);
+
+      expect(sendSpy).toHaveBeenCalledTimes(3);
+      expect(sendSpy.mock.calls[2][1].toolChoice).toBe('none');
+      expect(response.message).toBe('Não consegui acessar a agenda agora.');
+    });
+
+    test('deve enviar sem ferramentas quando o registro está vazio', async () => {
+      const manager = new AIProviderManager({ provider: 'mock', mockReplies: ['Oi'] });
+      await manager.initialize();
+      const sendSpy = jest.spyOn(manager, 'sendMessage');
+
+      await manager.sendMessageWithTools('Oi', {}, new MCPToolRegistry());
+
+      expect(sendSpy.mock.calls[0][1].tools).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import { jest } from '@jest/globals';
+import { MessageRouter } from '../handlers/MessageRouter.js';
+import {
+  MESSAGE_SCHEMAS,
+  PROTOCOL_VERSION,
+  createProtocolError,
+  negotiateProtocolVersion,
+  selectSubprotocol
+} from '../handlers/protocol.js';
+import { validateSchema } from '../utils/jsonSchema.js';
+
+const connection = { id: 'client_1', ip: '127.0.0.1', sessions: new Set(), activeGenerations: new Map(), send: jest.fn() };
+
+const createRequest = ({ url = '/ws', protocol } = {}) => ({
+  url,
+  headers: protocol ? { 'sec-websocket-protocol': protocol } : {},
+  socket: { remoteAddress: '127.0.0.1' }
+});
+
+describe('MessageRouter', () => {
+  let consoleSpies;
+  let router;
+
+  beforeEach(() => {
+    consoleSpies = ['info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+    router = new MessageRouter();
+  });
+
+  afterEach(() => {
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  describe('Schema JSON', () => {
+    test('deve aceitar frames válidos e apontar o caminho dos erros', () => {
+      const schema = MESSAGE_SCHEMAS.chat;
+
+      expect(validateSchema(schema, {
+        type: 'chat',
+        messageId: 'msg_1',
+        sessionId: null,
+        content: 'Olá',
+        stream: true,
+        history: [{ role: 'user', content: 'Oi' }],
+        clientField: 'ignorado'
+      })).toEqual([]);
+
+      expect(validateSchema(schema, {
+        type: 'chat',
+        content: 42,
+        stream: 'sim',
+        history: [{ role: 'tool', content: 'x' }]
+      })).toEqual([
+        { path: 'messageId', message: 'é obrigatório' },
+        { path: 'content', message: 'deve ser do tipo string ou null' },
+        { path: 'stream', message: 'deve ser do tipo boolean' },
+        { path: 'history[0].role', message: 'deve ser um de: user, assistant, system' }
+      ]);
+    });
+
+    test('deve validar limites, const e propriedades extras quando proibidas', () => {
+      const schema = {
+        type: 'object',
+        additionalProperties: false,
+        properties: { kind: { const: 'a' }, count: { type: 'integer', minimum: 1, maximum: 3 }, tags: { type: 'array', maxItems: 1 } }
+      };
+
+      expect(validateSchema(schema, { kind: 'b', count: 5, tags: ['x', 'y'], extra: true }).map(error => error.path))
+        .toEqual(['kind', 'count', 'tags', 'extra']);
+      expect(validateSchema(schema, [])).toEqual([{ path: '(raiz)', message: 'deve ser do tipo object' }]);
+    });
+  });
+
+  describe('Roteamento', () => {
+    test('deve encaminhar o frame ao handler do tipo e devolver a resposta', async () => {
+      const handler = jest.fn().mockResolvedValue({ type: 'pong' });
+      router.register('ping', handler, { schema: MESSAGE_SCHEMAS.ping });
+
+      expect(await router.dispatch(connection, { type: 'ping', messageId: 'm1' })).toEqual({ type: 'pong' });
+      expect(handler).toHaveBeenCalledWith(connection, { type: 'ping', messageId: 'm1' });
+      expect(router.getTypes()).toEqual(['ping']);
+      expect(() => router.register('ping', handler)).toThrow('Handler já registrado');
+    });
+
+    test('deve responder com frames de erro no formato do protocolo', async () => {
+      router.register('session_info', jest.fn(), { schema: MESSAGE_SCHEMAS.session_info, errorType: 'session_error' });
+
+      expect(await router.dispatch(connection, [1, 2])).toMatchObject({
+        type: 'error',
+        code: 'INVALID_FRAME',
+        requestType: null
+      });
+
+      expect(await router.dispatch(connection, { type: 'teleport', messageId: 'm2' })).toMatchObject({
+        type: 'error',
+        code: 'UNKNOWN_TYPE',
+        message: 'Tipo não reconhecido: teleport',
+        requestType: 'teleport',
+        messageId: 'm2',
+        retryable: false
+      });
+
+      const invalid = await router.dispatch(connection, { type: 'session_info', messageId: 'm3' });
+      expect(invalid).toMatchObject({
+        type: 'session_error',
+        code: 'INVALID_FRAME',
+        requestType: 'session_info',
+        messageId: 'm3',
+        details: [{ path: 'sessionId', message: 'é obrigatório' }]
+      });
+      expect(typeof invalid.timestamp).toBe('string');
+    });
+
+    test('deve converter erros dos handlers sem expor erros internos', async () => {
+      router.register('known', () => {
+        throw createProtocolError('SESSION_NOT_FOUND', 'Sessão não encontrada');
+      }, { errorType: 'session_error' });
+      router.register('broken', () => {
+        throw new Error('conexão com o banco perdida');
+      });
+
+      expect(await router.dispatch(connection, { type: 'known', sessionId: 's1' })).toMatchObject({
+        type: 'session_error',
+        code: 'SESSION_NOT_FOUND',
+        message: 'Sessão não encontrada',
+        sessionId: 's1'
+      });
+      expect(await router.dispatch(connection, { type: 'broken' })).toMatchObject({
+        type: 'error',
+        code: 'INTERNAL_ERROR',
+        message: 'Erro ao processar mensagem',
+        retryable: true
+      });
+    });
+  });
+
+  describe('Versão do protocolo', () => {
+    test('deve negociar pela query string, pelo subprotocolo ou usar a versão atual', () => {
+      expect(negotiateProtocolVersion(createRequest())).toBe(PROTOCOL_VERSION);
+      expect(negotiateProtocolVersion(createRequest({ url: '/ws?protocol=1' }))).toBe(1);
+      expect(negotiateProtocolVersion(createRequest({ protocol: 'chatbot.v9, chatbot.v1' }))).toBe(1);
+      expect(negotiateProtocolVersion(createRequest({ url: '/ws?protocol=9' }))).toBeNull();
+    });
+
+    test('deve confirmar apenas subprotocolos suportados', () => {
+      expect(selectSubprotocol(new Set(['chatbot.v1', 'outro']))).toBe('chatbot.v1');
+      expect(selectSubprotocol(new Set(['chatbot.v9']))).toBe(false);
+    });
+  });
+});
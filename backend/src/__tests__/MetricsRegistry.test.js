@@ -0,0 +1,86 @@
+import { MetricsRegistry } from '../metrics/index.js';
+
+describe('MetricsRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+  });
+
+  test('deve expor contadores e gauges com HELP, TYPE e labels', () => {
+    const requests = registry.counter({ name: 'app_requests_total', help: 'Requisições', labelNames: ['method', 'status'] });
+    const connections = registry.gauge({ name: 'app_connections', help: 'Conexões' });
+
+    requests.inc({ method: 'GET', status: 200 });
+    requests.inc({ method: 'GET', status: 200 }, 2);
+    requests.inc({ method: 'POST', status: 500 });
+    connections.inc();
+    connections.inc();
+    connections.dec();
+
+    expect(registry.render()).toBe([
+      '# HELP app_requests_total Requisições',
+      '# TYPE app_requests_total counter',
+      'app_requests_total{method="GET",status="200"} 3',
+      'app_requests_total{method="POST",status="500"} 1',
+      '',
+      '# HELP app_connections Conexões',
+      '# TYPE app_connections gauge',
+      'app_connections 1',
+      ''
+    ].join('\n'));
+  });
+
+  test('deve acumular os buckets do histograma com +Inf, _sum e _count', () => {
+    const latency = registry.histogram({
+      name: 'app_latency_seconds',
+      help: 'Latência',
+      labelNames: ['provider'],
+      buckets: [1, 0.5, 2]
+    });
+
+    [0.2, 0.5, 1.5, 7].forEach(value => latency.observe({ provider: 'openai' }, value));
+
+    expect(latency.get({ provider: 'openai' })).toEqual({ buckets: { 0.5: 2, 1: 0, 2: 1 }, sum: 9.2, count: 4 });
+    expect(registry.render().split('\n')).toEqual(expect.arrayContaining([
+      '# TYPE app_latency_seconds histogram',
+      'app_latency_seconds_bucket{provider="openai",le="0.5"} 2',
+      'app_latency_seconds_bucket{provider="openai",le="1"} 2',
+      'app_latency_seconds_bucket{provider="openai",le="2"} 3',
+      'app_latency_seconds_bucket{provider="openai",le="+Inf"} 4',
+      'app_latency_seconds_sum{provider="openai"} 9.2',
+      'app_latency_seconds_count{provider="openai"} 4'
+    ]));
+  });
+
+  test('deve escapar valores de labels e o texto de ajuda', () => {
+    const counter = registry.counter({ name: 'app_events_total', help: 'Linha 1\nbarra \\', labelNames: ['model'] });
+
+    counter.inc({ model: 'a"b\\c\nd' });
+
+    const output = registry.render();
+    expect(output).toContain('# HELP app_events_total Linha 1\\nbarra \\\\');
+    expect(output).toContain('app_events_total{model="a\\"b\\\\c\\nd"} 1');
+  });
+
+  test('deve atualizar métricas com collect a cada exposição', () => {
+    let sessions = 2;
+    registry.gauge({ name: 'app_sessions', help: 'Sessões', collect: gauge => gauge.set(sessions) });
+
+    expect(registry.render()).toContain('app_sessions 2');
+    sessions = 5;
+    expect(registry.render()).toContain('app_sessions 5');
+  });
+
+  test('deve reaproveitar a métrica já registrada e recusar conflitos', () => {
+    const first = registry.counter({ name: 'app_total', help: 'Total', labelNames: ['type'] });
+
+    expect(registry.counter({ name: 'app_total', help: 'Total', labelNames: ['type'] })).toBe(first);
+    expect(() => registry.gauge({ name: 'app_total', help: 'Total', labelNames: ['type'] }))
+      .toThrow(expect.objectContaining({ code: 'METRIC_INVALID' }));
+    expect(() => first.inc({ desconhecida: 'x' })).toThrow(expect.objectContaining({ code: 'METRIC_INVALID' }));
+    expect(() => first.inc({ type: 'x' }, -1)).toThrow(expect.objectContaining({ code: 'METRIC_INVALID' }));
+    expect(() => registry.histogram({ name: 'app_h', labelNames: ['le'] })).toThrow(expect.objectContaining({ code: 'METRIC_INVALID' }));
+    expect(() => registry.counter({ name: 'app-invalido' })).toThrow(expect.objectContaining({ code: 'METRIC_INVALID' }));
+  });
+});
@@ -0,0 +1,247 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import express from 'express';
+import request from 'supertest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SessionManager } from '../session/SessionManager.js';
+import { HandoffManager } from '../handoff/HandoffManager.js';
+import { ResumeTokenSigner } from '../session/ResumeTokenSigner.js';
+import { PushNotifier } from '../push/PushNotifier.js';
+import { createPushRoutes } from '../routes/push.js';
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Sender falso: guarda os payloads enviados por endpoint
+ */
+const createSender = () => ({
+  enabled: true,
+  config: { publicKey: 'BPublicaVapid' },
+  sent: [],
+  send: jest.fn(async function (subscription, payload) {
+    this.sent.push({ endpoint: subscription.endpoint, ...JSON.parse(payload) });
+    return { statusCode: 201 };
+  })
+});
+
+const createSubscription = (name = 'a') => ({
+  endpoint: `https://fcm.googleapis.com/fcm/send/${name}`,
+  keys: { p256dh: `B${'x'.repeat(86)}`, auth: 'c2VncmVkby1hdXRoLTE2' }
+});
+
+const createSocket = () => {
+  const ws = new EventEmitter();
+  ws.OPEN = 1;
+  ws.readyState = 1;
+  ws.send = jest.fn();
+  return ws;
+};
+
+describe('PushNotifier', () => {
+  let consoleSpies;
+  let sessionManager;
+  let handoffManager;
+  let sender;
+  let notifier;
+
+  beforeEach(() => {
+    consoleSpies = ['info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+
+    sessionManager = new SessionManager();
+    handoffManager = new HandoffManager({ sessionManager });
+    sender = createSender();
+    notifier = new PushNotifier({ sender, handoffManager, clickUrl: '/suporte', reminderDelay: 60 * 1000 });
+    notifier.attach(sessionManager);
+  });
+
+  afterEach(async () => {
+    await notifier.close();
+    await sessionManager.destroy();
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  test('deve notificar respostas do atendente e da IA só com o widget fechado', async () => {
+    const session = sessionManager.createSession('10.0.0.1');
+    notifier.subscribe(createSubscription(), { sessionId: session.id });
+
+    sessionManager.addMessage(session.id, { role: 'user', content: 'Meu pedido não chegou' });
+    sessionManager.addMessage(session.id, {
+      role: 'assistant',
+      content: 'Vou verificar para você',
+      metadata: { from: 'agent', agentName: 'Ana' }
+    });
+    await flush();
+
+    expect(sender.sent).toEqual([expect.objectContaining({
+      type: 'agent_reply',
+      title: 'Ana respondeu',
+      tag: `chat-reply-${session.id}`,
+      url: `/suporte?chatSession=${session.id}`
+    })]);
+
+    // Widget aberto recebe pelo WebSocket
+    const ws = createSocket();
+    handoffManager.registerVisitor(session.id, ws);
+    sessionManager.addMessage(session.id, { role: 'assistant', content: 'Encontrei o pedido' });
+    await flush();
+    expect(sender.sent).toHaveLength(1);
+
+    handoffManager.unregisterVisitor(ws);
+    sessionManager.addMessage(session.id, { role: 'assistant', content: 'Ele chega amanhã' });
+    await flush();
+    expect(sender.sent[1]).toMatchObject({ type: 'ai_reply', body: 'Ele chega amanhã' });
+  });
+
+  test('deve lembrar uma vez das conversas paradas com resposta não lida', async () => {
+    const waiting = sessionManager.createSession('10.0.0.1');
+    const answered = sessionManager.createSession('10.0.0.2');
+    [waiting, answered].forEach((session, index) => {
+      notifier.subscribe(createSubscription(String(index)), { sessionId: session.id });
+    });
+
+    const reply = sessionManager.addMessage(waiting.id, { role: 'assistant', content: 'Posso ajudar em algo mais?' });
+    sessionManager.addMessage(answered.id, { role: 'user', content: 'Obrigado' });
+    await flush();
+    sender.sent = [];
+
+    await notifier.checkReminders();
+    expect(sender.sent).toHaveLength(0);
+
+    reply.timestamp = new Date(Date.now() - 2 * 60 * 1000);
+    await notifier.checkReminders();
+    await notifier.checkReminders();
+
+    expect(sender.sent).toEqual([expect.objectContaining({
+      type: 'reminder',
+      sessionId: waiting.id,
+      body: 'Posso ajudar em algo mais?'
+    })]);
+  });
+
+  test('deve persistir as assinaturas e descartar as anônimas quando a sessão termina', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'push-'));
+    const path = join(directory, 'subscriptions.json');
+
+    try {
+      const persistent = new PushNotifier({ sender, path, reminderDelay: 0 });
+      persistent.attach(sessionManager);
+      const anonymous = sessionManager.createSession('10.0.0.1');
+      const logged = sessionManager.createSession('10.0.0.2', { visitor: { userId: '42' } });
+
+      persistent.subscribe(createSubscription('anon'), { sessionId: anonymous.id });
+      persistent.subscribe(createSubscription('user'), { sessionId: logged.id, userId: '42' });
+      sessionManager.endSession(anonymous.id);
+      sessionManager.endSession(logged.id);
+      await persistent.close();
+
+      const reloaded = new PushNotifier({ sender, path });
+      await reloaded.initialize();
+      expect(Array.from(reloaded.subscriptions.keys())).toEqual([createSubscription('user').endpoint]);
+
+      // Nova sessão do mesmo usuário também alcança o navegador assinado antes
+      expect(reloaded.findSubscriptions('outra_sessao', '42')).toHaveLength(1);
+      await reloaded.close();
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  describe('Rotas', () => {
+    let resumeTokens;
+
+    const createApp = (pushNotifier = notifier) => {
+      const app = express();
+      app.use(express.json());
+      app.use('/api/push', createPushRoutes({ pushNotifier, sessionManager, resumeTokens }));
+      return app;
+    };
+
+    beforeEach(() => {
+      resumeTokens = new ResumeTokenSigner({ secret: 'segredo' });
+    });
+
+    test('deve registrar a assinatura da sessão com o token de retomada', async () => {
+      const app = createApp();
+      const session = sessionManager.createSession('10.0.0.1');
+      const { token } = resumeTokens.issue(session.id);
+      const subscription = createSubscription();
+
+      const key = await request(app).get('/api/push/vapid-public-key');
+      expect(key.body.data).toEqual({ publicKey: 'BPublicaVapid' });
+
+      const denied = await request(app).post('/api/push/subscribe').send({ subscription, sessionId: session.id });
+      expect(denied.status).toBe(401);
+
+      // Sem o token da sessão pedida a resposta não diz se ela existe
+      const unknown = await request(app)
+        .post('/api/push/subscribe')
+        .set('X-Resume-Token', token)
+        .send({ subscription, sessionId: 'sess_inexistente' });
+      expect(unknown.status).toBe(401);
+
+      const missing = await request(app)
+        .post('/api/push/subscribe')
+        .set('X-Resume-Token', resumeTokens.issue('sess_inexistente').token)
+        .send({ subscription, sessionId: 'sess_inexistente' });
+      expect(missing.status).toBe(404);
+
+      for (const endpoint of [
+        'http://127.0.0.1/interno',
+        'https://169.254.169.254/latest/meta-data',
+        'https://fcm.googleapis.com:8443/fcm/send/a',
+        'https://fcm.googleapis.com.example.com/fcm/send/a'
+      ]) {
+        const untrusted = await request(app)
+          .post('/api/push/subscribe')
+          .set('X-Resume-Token', token)
+          .send({ subscription: { ...subscription, endpoint }, sessionId: session.id });
+        expect(untrusted.body.code).toBe('INVALID_SUBSCRIPTION');
+      }
+
+      const invalid = await request(app)
+        .post('/api/push/subscribe')
+        .set('X-Resume-Token', token)
+        .send({ subscription: { endpoint: subscription.endpoint }, sessionId: session.id });
+      expect(invalid.body.code).toBe('VALIDATION_ERROR');
+
+      const created = await request(app)
+        .post('/api/push/subscribe')
+        .set('X-Resume-Token', token)
+        .send({ subscription, sessionId: session.id });
+      expect(created.status).toBe(201);
+      expect(notifier.findSubscriptions(session.id)).toHaveLength(1);
+
+      const anonymous = await request(app)
+        .post('/api/push/unsubscribe')
+        .send({ endpoint: subscription.endpoint, sessionId: session.id });
+      expect(anonymous.status).toBe(401);
+
+      // Outra sessão não remove a assinatura alheia
+      const other = sessionManager.createSession('10.0.0.2');
+      const foreign = await request(app)
+        .post('/api/push/unsubscribe')
+        .set('X-Resume-Token', resumeTokens.issue(other.id).token)
+        .send({ endpoint: subscription.endpoint, sessionId: other.id });
+      expect(foreign.body.data).toEqual({ removed: false });
+
+      const removed = await request(app)
+        .post('/api/push/unsubscribe')
+        .set('X-Resume-Token', token)
+        .send({ endpoint: subscription.endpoint, sessionId: session.id });
+      expect(removed.body.data).toEqual({ removed: true });
+      expect(notifier.getStats().subscriptions).toBe(0);
+    });
+
+    test('deve responder 503 sem chaves VAPID', async () => {
+      const response = await request(createApp(new PushNotifier({ sender: { enabled: false } })))
+        .get('/api/push/vapid-public-key');
+
+      expect(response.status).toBe(503);
+      expect(response.body.code).toBe('PUSH_NOT_CONFIGURED');
+    });
+  });
+});
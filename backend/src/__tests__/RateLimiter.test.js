@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { RateLimiter, LIMIT_MESSAGES } from '../limits/RateLimiter.js';
+import { createRateLimitMiddleware } from '../middleware/rateLimit.js';
+
+describe('RateLimiter', () => {
+  let consoleSpies;
+  let limiter;
+  let now;
+
+  const createLimiter = (config = {}) => {
+    limiter = new RateLimiter(config);
+    return limiter;
+  };
+
+  beforeEach(() => {
+    consoleSpies = ['info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+    now = Date.parse('2026-03-10T12:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    limiter?.close();
+    limiter = null;
+    jest.restoreAllMocks();
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  test('deve liberar a rajada da sessão e devolver retryAfter até a próxima ficha', () => {
+    createLimiter({ chat: { session: { capacity: 2, perMinute: 6 } } });
+    const client = { ip: '10.0.0.1', sessionId: 's1' };
+
+    expect(limiter.consume('chat', client)).toBeNull();
+    expect(limiter.consume('chat', client)).toBeNull();
+    expect(limiter.consume('chat', client)).toEqual({
+      reason: 'rate',
+      scope: 'session',
+      retryAfter: 10,
+      message: LIMIT_MESSAGES.rate
+    });
+
+    // Outra sessão do mesmo IP tem o próprio balde
+    expect(limiter.consume('chat', { ip: '10.0.0.1', sessionId: 's2' })).toBeNull();
+
+    now += 10000;
+    expect(limiter.consume('chat', client)).toBeNull();
+  });
+
+  test('deve limitar por IP independentemente da sessão', () => {
+    createLimiter({ chat: { ip: { capacity: 3, perMinute: 3 } } });
+
+    ['a', 'b', 'c'].forEach(sessionId => {
+      expect(limiter.consume('chat', { ip: '10.0.0.2', sessionId })).toBeNull();
+    });
+
+    expect(limiter.consume('chat', { ip: '10.0.0.2', sessionId: 'd' })).toMatchObject({
+      reason: 'rate',
+      scope: 'ip',
+      retryAfter: 20
+    });
+  });
+
+  test('não deve consumir ficha de um balde quando outro está vazio', () => {
+    createLimiter({ chat: { ip: { capacity: 2, perMinute: 60 }, session: { capacity: 1, perMinute: 1 } } });
+
+    expect(limiter.consume('chat', { ip: '10.0.0.3', sessionId: 's1' })).toBeNull();
+    expect(limiter.consume('chat', { ip: '10.0.0.3', sessionId: 's1' })).toMatchObject({ scope: 'session' });
+    expect(limiter.consume('chat', { ip: '10.0.0.3', sessionId: 's2' })).toBeNull();
+  });
+
+  test('deve bloquear o cliente que esgota o orçamento diário de tokens até a meia-noite UTC', () => {
+    createLimiter({ budget: { dailyTokensPerSession: 100 } });
+    const client = { ip: '10.0.0.4', sessionId: 's1' };
+
+    limiter.recordUsage(client, { totalTokens: 60 });
+    expect(limiter.consume('chat', client)).toBeNull();
+
+    limiter.recordUsage(client, { totalTokens: 40 });
+    expect(limiter.consume('chat', client)).toEqual({
+      reason: 'budget',
+      scope: 'session',
+      retryAfter: 12 * 60 * 60,
+      message: LIMIT_MESSAGES.budget
+    });
+
+    // Sem orçamento por IP, outra sessão segue liberada
+    expect(limiter.consume('chat', { ip: '10.0.0.4', sessionId: 's2' })).toBeNull();
+
+    now = Date.parse('2026-03-11T00:00:01Z');
+    expect(limiter.consume('chat', client)).toBeNull();
+  });
+
+  test('deve aplicar o orçamento de custo do servidor apenas ao chat', () => {
+    createLimiter({ budget: { dailyCost: 0.5, costPer1kTokens: 0.25 } });
+
+    limiter.recordUsage({ ip: '10.0.0.5' }, { totalTokens: 1000 }, 0.3);
+    expect(limiter.consume('chat', { ip: '10.0.0.6' })).toBeNull();
+
+    limiter.recordUsage({ ip: '10.0.0.5' }, { totalTokens: 1000 });
+    expect(limiter.getHealthStatus()).toMatchObject({ status: 'warning', usage: { tokens: 2000, cost: 0.55 } });
+    expect(limiter.consume('chat', { ip: '10.0.0.6' })).toMatchObject({ reason: 'budget', scope: 'global' });
+    expect(limiter.consume('http', { ip: '10.0.0.6' })).toBeNull();
+  });
+
+  test('deve responder 429 com Retry-After nas rotas /api', async () => {
+    createLimiter({ windowMs: 60000, maxRequests: 2 });
+    const app = express();
+    app.use('/api', createRateLimitMiddleware(limiter));
+    app.get('/api/info', (req, res) => res.json({ ok: true }));
+
+    await request(app).get('/api/info').expect(200);
+    await request(app).get('/api/info').expect(200);
+    const response = await request(app).get('/api/info').expect(429);
+
+    expect(response.headers['retry-after']).toBe('30');
+    expect(response.body).toMatchObject({
+      error: true,
+      code: 'RATE_LIMITED',
+      details: { retryAfter: 30, scope: 'ip' }
+    });
+  });
+});
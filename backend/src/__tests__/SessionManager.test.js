@@ -0,0 +1,571 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SessionManager } from '../session/SessionManager.js';
+import {
+  createSessionStore,
+  MemorySessionStore,
+  FileSessionStore,
+  RedisSessionStore
+} from '../session/stores/index.js';
+import { ConversationSummarizer, summarizeWithoutModel } from '../session/ConversationSummarizer.js';
+import { RateLimiter } from '../limits/RateLimiter.js';
+
+/**
+ * Cliente falso em processo com o subconjunto de comandos Redis usado pelo store
+ */
+class FakeRedisClient {
+  constructor() {
+    this.strings = new Map(); // key -> { value, expiresAt }
+    this.sets = new Map();
+    this.now = () => Date.now();
+  }
+
+  async get(key) {
+    const entry = this.strings.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= this.now()) {
+      this.strings.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, mode, ttl) {
+    const expiresAt = mode === 'PX' ? this.now() + ttl : null;
+    this.strings.set(key, { value, expiresAt });
+    return 'OK';
+  }
+
+  async del(key) {
+    return this.strings.delete(key) ? 1 : 0;
+  }
+
+  async sadd(key, member) {
+    if (!this.sets.has(key)) this.sets.set(key, new Set());
+    this.sets.get(key).add(member);
+    return 1;
+  }
+
+  async srem(key, member) {
+    return this.sets.get(key)?.delete(member) ? 1 : 0;
+  }
+
+  async smembers(key) {
+    return Array.from(this.sets.get(key) || []);
+  }
+
+  async quit() {
+    return 'OK';
+  }
+}
+
+describe('SessionManager', () => {
+  let consoleSpies;
+  let managers;
+
+  const createManager = (config = {}) => {
+    const manager = new SessionManager({ sessionTimeout: 60 * 1000, ...config });
+    managers.push(manager);
+    return manager;
+  };
+
+  beforeEach(() => {
+    managers = [];
+    consoleSpies = ['log', 'info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+  });
+
+  afterEach(async () => {
+    for (const manager of managers) {
+      await manager.destroy();
+    }
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  describe('createSessionStore', () => {
+    test('deve criar store em memória por padrão', () => {
+      expect(createSessionStore()).toBeInstanceOf(MemorySessionStore);
+    });
+
+    test('deve criar store de arquivo e Redis pelo tipo', () => {
+      expect(createSessionStore({ type: 'file', path: 'x.json' })).toBeInstanceOf(FileSessionStore);
+      expect(createSessionStore({ type: 'redis', client: new FakeRedisClient() })).toBeInstanceOf(RedisSessionStore);
+    });
+
+    test('deve rejeitar tipo desconhecido', () => {
+      expect(() => createSessionStore({ type: 'mongo' })).toThrow('Store de sessões não suportado');
+    });
+  });
+
+  describe('Persistência', () => {
+    test('deve gravar criação, mensagens e contexto no store', async () => {
+      const store = new MemorySessionStore();
+      const manager = createManager({ store });
+      await manager.initialize();
+
+      const session = manager.createSession('127.0.0.1');
+      manager.addMessage(session.id, { role: 'user', content: 'Oi, meu nome é Carla' });
+      await manager.flush();
+
+      const stored = await store.get(session.id);
+      expect(stored.messageHistory).toHaveLength(1);
+      expect(stored.context.customerName).toBe('Carla');
+      expect(stored.lastActivity).toBeInstanceOf(Date);
+      expect(stored.messageHistory[0].timestamp).toBeInstanceOf(Date);
+    });
+
+    test('deve gravar sessão finalizada', async () => {
+      const store = new MemorySessionStore();
+      const manager = createManager({ store });
+      await manager.initialize();
+
+      const session = manager.createSession();
+      manager.endSession(session.id, 'user_request');
+      await manager.flush();
+
+      const stored = await store.get(session.id);
+      expect(stored.status).toBe('ended');
+      expect(stored.endReason).toBe('user_request');
+    });
+
+    test('deve finalizar a sessão uma única vez', async () => {
+      const manager = createManager();
+      const ended = jest.fn();
+      manager.on('sessionEnded', ended);
+
+      const session = manager.createSession();
+      expect(manager.endSession(session.id, 'timeout')).toBe(true);
+      const removal = manager.removalTimeouts.get(session.id);
+
+      // Limpeza periódica e shutdown encontram a sessão ainda aguardando a remoção
+      session.lastActivity = new Date(Date.now() - 2 * 60 * 1000);
+      manager.cleanupExpiredSessions();
+      manager.cleanupOldestSessions(10);
+      expect(manager.endSession(session.id, 'user_request')).toBe(false);
+      expect(manager.removalTimeouts.get(session.id)).toBe(removal);
+      await manager.destroy();
+
+      expect(ended).toHaveBeenCalledTimes(1);
+      expect(session.endReason).toBe('timeout');
+    });
+
+    test('deve registrar erro do store sem interromper o fluxo', async () => {
+      const store = new MemorySessionStore();
+      store.set = jest.fn().mockRejectedValue(new Error('disco cheio'));
+      const manager = createManager({ store });
+
+      const session = manager.createSession();
+      await manager.flush();
+
+      expect(manager.getSession(session.id)).toBeDefined();
+      expect(store.set).toHaveBeenCalled();
+    });
+  });
+
+  describe('Reidratação', () => {
+    test('deve restaurar sessões e recriar timeout a partir de lastActivity', async () => {
+      const store = new MemorySessionStore();
+      const first = createManager({ store });
+      const session = first.createSession();
+      first.addMessage(session.id, { role: 'user', content: 'Quero saber sobre botox' });
+      await first.flush();
+
+      // Simula atividade há 40s com timeout de 60s
+      const stored = await store.get(session.id);
+      stored.lastActivity = new Date(Date.now() - 40 * 1000);
+      await store.set(session.id, stored);
+
+      const second = createManager({ store });
+      const timeoutSpy = jest.spyOn(second, 'resetSessionTimeout');
+      const restored = await second.initialize();
+
+      expect(restored).toBe(1);
+      const rehydrated = second.getSession(session.id);
+      expect(rehydrated.context.currentTopic).toBe('botox');
+      expect(rehydrated.messageHistory).toHaveLength(1);
+
+      const delay = timeoutSpy.mock.calls[0][1];
+      expect(delay).toBeGreaterThan(15 * 1000);
+      expect(delay).toBeLessThanOrEqual(20 * 1000);
+    });
+
+    test('deve finalizar sessões que expiraram enquanto o servidor estava parado', async () => {
+      const store = new MemorySessionStore();
+      await store.set('session_old', {
+        id: 'session_old',
+        status: 'active',
+        createdAt: new Date(Date.now() - 10 * 60 * 1000),
+        lastActivity: new Date(Date.now() - 5 * 60 * 1000),
+        messageHistory: [],
+        context: {},
+        metadata: { messageCount: 0 }
+      });
+
+      const manager = createManager({ store });
+      const ended = [];
+      manager.on('sessionEnded', session => ended.push(session));
+
+      const restored = await manager.initialize();
+      await manager.flush();
+
+      expect(restored).toBe(0);
+      expect(ended[0].endReason).toBe('expired');
+      expect((await store.get('session_old')).status).toBe('ended');
+    });
+
+    test('deve descartar sessões já finalizadas', async () => {
+      const store = new MemorySessionStore();
+      await store.set('session_ended', {
+        id: 'session_ended',
+        status: 'ended',
+        createdAt: new Date(),
+        lastActivity: new Date(),
+        messageHistory: []
+      });
+
+      const manager = createManager({ store });
+      await manager.initialize();
+
+      expect(manager.sessions.size).toBe(0);
+      expect(await store.get('session_ended')).toBeNull();
+    });
+
+    test('deve carregar sob demanda sessão criada por outra instância', async () => {
+      const store = new MemorySessionStore();
+      const first = createManager({ store });
+      const second = createManager({ store });
+      await second.initialize();
+
+      const session = first.createSession();
+      await first.flush();
+
+      expect(second.getSession(session.id)).toBeUndefined();
+      const loaded = await second.loadSession(session.id);
+
+      expect(loaded.id).toBe(session.id);
+      expect(second.sessionTimeouts.has(session.id)).toBe(true);
+      expect(await second.loadSession('session_inexistente')).toBeNull();
+    });
+
+    test('deve recarregar do store sessão alterada por outra instância', async () => {
+      const store = new MemorySessionStore();
+      const first = createManager({ store });
+      const second = createManager({ store });
+
+      const session = first.createSession();
+      await first.flush();
+      await second.loadSession(session.id);
+
+      first.addMessage(session.id, { role: 'user', content: 'Primeira mensagem' });
+      await first.flush();
+
+      const loaded = await second.loadSession(session.id);
+      expect(loaded.messageHistory.map(message => message.content)).toEqual(['Primeira mensagem']);
+
+      // A gravação da segunda instância parte da revisão mais recente, sem sobrescrever a primeira
+      second.addMessage(session.id, { role: 'assistant', content: 'Resposta' });
+      await second.flush();
+
+      const stored = await store.get(session.id);
+      expect(stored.messageHistory.map(message => message.content)).toEqual(['Primeira mensagem', 'Resposta']);
+      expect(stored.revision).toBe(loaded.revision);
+    });
+
+    test('deve descartar do cache sessão finalizada por outra instância', async () => {
+      const store = new MemorySessionStore();
+      const first = createManager({ store });
+      const second = createManager({ store });
+      const ended = jest.fn();
+      second.on('sessionEnded', ended);
+
+      const session = first.createSession();
+      await first.flush();
+      await second.loadSession(session.id);
+
+      first.endSession(session.id, 'user_request');
+      await first.flush();
+
+      expect(await second.loadSession(session.id)).toBeNull();
+      expect(second.sessions.has(session.id)).toBe(false);
+      expect(second.sessionTimeouts.has(session.id)).toBe(false);
+      expect(ended).not.toHaveBeenCalled();
+    });
+
+    test('não deve expirar sessão com atividade gravada por outra instância', async () => {
+      const store = new MemorySessionStore();
+      const first = createManager({ store });
+      const second = createManager({ store });
+
+      const session = first.createSession();
+      await first.flush();
+      const cached = await second.loadSession(session.id);
+      cached.lastActivity = new Date(Date.now() - 2 * 60 * 1000);
+
+      first.addMessage(session.id, { role: 'user', content: 'Ainda estou aqui' });
+      await first.flush();
+
+      expect(await second.expireIfIdle(session.id, 'timeout')).toBe(false);
+      expect(second.getSession(session.id).status).toBe('active');
+      expect(second.sessionTimeouts.has(session.id)).toBe(true);
+      expect((await store.get(session.id)).status).toBe('active');
+    });
+
+    test('deve expirar sessão inativa também no store', async () => {
+      const store = new MemorySessionStore();
+      const manager = createManager({ store });
+
+      const session = manager.createSession();
+      session.lastActivity = new Date(Date.now() - 2 * 60 * 1000);
+      manager.persistSession(session.id);
+      await manager.flush();
+
+      await manager.cleanupExpiredSessions();
+      await manager.flush();
+
+      expect(session.endReason).toBe('expired');
+      expect((await store.get(session.id)).status).toBe('ended');
+    });
+
+    test('não deve finalizar sessões no destroy com store persistente', async () => {
+      const client = new FakeRedisClient();
+      const store = new RedisSessionStore({ client });
+      const manager = new SessionManager({ store });
+      const session = manager.createSession();
+
+      await manager.destroy();
+
+      expect((await store.get(session.id)).status).toBe('active');
+    });
+  });
+
+  describe('Histórico canônico', () => {
+    test('deve expor transcrição e ID da última mensagem', () => {
+      const manager = createManager();
+      const session = manager.createSession('127.0.0.1');
+
+      expect(manager.getLastMessageId(session.id)).toBeNull();
+
+      manager.addMessage(session.id, { role: 'user', content: 'Oi' });
+      const reply = manager.addMessage(session.id, { role: 'assistant', content: 'Olá!', metadata: { provider: 'mock' } });
+
+      expect(manager.getLastMessageId(session.id)).toBe(reply.id);
+      expect(manager.getTranscript(session.id)).toEqual([
+        expect.objectContaining({ role: 'user', content: 'Oi' }),
+        expect.objectContaining({ id: reply.id, role: 'assistant', content: 'Olá!', metadata: { provider: 'mock' } })
+      ]);
+    });
+
+    test('deve retornar vazio para sessão inexistente', () => {
+      const manager = createManager();
+
+      expect(manager.getLastMessageId('nao-existe')).toBeNull();
+      expect(manager.getTranscript('nao-existe')).toEqual([]);
+    });
+  });
+
+  describe('Resumo da conversa', () => {
+    // Resumo determinístico: lista os conteúdos condensados em ordem
+    const createMockSummarizer = () => ({
+      summarize: jest.fn(async ({ summary, messages }) => ({
+        text: [summary, ...messages.map(msg => msg.content)].filter(Boolean).join(' | '),
+        source: 'mock'
+      }))
+    });
+
+    test('deve resumir as mensagens removidas do histórico e injetar o resumo no prompt', async () => {
+      const summarizer = createMockSummarizer();
+      const manager = createManager({ maxHistoryLength: 4, summarizer });
+      const session = manager.createSession('127.0.0.1');
+
+      ['Meu pedido é o 123', 'Anotado', 'Quero trocar o tamanho', 'Certo', 'Qual o prazo?', 'Cinco dias'].forEach((content, index) => {
+        manager.addMessage(session.id, { role: index % 2 === 0 ? 'user' : 'assistant', content });
+      });
+      await manager.waitForStage(session.id);
+
+      expect(session.messageHistory).toHaveLength(4);
+      expect(summarizer.summarize).toHaveBeenCalledTimes(2);
+      expect(session.context.summary).toMatchObject({
+        text: 'Meu pedido é o 123 | Anotado',
+        messageCount: 2,
+        source: 'mock'
+      });
+      expect(manager.buildSystemPrompt(session)).toContain('Resumo do início da conversa:\nMeu pedido é o 123 | Anotado');
+    });
+
+    test('deve descartar o resumo gerado depois de um novo atendimento', async () => {
+      let release;
+      const summarizer = {
+        summarize: jest.fn(() => new Promise(resolve => {
+          release = () => resolve({ text: 'Resumo antigo', source: 'mock' });
+        }))
+      };
+      const manager = createManager({ maxHistoryLength: 2, summarizer });
+      const session = manager.createSession('127.0.0.1');
+
+      manager.addMessage(session.id, { role: 'user', content: 'Oi' });
+      manager.addMessage(session.id, { role: 'assistant', content: 'Olá' });
+      manager.addMessage(session.id, { role: 'assistant', content: 'Posso ajudar?' });
+      while (!release) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      manager.resetSessionContext(session.id);
+      release();
+      await manager.waitForStage(session.id);
+
+      expect(session.context.summary).toBeNull();
+    });
+
+    test('deve usar o resumo extrativo sem summarizer', async () => {
+      const manager = createManager({ maxHistoryLength: 2 });
+      const session = manager.createSession('127.0.0.1');
+
+      manager.addMessage(session.id, { role: 'user', content: 'Meu nome é Ana' });
+      manager.addMessage(session.id, { role: 'assistant', content: 'Olá, Ana!' });
+      manager.addMessage(session.id, { role: 'user', content: 'Quero um orçamento' });
+      await manager.waitForStage(session.id);
+
+      expect(session.context.summary).toMatchObject({ text: '- Cliente: Meu nome é Ana', source: 'extractive' });
+    });
+
+    test('deve resumir pelo provedor ativo e cair no extrativo quando ele falha', async () => {
+      const aiManager = {
+        currentProvider: { providerName: 'openai' },
+        sendMessage: jest.fn().mockResolvedValueOnce({ message: ' - Cliente pediu orçamento ' })
+      };
+      const summarizer = new ConversationSummarizer({ aiManager });
+      const messages = [{ role: 'user', content: 'Quero um orçamento' }];
+
+      await expect(summarizer.summarize({ summary: 'Cliente Ana', messages }))
+        .resolves.toEqual({ text: '- Cliente pediu orçamento', source: 'llm' });
+      expect(aiManager.sendMessage.mock.calls[0][0]).toContain('Resumo anterior:\nCliente Ana');
+      expect(aiManager.sendMessage.mock.calls[0][1]).toMatchObject({ history: [], temperature: 0 });
+
+      aiManager.sendMessage.mockRejectedValueOnce(new Error('fora do ar'));
+      await expect(summarizer.summarize({ summary: 'Cliente Ana', messages }))
+        .resolves.toEqual({ text: 'Cliente Ana\n- Cliente: Quero um orçamento', source: 'extractive' });
+    });
+
+    test('deve contabilizar os tokens do resumo no orçamento da sessão', async () => {
+      const rateLimiter = new RateLimiter({ budget: { dailyTokensPerSession: 100 } });
+      const aiManager = {
+        currentProvider: { providerName: 'openai' },
+        sendMessage: jest.fn().mockResolvedValue({ message: 'Cliente pediu orçamento', usage: { totalTokens: 100 } })
+      };
+      const manager = createManager({ maxHistoryLength: 2, summarizer: new ConversationSummarizer({ aiManager, rateLimiter }) });
+      const session = manager.createSession('10.0.0.1');
+
+      try {
+        ['Quero um orçamento', 'Claro', 'Para 10 pessoas', 'Anotado'].forEach((content, index) => {
+          manager.addMessage(session.id, { role: index % 2 === 0 ? 'user' : 'assistant', content });
+        });
+        await manager.waitForStage(session.id);
+
+        expect(aiManager.sendMessage).toHaveBeenCalledTimes(1);
+        expect(aiManager.sendMessage.mock.calls[0][1].sessionId).toBe(session.id);
+        expect(rateLimiter.usage.get(`session:${session.id}`).tokens).toBe(100);
+        expect(rateLimiter.usage.get('ip:10.0.0.1').tokens).toBe(100);
+
+        // Orçamento esgotado: o segundo resumo não chama o provedor
+        expect(session.context.summary).toMatchObject({ source: 'extractive', messageCount: 2 });
+      } finally {
+        rateLimiter.close();
+      }
+    });
+
+    test('deve limitar o tamanho do resumo extrativo mantendo o final', () => {
+      const text = summarizeWithoutModel('a'.repeat(100), [{ role: 'user', content: 'Última mensagem' }], { maxLength: 50 });
+
+      expect(text).toHaveLength(50);
+      expect(text.startsWith('...')).toBe(true);
+      expect(text.endsWith('- Cliente: Última mensagem')).toBe(true);
+    });
+  });
+
+  describe('FileSessionStore', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(join(tmpdir(), 'sessions-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('deve sobreviver a um restart', async () => {
+      const path = join(dir, 'nested', 'sessions.json');
+
+      const first = new SessionManager({ store: new FileSessionStore({ path }) });
+      await first.initialize();
+      const session = first.createSession();
+      first.addMessage(session.id, { role: 'user', content: 'Meu telefone é 11999998888' });
+      await first.destroy();
+
+      const content = JSON.parse(await fs.readFile(path, 'utf8'));
+      expect(content.sessions[session.id]).toBeDefined();
+
+      const second = createManager({ store: new FileSessionStore({ path }) });
+      await second.initialize();
+
+      const restored = second.getSession(session.id);
+      expect(restored.context.customerInfo.telefone.value).toBe('11999998888');
+      expect(restored.createdAt).toBeInstanceOf(Date);
+    });
+
+    test('deve iniciar vazio quando o arquivo está corrompido', async () => {
+      const path = join(dir, 'sessions.json');
+      await fs.writeFile(path, '{ inválido', 'utf8');
+
+      const store = new FileSessionStore({ path });
+      await store.connect();
+
+      expect(await store.getAll()).toEqual([]);
+    });
+  });
+
+  describe('RedisSessionStore', () => {
+    test('deve gravar sessão com TTL e manter índice', async () => {
+      const client = new FakeRedisClient();
+      const store = new RedisSessionStore({ client, prefix: 'test:', ttl: 1000 });
+      await store.connect();
+
+      await store.set('s1', { id: 's1', lastActivity: new Date() });
+
+      expect(client.strings.get('test:s1').expiresAt).not.toBeNull();
+      expect(await client.smembers('test:index')).toEqual(['s1']);
+      expect((await store.get('s1')).lastActivity).toBeInstanceOf(Date);
+    });
+
+    test('deve limpar do índice sessões expiradas pelo TTL', async () => {
+      const client = new FakeRedisClient();
+      const store = new RedisSessionStore({ client, ttl: 1000 });
+
+      await store.set('s1', { id: 's1' });
+      await store.set('s2', { id: 's2' });
+      client.now = () => Date.now() + 2000;
+      await store.set('s3', { id: 's3' });
+
+      const sessions = await store.getAll();
+
+      expect(sessions.map(s => s.id)).toEqual(['s3']);
+      expect(await client.smembers(store.indexKey)).toEqual(['s3']);
+    });
+
+    test('deve compartilhar sessões entre instâncias', async () => {
+      const client = new FakeRedisClient();
+      const first = createManager({ store: new RedisSessionStore({ client }) });
+      const second = createManager({ store: new RedisSessionStore({ client }) });
+      await first.initialize();
+
+      const session = first.createSession();
+      first.addMessage(session.id, { role: 'user', content: 'Olá' });
+      await first.flush();
+
+      await second.initialize();
+      expect(second.getSession(session.id).messageHistory[0].content).toBe('Olá');
+    });
+  });
+});
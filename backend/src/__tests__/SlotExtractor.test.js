@@ -0,0 +1,159 @@
+import { jest } from '@jest/globals';
+import { SlotExtractor, extractSlotsWithPatterns, DEFAULT_SLOT_SCHEMA } from '../session/SlotExtractor.js';
+import { SessionManager } from '../session/SessionManager.js';
+import { AIProviderManager } from '../ai/AIProviderManager.js';
+import { RateLimiter } from '../limits/RateLimiter.js';
+
+/**
+ * Gerenciador de IA falso com um provedor "real" que responde o texto informado
+ */
+const createFakeAIManager = (...replies) => ({
+  currentProvider: { providerName: 'openai' },
+  sendMessage: jest.fn(async () => ({ message: replies.shift() || '{}' }))
+});
+
+describe('SlotExtractor', () => {
+  let consoleSpies;
+
+  beforeEach(() => {
+    consoleSpies = ['log', 'info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+  });
+
+  afterEach(() => {
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  test('deve extrair com expressões regulares', () => {
+    expect(extractSlotsWithPatterns('Me chamo Carla, meu whatsapp é 11987654321')).toEqual({
+      nome: { value: 'Carla', confidence: 0.5 },
+      telefone: { value: '11987654321', confidence: 0.5 }
+    });
+    expect(extractSlotsWithPatterns('Me chamo Carla', { skipName: true })).toEqual({});
+  });
+
+  test('deve ficar indisponível com o provedor mock ou no modo regex', async () => {
+    const mockManager = new AIProviderManager({ provider: 'mock' });
+    await mockManager.initialize();
+
+    expect(new SlotExtractor({ aiManager: mockManager, mode: 'llm' }).isAvailable()).toBe(false);
+    expect(new SlotExtractor({ aiManager: createFakeAIManager(), mode: 'regex' }).isAvailable()).toBe(false);
+    expect(new SlotExtractor({ aiManager: createFakeAIManager(), mode: 'llm' }).isAvailable()).toBe(true);
+  });
+
+  test('deve validar e normalizar o JSON retornado pelo modelo', async () => {
+    const aiManager = createFakeAIManager('```json\n' + JSON.stringify({
+      slots: {
+        nome: { value: 'Mariana', confidence: 0.95 },
+        telefone: { value: '(11) 98765-4321', confidence: 0.9 },
+        email: { value: 'mariana@', confidence: 0.9 },
+        data_preferida: { value: '2024-05-10', confidence: 0.8 },
+        idade: { value: '34', confidence: 0.3 },
+        desconhecido: { value: 'x', confidence: 1 }
+      }
+    }) + '\n```');
+    const extractor = new SlotExtractor({ aiManager, mode: 'llm' });
+
+    const slots = await extractor.extract({ content: 'Sou a Mariana...', schema: DEFAULT_SLOT_SCHEMA });
+
+    expect(slots).toEqual({
+      nome: { value: 'Mariana', confidence: 0.95 },
+      telefone: { value: '11987654321', confidence: 0.9 },
+      data_preferida: { value: '2024-05-10', confidence: 0.8 }
+    });
+    expect(aiManager.sendMessage.mock.calls[0][1].systemPrompt).toContain('- telefone (phone)');
+  });
+
+  test('deve aplicar enum e limites do schema', () => {
+    const extractor = new SlotExtractor();
+    const schema = {
+      finalidade: { type: 'string', enum: ['compra', 'aluguel'] },
+      quartos: { type: 'integer', minimum: 1, maximum: 10 }
+    };
+
+    expect(extractor.validate({ finalidade: 'Aluguel', quartos: 3 }, schema)).toEqual({
+      finalidade: { value: 'aluguel', confidence: 1 },
+      quartos: { value: 3, confidence: 1 }
+    });
+    expect(extractor.validate({ finalidade: 'permuta', quartos: 2.5 }, schema)).toEqual({});
+  });
+
+  test('deve retornar vazio quando o modelo não responde JSON', async () => {
+    const extractor = new SlotExtractor({ aiManager: createFakeAIManager('Não entendi'), mode: 'llm' });
+
+    expect(await extractor.extract({ content: 'Oi' })).toEqual({});
+  });
+
+  describe('SessionManager', () => {
+    let manager;
+
+    afterEach(async () => {
+      await manager.destroy();
+    });
+
+    test('deve gravar dados extraídos com confiança e mensagem de origem', async () => {
+      const aiManager = createFakeAIManager(JSON.stringify({
+        slots: { nome: { value: 'Mariana', confidence: 0.9 }, email: { value: 'mari@exemplo.com', confidence: 0.8 } }
+      }));
+      manager = new SessionManager({ slotExtractor: new SlotExtractor({ aiManager, mode: 'llm' }) });
+      const events = [];
+      manager.on('slotsExtracted', event => events.push(event));
+
+      const session = manager.createSession('127.0.0.1');
+      // "sou" seguido de outra palavra não deve virar nome quando a extração via LLM está ativa
+      const message = manager.addMessage(session.id, { role: 'user', content: 'Oi, sou muito ansiosa. Mariana aqui, mari@exemplo.com' });
+      expect(session.context.customerName).toBeNull();
+
+      await manager.waitForStage(session.id);
+
+      expect(session.context.customerName).toBe('Mariana');
+      expect(session.context.customerInfo.email).toEqual({
+        value: 'mari@exemplo.com',
+        confidence: 0.8,
+        source: 'llm',
+        messageId: message.id
+      });
+      expect(session.context.stage).toBe('information_gathering');
+      expect(events).toHaveLength(1);
+      expect(manager.buildSystemPrompt(session)).toContain('- email: mari@exemplo.com');
+    });
+
+    test('deve enviar a sessão e contabilizar os tokens da extração no orçamento', async () => {
+      const rateLimiter = new RateLimiter({ budget: { dailyTokensPerSession: 50 } });
+      const aiManager = createFakeAIManager();
+      aiManager.sendMessage.mockResolvedValue({ message: '{"slots": {}}', usage: { totalTokens: 50 } });
+      manager = new SessionManager({ slotExtractor: new SlotExtractor({ aiManager, rateLimiter, mode: 'llm' }) });
+
+      try {
+        const session = manager.createSession('10.0.0.2');
+        manager.addMessage(session.id, { role: 'user', content: 'Oi' });
+        manager.addMessage(session.id, { role: 'user', content: 'Tudo bem?' });
+        await manager.waitForStage(session.id);
+
+        // A segunda mensagem encontra o orçamento da sessão esgotado
+        expect(aiManager.sendMessage).toHaveBeenCalledTimes(1);
+        expect(aiManager.sendMessage.mock.calls[0][1].sessionId).toBe(session.id);
+        expect(rateLimiter.usage.get(`session:${session.id}`).tokens).toBe(50);
+        expect(rateLimiter.usage.get('ip:10.0.0.2').tokens).toBe(50);
+      } finally {
+        rateLimiter.close();
+      }
+    });
+
+    test('deve usar expressões regulares sem extrator disponível', async () => {
+      manager = new SessionManager();
+      const session = manager.createSession('127.0.0.1');
+
+      const message = manager.addMessage(session.id, { role: 'user', content: 'Meu telefone é 11987654321' });
+
+      expect(session.context.customerInfo.telefone).toEqual({
+        value: '11987654321',
+        confidence: 0.5,
+        source: 'regex',
+        messageId: message.id
+      });
+      expect(manager.buildSystemPrompt(session)).toContain('- telefone: 11987654321');
+    });
+  });
+});
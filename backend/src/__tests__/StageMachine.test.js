@@ -0,0 +1,152 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import yaml from 'js-yaml';
+import { StageMachine, createLLMIntentClassifier } from '../session/StageMachine.js';
+import { SessionManager } from '../session/SessionManager.js';
+import { BotProfileRegistry } from '../profiles/BotProfileRegistry.js';
+import { AIProviderManager } from '../ai/AIProviderManager.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const schedulingFunnel = {
+  initial: 'inicio',
+  states: {
+    inicio: { prompt: 'Cumprimente o cliente.' },
+    agendamento: { prompt: 'Combine dia e horário.' },
+    confirmado: { prompt: 'Confirme o agendamento.' }
+  },
+  transitions: [
+    { from: 'inicio', to: 'agendamento', when: { intent: ['agendar', 'remarcar'] } },
+    { from: 'agendamento', to: 'confirmado', when: { slots: ['nome', 'telefone'] } }
+  ]
+};
+
+describe('StageMachine', () => {
+  let consoleSpies;
+
+  beforeEach(() => {
+    consoleSpies = ['log', 'info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+  });
+
+  afterEach(() => {
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  test('deve seguir o funil padrão', async () => {
+    const machine = new StageMachine();
+
+    expect(machine.initial).toBe('greeting');
+    expect(await machine.evaluate({ stage: 'greeting', content: 'Oi, meu nome é Ana', slots: { nome: 'Ana' } }))
+      .toEqual({ from: 'greeting', to: 'information_gathering', rule: 2 });
+    expect((await machine.evaluate({ stage: 'information_gathering', content: 'Quero botox', topic: 'botox' })).to)
+      .toBe('service_discussion');
+    expect((await machine.evaluate({ stage: 'service_discussion', content: 'Obrigada, tchau!' })).to).toBe('closing');
+    expect(await machine.evaluate({ stage: 'greeting', content: 'Oi' })).toBeNull();
+  });
+
+  test('deve classificar intenção apenas quando uma transição depende dela', async () => {
+    const machine = new StageMachine(schedulingFunnel);
+    const classify = jest.fn().mockResolvedValue('remarcar');
+
+    const transition = await machine.evaluate({ stage: 'inicio', content: 'Preciso mudar meu horário' }, classify);
+    await machine.evaluate({ stage: 'agendamento', content: 'Amanhã às 10h', slots: { nome: 'Ana' } }, classify);
+
+    expect(transition.to).toBe('agendamento');
+    expect(classify).toHaveBeenCalledTimes(1);
+    expect(classify).toHaveBeenCalledWith({ content: 'Preciso mudar meu horário', intents: ['agendar', 'remarcar'] });
+  });
+
+  test('deve ignorar transições por intenção quando o classificador falha', async () => {
+    const machine = new StageMachine(schedulingFunnel);
+    const classify = jest.fn().mockRejectedValue(new Error('timeout'));
+
+    expect(await machine.evaluate({ stage: 'inicio', content: 'Quero agendar' }, classify)).toBeNull();
+    expect(await machine.evaluate({ stage: 'inicio', content: 'Quero agendar' })).toBeNull();
+  });
+
+  test('deve rejeitar definições com estágios desconhecidos', () => {
+    expect(() => new StageMachine({ initial: 'x', states: {} })).toThrow('Estágio inicial desconhecido');
+    expect(() => new StageMachine({
+      states: { a: {} },
+      transitions: [{ from: 'a', to: 'b' }]
+    })).toThrow("estágio desconhecido: 'b'");
+  });
+
+  test('deve aceitar o funil do perfil de exemplo', async () => {
+    const content = await fs.readFile(join(__dirname, '..', '..', 'profiles', 'imobiliaria.yaml.example'), 'utf8');
+    const machine = new StageMachine(yaml.load(content).stages);
+
+    expect(machine.initial).toBe('boas_vindas');
+    expect((await machine.evaluate({ stage: 'qualificacao', content: 'Procuro 3 quartos no centro' })).to).toBe('apresentacao');
+  });
+
+  test('createLLMIntentClassifier deve extrair o rótulo da resposta do modelo', async () => {
+    const manager = new AIProviderManager({ provider: 'mock', mockReplies: ['Agendar.', 'Não sei'] });
+    await manager.initialize();
+    const classify = createLLMIntentClassifier(manager);
+
+    expect(await classify({ content: 'Quero marcar', intents: ['agendar', 'cancelar'] })).toBe('agendar');
+    expect(await classify({ content: 'Oi', intents: ['agendar', 'cancelar'] })).toBeNull();
+  });
+
+  describe('SessionManager', () => {
+    let manager;
+
+    afterEach(async () => {
+      await manager.destroy();
+    });
+
+    test('deve registrar transições, emitir stageChanged e expor o funil', async () => {
+      manager = new SessionManager();
+      const events = [];
+      manager.on('stageChanged', event => events.push(event));
+
+      const session = manager.createSession('127.0.0.1');
+      const message = manager.addMessage(session.id, { role: 'user', content: 'Olá, meu nome é Ana' });
+      manager.addMessage(session.id, { role: 'user', content: 'Tenho interesse em botox' });
+      await manager.waitForStage(session.id);
+
+      expect(events.map(event => event.to)).toEqual(['information_gathering', 'service_discussion']);
+      expect(events[0]).toMatchObject({ sessionId: session.id, from: 'greeting', messageId: message.id });
+
+      const stageInfo = manager.getStageInfo(session);
+      expect(stageInfo.current).toBe('service_discussion');
+      expect(stageInfo.states).toEqual(['greeting', 'information_gathering', 'service_discussion', 'closing']);
+      expect(stageInfo.history).toHaveLength(2);
+    });
+
+    test('deve usar o funil e o classificador do perfil da sessão', async () => {
+      const profiles = new BotProfileRegistry({ profiles: [{ id: 'agenda', stages: schedulingFunnel }] });
+      await profiles.initialize();
+      const stageClassifier = jest.fn().mockResolvedValue('agendar');
+      manager = new SessionManager({ profiles, stageClassifier });
+
+      const session = manager.createSession('127.0.0.1', { profileId: 'agenda' });
+      expect(session.context.stage).toBe('inicio');
+
+      manager.addMessage(session.id, { role: 'user', content: 'Quero marcar uma consulta' });
+      await manager.waitForStage(session.id);
+
+      expect(session.context.stage).toBe('agendamento');
+      expect(manager.buildSystemPrompt(session)).toContain('Combine dia e horário.');
+
+      manager.addMessage(session.id, { role: 'user', content: 'novo atendimento' });
+      await manager.waitForStage(session.id);
+      expect(session.context.stage).toBe('inicio');
+    });
+
+    test('não deve avaliar transições para mensagens do assistente', async () => {
+      manager = new SessionManager();
+      const session = manager.createSession('127.0.0.1');
+
+      manager.addMessage(session.id, { role: 'assistant', content: 'Posso encerrar o atendimento?' });
+      await manager.waitForStage(session.id);
+
+      expect(session.context.stage).toBe('greeting');
+    });
+  });
+});
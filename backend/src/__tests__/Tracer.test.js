@@ -0,0 +1,160 @@
+import { createServer } from 'http';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Tracer, parseTraceparent } from '../tracing/index.js';
+import { createSpanExporter } from '../tracing/exporters/index.js';
+
+/**
+ * Exportador falso que guarda os lotes recebidos
+ */
+const createMemoryExporter = () => ({
+  exporterName: 'memory',
+  spans: [],
+  async export(spans) {
+    this.spans.push(...spans);
+  },
+  async close() {},
+  getExporterInfo() {
+    return { name: 'memory' };
+  }
+});
+
+describe('Tracer', () => {
+  let tracer;
+
+  afterEach(async () => {
+    await tracer?.close();
+    tracer = null;
+  });
+
+  test('deve validar o traceparent do W3C Trace Context', () => {
+    expect(parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01')).toEqual({
+      traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+      spanId: '00f067aa0ba902b7',
+      sampled: true
+    });
+    expect(parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00').sampled).toBe(false);
+    expect(parseTraceparent('00-00000000000000000000000000000000-00f067aa0ba902b7-01')).toBeNull();
+    expect(parseTraceparent('01-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01')).toBeNull();
+    expect(parseTraceparent('lixo')).toBeNull();
+    expect(parseTraceparent(undefined)).toBeNull();
+  });
+
+  test('deve encadear os trechos e herdar a amostragem da raiz', async () => {
+    const exporter = createMemoryExporter();
+    tracer = new Tracer({ exporters: [exporter], sampleRate: 0 });
+
+    const remote = tracer.startSpan('chat.frame', { traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01' });
+    const child = tracer.startSpan('ai.attempt', { parent: remote, kind: 'client', attributes: { 'ai.provider': 'openai', vazio: null } });
+    const unsampled = tracer.startSpan('chat.frame');
+
+    expect(remote.parentSpanId).toBe('00f067aa0ba902b7');
+    expect(child.traceId).toBe(remote.traceId);
+    expect(child.parentSpanId).toBe(remote.spanId);
+    expect(child.traceparent).toBe(`00-${remote.traceId}-${child.spanId}-01`);
+    expect(unsampled.traceparent).toMatch(/^00-[0-9a-f]{32}-[0-9a-f]{16}-00$/);
+
+    child.recordException(Object.assign(new Error('Limite atingido'), { type: 'rate_limit', code: 429 }));
+    [child, remote, unsampled].forEach(span => span.end());
+    await tracer.flush();
+
+    expect(exporter.spans.map(span => span.name)).toEqual(['ai.attempt', 'chat.frame']);
+    expect(exporter.spans[0].toJSON()).toMatchObject({
+      parentSpanId: remote.spanId,
+      kind: 'client',
+      status: { code: 'error', message: 'Limite atingido' },
+      attributes: { 'ai.provider': 'openai' },
+      events: [{ name: 'exception', attributes: { 'exception.type': 'rate_limit', 'exception.code': '429' } }]
+    });
+    expect(tracer.getStats()).toMatchObject({ exported: 2, queued: 0 });
+  });
+
+  test('deve registrar a exceção e encerrar o trecho em withSpan', async () => {
+    const exporter = createMemoryExporter();
+    tracer = new Tracer({ exporters: [exporter] });
+
+    await expect(tracer.withSpan('session.resolve', {}, async () => {
+      throw new Error('Store indisponível');
+    })).rejects.toThrow('Store indisponível');
+    await tracer.flush();
+
+    expect(exporter.spans[0]).toMatchObject({ name: 'session.resolve', ended: true, status: { code: 'error' } });
+    expect(exporter.spans[0].duration).toBeGreaterThanOrEqual(0);
+  });
+
+  test('deve gravar os trechos em JSON Lines', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'traces-'));
+    const path = join(dir, 'logs', 'traces.jsonl');
+    tracer = new Tracer({ serviceName: 'chatbot-teste', exporters: [createSpanExporter({ type: 'file', path })] });
+
+    const root = tracer.startSpan('chat.frame', { kind: 'server' });
+    tracer.startSpan('chat.history', { parent: root }).end();
+    root.end();
+    await tracer.close();
+
+    const lines = (await readFile(path, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toEqual([
+      expect.objectContaining({ service: 'chatbot-teste', name: 'chat.history', parentSpanId: root.spanId, traceId: root.traceId }),
+      expect.objectContaining({ service: 'chatbot-teste', name: 'chat.frame', parentSpanId: null, kind: 'server' })
+    ]);
+    expect(lines[1].durationMs).toEqual(expect.any(Number));
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('deve exportar por OTLP/HTTP JSON com cabeçalhos do coletor', async () => {
+    const requests = [];
+    const server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end('{}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      tracer = new Tracer({
+        serviceName: 'chatbot-teste',
+        exporters: [createSpanExporter({
+          type: 'otlp',
+          url: `http://127.0.0.1:${server.address().port}/v1/traces`,
+          headers: { 'x-api-key': 'segredo' }
+        })]
+      });
+
+      const root = tracer.startSpan('chat.frame', { kind: 'server', attributes: { 'chat.stream': false, 'chat.history_length': 3 } });
+      root.addEvent('cancelled');
+      root.setStatus('ok');
+      root.end();
+      await tracer.flush();
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+
+    const [{ url, headers, body }] = requests;
+    expect(url).toBe('/v1/traces');
+    expect(headers).toMatchObject({ 'content-type': 'application/json', 'x-api-key': 'segredo' });
+
+    const [resourceSpans] = body.resourceSpans;
+    expect(resourceSpans.resource.attributes).toEqual([{ key: 'service.name', value: { stringValue: 'chatbot-teste' } }]);
+
+    const [span] = resourceSpans.scopeSpans[0].spans;
+    expect(span).toMatchObject({
+      traceId: expect.stringMatching(/^[0-9a-f]{32}$/),
+      spanId: expect.stringMatching(/^[0-9a-f]{16}$/),
+      name: 'chat.frame',
+      kind: 2,
+      startTimeUnixNano: expect.stringMatching(/^\d{19}$/),
+      attributes: [
+        { key: 'chat.stream', value: { boolValue: false } },
+        { key: 'chat.history_length', value: { intValue: '3' } }
+      ],
+      events: [{ name: 'cancelled', attributes: [] }],
+      status: { code: 1 }
+    });
+    expect(span).not.toHaveProperty('parentSpanId');
+    expect(BigInt(span.endTimeUnixNano)).toBeGreaterThanOrEqual(BigInt(span.startTimeUnixNano));
+  });
+});
@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+import { createHmac, generateKeyPairSync, sign } from 'crypto';
+import { VisitorAuthenticator } from '../auth/VisitorAuthenticator.js';
+import { redactUrl } from '../utils/logger.js';
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const signHS256 = (claims, secret, header = { alg: 'HS256', typ: 'JWT' }) => {
+  const data = `${encode(header)}.${encode(claims)}`;
+  return `${data}.${createHmac('sha256', secret).update(data).digest('base64url')}`;
+};
+
+const signRS256 = (claims, privateKey) => {
+  const data = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${data}.${sign('RSA-SHA256', Buffer.from(data), privateKey).toString('base64url')}`;
+};
+
+const createRequest = ({ token, header, query } = {}) => ({
+  url: query ? `/ws?token=${query}` : '/ws',
+  headers: {
+    ...(token && { 'sec-websocket-protocol': `chatbot.v1, chatbot.token.${token}` }),
+    ...(header && { authorization: `Bearer ${header}` })
+  }
+});
+
+describe('VisitorAuthenticator', () => {
+  let consoleSpies;
+  const claims = { sub: 42, name: 'Ana Souza', email: 'ana@example.com', plan: 'pro', exp: now() + 3600 };
+
+  beforeEach(() => {
+    consoleSpies = ['info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+  });
+
+  afterEach(() => {
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  test('deve autenticar HS256 pelo subprotocolo ou pelo header Authorization', () => {
+    const auth = new VisitorAuthenticator({ secret: 'segredo', issuer: 'https://loja.example.com', audience: 'chatbot' });
+    const token = signHS256({ ...claims, iss: 'https://loja.example.com', aud: ['chatbot', 'app'] }, 'segredo');
+
+    const visitor = { userId: '42', name: 'Ana Souza', email: 'ana@example.com', plan: 'pro' };
+    expect(auth.authenticate(createRequest({ token }))).toEqual(visitor);
+    expect(auth.authenticate(createRequest({ header: token }))).toEqual(visitor);
+    expect(auth.authenticate(createRequest())).toBeNull();
+    // Token na URL acaba em logs: é ignorado
+    expect(auth.authenticate(createRequest({ query: token }))).toBeNull();
+  });
+
+  test('deve autenticar RS256 com a chave pública', () => {
+    const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const auth = new VisitorAuthenticator({ publicKey: publicKey.export({ type: 'spki', format: 'pem' }) });
+
+    expect(auth.getStatus()).toEqual({ enabled: true, required: false, algorithms: ['RS256'] });
+    expect(auth.verify(signRS256(claims, privateKey)).sub).toBe(42);
+    expect(() => auth.verify(signRS256(claims, generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey)))
+      .toThrow(expect.objectContaining({ code: 'VISITOR_TOKEN_INVALID' }));
+  });
+
+  test('deve recusar assinatura inválida, alg none, troca de algoritmo e claims inválidas', () => {
+    const auth = new VisitorAuthenticator({ secret: 'segredo', audience: 'chatbot' });
+    const codeOf = token => {
+      try {
+        auth.verify(token);
+        return null;
+      } catch (error) {
+        return error.code;
+      }
+    };
+
+    const unsigned = `${encode({ alg: 'none' })}.${encode({ ...claims, aud: 'chatbot' })}.`;
+
+    expect([
+      codeOf(signHS256({ ...claims, aud: 'chatbot' }, 'outro-segredo')),
+      codeOf(unsigned),
+      codeOf(signHS256({ ...claims, aud: 'chatbot' }, 'segredo', { alg: 'RS256' })),
+      codeOf(signHS256({ ...claims, aud: 'outro' }, 'segredo')),
+      codeOf(signHS256({ ...claims, aud: 'chatbot', sub: undefined }, 'segredo')),
+      codeOf(signHS256({ ...claims, aud: 'chatbot', nbf: now() + 600 }, 'segredo')),
+      codeOf(signHS256({ ...claims, aud: 'chatbot', exp: now() - 600 }, 'segredo')),
+      codeOf(signHS256({ ...claims, aud: 'chatbot', exp: now() - 10 }, 'segredo')),
+      codeOf('não.é.jwt')
+    ]).toEqual([
+      'VISITOR_TOKEN_INVALID',
+      'VISITOR_TOKEN_INVALID',
+      'VISITOR_TOKEN_INVALID',
+      'VISITOR_TOKEN_INVALID',
+      'VISITOR_TOKEN_INVALID',
+      'VISITOR_TOKEN_INVALID',
+      'VISITOR_TOKEN_EXPIRED',
+      null, // Dentro da tolerância de relógio
+      'VISITOR_TOKEN_INVALID'
+    ]);
+  });
+
+  test('deve exigir token quando a autenticação é obrigatória', () => {
+    const auth = new VisitorAuthenticator({ secret: 'segredo', required: true });
+
+    expect(() => auth.authenticate(createRequest())).toThrow(expect.objectContaining({ code: 'VISITOR_TOKEN_REQUIRED' }));
+    expect(auth.authenticate(createRequest({ token: signHS256(claims, 'segredo') })).userId).toBe('42');
+  });
+
+  test('deve mascarar tokens nas URLs registradas em log', () => {
+    expect(redactUrl('/api/chat?token=abc.def&lang=pt')).toBe('/api/chat?token=***&lang=pt');
+    expect(redactUrl('/ws/agent?name=Ana&authToken=x')).toBe('/ws/agent?name=Ana&authToken=***');
+    expect(redactUrl('/health')).toBe('/health');
+  });
+
+  test('deve ignorar o token sem chave configurada quando a autenticação é opcional', () => {
+    const auth = new VisitorAuthenticator();
+
+    expect(auth.enabled).toBe(false);
+    expect(auth.authenticate(createRequest({ token: signHS256(claims, 'segredo') }))).toBeNull();
+  });
+});
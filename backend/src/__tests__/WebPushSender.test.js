@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals';
+import { createServer } from 'http';
+import { createDecipheriv, createECDH, createPublicKey, hkdfSync, randomBytes, verify } from 'crypto';
+import { WebPushSender } from '../push/WebPushSender.js';
+import { PushNotifier } from '../push/PushNotifier.js';
+
+const hkdf = (salt, ikm, info, length) => Buffer.from(hkdfSync('sha256', ikm, salt, info, length));
+
+/**
+ * Navegador falso: chaves da assinatura e decifragem do payload aes128gcm (RFC 8291)
+ */
+const createBrowser = endpoint => {
+  const ecdh = createECDH('prime256v1');
+  ecdh.generateKeys();
+  const auth = randomBytes(16);
+
+  return {
+    subscription: {
+      endpoint,
+      keys: { p256dh: ecdh.getPublicKey().toString('base64url'), auth: auth.toString('base64url') }
+    },
+    decrypt(body) {
+      const salt = body.subarray(0, 16);
+      const idLength = body.readUInt8(20);
+      const serverPublicKey = body.subarray(21, 21 + idLength);
+      const ciphertext = body.subarray(21 + idLength);
+
+      const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), serverPublicKey]);
+      const ikm = hkdf(auth, ecdh.computeSecret(serverPublicKey), keyInfo, 32);
+      const decipher = createDecipheriv(
+        'aes-128-gcm',
+        hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+        hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12)
+      );
+      decipher.setAuthTag(ciphertext.subarray(-16));
+      const plaintext = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+      expect(plaintext[plaintext.length - 1]).toBe(2);
+      return plaintext.subarray(0, -1).toString();
+    }
+  };
+};
+
+/**
+ * Verifica o JWT ES256 do header Authorization: vapid t=<jwt>, k=<chave pública>
+ */
+const verifyVapid = authorization => {
+  const [, token, key] = authorization.match(/^vapid t=([^,]+), k=(.+)$/);
+  const [header, claims, signature] = token.split('.');
+  const publicKey = Buffer.from(key, 'base64url');
+  const keyObject = createPublicKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: publicKey.subarray(1, 33).toString('base64url'),
+      y: publicKey.subarray(33).toString('base64url')
+    },
+    format: 'jwk'
+  });
+
+  const valid = verify('sha256', Buffer.from(`${header}.${claims}`), {
+    key: keyObject,
+    dsaEncoding: 'ieee-p1363'
+  }, Buffer.from(signature, 'base64url'));
+
+  return { valid, key, header: JSON.parse(Buffer.from(header, 'base64url')), claims: JSON.parse(Buffer.from(claims, 'base64url')) };
+};
+
+describe('WebPushSender', () => {
+  let consoleSpies;
+  let pushService;
+  let baseUrl;
+  let received;
+  let status;
+
+  beforeEach(async () => {
+    consoleSpies = ['info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+
+    // Push service local: guarda as requisições e responde com `status`
+    received = [];
+    status = 201;
+    pushService = createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+        res.writeHead(status).end();
+      });
+    });
+    await new Promise(resolve => pushService.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${pushService.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => pushService.close(resolve));
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  test('deve enviar o payload cifrado em aes128gcm com a assinatura VAPID', async () => {
+    const keys = WebPushSender.generateVAPIDKeys();
+    const sender = new WebPushSender({ ...keys, subject: 'mailto:equipe@example.com', ttl: 600 });
+    const browser = createBrowser(`${baseUrl}/push/abc`);
+
+    await expect(sender.send(browser.subscription, '{"title":"Olá"}', { urgency: 'high', topic: 'chat' }))
+      .resolves.toEqual({ statusCode: 201 });
+
+    const [push] = received;
+    expect(push.url).toBe('/push/abc');
+    expect(push.headers).toMatchObject({
+      'content-encoding': 'aes128gcm',
+      ttl: '600',
+      urgency: 'high',
+      topic: 'chat'
+    });
+    expect(browser.decrypt(push.body)).toBe('{"title":"Olá"}');
+
+    const vapid = verifyVapid(push.headers.authorization);
+    expect(vapid.valid).toBe(true);
+    expect(vapid.key).toBe(keys.publicKey);
+    expect(vapid.header).toEqual({ typ: 'JWT', alg: 'ES256' });
+    expect(vapid.claims).toMatchObject({ aud: baseUrl, sub: 'mailto:equipe@example.com' });
+    expect(vapid.claims.exp - Date.now() / 1000).toBeLessThanOrEqual(24 * 60 * 60);
+  });
+
+  test('deve sinalizar assinaturas expiradas e falhas do push service', async () => {
+    const sender = new WebPushSender(WebPushSender.generateVAPIDKeys());
+    const { subscription } = createBrowser(`${baseUrl}/push/expirada`);
+
+    status = 410;
+    await expect(sender.send(subscription, 'oi')).rejects.toMatchObject({ code: 'PUSH_SUBSCRIPTION_GONE', statusCode: 410 });
+
+    status = 500;
+    await expect(sender.send(subscription, 'oi')).rejects.toMatchObject({ code: 'PUSH_FAILED', statusCode: 500 });
+
+    await expect(sender.send(subscription, 'x'.repeat(5000))).rejects.toMatchObject({ code: 'PUSH_PAYLOAD_TOO_LARGE' });
+    await expect(new WebPushSender().send(subscription, 'oi')).rejects.toMatchObject({ code: 'PUSH_NOT_CONFIGURED' });
+  });
+
+  test('deve notificar pelo push service e remover a assinatura expirada', async () => {
+    const notifier = new PushNotifier({
+      sender: new WebPushSender(WebPushSender.generateVAPIDKeys()),
+      clickUrl: 'https://loja.example.com/ajuda#chat'
+    });
+    const browser = createBrowser(`${baseUrl}/push/1`);
+    notifier.subscribe(browser.subscription, { sessionId: 'sess_1' });
+
+    const session = { id: 'sess_1', visitor: null };
+    await notifier.notifyReply(session, { id: 'msg_1', content: 'Seu pedido foi enviado', metadata: { from: 'agent', agentName: 'Ana' } });
+
+    expect(JSON.parse(browser.decrypt(received[0].body))).toMatchObject({
+      type: 'agent_reply',
+      title: 'Ana respondeu',
+      body: 'Seu pedido foi enviado',
+      tag: 'chat-reply-sess_1',
+      url: 'https://loja.example.com/ajuda?chatSession=sess_1#chat',
+      sessionId: 'sess_1',
+      messageId: 'msg_1'
+    });
+
+    status = 404;
+    await expect(notifier.notifyReply(session, { id: 'msg_2', content: 'Mais alguma dúvida?', metadata: {} })).resolves.toBe(0);
+    expect(notifier.getStats()).toMatchObject({ subscriptions: 0, sent: 1, expired: 1 });
+  });
+});
@@ -2,15 +2,9 @@
  * Testes simplificados para WebSocketHandler
  */
 import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
 import { WebSocketHandler } from '../handlers/WebSocketHandler.js';
-
-// Mock simples do WebSocket Server
-class MockWebSocketServer extends EventEmitter {
-  constructor() {
-    super();
-    this.clients = new Set();
-  }
-}
+import { MessageRouter } from '../handlers/MessageRouter.js';
 
 // Mock simples do WebSocket Client
 class MockWebSocket extends EventEmitter {
@@ -36,70 +30,57 @@ class MockWebSocket extends EventEmitter {
       this.emit('close', code, reason);
     }, 1);
   }
-
-  ping() {
-    this.emit('ping');
-  }
 }
 
-// Mock simples do MCP Manager
-class MockMCPManager extends EventEmitter {
-  constructor() {
-    super();
-    this.isConnected = true;
-  }
-
-  async sendMessage(message, sessionId) {
-    // Simula processamento rápido
-    return {
-      id: 'mock-response-id',
-      sessionId,
-      message: `Resposta para: ${message}`,
-      content: `Resposta para: ${message}`,
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  getStats() {
-    return {
-      isConnected: this.isConnected,
-      activeRequests: 0
-    };
-  }
-}
+const mockRequest = {
+  url: '/ws',
+  socket: { remoteAddress: '127.0.0.1' },
+  headers: { 'user-agent': 'test-agent' }
+};
 
 describe('WebSocketHandler - Testes Simplificados', () => {
+  let consoleSpies;
   let wsHandler;
-  let mockWss;
-  let mockMcpManager;
+  let router;
 
   beforeEach(() => {
-    mockWss = new MockWebSocketServer();
-    mockMcpManager = new MockMCPManager();
-    wsHandler = new WebSocketHandler(mockWss, mockMcpManager);
+    consoleSpies = ['info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+
+    router = new MessageRouter();
+    router.register('ping', async () => ({ type: 'pong', timestamp: new Date().toISOString() }));
+
+    wsHandler = new WebSocketHandler({
+      router,
+      botProfiles: {
+        resolve: () => ({ id: 'default' }),
+        getPublicProfile: profile => ({ id: profile.id })
+      },
+      handoffManager: { unregisterVisitor: () => {} }
+    });
   });
 
   afterEach(() => {
     if (wsHandler) {
       wsHandler.removeAllListeners();
     }
+    consoleSpies.forEach(spy => spy.mockRestore());
   });
 
   describe('Inicialização Básica', () => {
     test('deve inicializar corretamente', () => {
       expect(wsHandler).toBeInstanceOf(WebSocketHandler);
-      expect(wsHandler.clients).toBeInstanceOf(Map);
-      expect(wsHandler.sessions).toBeInstanceOf(Map);
-      expect(wsHandler.wss).toBe(mockWss);
-      expect(wsHandler.mcpManager).toBe(mockMcpManager);
+      expect(wsHandler.connections).toBeInstanceOf(Map);
+      expect(wsHandler.router).toBe(router);
     });
 
     test('deve ter métodos essenciais', () => {
+      expect(typeof wsHandler.handleConnection).toBe('function');
       expect(typeof wsHandler.generateClientId).toBe('function');
-      expect(typeof wsHandler.generateSessionId).toBe('function');
-      expect(typeof wsHandler.sendToClient).toBe('function');
       expect(typeof wsHandler.broadcast).toBe('function');
       expect(typeof wsHandler.getStats).toBe('function');
+      expect(typeof wsHandler.shutdown).toBe('function');
     });
   });
 
@@ -107,29 +88,16 @@ describe('WebSocketHandler - Testes Simplificados', () => {
     test('deve gerar IDs únicos para clientes', () => {
       const id1 = wsHandler.generateClientId();
       const id2 = wsHandler.generateClientId();
-      
+
       expect(id1).not.toBe(id2);
       expect(id1).toMatch(/^client_\d+_[a-z0-9]+$/);
       expect(id2).toMatch(/^client_\d+_[a-z0-9]+$/);
     });
-
-    test('deve gerar IDs únicos para sessões', () => {
-      const id1 = wsHandler.generateSessionId();
-      const id2 = wsHandler.generateSessionId();
-      
-      expect(id1).not.toBe(id2);
-      expect(id1).toMatch(/^session_\d+_[a-z0-9]+$/);
-      expect(id2).toMatch(/^session_\d+_[a-z0-9]+$/);
-    });
   });
 
   describe('Conexão Simples', () => {
     test('deve processar nova conexão', (done) => {
       const mockWs = new MockWebSocket();
-      const mockRequest = {
-        socket: { remoteAddress: '127.0.0.1' },
-        headers: { 'user-agent': 'test-agent' }
-      };
 
       // Escuta mensagem de boas-vindas
       mockWs.on('mockSend', (data) => {
@@ -137,36 +105,29 @@ describe('WebSocketHandler - Testes Simplificados', () => {
         if (message.type === 'connection') {
           expect(message.status).toBe('connected');
           expect(message.clientId).toBeDefined();
-          expect(wsHandler.clients.size).toBe(1);
+          expect(wsHandler.connections.size).toBe(1);
           done();
         }
       });
 
-      // Simula nova conexão
-      mockWss.emit('connection', mockWs, mockRequest);
+      wsHandler.handleConnection(mockWs, mockRequest);
     });
   });
 
   describe('Mensagens Básicas', () => {
     let mockWs;
-    let clientId;
 
     beforeEach((done) => {
       mockWs = new MockWebSocket();
-      const mockRequest = {
-        socket: { remoteAddress: '127.0.0.1' },
-        headers: { 'user-agent': 'test-agent' }
-      };
 
       mockWs.on('mockSend', (data) => {
         const message = JSON.parse(data);
         if (message.type === 'connection') {
-          clientId = message.clientId;
           done();
         }
       });
 
-      mockWss.emit('connection', mockWs, mockRequest);
+      wsHandler.handleConnection(mockWs, mockRequest);
     });
 
     test('deve processar ping', (done) => {
@@ -180,104 +141,70 @@ describe('WebSocketHandler - Testes Simplificados', () => {
 
       mockWs.emit('message', Buffer.from(JSON.stringify({
         type: 'ping'
-      })));
-    });
-
-    test('deve iniciar sessão', (done) => {
-      mockWs.on('mockSend', (data) => {
-        const message = JSON.parse(data);
-        if (message.type === 'session_started') {
-          expect(message.sessionId).toBeDefined();
-          expect(wsHandler.sessions.size).toBe(1);
-          done();
-        }
-      });
-
-      mockWs.emit('message', Buffer.from(JSON.stringify({
-        type: 'session_start'
-      })));
+      })), false);
     });
   });
 
   describe('Estatísticas', () => {
     test('deve retornar estatísticas básicas', () => {
       const stats = wsHandler.getStats();
-      
+
       expect(stats).toHaveProperty('connectedClients');
-      expect(stats).toHaveProperty('activeSessions');
-      expect(stats).toHaveProperty('clients');
-      expect(Array.isArray(stats.clients)).toBe(true);
+      expect(stats).toHaveProperty('activeGenerations');
+      expect(stats).toHaveProperty('messageTypes');
+      expect(Array.isArray(stats.messageTypes)).toBe(true);
       expect(typeof stats.connectedClients).toBe('number');
-      expect(typeof stats.activeSessions).toBe('number');
+      expect(typeof stats.activeGenerations).toBe('number');
     });
   });
 
   describe('Broadcast', () => {
     test('deve fazer broadcast para clientes conectados', (done) => {
       const mockWs = new MockWebSocket();
-      const mockRequest = {
-        socket: { remoteAddress: '127.0.0.1' },
-        headers: { 'user-agent': 'test-agent' }
-      };
-
-      let connectionReceived = false;
-      let broadcastReceived = false;
 
       mockWs.on('mockSend', (data) => {
         const message = JSON.parse(data);
-        
+
         if (message.type === 'connection') {
-          connectionReceived = true;
-          
           // Envia broadcast após conexão
-          setTimeout(() => {
-            const sentCount = wsHandler.broadcast({
-              type: 'test_broadcast',
-              message: 'Mensagem de teste'
-            });
-            expect(sentCount).toBe(1);
-          }, 10);
+          const sentCount = wsHandler.broadcast({
+            type: 'test_broadcast',
+            message: 'Mensagem de teste'
+          });
+          expect(sentCount).toBe(1);
         }
-        
+
         if (message.type === 'test_broadcast') {
-          broadcastReceived = true;
           expect(message.message).toBe('Mensagem de teste');
-          
-          if (connectionReceived && broadcastReceived) {
-            done();
-          }
+          done();
         }
       });
 
-      mockWss.emit('connection', mockWs, mockRequest);
+      wsHandler.handleConnection(mockWs, mockRequest);
     });
   });
 
   describe('Desconexão', () => {
     test('deve processar desconexão corretamente', (done) => {
       const mockWs = new MockWebSocket();
-      const mockRequest = {
-        socket: { remoteAddress: '127.0.0.1' },
-        headers: { 'user-agent': 'test-agent' }
-      };
 
       mockWs.on('mockSend', (data) => {
         const message = JSON.parse(data);
         if (message.type === 'connection') {
-          expect(wsHandler.clients.size).toBe(1);
-          
+          expect(wsHandler.connections.size).toBe(1);
+
           // Simula desconexão
-          mockWs.emit('close', 1000, 'Normal closure');
-          
+          mockWs.close(1000, 'Normal closure');
+
           // Verifica se cliente foi removido
           setTimeout(() => {
-            expect(wsHandler.clients.size).toBe(0);
+            expect(wsHandler.connections.size).toBe(0);
             done();
           }, 10);
         }
       });
 
-      mockWss.emit('connection', mockWs, mockRequest);
+      wsHandler.handleConnection(mockWs, mockRequest);
     });
   });
-});
\ No newline at end of file
+});
@@ -2,15 +2,10 @@
  * Testes unitários para WebSocketHandler
  */
 import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
 import { WebSocketHandler } from '../handlers/WebSocketHandler.js';
-
-// Mock do WebSocket Server
-class MockWebSocketServer extends EventEmitter {
-  constructor() {
-    super();
-    this.clients = new Set();
-  }
-}
+import { MessageRouter } from '../handlers/MessageRouter.js';
+import { ERROR_CODES, MAX_FRAME_SIZE, PROTOCOL_VERSION } from '../handlers/protocol.js';
 
 // Mock do WebSocket Client
 class MockWebSocket extends EventEmitter {
@@ -23,9 +18,7 @@ class MockWebSocket extends EventEmitter {
   }
 
   send(data) {
-    this.sentMessages.push(data);
-    // Simula envio de mensagem
-    this.emit('mockSend', data);
+    this.sentMessages.push(JSON.parse(data));
   }
 
   close(code, reason) {
@@ -33,450 +26,269 @@ class MockWebSocket extends EventEmitter {
     this.emit('close', code, reason);
   }
 
-  ping() {
-    this.emit('ping');
+  lastMessage() {
+    return this.sentMessages[this.sentMessages.length - 1];
   }
 }
 
-// Mock do MCP Connection Manager
-class MockMCPManager extends EventEmitter {
-  constructor() {
-    super();
-    this.isConnected = true;
-  }
+const createRequest = ({ url = '/ws', protocol, origin = 'https://loja.example.com', visitor } = {}) => ({
+  url,
+  headers: { origin, ...(protocol ? { 'sec-websocket-protocol': protocol } : {}) },
+  socket: { remoteAddress: '127.0.0.1' },
+  visitor
+});
 
-  async sendMessage(message, sessionId) {
-    // Simula delay de processamento
-    await new Promise(resolve => setTimeout(resolve, 10));
-    
-    return {
-      id: 'mock-response-id',
-      sessionId,
-      message: `Resposta para: ${message}`,
-      content: `Resposta para: ${message}`,
-      usage: {
-        promptTokens: 10,
-        completionTokens: 20,
-        totalTokens: 30
-      },
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  getStats() {
-    return {
-      isConnected: this.isConnected,
-      activeRequests: 0
-    };
-  }
-}
+// Aguarda o dispatch assíncrono do frame
+const flush = () => new Promise(resolve => setImmediate(resolve));
 
 describe('WebSocketHandler', () => {
+  let consoleSpies;
   let wsHandler;
-  let mockWss;
-  let mockMcpManager;
+  let router;
+  let botProfiles;
+  let handoffManager;
 
   beforeEach(() => {
-    mockWss = new MockWebSocketServer();
-    mockMcpManager = new MockMCPManager();
-    wsHandler = new WebSocketHandler(mockWss, mockMcpManager);
+    consoleSpies = ['info', 'warn', 'error', 'debug'].map(level =>
+      jest.spyOn(console, level).mockImplementation()
+    );
+
+    router = new MessageRouter();
+    router.register('ping', async () => ({ type: 'pong', timestamp: new Date().toISOString() }));
+    router.register('echo', async (connection, message) => {
+      connection.send({ type: 'echo', content: message.content });
+      return null;
+    });
+
+    botProfiles = {
+      resolve: jest.fn(() => ({ id: 'default' })),
+      getPublicProfile: jest.fn(profile => ({ id: profile.id, name: 'Assistente' }))
+    };
+    handoffManager = { unregisterVisitor: jest.fn() };
+
+    wsHandler = new WebSocketHandler({ router, botProfiles, handoffManager, config: { historyMode: 'server' } });
   });
 
   afterEach(() => {
-    if (wsHandler) {
-      wsHandler.removeAllListeners();
-    }
+    wsHandler.removeAllListeners();
+    consoleSpies.forEach(spy => spy.mockRestore());
   });
 
   describe('Inicialização', () => {
     test('deve inicializar corretamente', () => {
       expect(wsHandler).toBeInstanceOf(WebSocketHandler);
-      expect(wsHandler.clients).toBeInstanceOf(Map);
-      expect(wsHandler.sessions).toBeInstanceOf(Map);
-      expect(wsHandler.wss).toBe(mockWss);
-      expect(wsHandler.mcpManager).toBe(mockMcpManager);
+      expect(wsHandler.connections).toBeInstanceOf(Map);
+      expect(wsHandler.router).toBe(router);
+      expect(wsHandler.config.historyMode).toBe('server');
     });
 
-    test('deve configurar listeners do WebSocket Server', () => {
-      expect(mockWss.listenerCount('connection')).toBeGreaterThan(0);
+    test('deve usar o histórico do servidor por padrão', () => {
+      const handler = new WebSocketHandler({ router, botProfiles, handoffManager });
+      expect(handler.config.historyMode).toBe('server');
+
+      const clientMode = new WebSocketHandler({ router, botProfiles, handoffManager, config: { historyMode: 'client' } });
+      expect(clientMode.config.historyMode).toBe('client');
     });
   });
 
   describe('Conexão de Clientes', () => {
     test('deve processar nova conexão', () => {
       const mockWs = new MockWebSocket();
-      const mockRequest = {
-        socket: { remoteAddress: '127.0.0.1' },
-        headers: { 'user-agent': 'test-agent' }
-      };
-
-      // Simula nova conexão
-      mockWss.emit('connection', mockWs, mockRequest);
-
-      expect(wsHandler.clients.size).toBe(1);
-      
-      const clientInfo = Array.from(wsHandler.clients.values())[0];
-      expect(clientInfo.ws).toBe(mockWs);
-      expect(clientInfo.ip).toBe('127.0.0.1');
+      const connection = wsHandler.handleConnection(mockWs, createRequest());
+
+      expect(wsHandler.connections.size).toBe(1);
+      expect(connection.ws).toBe(mockWs);
+      expect(connection.ip).toBe('127.0.0.1');
+      expect(connection.origin).toBe('https://loja.example.com');
+      expect(connection.protocolVersion).toBe(PROTOCOL_VERSION);
+      expect(connection.activeGenerations).toBeInstanceOf(Map);
+    });
+
+    test('deve enviar mensagem de boas-vindas com o perfil da origem', () => {
+      const mockWs = new MockWebSocket();
+      wsHandler.handleConnection(mockWs, createRequest({ visitor: { userId: 'u_1', name: 'Ana' } }));
+
+      expect(botProfiles.resolve).toHaveBeenCalledWith({ origin: 'https://loja.example.com' });
+      expect(mockWs.sentMessages[0]).toMatchObject({
+        type: 'connection',
+        status: 'connected',
+        clientId: expect.stringMatching(/^client_\d+_[a-z0-9]+$/),
+        protocolVersion: PROTOCOL_VERSION,
+        historyMode: 'server',
+        profile: { id: 'default', name: 'Assistente' },
+        visitor: { userId: 'u_1', name: 'Ana' }
+      });
     });
 
-    test('deve enviar mensagem de boas-vindas', (done) => {
+    test('deve recusar versão de protocolo não suportada', () => {
       const mockWs = new MockWebSocket();
-      const mockRequest = {
-        socket: { remoteAddress: '127.0.0.1' },
-        headers: { 'user-agent': 'test-agent' }
-      };
-
-      mockWs.on('mockSend', (data) => {
-        const message = JSON.parse(data);
-        if (message.type === 'connection') {
-          expect(message.status).toBe('connected');
-          expect(message.clientId).toBeDefined();
-          done();
-        }
+      const closed = jest.fn();
+      mockWs.on('close', closed);
+
+      expect(wsHandler.handleConnection(mockWs, createRequest({ url: '/ws?protocol=99' }))).toBeNull();
+
+      expect(wsHandler.connections.size).toBe(0);
+      expect(mockWs.sentMessages[0]).toMatchObject({
+        type: 'error',
+        code: ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION
       });
+      expect(closed).toHaveBeenCalledWith(1002, 'Versão do protocolo não suportada');
+    });
+
+    test('deve emitir evento de conexão', () => {
+      const listener = jest.fn();
+      wsHandler.on('connection', listener);
 
-      mockWss.emit('connection', mockWs, mockRequest);
+      const connection = wsHandler.handleConnection(new MockWebSocket(), createRequest());
+
+      expect(listener).toHaveBeenCalledWith(connection);
     });
   });
 
   describe('Processamento de Mensagens', () => {
     let mockWs;
-    let clientId;
 
     beforeEach(() => {
       mockWs = new MockWebSocket();
-      const mockRequest = {
-        socket: { remoteAddress: '127.0.0.1' },
-        headers: { 'user-agent': 'test-agent' }
-      };
+      wsHandler.handleConnection(mockWs, createRequest());
+    });
 
-      mockWss.emit('connection', mockWs, mockRequest);
-      clientId = Array.from(wsHandler.clients.keys())[0];
+    test('deve processar mensagem de ping', async () => {
+      mockWs.emit('message', Buffer.from(JSON.stringify({ type: 'ping' })), false);
+      await flush();
+
+      expect(mockWs.lastMessage().type).toBe('pong');
+      expect(mockWs.lastMessage().timestamp).toBeDefined();
     });
 
-    test('deve processar mensagem de ping', (done) => {
-      mockWs.on('mockSend', (data) => {
-        const message = JSON.parse(data);
-        if (message.type === 'pong') {
-          expect(message.timestamp).toBeDefined();
-          done();
-        }
-      });
+    test('deve permitir respostas enviadas pelo próprio handler', async () => {
+      mockWs.emit('message', Buffer.from(JSON.stringify({ type: 'echo', content: 'Olá' })), false);
+      await flush();
 
-      mockWs.emit('message', Buffer.from(JSON.stringify({
-        type: 'ping'
-      })));
+      expect(mockWs.lastMessage()).toEqual({ type: 'echo', content: 'Olá' });
     });
 
-    test('deve iniciar sessão de chat', (done) => {
-      mockWs.on('mockSend', (data) => {
-        const message = JSON.parse(data);
-        if (message.type === 'session_started') {
-          expect(message.sessionId).toBeDefined();
-          expect(wsHandler.sessions.size).toBe(1);
-          done();
-        }
-      });
+    test('deve tratar mensagem inválida', async () => {
+      mockWs.emit('message', Buffer.from('mensagem-invalida'), false);
+      await flush();
 
-      mockWs.emit('message', Buffer.from(JSON.stringify({
-        type: 'session_start'
-      })));
+      expect(mockWs.lastMessage()).toMatchObject({ type: 'error', code: ERROR_CODES.INVALID_JSON });
     });
 
-    test('deve processar mensagem de chat', async () => {
-      // Primeiro inicia sessão
-      mockWs.emit('message', Buffer.from(JSON.stringify({
-        type: 'session_start'
-      })));
-
-      // Aguarda processamento da sessão
-      await new Promise(resolve => setTimeout(resolve, 50));
-
-      let typingReceived = false;
-      let responseReceived = false;
-
-      mockWs.on('mockSend', (data) => {
-        const message = JSON.parse(data);
-        
-        if (message.type === 'typing' && message.isTyping) {
-          typingReceived = true;
-        }
-        
-        if (message.type === 'chat_response') {
-          responseReceived = true;
-          expect(message.content).toContain('Resposta para:');
-          expect(message.messageId).toBe('test-msg-1');
-        }
-      });
+    test('deve recusar frames binários', async () => {
+      mockWs.emit('message', Buffer.from(JSON.stringify({ type: 'ping' })), true);
+      await flush();
 
-      // Envia mensagem de chat
-      mockWs.emit('message', Buffer.from(JSON.stringify({
-        type: 'chat',
-        content: 'Olá, como você está?',
-        messageId: 'test-msg-1'
-      })));
-
-      // Aguarda processamento
-      await new Promise(resolve => setTimeout(resolve, 200));
-
-      expect(typingReceived).toBe(true);
-      expect(responseReceived).toBe(true);
-    }, 10000);
-
-    test('deve encerrar sessão de chat', (done) => {
-      // Primeiro inicia sessão
-      mockWs.emit('message', Buffer.from(JSON.stringify({
-        type: 'session_start'
-      })));
-
-      let sessionId = null;
-
-      mockWs.on('mockSend', (data) => {
-        const message = JSON.parse(data);
-        
-        if (message.type === 'session_started') {
-          sessionId = message.sessionId;
-          
-          // Encerra sessão
-          mockWs.emit('message', Buffer.from(JSON.stringify({
-            type: 'session_end'
-          })));
-        }
-        
-        if (message.type === 'session_ended') {
-          expect(message.sessionId).toBe(sessionId);
-          expect(wsHandler.sessions.size).toBe(0);
-          done();
-        }
-      });
+      expect(mockWs.lastMessage()).toMatchObject({ type: 'error', code: ERROR_CODES.INVALID_JSON });
     });
 
-    test('deve tratar mensagem inválida', (done) => {
-      mockWs.on('mockSend', (data) => {
-        const message = JSON.parse(data);
-        if (message.type === 'error') {
-          expect(message.message).toContain('inválido');
-          done();
-        }
-      });
+    test('deve recusar frames maiores que o limite', async () => {
+      mockWs.emit('message', Buffer.alloc(MAX_FRAME_SIZE + 1, 'a'), false);
+      await flush();
 
-      // Envia JSON inválido
-      mockWs.emit('message', Buffer.from('mensagem-invalida'));
+      expect(mockWs.lastMessage()).toMatchObject({ type: 'error', code: ERROR_CODES.FRAME_TOO_LARGE });
     });
 
-    test('deve tratar tipo de mensagem desconhecido', (done) => {
-      mockWs.on('mockSend', (data) => {
-        const message = JSON.parse(data);
-        if (message.type === 'error') {
-          expect(message.message).toContain('não suportado');
-          done();
-        }
-      });
+    test('deve tratar tipo de mensagem desconhecido', async () => {
+      mockWs.emit('message', Buffer.from(JSON.stringify({ type: 'tipo_inexistente' })), false);
+      await flush();
 
-      mockWs.emit('message', Buffer.from(JSON.stringify({
-        type: 'tipo_inexistente'
-      })));
+      expect(mockWs.lastMessage()).toMatchObject({
+        type: 'error',
+        code: ERROR_CODES.UNKNOWN_TYPE,
+        requestType: 'tipo_inexistente'
+      });
     });
   });
 
-  describe('Gerenciamento de Sessões', () => {
+  describe('Identificadores', () => {
     test('deve gerar IDs únicos para clientes', () => {
       const id1 = wsHandler.generateClientId();
       const id2 = wsHandler.generateClientId();
-      
-      expect(id1).not.toBe(id2);
-      expect(id1).toMatch(/^client_\d+_[a-z0-9]+$/);
-    });
 
-    test('deve gerar IDs únicos para sessões', () => {
-      const id1 = wsHandler.generateSessionId();
-      const id2 = wsHandler.generateSessionId();
-      
       expect(id1).not.toBe(id2);
-      expect(id1).toMatch(/^session_\d+_[a-z0-9]+$/);
+      expect(id1).toMatch(/^client_\d+_[a-z0-9]+$/);
     });
   });
 
   describe('Desconexão de Clientes', () => {
     test('deve processar desconexão corretamente', () => {
       const mockWs = new MockWebSocket();
-      const mockRequest = {
-        socket: { remoteAddress: '127.0.0.1' },
-        headers: { 'user-agent': 'test-agent' }
-      };
-
-      // Conecta cliente
-      mockWss.emit('connection', mockWs, mockRequest);
-      expect(wsHandler.clients.size).toBe(1);
-
-      // Desconecta cliente
-      mockWs.emit('close', 1000, 'Normal closure');
-      expect(wsHandler.clients.size).toBe(0);
+      const listener = jest.fn();
+      wsHandler.on('disconnect', listener);
+
+      const connection = wsHandler.handleConnection(mockWs, createRequest());
+      expect(wsHandler.connections.size).toBe(1);
+
+      mockWs.emit('close', 1000, Buffer.from('Normal closure'));
+
+      expect(wsHandler.connections.size).toBe(0);
+      expect(handoffManager.unregisterVisitor).toHaveBeenCalledWith(mockWs);
+      expect(listener).toHaveBeenCalledWith(connection);
     });
 
-    test('deve limpar sessão ao desconectar', async () => {
+    test('deve interromper gerações em andamento ao desconectar', () => {
       const mockWs = new MockWebSocket();
-      const mockRequest = {
-        socket: { remoteAddress: '127.0.0.1' },
-        headers: { 'user-agent': 'test-agent' }
-      };
-
-      // Conecta e inicia sessão
-      mockWss.emit('connection', mockWs, mockRequest);
-      mockWs.emit('message', Buffer.from(JSON.stringify({
-        type: 'session_start'
-      })));
-
-      // Aguarda processamento
-      await new Promise(resolve => setTimeout(resolve, 50));
-      expect(wsHandler.sessions.size).toBe(1);
-      
-      // Desconecta
-      mockWs.emit('close', 1000, 'Normal closure');
-      expect(wsHandler.sessions.size).toBe(0);
+      const connection = wsHandler.handleConnection(mockWs, createRequest());
+      const controller = new AbortController();
+      connection.activeGenerations.set('msg_1', controller);
+
+      mockWs.emit('close', 1001, Buffer.from(''));
+
+      expect(controller.signal.aborted).toBe(true);
+      expect(connection.activeGenerations.size).toBe(0);
     });
   });
 
   describe('Broadcast e Comunicação', () => {
-    test('deve enviar mensagem para cliente específico', () => {
+    test('não deve enviar para conexão fechada', () => {
       const mockWs = new MockWebSocket();
-      const mockRequest = {
-        socket: { remoteAddress: '127.0.0.1' },
-        headers: { 'user-agent': 'test-agent' }
-      };
-
-      mockWss.emit('connection', mockWs, mockRequest);
-      const clientId = Array.from(wsHandler.clients.keys())[0];
-
-      let messageSent = false;
-      mockWs.on('mockSend', (data) => {
-        const message = JSON.parse(data);
-        if (message.type === 'test') {
-          messageSent = true;
-        }
-      });
-
-      const result = wsHandler.sendToClient(clientId, {
-        type: 'test',
-        message: 'Mensagem de teste'
-      });
+      const connection = wsHandler.handleConnection(mockWs, createRequest());
+      mockWs.readyState = mockWs.CLOSED;
 
-      expect(result).toBe(true);
-      expect(messageSent).toBe(true);
+      expect(connection.send({ type: 'test' })).toBe(false);
+      expect(mockWs.sentMessages).toHaveLength(1); // apenas o frame connection
     });
 
     test('deve fazer broadcast para todos os clientes', () => {
       const mockWs1 = new MockWebSocket();
       const mockWs2 = new MockWebSocket();
-      const mockRequest = {
-        socket: { remoteAddress: '127.0.0.1' },
-        headers: { 'user-agent': 'test-agent' }
-      };
-
-      // Conecta dois clientes
-      mockWss.emit('connection', mockWs1, mockRequest);
-      mockWss.emit('connection', mockWs2, mockRequest);
-
-      let messagesReceived = 0;
-      const testMessage = { type: 'broadcast', message: 'Mensagem para todos' };
-
-      [mockWs1, mockWs2].forEach(ws => {
-        ws.on('mockSend', (data) => {
-          const message = JSON.parse(data);
-          if (message.type === 'broadcast') {
-            messagesReceived++;
-          }
-        });
-      });
+      wsHandler.handleConnection(mockWs1, createRequest());
+      wsHandler.handleConnection(mockWs2, createRequest());
+
+      const sentCount = wsHandler.broadcast({ type: 'broadcast', message: 'Mensagem para todos' });
 
-      const sentCount = wsHandler.broadcast(testMessage);
       expect(sentCount).toBe(2);
-      expect(messagesReceived).toBe(2);
+      expect(mockWs1.lastMessage().type).toBe('broadcast');
+      expect(mockWs2.lastMessage().type).toBe('broadcast');
     });
   });
 
   describe('Estatísticas', () => {
     test('deve retornar estatísticas corretas', () => {
-      const stats = wsHandler.getStats();
-      
-      expect(stats).toHaveProperty('connectedClients');
-      expect(stats).toHaveProperty('activeSessions');
-      expect(stats).toHaveProperty('clients');
-      expect(Array.isArray(stats.clients)).toBe(true);
-    });
-  });
-
-  describe('Shutdown', () => {
-    test('deve encerrar graciosamente', async () => {
-      const mockWs = new MockWebSocket();
-      const mockRequest = {
-        socket: { remoteAddress: '127.0.0.1' },
-        headers: { 'user-agent': 'test-agent' }
-      };
-
-      mockWss.emit('connection', mockWs, mockRequest);
-      expect(wsHandler.clients.size).toBe(1);
-
-      let shutdownMessageReceived = false;
-      mockWs.on('mockSend', (data) => {
-        const message = JSON.parse(data);
-        if (message.type === 'system' && message.message.includes('reiniciado')) {
-          shutdownMessageReceived = true;
-        }
+      const connection = wsHandler.handleConnection(new MockWebSocket(), createRequest());
+      connection.activeGenerations.set('msg_1', new AbortController());
+
+      expect(wsHandler.getStats()).toEqual({
+        connectedClients: 1,
+        activeGenerations: 1,
+        protocolVersions: [PROTOCOL_VERSION],
+        messageTypes: ['ping', 'echo']
       });
-
-      await wsHandler.shutdown();
-
-      expect(shutdownMessageReceived).toBe(true);
-      expect(wsHandler.clients.size).toBe(0);
-      expect(wsHandler.sessions.size).toBe(0);
     });
   });
 
-  describe('Integração com MCP', () => {
-    test('deve configurar handlers para eventos MCP', () => {
-      expect(mockMcpManager.listenerCount('connected')).toBeGreaterThan(0);
-      expect(mockMcpManager.listenerCount('disconnected')).toBeGreaterThan(0);
-      expect(mockMcpManager.listenerCount('error')).toBeGreaterThan(0);
-    });
-
-    test('deve broadcast quando MCP conecta', (done) => {
+  describe('Shutdown', () => {
+    test('deve encerrar graciosamente', () => {
       const mockWs = new MockWebSocket();
-      const mockRequest = {
-        socket: { remoteAddress: '127.0.0.1' },
-        headers: { 'user-agent': 'test-agent' }
-      };
-
-      mockWss.emit('connection', mockWs, mockRequest);
-
-      mockWs.on('mockSend', (data) => {
-        const message = JSON.parse(data);
-        if (message.type === 'system' && message.message.includes('conectado')) {
-          done();
-        }
-      });
+      const closed = jest.fn();
+      mockWs.on('close', closed);
+      wsHandler.handleConnection(mockWs, createRequest());
 
-      mockMcpManager.emit('connected');
-    });
-
-    test('deve broadcast quando MCP desconecta', (done) => {
-      const mockWs = new MockWebSocket();
-      const mockRequest = {
-        socket: { remoteAddress: '127.0.0.1' },
-        headers: { 'user-agent': 'test-agent' }
-      };
-
-      mockWss.emit('connection', mockWs, mockRequest);
-
-      mockWs.on('mockSend', (data) => {
-        const message = JSON.parse(data);
-        if (message.type === 'system' && message.message.includes('indisponível')) {
-          done();
-        }
-      });
+      wsHandler.shutdown();
 
-      mockMcpManager.emit('disconnected');
+      expect(closed).toHaveBeenCalledWith(1001, 'Servidor reiniciando');
+      expect(wsHandler.connections.size).toBe(0);
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,69 @@
+// Servidor MCP mínimo via stdio usado nos testes do MCPClient/MCPToolRegistry
+import { createInterface } from 'readline';
+
+const tools = [
+  {
+    name: 'listar_horarios',
+    title: 'agenda',
+    description: 'Lista horários livres em uma data',
+    inputSchema: {
+      type: 'object',
+      properties: { data: { type: 'string' } },
+      required: ['data']
+    }
+  },
+  {
+    name: 'falhar',
+    description: 'Sempre retorna erro',
+    inputSchema: { type: 'object', properties: {} }
+  }
+];
+
+const send = (message) => process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+
+const rl = createInterface({ input: process.stdin });
+
+rl.on('line', (line) => {
+  const message = JSON.parse(line);
+  if (message.id === undefined) return; // notificações
+
+  switch (message.method) {
+    case 'initialize':
+      send({
+        id: message.id,
+        result: {
+          protocolVersion: message.params.protocolVersion,
+          capabilities: { tools: {} },
+          serverInfo: { name: 'fake-agenda', version: '0.0.1' }
+        }
+      });
+      break;
+
+    case 'tools/list':
+      // Paginação: uma ferramenta por página
+      if (!message.params?.cursor) {
+        send({ id: message.id, result: { tools: [tools[0]], nextCursor: 'page2' } });
+      } else {
+        send({ id: message.id, result: { tools: [tools[1]] } });
+      }
+      break;
+
+    case 'tools/call':
+      if (message.params.name === 'listar_horarios') {
+        send({
+          id: message.id,
+          result: {
+            content: [{ type: 'text', text: `Horários em ${message.params.arguments.data}: 09:00, 14:30` }]
+          }
+        });
+      } else if (message.params.name === 'falhar') {
+        send({ id: message.id, result: { content: [{ type: 'text', text: 'Agenda indisponível' }], isError: true } });
+      } else {
+        send({ id: message.id, error: { code: -32602, message: `Ferramenta desconhecida: ${message.params.name}` } });
+      }
+      break;
+
+    default:
+      send({ id: message.id, error: { code: -32601, message: 'Método não encontrado' } });
+  }
+});
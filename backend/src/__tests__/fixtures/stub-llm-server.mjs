@@ -0,0 +1,60 @@
+// Servidor HTTP local que simula APIs de LLM nos testes dos provedores Anthropic e local
+import http from 'http';
+
+/**
+ * Sobe o stub em uma porta livre; `routes` mapeia "MÉTODO /caminho" para handler(request, res)
+ * As requisições recebidas ficam em `requests` com o corpo JSON já lido
+ */
+export async function startStubServer(routes) {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+
+    const request = {
+      method: req.method,
+      path: req.url.split('?')[0],
+      headers: req.headers,
+      body: raw ? JSON.parse(raw) : null
+    };
+    requests.push(request);
+
+    const handler = routes[`${request.method} ${request.path}`];
+    if (!handler) {
+      return sendJSON(res, 404, { error: { type: 'not_found_error', message: `Rota ${request.path} não encontrada` } });
+    }
+
+    await handler(request, res);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+export function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Responde com text/event-stream; cada item é { event?, data } (data objeto ou texto)
+ */
+export function sendSSE(res, events) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+
+  events.forEach(({ event, data }) => {
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    res.write(`${event ? `event: ${event}\n` : ''}data: ${payload}\n\n`);
+  });
+
+  res.end();
+}
@@ -1,7 +1,43 @@
 import { OpenAIProvider } from './providers/OpenAIProvider.js';
 import { OpenRouterProvider } from './providers/OpenRouterProvider.js';
+import { AnthropicProvider } from './providers/AnthropicProvider.js';
+import { LocalProvider } from './providers/LocalProvider.js';
 import { MockProvider } from './providers/MockProvider.js';
+import { CircuitBreaker } from './CircuitBreaker.js';
+import { ContextBuilder } from './ContextBuilder.js';
 import logger from '../utils/logger.js';
+import metrics from '../metrics/index.js';
+import tracer from '../tracing/index.js';
+
+// Métricas por provedor/modelo expostas em /monitoring/metrics/prometheus
+const aiMetrics = {
+  duration: metrics.histogram({
+    name: 'chatbot_ai_request_duration_seconds',
+    help: 'Duração de cada tentativa de envio ao provedor de IA, em segundos',
+    labelNames: ['provider', 'model', 'status'],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60]
+  }),
+  requests: metrics.counter({
+    name: 'chatbot_ai_requests_total',
+    help: 'Tentativas de envio ao provedor de IA por resultado',
+    labelNames: ['provider', 'model', 'status']
+  }),
+  tokens: metrics.counter({
+    name: 'chatbot_ai_tokens_total',
+    help: 'Tokens consumidos por provedor e modelo',
+    labelNames: ['provider', 'model', 'type']
+  }),
+  cost: metrics.counter({
+    name: 'chatbot_ai_cost_usd_total',
+    help: 'Custo das respostas em USD (informado pelo provedor ou estimado por costPer1kTokens)',
+    labelNames: ['provider', 'model']
+  }),
+  fallbacks: metrics.counter({
+    name: 'chatbot_ai_fallbacks_total',
+    help: 'Tentativas na cadeia de fallback por entrada de origem e de destino',
+    labelNames: ['from', 'to', 'result']
+  })
+};
 
 /**
  * Gerenciador de provedores de IA
@@ -15,11 +51,16 @@ export class AIProviderManager {
       maxTokens: parseInt(config.maxTokens || process.env.AI_MAX_TOKENS || '1000'),
       temperature: parseFloat(config.temperature || process.env.AI_TEMPERATURE || '0.7'),
       systemPrompt: config.systemPrompt || process.env.AI_SYSTEM_PROMPT || 'Você é um assistente virtual útil e amigável.',
+      costPer1kTokens: 0, // Estimativa da métrica de custo quando o provedor não informa
       ...config
     };
 
     this.currentProvider = null;
     this.availableProviders = new Map();
+    this.profileProviders = new Map(); // providerName -> Promise<provider> pedido por perfis de bot ou pela cadeia de fallback
+    this.fallbackChain = []; // [{ provider, model }] tentados em ordem quando o provedor da requisição falha
+    this.circuitBreakers = new Map(); // "provedor:modelo" -> CircuitBreaker
+    this.contextBuilder = new ContextBuilder(this.config.context); // Ajusta o histórico à janela de cada modelo
     this.isInitialized = false;
   }
 
@@ -35,6 +76,10 @@ export class AIProviderManager {
 
       // Registra todos os provedores disponíveis
       this.registerProviders();
+      this.fallbackChain = this.buildFallbackChain(this.config.fallbackChain);
+
+      // Carrega em segundo plano o tokenizador do modelo padrão (tabelas grandes)
+      this.contextBuilder.tokenCounter.loadEncoder(this.config.model);
 
       // Inicializa o provedor selecionado
       await this.initializeProvider(this.config.provider);
@@ -47,7 +92,22 @@ export class AIProviderManager {
 
     } catch (error) {
       logger.error('Erro ao inicializar AIProviderManager', { error: error.message });
-      
+
+      // Com outros provedores na cadeia, o principal continua ativo com o disjuntor
+      // aberto (a sonda tenta reconectá-lo) e as requisições seguem pela cadeia
+      const primary = this.availableProviders.get(this.config.provider);
+      if (primary && this.fallbackChain.some(entry => entry.provider !== this.config.provider)) {
+        logger.warn('Provedor principal indisponível, usando a cadeia de fallback', {
+          fallbackChain: this.fallbackChain.map(entry => this.getEntryKey(entry))
+        });
+        this.currentProvider = new primary.class(primary.config);
+        const breaker = this.getCircuitBreaker({ provider: this.config.provider });
+        breaker.recordFailure(error);
+        breaker.open();
+        this.isInitialized = true;
+        return;
+      }
+
       // Fallback para mock se nenhum provedor funcionar
       logger.warn('Tentando fallback para provedor mock');
       await this.initializeProvider('mock');
@@ -87,6 +147,35 @@ export class AIProviderManager {
       }
     });
 
+    // Anthropic (Messages API)
+    this.availableProviders.set('anthropic', {
+      class: AnthropicProvider,
+      config: {
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        baseURL: process.env.ANTHROPIC_BASE_URL,
+        model: process.env.ANTHROPIC_MODEL || this.config.model || 'claude-3-5-haiku-latest',
+        maxTokens: this.config.maxTokens,
+        temperature: this.config.temperature,
+        systemPrompt: this.config.systemPrompt,
+        timeout: this.config.timeout
+      }
+    });
+
+    // Modelo local OpenAI-compatível (Ollama, llama.cpp), sem chave de API
+    // LOCAL_AI_MODEL tem precedência: nomes de modelos locais não valem nos provedores remotos
+    this.availableProviders.set('local', {
+      class: LocalProvider,
+      config: {
+        apiKey: process.env.LOCAL_AI_API_KEY,
+        baseURL: process.env.LOCAL_AI_BASE_URL,
+        model: process.env.LOCAL_AI_MODEL || this.config.model || 'llama3.1',
+        maxTokens: this.config.maxTokens,
+        temperature: this.config.temperature,
+        systemPrompt: this.config.systemPrompt,
+        timeout: this.config.timeout
+      }
+    });
+
     // Mock (fallback)
     this.availableProviders.set('mock', {
       class: MockProvider,
@@ -94,7 +183,9 @@ export class AIProviderManager {
         model: 'mock-model',
         maxTokens: this.config.maxTokens,
         temperature: this.config.temperature,
-        systemPrompt: this.config.systemPrompt
+        systemPrompt: this.config.systemPrompt,
+        replies: this.config.mockReplies,
+        chunkDelay: this.config.mockChunkDelay
       }
     });
 
@@ -103,6 +194,71 @@ export class AIProviderManager {
     });
   }
 
+  /**
+   * Monta a cadeia de fallback a partir de entradas "provedor:modelo" (o modelo é
+   * opcional e pode conter ':') ou objetos { provider, model }
+   * Sem cadeia configurada usa a ordem openrouter → openai → anthropic, apenas com provedores
+   * que têm chave de API; o mock só entra quando listado explicitamente
+   */
+  buildFallbackChain(chain) {
+    const entries = typeof chain === 'string' ? chain.split(',') : chain;
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return ['openrouter', 'openai', 'anthropic']
+        .filter(providerName => this.availableProviders.get(providerName)?.config.apiKey)
+        .map(provider => ({ provider }));
+    }
+
+    return entries
+      .map(entry => {
+        if (typeof entry !== 'string') {
+          return { provider: entry.provider, model: entry.model || undefined };
+        }
+
+        const [provider, ...model] = entry.trim().split(':');
+        return { provider, model: model.join(':') || undefined };
+      })
+      .filter(entry => {
+        if (this.availableProviders.has(entry.provider)) {
+          return true;
+        }
+
+        logger.warn(`Provedor '${entry.provider}' da cadeia de fallback não encontrado`);
+        return false;
+      });
+  }
+
+  /**
+   * Chave da entrada "provedor:modelo"; sem modelo vale o padrão do provedor
+   */
+  getEntryKey(entry) {
+    const { provider, model } = this.getEntryLabels(entry);
+    return `${provider}:${model}`;
+  }
+
+  /**
+   * Labels provider/model das métricas da entrada
+   */
+  getEntryLabels(entry) {
+    return {
+      provider: entry.provider,
+      model: entry.model || this.availableProviders.get(entry.provider)?.config.model || 'default'
+    };
+  }
+
+  /**
+   * Disjuntor da entrada, criado na primeira consulta
+   */
+  getCircuitBreaker(entry) {
+    const key = this.getEntryKey(entry);
+
+    if (!this.circuitBreakers.has(key)) {
+      this.circuitBreakers.set(key, new CircuitBreaker(key, this.config.circuitBreaker));
+    }
+
+    return this.circuitBreakers.get(key);
+  }
+
   /**
    * Inicializa um provedor específico
    */
@@ -162,60 +318,408 @@ export class AIProviderManager {
     }
   }
 
+  /**
+   * Provedor usado na requisição: o ativo ou o pedido em options.provider
+   * (perfis de bot podem usar outro provedor; a instância é criada sob demanda
+   * e reaproveitada, e falhas na inicialização caem no provedor ativo)
+   */
+  async getProvider(providerName) {
+    if (!providerName || providerName === this.currentProvider.providerName) {
+      return this.currentProvider;
+    }
+
+    if (!this.availableProviders.has(providerName)) {
+      logger.warn(`Provedor '${providerName}' não encontrado, usando provedor ativo`);
+      return this.currentProvider;
+    }
+
+    try {
+      return await this.loadProvider(providerName);
+    } catch (error) {
+      logger.warn(`Erro ao inicializar provedor ${providerName}, usando provedor ativo`, {
+        error: error.message
+      });
+      return this.currentProvider;
+    }
+  }
+
+  /**
+   * Instância inicializada do provedor (a ativa ou uma criada sob demanda)
+   * Rejeita quando a inicialização falha; a próxima chamada tenta de novo
+   */
+  async loadProvider(providerName) {
+    if (providerName === this.currentProvider?.providerName) {
+      return this.currentProvider;
+    }
+
+    if (!this.profileProviders.has(providerName)) {
+      const providerInfo = this.availableProviders.get(providerName);
+      if (!providerInfo) {
+        throw new Error(`Provedor '${providerName}' não encontrado`);
+      }
+
+      const provider = new providerInfo.class(providerInfo.config);
+      this.profileProviders.set(providerName, provider.initialize().then(() => provider));
+    }
+
+    try {
+      return await this.profileProviders.get(providerName);
+    } catch (error) {
+      this.profileProviders.delete(providerName);
+      throw error;
+    }
+  }
+
   /**
    * Envia mensagem usando o provedor ativo
+   * Com options.onDelta a resposta é transmitida em trechos; provedores sem
+   * suporte a streaming entregam o texto completo em um único trecho
+   * options.provider/model/temperature/maxTokens sobrepõem a configuração global
+   * Falhas elegíveis seguem pela cadeia de fallback, pulando entradas com o disjuntor aberto
+   * options.span é o trecho de trace pai: as tentativas e o fallback ficam sob o trecho ai.send
    */
   async sendMessage(message, options = {}) {
     if (!this.isInitialized || !this.currentProvider) {
       throw new Error('AIProviderManager não está inicializado');
     }
 
+    const provider = await this.getProvider(options.provider);
+    const entry = { provider: provider.providerName, model: options.model };
+
+    const span = tracer.startSpan('ai.send', {
+      parent: options.span,
+      attributes: {
+        'ai.provider': entry.provider,
+        'ai.model': this.getEntryLabels(entry).model,
+        'ai.streaming': typeof options.onDelta === 'function',
+        'chat.session_id': options.sessionId
+      }
+    });
+    options = { ...options, span };
+
+    try {
+      const response = await this.sendMessageInSpan(provider, entry, message, options);
+      span.setAttributes({
+        'ai.served_by': response.metadata?.servedBy || this.getEntryKey(entry),
+        'ai.fallback_from': response.metadata?.fallbackFrom,
+        'ai.usage.total_tokens': response.usage?.totalTokens
+      });
+      span.setStatus('ok');
+      return response;
+    } catch (error) {
+      if (error.type === 'cancelled') {
+        span.addEvent('cancelled');
+      } else {
+        span.recordException(error);
+      }
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Envio da mensagem dentro do trecho ai.send (options.span)
+   */
+  async sendMessageInSpan(provider, entry, message, options) {
+    // Geração cancelada antes de começar
+    provider.throwIfAborted(options.signal);
+
+    // Registra se algum trecho já foi entregue ao cliente
+    const onDelta = options.onDelta;
+    let hasStreamed = false;
+    if (typeof onDelta === 'function') {
+      options.onDelta = (delta) => {
+        hasStreamed = true;
+        onDelta(delta);
+      };
+    }
+
     try {
       // Adiciona ID da requisição se não fornecido
       if (!options.requestId) {
         options.requestId = this.generateRequestId();
       }
+      options.span.setAttribute('ai.request_id', options.requestId);
 
-      logger.info(`Enviando mensagem via ${this.currentProvider.providerName}`, {
+      logger.info(`Enviando mensagem via ${provider.providerName}`, {
         requestId: options.requestId,
         messageLength: message.length,
         sessionId: options.sessionId,
         hasHistory: Array.isArray(options.history) && options.history.length > 0,
-        historyLength: Array.isArray(options.history) ? options.history.length : 0
+        historyLength: Array.isArray(options.history) ? options.history.length : 0,
+        streaming: typeof options.onDelta === 'function'
+      });
+
+      const response = await this.sendWithEntry(entry, message, options, provider);
+
+      logger.info(`Resposta recebida de ${provider.providerName}`, {
+        requestId: options.requestId,
+        responseLength: response.message.length,
+        tokensUsed: response.usage ? response.usage.totalTokens : 0
+      });
+
+      return response;
+
+    } catch (error) {
+      // Cancelamento pelo cliente não é falha do provedor: sem fallback
+      if (error.type === 'cancelled') {
+        logger.info(`Geração cancelada via ${provider.providerName}`, {
+          requestId: options.requestId,
+          sessionId: options.sessionId
+        });
+        throw error;
+      }
+
+      if (error.type !== 'circuit_open') {
+        logger.error(`Erro ao enviar mensagem via ${provider.providerName}`, {
+          error: error.message,
+          type: error.type,
+          code: error.code
+        });
+      }
+
+      // Tenta fallback automático se configurado (não após iniciar o streaming,
+      // para não misturar respostas de provedores diferentes)
+      if (!hasStreamed && this.shouldTryFallback(error)) {
+        return await this.tryFallback(message, options, error, entry);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Envia mensagem permitindo que o modelo use ferramentas MCP
+   * Executa as chamadas pedidas pelo modelo e reenvia os resultados até obter
+   * a resposta final; na última iteração as ferramentas são desabilitadas
+   * @param {string} message - Mensagem do usuário
+   * @param {Object} options - Opções de sendMessage, mais:
+   *   onToolCall({ id, name, arguments, status }) antes de cada execução e
+   *   onToolResult({ toolCallId, name, content, isError, duration }) depois dela
+   * @param {MCPToolRegistry} toolRegistry - Registro com as ferramentas disponíveis
+   */
+  async sendMessageWithTools(message, options = {}, toolRegistry = null) {
+    const provider = this.currentProvider && await this.getProvider(options.provider);
+    if (!toolRegistry?.hasTools() || !provider?.supportsTools) {
+      return await this.sendMessage(message, options);
+    }
+
+    const { onToolCall, onToolResult, ...sendOptions } = options;
+    const maxIterations = toolRegistry.config.maxToolIterations;
+    const tools = toolRegistry.getToolDefinitions();
+    const toolMessages = [];
+    const executedCalls = [];
+
+    for (let iteration = 0; ; iteration++) {
+      const isLastIteration = iteration >= maxIterations;
+
+      const response = await this.sendMessage(message, {
+        ...sendOptions,
+        tools,
+        toolChoice: isLastIteration ? 'none' : 'auto',
+        toolMessages
       });
 
-      const response = await this.currentProvider.sendMessage(message, options);
+      if (!response.toolCalls?.length || isLastIteration) {
+        if (!response.message) {
+          throw new Error('Limite de chamadas de ferramentas atingido sem resposta final');
+        }
+
+        response.metadata = { ...response.metadata, toolCalls: executedCalls };
+        return response;
+      }
+
+      toolMessages.push({
+        role: 'assistant',
+        content: response.message || null,
+        tool_calls: response.toolCalls.map(toolCall => ({
+          id: toolCall.id,
+          type: 'function',
+          function: { name: toolCall.name, arguments: toolCall.arguments }
+        }))
+      });
+
+      for (const toolCall of response.toolCalls) {
+        this.currentProvider.throwIfAborted(sendOptions.signal);
+
+        logger.info('Executando ferramenta MCP', {
+          requestId: sendOptions.requestId,
+          tool: toolCall.name,
+          iteration
+        });
+
+        onToolCall?.({ ...toolCall, status: toolRegistry.getToolStatus(toolCall.name) });
+        const toolSpan = tracer.startSpan('tool.call', {
+          parent: sendOptions.span,
+          kind: 'client',
+          attributes: { 'tool.name': toolCall.name, 'tool.call_id': toolCall.id, 'tool.iteration': iteration }
+        });
+        const result = await toolRegistry.executeToolCall(toolCall);
+        toolSpan.setAttribute('tool.is_error', result.isError);
+        toolSpan.setStatus(result.isError ? 'error' : 'ok');
+        toolSpan.end();
+        onToolResult?.(result);
+
+        executedCalls.push({
+          name: result.name,
+          isError: result.isError,
+          duration: result.duration
+        });
+
+        toolMessages.push({
+          role: 'tool',
+          tool_call_id: toolCall.id,
+          content: result.content
+        });
+      }
+    }
+  }
+
+  /**
+   * Envia a mensagem por um provedor, emulando streaming quando necessário
+   */
+  async sendWithProvider(provider, message, options) {
+    if (typeof options.onDelta !== 'function' || provider.supportsStreaming) {
+      return await provider.sendMessage(message, options);
+    }
+
+    const { onDelta, ...providerOptions } = options;
+    const response = await provider.sendMessage(message, providerOptions);
+
+    if (response?.message) {
+      onDelta(response.message);
+    }
+
+    return response;
+  }
+
+  /**
+   * Envia pela entrada da cadeia respeitando o disjuntor dela
+   * A sonda em half-open reinicializa o provedor desconectado ou consulta o healthCheck;
+   * o sucesso fecha o disjuntor e falhas do provedor contam para abri-lo
+   * @param {Object} entry - { provider, model }
+   * @param {BaseAIProvider} [provider] - Instância já resolvida (carregada sob demanda se omitida)
+   */
+  async sendWithEntry(entry, message, options, provider = null) {
+    const breaker = this.getCircuitBreaker(entry);
+    const labels = this.getEntryLabels(entry);
+
+    // Cada tentativa, inclusive as do fallback, é um trecho filho de ai.send ou ai.fallback
+    const span = tracer.startSpan('ai.attempt', {
+      parent: options.span,
+      kind: 'client',
+      attributes: { 'ai.provider': labels.provider, 'ai.model': labels.model, 'ai.circuit.state': breaker.state }
+    });
+
+    const allowed = await breaker.allowRequest(async () => {
+      const target = provider || await this.loadProvider(entry.provider);
+      if (target.isConnected) {
+        await target.healthCheck();
+      } else {
+        await target.initialize();
+      }
+    });
+
+    if (!allowed) {
+      aiMetrics.requests.inc({ ...labels, status: 'circuit_open' });
+      const error = new Error(`Provedor ${breaker.name} temporariamente desativado`);
+      error.type = 'circuit_open';
+      error.code = 'circuit_open';
+      error.provider = entry.provider;
+      span.recordException(error);
+      span.end();
+      throw error;
+    }
+
+    let endTimer = null;
+
+    try {
+      const target = provider || await this.loadProvider(entry.provider);
+
+      // Histórico recortado para a janela de contexto do modelo desta entrada
+      const context = await tracer.withSpan('ai.context', { parent: span }, async contextSpan => {
+        const built = await this.contextBuilder.build(target, entry.model || target.config?.model, message, options);
+        contextSpan.setAttributes({
+          'ai.context.window': built.contextWindow,
+          'ai.context.prompt_tokens': built.promptTokens,
+          'ai.context.history_length': built.history.length,
+          'ai.context.removed_messages': built.removedMessages
+        });
+        return built;
+      });
+      endTimer = aiMetrics.duration.startTimer(labels);
+      const response = await this.sendWithProvider(target, message, {
+        ...options,
+        model: entry.model,
+        history: context.history
+      });
 
       // Validação da resposta
       if (!response || typeof response !== 'object') {
         throw new Error('Resposta inválida do provedor de IA');
       }
-      
-      if (!response.message || typeof response.message !== 'string') {
+
+      // Conteúdo pode vir vazio quando o modelo pede ferramentas
+      const hasToolCalls = Array.isArray(response.toolCalls) && response.toolCalls.length > 0;
+      if (typeof response.message !== 'string' || (!response.message && !hasToolCalls)) {
         throw new Error('Conteúdo da mensagem inválido na resposta do provedor');
       }
 
-      logger.info(`Resposta recebida de ${this.currentProvider.providerName}`, {
-        requestId: options.requestId,
-        responseLength: response.message.length,
-        tokensUsed: response.usage ? response.usage.totalTokens : 0
+      breaker.recordSuccess();
+      endTimer({ status: 'success' });
+      aiMetrics.requests.inc({ ...labels, status: 'success' });
+      this.recordUsageMetrics(labels, response);
+      span.setAttributes({
+        'ai.usage.prompt_tokens': response.usage?.promptTokens,
+        'ai.usage.completion_tokens': response.usage?.completionTokens
       });
-
+      span.setStatus('ok');
       return response;
 
     } catch (error) {
-      logger.error(`Erro ao enviar mensagem via ${this.currentProvider.providerName}`, {
-        error: error.message,
-        type: error.type,
-        code: error.code
-      });
+      // Cancelamentos e requisições malformadas não indicam falha do provedor
+      if (!['cancelled', 'invalid_request'].includes(error.type)) {
+        breaker.recordFailure(error);
+      }
 
-      // Tenta fallback automático se configurado
-      if (this.shouldTryFallback(error)) {
-        return await this.tryFallback(message, options, error);
+      // Sem cronômetro a falha foi antes do envio (carga do provedor ou janela de contexto)
+      if (endTimer) {
+        const status = error.type === 'cancelled' ? 'cancelled' : 'error';
+        endTimer({ status });
+        aiMetrics.requests.inc({ ...labels, status });
       }
 
+      if (error.type === 'cancelled') {
+        span.addEvent('cancelled');
+      } else {
+        span.recordException(error);
+      }
       throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Contabiliza tokens e custo da resposta; sem custo informado pelo provedor
+   * (metadata.cost do OpenRouter) estima por costPer1kTokens
+   */
+  recordUsageMetrics(labels, response) {
+    const usage = response.usage || {};
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+    // Provedores que só informam o total contam tudo como completion
+    const otherTokens = Math.max((usage.totalTokens || 0) - promptTokens - completionTokens, 0);
+
+    aiMetrics.tokens.inc({ ...labels, type: 'prompt' }, promptTokens);
+    aiMetrics.tokens.inc({ ...labels, type: 'completion' }, completionTokens + otherTokens);
+
+    const cost = typeof response.metadata?.cost === 'number'
+      ? response.metadata.cost
+      : (usage.totalTokens || promptTokens + completionTokens) / 1000 * this.config.costPer1kTokens;
+    if (cost > 0) {
+      aiMetrics.cost.inc(labels, cost);
     }
   }
 
@@ -225,56 +729,89 @@ export class AIProviderManager {
   shouldTryFallback(error) {
     const fallbackErrors = [
       'quota_exceeded',
+      'rate_limit',
       'rate_limit_exceeded',
       'service_unavailable',
       'timeout',
-      'model_not_found'
+      'model_not_found',
+      'invalid_api_key',
+      'provider_error',
+      'circuit_open'
     ];
 
     return fallbackErrors.includes(error.type) || fallbackErrors.includes(error.code);
   }
 
   /**
-   * Tenta fallback para outro provedor
+   * Percorre a cadeia de fallback a partir da entrada que falhou
+   * O provedor ativo não é trocado: cada entrada é usada só nesta requisição
    */
-  async tryFallback(message, options, originalError) {
+  async tryFallback(message, options, originalError, failedEntry) {
+    const failedKey = this.getEntryKey(failedEntry);
+    let lastError = originalError;
+
     logger.warn('Tentando fallback devido ao erro', {
-      originalProvider: this.currentProvider.providerName,
+      originalProvider: failedKey,
       error: originalError.message
     });
 
-    // Lista de provedores para tentar como fallback
-    const fallbackOrder = ['openrouter', 'openai'];
-    const currentProvider = this.currentProvider.providerName;
+    // Trecho do fallback, pai das tentativas na cadeia
+    const span = tracer.startSpan('ai.fallback', {
+      parent: options.span,
+      attributes: { 'ai.fallback.from': failedKey, 'ai.fallback.reason': originalError.code || originalError.type }
+    });
+    options = { ...options, span };
+
+    for (const entry of this.fallbackChain) {
+      const key = this.getEntryKey(entry);
+      if (key === failedKey) continue;
 
-    for (const providerName of fallbackOrder) {
-      if (providerName === currentProvider) continue;
+      // Depois do primeiro trecho transmitido a resposta não pode mudar de provedor
+      const onDelta = options.onDelta;
+      let hasStreamed = false;
+      const entryOptions = typeof onDelta === 'function'
+        ? { ...options, onDelta: (delta) => { hasStreamed = true; onDelta(delta); } }
+        : options;
 
       try {
-        logger.info(`Tentando fallback para: ${providerName}`);
-        
-        // Temporariamente troca o provedor
-        const originalProvider = this.currentProvider;
-        await this.initializeProvider(providerName);
-        
-        // Tenta enviar a mensagem
-        const response = await this.currentProvider.sendMessage(message, options);
-        
-        logger.info(`Fallback para ${providerName} bem-sucedido`);
+        logger.info(`Tentando fallback para: ${key}`);
+
+        const response = await this.sendWithEntry(entry, message, entryOptions);
+
+        logger.info(`Fallback para ${key} bem-sucedido`);
+        aiMetrics.fallbacks.inc({ from: failedKey, to: key, result: 'success' });
+        response.metadata = { ...response.metadata, fallbackFrom: failedKey, servedBy: key };
+        span.setAttribute('ai.fallback.served_by', key).setStatus('ok').end();
         return response;
 
       } catch (fallbackError) {
-        logger.warn(`Fallback para ${providerName} falhou`, {
-          error: fallbackError.message
-        });
-        continue;
+        if (fallbackError.type === 'cancelled' || hasStreamed) {
+          span.end();
+          throw fallbackError;
+        }
+        aiMetrics.fallbacks.inc({ from: failedKey, to: key, result: 'failure' });
+
+        if (fallbackError.type !== 'circuit_open') {
+          logger.warn(`Fallback para ${key} falhou`, {
+            error: fallbackError.message
+          });
+        }
+        lastError = fallbackError;
       }
     }
 
-    // Se todos os fallbacks falharam, usa mock
-    logger.error('Todos os provedores falharam, usando mock');
-    await this.initializeProvider('mock');
-    return await this.currentProvider.sendMessage(message, options);
+    logger.error('Todos os provedores da cadeia falharam', {
+      fallbackChain: this.fallbackChain.map(entry => this.getEntryKey(entry)),
+      error: lastError.message
+    });
+
+    const error = new Error('Nenhum provedor de IA disponível no momento');
+    error.type = 'service_unavailable';
+    error.code = 'all_providers_failed';
+    error.originalError = lastError;
+    span.recordException(error);
+    span.end();
+    throw error;
   }
 
   /**
@@ -317,6 +854,57 @@ export class AIProviderManager {
     return await this.currentProvider.listModels();
   }
 
+  /**
+   * Gera embeddings com o provedor ativo (base de conhecimento)
+   * @param {string[]} texts - Textos
+   * @param {Object} options - { model }
+   * @returns {Promise<number[][]>}
+   */
+  async createEmbeddings(texts, options = {}) {
+    if (!this.currentProvider || typeof this.currentProvider.createEmbeddings !== 'function') {
+      throw new Error('Provedor atual não suporta embeddings');
+    }
+
+    return await this.currentProvider.createEmbeddings(texts, options.model);
+  }
+
+  /**
+   * Estado dos disjuntores do provedor ativo, da cadeia de fallback e dos
+   * provedores pedidos por perfis
+   */
+  getCircuitBreakers() {
+    if (this.currentProvider) {
+      this.getCircuitBreaker({ provider: this.currentProvider.providerName });
+    }
+    this.fallbackChain.forEach(entry => this.getCircuitBreaker(entry));
+
+    return Array.from(this.circuitBreakers.values()).map(breaker => breaker.getState());
+  }
+
+  /**
+   * Resumo para /monitoring/health/detailed: warning com algum disjuntor
+   * fora do estado fechado, error quando nenhuma entrada está disponível
+   */
+  getHealthStatus() {
+    const circuitBreakers = this.getCircuitBreakers();
+    const unavailable = circuitBreakers.filter(breaker => breaker.state !== 'closed').length;
+
+    let status = 'ok';
+    if (!this.currentProvider || (circuitBreakers.length > 0 && unavailable === circuitBreakers.length)) {
+      status = 'error';
+    } else if (unavailable > 0) {
+      status = 'warning';
+    }
+
+    return {
+      status,
+      provider: this.currentProvider?.providerName || null,
+      isConnected: this.currentProvider?.isConnected || false,
+      fallbackChain: this.fallbackChain.map(entry => this.getEntryKey(entry)),
+      circuitBreakers
+    };
+  }
+
   /**
    * Obtém estatísticas do gerenciador
    */
@@ -326,6 +914,8 @@ export class AIProviderManager {
       currentProvider: this.currentProvider?.providerName || null,
       isConnected: this.currentProvider?.isConnected || false,
       availableProviders: this.getAvailableProviders(),
+      fallbackChain: this.fallbackChain.map(entry => this.getEntryKey(entry)),
+      circuitBreakers: this.getCircuitBreakers(),
       config: {
         provider: this.config.provider,
         model: this.config.model,
@@ -335,6 +925,13 @@ export class AIProviderManager {
     };
   }
 
+  /**
+   * Conta os tokens de um texto com o tokenizador do modelo (estimativa se não houver)
+   */
+  countTokens(text, model = this.config.model) {
+    return this.contextBuilder.tokenCounter.countText(text, model);
+  }
+
   /**
    * Gera ID único para requisições
    */
@@ -351,6 +948,12 @@ export class AIProviderManager {
       this.currentProvider = null;
     }
 
+    for (const providerPromise of this.profileProviders.values()) {
+      const provider = await providerPromise.catch(() => null);
+      await provider?.disconnect();
+    }
+    this.profileProviders.clear();
+
     this.isInitialized = false;
     logger.info('AIProviderManager desconectado');
   }
@@ -0,0 +1,143 @@
+import logger from '../utils/logger.js';
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed', // Requisições passam normalmente
+  OPEN: 'open', // Entrada desativada até o fim do resetTimeout
+  HALF_OPEN: 'half_open' // Sondando a saúde do provedor antes de reabrir o tráfego
+};
+
+/**
+ * Disjuntor (circuit breaker) de uma entrada da cadeia de provedores de IA
+ *
+ * Abre depois de `failureThreshold` falhas seguidas e deixa de receber requisições;
+ * passado o `resetTimeout`, a próxima requisição dispara uma sonda (healthCheck do
+ * provedor) em half-open: sucesso fecha o disjuntor, falha reabre por mais um período
+ */
+export class CircuitBreaker {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = {
+      failureThreshold: config.failureThreshold || 3,
+      resetTimeout: config.resetTimeout || 30000 // ms em aberto antes da sonda
+    };
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.probing = null; // Promise da sonda em andamento (uma por vez)
+
+    this.stats = {
+      successes: 0,
+      failures: 0,
+      rejected: 0,
+      opened: 0
+    };
+  }
+
+  /**
+   * Verifica se a entrada pode receber a requisição
+   * Com o disjuntor aberto e o resetTimeout vencido, executa a sonda antes de liberar
+   * @param {Function} probe - Função assíncrona que rejeita quando o provedor continua fora
+   * @returns {Promise<boolean>}
+   */
+  async allowRequest(probe) {
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt < this.config.resetTimeout) {
+      this.stats.rejected++;
+      return false;
+    }
+
+    // Requisições concorrentes não esperam a sonda: seguem para a próxima entrada
+    if (this.probing) {
+      this.stats.rejected++;
+      return false;
+    }
+
+    this.state = CIRCUIT_STATES.HALF_OPEN;
+    logger.info('Sondando provedor de IA', { breaker: this.name });
+
+    this.probing = Promise.resolve()
+      .then(probe)
+      .then(() => null, error => error)
+      .finally(() => {
+        this.probing = null;
+      });
+
+    const error = await this.probing;
+    if (error) {
+      this.recordFailure(error);
+      this.stats.rejected++;
+      return false;
+    }
+
+    this.close();
+    return true;
+  }
+
+  recordSuccess() {
+    this.stats.successes++;
+    this.failures = 0;
+
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      this.close();
+    }
+  }
+
+  recordFailure(error) {
+    this.stats.failures++;
+    this.failures++;
+    this.lastError = error?.message || null;
+    this.lastFailureAt = Date.now();
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.config.failureThreshold) {
+      this.open();
+    }
+  }
+
+  open() {
+    if (this.state !== CIRCUIT_STATES.OPEN) {
+      this.stats.opened++;
+      logger.warn('Disjuntor do provedor de IA aberto', {
+        breaker: this.name,
+        failures: this.failures,
+        error: this.lastError
+      });
+    }
+
+    this.state = CIRCUIT_STATES.OPEN;
+    this.openedAt = Date.now();
+  }
+
+  close() {
+    logger.info('Disjuntor do provedor de IA fechado', { breaker: this.name });
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  isOpen() {
+    return this.state !== CIRCUIT_STATES.CLOSED;
+  }
+
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.config.failureThreshold,
+      resetTimeout: this.config.resetTimeout,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextProbeAt: this.openedAt ? new Date(this.openedAt + this.config.resetTimeout).toISOString() : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,170 @@
+import { TokenCounter } from './TokenCounter.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Janela de contexto (tokens) por prefixo do ID do modelo, sem o fornecedor
+ * ("openai/", "meta-llama/") nem o sufixo ":free" dos IDs do OpenRouter
+ * Usada quando o provedor não informa a janela (OpenRouterProvider.getModelInfo)
+ */
+export const MODEL_CONTEXT_WINDOWS = {
+  'gpt-4o': 128000,
+  'chatgpt-4o': 128000,
+  'gpt-4.1': 1047576,
+  'gpt-4.5': 128000,
+  'gpt-4-turbo': 128000,
+  'gpt-4-32k': 32768,
+  'gpt-4': 8192,
+  'gpt-3.5-turbo': 16385,
+  'gpt-5': 400000,
+  'o1': 200000,
+  'o3': 200000,
+  'o4': 200000,
+  'claude': 200000,
+  'llama-3.1': 131072,
+  'llama-3.2': 131072,
+  'llama-3.3': 131072,
+  'llama3.1': 131072,
+  'llama3.2': 131072,
+  'llama-3': 8192,
+  'llama3': 8192,
+  'glm-4.5': 131072,
+  'gemini': 1048576,
+  'mistral': 32768,
+  'mixtral': 32768,
+  'qwen': 32768,
+  'deepseek': 65536
+};
+
+/**
+ * Monta o contexto de cada requisição dentro da janela do modelo
+ * Conta os tokens do prompt de sistema, da mensagem, das ferramentas e do
+ * histórico, reserva maxTokens para a resposta e descarta os turnos mais
+ * antigos do histórico até caber, evitando erros de limite de contexto
+ */
+export class ContextBuilder {
+  constructor(config = {}, tokenCounter = null) {
+    this.config = {
+      contextWindow: 0, // Sobrepõe a janela de todos os modelos (ex.: num_ctx do Ollama)
+      defaultContextWindow: 8192, // Modelos desconhecidos
+      safetyMargin: 0.05, // Fração da janela reservada para o overhead de cada provedor
+      ...config
+    };
+
+    this.tokenCounter = tokenCounter || new TokenCounter();
+    this.contextWindows = new Map(); // "provedor:modelo" -> tokens
+  }
+
+  /**
+   * Janela de contexto do modelo: configuração, informação do provedor ou tabela estática
+   */
+  async getContextWindow(provider, model) {
+    if (this.config.contextWindow > 0) {
+      return this.config.contextWindow;
+    }
+
+    const key = `${provider.providerName}:${model}`;
+    if (this.contextWindows.has(key)) {
+      return this.contextWindows.get(key);
+    }
+
+    let contextWindow = null;
+
+    if (typeof provider.getModelInfo === 'function') {
+      try {
+        const info = await provider.getModelInfo(model);
+        contextWindow = info?.context_length || null;
+      } catch (error) {
+        logger.warn('Não foi possível obter a janela de contexto do provedor', {
+          provider: provider.providerName,
+          model,
+          error: error.message
+        });
+      }
+    }
+
+    contextWindow = contextWindow || this.lookupContextWindow(model);
+    this.contextWindows.set(key, contextWindow);
+    return contextWindow;
+  }
+
+  /**
+   * Janela da tabela estática pelo prefixo mais longo do ID do modelo
+   */
+  lookupContextWindow(model) {
+    const id = (model || '').toLowerCase().split('/').pop().replace(/:[^:]*$/, '');
+    const prefix = Object.keys(MODEL_CONTEXT_WINDOWS)
+      .filter(candidate => id.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? MODEL_CONTEXT_WINDOWS[prefix] : this.config.defaultContextWindow;
+  }
+
+  /**
+   * Ajusta o histórico da requisição à janela de contexto do modelo
+   * @param {BaseAIProvider} provider - Provedor que atenderá a requisição
+   * @param {string} model - Modelo usado
+   * @param {string} message - Mensagem atual do usuário
+   * @param {Object} options - Opções de sendMessage (history, systemPrompt, maxTokens, tools, toolMessages)
+   * @returns {Promise<Object>} { history, promptTokens, contextWindow, removedMessages, exact }
+   */
+  async build(provider, model, message, options = {}) {
+    await this.tokenCounter.loadEncoder(model);
+
+    const contextWindow = await this.getContextWindow(provider, model);
+    const maxTokens = options.maxTokens || provider.config?.maxTokens || 0;
+    const budget = Math.floor(contextWindow * (1 - this.config.safetyMargin)) - maxTokens;
+
+    // Partes que não podem ser descartadas
+    const fixedMessages = [
+      { role: 'system', content: options.systemPrompt || provider.config?.systemPrompt || '' },
+      { role: 'user', content: message },
+      ...(options.toolMessages || [])
+    ];
+    const fixedTokens = this.tokenCounter.countMessages(fixedMessages, model) +
+      (options.tools?.length ? this.tokenCounter.countText(JSON.stringify(options.tools), model) : 0);
+
+    if (fixedTokens > budget) {
+      const error = new Error('A mensagem é grande demais para o limite de contexto do modelo');
+      error.type = 'invalid_request';
+      error.code = 'context_length_exceeded';
+      error.provider = provider.providerName;
+      throw error;
+    }
+
+    const history = Array.isArray(options.history) ? options.history : [];
+    const historyTokens = history.map(msg => this.tokenCounter.countMessage(msg, model));
+
+    // Descarta os turnos mais antigos até caber no orçamento
+    let start = 0;
+    let total = fixedTokens + historyTokens.reduce((sum, tokens) => sum + tokens, 0);
+    while (start < history.length && total > budget) {
+      total -= historyTokens[start++];
+    }
+
+    // O histórico recortado deve começar por uma mensagem do usuário
+    while (start > 0 && start < history.length && history[start].role !== 'user') {
+      total -= historyTokens[start++];
+    }
+
+    if (start > 0) {
+      logger.info('Histórico ajustado à janela de contexto', {
+        provider: provider.providerName,
+        model,
+        contextWindow,
+        maxTokens,
+        removedMessages: start,
+        promptTokens: total
+      });
+    }
+
+    return {
+      history: start > 0 ? history.slice(start) : history,
+      promptTokens: total,
+      contextWindow,
+      removedMessages: start,
+      exact: this.tokenCounter.isExact(model)
+    };
+  }
+}
+
+export default ContextBuilder;
@@ -0,0 +1,128 @@
+import { Tiktoken } from 'js-tiktoken/lite';
+import logger from '../utils/logger.js';
+
+/**
+ * Codificação BPE de cada família de modelos OpenAI (prefixo do ID, sem o
+ * "openai/" do OpenRouter). A ordem importa: prefixos mais específicos primeiro
+ */
+const OPENAI_ENCODINGS = [
+  ['gpt-4o', 'o200k_base'],
+  ['chatgpt-4o', 'o200k_base'],
+  ['gpt-4.1', 'o200k_base'],
+  ['gpt-4.5', 'o200k_base'],
+  ['gpt-5', 'o200k_base'],
+  ['o1', 'o200k_base'],
+  ['o3', 'o200k_base'],
+  ['o4', 'o200k_base'],
+  ['gpt-4', 'cl100k_base'],
+  ['gpt-3.5', 'cl100k_base']
+];
+
+// Tokens extras por mensagem (papel e delimitadores) e para iniciar a resposta
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REPLY = 3;
+
+/**
+ * Contador de tokens
+ * Modelos da família OpenAI são contados com o tokenizador BPE real (js-tiktoken);
+ * para os demais, sem tokenizador público, usa uma estimativa conservadora
+ * (1 token a cada 3 caracteres) que superestima o texto em português
+ */
+export class TokenCounter {
+  constructor(config = {}) {
+    this.config = {
+      charsPerToken: 3,
+      ...config
+    };
+
+    this.encoders = new Map(); // codificação -> Tiktoken
+    this.loading = new Map(); // codificação -> Promise<Tiktoken>
+  }
+
+  /**
+   * Codificação BPE do modelo ou null quando não é da família OpenAI
+   */
+  getEncodingName(model) {
+    if (!model || typeof model !== 'string') {
+      return null;
+    }
+
+    const id = model.toLowerCase().replace(/^openai\//, '');
+    const match = OPENAI_ENCODINGS.find(([prefix]) => id.startsWith(prefix));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Carrega o tokenizador do modelo (as tabelas são grandes: carregadas uma vez, sob demanda)
+   * @returns {Promise<Tiktoken|null>} null para modelos sem tokenizador conhecido
+   */
+  async loadEncoder(model) {
+    const encoding = this.getEncodingName(model);
+    if (!encoding) {
+      return null;
+    }
+
+    if (this.encoders.has(encoding)) {
+      return this.encoders.get(encoding);
+    }
+
+    if (!this.loading.has(encoding)) {
+      this.loading.set(encoding, import(`js-tiktoken/ranks/${encoding}`).then(({ default: ranks }) => {
+        const encoder = new Tiktoken(ranks);
+        this.encoders.set(encoding, encoder);
+        logger.info('Tokenizador carregado', { encoding, model });
+        return encoder;
+      }).catch(error => {
+        logger.warn('Falha ao carregar tokenizador, usando estimativa', { encoding, error: error.message });
+        return null;
+      }).finally(() => {
+        this.loading.delete(encoding);
+      }));
+    }
+
+    return await this.loading.get(encoding);
+  }
+
+  /**
+   * Indica se a contagem do modelo é exata (tokenizador já carregado)
+   */
+  isExact(model) {
+    const encoding = this.getEncodingName(model);
+    return Boolean(encoding && this.encoders.has(encoding));
+  }
+
+  /**
+   * Conta os tokens de um texto; exato quando o tokenizador do modelo já foi carregado
+   */
+  countText(text, model) {
+    if (!text) {
+      return 0;
+    }
+
+    const content = typeof text === 'string' ? text : JSON.stringify(text);
+    const encoder = this.encoders.get(this.getEncodingName(model));
+
+    return encoder
+      ? encoder.encode(content, [], []).length // Tokens especiais no texto do usuário contam como texto comum
+      : Math.ceil(content.length / this.config.charsPerToken);
+  }
+
+  /**
+   * Conta os tokens de uma mensagem no formato de chat
+   * (conteúdo, chamadas de ferramentas e o custo fixo da mensagem)
+   */
+  countMessage(message, model) {
+    return TOKENS_PER_MESSAGE +
+      this.countText(message.content, model) +
+      (message.tool_calls ? this.countText(JSON.stringify(message.tool_calls), model) : 0);
+  }
+
+  /**
+   * Conta os tokens de uma lista de mensagens, incluindo o início da resposta
+   */
+  countMessages(messages, model) {
+    return messages.reduce((total, message) => total + this.countMessage(message, model), TOKENS_PER_REPLY);
+  }
+}
+
+export default TokenCounter;
@@ -0,0 +1,360 @@
+import { BaseAIProvider } from './BaseAIProvider.js';
+import logger from '../../utils/logger.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// stop_reason da Anthropic -> finish_reason no formato usado pelo sistema
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls'
+};
+
+/**
+ * Provedor Anthropic (Messages API), acessado via HTTP sem SDK
+ * O prompt de sistema vai no campo `system` (fora de `messages`) e a resposta
+ * chega em blocos de conteúdo text/tool_use, convertidos por standardizeResponse
+ */
+export class AnthropicProvider extends BaseAIProvider {
+  constructor(config = {}) {
+    super(config);
+    this.providerName = 'anthropic';
+    this.supportsStreaming = true;
+    this.supportsTools = true;
+
+    // Configuração específica da Anthropic
+    this.config = {
+      ...config,
+      apiKey: config.apiKey || process.env.ANTHROPIC_API_KEY,
+      baseURL: (config.baseURL || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/+$/, ''),
+      model: config.model || 'claude-3-5-haiku-latest',
+      maxTokens: parseInt(config.maxTokens || '1000'),
+      temperature: parseFloat(config.temperature || '0.7'),
+      systemPrompt: config.systemPrompt || 'Você é um assistente virtual útil e amigável.',
+      timeout: config.timeout || 30000
+    };
+  }
+
+  getHeaders() {
+    return {
+      'x-api-key': this.config.apiKey,
+      'anthropic-version': ANTHROPIC_VERSION
+    };
+  }
+
+  /**
+   * Valida a chave consultando a lista de modelos
+   */
+  async initialize() {
+    try {
+      this.validateConfig(['apiKey', 'model']);
+
+      logger.info('Inicializando provedor Anthropic', {
+        model: this.config.model,
+        baseURL: this.config.baseURL,
+        apiKey: `${this.config.apiKey.substring(0, 7)}...`
+      });
+
+      await this.healthCheck();
+      this.isConnected = true;
+
+      logger.info('Provedor Anthropic inicializado com sucesso');
+
+    } catch (error) {
+      logger.error('Erro ao inicializar provedor Anthropic', { error: error.message });
+      throw this.handleProviderError(error, 'Inicialização');
+    }
+  }
+
+  async healthCheck() {
+    try {
+      const response = await this.fetchAPI(`${this.config.baseURL}/v1/models?limit=100`, {
+        headers: this.getHeaders()
+      });
+      const body = await response.json();
+
+      return {
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        modelsAvailable: Array.isArray(body.data) ? body.data.length : 0,
+        provider: this.providerName,
+        currentModel: this.config.model
+      };
+
+    } catch (error) {
+      logger.error('Health check Anthropic falhou', { error: error.message });
+      throw this.handleProviderError(error, 'Health check');
+    }
+  }
+
+  /**
+   * Envia mensagem pela Messages API
+   */
+  async sendMessage(message, options = {}) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('Provedor Anthropic não está conectado');
+      }
+
+      if (!message || typeof message !== 'string' || message.trim().length === 0) {
+        throw new Error('Mensagem inválida');
+      }
+
+      const startTime = Date.now();
+      const isStreaming = typeof options.onDelta === 'function';
+
+      logger.info('Enviando mensagem para Anthropic', {
+        model: options.model || this.config.model,
+        messageLength: message.length,
+        sessionId: options.sessionId
+      });
+
+      const response = await this.fetchAPI(`${this.config.baseURL}/v1/messages`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: this.buildRequest(message, options, isStreaming),
+        signal: options.signal
+      });
+
+      const result = isStreaming
+        ? await this.consumeMessageStream(response, options.onDelta)
+        : await response.json();
+
+      const processingTime = Date.now() - startTime;
+
+      if (!Array.isArray(result?.content)) {
+        throw new Error('Resposta inválida da API Anthropic');
+      }
+
+      const content = result.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      const toolCalls = this.normalizeToolCalls(
+        result.content
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({
+            id: block.id,
+            function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+          }))
+      );
+
+      const finishReason = FINISH_REASONS[result.stop_reason] || result.stop_reason || 'stop';
+      const promptTokens = result.usage?.input_tokens || 0;
+      const completionTokens = result.usage?.output_tokens || 0;
+
+      const rawResponse = {
+        content: content.trim(),
+        model: result.model,
+        usage: {
+          promptTokens,
+          completionTokens,
+          totalTokens: promptTokens + completionTokens
+        },
+        finishReason,
+        toolCalls,
+        processingTime,
+        metadata: {
+          provider: this.providerName,
+          processingTime,
+          finishReason,
+          stopReason: result.stop_reason,
+          streamed: isStreaming
+        }
+      };
+
+      logger.info('Resposta Anthropic recebida', {
+        responseLength: rawResponse.content.length,
+        tokensUsed: rawResponse.usage.totalTokens,
+        processingTime,
+        finishReason
+      });
+
+      return this.standardizeResponse(rawResponse, options.requestId, options.sessionId);
+
+    } catch (error) {
+      logger.error('Erro ao enviar mensagem para Anthropic', {
+        error: error.message,
+        status: error.status
+      });
+
+      throw this.handleProviderError(error, 'Envio de mensagem');
+    }
+  }
+
+  /**
+   * Monta o corpo da Messages API a partir das opções no formato OpenAI
+   * (histórico, ferramentas e mensagens do ciclo de tool calling)
+   */
+  buildRequest(message, options, isStreaming) {
+    const system = [options.systemPrompt || this.config.systemPrompt];
+    const messages = [];
+
+    (Array.isArray(options.history) ? options.history : []).forEach(entry => {
+      if (entry.role === 'system') {
+        system.push(entry.content);
+      } else {
+        this.appendMessage(messages, entry.role === 'assistant' ? 'assistant' : 'user', entry.content);
+      }
+    });
+
+    this.appendMessage(messages, 'user', message.trim());
+
+    (options.toolMessages || []).forEach(toolMessage => {
+      if (toolMessage.role === 'tool') {
+        this.appendMessage(messages, 'user', [{
+          type: 'tool_result',
+          tool_use_id: toolMessage.tool_call_id,
+          content: toolMessage.content
+        }]);
+        return;
+      }
+
+      this.appendMessage(messages, 'assistant', [
+        ...(toolMessage.content ? [{ type: 'text', text: toolMessage.content }] : []),
+        ...(toolMessage.tool_calls || []).map(toolCall => ({
+          type: 'tool_use',
+          id: toolCall.id,
+          name: toolCall.function.name,
+          input: this.parseToolArguments(toolCall.function.arguments)
+        }))
+      ]);
+    });
+
+    const request = {
+      model: options.model || this.config.model,
+      system: system.filter(Boolean).join('\n\n'),
+      messages,
+      max_tokens: options.maxTokens || this.config.maxTokens,
+      // A Anthropic aceita temperature entre 0 e 1
+      temperature: Math.min(options.temperature || this.config.temperature, 1),
+      stream: isStreaming
+    };
+
+    if (options.userId || options.sessionId) {
+      request.metadata = { user_id: options.userId || options.sessionId };
+    }
+
+    if (Array.isArray(options.tools) && options.tools.length > 0) {
+      request.tools = options.tools.map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters || { type: 'object', properties: {} }
+      }));
+      request.tool_choice = { type: options.toolChoice === 'none' ? 'none' : 'auto' };
+    }
+
+    return request;
+  }
+
+  /**
+   * A Messages API exige alternância de papéis: mensagens seguidas do mesmo
+   * papel são unidas em uma só, com o conteúdo em blocos
+   */
+  appendMessage(messages, role, content) {
+    const last = messages[messages.length - 1];
+
+    if (last?.role !== role) {
+      messages.push({ role, content });
+      return;
+    }
+
+    const toBlocks = value => typeof value === 'string' ? [{ type: 'text', text: value }] : value;
+    last.content = [...toBlocks(last.content), ...toBlocks(content)];
+  }
+
+  parseToolArguments(args) {
+    try {
+      return typeof args === 'string' ? JSON.parse(args || '{}') : (args || {});
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Consome o stream SSE da Messages API, repassando os trechos de texto ao callback
+   * @returns {Promise<Object>} Objeto equivalente à resposta não-streaming
+   */
+  async consumeMessageStream(response, onDelta) {
+    const result = { model: null, content: [], stop_reason: null, usage: {} };
+    const partialInputs = [];
+
+    for await (const { data } of this.readServerSentEvents(response)) {
+      const event = JSON.parse(data);
+
+      switch (event.type) {
+        case 'message_start':
+          result.model = event.message.model;
+          result.usage = { ...event.message.usage };
+          break;
+
+        case 'content_block_start':
+          result.content[event.index] = { ...event.content_block };
+          partialInputs[event.index] = '';
+          break;
+
+        case 'content_block_delta': {
+          const block = result.content[event.index];
+          if (event.delta.type === 'text_delta') {
+            block.text = (block.text || '') + event.delta.text;
+            onDelta(event.delta.text);
+          } else if (event.delta.type === 'input_json_delta') {
+            partialInputs[event.index] += event.delta.partial_json;
+          }
+          break;
+        }
+
+        case 'content_block_stop': {
+          const block = result.content[event.index];
+          if (block?.type === 'tool_use' && partialInputs[event.index]) {
+            block.input = this.parseToolArguments(partialInputs[event.index]);
+          }
+          break;
+        }
+
+        case 'message_delta':
+          result.stop_reason = event.delta.stop_reason;
+          Object.assign(result.usage, event.usage);
+          break;
+
+        case 'error': {
+          // Erros no meio do stream (ex.: overloaded_error) chegam como evento
+          const error = new Error(event.error?.message || 'Erro no stream da Anthropic');
+          error.status = event.error?.type === 'overloaded_error' ? 529 : 500;
+          error.body = event;
+          throw error;
+        }
+      }
+    }
+
+    result.content = result.content.filter(Boolean);
+    return result;
+  }
+
+  /**
+   * Trata erros específicos da Anthropic
+   */
+  handleProviderError(error, context = '') {
+    if (this.isCancellationError(error)) {
+      return super.handleProviderError(error, context);
+    }
+
+    // Já padronizado (ex.: falha do healthCheck repassada pela inicialização)
+    if (error.provider === this.providerName && error.type) {
+      return error;
+    }
+
+    // Saldo de créditos esgotado chega como invalid_request_error (400)
+    if (error.status === 400 && /credit balance/i.test(error.body?.error?.message || '')) {
+      const newError = new Error('Créditos da API Anthropic esgotados. Verifique seu plano.');
+      newError.type = 'quota_exceeded';
+      newError.code = 'credit_balance_too_low';
+      newError.provider = this.providerName;
+      return newError;
+    }
+
+    return this.mapHTTPError(error) || super.handleProviderError(error, context);
+  }
+}
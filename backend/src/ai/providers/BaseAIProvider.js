@@ -7,6 +7,8 @@ export class BaseAIProvider {
     this.config = config;
     this.isConnected = false;
     this.providerName = 'base';
+    this.supportsStreaming = false;
+    this.supportsTools = false;
   }
 
   /**
@@ -27,9 +29,15 @@ export class BaseAIProvider {
 
   /**
    * Envia mensagem para o modelo de IA
+   * Quando options.onDelta é informado e o provedor suporta streaming,
+   * cada trecho gerado é repassado ao callback antes da resposta final
    * @param {string} message - Mensagem do usuário
    * @param {Object} options - Opções adicionais
-   * @returns {Promise<Object>} Resposta padronizada
+   * @param {Function} [options.onDelta] - Callback chamado com cada trecho de texto
+   * @param {AbortSignal} [options.signal] - Sinal para cancelar a requisição em andamento
+   * @param {Array} [options.tools] - Ferramentas no formato de function calling da OpenAI
+   * @param {Array} [options.toolMessages] - Chamadas e resultados de ferramentas do turno atual
+   * @returns {Promise<Object>} Resposta padronizada (com toolCalls quando o modelo pede ferramentas)
    */
   async sendMessage(message, options = {}) {
     throw new Error('sendMessage() deve ser implementado pela classe filha');
@@ -59,6 +67,176 @@ export class BaseAIProvider {
     };
   }
 
+  /**
+   * Consome um stream de chunks no formato OpenAI (chat.completions com stream: true)
+   * Repassa cada delta ao callback e monta um objeto equivalente a uma completion
+   * @param {AsyncIterable<Object>} stream - Stream retornado pelo cliente
+   * @param {Function} onDelta - Callback chamado com cada trecho de texto
+   * @returns {Promise<Object>} Objeto no formato de completion não-streaming
+   */
+  async consumeCompletionStream(stream, onDelta) {
+    let content = '';
+    let model = null;
+    let finishReason = null;
+    let usage = null;
+    const toolCalls = [];
+
+    for await (const chunk of stream) {
+      if (chunk.model) {
+        model = chunk.model;
+      }
+
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      const choice = chunk.choices?.[0];
+      if (!choice) continue;
+
+      const delta = choice.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+
+      // Chamadas de ferramenta chegam fragmentadas, indexadas por posição
+      (choice.delta?.tool_calls || []).forEach(toolCallDelta => {
+        const index = toolCallDelta.index ?? toolCalls.length;
+        const toolCall = toolCalls[index] ||= {
+          id: null,
+          type: 'function',
+          function: { name: '', arguments: '' }
+        };
+
+        if (toolCallDelta.id) toolCall.id = toolCallDelta.id;
+        if (toolCallDelta.function?.name) toolCall.function.name += toolCallDelta.function.name;
+        if (toolCallDelta.function?.arguments) toolCall.function.arguments += toolCallDelta.function.arguments;
+      });
+
+      if (choice.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+    }
+
+    return {
+      model,
+      choices: [
+        {
+          message: {
+            role: 'assistant',
+            content,
+            ...(toolCalls.length > 0 ? { tool_calls: toolCalls.filter(Boolean) } : {})
+          },
+          finish_reason: finishReason
+        }
+      ],
+      usage
+    };
+  }
+
+  /**
+   * Requisição HTTP à API do provedor, para provedores acessados sem SDK
+   * Combina options.signal com o timeout configurado; respostas fora de 2xx
+   * viram erro com `status` e o corpo JSON da API em `body`
+   * @param {string} url - URL completa do endpoint
+   * @param {Object} options - { method, headers, body, signal }
+   * @returns {Promise<Response>}
+   */
+  async fetchAPI(url, { method = 'GET', headers = {}, body, signal } = {}) {
+    const timeoutSignal = AbortSignal.timeout(this.config.timeout || 30000);
+
+    const response = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      let payload = null;
+      try {
+        payload = JSON.parse(text);
+      } catch {
+        // Corpo não-JSON: mantém o texto na mensagem
+      }
+
+      const detail = payload?.error?.message || payload?.message || text || response.statusText;
+      const error = new Error(`HTTP ${response.status}: ${detail}`);
+      error.status = response.status;
+      error.body = payload;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Lê um corpo text/event-stream (SSE), emitindo { event, data } por evento
+   * @param {Response} response - Resposta de fetchAPI
+   */
+  async *readServerSentEvents(response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const parse = (block) => {
+      let event = null;
+      const data = [];
+
+      block.split('\n').forEach(line => {
+        line = line.replace(/\r$/, '');
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      });
+
+      return data.length > 0 ? { event, data: data.join('\n') } : null;
+    };
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+
+      for (const block of blocks) {
+        const event = parse(block);
+        if (event) yield event;
+      }
+    }
+
+    const last = parse(buffer);
+    if (last) yield last;
+  }
+
+  /**
+   * Converte erros de fetchAPI (status HTTP ou falha de conexão) nos tipos padronizados
+   * @param {Error} error - Erro original
+   * @returns {Error|null} null quando o erro não veio da camada HTTP
+   */
+  mapHTTPError(error) {
+    const status = error.status;
+    let type = null;
+
+    if (status === 401 || status === 403) type = 'invalid_api_key';
+    else if (status === 404) type = 'model_not_found';
+    else if (status === 429) type = 'rate_limit';
+    else if (status >= 500) type = 'service_unavailable';
+    else if (status >= 400) type = 'invalid_request';
+    else if (error.message === 'fetch failed') type = 'service_unavailable'; // Conexão recusada, DNS, TLS
+
+    if (!type) {
+      return null;
+    }
+
+    const detail = error.body?.error?.message || error.cause?.message || error.message;
+    const newError = new Error(`[${this.providerName}] ${detail}`);
+    newError.type = type;
+    newError.code = error.body?.error?.type || type;
+    newError.status = status;
+    newError.provider = this.providerName;
+    return newError;
+  }
+
   /**
    * Padroniza a resposta para o formato esperado pelo sistema
    * @param {Object} rawResponse - Resposta bruta do provedor
@@ -79,6 +257,7 @@ export class BaseAIProvider {
         totalTokens: rawResponse.usage?.total_tokens || rawResponse.usage?.totalTokens || 0
       },
       finishReason: rawResponse.finish_reason || rawResponse.finishReason || 'stop',
+      toolCalls: rawResponse.toolCalls || [],
       timestamp: new Date().toISOString(),
       metadata: {
         provider: this.providerName,
@@ -88,6 +267,41 @@ export class BaseAIProvider {
     };
   }
 
+  /**
+   * Converte tool_calls da API para o formato interno
+   * @param {Array} [toolCalls] - tool_calls de choice.message
+   * @returns {Array<{id: string, name: string, arguments: string}>}
+   */
+  normalizeToolCalls(toolCalls) {
+    if (!Array.isArray(toolCalls)) {
+      return [];
+    }
+
+    return toolCalls
+      .filter(toolCall => toolCall?.function?.name)
+      .map((toolCall, index) => ({
+        id: toolCall.id || `call_${Date.now()}_${index}`,
+        name: toolCall.function.name,
+        arguments: toolCall.function.arguments || '{}'
+      }));
+  }
+
+  /**
+   * Aplica ferramentas e mensagens do ciclo de tool calling à requisição
+   * @param {Object} requestParams - Parâmetros de chat.completions.create
+   * @param {Object} options - Opções de sendMessage
+   */
+  applyToolOptions(requestParams, options) {
+    if (Array.isArray(options.toolMessages) && options.toolMessages.length > 0) {
+      requestParams.messages.push(...options.toolMessages);
+    }
+
+    if (Array.isArray(options.tools) && options.tools.length > 0) {
+      requestParams.tools = options.tools;
+      requestParams.tool_choice = options.toolChoice || 'auto';
+    }
+  }
+
   /**
    * Valida a configuração do provedor
    * @param {Array} requiredFields - Campos obrigatórios
@@ -113,6 +327,41 @@ export class BaseAIProvider {
     }
   }
 
+  /**
+   * Lança erro de cancelamento se o sinal já foi abortado
+   * @param {AbortSignal} [signal] - Sinal de cancelamento
+   * @throws {Error} Erro do tipo 'cancelled'
+   */
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw this.createCancelledError();
+    }
+  }
+
+  /**
+   * Cria erro padronizado para gerações canceladas pelo cliente
+   * @returns {Error} Erro do tipo 'cancelled'
+   */
+  createCancelledError() {
+    const error = new Error(`Requisição para ${this.providerName} cancelada`);
+    error.name = 'AbortError';
+    error.type = 'cancelled';
+    error.code = 'cancelled';
+    error.provider = this.providerName;
+    return error;
+  }
+
+  /**
+   * Verifica se o erro representa um cancelamento (AbortSignal)
+   * @param {Error} error - Erro original
+   * @returns {boolean}
+   */
+  isCancellationError(error) {
+    return error?.type === 'cancelled' ||
+      error?.name === 'AbortError' ||
+      error?.name === 'APIUserAbortError';
+  }
+
   /**
    * Trata erros do provedor de forma padronizada
    * @param {Error} error - Erro original
@@ -121,6 +370,10 @@ export class BaseAIProvider {
    */
   handleProviderError(error, context = '') {
     const errorMessage = `[${this.providerName}] ${context}: ${error.message}`;
+
+    if (this.isCancellationError(error)) {
+      return error.type === 'cancelled' ? error : this.createCancelledError();
+    }
     
     // Mapeia tipos de erro comuns
     if (error.message.includes('quota') || error.message.includes('limit')) {
@@ -0,0 +1,270 @@
+import { BaseAIProvider } from './BaseAIProvider.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Provedor para modelos locais com API compatível com a OpenAI
+ * (Ollama, llama.cpp server, LM Studio, vLLM), acessado via HTTP sem SDK
+ * A chave de API é opcional, permitindo rodar o bot totalmente offline
+ */
+export class LocalProvider extends BaseAIProvider {
+  constructor(config = {}) {
+    super(config);
+    this.providerName = 'local';
+    this.supportsStreaming = true;
+    this.supportsTools = true;
+
+    // Padrão: endpoint OpenAI-compatível do Ollama
+    this.config = {
+      ...config,
+      apiKey: config.apiKey || process.env.LOCAL_AI_API_KEY || '',
+      baseURL: (config.baseURL || process.env.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, ''),
+      model: config.model || 'llama3.1',
+      maxTokens: parseInt(config.maxTokens || '1000'),
+      temperature: parseFloat(config.temperature || '0.7'),
+      systemPrompt: config.systemPrompt || 'Você é um assistente virtual útil e amigável.',
+      timeout: config.timeout || 30000
+    };
+  }
+
+  getHeaders() {
+    return this.config.apiKey ? { Authorization: `Bearer ${this.config.apiKey}` } : {};
+  }
+
+  /**
+   * Verifica se o servidor local está no ar
+   */
+  async initialize() {
+    try {
+      this.validateConfig(['baseURL', 'model']);
+
+      logger.info('Inicializando provedor local', {
+        model: this.config.model,
+        baseURL: this.config.baseURL
+      });
+
+      const health = await this.healthCheck();
+      this.isConnected = true;
+
+      if (!health.modelLoaded) {
+        logger.warn('Modelo não listado pelo servidor local', {
+          model: this.config.model,
+          modelsAvailable: health.modelsAvailable
+        });
+      }
+
+      logger.info('Provedor local inicializado com sucesso');
+
+    } catch (error) {
+      logger.error('Erro ao inicializar provedor local', { error: error.message });
+      throw this.handleProviderError(error, 'Inicialização');
+    }
+  }
+
+  async healthCheck() {
+    try {
+      const response = await this.fetchAPI(`${this.config.baseURL}/models`, {
+        headers: this.getHeaders()
+      });
+      const body = await response.json();
+      const models = Array.isArray(body.data) ? body.data : [];
+
+      return {
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        modelsAvailable: models.length,
+        modelLoaded: models.some(model => model.id === this.config.model),
+        provider: this.providerName,
+        currentModel: this.config.model
+      };
+
+    } catch (error) {
+      logger.error('Health check do provedor local falhou', { error: error.message });
+      throw this.handleProviderError(error, 'Health check');
+    }
+  }
+
+  /**
+   * Envia mensagem para /chat/completions do servidor local
+   */
+  async sendMessage(message, options = {}) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('Provedor local não está conectado');
+      }
+
+      if (!message || typeof message !== 'string' || message.trim().length === 0) {
+        throw new Error('Mensagem inválida');
+      }
+
+      const startTime = Date.now();
+
+      logger.info('Enviando mensagem para modelo local', {
+        model: options.model || this.config.model,
+        messageLength: message.length,
+        sessionId: options.sessionId
+      });
+
+      // Prepara as mensagens
+      const messages = [
+        {
+          role: 'system',
+          content: options.systemPrompt || this.config.systemPrompt
+        },
+        {
+          role: 'user',
+          content: message.trim()
+        }
+      ];
+
+      // Adiciona histórico se fornecido
+      if (options.history && Array.isArray(options.history)) {
+        messages.splice(1, 0, ...options.history);
+      }
+
+      const isStreaming = typeof options.onDelta === 'function';
+
+      const requestParams = {
+        model: options.model || this.config.model,
+        messages,
+        max_tokens: options.maxTokens || this.config.maxTokens,
+        temperature: options.temperature || this.config.temperature,
+        stream: isStreaming
+      };
+
+      if (isStreaming) {
+        requestParams.stream_options = { include_usage: true };
+      }
+
+      this.applyToolOptions(requestParams, options);
+
+      const response = await this.fetchAPI(`${this.config.baseURL}/chat/completions`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: requestParams,
+        signal: options.signal
+      });
+
+      const completion = isStreaming
+        ? await this.consumeCompletionStream(this.readCompletionChunks(response), options.onDelta)
+        : await response.json();
+
+      const processingTime = Date.now() - startTime;
+
+      const choice = completion.choices?.[0];
+      if (!choice || !choice.message) {
+        throw new Error('Resposta inválida do servidor local');
+      }
+
+      const toolCalls = this.normalizeToolCalls(choice.message.tool_calls);
+
+      const rawResponse = {
+        content: (choice.message.content || '').trim(),
+        model: completion.model || requestParams.model,
+        usage: {
+          promptTokens: completion.usage?.prompt_tokens || 0,
+          completionTokens: completion.usage?.completion_tokens || 0,
+          totalTokens: completion.usage?.total_tokens || 0
+        },
+        finishReason: choice.finish_reason || 'stop',
+        toolCalls,
+        processingTime,
+        metadata: {
+          provider: this.providerName,
+          processingTime,
+          finishReason: choice.finish_reason || 'stop',
+          streamed: isStreaming
+        }
+      };
+
+      logger.info('Resposta do modelo local recebida', {
+        responseLength: rawResponse.content.length,
+        tokensUsed: rawResponse.usage.totalTokens,
+        processingTime,
+        finishReason: rawResponse.finishReason
+      });
+
+      return this.standardizeResponse(rawResponse, options.requestId, options.sessionId);
+
+    } catch (error) {
+      logger.error('Erro ao enviar mensagem para modelo local', {
+        error: error.message,
+        status: error.status
+      });
+
+      throw this.handleProviderError(error, 'Envio de mensagem');
+    }
+  }
+
+  /**
+   * Converte o stream SSE em chunks no formato OpenAI para consumeCompletionStream
+   */
+  async *readCompletionChunks(response) {
+    for await (const { data } of this.readServerSentEvents(response)) {
+      if (data === '[DONE]') {
+        return;
+      }
+
+      yield JSON.parse(data);
+    }
+  }
+
+  /**
+   * Trata erros do servidor local
+   */
+  handleProviderError(error, context = '') {
+    if (this.isCancellationError(error)) {
+      return super.handleProviderError(error, context);
+    }
+
+    // Já padronizado (ex.: falha do healthCheck repassada pela inicialização)
+    if (error.provider === this.providerName && error.type) {
+      return error;
+    }
+
+    return this.mapHTTPError(error) || super.handleProviderError(error, context);
+  }
+
+  /**
+   * Lista modelos disponíveis no servidor local
+   */
+  async listModels() {
+    try {
+      const response = await this.fetchAPI(`${this.config.baseURL}/models`, {
+        headers: this.getHeaders()
+      });
+      const body = await response.json();
+
+      return (body.data || []).map(model => ({
+        id: model.id,
+        name: model.id,
+        provider: this.providerName,
+        created: model.created
+      }));
+
+    } catch (error) {
+      throw this.handleProviderError(error, 'Listagem de modelos');
+    }
+  }
+
+  /**
+   * Gera embeddings no servidor local (ex.: nomic-embed-text no Ollama)
+   * @param {string[]} input - Textos
+   * @param {string} model - Modelo de embeddings (padrão: modelo de chat configurado)
+   * @returns {Promise<number[][]>}
+   */
+  async createEmbeddings(input, model = this.config.model) {
+    try {
+      const response = await this.fetchAPI(`${this.config.baseURL}/embeddings`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: { model, input }
+      });
+      const body = await response.json();
+
+      return (body.data || []).sort((a, b) => a.index - b.index).map(item => item.embedding);
+
+    } catch (error) {
+      throw this.handleProviderError(error, 'Geração de embeddings');
+    }
+  }
+}
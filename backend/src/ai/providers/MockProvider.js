@@ -3,13 +3,22 @@ import logger from '../../utils/logger.js';
 
 /**
  * Provedor Mock - usado apenas quando nenhum provedor real está disponível
- * Este provedor retorna uma mensagem de erro informativa
+ * Este provedor retorna uma mensagem de erro informativa, ou respostas
+ * roteirizadas (config.replies) para testes offline
  */
 export class MockProvider extends BaseAIProvider {
   constructor(config = {}) {
     super(config);
     this.providerName = 'mock';
+    this.supportsStreaming = true;
+    this.supportsTools = true;
     this.isConnected = true; // Mock sempre está "conectado"
+
+    // Respostas roteirizadas, usadas em ordem (a última se repete)
+    // Um item { toolCalls: [{ name, arguments }] } simula o modelo pedindo ferramentas
+    this.replies = Array.isArray(config.replies) ? config.replies : [];
+    this.replyIndex = 0;
+    this.chunkDelay = config.chunkDelay || 0;
   }
 
   /**
@@ -33,9 +42,16 @@ export class MockProvider extends BaseAIProvider {
   }
 
   /**
-   * Retorna mensagem informativa sobre a falta de configuração
+   * Retorna a próxima resposta roteirizada ou a mensagem informativa
+   * sobre a falta de configuração
    */
   async sendMessage(message, options = {}) {
+    this.throwIfAborted(options.signal);
+
+    if (this.replies.length > 0) {
+      return this.sendScriptedReply(message, options);
+    }
+
     logger.warn('Tentativa de envio de mensagem com provedor mock', {
       message: message.substring(0, 50),
       sessionId: options.sessionId
@@ -51,6 +67,7 @@ Desculpe, mas não foi possível processar sua mensagem porque nenhum provedor d
 1. **OpenAI**: Configure OPENAI_API_KEY no arquivo .env
 2. **OpenRouter**: Configure OPENROUTER_API_KEY no arquivo .env  
 3. **Anthropic**: Configure ANTHROPIC_API_KEY no arquivo .env
+4. **Modelo local**: Configure AI_PROVIDER=local e LOCAL_AI_BASE_URL (Ollama, llama.cpp)
 
 **Configuração atual:**
 - Provedor selecionado: ${process.env.AI_PROVIDER || 'não definido'}
@@ -76,6 +93,75 @@ Entre em contato com o administrador do sistema para configurar um provedor de I
       }
     };
 
+    if (typeof options.onDelta === 'function') {
+      await this.streamText(errorMessage, options.onDelta, options.signal);
+    }
+
     return this.standardizeResponse(rawResponse, options.requestId, options.sessionId);
   }
+
+  /**
+   * Responde com o próximo item de config.replies
+   */
+  async sendScriptedReply(message, options = {}) {
+    const startTime = Date.now();
+    const scripted = this.replies[Math.min(this.replyIndex, this.replies.length - 1)];
+    this.replyIndex++;
+
+    const reply = typeof scripted === 'string' ? scripted : (scripted.content || '');
+    const toolCalls = typeof scripted === 'string' ? [] : this.normalizeToolCalls(
+      (scripted.toolCalls || []).map((toolCall, index) => ({
+        id: toolCall.id || `call_mock_${this.replyIndex}_${index}`,
+        function: {
+          name: toolCall.name,
+          arguments: typeof toolCall.arguments === 'string'
+            ? toolCall.arguments
+            : JSON.stringify(toolCall.arguments || {})
+        }
+      }))
+    );
+
+    if (typeof options.onDelta === 'function') {
+      await this.streamText(reply, options.onDelta, options.signal);
+    }
+
+    const promptTokens = Math.ceil(message.length / 4);
+    const completionTokens = Math.ceil(reply.length / 4);
+
+    const rawResponse = {
+      content: reply,
+      model: this.config.model || 'mock-model',
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      },
+      finishReason: toolCalls.length > 0 ? 'tool_calls' : 'stop',
+      toolCalls,
+      processingTime: Date.now() - startTime,
+      metadata: {
+        provider: this.providerName,
+        scripted: true,
+        streamed: typeof options.onDelta === 'function'
+      }
+    };
+
+    return this.standardizeResponse(rawResponse, options.requestId, options.sessionId);
+  }
+
+  /**
+   * Emite o texto palavra a palavra, simulando geração token a token
+   * Interrompe com erro 'cancelled' quando o sinal é abortado
+   */
+  async streamText(text, onDelta, signal) {
+    const chunks = text.match(/\S+\s*|\s+/g) || [];
+
+    for (const chunk of chunks) {
+      if (this.chunkDelay > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.chunkDelay));
+      }
+      this.throwIfAborted(signal);
+      onDelta(chunk);
+    }
+  }
 }
\ No newline at end of file
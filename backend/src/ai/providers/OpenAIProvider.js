@@ -9,6 +9,8 @@ export class OpenAIProvider extends BaseAIProvider {
   constructor(config = {}) {
     super(config);
     this.providerName = 'openai';
+    this.supportsStreaming = true;
+    this.supportsTools = true;
     this.client = null;
     
     // Configuração específica do OpenAI
@@ -122,15 +124,30 @@ export class OpenAIProvider extends BaseAIProvider {
         messages.splice(1, 0, ...options.history);
       }
 
+      const isStreaming = typeof options.onDelta === 'function';
+
       // Faz a requisição
-      const completion = await this.client.chat.completions.create({
+      const requestParams = {
         model: options.model || this.config.model,
         messages: messages,
         max_tokens: options.maxTokens || this.config.maxTokens,
         temperature: options.temperature || this.config.temperature,
-        stream: false,
+        stream: isStreaming,
         user: options.userId || options.sessionId
+      };
+
+      if (isStreaming) {
+        requestParams.stream_options = { include_usage: true };
+      }
+
+      this.applyToolOptions(requestParams, options);
+
+      const response = await this.client.chat.completions.create(requestParams, {
+        signal: options.signal
       });
+      const completion = isStreaming
+        ? await this.consumeCompletionStream(response, options.onDelta)
+        : response;
 
       const processingTime = Date.now() - startTime;
 
@@ -140,8 +157,10 @@ export class OpenAIProvider extends BaseAIProvider {
         throw new Error('Resposta inválida da API OpenAI');
       }
 
+      const toolCalls = this.normalizeToolCalls(choice.message.tool_calls);
+
       const rawResponse = {
-        content: choice.message.content.trim(),
+        content: (choice.message.content || '').trim(),
         model: completion.model,
         usage: {
           promptTokens: completion.usage?.prompt_tokens || 0,
@@ -149,11 +168,13 @@ export class OpenAIProvider extends BaseAIProvider {
           totalTokens: completion.usage?.total_tokens || 0
         },
         finishReason: choice.finish_reason,
+        toolCalls,
         processingTime,
         metadata: {
           provider: this.providerName,
           processingTime,
-          finishReason: choice.finish_reason
+          finishReason: choice.finish_reason,
+          streamed: isStreaming
         }
       };
 
@@ -181,6 +202,10 @@ export class OpenAIProvider extends BaseAIProvider {
    * Trata erros específicos do OpenAI
    */
   handleProviderError(error, context = '') {
+    if (this.isCancellationError(error)) {
+      return super.handleProviderError(error, context);
+    }
+
     // Erros específicos do OpenAI
     if (error.type === 'insufficient_quota') {
       const newError = new Error('Cota da API OpenAI esgotada. Verifique seu plano.');
@@ -239,4 +264,24 @@ export class OpenAIProvider extends BaseAIProvider {
       throw this.handleProviderError(error, 'Listagem de modelos');
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Gera embeddings para a base de conhecimento
+   * @param {string[]} input - Textos
+   * @param {string} model - Modelo de embeddings (padrão: text-embedding-3-small)
+   * @returns {Promise<number[][]>}
+   */
+  async createEmbeddings(input, model = 'text-embedding-3-small') {
+    try {
+      if (!this.client) {
+        throw new Error('Cliente OpenAI não inicializado');
+      }
+
+      const response = await this.client.embeddings.create({ model, input });
+      return response.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+
+    } catch (error) {
+      throw this.handleProviderError(error, 'Geração de embeddings');
+    }
+  }
+}
@@ -10,6 +10,8 @@ export class OpenRouterProvider extends BaseAIProvider {
   constructor(config = {}) {
     super(config);
     this.providerName = 'openrouter';
+    this.supportsStreaming = true;
+    this.supportsTools = true;
     this.client = null;
     
     // Configuração específica do OpenRouter
@@ -135,15 +137,24 @@ export class OpenRouterProvider extends BaseAIProvider {
         console.log('📚 OpenRouter: Sem histórico fornecido ou inválido:', typeof options.history);
       }
 
+      const isStreaming = typeof options.onDelta === 'function';
+
       // Prepara parâmetros da requisição
       const requestParams = {
         model: options.model || this.config.model,
         messages: messages,
         max_tokens: options.maxTokens || this.config.maxTokens,
         temperature: options.temperature || this.config.temperature,
-        stream: false
+        stream: isStreaming
       };
 
+      // OpenRouter só envia usage no último chunk quando solicitado
+      if (isStreaming) {
+        requestParams.stream_options = { include_usage: true };
+      }
+
+      this.applyToolOptions(requestParams, options);
+
       // Adiciona parâmetros opcionais apenas se não forem null/undefined
       if (options.userId || options.sessionId) {
         requestParams.user = options.userId || options.sessionId;
@@ -163,7 +174,12 @@ export class OpenRouterProvider extends BaseAIProvider {
       logger.info('Parâmetros da requisição OpenRouter:', requestParams);
 
       // Faz a requisição
-      const completion = await this.client.chat.completions.create(requestParams);
+      const response = await this.client.chat.completions.create(requestParams, {
+        signal: options.signal
+      });
+      const completion = isStreaming
+        ? await this.consumeCompletionStream(response, options.onDelta)
+        : response;
 
       const processingTime = Date.now() - startTime;
 
@@ -173,9 +189,10 @@ export class OpenRouterProvider extends BaseAIProvider {
         throw new Error('Resposta inválida da API OpenRouter');
       }
 
-      // Verifica se o conteúdo existe
-      const messageContent = choice.message?.content;
-      if (!messageContent || typeof messageContent !== 'string') {
+      // Verifica se o conteúdo existe (pode vir vazio quando o modelo pede ferramentas)
+      const toolCalls = this.normalizeToolCalls(choice.message?.tool_calls);
+      const messageContent = choice.message?.content || '';
+      if (typeof messageContent !== 'string' || (!messageContent && toolCalls.length === 0)) {
         throw new Error('Conteúdo da resposta está vazio ou inválido');
       }
       
@@ -188,6 +205,7 @@ export class OpenRouterProvider extends BaseAIProvider {
           totalTokens: completion.usage?.total_tokens || 0
         },
         finishReason: choice.finish_reason || 'unknown',
+        toolCalls,
         processingTime,
         metadata: {
           provider: this.providerName,
@@ -195,7 +213,8 @@ export class OpenRouterProvider extends BaseAIProvider {
           finishReason: choice.finish_reason || 'unknown',
           // OpenRouter pode fornecer informações adicionais
           actualModel: completion.model || 'unknown',
-          cost: completion.usage?.cost || 0
+          cost: completion.usage?.cost || 0,
+          streamed: isStreaming
         }
       };
 
@@ -234,6 +253,10 @@ export class OpenRouterProvider extends BaseAIProvider {
    * Trata erros específicos do OpenRouter
    */
   handleProviderError(error, context = '') {
+    if (this.isCancellationError(error)) {
+      return super.handleProviderError(error, context);
+    }
+
     logger.error('Erro detalhado do OpenRouter:', {
       message: error.message,
       status: error.status,
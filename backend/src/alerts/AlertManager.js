@@ -0,0 +1,220 @@
+import { randomBytes } from 'crypto';
+import { hostname } from 'os';
+import { TokenBucket } from '../limits/TokenBucket.js';
+import logger from '../utils/logger.js';
+
+export const ALERT_SEVERITIES = ['critical', 'warning', 'info'];
+
+/**
+ * Entrega dos alertas do monitoramento (monitoring.sendAlert) aos canais configurados
+ *
+ * - Roteamento por severidade: routes.critical/warning/info listam os canais de cada uma
+ * - Deduplicação: o mesmo alerta (key) ativo só volta a ser avisado depois de dedupWindow;
+ *   cada repetição dobra a espera, até maxRepeatInterval
+ * - Limite por canal: balde de fichas (rateLimit) contra rajadas de alertas diferentes;
+ *   o aviso "resolved" não passa pelo limite, para o canal não ficar com o alerta aberto
+ * - Resolução: resolve(key) ou, sem novas ocorrências por resolveAfter, automática
+ *   (exceto alertas com autoResolve: false); os canais recebem o aviso "resolved"
+ * - Histórico em memória (últimos maxHistory eventos) para /monitoring/alerts
+ */
+export class AlertManager {
+  constructor({ channels = [], ...config } = {}) {
+    this.config = {
+      routes: { critical: [], warning: [], info: [], ...config.routes },
+      dedupWindow: config.dedupWindow || 5 * 60 * 1000,
+      maxRepeatInterval: config.maxRepeatInterval || 60 * 60 * 1000,
+      resolveAfter: config.resolveAfter || 15 * 60 * 1000,
+      sweepInterval: config.sweepInterval || 30 * 1000,
+      rateLimit: { capacity: 10, perMinute: 6, ...config.rateLimit }, // Por canal
+      maxHistory: config.maxHistory || 200,
+      ...config
+    };
+
+    this.channels = new Map(channels.map(channel => [channel.channelName, channel]));
+    this.buckets = new Map(channels.map(channel => [channel.channelName, new TokenBucket({
+      capacity: this.config.rateLimit.capacity,
+      refillPerSecond: this.config.rateLimit.perMinute / 60
+    })]));
+    this.stats = new Map(channels.map(channel => [channel.channelName, { sent: 0, failed: 0, rateLimited: 0, lastError: null }]));
+
+    this.active = new Map(); // key -> alerta ativo
+    this.history = []; // Eventos, do mais recente para o mais antigo
+    this.deliveries = new Set(); // Entregas em andamento (aguardadas no close)
+    this.suppressed = 0;
+
+    this.sweepTimer = setInterval(() => this.sweep(), this.config.sweepInterval);
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * Registra uma ocorrência do alerta e avisa os canais se ainda não avisou nesta janela
+   * @param {Object} alert - { type, severity, data, key (padrão: type), autoResolve, server }
+   * @returns {Object} Estado do alerta ativo
+   */
+  trigger(alert, now = Date.now()) {
+    const key = alert.key || alert.type;
+    const timestamp = new Date(now).toISOString();
+    let active = this.active.get(key);
+
+    if (!active) {
+      active = {
+        id: `alert_${now}_${randomBytes(4).toString('hex')}`,
+        key,
+        type: alert.type,
+        severity: ALERT_SEVERITIES.includes(alert.severity) ? alert.severity : 'info',
+        status: 'firing',
+        autoResolve: alert.autoResolve !== false,
+        repeat: 0,
+        occurrences: 0,
+        firstSeenAt: timestamp,
+        lastSeenAt: timestamp,
+        resolvedAt: null,
+        nextNotifyAt: 0,
+        data: {},
+        server: { hostname: hostname(), ...alert.server }
+      };
+      this.active.set(key, active);
+    }
+
+    active.occurrences++;
+    active.lastSeenAt = timestamp;
+    active.lastSeenTime = now;
+    active.data = alert.data || {};
+
+    if (now < active.nextNotifyAt) {
+      this.suppressed++;
+      logger.debug('Alerta repetido suprimido', { key, occurrences: active.occurrences });
+      return active;
+    }
+
+    const event = active.occurrences === 1 ? 'triggered' : 'repeated';
+    if (event === 'repeated') active.repeat++;
+    active.nextNotifyAt = now + Math.min(this.config.dedupWindow * 2 ** active.repeat, this.config.maxRepeatInterval);
+
+    this.dispatch(active, event);
+    return active;
+  }
+
+  /**
+   * Encerra o alerta ativo e envia o aviso de resolução
+   * @returns {boolean} false se o alerta não estava ativo
+   */
+  resolve(key, data = null, now = Date.now()) {
+    const active = this.active.get(key);
+    if (!active) return false;
+
+    this.active.delete(key);
+    active.status = 'resolved';
+    active.resolvedAt = new Date(now).toISOString();
+    if (data) active.data = data;
+
+    this.dispatch(active, 'resolved');
+    return true;
+  }
+
+  /**
+   * Resolve os alertas sem novas ocorrências há resolveAfter
+   */
+  sweep(now = Date.now()) {
+    this.active.forEach(active => {
+      if (active.autoResolve && now - active.lastSeenTime >= this.config.resolveAfter) {
+        this.resolve(active.key, null, now);
+      }
+    });
+  }
+
+  /**
+   * Registra o evento no histórico e entrega aos canais da severidade
+   */
+  dispatch(active, event) {
+    const notification = this.toNotification(active);
+    const entry = { event, ...notification, deliveries: [] };
+
+    this.history.unshift(entry);
+    this.history.length = Math.min(this.history.length, this.config.maxHistory);
+
+    const delivery = Promise.all(this.getChannels(active.severity).map(async channel => {
+      const bucket = this.buckets.get(channel.channelName);
+      const stats = this.stats.get(channel.channelName);
+
+      if (event !== 'resolved') {
+        if (!bucket.hasToken()) {
+          stats.rateLimited++;
+          entry.deliveries.push({ channel: channel.channelName, status: 'rate_limited' });
+          logger.warn('Alerta não enviado: limite do canal atingido', { channel: channel.channelName, key: active.key });
+          return;
+        }
+        bucket.take();
+      }
+
+      try {
+        await channel.send(notification);
+        stats.sent++;
+        entry.deliveries.push({ channel: channel.channelName, status: 'sent' });
+      } catch (error) {
+        stats.failed++;
+        stats.lastError = error.message;
+        entry.deliveries.push({ channel: channel.channelName, status: 'failed', error: error.message });
+        logger.error('Falha ao entregar alerta', { channel: channel.channelName, key: active.key, error: error.message });
+      }
+    }));
+
+    this.deliveries.add(delivery);
+    delivery.finally(() => this.deliveries.delete(delivery));
+    return delivery;
+  }
+
+  getChannels(severity) {
+    return (this.config.routes[severity] || [])
+      .map(name => this.channels.get(name))
+      .filter(Boolean);
+  }
+
+  /**
+   * Campos do alerta enviados aos canais (sem o estado interno de deduplicação)
+   */
+  toNotification(active) {
+    return {
+      id: active.id,
+      key: active.key,
+      type: active.type,
+      severity: active.severity,
+      status: active.status,
+      repeat: active.repeat,
+      occurrences: active.occurrences,
+      firstSeenAt: active.firstSeenAt,
+      lastSeenAt: active.lastSeenAt,
+      resolvedAt: active.resolvedAt,
+      data: { ...active.data },
+      server: active.server
+    };
+  }
+
+  /**
+   * Alertas ativos e histórico de eventos para /monitoring/alerts
+   * @param {Object} options - { status: 'firing' | 'resolved', limit }
+   */
+  getAlerts({ status = null, limit = 50 } = {}) {
+    return {
+      active: Array.from(this.active.values()).map(active => this.toNotification(active)),
+      history: this.history
+        .filter(entry => !status || entry.status === status)
+        .slice(0, limit)
+        .map(entry => ({ ...entry, deliveries: [...entry.deliveries] })),
+      channels: Array.from(this.channels.values()).map(channel => ({
+        ...channel.getChannelInfo(),
+        severities: ALERT_SEVERITIES.filter(severity => this.config.routes[severity]?.includes(channel.channelName)),
+        ...this.stats.get(channel.channelName)
+      })),
+      suppressed: this.suppressed
+    };
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+    await Promise.all(Array.from(this.deliveries));
+    await Promise.all(Array.from(this.channels.values()).map(channel => channel.close()));
+  }
+}
+
+export default AlertManager;
@@ -0,0 +1,67 @@
+/**
+ * Interface base para os canais de entrega de alertas do monitoramento
+ * Define a estrutura comum que todos os canais devem implementar
+ */
+export class BaseAlertChannel {
+  constructor(config = {}) {
+    this.config = config;
+    this.channelName = 'base';
+  }
+
+  /**
+   * Entrega uma notificação de alerta (disparo, repetição ou resolução)
+   * @param {Object} notification - { id, key, type, severity, status: 'firing' | 'resolved', repeat,
+   *   occurrences, firstSeenAt, lastSeenAt, resolvedAt, data, server }
+   * @returns {Promise<void>} Rejeita quando a entrega falha
+   */
+  async send(notification) {
+    throw new Error('send() deve ser implementado pela classe filha');
+  }
+
+  /**
+   * Libera recursos do canal
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Retorna informações sobre o canal
+   * @returns {Object}
+   */
+  getChannelInfo() {
+    return {
+      name: this.channelName
+    };
+  }
+}
+
+/**
+ * Título da notificação, usado por todos os canais: "[CRITICAL] HIGH_ERROR_RATE"
+ */
+export function formatAlertTitle(notification) {
+  const label = notification.status === 'resolved' ? 'RESOLVIDO' : notification.severity.toUpperCase();
+  return `[${label}] ${notification.type}`;
+}
+
+/**
+ * Linhas de texto com o contexto do alerta (ambiente, ocorrências e dados)
+ */
+export function formatAlertDetails(notification) {
+  const lines = [
+    `Ambiente: ${notification.server?.environment || 'desconhecido'}${notification.server?.hostname ? ` (${notification.server.hostname})` : ''}`,
+    `Chave: ${notification.key}`,
+    `Ocorrências: ${notification.occurrences} desde ${notification.firstSeenAt}`
+  ];
+
+  if (notification.status === 'resolved') {
+    lines.push(`Resolvido em: ${notification.resolvedAt}`);
+  } else if (notification.repeat > 0) {
+    lines.push(`Ainda ativo (aviso nº ${notification.repeat + 1})`);
+  }
+
+  Object.entries(notification.data || {}).forEach(([field, value]) => {
+    lines.push(`${field}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  });
+
+  return lines;
+}
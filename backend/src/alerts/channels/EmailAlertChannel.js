@@ -0,0 +1,227 @@
+import net from 'net';
+import tls from 'tls';
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
+import { BaseAlertChannel, formatAlertDetails, formatAlertTitle } from './BaseAlertChannel.js';
+
+function createSmtpError(message, response = null) {
+  const error = new Error(response ? `${message}: ${response.code} ${response.lines.join(' ')}` : message);
+  error.code = 'SMTP_ERROR';
+  error.smtpCode = response?.code || null;
+  return error;
+}
+
+/**
+ * Conexão SMTP mínima (RFC 5321): lê respostas multilinha e permite o upgrade STARTTLS
+ */
+class SmtpConnection {
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.buffer = '';
+    this.lines = [];
+    this.responses = []; // Respostas ainda não lidas
+    this.waiters = []; // Leituras aguardando resposta
+    this.error = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.listeners = {
+      data: chunk => this.receive(chunk.toString('utf8')),
+      error: error => this.fail(error),
+      close: () => this.fail(createSmtpError('Conexão SMTP encerrada pelo servidor'))
+    };
+    Object.entries(this.listeners).forEach(([event, listener]) => socket.on(event, listener));
+    socket.setTimeout(this.timeout, () => socket.destroy(createSmtpError('Tempo esgotado na conexão SMTP')));
+  }
+
+  detach() {
+    Object.entries(this.listeners).forEach(([event, listener]) => this.socket.removeListener(event, listener));
+    this.socket.setTimeout(0);
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+
+      // "250-..." continua a resposta; "250 ..." (ou só o código) a encerra
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const response = { code: parseInt(line.slice(0, 3), 10), lines: this.lines.map(entry => entry.slice(4)) };
+        this.lines = [];
+        const waiter = this.waiters.shift();
+        if (waiter) {
+          waiter.resolve(response);
+        } else {
+          this.responses.push(response);
+        }
+      }
+    }
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    this.waiters.forEach(waiter => waiter.reject(this.error));
+    this.waiters = [];
+  }
+
+  read() {
+    if (this.responses.length > 0) {
+      return Promise.resolve(this.responses.shift());
+    }
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+    return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+  }
+
+  /**
+   * Envia o comando (null só lê, ex.: saudação) e confere o código da resposta
+   */
+  async command(line, expected) {
+    if (line !== null) {
+      this.socket.write(`${line}\r\n`);
+    }
+
+    const response = await this.read();
+    if (!expected.includes(response.code)) {
+      throw createSmtpError(`Servidor SMTP recusou ${line === null ? 'a conexão' : line.split(' ')[0]}`, response);
+    }
+    return response;
+  }
+
+  async upgrade(options) {
+    this.detach();
+    const secureSocket = tls.connect({ ...options, socket: this.socket });
+    await new Promise((resolve, reject) => {
+      secureSocket.once('secureConnect', resolve);
+      secureSocket.once('error', reject);
+    });
+    this.attach(secureSocket);
+  }
+
+  close() {
+    this.detach();
+    this.socket.on('error', () => {});
+    this.socket.end();
+  }
+}
+
+/**
+ * Envia o alerta por e-mail via SMTP, sem dependências externas
+ *
+ * `secure` usa TLS implícito (porta 465); sem ele, a conexão é promovida com
+ * STARTTLS quando o servidor oferece. Credenciais (AUTH PLAIN) só seguem por
+ * conexão cifrada, salvo allowInsecureAuth (servidor de testes local)
+ */
+export class EmailAlertChannel extends BaseAlertChannel {
+  constructor(config = {}) {
+    super(config);
+    this.channelName = 'email';
+
+    if (!config.host || !config.from || !config.to?.length) {
+      throw new Error('SMTP de alertas incompleto (ALERT_SMTP_HOST, ALERT_EMAIL_FROM e ALERT_EMAIL_TO)');
+    }
+
+    this.host = config.host;
+    this.secure = config.secure === true;
+    this.port = config.port || (this.secure ? 465 : 587);
+    this.user = config.user || '';
+    this.pass = config.pass || '';
+    this.from = config.from;
+    this.to = config.to;
+    this.startTLS = config.startTLS !== false;
+    this.allowInsecureAuth = config.allowInsecureAuth === true;
+    this.rejectUnauthorized = config.rejectUnauthorized !== false;
+    this.timeout = config.timeout || 15000;
+    this.clientName = config.clientName || hostname();
+  }
+
+  connect() {
+    const socket = this.secure
+      ? tls.connect({ host: this.host, port: this.port, servername: this.host, rejectUnauthorized: this.rejectUnauthorized })
+      : net.connect({ host: this.host, port: this.port });
+    return new SmtpConnection(socket, this.timeout);
+  }
+
+  async send(notification) {
+    const connection = this.connect();
+
+    try {
+      await connection.command(null, [220]);
+      let capabilities = await connection.command(`EHLO ${this.clientName}`, [250]);
+      let encrypted = this.secure;
+
+      if (!encrypted && this.startTLS && capabilities.lines.some(line => /^STARTTLS\b/i.test(line))) {
+        await connection.command('STARTTLS', [220]);
+        await connection.upgrade({ servername: this.host, rejectUnauthorized: this.rejectUnauthorized });
+        capabilities = await connection.command(`EHLO ${this.clientName}`, [250]);
+        encrypted = true;
+      }
+
+      if (this.user) {
+        if (!encrypted && !this.allowInsecureAuth) {
+          throw createSmtpError('Servidor SMTP sem TLS: credenciais não enviadas');
+        }
+        const credentials = Buffer.from(`\0${this.user}\0${this.pass}`).toString('base64');
+        await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+      }
+
+      await connection.command(`MAIL FROM:<${extractAddress(this.from)}>`, [250]);
+      for (const recipient of this.to) {
+        await connection.command(`RCPT TO:<${extractAddress(recipient)}>`, [250, 251]);
+      }
+      await connection.command('DATA', [354]);
+      // Ponto no início da linha é duplicado (transparência do DATA)
+      await connection.command(`${this.buildMessage(notification).replace(/^\./gm, '..')}\r\n.`, [250]);
+      await connection.command('QUIT', [221]).catch(() => {});
+    } finally {
+      connection.close();
+    }
+  }
+
+  buildMessage(notification) {
+    const environment = notification.server?.environment ? ` (${notification.server.environment})` : '';
+    const body = Buffer.from(formatAlertDetails(notification).join('\r\n'), 'utf8').toString('base64');
+    const domain = extractAddress(this.from).split('@')[1] || 'localhost';
+
+    return [
+      `From: ${this.from}`,
+      `To: ${this.to.join(', ')}`,
+      `Subject: ${encodeHeader(`${formatAlertTitle(notification)}${environment}`)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${randomBytes(12).toString('hex')}@${domain}>`,
+      `X-Alert-Id: ${notification.id}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      body.replace(/.{1,76}/g, '$&\r\n').trimEnd()
+    ].join('\r\n');
+  }
+
+  getChannelInfo() {
+    return {
+      ...super.getChannelInfo(),
+      host: this.host,
+      port: this.port,
+      recipients: this.to.length
+    };
+  }
+}
+
+// "Equipe <ops@example.com>" -> "ops@example.com"
+function extractAddress(value) {
+  const match = value.match(/<([^>]+)>/);
+  return (match ? match[1] : value).trim();
+}
+
+function encodeHeader(value) {
+  // eslint-disable-next-line no-control-regex
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
@@ -0,0 +1,40 @@
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import { BaseAlertChannel } from './BaseAlertChannel.js';
+
+/**
+ * Grava cada notificação de alerta em JSON Lines (uma linha por disparo ou resolução)
+ * Útil como trilha local ou para um coletor de logs (Filebeat, Vector, etc.)
+ */
+export class FileAlertChannel extends BaseAlertChannel {
+  constructor(config = {}) {
+    super(config);
+    this.channelName = 'file';
+    this.filePath = config.path || 'logs/alerts.jsonl';
+    this.writeQueue = Promise.resolve();
+    this.ready = null;
+  }
+
+  async send(notification) {
+    if (!this.ready) {
+      this.ready = fs.mkdir(dirname(this.filePath), { recursive: true });
+    }
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => this.ready)
+      .then(() => fs.appendFile(this.filePath, JSON.stringify(notification) + '\n', 'utf8'));
+    return this.writeQueue;
+  }
+
+  async close() {
+    await this.writeQueue.catch(() => {});
+  }
+
+  getChannelInfo() {
+    return {
+      ...super.getChannelInfo(),
+      path: this.filePath
+    };
+  }
+}
@@ -0,0 +1,66 @@
+import { BaseAlertChannel, formatAlertDetails, formatAlertTitle } from './BaseAlertChannel.js';
+
+const COLORS = {
+  critical: '#d32f2f',
+  warning: '#f9a825',
+  info: '#1976d2',
+  resolved: '#2e7d32'
+};
+
+/**
+ * Posta o alerta em um incoming webhook no formato do Slack
+ * (`text` + `attachments`), aceito também por Mattermost, Rocket.Chat e Discord (/slack)
+ */
+export class SlackAlertChannel extends BaseAlertChannel {
+  constructor(config = {}) {
+    super(config);
+    this.channelName = 'slack';
+
+    if (!config.url) {
+      throw new Error('URL do webhook do Slack não configurada (ALERT_SLACK_WEBHOOK_URL)');
+    }
+
+    this.url = config.url;
+    this.username = config.username || '';
+    this.timeout = config.timeout || 10000;
+  }
+
+  buildPayload(notification) {
+    const resolved = notification.status === 'resolved';
+    const payload = {
+      text: `${resolved ? ':white_check_mark:' : ':rotating_light:'} *${formatAlertTitle(notification)}*`,
+      attachments: [{
+        color: resolved ? COLORS.resolved : COLORS[notification.severity] || COLORS.info,
+        text: formatAlertDetails(notification).join('\n'),
+        footer: notification.id,
+        ts: Math.floor(new Date(resolved ? notification.resolvedAt : notification.lastSeenAt).getTime() / 1000)
+      }]
+    };
+
+    if (this.username) {
+      payload.username = this.username;
+    }
+
+    return payload;
+  }
+
+  async send(notification) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.buildPayload(notification)),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook do Slack respondeu ${response.status}`);
+    }
+  }
+
+  getChannelInfo() {
+    return {
+      ...super.getChannelInfo(),
+      url: new URL(this.url).origin // O caminho do incoming webhook funciona como segredo
+    };
+  }
+}
@@ -0,0 +1,57 @@
+import { createHmac } from 'crypto';
+import { BaseAlertChannel } from './BaseAlertChannel.js';
+
+export const SIGNATURE_HEADER = 'X-Signature-256';
+
+/**
+ * Envia a notificação de alerta em JSON por POST para um webhook genérico
+ * (PagerDuty/Opsgenie via integração, automações, etc.)
+ *
+ * Com segredo, o corpo é assinado como nos webhooks de leads:
+ * `X-Signature-256: sha256=<hex>` (HMAC-SHA256 do corpo bruto)
+ */
+export class WebhookAlertChannel extends BaseAlertChannel {
+  constructor(config = {}) {
+    super(config);
+    this.channelName = 'webhook';
+
+    if (!config.url) {
+      throw new Error('URL do webhook de alertas não configurada (ALERT_WEBHOOK_URL)');
+    }
+
+    this.url = config.url;
+    this.secret = config.secret || '';
+    this.timeout = config.timeout || 10000;
+  }
+
+  async send(notification) {
+    const body = JSON.stringify(notification);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Alert-Id': notification.id,
+      'X-Alert-Status': notification.status
+    };
+    if (this.secret) {
+      headers[SIGNATURE_HEADER] = 'sha256=' + createHmac('sha256', this.secret).update(body).digest('hex');
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook de alertas respondeu ${response.status}`);
+    }
+  }
+
+  getChannelInfo() {
+    return {
+      ...super.getChannelInfo(),
+      url: this.url,
+      signed: Boolean(this.secret)
+    };
+  }
+}
@@ -0,0 +1,28 @@
+import { WebhookAlertChannel } from './WebhookAlertChannel.js';
+import { SlackAlertChannel } from './SlackAlertChannel.js';
+import { EmailAlertChannel } from './EmailAlertChannel.js';
+import { FileAlertChannel } from './FileAlertChannel.js';
+
+const channels = {
+  webhook: WebhookAlertChannel,
+  slack: SlackAlertChannel,
+  email: EmailAlertChannel,
+  file: FileAlertChannel
+};
+
+/**
+ * Cria um canal de entrega de alertas a partir da configuração
+ * @param {Object} config - { type: 'webhook' | 'slack' | 'email' | 'file', ...opções do canal }
+ */
+export function createAlertChannel(config = {}) {
+  const ChannelClass = channels[config.type];
+
+  if (!ChannelClass) {
+    throw new Error(`Canal de alertas não suportado: ${config.type}. Disponíveis: ${Object.keys(channels).join(', ')}`);
+  }
+
+  return new ChannelClass(config);
+}
+
+export { BaseAlertChannel, formatAlertTitle, formatAlertDetails } from './BaseAlertChannel.js';
+export { WebhookAlertChannel, SlackAlertChannel, EmailAlertChannel, FileAlertChannel };
@@ -0,0 +1,181 @@
+import { createHmac, createPublicKey, timingSafeEqual, verify as verifySignature } from 'crypto';
+import logger from '../utils/logger.js';
+
+function createAuthError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const decodeSegment = segment => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+// Subprotocolo que leva o JWT no upgrade do /ws (navegadores não enviam Authorization no WebSocket)
+export const TOKEN_SUBPROTOCOL_PREFIX = 'chatbot.token.';
+
+/**
+ * Autenticação dos visitantes do widget por JWT emitido pelo site que o embute
+ *
+ * O token chega no upgrade do /ws (subprotocolo chatbot.token.<jwt> ou Authorization: Bearer),
+ * nunca na URL (que vai para logs e proxies), e é validado com
+ * HS256 (VISITOR_JWT_SECRET) e/ou RS256 (VISITOR_JWT_PUBLIC_KEY). Claims usadas:
+ * sub (ID do usuário, obrigatória), name, email e plan.
+ * Sem token o visitante é anônimo, exceto com VISITOR_AUTH_REQUIRED=true.
+ */
+export class VisitorAuthenticator {
+  constructor(config = {}) {
+    this.config = {
+      secret: config.secret || '',
+      publicKey: config.publicKey || '',
+      issuer: config.issuer || '',
+      audience: config.audience || '',
+      required: config.required === true,
+      clockTolerance: config.clockTolerance ?? 30, // segundos
+      ...config
+    };
+
+    this.publicKey = this.config.publicKey ? createPublicKey(this.config.publicKey) : null;
+    this.algorithms = config.algorithms?.length
+      ? config.algorithms
+      : [this.config.secret && 'HS256', this.publicKey && 'RS256'].filter(Boolean);
+
+    if (this.config.required && this.algorithms.length === 0) {
+      logger.warn('VISITOR_AUTH_REQUIRED sem chave configurada: todas as conexões do widget serão recusadas');
+    }
+  }
+
+  get enabled() {
+    return this.algorithms.length > 0;
+  }
+
+  getToken(request) {
+    const authHeader = request.headers.authorization;
+    if (authHeader?.startsWith('Bearer ')) {
+      return authHeader.slice(7);
+    }
+
+    const subprotocol = (request.headers['sec-websocket-protocol'] || '')
+      .split(',')
+      .map(protocol => protocol.trim())
+      .find(protocol => protocol.startsWith(TOKEN_SUBPROTOCOL_PREFIX));
+    return subprotocol ? subprotocol.slice(TOKEN_SUBPROTOCOL_PREFIX.length) : null;
+  }
+
+  /**
+   * Visitante da requisição de upgrade
+   * @returns {Object|null} { userId, name, email, plan } ou null para visitante anônimo
+   * @throws {Error} code VISITOR_TOKEN_REQUIRED, VISITOR_TOKEN_INVALID ou VISITOR_TOKEN_EXPIRED
+   */
+  authenticate(request) {
+    const token = this.getToken(request);
+
+    if (!token) {
+      if (this.config.required) {
+        throw createAuthError('VISITOR_TOKEN_REQUIRED', 'Token do visitante obrigatório');
+      }
+      return null;
+    }
+
+    if (!this.enabled) {
+      if (this.config.required) {
+        throw createAuthError('VISITOR_TOKEN_INVALID', 'Autenticação de visitantes não configurada');
+      }
+      logger.debug('Token de visitante ignorado: nenhuma chave JWT configurada');
+      return null;
+    }
+
+    return this.toVisitor(this.verify(token));
+  }
+
+  /**
+   * Valida assinatura e claims registradas (exp, nbf, iss, aud) do JWT
+   * @returns {Object} claims
+   */
+  verify(token) {
+    const segments = token.split('.');
+    if (segments.length !== 3) {
+      throw createAuthError('VISITOR_TOKEN_INVALID', 'Token do visitante malformado');
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = segments;
+    let header;
+    let claims;
+    try {
+      header = decodeSegment(encodedHeader);
+      claims = decodeSegment(encodedPayload);
+    } catch (error) {
+      throw createAuthError('VISITOR_TOKEN_INVALID', 'Token do visitante malformado');
+    }
+
+    // Só aceita algoritmos com chave configurada (evita "alg": "none" e troca de algoritmo)
+    if (!this.algorithms.includes(header.alg)) {
+      throw createAuthError('VISITOR_TOKEN_INVALID', `Algoritmo não aceito: ${header.alg}`);
+    }
+
+    const signed = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+    const signature = Buffer.from(encodedSignature, 'base64url');
+    if (!this.isValidSignature(header.alg, signed, signature)) {
+      throw createAuthError('VISITOR_TOKEN_INVALID', 'Assinatura do token inválida');
+    }
+
+    this.validateClaims(claims);
+    return claims;
+  }
+
+  isValidSignature(algorithm, signed, signature) {
+    if (algorithm === 'HS256') {
+      const expected = createHmac('sha256', this.config.secret).update(signed).digest();
+      return expected.length === signature.length && timingSafeEqual(expected, signature);
+    }
+
+    if (algorithm === 'RS256') {
+      return verifySignature('RSA-SHA256', signed, this.publicKey, signature);
+    }
+
+    return false;
+  }
+
+  validateClaims(claims) {
+    const now = Math.floor(Date.now() / 1000);
+    const tolerance = this.config.clockTolerance;
+
+    if (claims.exp !== undefined && (!Number.isFinite(claims.exp) || now - tolerance >= claims.exp)) {
+      throw createAuthError('VISITOR_TOKEN_EXPIRED', 'Token do visitante expirado');
+    }
+
+    if (claims.nbf !== undefined && (!Number.isFinite(claims.nbf) || now + tolerance < claims.nbf)) {
+      throw createAuthError('VISITOR_TOKEN_INVALID', 'Token do visitante ainda não é válido');
+    }
+
+    if (this.config.issuer && claims.iss !== this.config.issuer) {
+      throw createAuthError('VISITOR_TOKEN_INVALID', 'Emissor do token não aceito');
+    }
+
+    const audiences = [].concat(claims.aud ?? []);
+    if (this.config.audience && !audiences.includes(this.config.audience)) {
+      throw createAuthError('VISITOR_TOKEN_INVALID', 'Audiência do token não aceita');
+    }
+
+    if (claims.sub === undefined || claims.sub === null || claims.sub === '') {
+      throw createAuthError('VISITOR_TOKEN_INVALID', 'Token do visitante sem sub');
+    }
+  }
+
+  toVisitor(claims) {
+    return {
+      userId: String(claims.sub),
+      name: typeof claims.name === 'string' ? claims.name : null,
+      email: typeof claims.email === 'string' ? claims.email : null,
+      plan: typeof claims.plan === 'string' ? claims.plan : null
+    };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      required: this.config.required,
+      algorithms: this.algorithms
+    };
+  }
+}
+
+export default VisitorAuthenticator;
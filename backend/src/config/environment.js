@@ -49,7 +49,7 @@ export const config = {
     origin: process.env.CORS_ORIGIN,
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-Id', 'X-Resume-Token', 'traceparent']
   },
   
   // AI Provider configuration
@@ -59,19 +59,190 @@ export const config = {
     maxTokens: parseInt(process.env.AI_MAX_TOKENS, 10) || 1000,
     temperature: parseFloat(process.env.AI_TEMPERATURE) || 0.7,
     systemPrompt: process.env.AI_SYSTEM_PROMPT || 'Você é um assistente virtual útil e amigável.',
-    timeout: parseInt(process.env.AI_TIMEOUT, 10) || 30000
+    timeout: parseInt(process.env.AI_TIMEOUT, 10) || 30000,
+    streaming: process.env.AI_STREAMING !== 'false',
+    // Cadeia de fallback em ordem (AI_FALLBACK_CHAIN=openrouter:modelo-free,openrouter:modelo-pago,openai:gpt-4o-mini)
+    fallbackChain: (process.env.AI_FALLBACK_CHAIN || '').split(',').map(entry => entry.trim()).filter(Boolean),
+    // Disjuntor por entrada: abre após N falhas seguidas e sonda o provedor após resetTimeout (ms)
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.AI_BREAKER_FAILURE_THRESHOLD, 10) || 3,
+      resetTimeout: parseInt(process.env.AI_BREAKER_RESET_TIMEOUT, 10) || 30000
+    },
+    // Janela de contexto: 0 usa a informada pelo provedor ou a tabela de modelos
+    context: {
+      contextWindow: parseInt(process.env.AI_CONTEXT_WINDOW, 10) || 0,
+      safetyMargin: parseFloat(process.env.AI_CONTEXT_SAFETY_MARGIN) || 0.05
+    }
   },
 
-  // OpenAI configuration (legacy compatibility)
+  // OpenAI configuration (legacy compatibility) e servidores de ferramentas MCP
   mcp: {
     apiKey: process.env.OPENAI_API_KEY || '',
     modelName: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
     maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS, 10) || 1000,
     temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7,
     systemPrompt: process.env.OPENAI_SYSTEM_PROMPT || 'Você é um assistente virtual útil e amigável.',
-    timeout: parseInt(process.env.OPENAI_TIMEOUT, 10) || 30000
+    timeout: parseInt(process.env.OPENAI_TIMEOUT, 10) || 30000,
+    serversConfig: process.env.MCP_SERVERS_CONFIG || '',
+    toolTimeout: parseInt(process.env.MCP_TOOL_TIMEOUT, 10) || 30000,
+    maxToolIterations: parseInt(process.env.MCP_MAX_TOOL_ITERATIONS, 10) || 5
   },
   
+  // Perfis de bot por tenant (arquivos JSON/YAML; veja profiles/*.example)
+  profiles: {
+    directory: process.env.BOT_PROFILES_DIR || 'profiles'
+  },
+
+  // Extração de dados do cliente: llm (provedor ativo + schema do perfil) ou regex
+  slots: {
+    mode: process.env.SLOT_EXTRACTION || 'regex',
+    minConfidence: parseFloat(process.env.SLOT_MIN_CONFIDENCE) || 0.6
+  },
+
+  // Resumo das mensagens que saem do histórico: llm (provedor ativo) ou extractive (trechos das mensagens)
+  summary: {
+    mode: process.env.SUMMARY_MODE || 'llm',
+    maxTokens: parseInt(process.env.SUMMARY_MAX_TOKENS, 10) || 400,
+    maxLength: parseInt(process.env.SUMMARY_MAX_LENGTH, 10) || 1500
+  },
+
+  // Base de conhecimento: documentos .md/.txt/.csv indexados com BM25 (+ embeddings do provedor, opcional)
+  knowledge: {
+    directory: process.env.KNOWLEDGE_DIR || 'knowledge',
+    topK: parseInt(process.env.KNOWLEDGE_TOP_K, 10) || 3,
+    chunkSize: parseInt(process.env.KNOWLEDGE_CHUNK_SIZE, 10) || 800,
+    chunkOverlap: parseInt(process.env.KNOWLEDGE_CHUNK_OVERLAP, 10) || 100,
+    embeddings: process.env.KNOWLEDGE_EMBEDDINGS === 'true',
+    embeddingModel: process.env.KNOWLEDGE_EMBEDDING_MODEL || undefined,
+    embeddingWeight: parseFloat(process.env.KNOWLEDGE_EMBEDDING_WEIGHT) || 0.5
+  },
+
+  // Captura de leads: destinos de exportação (jsonl, csv, webhook) e acesso a GET /api/leads
+  leads: {
+    sinks: (process.env.LEAD_SINKS ?? 'jsonl').split(',').map(sink => sink.trim()).filter(Boolean),
+    jsonl: { path: process.env.LEADS_JSONL_PATH || 'data/leads.jsonl' },
+    csv: { path: process.env.LEADS_CSV_PATH || 'data/leads.csv' },
+    webhook: {
+      url: process.env.LEAD_WEBHOOK_URL || '',
+      secret: process.env.LEAD_WEBHOOK_SECRET || '',
+      maxRetries: parseInt(process.env.LEAD_WEBHOOK_MAX_RETRIES, 10) || 5,
+      retryDelay: parseInt(process.env.LEAD_WEBHOOK_RETRY_DELAY, 10) || 1000
+    },
+    adminApiKey: process.env.ADMIN_API_KEY || '',
+    // Sem ADMIN_API_KEY as rotas respondem 503, a menos que sejam abertas explicitamente
+    adminAllowUnauthenticated: process.env.ADMIN_ALLOW_UNAUTHENTICATED === 'true'
+  },
+
+  // Atendimento humano: canal WebSocket dos atendentes e tokens de acesso (AGENT_TOKENS=ana:token,bruno:token)
+  handoff: {
+    path: process.env.AGENT_WS_PATH || '/ws/agent',
+    tokens: Object.fromEntries(
+      (process.env.AGENT_TOKENS || '').split(',').map(entry => entry.trim()).filter(entry => entry.includes(':'))
+        .map(entry => [entry.slice(0, entry.indexOf(':')), entry.slice(entry.indexOf(':') + 1)])
+    ),
+    // Sem AGENT_TOKENS o canal recusa atendentes, a menos que o modo aberto seja ativado explicitamente
+    allowAnonymous: process.env.AGENT_ALLOW_ANONYMOUS === 'true'
+  },
+
+  // Session storage configuration
+  session: {
+    // server (padrão): histórico canônico mantido pelo backend; client: aceita o histórico enviado pelo frontend
+    historyMode: process.env.HISTORY_MODE === 'client' ? 'client' : 'server',
+    store: {
+      type: process.env.SESSION_STORE || 'memory', // memory, file, redis
+      path: process.env.SESSION_STORE_PATH || 'data/sessions.json',
+      url: process.env.REDIS_URL || 'redis://localhost:6379',
+      prefix: process.env.SESSION_STORE_PREFIX || 'chatbot:session:'
+    },
+    // Tokens de retomada (session_resume) assinados com HMAC; sem segredo, chave aleatória por processo
+    resume: {
+      secret: process.env.SESSION_RESUME_SECRET || '',
+      ttl: parseInt(process.env.SESSION_RESUME_TOKEN_TTL, 10) || 24 * 60 * 60 * 1000 // 24 horas
+    }
+  },
+
+  // Visitantes autenticados: JWT emitido pelo site que embute o widget (HS256 e/ou RS256)
+  visitorAuth: {
+    secret: process.env.VISITOR_JWT_SECRET || '',
+    publicKey: (process.env.VISITOR_JWT_PUBLIC_KEY || '').replace(/\\n/g, '\n'),
+    algorithms: (process.env.VISITOR_JWT_ALGORITHMS || '').split(',').map(a => a.trim()).filter(Boolean),
+    issuer: process.env.VISITOR_JWT_ISSUER || '',
+    audience: process.env.VISITOR_JWT_AUDIENCE || '',
+    required: process.env.VISITOR_AUTH_REQUIRED === 'true',
+    clockTolerance: parseInt(process.env.VISITOR_JWT_CLOCK_TOLERANCE, 10) || 30 // segundos
+  },
+
+  // Conversas anteriores dos visitantes autenticados; sem caminho, só em memória
+  visitorHistory: {
+    path: process.env.VISITOR_HISTORY_PATH || '',
+    maxConversations: parseInt(process.env.VISITOR_HISTORY_MAX_CONVERSATIONS, 10) || 10
+  },
+
+  // Web Push das respostas com o widget fechado; sem chaves VAPID, /api/push responde 503
+  push: {
+    vapidPublicKey: process.env.VAPID_PUBLIC_KEY || '',
+    vapidPrivateKey: process.env.VAPID_PRIVATE_KEY || '',
+    subject: process.env.VAPID_SUBJECT || 'mailto:suporte@example.com',
+    ttl: parseInt(process.env.PUSH_TTL, 10) || 24 * 60 * 60, // segundos
+    storePath: process.env.PUSH_STORE_PATH || '',
+    clickUrl: process.env.PUSH_CLICK_URL || '/',
+    reminderDelay: parseInt(process.env.PUSH_REMINDER_DELAY ?? '1800000', 10) || 0, // ms (30 minutos); 0 desativa
+    allowInsecureEndpoints: NODE_ENV !== 'production'
+  },
+
+  // Alertas do monitoramento: canais (webhook, slack, email, file) por severidade,
+  // ex.: ALERT_CHANNELS_CRITICAL=slack,email; sem canais os alertas só vão para o log
+  alerts: {
+    routes: {
+      critical: (process.env.ALERT_CHANNELS_CRITICAL || '').split(',').map(c => c.trim()).filter(Boolean),
+      warning: (process.env.ALERT_CHANNELS_WARNING || '').split(',').map(c => c.trim()).filter(Boolean),
+      info: (process.env.ALERT_CHANNELS_INFO || '').split(',').map(c => c.trim()).filter(Boolean)
+    },
+    dedupWindow: parseInt(process.env.ALERT_DEDUP_WINDOW, 10) || 5 * 60 * 1000, // 5 minutos
+    maxRepeatInterval: parseInt(process.env.ALERT_MAX_REPEAT_INTERVAL, 10) || 60 * 60 * 1000, // 1 hora
+    resolveAfter: parseInt(process.env.ALERT_RESOLVE_AFTER, 10) || 15 * 60 * 1000, // 15 minutos sem ocorrências
+    rateLimit: {
+      capacity: parseInt(process.env.ALERT_RATE_LIMIT_BURST, 10) || 10,
+      perMinute: parseInt(process.env.ALERT_RATE_LIMIT_PER_MINUTE, 10) || 6
+    },
+    webhook: {
+      url: process.env.ALERT_WEBHOOK_URL || '',
+      secret: process.env.ALERT_WEBHOOK_SECRET || ''
+    },
+    slack: {
+      url: process.env.ALERT_SLACK_WEBHOOK_URL || '',
+      username: process.env.ALERT_SLACK_USERNAME || ''
+    },
+    email: {
+      host: process.env.ALERT_SMTP_HOST || '',
+      port: parseInt(process.env.ALERT_SMTP_PORT, 10) || 0,
+      secure: process.env.ALERT_SMTP_SECURE === 'true',
+      user: process.env.ALERT_SMTP_USER || '',
+      pass: process.env.ALERT_SMTP_PASS || '',
+      from: process.env.ALERT_EMAIL_FROM || '',
+      to: (process.env.ALERT_EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean)
+    },
+    file: { path: process.env.ALERT_FILE_PATH || 'logs/alerts.jsonl' }
+  },
+
+  // Rastreamento distribuído (W3C Trace Context): exportadores otlp (OTLP/HTTP JSON) e file (JSONL),
+  // ex.: TRACING_EXPORTERS=otlp,file; sem exportadores o traceId só aparece nos frames e logs
+  tracing: {
+    exporters: (process.env.TRACING_EXPORTERS || '').split(',').map(e => e.trim()).filter(Boolean),
+    serviceName: process.env.OTEL_SERVICE_NAME || 'chatbot-backend',
+    sampleRate: parseFloat(process.env.TRACING_SAMPLE_RATE || '1'), // 0 a 1, decidido na raiz do trace
+    flushInterval: parseInt(process.env.TRACING_FLUSH_INTERVAL, 10) || 5000,
+    otlp: {
+      url: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+        `${(process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(/\/$/, '')}/v1/traces`,
+      // "chave=valor,chave2=valor2", valores codificados como em URL
+      headers: Object.fromEntries((process.env.OTEL_EXPORTER_OTLP_HEADERS || '').split(',')
+        .filter(pair => pair.includes('='))
+        .map(pair => [pair.slice(0, pair.indexOf('=')).trim(), decodeURIComponent(pair.slice(pair.indexOf('=') + 1).trim())]))
+    },
+    file: { path: process.env.TRACING_FILE_PATH || 'logs/traces.jsonl' }
+  },
+
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || (NODE_ENV === 'production' ? 'info' : 'debug'),
@@ -80,11 +251,30 @@ export const config = {
     maxSize: process.env.LOG_MAX_SIZE || '10m'
   },
   
-  // Rate limiting configuration
+  // Rate limiting configuration (windowMs/maxRequests valem para /api/* por IP)
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 900000, // 15 minutes
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
-    skipSuccessfulRequests: NODE_ENV === 'production'
+    skipSuccessfulRequests: NODE_ENV === 'production',
+    // Frames chat do WebSocket: rajada (capacity) e mensagens por minuto, por IP e por sessão
+    chat: {
+      ip: {
+        capacity: parseInt(process.env.RATE_LIMIT_CHAT_IP_BURST, 10) || 20,
+        perMinute: parseInt(process.env.RATE_LIMIT_CHAT_IP_PER_MINUTE, 10) || 30
+      },
+      session: {
+        capacity: parseInt(process.env.RATE_LIMIT_CHAT_SESSION_BURST, 10) || 5,
+        perMinute: parseInt(process.env.RATE_LIMIT_CHAT_SESSION_PER_MINUTE, 10) || 10
+      }
+    },
+    // Orçamentos diários (0 = sem limite), contabilizados pelo usage das respostas
+    budget: {
+      dailyTokens: parseInt(process.env.BUDGET_DAILY_TOKENS, 10) || 0,
+      dailyTokensPerIp: parseInt(process.env.BUDGET_DAILY_TOKENS_PER_IP, 10) || 0,
+      dailyTokensPerSession: parseInt(process.env.BUDGET_DAILY_TOKENS_PER_SESSION, 10) || 0,
+      dailyCost: parseFloat(process.env.BUDGET_DAILY_COST) || 0,
+      costPer1kTokens: parseFloat(process.env.BUDGET_COST_PER_1K_TOKENS) || 0
+    }
   },
   
   // Security configuration
@@ -107,4 +297,12 @@ if (config.server.isProduction && !config.mcp.apiKey) {
   console.warn('⚠️ Warning: OPENAI_API_KEY not configured for production');
 }
 
+if (config.server.isProduction && !config.session.resume.secret) {
+  console.warn('⚠️ Warning: SESSION_RESUME_SECRET not configured for production');
+}
+
+if (config.server.isProduction && !config.push.vapidPrivateKey) {
+  console.warn('⚠️ Warning: VAPID keys not configured for production (push notifications disabled)');
+}
+
 export default config;
\ No newline at end of file
@@ -0,0 +1,531 @@
+import { ERROR_CODES, MESSAGE_SCHEMAS, createErrorFrame, createProtocolError } from './protocol.js';
+import { IdempotencyCache } from './IdempotencyCache.js';
+import logger from '../utils/logger.js';
+import tracer from '../tracing/index.js';
+
+/**
+ * Frames de conversa do widget: chat (resposta da IA, com streaming, ferramentas
+ * MCP e base de conhecimento) e chat_cancel
+ *
+ * As respostas do chat saem em várias etapas pela conexão (typing, chat_delta,
+ * tool_call, chat_response...), por isso o handler envia os frames diretamente
+ *
+ * Todo chat recebido é confirmado com `ack`; o messageId é a chave de idempotência
+ * da mensagem na sessão, então reenvios não geram uma segunda resposta da IA
+ *
+ * Cada frame de chat abre o trecho de trace chat.frame (filho do `traceparent` do
+ * widget, quando enviado); o traceId volta em metadata do chat_response e do chat_error
+ */
+export class ChatHandler {
+  constructor({ sessionManager, aiManager, botProfiles, handoffManager, rateLimiter, knowledgeBase, mcpTools, resumeTokens, deliveries, config }) {
+    this.sessionManager = sessionManager;
+    this.aiManager = aiManager;
+    this.botProfiles = botProfiles;
+    this.handoffManager = handoffManager;
+    this.rateLimiter = rateLimiter;
+    this.knowledgeBase = knowledgeBase;
+    this.mcpTools = mcpTools;
+    this.resumeTokens = resumeTokens;
+    this.deliveries = deliveries || new IdempotencyCache();
+    this.config = {
+      historyMode: config.historyMode || 'server', // server: histórico canônico da sessão; client: histórico do frontend
+      streaming: config.streaming === true // Permite chat_delta quando o cliente pede stream
+    };
+
+    this.sessionManager.on('sessionEnded', session => this.deliveries.clearSession(session.id));
+  }
+
+  register(router) {
+    return router
+      .register('chat', (connection, message) => this.handleChat(connection, message), {
+        schema: MESSAGE_SCHEMAS.chat,
+        errorType: 'chat_error'
+      })
+      .register('chat_cancel', (connection, message) => this.handleCancel(connection, message), {
+        schema: MESSAGE_SCHEMAS.chat_cancel,
+        errorType: 'chat_error'
+      });
+  }
+
+  async handleChat(connection, message) {
+    const span = tracer.startSpan('chat.frame', {
+      kind: 'server',
+      traceparent: message.traceparent,
+      attributes: {
+        'chat.message_id': message.messageId,
+        'chat.session_id': message.sessionId,
+        'chat.transport': connection.ws ? 'websocket' : 'http',
+        'chat.stream': message.stream === true
+      }
+    });
+
+    try {
+      return await this.handleChatInSpan(connection, message, span);
+    } finally {
+      span.end();
+    }
+  }
+
+  async handleChatInSpan(connection, message, span) {
+    // A chave de idempotência e os limites usam a sessão já autorizada (ou o IP), nunca
+    // o sessionId informado pelo cliente: sem o token, a resposta guardada de outro visitante não volta
+    const claimed = await this.loadClaimedSession(connection, message);
+    const scope = IdempotencyCache.scope(claimed?.id, connection.ip);
+    const previous = this.deliveries.get(scope, message.messageId);
+    this.sendAck(connection, message, previous);
+
+    span.setAttribute('chat.duplicate', Boolean(previous));
+
+    // Repetição de mensagem já respondida: devolve a resposta guardada, sem chamar a IA
+    if (previous?.status === 'completed') {
+      logger.info('Mensagem repetida, reenviando resposta guardada', {
+        messageId: message.messageId,
+        sessionId: previous.sessionId
+      });
+      connection.send({ ...previous.response, duplicate: true });
+      return null;
+    }
+
+    // A primeira tentativa ainda está em andamento e responde por ela
+    if (previous?.status === 'processing') {
+      return null;
+    }
+
+    // Limites por IP e sessão; com atendente humano a mensagem não gasta tokens do orçamento
+    const handedOff = this.handoffManager.isHandedOff(claimed);
+    const limit = this.rateLimiter.consume('chat', { ip: connection.ip, sessionId: claimed?.id }, {
+      budget: !handedOff
+    });
+    if (limit) {
+      span.setAttribute('chat.rate_limited', limit.scope);
+      connection.send({
+        type: 'rate_limited',
+        messageId: message.messageId,
+        sessionId: message.sessionId,
+        ...limit,
+        timestamp: new Date().toISOString()
+      });
+      return null;
+    }
+
+    // Mostra indicador de digitação (com atendente humano, quem sinaliza é o atendente)
+    if (!handedOff) {
+      this.sendTyping(connection, true);
+    }
+
+    const delivery = this.deliveries.begin(scope, message.messageId, previous);
+    // Sessão e trecho parcial da geração atual (usados no cancelamento)
+    const generation = { session: null, userMessage: null, partialContent: '', span };
+
+    try {
+      generation.session = await tracer.withSpan('session.resolve', { parent: span }, async sessionSpan => {
+        const session = await this.resolveSession(connection, message, claimed, delivery.sessionId);
+        sessionSpan.setAttribute('chat.session_id', session.id);
+        return session;
+      });
+      span.setAttribute('chat.session_id', generation.session.id);
+      this.deliveries.bindSession(delivery, message.messageId, generation.session.id);
+
+      // Reenvio de uma tentativa que falhou: a mensagem do usuário já está na transcrição
+      if (delivery.userMessage && generation.session.messageHistory.some(msg => msg.id === delivery.userMessage.id)) {
+        generation.userMessage = delivery.userMessage;
+      }
+
+      const response = await this.processMessage(connection, message, generation);
+      this.deliveries.complete(delivery, response);
+      span.setStatus('ok');
+    } catch (error) {
+      this.deliveries.fail(delivery, generation.userMessage);
+      this.sendTyping(connection, false);
+
+      if (error.type === 'cancelled') {
+        span.addEvent('cancelled');
+        this.sendCancelled(connection, message, generation);
+        return null;
+      }
+
+      span.recordException(error);
+      logger.error('Erro ao processar mensagem de chat', {
+        messageId: message.messageId,
+        sessionId: generation.session?.id,
+        traceId: span.traceId,
+        error: error.message
+      });
+
+      connection.send(createErrorFrame('chat_error', error.code && !error.type ? error : createProtocolError(
+        ERROR_CODES.AI_ERROR,
+        'Desculpe, ocorreu um erro ao processar sua mensagem. Tente novamente.',
+        { retryable: true }
+      ), message, { userMessageId: generation.userMessage?.id, metadata: { traceId: span.traceId } }));
+    } finally {
+      connection.activeGenerations.delete(message.messageId);
+    }
+
+    return null;
+  }
+
+  /**
+   * Sessão informada no frame (carregada do store se preciso), se esta conexão puder usá-la;
+   * sessão de outro visitante autenticado, ou sem o token de retomada, é tratada como inexistente
+   */
+  async loadClaimedSession(connection, message) {
+    const session = message.sessionId ? await this.sessionManager.loadSession(message.sessionId) : null;
+    return session && this.canUseSession(connection, session, message) ? session : null;
+  }
+
+  /**
+   * Sessão autorizada do frame ou uma nova sessão para o cliente
+   * @param {Object} claimed - Sessão do frame já autorizada (loadClaimedSession)
+   * @param {string} knownSessionId - Sessão já resolvida por uma tentativa anterior da mensagem
+   *   (vem da entrada de idempotência, cuja chave já foi verificada, e dispensa o token)
+   */
+  async resolveSession(connection, message, claimed, knownSessionId = null) {
+    let session = claimed;
+
+    if (!session && knownSessionId) {
+      session = await this.sessionManager.loadSession(knownSessionId);
+      if (session && !this.sessionManager.canAccessSession(session, connection.visitor)) {
+        session = null;
+      }
+    }
+
+    if (!session) {
+      const profile = this.botProfiles.resolve({ profileId: message.profileId, origin: connection.origin });
+      session = this.sessionManager.createSession(connection.ip, {
+        profileId: profile.id,
+        visitor: connection.visitor
+      });
+      logger.info('Sessão criada pela mensagem de chat', { sessionId: session.id, profileId: profile.id });
+    }
+
+    connection.sessions.add(session.id);
+
+    // Mensagens via HTTP (/api/chat/send) não têm socket para receber o atendente
+    if (connection.ws) {
+      this.handoffManager.registerVisitor(session.id, connection.ws);
+    }
+    return session;
+  }
+
+  /**
+   * Sessão existente só é usada pela conexão que a criou ou retomou, ou com o token de
+   * retomada no frame (mensagens da fila enviadas antes do session_resume, chat via HTTP)
+   */
+  canUseSession(connection, session, message) {
+    if (!this.sessionManager.canAccessSession(session, connection.visitor)) {
+      return false;
+    }
+
+    if (connection.sessions.has(session.id)) {
+      return true;
+    }
+
+    try {
+      this.resumeTokens.verify(message.resumeToken, session.id);
+      return true;
+    } catch (error) {
+      logger.warn('Chat para sessão existente sem token de retomada válido', {
+        sessionId: session.id,
+        clientId: connection.id,
+        code: error.code
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Histórico enviado à IA: o da sessão no modo server, o do cliente no modo client
+   * @returns {Object} { history, diverged } diverged: cliente não viu a última mensagem do servidor
+   */
+  getConversationHistory(session, message) {
+    const isServerHistory = this.config.historyMode === 'server';
+    const history = !isServerHistory && Array.isArray(message.history) && message.history.length > 0
+      ? message.history
+      : this.sessionManager.getFormattedHistory(session.id, false);
+
+    return {
+      // Prompt vem SEMPRE do perfil de bot da sessão, nunca do frontend
+      history: history.filter(msg => msg.role !== 'system'),
+      diverged: isServerHistory && (message.lastMessageId || null) !== this.sessionManager.getLastMessageId(session.id)
+    };
+  }
+
+  /**
+   * Conteúdo da mensagem; no modo client, sem content, usa a última mensagem do usuário no histórico
+   */
+  getContent(message) {
+    if (message.content && message.content.trim()) {
+      return message.content;
+    }
+
+    if (this.config.historyMode !== 'server' && Array.isArray(message.history)) {
+      const lastUserMessage = message.history.filter(msg => msg.role === 'user').pop();
+      if (lastUserMessage?.content?.trim()) {
+        return lastUserMessage.content;
+      }
+    }
+
+    return null;
+  }
+
+  async processMessage(connection, message, generation) {
+    const { session, span } = generation;
+    const sessionProfile = this.sessionManager.getSessionProfile(session);
+
+    const historySpan = tracer.startSpan('chat.history', {
+      parent: span,
+      attributes: { 'chat.history_mode': this.config.historyMode }
+    });
+    const { history, diverged } = this.getConversationHistory(session, message);
+    historySpan.setAttributes({ 'chat.history_length': history.length, 'chat.history_diverged': diverged }).end();
+
+    const content = this.getContent(message);
+    if (!content) {
+      throw createProtocolError(
+        ERROR_CODES.EMPTY_MESSAGE,
+        'Desculpe, não foi possível processar sua mensagem. Tente novamente.'
+      );
+    }
+
+    // Registra a mensagem do usuário na transcrição da sessão (uma única vez por messageId)
+    generation.userMessage = generation.userMessage || this.sessionManager.addMessage(session.id, {
+      role: 'user',
+      content,
+      tokens: this.aiManager.countTokens(content, sessionProfile.ai.model || undefined)
+    });
+    const { userMessage } = generation;
+
+    // Cliente com histórico diferente do servidor: envia a transcrição canônica
+    if (diverged) {
+      logger.info('Histórico do cliente divergente, enviando history_sync', {
+        sessionId: session.id,
+        clientLastMessageId: message.lastMessageId || null
+      });
+      connection.send({
+        type: 'history_sync',
+        sessionId: session.id,
+        reason: 'diverged',
+        clientLastMessageId: message.lastMessageId || null,
+        lastMessageId: userMessage.id,
+        messages: this.sessionManager.getTranscript(session.id),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Sessão com atendente humano: a mensagem é repassada a ele e a IA não responde
+    if (this.handoffManager.isHandedOff(session)) {
+      const forwarded = {
+        type: 'chat_forwarded',
+        messageId: message.messageId,
+        sessionId: session.id,
+        userMessageId: userMessage.id,
+        agent: { name: session.handoff.agentName },
+        timestamp: new Date().toISOString()
+      };
+      connection.send(forwarded);
+      return forwarded;
+    }
+
+    // Montado após registrar a mensagem para refletir tópico e estágio atualizados
+    await tracer.withSpan('session.stage', { parent: span }, () => this.sessionManager.waitForStage(session.id));
+
+    // Trechos da base de conhecimento relevantes para a mensagem, citados como [n] na resposta
+    const passages = await tracer.withSpan('knowledge.search', { parent: span }, async searchSpan => {
+      const found = await this.knowledgeBase.search(content);
+      searchSpan.setAttribute('knowledge.passages', found.length);
+      return found;
+    });
+    const sources = this.knowledgeBase.toSources(passages);
+    const systemPrompt = this.sessionManager.buildSystemPrompt(session) + this.knowledgeBase.formatContext(passages);
+
+    logger.info('Enviando mensagem para o provedor de IA', {
+      sessionId: session.id,
+      historyLength: history.length,
+      profileId: sessionProfile.id,
+      model: sessionProfile.ai.model || 'padrão',
+      knowledgePassages: passages.length,
+      traceId: span.traceId
+    });
+
+    // Streaming token a token quando o cliente solicita e o servidor permite
+    const shouldStream = this.config.streaming && message.stream === true;
+    let deltaIndex = 0;
+
+    // Permite que o cliente cancele a geração via chat_cancel
+    const abortController = new AbortController();
+    connection.activeGenerations.set(message.messageId, abortController);
+
+    const sendToolFrame = (frame) => connection.send({
+      ...frame,
+      messageId: message.messageId,
+      sessionId: session.id,
+      timestamp: new Date().toISOString()
+    });
+
+    const aiResponse = await this.aiManager.sendMessageWithTools(content, {
+      sessionId: session.id,
+      requestId: message.messageId,
+      history, // Histórico sem system message (sempre array)
+      systemPrompt, // Sempre do perfil da sessão
+      ...sessionProfile.ai, // Provedor, modelo e temperatura do perfil
+      signal: abortController.signal,
+      span, // Trechos ai.send, ai.attempt, ai.fallback e tool.call ficam sob chat.frame
+      onDelta: shouldStream ? (delta) => {
+        generation.partialContent += delta;
+        connection.send({
+          type: 'chat_delta',
+          messageId: message.messageId,
+          sessionId: session.id,
+          delta,
+          index: deltaIndex++
+        });
+      } : undefined,
+      onToolCall: (toolCall) => sendToolFrame({
+        type: 'tool_call',
+        toolCallId: toolCall.id,
+        name: toolCall.name,
+        status: toolCall.status
+      }),
+      onToolResult: (result) => sendToolFrame({
+        type: 'tool_result',
+        toolCallId: result.toolCallId,
+        name: result.name,
+        isError: result.isError,
+        duration: result.duration
+      })
+    }, this.mcpTools);
+
+    this.rateLimiter.recordUsage({ ip: connection.ip, sessionId: session.id }, aiResponse.usage, aiResponse.metadata?.cost || null);
+
+    // Adiciona resposta da IA ao histórico
+    const assistantMessage = this.sessionManager.addMessage(session.id, {
+      role: 'assistant',
+      content: aiResponse.message,
+      tokens: aiResponse.usage.totalTokens,
+      metadata: {
+        ...(aiResponse.metadata?.toolCalls?.length ? { toolCalls: aiResponse.metadata.toolCalls } : {}),
+        ...(sources.length ? { sources } : {})
+      }
+    });
+
+    this.sendTyping(connection, false);
+
+    // Sessão criada por esta mensagem: o cliente recebe o token de retomada junto da resposta
+    const resume = session.id !== message.sessionId ? this.resumeTokens.issue(session.id) : null;
+
+    // Envia resposta da AI com contexto da sessão
+    const response = {
+      type: 'chat_response',
+      from: 'bot',
+      messageId: message.messageId,
+      content: aiResponse.message,
+      timestamp: aiResponse.timestamp,
+      sessionId: session.id,
+      userMessageId: userMessage.id,
+      assistantMessageId: assistantMessage.id,
+      usage: aiResponse.usage,
+      model: aiResponse.model,
+      provider: aiResponse.provider,
+      streamed: shouldStream,
+      toolCalls: aiResponse.metadata?.toolCalls || [],
+      sources,
+      metadata: { traceId: span.traceId },
+      ...(resume ? { resumeToken: resume.token, resumeTokenExpiresAt: resume.expiresAt } : {}),
+      context: {
+        customerName: session.context.customerName,
+        stage: session.context.stage,
+        currentTopic: session.context.currentTopic,
+        messageCount: session.metadata.messageCount,
+        isContextual: session.messageHistory.length > 1
+      }
+    };
+    connection.send(response);
+
+    logger.info('Resposta da IA enviada', {
+      provider: aiResponse.provider,
+      sessionId: session.id,
+      responseLength: aiResponse.message.length,
+      tokensUsed: aiResponse.usage.totalTokens,
+      stage: session.context.stage,
+      historyLength: session.messageHistory.length,
+      traceId: span.traceId
+    });
+
+    return response;
+  }
+
+  /**
+   * Geração interrompida: mantém no histórico o trecho que o cliente chegou a ver
+   */
+  sendCancelled(connection, message, generation) {
+    const { partialContent, session } = generation;
+    logger.info('Geração cancelada pelo cliente', { messageId: message.messageId });
+
+    let partialMessage = null;
+    if (partialContent && session) {
+      partialMessage = this.sessionManager.addMessage(session.id, {
+        role: 'assistant',
+        content: partialContent,
+        tokens: this.aiManager.countTokens(partialContent),
+        metadata: { cancelled: true }
+      });
+    }
+
+    connection.send({
+      type: 'chat_cancelled',
+      messageId: message.messageId,
+      cancelled: true,
+      partialContent,
+      userMessageId: generation.userMessage?.id,
+      assistantMessageId: partialMessage?.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Interrompe a geração indicada (ou todas as da conexão, sem messageId)
+   * O frame chat_cancelled sai do handleChat ao interromper o provedor
+   */
+  handleCancel(connection, message) {
+    const targetIds = message.messageId ? [message.messageId] : Array.from(connection.activeGenerations.keys());
+    const controllers = targetIds.map(id => connection.activeGenerations.get(id)).filter(Boolean);
+
+    if (controllers.length === 0) {
+      return {
+        type: 'chat_cancelled',
+        messageId: message.messageId,
+        cancelled: false,
+        reason: 'not_found',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    controllers.forEach(controller => controller.abort());
+    return null;
+  }
+
+  /**
+   * Confirma o recebimento do chat; status indica se ele já foi respondido
+   * (completed) ou ainda está em andamento (processing) numa tentativa anterior
+   */
+  sendAck(connection, message, previous) {
+    connection.send({
+      type: 'ack',
+      messageId: message.messageId,
+      sessionId: message.sessionId,
+      status: previous && previous.status !== 'failed' ? previous.status : 'received',
+      duplicate: Boolean(previous),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  sendTyping(connection, isTyping) {
+    connection.send({
+      type: 'typing',
+      isTyping,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default ChatHandler;
@@ -0,0 +1,107 @@
+const DEFAULT_TTL = 10 * 60 * 1000; // 10 minutos
+const DEFAULT_MAX_ENTRIES = 5000;
+
+/**
+ * Resultado das mensagens de chat por sessão, indexado pelo messageId do cliente
+ *
+ * Reenvios (fila após reconectar, "tentar novamente") chegam com o mesmo messageId:
+ * se a primeira tentativa já respondeu, o cliente recebe a resposta guardada em vez
+ * de uma nova chamada à IA. Estados: processing, completed e failed (erro ou
+ * cancelamento; o reenvio é processado de novo, sem registrar a mensagem outra vez).
+ * Mantido em memória, por instância do servidor.
+ */
+export class IdempotencyCache {
+  constructor(config = {}) {
+    this.config = {
+      ttl: config.ttl || DEFAULT_TTL,
+      maxEntries: config.maxEntries || DEFAULT_MAX_ENTRIES,
+      ...config
+    };
+
+    this.entries = new Map(); // `${scope}:${messageId}` -> entry
+  }
+
+  /**
+   * Escopo da chave: a sessão informada pelo cliente ou, sem ela, o IP
+   */
+  static scope(sessionId, ip) {
+    return sessionId || `ip:${ip}`;
+  }
+
+  get(scope, messageId) {
+    const key = `${scope}:${messageId}`;
+    const entry = this.entries.get(key);
+    if (entry && Date.now() - entry.createdAt > this.config.ttl) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  /**
+   * Registra o início do processamento de uma mensagem
+   * @param {Object} previous - Tentativa anterior que falhou (mantém sessão e mensagem registrada)
+   */
+  begin(scope, messageId, previous = null) {
+    const entry = {
+      status: 'processing',
+      sessionId: previous?.sessionId || null,
+      userMessage: previous?.userMessage || null,
+      response: null,
+      createdAt: Date.now()
+    };
+
+    this.set(`${scope}:${messageId}`, entry);
+    return entry;
+  }
+
+  /**
+   * Indexa a entrada também pela sessão resolvida (o reenvio pode já trazer o sessionId
+   * da sessão criada pela primeira tentativa)
+   */
+  bindSession(entry, messageId, sessionId) {
+    entry.sessionId = sessionId;
+    this.set(`${sessionId}:${messageId}`, entry);
+  }
+
+  complete(entry, response) {
+    entry.status = 'completed';
+    entry.response = response;
+  }
+
+  fail(entry, userMessage = null) {
+    entry.status = 'failed';
+    entry.userMessage = userMessage || entry.userMessage;
+  }
+
+  /**
+   * Remove as entradas de uma sessão finalizada
+   */
+  clearSession(sessionId) {
+    const prefix = `${sessionId}:`;
+    for (const [key, entry] of this.entries) {
+      if (key.startsWith(prefix) || entry.sessionId === sessionId) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    // Descarta as mais antigas (ordem de inserção do Map)
+    while (this.entries.size > this.config.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  getStats() {
+    return {
+      entries: this.entries.size,
+      ttl: this.config.ttl
+    };
+  }
+}
+
+export default IdempotencyCache;
@@ -0,0 +1,92 @@
+import { validateSchema } from '../utils/jsonSchema.js';
+import { ERROR_CODES, createErrorFrame, createProtocolError } from './protocol.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Roteador dos frames do widget: um handler registrado por tipo
+ *
+ * Cada frame é validado pelo schema JSON do tipo antes de chegar ao handler.
+ * O handler recebe (connection, message) e pode responder retornando um frame
+ * ou enviando frames por connection.send (respostas em várias etapas, como o chat).
+ * Erros lançados viram frames de erro com o `errorType` registrado para o tipo.
+ */
+export class MessageRouter {
+  constructor() {
+    this.routes = new Map(); // type -> { handler, schema, errorType }
+  }
+
+  /**
+   * @param {string} type - Tipo do frame
+   * @param {Function} handler - async (connection, message) => frame | null
+   * @param {Object} options - { schema, errorType } errorType: tipo do frame de erro (padrão: error)
+   */
+  register(type, handler, { schema = null, errorType = 'error' } = {}) {
+    if (this.routes.has(type)) {
+      throw new Error(`Handler já registrado para o tipo: ${type}`);
+    }
+
+    this.routes.set(type, { handler, schema, errorType });
+    return this;
+  }
+
+  has(type) {
+    return this.routes.has(type);
+  }
+
+  getTypes() {
+    return Array.from(this.routes.keys());
+  }
+
+  /**
+   * Valida e encaminha um frame já convertido de JSON
+   * @returns {Promise<Object|null>} Frame de resposta (ou de erro) a enviar, se houver
+   */
+  async dispatch(connection, message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+      return createErrorFrame('error', createProtocolError(
+        ERROR_CODES.INVALID_FRAME,
+        'Frame deve ser um objeto JSON com o campo type'
+      ), {});
+    }
+
+    const route = this.routes.get(message.type);
+    if (!route) {
+      return createErrorFrame('error', createProtocolError(
+        ERROR_CODES.UNKNOWN_TYPE,
+        `Tipo não reconhecido: ${message.type}`
+      ), message);
+    }
+
+    if (route.schema) {
+      const errors = validateSchema(route.schema, message);
+      if (errors.length > 0) {
+        logger.warn('Frame WebSocket inválido', { type: message.type, clientId: connection.id, errors });
+        return createErrorFrame(route.errorType, createProtocolError(
+          ERROR_CODES.INVALID_FRAME,
+          `Frame ${message.type} inválido: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`,
+          { details: errors }
+        ), message);
+      }
+    }
+
+    try {
+      return (await route.handler(connection, message)) || null;
+    } catch (error) {
+      if (!error.code) {
+        logger.error('Erro ao processar frame WebSocket', {
+          type: message.type,
+          clientId: connection.id,
+          error: error.message
+        });
+      }
+
+      return createErrorFrame(route.errorType, error.code ? error : createProtocolError(
+        ERROR_CODES.INTERNAL_ERROR,
+        'Erro ao processar mensagem',
+        { retryable: true }
+      ), message);
+    }
+  }
+}
+
+export default MessageRouter;
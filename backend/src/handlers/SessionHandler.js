@@ -0,0 +1,182 @@
+import { ERROR_CODES, MESSAGE_SCHEMAS, createProtocolError } from './protocol.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Frames de ciclo de vida da sessão do widget:
+ * session_start, session_end, session_reset, session_info e session_resume,
+ * além de conversation_history (conversas anteriores do visitante autenticado)
+ */
+export class SessionHandler {
+  constructor({ sessionManager, botProfiles, handoffManager, resumeTokens, visitorHistory }) {
+    this.sessionManager = sessionManager;
+    this.botProfiles = botProfiles;
+    this.handoffManager = handoffManager;
+    this.resumeTokens = resumeTokens;
+    this.visitorHistory = visitorHistory;
+  }
+
+  register(router) {
+    const options = type => ({ schema: MESSAGE_SCHEMAS[type], errorType: 'session_error' });
+
+    return router
+      .register('session_start', (connection, message) => this.startSession(connection, message), options('session_start'))
+      .register('session_end', (connection, message) => this.endSession(connection, message), options('session_end'))
+      .register('session_reset', (connection, message) => this.resetSession(connection, message), options('session_reset'))
+      .register('session_info', (connection, message) => this.getSessionInfo(connection, message), options('session_info'))
+      .register('session_resume', (connection, message) => this.resumeSession(connection, message), options('session_resume'))
+      .register('conversation_history', (connection, message) => this.getConversationHistory(connection, message), options('conversation_history'));
+  }
+
+  startSession(connection, message) {
+    const profile = this.botProfiles.resolve({ profileId: message.profileId, origin: connection.origin });
+    const session = this.sessionManager.createSession(connection.ip, {
+      profileId: profile.id,
+      visitor: connection.visitor
+    });
+    this.handoffManager.registerVisitor(session.id, connection.ws);
+    connection.sessions.add(session.id);
+    const resume = this.resumeTokens.issue(session.id);
+
+    return {
+      type: 'session_started',
+      sessionId: session.id,
+      resumeToken: resume.token,
+      resumeTokenExpiresAt: resume.expiresAt,
+      timestamp: new Date().toISOString(),
+      profile: this.botProfiles.getPublicProfile(profile),
+      context: {
+        stage: session.context.stage,
+        isNewSession: true
+      }
+    };
+  }
+
+  endSession(connection, message) {
+    const ended = connection.sessions.has(message.sessionId) &&
+      this.sessionManager.endSession(message.sessionId, 'user_request');
+
+    return {
+      type: 'session_ended',
+      sessionId: message.sessionId,
+      success: ended,
+      timestamp: new Date().toISOString(),
+      message: ended ? 'Atendimento finalizado com sucesso!' : 'Sessão não encontrada'
+    };
+  }
+
+  resetSession(connection, message) {
+    // Sessão de outra conexão (ou ainda inexistente) não é limpa nem recebe token;
+    // a próxima mensagem do cliente cria uma sessão nova
+    const resume = connection.sessions.has(message.sessionId) && this.sessionManager.resetSessionContext(message.sessionId)
+      ? this.resumeTokens.issue(message.sessionId)
+      : null;
+
+    return {
+      type: 'session_reset',
+      sessionId: message.sessionId,
+      ...(resume ? { resumeToken: resume.token, resumeTokenExpiresAt: resume.expiresAt } : {}),
+      timestamp: new Date().toISOString(),
+      message: 'Novo atendimento iniciado!'
+    };
+  }
+
+  async getSessionInfo(connection, message) {
+    const session = connection.sessions.has(message.sessionId)
+      ? await this.sessionManager.loadSession(message.sessionId)
+      : null;
+    if (!session || !this.sessionManager.canAccessSession(session, connection.visitor)) {
+      throw createProtocolError(ERROR_CODES.SESSION_NOT_FOUND, 'Sessão não encontrada');
+    }
+
+    this.handoffManager.registerVisitor(session.id, connection.ws);
+
+    return {
+      type: 'session_info',
+      sessionId: message.sessionId,
+      profile: this.botProfiles.getPublicProfile(this.sessionManager.getSessionProfile(session)),
+      stage: this.sessionManager.getStageInfo(session),
+      summary: session.context.summary || null,
+      handoff: session.handoff || null,
+      context: session.context,
+      metadata: session.metadata,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Religa uma nova conexão (reconexão ou recarga da página) à sessão do token
+   * e reenvia as respostas produzidas depois de lastMessageId, a última mensagem vista pelo cliente
+   */
+  async resumeSession(connection, message) {
+    this.resumeTokens.verify(message.resumeToken, message.sessionId);
+
+    const session = await this.sessionManager.loadSession(message.sessionId);
+    if (!session || session.status === 'ended' || !this.sessionManager.canAccessSession(session, connection.visitor)) {
+      throw createProtocolError(ERROR_CODES.SESSION_NOT_FOUND, 'Sessão não encontrada ou encerrada');
+    }
+
+    this.handoffManager.registerVisitor(session.id, connection.ws);
+    connection.sessions.add(session.id);
+
+    const lastMessageId = this.sessionManager.getLastMessageId(session.id);
+    const missed = this.sessionManager.getMessagesSince(session.id, message.lastMessageId);
+
+    // A última mensagem vista já saiu do histórico: o cliente recebe a transcrição inteira
+    if (!missed) {
+      connection.send({
+        type: 'history_sync',
+        sessionId: session.id,
+        reason: 'resume',
+        clientLastMessageId: message.lastMessageId,
+        lastMessageId,
+        messages: this.sessionManager.getTranscript(session.id),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const replayed = (missed || []).filter(msg => msg.role === 'assistant');
+    const resume = this.resumeTokens.issue(session.id);
+
+    logger.info('Sessão retomada', {
+      sessionId: session.id,
+      clientId: connection.id,
+      replayed: replayed.length,
+      historySync: !missed
+    });
+
+    return {
+      type: 'session_resumed',
+      sessionId: session.id,
+      resumeToken: resume.token,
+      resumeTokenExpiresAt: resume.expiresAt,
+      lastMessageId,
+      messages: replayed,
+      profile: this.botProfiles.getPublicProfile(this.sessionManager.getSessionProfile(session)),
+      stage: this.sessionManager.getStageInfo(session),
+      handoff: session.handoff ? { active: true, agent: { name: session.handoff.agentName } } : null,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Conversas anteriores do visitante autenticado, exceto a sessão atual
+   */
+  getConversationHistory(connection, message) {
+    if (!connection.visitor) {
+      throw createProtocolError(ERROR_CODES.VISITOR_NOT_AUTHENTICATED, 'Histórico disponível apenas para visitantes autenticados');
+    }
+
+    const conversations = this.visitorHistory
+      ? this.visitorHistory.list(connection.visitor.userId, { excludeSessionId: message.sessionId })
+      : [];
+
+    return {
+      type: 'conversation_history',
+      userId: connection.visitor.userId,
+      conversations: conversations.slice(0, message.limit || conversations.length),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+export default SessionHandler;
@@ -1,313 +1,193 @@
 import { EventEmitter } from 'events';
+import {
+  ERROR_CODES,
+  MAX_FRAME_SIZE,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  createErrorFrame,
+  createProtocolError,
+  negotiateProtocolVersion
+} from './protocol.js';
+import logger from '../utils/logger.js';
 
 /**
- * Handler WebSocket simplificado para comunicação em tempo real do chatbot
+ * Conexões WebSocket do widget
+ *
+ * Negocia a versão do protocolo, envia o frame `connection`, converte cada frame
+ * recebido de JSON e o entrega ao MessageRouter; as respostas voltam pela mesma conexão.
+ * Cada conexão tem um contexto (connection) passado aos handlers:
+ * { id, ws, ip, origin, protocolVersion, sessions, activeGenerations, send(frame) }
  */
 export class WebSocketHandler extends EventEmitter {
-  constructor(wss, mcpManager) {
+  constructor({ router, botProfiles, handoffManager, config = {} }) {
     super();
-    
-    this.wss = wss;
-    this.mcpManager = mcpManager;
-    this.clients = new Map();
-    this.sessions = new Map();
-    
-    console.log('WebSocketHandler inicializado');
-  }
-
-  /**
-   * Configura o servidor WebSocket
-   */
-  setupWebSocketServer() {
-    this.wss.on('connection', (ws, request) => {
-      const clientIp = request.socket.remoteAddress || 'unknown';
-      const clientId = this.generateClientId();
-      
-      const clientInfo = {
-        id: clientId,
-        ws: ws,
-        ip: clientIp,
-        connectedAt: new Date(),
-        lastActivity: new Date(),
-        sessionId: null,
-        messageCount: 0
-      };
 
-      this.clients.set(clientId, clientInfo);
-      
-      console.log(`Cliente conectado: ${clientId}`);
-
-      // Send welcome message
-      this.sendToClient(clientId, {
-        type: 'connection',
-        status: 'connected',
-        clientId: clientId,
-        message: 'Conectado ao chatbot com sucesso!'
-      });
-
-      this.setupClientHandlers(clientId, ws);
-    });
-
-    this.wss.on('error', (error) => {
-      console.error('Erro no WebSocket Server:', error.message);
-      this.emit('error', error);
-    });
+    this.router = router;
+    this.botProfiles = botProfiles;
+    this.handoffManager = handoffManager;
+    this.config = {
+      historyMode: config.historyMode || 'server'
+    };
+    this.connections = new Map(); // clientId -> connection
   }
 
   /**
-   * Configura handlers para um cliente específico
+   * Registra uma conexão aceita pelo WebSocketServer
    */
-  setupClientHandlers(clientId, ws) {
-    ws.on('message', async (data) => {
-      try {
-        const message = JSON.parse(data.toString());
-        await this.handleClientMessage(clientId, message);
-      } catch (error) {
-        console.warn(`Erro ao processar mensagem do cliente ${clientId}:`, error.message);
-        
-        this.sendToClient(clientId, {
-          error: true,
-          code: 'INVALID_MESSAGE',
-          message: 'Formato de mensagem inválido'
-        });
-      }
+  handleConnection(ws, request) {
+    const connection = this.createConnection(ws, request);
+    logger.info('Conexão WebSocket recebida', {
+      clientId: connection.id,
+      ip: connection.ip,
+      origin: connection.origin,
+      userId: connection.visitor?.userId
     });
 
-    ws.on('close', (code, reason) => {
-      console.log(`Cliente desconectado: ${clientId}`);
-      this.handleClientDisconnect(clientId);
+    if (!connection.protocolVersion) {
+      connection.send(createErrorFrame('error', createProtocolError(
+        ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION,
+        'Versão do protocolo não suportada'
+      ), {}, { supportedVersions: SUPPORTED_PROTOCOL_VERSIONS }));
+      ws.close(1002, 'Versão do protocolo não suportada');
+      return null;
+    }
+
+    this.connections.set(connection.id, connection);
+
+    connection.send({
+      type: 'connection',
+      status: 'connected',
+      clientId: connection.id,
+      protocolVersion: connection.protocolVersion,
+      supportedVersions: SUPPORTED_PROTOCOL_VERSIONS,
+      historyMode: this.config.historyMode,
+      profile: this.botProfiles.getPublicProfile(this.botProfiles.resolve({ origin: connection.origin })),
+      visitor: connection.visitor ? { userId: connection.visitor.userId, name: connection.visitor.name } : null,
+      message: 'Conectado ao chatbot com sucesso!'
     });
 
+    ws.on('message', (data, isBinary) => this.handleFrame(connection, data, isBinary));
+    ws.on('close', (code, reason) => this.handleClose(connection, code, reason));
     ws.on('error', (error) => {
-      console.error(`Erro na conexão do cliente ${clientId}:`, error.message);
-      this.handleClientDisconnect(clientId);
+      logger.warn('Erro na conexão WebSocket', { clientId: connection.id, error: error.message });
     });
+
+    this.emit('connection', connection);
+    return connection;
+  }
+
+  createConnection(ws, request) {
+    return {
+      id: this.generateClientId(),
+      ws,
+      ip: request.socket.remoteAddress || 'unknown',
+      // Origem da página que embute o widget (seleciona o perfil quando não há profileId)
+      origin: request.headers.origin,
+      protocolVersion: negotiateProtocolVersion(request),
+      // Visitante autenticado pelo JWT no upgrade (null para anônimos)
+      visitor: request.visitor || null,
+      connectedAt: new Date().toISOString(),
+      // Sessões criadas ou retomadas nesta conexão (as demais exigem o token de retomada)
+      sessions: new Set(),
+      // Gerações em andamento nesta conexão (messageId -> AbortController)
+      activeGenerations: new Map(),
+      send: (frame) => this.send(ws, frame)
+    };
   }
 
   /**
-   * Processa mensagens recebidas dos clientes
+   * Converte o frame recebido e o entrega ao roteador
    */
-  async handleClientMessage(clientId, message) {
-    const client = this.clients.get(clientId);
-    if (!client) {
-      console.warn(`Cliente não encontrado: ${clientId}`);
+  async handleFrame(connection, data, isBinary = false) {
+    const size = data.length ?? data.byteLength ?? 0;
+    if (size > MAX_FRAME_SIZE) {
+      connection.send(createErrorFrame('error', createProtocolError(
+        ERROR_CODES.FRAME_TOO_LARGE,
+        `Frame maior que o limite de ${MAX_FRAME_SIZE} bytes`
+      )));
       return;
     }
 
-    client.lastActivity = new Date();
-    client.messageCount++;
+    let message;
+    try {
+      if (isBinary) throw new Error('Frame binário');
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      connection.send(createErrorFrame('error', createProtocolError(
+        ERROR_CODES.INVALID_JSON,
+        'Frame deve ser um objeto JSON'
+      )));
+      return;
+    }
 
-    console.log(`Mensagem recebida de ${clientId}:`, message.type);
+    logger.debug('Frame WebSocket recebido', { clientId: connection.id, type: message?.type });
 
-    switch (message.type) {
-      case 'chat':
-        await this.handleChatMessage(clientId, message);
-        break;
-        
-      case 'ping':
-        this.sendToClient(clientId, { 
-          type: 'pong', 
-          timestamp: new Date().toISOString() 
-        });
-        break;
-        
-      default:
-        console.warn(`Tipo de mensagem desconhecido: ${message.type}`);
-        this.sendToClient(clientId, {
-          error: true,
-          code: 'UNKNOWN_MESSAGE_TYPE',
-          message: `Tipo de mensagem não suportado: ${message.type}`
-        });
+    const response = await this.router.dispatch(connection, message);
+    if (response) {
+      connection.send(response);
     }
   }
 
-  /**
-   * Processa mensagens de chat
-   */
-  async handleChatMessage(clientId, message) {
-    try {
-      // Basic validation
-      if (!message.content || typeof message.content !== 'string') {
-        this.sendToClient(clientId, {
-          error: true,
-          code: 'INVALID_CONTENT',
-          message: 'Conteúdo da mensagem é obrigatório'
-        });
-        return;
-      }
-
-      const sanitizedContent = message.content.trim();
-      if (sanitizedContent.length === 0) {
-        this.sendToClient(clientId, {
-          error: true,
-          code: 'EMPTY_MESSAGE',
-          message: 'Mensagem não pode estar vazia'
-        });
-        return;
-      }
-
-      // Send typing indicator
-      this.sendToClient(clientId, {
-        type: 'typing',
-        isTyping: true,
-        timestamp: new Date().toISOString()
-      });
+  handleClose(connection, code, reason) {
+    logger.info('Conexão WebSocket fechada', { clientId: connection.id, code, reason: reason?.toString() });
 
-      // Process message via MCP
-      try {
-        const mcpResponse = await this.mcpManager.sendMessage(sanitizedContent);
-        
-        // Stop typing indicator
-        this.sendToClient(clientId, {
-          type: 'typing',
-          isTyping: false,
-          timestamp: new Date().toISOString()
-        });
+    // Interrompe gerações que ninguém mais vai receber
+    connection.activeGenerations.forEach(controller => controller.abort());
+    connection.activeGenerations.clear();
+    this.handoffManager.unregisterVisitor(connection.ws);
+    this.connections.delete(connection.id);
 
-        // Send response
-        this.sendToClient(clientId, {
-          type: 'chat_response',
-          messageId: message.messageId,
-          content: mcpResponse.message || 'Resposta não disponível',
-          timestamp: new Date().toISOString()
-        });
-
-        console.log(`Resposta MCP enviada para ${clientId}`);
-
-      } catch (mcpError) {
-        console.error(`Erro MCP para ${clientId}:`, mcpError.message);
-        
-        // Stop typing indicator
-        this.sendToClient(clientId, {
-          type: 'typing',
-          isTyping: false,
-          timestamp: new Date().toISOString()
-        });
-
-        // Send error response
-        this.sendToClient(clientId, {
-          type: 'chat_error',
-          messageId: message.messageId,
-          message: 'Erro interno do servidor. Nossa equipe foi notificada.',
-          errorCode: 'INTERNAL_ERROR',
-          timestamp: new Date().toISOString(),
-          retryable: true
-        });
-      }
-
-    } catch (error) {
-      console.error(`Erro ao processar chat para ${clientId}:`, error.message);
-      
-      this.sendToClient(clientId, {
-        type: 'chat_error',
-        messageId: message.messageId,
-        message: 'Erro interno ao processar mensagem',
-        errorCode: 'PROCESSING_ERROR',
-        timestamp: new Date().toISOString(),
-        retryable: false
-      });
-    }
+    this.emit('disconnect', connection);
   }
 
   /**
-   * Handles client disconnect
+   * Envia um frame se a conexão ainda estiver aberta
    */
-  handleClientDisconnect(clientId) {
-    const client = this.clients.get(clientId);
-    
-    if (client) {
-      if (client.sessionId) {
-        this.sessions.delete(client.sessionId);
-      }
-      
-      this.clients.delete(clientId);
-      
-      console.log(`Cliente removido: ${clientId}`);
+  send(ws, frame) {
+    if (ws.readyState !== ws.OPEN) {
+      return false;
     }
-  }
 
-  /**
-   * Sends message to specific client
-   */
-  sendToClient(clientId, message) {
-    const client = this.clients.get(clientId);
-    
-    if (client && client.ws.readyState === client.ws.OPEN) {
-      try {
-        client.ws.send(JSON.stringify(message));
-        return true;
-      } catch (error) {
-        console.error(`Erro ao enviar mensagem para cliente ${clientId}:`, error.message);
-        this.handleClientDisconnect(clientId);
-        return false;
-      }
+    try {
+      ws.send(JSON.stringify(frame));
+      return true;
+    } catch (error) {
+      logger.warn('Erro ao enviar frame WebSocket', { type: frame.type, error: error.message });
+      return false;
     }
-    
-    return false;
   }
 
-  /**
-   * Broadcasts message to all clients
-   */
-  broadcast(message) {
+  broadcast(frame) {
     let sentCount = 0;
-    
-    for (const [clientId] of this.clients) {
-      if (this.sendToClient(clientId, message)) {
-        sentCount++;
-      }
-    }
-    
-    console.log(`Broadcast enviado para ${sentCount} clientes`);
+    this.connections.forEach(connection => {
+      if (connection.send(frame)) sentCount++;
+    });
     return sentCount;
   }
 
-  /**
-   * Generates unique client ID
-   */
   generateClientId() {
     return `client_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-  }
-
-  /**
-   * Generates unique session ID
-   */
-  generateSessionId() {
-    return `session_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
   }
 
-  /**
-   * Returns WebSocket statistics
-   */
   getStats() {
+    let activeGenerations = 0;
+    this.connections.forEach(connection => {
+      activeGenerations += connection.activeGenerations.size;
+    });
+
     return {
-      connectedClients: this.clients.size,
-      activeSessions: this.sessions.size
+      connectedClients: this.connections.size,
+      activeGenerations,
+      protocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
+      messageTypes: this.router.getTypes()
     };
   }
 
   /**
-   * Gracefully shuts down WebSocket handler
+   * Fecha todas as conexões (shutdown do servidor)
    */
-  async shutdown() {
-    console.log('Iniciando shutdown do WebSocketHandler');
-    
-    this.broadcast({
-      type: 'system',
-      message: 'Servidor sendo reiniciado. Reconecte em alguns instantes.',
-      timestamp: new Date().toISOString()
-    });
-
-    for (const [clientId, client] of this.clients) {
-      if (client.ws.readyState === client.ws.OPEN) {
-        client.ws.close(1000, 'Servidor sendo reiniciado');
-      }
-    }
-
-    this.clients.clear();
-    this.sessions.clear();
-
-    console.log('WebSocketHandler encerrado com sucesso');
+  shutdown(code = 1001, reason = 'Servidor reiniciando') {
+    this.connections.forEach(connection => connection.ws.close(code, reason));
   }
 }
 
+export default WebSocketHandler;
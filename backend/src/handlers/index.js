@@ -0,0 +1,29 @@
+import { MessageRouter } from './MessageRouter.js';
+import { SessionHandler } from './SessionHandler.js';
+import { ChatHandler } from './ChatHandler.js';
+import { MESSAGE_SCHEMAS } from './protocol.js';
+import { ResumeTokenSigner } from '../session/ResumeTokenSigner.js';
+
+/**
+ * Cria o roteador do protocolo do widget com todos os tipos de frame registrados
+ * @param {Object} deps - { sessionManager, aiManager, botProfiles, handoffManager,
+ *   rateLimiter, knowledgeBase, mcpTools, resumeTokens, config: { historyMode, streaming } }
+ */
+export function createMessageRouter(deps) {
+  const router = new MessageRouter();
+  // Mesma chave para os tokens emitidos no session_started e no chat que cria a sessão
+  const handlerDeps = { ...deps, resumeTokens: deps.resumeTokens || new ResumeTokenSigner() };
+
+  router.register('ping', () => ({ type: 'pong', timestamp: new Date().toISOString() }), {
+    schema: MESSAGE_SCHEMAS.ping
+  });
+
+  new SessionHandler(handlerDeps).register(router);
+  new ChatHandler(handlerDeps).register(router);
+
+  return router;
+}
+
+export { MessageRouter, SessionHandler, ChatHandler };
+export { WebSocketHandler } from './WebSocketHandler.js';
+export * from './protocol.js';
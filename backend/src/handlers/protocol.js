@@ -0,0 +1,196 @@
+/**
+ * Protocolo WebSocket do widget (/ws)
+ *
+ * Versão negociada na conexão: o cliente pede uma ou mais versões no subprotocolo
+ * (Sec-WebSocket-Protocol: chatbot.v1) ou em ?protocol=1; sem pedido, usa a atual.
+ * O frame `connection` informa a versão aceita em `protocolVersion`.
+ * Cada `chat` é confirmado com `ack` e identificado pelo messageId: reenvios do mesmo
+ * messageId na sessão recebem a resposta já produzida, sem nova chamada à IA.
+ * Após reconectar, o cliente religa a conexão à sua sessão com `session_resume`
+ * e o token de retomada recebido no `session_started`.
+ * Visitantes autenticados (JWT no upgrade) pedem suas conversas anteriores com
+ * `conversation_history`; as sessões deles só são acessíveis pelo mesmo usuário.
+ *
+ * Todo frame recebido é um objeto JSON com `type` e é validado pelo schema do tipo
+ * (MESSAGE_SCHEMAS). Erros seguem sempre o mesmo formato:
+ * { type, code, message, requestType, messageId?, sessionId?, details?, retryable, timestamp }
+ * com type `error` (frame inválido ou tipo desconhecido), `chat_error` ou `session_error`.
+ */
+export const PROTOCOL_VERSION = 1;
+export const SUPPORTED_PROTOCOL_VERSIONS = [1];
+export const SUBPROTOCOL_PREFIX = 'chatbot.v';
+
+export const MAX_FRAME_SIZE = 64 * 1024;
+export const MAX_CONTENT_LENGTH = 8000;
+export const MAX_HISTORY_LENGTH = 100;
+
+export const ERROR_CODES = {
+  INVALID_JSON: 'INVALID_JSON',
+  FRAME_TOO_LARGE: 'FRAME_TOO_LARGE',
+  INVALID_FRAME: 'INVALID_FRAME',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  UNSUPPORTED_PROTOCOL_VERSION: 'UNSUPPORTED_PROTOCOL_VERSION',
+  EMPTY_MESSAGE: 'EMPTY_MESSAGE',
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  RESUME_TOKEN_INVALID: 'RESUME_TOKEN_INVALID',
+  RESUME_TOKEN_EXPIRED: 'RESUME_TOKEN_EXPIRED',
+  VISITOR_NOT_AUTHENTICATED: 'VISITOR_NOT_AUTHENTICATED',
+  AI_ERROR: 'AI_ERROR',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+const optionalId = { type: ['string', 'null'], maxLength: 200 };
+
+/**
+ * Campos comuns a todos os frames recebidos
+ */
+const envelope = {
+  type: { type: 'string', minLength: 1, maxLength: 64 },
+  messageId: optionalId,
+  sessionId: optionalId,
+  timestamp: { type: ['string', 'number'] }
+};
+
+const frameSchema = (properties = {}, required = []) => ({
+  type: 'object',
+  required: ['type', ...required],
+  properties: { ...envelope, ...properties }
+});
+
+/**
+ * Schemas JSON dos frames aceitos, por tipo
+ */
+export const MESSAGE_SCHEMAS = {
+  ping: frameSchema(),
+
+  session_start: frameSchema({
+    profileId: optionalId,
+    context: { type: 'object' }
+  }),
+
+  session_end: frameSchema({}, ['sessionId']),
+
+  session_reset: frameSchema({
+    context: { type: 'object' }
+  }, ['sessionId']),
+
+  session_info: frameSchema({}, ['sessionId']),
+
+  session_resume: frameSchema({
+    resumeToken: { type: 'string', minLength: 1, maxLength: 1000 },
+    lastMessageId: optionalId
+  }, ['sessionId', 'resumeToken']),
+
+  conversation_history: frameSchema({
+    limit: { type: 'integer', minimum: 1, maximum: 50 }
+  }),
+
+  chat: frameSchema({
+    content: { type: ['string', 'null'], maxLength: MAX_CONTENT_LENGTH },
+    profileId: optionalId,
+    lastMessageId: optionalId,
+    stream: { type: 'boolean' },
+    // Token de retomada: exigido quando a sessão informada não foi criada nem retomada nesta conexão
+    resumeToken: { type: ['string', 'null'], maxLength: 1000 },
+    // W3C Trace Context do widget; inválido, a mensagem inicia um novo trace
+    traceparent: { type: 'string', maxLength: 55 },
+    history: {
+      type: 'array',
+      maxItems: MAX_HISTORY_LENGTH,
+      items: {
+        type: 'object',
+        required: ['role', 'content'],
+        properties: {
+          role: { type: 'string', enum: ['user', 'assistant', 'system'] },
+          content: { type: 'string', maxLength: MAX_CONTENT_LENGTH }
+        }
+      }
+    }
+  }, ['messageId']),
+
+  chat_cancel: frameSchema()
+};
+
+/**
+ * Erro de protocolo ou de um handler, convertido em frame de erro pelo roteador
+ */
+export function createProtocolError(code, message, { details, retryable = false } = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Frame de erro no formato comum do protocolo
+ * @param {string} type - error, chat_error ou session_error
+ * @param {Object} error - { code, message, details, retryable }
+ * @param {Object} request - Frame que originou o erro (quando conhecido)
+ * @param {Object} extra - Campos adicionais do frame
+ */
+export function createErrorFrame(type, error, request = {}, extra = {}) {
+  const frame = {
+    type,
+    code: error.code || ERROR_CODES.INTERNAL_ERROR,
+    message: error.message,
+    requestType: request.type || null,
+    messageId: request.messageId,
+    sessionId: request.sessionId || undefined,
+    retryable: error.retryable === true,
+    ...extra,
+    timestamp: new Date().toISOString()
+  };
+
+  if (error.details) {
+    frame.details = error.details;
+  }
+
+  return frame;
+}
+
+/**
+ * Versões pedidas pelo cliente no subprotocolo ou na query string
+ * @returns {number[]|null} null quando o cliente não pediu versão
+ */
+export function getRequestedVersions(request) {
+  const subprotocols = (request.headers['sec-websocket-protocol'] || '')
+    .split(',')
+    .map(protocol => protocol.trim())
+    .filter(protocol => protocol.startsWith(SUBPROTOCOL_PREFIX))
+    .map(protocol => parseInt(protocol.slice(SUBPROTOCOL_PREFIX.length), 10));
+
+  if (subprotocols.length > 0) {
+    return subprotocols;
+  }
+
+  const query = new URL(request.url || '/', 'http://localhost').searchParams.get('protocol');
+  return query ? query.split(',').map(version => parseInt(version, 10)) : null;
+}
+
+/**
+ * Escolhe a maior versão suportada entre as pedidas pelo cliente
+ * @returns {number|null} null quando nenhuma versão pedida é suportada
+ */
+export function negotiateProtocolVersion(request) {
+  const requested = getRequestedVersions(request);
+  if (!requested) {
+    return PROTOCOL_VERSION;
+  }
+
+  const accepted = requested.filter(version => SUPPORTED_PROTOCOL_VERSIONS.includes(version));
+  return accepted.length > 0 ? Math.max(...accepted) : null;
+}
+
+/**
+ * handleProtocols do WebSocketServer: confirma o subprotocolo da versão negociada
+ * (navegadores recusam a conexão quando pedem subprotocolos e nenhum é confirmado)
+ */
+export function selectSubprotocol(protocols) {
+  const versions = Array.from(protocols)
+    .filter(protocol => protocol.startsWith(SUBPROTOCOL_PREFIX))
+    .map(protocol => parseInt(protocol.slice(SUBPROTOCOL_PREFIX.length), 10))
+    .filter(version => SUPPORTED_PROTOCOL_VERSIONS.includes(version));
+
+  return versions.length > 0 ? `${SUBPROTOCOL_PREFIX}${Math.max(...versions)}` : false;
+}
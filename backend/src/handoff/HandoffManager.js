@@ -0,0 +1,458 @@
+import { timingSafeEqual } from 'crypto';
+import logger from '../utils/logger.js';
+
+export const HANDOFF_ACTIVE_MESSAGE = 'Você está falando com um atendente';
+export const HANDOFF_ENDED_MESSAGE = 'Você voltou a falar com o assistente virtual';
+
+const LAST_MESSAGE_PREVIEW_LENGTH = 120;
+
+/**
+ * Erro de uma ação do atendente, enviado no frame agent_error
+ */
+function createHandoffError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Atendimento humano (handoff) das sessões de chat
+ *
+ * Atendentes se conectam ao canal WebSocket de operadores, veem as sessões ativas
+ * do SessionManager e podem assumir uma delas: enquanto assumida, a sessão fica
+ * pausada, o bot não responde, as mensagens do visitante são repassadas ao atendente
+ * e as respostas dele chegam ao widget como chat_response com `from: 'agent'`.
+ * Ao liberar a sessão (ou se o atendente desconectar) o bot volta a responder.
+ *
+ * Protocolo do canal de operadores (JSON, campo `type`):
+ * - sessions_list                          -> sessions
+ * - session_claim { sessionId }            -> session_claimed (com a transcrição)
+ * - session_release { sessionId }          -> session_released
+ * - agent_message { sessionId, content }   -> agent_message_sent
+ * - agent_typing { sessionId, isTyping }
+ * - session_transcript { sessionId }       -> session_transcript
+ * O servidor envia ainda session_updated (mudanças nas sessões), session_message
+ * e session_ended (para as sessões assumidas pelo atendente) e agent_error
+ */
+export class HandoffManager {
+  constructor(config = {}) {
+    this.sessionManager = config.sessionManager;
+    this.config = {
+      tokens: config.tokens || {}, // agentId -> token de acesso
+      allowAnonymous: config.allowAnonymous === true // Sem tokens, aceita qualquer atendente (só desenvolvimento)
+    };
+
+    this.agentConnections = new Map(); // ws -> { id, name }
+    this.visitors = new Map(); // sessionId -> Set<ws> do widget
+
+    this.attachSessionEvents();
+  }
+
+  attachSessionEvents() {
+    const sessionManager = this.sessionManager;
+
+    sessionManager.on('sessionCreated', session => this.broadcastSession(session));
+
+    sessionManager.on('messageAdded', ({ sessionId, message }) => {
+      const session = sessionManager.sessions.get(sessionId);
+      if (!session) return;
+
+      if (session.handoff) {
+        this.sendToAgent(session.handoff.agentId, {
+          type: 'session_message',
+          sessionId,
+          message: this.formatMessage(message)
+        });
+      }
+
+      this.broadcastSession(session);
+    });
+
+    sessionManager.on('handoffStarted', ({ sessionId, agentName }) => {
+      this.sendToVisitors(sessionId, {
+        type: 'handoff',
+        sessionId,
+        active: true,
+        agent: { name: agentName },
+        message: HANDOFF_ACTIVE_MESSAGE
+      });
+      this.broadcastSession(sessionManager.sessions.get(sessionId));
+    });
+
+    sessionManager.on('handoffEnded', ({ sessionId, agentId, reason }) => {
+      this.sendToVisitors(sessionId, {
+        type: 'handoff',
+        sessionId,
+        active: false,
+        reason,
+        message: HANDOFF_ENDED_MESSAGE
+      });
+      this.sendToAgent(agentId, { type: 'session_released', sessionId, reason });
+      this.broadcastSession(sessionManager.sessions.get(sessionId));
+    });
+
+    sessionManager.on('sessionEnded', session => {
+      if (session.handoff) {
+        this.sendToAgent(session.handoff.agentId, {
+          type: 'session_ended',
+          sessionId: session.id,
+          reason: session.endReason
+        });
+      }
+      this.broadcastSession(session);
+    });
+  }
+
+  /**
+   * Identifica o atendente no upgrade do canal de operadores
+   * Token em `Authorization: Bearer <token>` ou `?token=`; o nome exibido ao
+   * visitante vem de `?name=` (padrão: ID do atendente)
+   * @returns {Object|null} { id, name } ou null se não autorizado
+   */
+  authenticate(request) {
+    const url = new URL(request.url, 'http://localhost');
+    const authHeader = request.headers.authorization;
+    const token = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : url.searchParams.get('token');
+    const name = url.searchParams.get('name');
+
+    const entries = Object.entries(this.config.tokens);
+    if (entries.length === 0) {
+      if (!this.config.allowAnonymous) {
+        logger.warn('Canal de atendentes sem tokens configurados (AGENT_TOKENS)');
+        return null;
+      }
+
+      // Desenvolvimento (AGENT_ALLOW_ANONYMOUS=true): qualquer atendente identificado por ?agent=
+      const id = url.searchParams.get('agent') || 'atendente';
+      return { id, name: name || id };
+    }
+
+    const received = Buffer.from(token || '');
+    const match = entries.find(([, agentToken]) => {
+      const expected = Buffer.from(agentToken);
+      return token && expected.length === received.length && timingSafeEqual(expected, received);
+    });
+    if (!match) return null;
+
+    return { id: match[0], name: name || match[0] };
+  }
+
+  /**
+   * Conexão do widget do visitante associada a uma sessão
+   * Se a sessão já está com um atendente (ex.: reconexão), o widget é avisado
+   */
+  registerVisitor(sessionId, ws) {
+    let sockets = this.visitors.get(sessionId);
+    if (!sockets) {
+      sockets = new Set();
+      this.visitors.set(sessionId, sockets);
+    }
+
+    if (sockets.has(ws)) return;
+    sockets.add(ws);
+
+    const session = this.sessionManager.sessions.get(sessionId);
+    if (session && this.isHandedOff(session)) {
+      this.send(ws, {
+        type: 'handoff',
+        sessionId,
+        active: true,
+        agent: { name: session.handoff.agentName },
+        message: HANDOFF_ACTIVE_MESSAGE
+      });
+    }
+  }
+
+  unregisterVisitor(ws) {
+    this.visitors.forEach((sockets, sessionId) => {
+      sockets.delete(ws);
+      if (sockets.size === 0) {
+        this.visitors.delete(sessionId);
+      }
+    });
+  }
+
+  /**
+   * Indica se o widget do visitante está conectado à sessão
+   */
+  isVisitorOnline(sessionId) {
+    return this.visitors.has(sessionId);
+  }
+
+  /**
+   * Indica se a sessão está com um atendente conectado
+   * Sessões assumidas por atendentes que já saíram (ex.: após restart) voltam ao bot
+   */
+  isHandedOff(session) {
+    if (!session?.handoff) return false;
+
+    if (!this.isAgentOnline(session.handoff.agentId)) {
+      this.sessionManager.endHandoff(session.id, 'agent_unavailable');
+      return false;
+    }
+
+    return true;
+  }
+
+  isAgentOnline(agentId) {
+    return Array.from(this.agentConnections.values()).some(agent => agent.id === agentId);
+  }
+
+  /**
+   * Registra a conexão do atendente já autenticado e trata as mensagens dele
+   */
+  handleAgentConnection(ws, agent) {
+    this.agentConnections.set(ws, agent);
+    logger.info('Atendente conectado', { agentId: agent.id, connections: this.agentConnections.size });
+
+    this.send(ws, {
+      type: 'agent_connected',
+      agent,
+      sessions: this.listSessions()
+    });
+
+    ws.on('message', data => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        this.send(ws, { type: 'agent_error', code: 'INVALID_MESSAGE', message: 'JSON inválido' });
+        return;
+      }
+
+      const response = this.handleAgentMessage(agent, message);
+      if (response) {
+        this.send(ws, response);
+      }
+    });
+
+    ws.on('close', () => {
+      this.agentConnections.delete(ws);
+      logger.info('Atendente desconectado', { agentId: agent.id });
+
+      // Última conexão do atendente: as sessões dele voltam para o bot
+      if (!this.isAgentOnline(agent.id)) {
+        this.getAgentSessions(agent.id).forEach(session => {
+          this.sessionManager.endHandoff(session.id, 'agent_disconnected');
+        });
+      }
+    });
+  }
+
+  /**
+   * Processa um frame do atendente e retorna a resposta (ou null)
+   */
+  handleAgentMessage(agent, message) {
+    try {
+      switch (message.type) {
+        case 'ping':
+          return { type: 'pong', timestamp: new Date().toISOString() };
+
+        case 'sessions_list':
+          return { type: 'sessions', sessions: this.listSessions() };
+
+        case 'session_claim': {
+          const session = this.claim(message.sessionId, agent);
+          return {
+            type: 'session_claimed',
+            sessionId: session.id,
+            session: this.summarizeSession(session),
+            transcript: this.sessionManager.getTranscript(session.id)
+          };
+        }
+
+        case 'session_release':
+          this.release(message.sessionId, agent);
+          return null; // session_released é enviado pelo evento handoffEnded
+
+        case 'agent_message': {
+          const reply = this.sendReply(message.sessionId, agent, message.content);
+          return {
+            type: 'agent_message_sent',
+            sessionId: message.sessionId,
+            clientMessageId: message.clientMessageId,
+            messageId: reply.id,
+            timestamp: reply.timestamp
+          };
+        }
+
+        case 'agent_typing':
+          this.getClaimedSession(message.sessionId, agent);
+          this.sendToVisitors(message.sessionId, {
+            type: 'typing',
+            isTyping: message.isTyping === true,
+            from: 'agent',
+            timestamp: new Date().toISOString()
+          });
+          return null;
+
+        case 'session_transcript': {
+          const session = this.getSession(message.sessionId);
+          return {
+            type: 'session_transcript',
+            sessionId: session.id,
+            transcript: this.sessionManager.getTranscript(session.id)
+          };
+        }
+
+        default:
+          throw createHandoffError('UNKNOWN_TYPE', `Tipo não reconhecido: ${message.type}`);
+      }
+    } catch (error) {
+      if (!error.code) {
+        logger.error('Erro ao processar ação do atendente', { agentId: agent.id, error: error.message });
+      }
+
+      return {
+        type: 'agent_error',
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message,
+        sessionId: message.sessionId,
+        originalType: message.type
+      };
+    }
+  }
+
+  getSession(sessionId) {
+    const session = this.sessionManager.sessions.get(sessionId);
+    if (!session || session.status === 'ended') {
+      throw createHandoffError('SESSION_NOT_FOUND', 'Sessão não encontrada ou finalizada');
+    }
+    return session;
+  }
+
+  getClaimedSession(sessionId, agent) {
+    const session = this.getSession(sessionId);
+    if (session.handoff?.agentId !== agent.id) {
+      throw createHandoffError('NOT_CLAIMED', 'Sessão não está assumida por este atendente');
+    }
+    return session;
+  }
+
+  getAgentSessions(agentId) {
+    return Array.from(this.sessionManager.sessions.values())
+      .filter(session => session.handoff?.agentId === agentId);
+  }
+
+  claim(sessionId, agent) {
+    const session = this.getSession(sessionId);
+
+    if (session.handoff && session.handoff.agentId !== agent.id && this.isHandedOff(session)) {
+      throw createHandoffError('SESSION_CLAIMED', `Sessão já assumida por ${session.handoff.agentName}`);
+    }
+
+    if (session.handoff?.agentId !== agent.id) {
+      this.sessionManager.startHandoff(sessionId, agent);
+    }
+
+    return session;
+  }
+
+  release(sessionId, agent) {
+    this.getClaimedSession(sessionId, agent);
+    this.sessionManager.endHandoff(sessionId, 'released');
+  }
+
+  /**
+   * Registra a resposta do atendente na transcrição e entrega ao visitante
+   */
+  sendReply(sessionId, agent, content) {
+    this.getClaimedSession(sessionId, agent);
+
+    const text = typeof content === 'string' ? content.trim() : '';
+    if (!text) {
+      throw createHandoffError('INVALID_MESSAGE', 'Mensagem vazia');
+    }
+
+    const reply = this.sessionManager.addMessage(sessionId, {
+      role: 'assistant',
+      content: text,
+      tokens: Math.ceil(text.length / 4),
+      metadata: { from: 'agent', agentId: agent.id, agentName: agent.name }
+    });
+
+    this.sendToVisitors(sessionId, {
+      type: 'chat_response',
+      from: 'agent',
+      agent: { name: agent.name },
+      messageId: reply.id,
+      content: text,
+      timestamp: reply.timestamp.toISOString(),
+      sessionId,
+      assistantMessageId: reply.id
+    });
+
+    return reply;
+  }
+
+  /**
+   * Sessões em andamento, com atividade mais recente primeiro
+   */
+  listSessions() {
+    return Array.from(this.sessionManager.sessions.values())
+      .filter(session => session.status !== 'ended')
+      .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity))
+      .map(session => this.summarizeSession(session));
+  }
+
+  summarizeSession(session) {
+    const lastMessage = session.messageHistory[session.messageHistory.length - 1];
+
+    return {
+      sessionId: session.id,
+      profileId: session.profileId,
+      status: session.status,
+      customerName: session.context.customerName,
+      stage: session.context.stage,
+      topic: session.context.currentTopic,
+      messageCount: session.metadata.messageCount,
+      lastActivity: session.lastActivity,
+      lastMessage: lastMessage ? {
+        from: this.sessionManager.getMessageAuthor(lastMessage),
+        content: lastMessage.content.slice(0, LAST_MESSAGE_PREVIEW_LENGTH)
+      } : null,
+      handoff: session.handoff || null,
+      visitorOnline: this.isVisitorOnline(session.id)
+    };
+  }
+
+  formatMessage(message) {
+    return {
+      id: message.id,
+      role: message.role,
+      from: this.sessionManager.getMessageAuthor(message),
+      content: message.content,
+      timestamp: message.timestamp,
+      metadata: message.metadata
+    };
+  }
+
+  broadcastSession(session) {
+    if (!session || this.agentConnections.size === 0) return;
+
+    const frame = { type: 'session_updated', session: this.summarizeSession(session) };
+    this.agentConnections.forEach((agent, ws) => this.send(ws, frame));
+  }
+
+  sendToAgent(agentId, frame) {
+    this.agentConnections.forEach((agent, ws) => {
+      if (agent.id === agentId) this.send(ws, frame);
+    });
+  }
+
+  sendToVisitors(sessionId, frame) {
+    this.visitors.get(sessionId)?.forEach(ws => this.send(ws, frame));
+  }
+
+  send(ws, frame) {
+    if (ws.readyState !== ws.OPEN) return;
+    ws.send(JSON.stringify({ timestamp: new Date().toISOString(), ...frame }));
+  }
+
+  /**
+   * Encerra as conexões dos atendentes (as sessões assumidas voltam ao bot)
+   */
+  close() {
+    this.agentConnections.forEach((agent, ws) => ws.close(1001, 'Servidor reiniciando'));
+  }
+}
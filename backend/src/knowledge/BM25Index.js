@@ -0,0 +1,90 @@
+/**
+ * Palavras muito frequentes em português que não ajudam na busca
+ */
+const STOPWORDS = new Set([
+  'a', 'ao', 'aos', 'as', 'ate', 'com', 'como', 'da', 'das', 'de', 'do', 'dos', 'e', 'ela', 'ele',
+  'em', 'entre', 'era', 'essa', 'esse', 'esta', 'este', 'eu', 'foi', 'ha', 'isso', 'isto', 'ja',
+  'mais', 'mas', 'me', 'meu', 'minha', 'muito', 'na', 'nas', 'nao', 'no', 'nos', 'o', 'os', 'ou',
+  'para', 'pela', 'pelo', 'por', 'qual', 'quais', 'quando', 'que', 'se', 'sem', 'ser', 'seu', 'sua',
+  'sao', 'so', 'tem', 'um', 'uma', 'voce', 'voces', 'vcs', 'vc'
+]);
+
+/**
+ * Normaliza o texto em termos de busca: minúsculas, sem acentos e sem stopwords
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+/**
+ * Índice invertido com ranqueamento BM25 (Okapi)
+ */
+export class BM25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documents = new Map(); // id -> { length, terms: Map<termo, frequência> }
+    this.documentFrequency = new Map(); // termo -> nº de documentos com o termo
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  add(id, text) {
+    const tokens = tokenize(text);
+    const terms = new Map();
+    tokens.forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+
+    terms.forEach((_, term) => {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    });
+
+    this.documents.set(id, { length: tokens.length, terms });
+    this.totalLength += tokens.length;
+  }
+
+  idf(term) {
+    const frequency = this.documentFrequency.get(term) || 0;
+    return Math.log(1 + (this.documents.size - frequency + 0.5) / (frequency + 0.5));
+  }
+
+  /**
+   * @returns {Array} [{ id, score }] em ordem decrescente, apenas documentos com algum termo da consulta
+   */
+  search(query, limit = 10) {
+    const queryTerms = Array.from(new Set(tokenize(query))).filter(term => this.documentFrequency.has(term));
+    if (queryTerms.length === 0) {
+      return [];
+    }
+
+    const averageLength = this.totalLength / this.documents.size || 1;
+    const results = [];
+
+    this.documents.forEach((document, id) => {
+      let score = 0;
+
+      queryTerms.forEach(term => {
+        const frequency = document.terms.get(term);
+        if (!frequency) return;
+
+        const normalization = this.k1 * (1 - this.b + this.b * (document.length / averageLength));
+        score += this.idf(term) * (frequency * (this.k1 + 1)) / (frequency + normalization);
+      });
+
+      if (score > 0) {
+        results.push({ id, score });
+      }
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+export default BM25Index;
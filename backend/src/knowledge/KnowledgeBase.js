@@ -0,0 +1,266 @@
+import { promises as fs } from 'fs';
+import { join, relative, extname, sep } from 'path';
+import { BM25Index } from './BM25Index.js';
+import { DOCUMENT_EXTENSIONS, parseDocument, chunkText } from './documentLoaders.js';
+import logger from '../utils/logger.js';
+
+const EMBEDDING_BATCH_SIZE = 64;
+const EXCERPT_LENGTH = 240;
+
+/**
+ * Base de conhecimento local (RAG)
+ * Lê arquivos Markdown, texto (inclusive extraído de PDF) e CSV de um diretório,
+ * divide em trechos e indexa com BM25; com embeddings habilitados, combina a
+ * similaridade semântica calculada pelo provedor ativo. Os trechos mais relevantes
+ * para cada mensagem entram no prompt numerados ([1], [2]) e voltam ao cliente como fontes
+ */
+export class KnowledgeBase {
+  constructor(config = {}) {
+    this.aiManager = config.aiManager || null;
+    this.config = {
+      directory: config.directory || null,
+      topK: config.topK || 3,
+      chunkSize: config.chunkSize || 800,
+      chunkOverlap: config.chunkOverlap ?? 100,
+      embeddings: config.embeddings === true, // Similaridade via provedor (createEmbeddings)
+      embeddingModel: config.embeddingModel || undefined,
+      embeddingWeight: config.embeddingWeight ?? 0.5, // Peso da similaridade semântica na pontuação final
+      minSimilarity: config.minSimilarity ?? 0.3 // Trechos sem termos da consulta precisam desta similaridade
+    };
+
+    this.documents = []; // [{ id, title, chunks }]
+    this.chunks = new Map(); // chunkId -> { id, documentId, title, source, section, text, embedding }
+    this.index = new BM25Index();
+    this.embeddingsReady = false;
+    this.loadedAt = null;
+  }
+
+  /**
+   * Lê os documentos do diretório e monta o índice
+   * Diretório ausente deixa a base vazia (o chat segue sem trechos)
+   */
+  async initialize() {
+    await this.reload();
+  }
+
+  async reload() {
+    const files = await this.listFiles();
+    const documents = [];
+    const chunks = new Map();
+    const index = new BM25Index();
+
+    for (const file of files) {
+      try {
+        const content = await fs.readFile(join(this.config.directory, file), 'utf8');
+        const document = this.buildDocument(file, content);
+
+        document.chunks.forEach(chunk => {
+          chunks.set(chunk.id, chunk);
+          index.add(chunk.id, [chunk.title, chunk.section, chunk.text].filter(Boolean).join('\n'));
+        });
+        documents.push({ id: document.id, title: document.title, chunks: document.chunks.length });
+      } catch (error) {
+        logger.error('Erro ao ler documento da base de conhecimento', { file, error: error.message });
+      }
+    }
+
+    this.documents = documents;
+    this.chunks = chunks;
+    this.index = index;
+    this.embeddingsReady = false;
+    this.loadedAt = new Date().toISOString();
+
+    if (this.config.embeddings && chunks.size > 0) {
+      await this.embedChunks();
+    }
+
+    logger.info('Base de conhecimento carregada', {
+      directory: this.config.directory,
+      documents: documents.length,
+      chunks: chunks.size,
+      embeddings: this.embeddingsReady
+    });
+  }
+
+  /**
+   * Arquivos suportados do diretório e subdiretórios (caminhos relativos, ordenados)
+   */
+  async listFiles() {
+    if (!this.config.directory) {
+      return [];
+    }
+
+    try {
+      const entries = await fs.readdir(this.config.directory, { recursive: true, withFileTypes: true });
+      return entries
+        .filter(entry => entry.isFile() && DOCUMENT_EXTENSIONS.includes(extname(entry.name).toLowerCase()))
+        .map(entry => relative(this.config.directory, join(entry.parentPath || entry.path, entry.name)).split(sep).join('/'))
+        .sort();
+    } catch (error) {
+      logger.warn('Diretório da base de conhecimento não encontrado', {
+        directory: this.config.directory,
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  buildDocument(file, content) {
+    const { title, sections } = parseDocument(content, file);
+    const chunks = [];
+
+    sections.forEach(({ section, text }) => {
+      chunkText(text, this.config).forEach(chunk => {
+        chunks.push({
+          id: `${file}#${chunks.length + 1}`,
+          documentId: file,
+          title,
+          source: file,
+          section,
+          text: chunk
+        });
+      });
+    });
+
+    return { id: file, title, chunks };
+  }
+
+  /**
+   * Calcula os embeddings dos trechos em lotes; falhas desativam a busca semântica
+   */
+  async embedChunks() {
+    const chunks = Array.from(this.chunks.values());
+
+    try {
+      for (let start = 0; start < chunks.length; start += EMBEDDING_BATCH_SIZE) {
+        const batch = chunks.slice(start, start + EMBEDDING_BATCH_SIZE);
+        const embeddings = await this.aiManager.createEmbeddings(
+          batch.map(chunk => [chunk.title, chunk.section, chunk.text].filter(Boolean).join('\n')),
+          { model: this.config.embeddingModel }
+        );
+        batch.forEach((chunk, index) => {
+          chunk.embedding = embeddings[index];
+        });
+      }
+      this.embeddingsReady = true;
+    } catch (error) {
+      logger.warn('Embeddings indisponíveis, usando apenas BM25', { error: error.message });
+      chunks.forEach(chunk => delete chunk.embedding);
+      this.embeddingsReady = false;
+    }
+  }
+
+  /**
+   * Trechos mais relevantes para a consulta
+   * @returns {Promise<Array>} [{ id, documentId, title, source, section, text, score }]
+   */
+  async search(query, { limit = this.config.topK } = {}) {
+    if (!query || this.chunks.size === 0) {
+      return [];
+    }
+
+    const lexical = this.index.search(query, this.embeddingsReady ? this.chunks.size : limit);
+    const topScore = lexical[0]?.score || 1;
+    const scores = new Map(lexical.map(({ id, score }) => [id, { lexical: score / topScore, semantic: 0 }]));
+
+    if (this.embeddingsReady) {
+      try {
+        const [queryEmbedding] = await this.aiManager.createEmbeddings([query], { model: this.config.embeddingModel });
+
+        this.chunks.forEach((chunk, id) => {
+          const similarity = cosineSimilarity(queryEmbedding, chunk.embedding);
+          if (scores.has(id) || similarity >= this.config.minSimilarity) {
+            scores.set(id, { lexical: scores.get(id)?.lexical || 0, semantic: similarity });
+          }
+        });
+      } catch (error) {
+        logger.warn('Erro ao calcular embedding da consulta, usando apenas BM25', { error: error.message });
+      }
+    }
+
+    const weight = this.embeddingsReady ? this.config.embeddingWeight : 0;
+
+    return Array.from(scores.entries())
+      .map(([id, { lexical: lexicalScore, semantic }]) => {
+        const { documentId, title, source, section, text } = this.chunks.get(id);
+        return {
+          id,
+          documentId,
+          title,
+          source,
+          section,
+          text,
+          score: Number(((1 - weight) * lexicalScore + weight * semantic).toFixed(4))
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Bloco do prompt de sistema com os trechos numerados para citação
+   */
+  formatContext(passages) {
+    if (!passages.length) {
+      return '';
+    }
+
+    const blocks = passages.map((passage, index) => {
+      const origin = [passage.title, passage.section].filter(Boolean).join(' — ');
+      return `[${index + 1}] ${origin}\n${passage.text}`;
+    });
+
+    return [
+      '\n\nBase de conhecimento (trechos relevantes para a última mensagem):',
+      ...blocks,
+      'Use apenas estes trechos para informar fatos como preços, horários e procedimentos e cite a fonte com o número entre colchetes, ex.: [1]. Se a resposta não estiver nos trechos, diga que não tem essa informação.'
+    ].join('\n\n');
+  }
+
+  /**
+   * Fontes enviadas ao cliente junto com a resposta
+   */
+  toSources(passages) {
+    return passages.map((passage, index) => ({
+      index: index + 1,
+      title: passage.title,
+      source: passage.source,
+      section: passage.section,
+      excerpt: passage.text.length > EXCERPT_LENGTH ? `${passage.text.slice(0, EXCERPT_LENGTH - 3)}...` : passage.text,
+      score: passage.score
+    }));
+  }
+
+  /**
+   * Resumo para /monitoring/health/detailed
+   */
+  getHealthStatus() {
+    return {
+      status: this.config.embeddings && this.chunks.size > 0 && !this.embeddingsReady ? 'warning' : 'ok',
+      directory: this.config.directory,
+      documents: this.documents.length,
+      chunks: this.chunks.size,
+      embeddings: this.embeddingsReady,
+      loadedAt: this.loadedAt
+    };
+  }
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+export default KnowledgeBase;
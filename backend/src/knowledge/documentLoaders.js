@@ -0,0 +1,220 @@
+import { basename, extname } from 'path';
+
+/**
+ * Formatos aceitos na base de conhecimento
+ * .txt cobre o texto extraído de PDFs (páginas separadas por form feed, como no pdftotext)
+ */
+export const DOCUMENT_EXTENSIONS = ['.md', '.markdown', '.txt', '.csv'];
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+/**
+ * Converte o conteúdo de um arquivo em seções de texto
+ * @param {string} content - Conteúdo do arquivo
+ * @param {string} file - Nome ou caminho do arquivo (define o formato)
+ * @returns {Object} { title, sections: [{ section, text }] } section: cabeçalho, página ou linha de origem
+ */
+export function parseDocument(content, file) {
+  const extension = extname(file).toLowerCase();
+  const fallbackTitle = basename(file, extname(file)).replace(/[-_]+/g, ' ');
+
+  switch (extension) {
+    case '.md':
+    case '.markdown':
+      return parseMarkdown(content, fallbackTitle);
+    case '.csv':
+      return { title: fallbackTitle, sections: parseCSVRows(content) };
+    default:
+      return { title: fallbackTitle, sections: parsePlainText(content) };
+  }
+}
+
+/**
+ * Seções por cabeçalho; o nome da seção inclui os cabeçalhos pais ("Planos > Preços")
+ */
+function parseMarkdown(content, fallbackTitle) {
+  const sections = [];
+  const headings = [];
+  let title = null;
+  let lines = [];
+
+  const flush = () => {
+    const text = lines.join('\n').trim();
+    if (text) {
+      sections.push({ section: headings.filter(Boolean).join(' > ') || null, text });
+    }
+    lines = [];
+  };
+
+  content.replace(/\r\n/g, '\n').split('\n').forEach(line => {
+    const match = line.match(HEADING_PATTERN);
+    if (!match) {
+      lines.push(line);
+      return;
+    }
+
+    flush();
+    const level = match[1].length;
+    headings.length = level;
+    headings[level - 1] = match[2];
+    if (level === 1 && !title) {
+      title = match[2];
+    }
+  });
+  flush();
+
+  return { title: title || fallbackTitle, sections };
+}
+
+/**
+ * Texto puro; com mais de uma página (form feed) cada página vira uma seção
+ */
+function parsePlainText(content) {
+  const pages = content.replace(/\r\n/g, '\n').split('\f');
+
+  return pages
+    .map((text, index) => ({ section: pages.length > 1 ? `página ${index + 1}` : null, text: text.trim() }))
+    .filter(page => page.text);
+}
+
+/**
+ * Cada linha do CSV vira uma seção "coluna: valor" (a primeira linha é o cabeçalho)
+ */
+function parseCSVRows(content) {
+  const [header, ...rows] = parseCSV(content);
+  if (!header) {
+    return [];
+  }
+
+  return rows
+    .map((row, index) => ({
+      section: `linha ${index + 2}`,
+      text: header
+        .map((column, columnIndex) => (row[columnIndex] ? `${column.trim()}: ${row[columnIndex].trim()}` : null))
+        .filter(Boolean)
+        .join('\n')
+    }))
+    .filter(row => row.text);
+}
+
+/**
+ * Parser CSV com campos entre aspas (RFC 4180); detecta ; ou , como separador
+ */
+export function parseCSV(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const firstLine = text.split('\n')[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value.trim())) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value.trim())) rows.push(row);
+
+  return rows;
+}
+
+/**
+ * Divide o texto em trechos de até chunkSize caracteres, respeitando parágrafos
+ * e frases; cada trecho repete o final do anterior (chunkOverlap) para manter o contexto
+ */
+export function chunkText(text, { chunkSize = 800, chunkOverlap = 100 } = {}) {
+  const pieces = text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .flatMap(paragraph => splitLongText(paragraph, chunkSize));
+
+  const chunks = [];
+  let current = '';
+
+  pieces.forEach(piece => {
+    if (current && current.length + piece.length + 2 > chunkSize) {
+      chunks.push(current);
+      const overlap = getOverlap(current, chunkOverlap);
+      current = overlap && overlap.length + piece.length + 2 <= chunkSize ? `${overlap}\n\n${piece}` : piece;
+    } else {
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  });
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * Quebra um parágrafo maior que o limite por frases e, se preciso, por palavras
+ */
+function splitLongText(text, limit) {
+  if (text.length <= limit) {
+    return [text];
+  }
+
+  const units = text.match(/[^.!?\n]+[.!?]*\s*/g) || [text];
+  const parts = [];
+  let current = '';
+
+  units.forEach(unit => {
+    const words = unit.length > limit ? unit.split(/(?<=\s)/) : [unit];
+
+    words.forEach(word => {
+      if (current && current.length + word.length > limit) {
+        parts.push(current.trim());
+        current = '';
+      }
+      current += word;
+    });
+  });
+
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+
+  return parts;
+}
+
+/**
+ * Final do trecho com até `size` caracteres, começando em uma palavra inteira
+ */
+function getOverlap(text, size) {
+  if (size <= 0) {
+    return '';
+  }
+
+  const tail = text.slice(-size);
+  const firstSpace = tail.indexOf(' ');
+  return (text.length > size && firstSpace > -1 ? tail.slice(firstSpace + 1) : tail).trim();
+}
@@ -0,0 +1,269 @@
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+
+/**
+ * Regras de captura quando o perfil não define `lead`
+ */
+export const DEFAULT_LEAD_RULES = {
+  requiredSlots: ['nome', 'telefone'], // Captura assim que todos estiverem preenchidos
+  captureStages: ['closing'] // Captura (ou atualiza) ao entrar nestes estágios
+};
+
+const SUMMARY_MAX_LENGTH = 500;
+const DEFAULT_QUERY_LIMIT = 50;
+const MAX_QUERY_LIMIT = 500;
+
+/**
+ * Captura de leads para repasse ao time comercial
+ *
+ * Acompanha os eventos do SessionManager e gera um lead por sessão quando os dados
+ * obrigatórios do perfil são coletados, quando a conversa chega a um estágio de
+ * captura (closing) ou quando a sessão termina. Cada nova versão do lead (mesmo ID)
+ * é gravada em todos os sinks configurados (JSONL, CSV, webhook) e fica no índice
+ * em memória consultado por GET /api/leads
+ */
+export class LeadManager extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.sinks = config.sinks || [];
+    this.config = {
+      maxLeads: config.maxLeads || 5000 // Leads mantidos no índice em memória
+    };
+
+    this.sessionManager = null;
+    this.leads = new Map(); // sessionId -> versão mais recente do lead
+  }
+
+  /**
+   * Conecta os sinks e reconstrói o índice a partir do primeiro sink legível
+   */
+  async initialize() {
+    for (const sink of this.sinks) {
+      try {
+        await sink.connect();
+      } catch (error) {
+        logger.error('Erro ao conectar destino de leads', { sink: sink.sinkName, error: error.message });
+      }
+    }
+
+    for (const sink of this.sinks) {
+      try {
+        const stored = await sink.readAll();
+        if (stored.length > 0) {
+          stored.forEach(lead => this.index(lead));
+          break;
+        }
+      } catch (error) {
+        logger.error('Erro ao ler leads exportados', { sink: sink.sinkName, error: error.message });
+      }
+    }
+
+    logger.info('LeadManager inicializado', {
+      sinks: this.sinks.map(sink => sink.sinkName),
+      leads: this.leads.size
+    });
+  }
+
+  /**
+   * Passa a acompanhar as sessões do SessionManager
+   */
+  attach(sessionManager) {
+    this.sessionManager = sessionManager;
+
+    const captureIfComplete = ({ sessionId }) => {
+      const session = sessionManager.sessions.get(sessionId);
+      if (session && !this.leads.has(sessionId) && this.hasRequiredSlots(session)) {
+        this.capture(session, 'slots_complete');
+      }
+    };
+
+    sessionManager.on('messageAdded', event => {
+      if (event.message.role === 'user') captureIfComplete(event);
+    });
+    sessionManager.on('slotsExtracted', captureIfComplete);
+
+    sessionManager.on('stageChanged', ({ sessionId, to }) => {
+      const session = sessionManager.sessions.get(sessionId);
+      if (session && this.getRules(session).captureStages.includes(to)) {
+        this.capture(session, 'stage_reached');
+      }
+    });
+
+    sessionManager.on('sessionEnded', session => {
+      // Sessões encerradas sem nenhuma mensagem do cliente não viram lead
+      if (this.leads.has(session.id) || session.messageHistory.some(message => message.role === 'user')) {
+        this.capture(session, 'session_ended');
+      }
+    });
+  }
+
+  getRules(session) {
+    return this.sessionManager.getSessionProfile(session).lead || DEFAULT_LEAD_RULES;
+  }
+
+  hasRequiredSlots(session) {
+    const { requiredSlots } = this.getRules(session);
+    const slots = this.sessionManager.getSessionSlots(session);
+
+    return requiredSlots.length > 0 &&
+      requiredSlots.every(slot => slots[slot] !== undefined && slots[slot] !== null && slots[slot] !== '');
+  }
+
+  /**
+   * Gera (ou atualiza) o lead da sessão e exporta para os sinks
+   * Versões sem mudança nos dados da sessão não são reexportadas
+   * @param {string} trigger - slots_complete, stage_reached ou session_ended
+   */
+  async capture(session, trigger) {
+    const previous = this.leads.get(session.id);
+    const lead = this.buildLead(session, trigger, previous);
+
+    if (previous && this.fingerprint(previous) === this.fingerprint(lead)) {
+      return previous;
+    }
+
+    this.index(lead);
+
+    logger.info('Lead capturado', {
+      leadId: lead.id,
+      sessionId: session.id,
+      profileId: lead.profileId,
+      trigger,
+      stage: lead.stage
+    });
+
+    this.emit('leadCaptured', lead);
+    await this.export(lead);
+    return lead;
+  }
+
+  buildLead(session, trigger, previous = null) {
+    const context = session.context || {};
+    const now = new Date().toISOString();
+
+    const customerInfo = Object.fromEntries(
+      Object.entries(context.customerInfo || {}).map(([slot, entry]) => [slot, this.sessionManager.getSlotValue(entry)])
+    );
+
+    return {
+      id: previous?.id || `lead_${session.id}`,
+      sessionId: session.id,
+      profileId: session.profileId,
+      trigger,
+      status: session.status,
+      endReason: session.endReason || null,
+      customerName: context.customerName || null,
+      customerInfo,
+      topic: context.currentTopic || null,
+      stage: context.stage || null,
+      messageCount: session.metadata?.messageCount || 0,
+      summary: this.summarize(session.messageHistory || []),
+      sessionStartedAt: session.createdAt ? new Date(session.createdAt).toISOString() : null,
+      createdAt: previous?.createdAt || now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Resumo da conversa para o atendente: as falas do cliente, em ordem, truncadas
+   */
+  summarize(history) {
+    const summary = history
+      .filter(message => message.role === 'user')
+      .map(message => message.content.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join(' / ');
+
+    return summary.length > SUMMARY_MAX_LENGTH
+      ? summary.slice(0, SUMMARY_MAX_LENGTH - 1) + '…'
+      : summary;
+  }
+
+  /**
+   * Campos que indicam mudança real no lead (ignora gatilho, datas e o motivo do fim:
+   * a sessão já exportada como encerrada não gera outra versão)
+   */
+  fingerprint(lead) {
+    return JSON.stringify([
+      lead.status, lead.customerName, lead.customerInfo,
+      lead.topic, lead.stage, lead.messageCount
+    ]);
+  }
+
+  index(lead) {
+    this.leads.delete(lead.sessionId);
+    this.leads.set(lead.sessionId, lead);
+
+    // Descarta os leads mais antigos do índice (continuam nos sinks)
+    while (this.leads.size > this.config.maxLeads) {
+      this.leads.delete(this.leads.keys().next().value);
+    }
+  }
+
+  async export(lead) {
+    const results = await Promise.allSettled(this.sinks.map(sink => sink.write(lead)));
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        logger.error('Erro ao exportar lead', {
+          leadId: lead.id,
+          sink: this.sinks[index].sinkName,
+          error: result.reason?.message
+        });
+      }
+    });
+  }
+
+  get(leadId) {
+    return Array.from(this.leads.values()).find(lead => lead.id === leadId) || null;
+  }
+
+  /**
+   * Consulta o índice de leads, mais recentes primeiro
+   * @param {Object} filters - { profileId, trigger, stage, topic, since, until, q, limit, offset }
+   *   since/until: datas ISO comparadas com updatedAt; q: busca em nome, resumo e dados do cliente
+   * @returns {{ total: number, leads: Array<Object> }}
+   */
+  query(filters = {}) {
+    const since = filters.since ? Date.parse(filters.since) : null;
+    const until = filters.until ? Date.parse(filters.until) : null;
+    const search = filters.q ? String(filters.q).toLowerCase() : null;
+
+    const matches = Array.from(this.leads.values()).filter(lead => {
+      if (filters.profileId && lead.profileId !== filters.profileId) return false;
+      if (filters.trigger && lead.trigger !== filters.trigger) return false;
+      if (filters.stage && lead.stage !== filters.stage) return false;
+      if (filters.topic && lead.topic !== filters.topic) return false;
+
+      const updatedAt = Date.parse(lead.updatedAt);
+      if (since !== null && updatedAt < since) return false;
+      if (until !== null && updatedAt > until) return false;
+
+      if (search) {
+        const text = [lead.customerName, lead.summary, ...Object.values(lead.customerInfo || {})].join(' ').toLowerCase();
+        if (!text.includes(search)) return false;
+      }
+
+      return true;
+    });
+
+    matches.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+    return {
+      total: matches.length,
+      leads: matches.slice(offset, offset + limit)
+    };
+  }
+
+  getSinksInfo() {
+    return this.sinks.map(sink => sink.getSinkInfo());
+  }
+
+  async close() {
+    await Promise.allSettled(this.sinks.map(sink => sink.close()));
+  }
+}
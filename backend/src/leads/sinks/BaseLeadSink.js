@@ -0,0 +1,50 @@
+/**
+ * Interface base para destinos de exportação de leads
+ * Define a estrutura comum que todos os sinks devem implementar
+ */
+export class BaseLeadSink {
+  constructor(config = {}) {
+    this.config = config;
+    this.sinkName = 'base';
+  }
+
+  /**
+   * Prepara o sink para uso (cria diretório, abre arquivo, etc.)
+   * @returns {Promise<void>}
+   */
+  async connect() {}
+
+  /**
+   * Exporta um lead (nova versão de um lead já exportado usa o mesmo ID)
+   * @param {Object} lead
+   * @returns {Promise<void>}
+   */
+  async write(lead) {
+    throw new Error('write() deve ser implementado pela classe filha');
+  }
+
+  /**
+   * Lê os leads já exportados (apenas a versão mais recente de cada ID)
+   * Sinks que não permitem leitura retornam lista vazia
+   * @returns {Promise<Array<Object>>}
+   */
+  async readAll() {
+    return [];
+  }
+
+  /**
+   * Libera recursos do sink
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Retorna informações sobre o sink
+   * @returns {Object}
+   */
+  getSinkInfo() {
+    return {
+      name: this.sinkName
+    };
+  }
+}
@@ -0,0 +1,69 @@
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import { BaseLeadSink } from './BaseLeadSink.js';
+import logger from '../../utils/logger.js';
+
+export const CSV_COLUMNS = [
+  'id', 'sessionId', 'profileId', 'trigger', 'status', 'endReason', 'customerName',
+  'customerInfo', 'topic', 'stage', 'messageCount', 'summary', 'createdAt', 'updatedAt'
+];
+
+/**
+ * Exporta leads em CSV (uma linha por versão do lead) para abrir em planilhas
+ * customerInfo vai serializado em JSON, já que os campos variam por perfil
+ */
+export class CsvLeadSink extends BaseLeadSink {
+  constructor(config = {}) {
+    super(config);
+    this.sinkName = 'csv';
+    this.filePath = config.path || 'data/leads.csv';
+    this.writeQueue = Promise.resolve();
+  }
+
+  async connect() {
+    await fs.mkdir(dirname(this.filePath), { recursive: true });
+
+    try {
+      await fs.writeFile(this.filePath, CSV_COLUMNS.join(',') + '\r\n', { encoding: 'utf8', flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    logger.info('CsvLeadSink conectado', { path: this.filePath });
+  }
+
+  async write(lead) {
+    const row = CSV_COLUMNS.map(column => this.escape(lead[column])).join(',') + '\r\n';
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => fs.appendFile(this.filePath, row, 'utf8'));
+    return this.writeQueue;
+  }
+
+  /**
+   * Escapa o valor conforme a RFC 4180 e neutraliza fórmulas de planilha
+   * (valores digitados pelo cliente começando com =, +, - ou @)
+   */
+  escape(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  async close() {
+    await this.writeQueue.catch(() => {});
+  }
+
+  getSinkInfo() {
+    return {
+      ...super.getSinkInfo(),
+      path: this.filePath
+    };
+  }
+}
@@ -0,0 +1,65 @@
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import { BaseLeadSink } from './BaseLeadSink.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Exporta leads em JSON Lines: uma linha por versão do lead, sempre no fim do arquivo
+ * Serve também de fonte para reconstruir o índice de GET /api/leads após um restart
+ */
+export class JsonlLeadSink extends BaseLeadSink {
+  constructor(config = {}) {
+    super(config);
+    this.sinkName = 'jsonl';
+    this.filePath = config.path || 'data/leads.jsonl';
+    this.writeQueue = Promise.resolve();
+  }
+
+  async connect() {
+    await fs.mkdir(dirname(this.filePath), { recursive: true });
+    logger.info('JsonlLeadSink conectado', { path: this.filePath });
+  }
+
+  async write(lead) {
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => fs.appendFile(this.filePath, JSON.stringify(lead) + '\n', 'utf8'));
+    return this.writeQueue;
+  }
+
+  async readAll() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const leads = new Map(); // leadId -> versão mais recente
+
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+
+      try {
+        const lead = JSON.parse(line);
+        leads.set(lead.id, lead);
+      } catch (error) {
+        logger.warn('Linha inválida no arquivo de leads', { path: this.filePath, line: index + 1 });
+      }
+    });
+
+    return Array.from(leads.values());
+  }
+
+  async close() {
+    await this.writeQueue.catch(() => {});
+  }
+
+  getSinkInfo() {
+    return {
+      ...super.getSinkInfo(),
+      path: this.filePath
+    };
+  }
+}
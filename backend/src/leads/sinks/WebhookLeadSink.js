@@ -0,0 +1,123 @@
+import { createHmac } from 'crypto';
+import { BaseLeadSink } from './BaseLeadSink.js';
+import logger from '../../utils/logger.js';
+
+export const SIGNATURE_HEADER = 'X-Signature-256';
+
+/**
+ * Envia cada lead por POST para um webhook externo (CRM, automação, etc.)
+ *
+ * O corpo JSON é assinado com HMAC-SHA256 do segredo compartilhado no cabeçalho
+ * `X-Signature-256: sha256=<hex>`; o receptor recalcula a assinatura sobre o corpo
+ * bruto para validar a origem. Falhas (erro de rede ou status fora de 2xx) entram
+ * na fila de reenvio com backoff exponencial até `maxRetries` tentativas extras
+ */
+export class WebhookLeadSink extends BaseLeadSink {
+  constructor(config = {}) {
+    super(config);
+    this.sinkName = 'webhook';
+
+    if (!config.url) {
+      throw new Error('URL do webhook de leads não configurada (LEAD_WEBHOOK_URL)');
+    }
+
+    this.url = config.url;
+    this.secret = config.secret || '';
+    this.maxRetries = config.maxRetries ?? 5;
+    this.retryDelay = config.retryDelay || 1000; // Atraso da primeira nova tentativa, dobra a cada falha
+    this.timeout = config.timeout || 10000;
+    this.retryTimers = new Set(); // Reenvios agendados
+    this.closed = false;
+  }
+
+  async connect() {
+    if (!this.secret) {
+      logger.warn('Webhook de leads sem segredo: envios não serão assinados', { url: this.url });
+    }
+  }
+
+  /**
+   * Faz a primeira tentativa de envio; reenvios seguem em segundo plano
+   */
+  async write(lead) {
+    await this.deliver(JSON.stringify(lead), lead.id, 0);
+  }
+
+  sign(body) {
+    return 'sha256=' + createHmac('sha256', this.secret).update(body).digest('hex');
+  }
+
+  async deliver(body, leadId, attempt) {
+    if (this.closed) return;
+
+    try {
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-Lead-Id': leadId
+      };
+      if (this.secret) {
+        headers[SIGNATURE_HEADER] = this.sign(body);
+      }
+
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook respondeu ${response.status}`);
+      }
+
+      logger.debug('Lead enviado ao webhook', { leadId, attempt });
+    } catch (error) {
+      this.scheduleRetry(body, leadId, attempt, error);
+    }
+  }
+
+  scheduleRetry(body, leadId, attempt, error) {
+    if (attempt >= this.maxRetries) {
+      logger.error('Lead descartado após esgotar as tentativas de envio ao webhook', {
+        leadId,
+        attempts: attempt + 1,
+        error: error.message
+      });
+      return;
+    }
+
+    const delay = this.retryDelay * 2 ** attempt;
+    logger.warn('Falha ao enviar lead ao webhook, nova tentativa agendada', {
+      leadId,
+      attempt: attempt + 1,
+      delay,
+      error: error.message
+    });
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      this.deliver(body, leadId, attempt + 1);
+    }, delay);
+    this.retryTimers.add(timer);
+  }
+
+  async close() {
+    this.closed = true;
+
+    if (this.retryTimers.size > 0) {
+      logger.warn('Reenvios de leads pendentes descartados no encerramento', { pending: this.retryTimers.size });
+    }
+
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+  }
+
+  getSinkInfo() {
+    return {
+      ...super.getSinkInfo(),
+      url: this.url,
+      signed: Boolean(this.secret),
+      pendingRetries: this.retryTimers.size
+    };
+  }
+}
@@ -0,0 +1,27 @@
+import { JsonlLeadSink } from './JsonlLeadSink.js';
+import { CsvLeadSink } from './CsvLeadSink.js';
+import { WebhookLeadSink } from './WebhookLeadSink.js';
+
+const sinks = {
+  jsonl: JsonlLeadSink,
+  csv: CsvLeadSink,
+  webhook: WebhookLeadSink
+};
+
+/**
+ * Cria um destino de exportação de leads a partir da configuração
+ * @param {Object} config - { type: 'jsonl' | 'csv' | 'webhook', ...opções do sink }
+ */
+export function createLeadSink(config = {}) {
+  const type = config.type || 'jsonl';
+  const SinkClass = sinks[type];
+
+  if (!SinkClass) {
+    throw new Error(`Destino de leads não suportado: ${type}. Disponíveis: ${Object.keys(sinks).join(', ')}`);
+  }
+
+  return new SinkClass(config);
+}
+
+export { BaseLeadSink } from './BaseLeadSink.js';
+export { JsonlLeadSink, CsvLeadSink, WebhookLeadSink };
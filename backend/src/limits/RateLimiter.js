@@ -0,0 +1,220 @@
+import { TokenBucket } from './TokenBucket.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Mensagens exibidas ao cliente quando um limite é atingido
+ */
+export const LIMIT_MESSAGES = {
+  rate: 'Você está enviando mensagens muito rápido. Aguarde alguns segundos.',
+  budget: 'O limite diário de uso do assistente foi atingido. Tente novamente mais tarde.'
+};
+
+const CLEANUP_INTERVAL = 60 * 1000;
+
+/**
+ * Limites de uso por cliente: frequência (token bucket por IP e por sessão) e
+ * orçamento diário de tokens/custo, contabilizado a partir do `usage` das respostas
+ *
+ * `chat` limita frames chat do WebSocket e `http` as rotas /api/* (um balde de
+ * maxRequests fichas reabastecido a cada windowMs). Orçamentos com valor 0 ficam
+ * desativados e zeram à meia-noite UTC
+ */
+export class RateLimiter {
+  constructor(config = {}) {
+    const windowMs = config.windowMs || 15 * 60 * 1000;
+    const maxRequests = config.maxRequests || 100;
+
+    this.limits = {
+      chat: {
+        ip: { capacity: 20, perMinute: 30, ...config.chat?.ip },
+        session: { capacity: 5, perMinute: 10, ...config.chat?.session }
+      },
+      http: {
+        ip: { capacity: maxRequests, perMinute: maxRequests / (windowMs / 60000) }
+      }
+    };
+
+    this.budget = {
+      dailyTokens: 0, // Total do servidor (protege a cota do provedor)
+      dailyTokensPerIp: 0,
+      dailyTokensPerSession: 0,
+      dailyCost: 0, // USD por dia no servidor
+      costPer1kTokens: 0, // Estimativa de custo quando o provedor não informa
+      ...config.budget
+    };
+
+    this.buckets = new Map(); // "chat:ip:<ip>" -> TokenBucket
+    this.usage = new Map(); // "global" | "ip:<ip>" | "session:<id>" -> { tokens, cost }
+    this.usageDay = this.getDay();
+    this.stats = { rateLimited: 0, budgetExceeded: 0 };
+
+    // Descarta baldes cheios (clientes ociosos)
+    this.cleanupInterval = setInterval(() => this.cleanup(), CLEANUP_INTERVAL);
+    this.cleanupInterval.unref?.();
+  }
+
+  /**
+   * Consome uma ficha de cada balde do cliente e confere os orçamentos
+   * @param {string} kind - chat ou http
+   * @param {Object} client - { ip, sessionId }
+   * @param {Object} options - { budget: confere orçamentos por cliente, globalBudget: confere o do servidor }
+   * @returns {Object|null} null quando liberado; senão { reason, scope, retryAfter, message }
+   */
+  consume(kind, { ip, sessionId } = {}, options = {}) {
+    const { budget = true, globalBudget = kind === 'chat' } = options;
+
+    if (budget) {
+      const exceeded = this.checkBudget({ ip, sessionId }, globalBudget);
+      if (exceeded) {
+        this.stats.budgetExceeded++;
+        logger.warn('Orçamento diário de tokens esgotado', { kind, ip, sessionId, scope: exceeded.scope });
+        return exceeded;
+      }
+    }
+
+    const now = Date.now();
+    const buckets = Object.entries(this.limits[kind] || {})
+      .map(([scope, limit]) => {
+        const id = scope === 'ip' ? ip : sessionId;
+        return id ? { scope, bucket: this.getBucket(`${kind}:${scope}:${id}`, limit, now) } : null;
+      })
+      .filter(Boolean);
+
+    // Só consome quando todos os baldes têm ficha, para não penalizar em dobro
+    const empty = buckets.filter(({ bucket }) => !bucket.hasToken(now));
+    if (empty.length > 0) {
+      const slowest = empty.reduce((a, b) => (b.bucket.getRetryAfter(now) > a.bucket.getRetryAfter(now) ? b : a));
+      this.stats.rateLimited++;
+      logger.warn('Limite de frequência atingido', { kind, ip, sessionId, scope: slowest.scope });
+
+      return {
+        reason: 'rate',
+        scope: slowest.scope,
+        retryAfter: slowest.bucket.getRetryAfter(now),
+        message: LIMIT_MESSAGES.rate
+      };
+    }
+
+    buckets.forEach(({ bucket }) => bucket.take(now));
+    return null;
+  }
+
+  getBucket(key, limit, now) {
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, new TokenBucket({
+        capacity: limit.capacity,
+        refillPerSecond: limit.perMinute / 60
+      }, now));
+    }
+    return this.buckets.get(key);
+  }
+
+  checkBudget({ ip, sessionId }, globalBudget) {
+    this.rollDay();
+
+    const checks = [
+      ['session', sessionId && `session:${sessionId}`, this.budget.dailyTokensPerSession, 'tokens'],
+      ['ip', ip && `ip:${ip}`, this.budget.dailyTokensPerIp, 'tokens'],
+      ...(globalBudget ? [
+        ['global', 'global', this.budget.dailyTokens, 'tokens'],
+        ['global', 'global', this.budget.dailyCost, 'cost']
+      ] : [])
+    ];
+
+    const exceeded = checks.find(([, key, limit, field]) =>
+      key && limit > 0 && (this.usage.get(key)?.[field] || 0) >= limit
+    );
+
+    if (!exceeded) {
+      return null;
+    }
+
+    return {
+      reason: 'budget',
+      scope: exceeded[0],
+      retryAfter: this.getSecondsUntilReset(),
+      message: LIMIT_MESSAGES.budget
+    };
+  }
+
+  /**
+   * Contabiliza o uso de uma resposta do provedor
+   * @param {Object} client - { ip, sessionId }
+   * @param {Object} usage - usage de standardizeResponse ({ totalTokens })
+   * @param {number} [cost] - Custo informado pelo provedor (ex.: OpenRouter); sem ele, estima por costPer1kTokens
+   */
+  recordUsage({ ip, sessionId } = {}, usage = {}, cost = null) {
+    this.rollDay();
+
+    const tokens = usage?.totalTokens || 0;
+    const spent = typeof cost === 'number' ? cost : tokens / 1000 * this.budget.costPer1kTokens;
+
+    ['global', ip && `ip:${ip}`, sessionId && `session:${sessionId}`].filter(Boolean).forEach(key => {
+      const entry = this.usage.get(key) || { tokens: 0, cost: 0 };
+      entry.tokens += tokens;
+      entry.cost += spent;
+      this.usage.set(key, entry);
+    });
+  }
+
+  getDay(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+  }
+
+  rollDay() {
+    const today = this.getDay();
+    if (today !== this.usageDay) {
+      this.usage.clear();
+      this.usageDay = today;
+    }
+  }
+
+  getSecondsUntilReset(now = Date.now()) {
+    const nextDay = new Date(now);
+    nextDay.setUTCHours(24, 0, 0, 0);
+    return Math.ceil((nextDay.getTime() - now) / 1000);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.isFull(now)) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Resumo para /monitoring/health/detailed: warning a partir de 90% do orçamento do servidor
+   */
+  getHealthStatus() {
+    this.rollDay();
+    const global = this.usage.get('global') || { tokens: 0, cost: 0 };
+
+    const ratios = [
+      this.budget.dailyTokens > 0 ? global.tokens / this.budget.dailyTokens : 0,
+      this.budget.dailyCost > 0 ? global.cost / this.budget.dailyCost : 0
+    ];
+
+    return {
+      status: Math.max(...ratios) >= 0.9 ? 'warning' : 'ok',
+      day: this.usageDay,
+      usage: { tokens: global.tokens, cost: Number(global.cost.toFixed(6)) },
+      budget: {
+        dailyTokens: this.budget.dailyTokens,
+        dailyCost: this.budget.dailyCost
+      },
+      trackedBuckets: this.buckets.size,
+      ...this.stats
+    };
+  }
+
+  close() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+  }
+}
+
+export default RateLimiter;
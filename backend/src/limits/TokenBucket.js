@@ -0,0 +1,43 @@
+/**
+ * Balde de fichas (token bucket): comporta até `capacity` fichas e recebe
+ * `refillPerSecond` fichas por segundo; cada requisição consome uma
+ */
+export class TokenBucket {
+  constructor({ capacity, refillPerSecond }, now = Date.now()) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  refill(now = Date.now()) {
+    const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  hasToken(now = Date.now()) {
+    this.refill(now);
+    return this.tokens >= 1;
+  }
+
+  take(now = Date.now()) {
+    this.refill(now);
+    this.tokens -= 1;
+  }
+
+  /**
+   * Segundos até a próxima ficha disponível (0 quando já há ficha)
+   */
+  getRetryAfter(now = Date.now()) {
+    this.refill(now);
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerSecond);
+  }
+
+  isFull(now = Date.now()) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+}
+
+export default TokenBucket;
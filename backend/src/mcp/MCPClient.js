@@ -0,0 +1,257 @@
+import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+import logger from '../utils/logger.js';
+
+const PROTOCOL_VERSION = '2024-11-05';
+
+/**
+ * Cliente Model Context Protocol via stdio
+ * Inicia o servidor MCP como processo filho e troca mensagens JSON-RPC 2.0
+ * delimitadas por quebra de linha (transporte stdio da especificação MCP)
+ */
+export class MCPClient extends EventEmitter {
+  constructor(name, config = {}) {
+    super();
+
+    this.name = name;
+    this.config = {
+      command: config.command,
+      args: config.args || [],
+      env: config.env || {},
+      cwd: config.cwd,
+      requestTimeout: config.requestTimeout || 30000,
+      ...config
+    };
+
+    this.process = null;
+    this.buffer = '';
+    this.nextId = 1;
+    this.pendingRequests = new Map(); // id -> { resolve, reject, timeoutId, method }
+    this.isConnected = false;
+    this.serverInfo = null;
+    this.serverCapabilities = {};
+  }
+
+  /**
+   * Inicia o processo do servidor e executa o handshake initialize
+   */
+  async connect() {
+    if (!this.config.command) {
+      throw new Error(`Servidor MCP '${this.name}' sem command configurado`);
+    }
+
+    logger.info('Iniciando servidor MCP', {
+      server: this.name,
+      command: this.config.command,
+      args: this.config.args
+    });
+
+    this.process = spawn(this.config.command, this.config.args, {
+      cwd: this.config.cwd,
+      env: { ...process.env, ...this.config.env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    this.process.stdout.setEncoding('utf8');
+    this.process.stdout.on('data', (chunk) => this.handleData(chunk));
+
+    this.process.stderr.setEncoding('utf8');
+    this.process.stderr.on('data', (chunk) => {
+      logger.debug('stderr do servidor MCP', { server: this.name, output: chunk.trim() });
+    });
+
+    this.process.on('error', (error) => {
+      logger.error('Erro no processo do servidor MCP', { server: this.name, error: error.message });
+      this.handleExit(error);
+    });
+
+    this.process.on('exit', (code, signal) => {
+      logger.warn('Servidor MCP encerrado', { server: this.name, code, signal });
+      this.handleExit(new Error(`Servidor MCP '${this.name}' encerrado (code ${code})`));
+    });
+
+    const result = await this.request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'chatbot-web-backend', version: '1.0.0' }
+    });
+
+    this.serverInfo = result.serverInfo || null;
+    this.serverCapabilities = result.capabilities || {};
+    this.notify('notifications/initialized');
+    this.isConnected = true;
+
+    logger.info('Servidor MCP conectado', {
+      server: this.name,
+      serverInfo: this.serverInfo,
+      protocolVersion: result.protocolVersion
+    });
+
+    return result;
+  }
+
+  /**
+   * Lista as ferramentas expostas pelo servidor (segue a paginação por cursor)
+   */
+  async listTools() {
+    const tools = [];
+    let cursor;
+
+    do {
+      const result = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(result.tools || []));
+      cursor = result.nextCursor;
+    } while (cursor);
+
+    return tools;
+  }
+
+  /**
+   * Executa uma ferramenta no servidor
+   * @returns {Promise<{content: Array, isError: boolean}>}
+   */
+  async callTool(name, args = {}) {
+    const result = await this.request('tools/call', { name, arguments: args });
+    return {
+      content: result.content || [],
+      isError: result.isError === true
+    };
+  }
+
+  /**
+   * Envia uma requisição JSON-RPC e aguarda a resposta
+   */
+  request(method, params = {}) {
+    if (!this.process || !this.process.stdin.writable) {
+      return Promise.reject(new Error(`Servidor MCP '${this.name}' não está em execução`));
+    }
+
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        const error = new Error(`Timeout aguardando ${method} do servidor MCP '${this.name}'`);
+        error.type = 'timeout';
+        reject(error);
+      }, this.config.requestTimeout);
+
+      this.pendingRequests.set(id, { resolve, reject, timeoutId, method });
+      this.write({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  /**
+   * Envia uma notificação JSON-RPC (sem resposta)
+   */
+  notify(method, params) {
+    this.write({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+  }
+
+  write(message) {
+    this.process.stdin.write(`${JSON.stringify(message)}\n`);
+  }
+
+  /**
+   * Acumula a saída do processo e processa cada linha completa
+   */
+  handleData(chunk) {
+    this.buffer += chunk;
+
+    let newlineIndex;
+    while ((newlineIndex = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newlineIndex).trim();
+      this.buffer = this.buffer.slice(newlineIndex + 1);
+
+      if (line) {
+        this.handleLine(line);
+      }
+    }
+  }
+
+  handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      logger.warn('Linha inválida recebida do servidor MCP', { server: this.name, line });
+      return;
+    }
+
+    // Resposta a uma requisição nossa
+    if (message.id !== undefined && this.pendingRequests.has(message.id)) {
+      const pending = this.pendingRequests.get(message.id);
+      this.pendingRequests.delete(message.id);
+      clearTimeout(pending.timeoutId);
+
+      if (message.error) {
+        const error = new Error(message.error.message || `Erro em ${pending.method}`);
+        error.code = message.error.code;
+        error.data = message.error.data;
+        pending.reject(error);
+      } else {
+        pending.resolve(message.result || {});
+      }
+      return;
+    }
+
+    // Requisição do servidor (ex.: ping) - respondemos para não bloqueá-lo
+    if (message.id !== undefined && message.method) {
+      if (message.method === 'ping') {
+        this.write({ jsonrpc: '2.0', id: message.id, result: {} });
+      } else {
+        this.write({
+          jsonrpc: '2.0',
+          id: message.id,
+          error: { code: -32601, message: `Método não suportado: ${message.method}` }
+        });
+      }
+      return;
+    }
+
+    if (message.method) {
+      this.emit('notification', message);
+    }
+  }
+
+  /**
+   * Rejeita requisições pendentes quando o processo termina
+   */
+  handleExit(error) {
+    const wasConnected = this.isConnected;
+    this.isConnected = false;
+
+    for (const pending of this.pendingRequests.values()) {
+      clearTimeout(pending.timeoutId);
+      pending.reject(error);
+    }
+    this.pendingRequests.clear();
+
+    if (wasConnected) {
+      this.emit('disconnected', { server: this.name, error: error.message });
+    }
+  }
+
+  /**
+   * Encerra o processo do servidor
+   */
+  async close() {
+    if (!this.process) return;
+
+    const child = this.process;
+    this.process = null;
+    this.isConnected = false;
+
+    if (child.exitCode !== null || child.signalCode !== null) return;
+
+    await new Promise((resolve) => {
+      const killTimeout = setTimeout(() => child.kill('SIGKILL'), 2000);
+      child.once('exit', () => {
+        clearTimeout(killTimeout);
+        resolve();
+      });
+      child.stdin.end();
+      child.kill('SIGTERM');
+    });
+  }
+}
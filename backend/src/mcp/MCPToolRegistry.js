@@ -0,0 +1,245 @@
+import { promises as fs } from 'fs';
+import { MCPClient } from './MCPClient.js';
+import logger from '../utils/logger.js';
+
+const TOOL_NAME_SEPARATOR = '__';
+
+/**
+ * Registro de ferramentas MCP
+ * Lê os servidores do arquivo de configuração, conecta a cada um via stdio e
+ * expõe as ferramentas no formato de function calling da OpenAI
+ *
+ * Formato do arquivo:
+ * {
+ *   "mcpServers": {
+ *     "agenda": {
+ *       "command": "node",
+ *       "args": ["servers/agenda.js"],
+ *       "env": {},
+ *       "statusMessage": "consultando agenda…",
+ *       "toolStatus": { "cancelar_horario": "cancelando horário…" }
+ *     }
+ *   }
+ * }
+ */
+export class MCPToolRegistry {
+  constructor(config = {}) {
+    this.config = {
+      serversConfig: config.serversConfig || null, // Caminho do arquivo JSON
+      servers: config.servers || null, // Alternativa: objeto já carregado
+      requestTimeout: config.toolTimeout || 30000,
+      maxToolIterations: config.maxToolIterations || 5
+    };
+
+    this.clients = new Map(); // nome do servidor -> MCPClient
+    this.serverConfigs = new Map(); // nome do servidor -> configuração
+    this.tools = new Map(); // nome qualificado -> { server, name, definition }
+    this.monitoring = config.monitoring || null; // Alertas MCP_CONNECTION_FAILED
+  }
+
+  /**
+   * Carrega a configuração e conecta aos servidores
+   * Falhas em um servidor não impedem os demais de subir
+   */
+  async initialize() {
+    const servers = this.config.servers || await this.loadServersConfig();
+
+    for (const [name, serverConfig] of Object.entries(servers)) {
+      if (serverConfig.disabled) continue;
+
+      try {
+        await this.connectServer(name, serverConfig);
+      } catch (error) {
+        logger.error('Falha ao conectar servidor MCP', { server: name, error: error.message });
+        this.alertConnectionFailed(name, error.message);
+      }
+    }
+
+    logger.info('Registro de ferramentas MCP inicializado', {
+      servers: Array.from(this.clients.keys()),
+      tools: Array.from(this.tools.keys())
+    });
+  }
+
+  async loadServersConfig() {
+    if (!this.config.serversConfig) {
+      return {};
+    }
+
+    try {
+      const content = await fs.readFile(this.config.serversConfig, 'utf8');
+      return JSON.parse(content).mcpServers || {};
+    } catch (error) {
+      logger.error('Erro ao ler configuração de servidores MCP', {
+        path: this.config.serversConfig,
+        error: error.message
+      });
+      return {};
+    }
+  }
+
+  async connectServer(name, serverConfig) {
+    const client = new MCPClient(name, {
+      requestTimeout: this.config.requestTimeout,
+      ...serverConfig
+    });
+
+    try {
+      await client.connect();
+    } catch (error) {
+      await client.close();
+      throw error;
+    }
+
+    const tools = await client.listTools();
+
+    this.clients.set(name, client);
+    this.serverConfigs.set(name, serverConfig);
+
+    tools.forEach(tool => {
+      this.tools.set(this.qualifyName(name, tool.name), {
+        server: name,
+        name: tool.name,
+        definition: tool
+      });
+    });
+
+    client.on('disconnected', ({ error }) => {
+      this.removeServerTools(name);
+      this.clients.delete(name);
+      this.alertConnectionFailed(name, error);
+    });
+
+    this.monitoring?.resolveAlert('MCP_CONNECTION_FAILED', { server: name }, { key: `MCP_CONNECTION_FAILED:${name}` });
+  }
+
+  /**
+   * Servidor fora do ar até reconectar: o alerta não se resolve sozinho
+   */
+  alertConnectionFailed(name, error) {
+    this.monitoring?.sendAlert('MCP_CONNECTION_FAILED', { server: name, error }, {
+      key: `MCP_CONNECTION_FAILED:${name}`,
+      autoResolve: false
+    });
+  }
+
+  removeServerTools(serverName) {
+    for (const [qualifiedName, tool] of this.tools.entries()) {
+      if (tool.server === serverName) {
+        this.tools.delete(qualifiedName);
+      }
+    }
+  }
+
+  /**
+   * Prefixa a ferramenta com o servidor para evitar colisões entre servidores
+   * (nomes de função da OpenAI aceitam apenas [a-zA-Z0-9_-], até 64 caracteres)
+   */
+  qualifyName(serverName, toolName) {
+    return `${serverName}${TOOL_NAME_SEPARATOR}${toolName}`
+      .replace(/[^a-zA-Z0-9_-]/g, '_')
+      .substring(0, 64);
+  }
+
+  hasTools() {
+    return this.tools.size > 0;
+  }
+
+  /**
+   * Ferramentas no formato `tools` da API de chat completions
+   */
+  getToolDefinitions() {
+    return Array.from(this.tools.entries()).map(([qualifiedName, tool]) => ({
+      type: 'function',
+      function: {
+        name: qualifiedName,
+        description: tool.definition.description || tool.name,
+        parameters: tool.definition.inputSchema || { type: 'object', properties: {} }
+      }
+    }));
+  }
+
+  /**
+   * Texto de status exibido no widget enquanto a ferramenta executa
+   */
+  getToolStatus(qualifiedName) {
+    const tool = this.tools.get(qualifiedName);
+    if (!tool) {
+      return 'Consultando informações…';
+    }
+
+    const serverConfig = this.serverConfigs.get(tool.server) || {};
+    return serverConfig.toolStatus?.[tool.name] ||
+      serverConfig.statusMessage ||
+      `Consultando ${tool.definition.title || tool.name}…`;
+  }
+
+  /**
+   * Executa uma chamada de ferramenta retornada pelo modelo
+   * Erros viram resultado com isError para que o modelo possa reagir a eles
+   * @param {{id: string, name: string, arguments: string}} toolCall
+   */
+  async executeToolCall(toolCall) {
+    const startTime = Date.now();
+    const tool = this.tools.get(toolCall.name);
+
+    if (!tool) {
+      return this.buildResult(toolCall, `Ferramenta desconhecida: ${toolCall.name}`, true, startTime);
+    }
+
+    let args;
+    try {
+      args = toolCall.arguments ? JSON.parse(toolCall.arguments) : {};
+    } catch (error) {
+      return this.buildResult(toolCall, `Argumentos inválidos: ${error.message}`, true, startTime);
+    }
+
+    try {
+      const client = this.clients.get(tool.server);
+      const result = await client.callTool(tool.name, args);
+      const text = result.content
+        .map(item => (item.type === 'text' ? item.text : JSON.stringify(item)))
+        .join('\n');
+
+      return this.buildResult(toolCall, text, result.isError, startTime);
+    } catch (error) {
+      logger.error('Erro ao executar ferramenta MCP', {
+        tool: toolCall.name,
+        server: tool.server,
+        error: error.message
+      });
+      return this.buildResult(toolCall, `Erro ao executar ferramenta: ${error.message}`, true, startTime);
+    }
+  }
+
+  buildResult(toolCall, content, isError, startTime) {
+    return {
+      toolCallId: toolCall.id,
+      name: toolCall.name,
+      server: this.tools.get(toolCall.name)?.server || null,
+      content,
+      isError,
+      duration: Date.now() - startTime
+    };
+  }
+
+  getStats() {
+    return {
+      servers: Array.from(this.clients.entries()).map(([name, client]) => ({
+        name,
+        isConnected: client.isConnected,
+        serverInfo: client.serverInfo
+      })),
+      tools: Array.from(this.tools.keys())
+    };
+  }
+
+  /**
+   * Encerra todos os servidores
+   */
+  async close() {
+    await Promise.all(Array.from(this.clients.values()).map(client => client.close()));
+    this.clients.clear();
+    this.tools.clear();
+  }
+}
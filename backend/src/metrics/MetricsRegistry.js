@@ -0,0 +1,313 @@
+import logger from '../utils/logger.js';
+
+// Limites padrão dos histogramas, em segundos
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+function createMetricError(message) {
+  const error = new Error(message);
+  error.code = 'METRIC_INVALID';
+  return error;
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Métrica com séries por combinação de labels
+ * `collect(metric)`, quando informado, atualiza os valores antes de cada exposição
+ */
+class Metric {
+  constructor(type, { name, help, labelNames = [], collect = null }) {
+    if (!METRIC_NAME.test(name || '')) {
+      throw createMetricError(`Nome de métrica inválido: ${name}`);
+    }
+    labelNames.forEach(label => {
+      if (!LABEL_NAME.test(label) || label.startsWith('__')) {
+        throw createMetricError(`Label inválida em ${name}: ${label}`);
+      }
+    });
+
+    this.type = type;
+    this.name = name;
+    this.help = help || name;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    this.series = new Map(); // valores das labels unidos por \u0000 -> série
+  }
+
+  getSeries(labels = {}) {
+    Object.keys(labels).forEach(label => {
+      if (!this.labelNames.includes(label)) {
+        throw createMetricError(`Label desconhecida em ${this.name}: ${label}`);
+      }
+    });
+
+    const values = this.labelNames.map(label => String(labels[label] ?? ''));
+    const key = values.join('\u0000');
+
+    if (!this.series.has(key)) {
+      this.series.set(key, {
+        labels: Object.fromEntries(this.labelNames.map((label, index) => [label, values[index]])),
+        ...this.createSeries()
+      });
+    }
+
+    return this.series.get(key);
+  }
+
+  createSeries() {
+    return { value: 0 };
+  }
+
+  get(labels = {}) {
+    return this.getSeries(labels).value;
+  }
+
+  /**
+   * Remove as séries; sem labels a série volta a ser exposta com zero
+   */
+  reset() {
+    this.series.clear();
+    if (this.labelNames.length === 0) {
+      this.getSeries({});
+    }
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    this.series.forEach(series => lines.push(...this.renderSeries(series)));
+    return lines;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+    this.reset();
+  }
+
+  /**
+   * inc(labels, value) ou inc(value)
+   */
+  inc(labels = {}, value = 1) {
+    if (typeof labels === 'number') {
+      [labels, value] = [{}, labels];
+    }
+    if (!(value >= 0)) {
+      throw createMetricError(`Contador ${this.name} só pode aumentar`);
+    }
+    this.getSeries(labels).value += value;
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+    this.reset();
+  }
+
+  /**
+   * set(labels, value) ou set(value)
+   */
+  set(labels, value) {
+    if (typeof labels === 'number') {
+      [labels, value] = [{}, labels];
+    }
+    this.getSeries(labels).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    if (typeof labels === 'number') {
+      [labels, value] = [{}, labels];
+    }
+    this.getSeries(labels).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    if (typeof labels === 'number') {
+      [labels, value] = [{}, labels];
+    }
+    this.getSeries(labels).value -= value;
+  }
+}
+
+/**
+ * Histograma com buckets cumulativos (_bucket{le}), _sum e _count
+ */
+export class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    if (options.labelNames?.includes('le')) {
+      throw createMetricError(`A label "le" é reservada em histogramas (${options.name})`);
+    }
+
+    super('histogram', options);
+
+    // +Inf é sempre exposto a partir de _count
+    this.buckets = [...new Set(buckets)].filter(bound => Number.isFinite(bound)).sort((a, b) => a - b);
+    if (this.buckets.length === 0) {
+      throw createMetricError(`Histograma ${options.name} sem buckets`);
+    }
+    this.reset();
+  }
+
+  createSeries() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  /**
+   * observe(labels, value) ou observe(value)
+   */
+  observe(labels, value) {
+    if (typeof labels === 'number') {
+      [labels, value] = [{}, labels];
+    }
+
+    const series = this.getSeries(labels);
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      series.counts[index]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Mede a duração em segundos até a função devolvida ser chamada
+   * @returns {Function} end(labels) - labels somadas às do início
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  get(labels = {}) {
+    const series = this.getSeries(labels);
+    return {
+      buckets: Object.fromEntries(this.buckets.map((bound, index) => [bound, series.counts[index]])),
+      sum: series.sum,
+      count: series.count
+    };
+  }
+
+  renderSeries(series) {
+    const lines = [];
+    let cumulative = 0;
+
+    this.buckets.forEach((bound, index) => {
+      cumulative += series.counts[index];
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${cumulative}`);
+    });
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+
+    return lines;
+  }
+}
+
+const METRIC_TYPES = { counter: Counter, gauge: Gauge, histogram: Histogram };
+
+/**
+ * Registro de métricas exposto no formato texto do Prometheus (0.0.4)
+ *
+ * counter/gauge/histogram devolvem a métrica já registrada com o mesmo nome,
+ * para que cada módulo declare as suas sem depender da ordem de importação
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map(); // nome -> métrica
+  }
+
+  counter(options) {
+    return this.register('counter', options);
+  }
+
+  gauge(options) {
+    return this.register('gauge', options);
+  }
+
+  histogram(options) {
+    return this.register('histogram', options);
+  }
+
+  register(type, options) {
+    const existing = this.metrics.get(options.name);
+
+    if (existing) {
+      if (existing.type !== type || existing.labelNames.join() !== (options.labelNames || []).join()) {
+        throw createMetricError(`Métrica ${options.name} já registrada com outro tipo ou labels`);
+      }
+      if (options.collect) {
+        existing.collect = options.collect;
+      }
+      return existing;
+    }
+
+    const metric = new METRIC_TYPES[type](options);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  get(name) {
+    return this.metrics.get(name) || null;
+  }
+
+  /**
+   * Zera as séries de todas as métricas (mantém o registro)
+   */
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+
+  /**
+   * Exposição de todas as métricas; falhas de coleta não derrubam as demais
+   */
+  render() {
+    const blocks = [];
+
+    this.metrics.forEach(metric => {
+      if (metric.collect) {
+        try {
+          metric.collect(metric);
+        } catch (error) {
+          logger.error('Falha ao coletar métrica', { metric: metric.name, error: error.message });
+        }
+      }
+      blocks.push(metric.render().join('\n'));
+    });
+
+    return blocks.length > 0 ? `${blocks.join('\n\n')}\n` : '';
+  }
+}
+
+export default MetricsRegistry;
@@ -0,0 +1,8 @@
+import { MetricsRegistry } from './MetricsRegistry.js';
+
+export { MetricsRegistry, Counter, Gauge, Histogram, DEFAULT_BUCKETS, PROMETHEUS_CONTENT_TYPE } from './MetricsRegistry.js';
+
+// Registro único do processo, exposto em /monitoring/metrics/prometheus
+const metrics = new MetricsRegistry();
+
+export default metrics;
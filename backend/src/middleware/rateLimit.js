@@ -0,0 +1,28 @@
+import { createErrorResponse } from './errorHandler.js';
+
+/**
+ * Limita as rotas /api/* por IP (e por sessão, com o header X-Session-Id)
+ * Responde 429 com Retry-After quando o cliente excede o limite ou o orçamento diário
+ * @param {RateLimiter} rateLimiter
+ */
+export function createRateLimitMiddleware(rateLimiter) {
+  return (req, res, next) => {
+    const limited = rateLimiter.consume('http', {
+      ip: req.ip,
+      sessionId: req.get('X-Session-Id')
+    });
+
+    if (!limited) {
+      return next();
+    }
+
+    res.set('Retry-After', String(limited.retryAfter));
+    res.status(429).json(createErrorResponse(
+      limited.reason === 'budget' ? 'BUDGET_EXCEEDED' : 'RATE_LIMITED',
+      limited.message,
+      { retryAfter: limited.retryAfter, scope: limited.scope }
+    ));
+  };
+}
+
+export default createRateLimitMiddleware;
@@ -0,0 +1,22 @@
+import { createErrorResponse } from './errorHandler.js';
+import logger, { redactUrl } from '../utils/logger.js';
+
+/**
+ * Autentica o visitante das rotas HTTP do widget com o mesmo JWT do upgrade do /ws
+ * (Authorization: Bearer) e preenche req.visitor (null se anônimo)
+ * Responde 401 com token inválido, expirado ou ausente quando obrigatório
+ * @param {VisitorAuthenticator|null} visitorAuth
+ */
+export function createVisitorAuthMiddleware(visitorAuth) {
+  return (req, res, next) => {
+    try {
+      req.visitor = visitorAuth ? visitorAuth.authenticate(req) : null;
+      next();
+    } catch (error) {
+      logger.warn('Token de visitante recusado', { path: redactUrl(req.originalUrl), ip: req.ip, code: error.code });
+      res.status(401).json(createErrorResponse(error.code, error.message));
+    }
+  };
+}
+
+export default createVisitorAuthMiddleware;
@@ -0,0 +1,236 @@
+import { promises as fs } from 'fs';
+import { extname, join } from 'path';
+import yaml from 'js-yaml';
+import logger from '../utils/logger.js';
+import { StageMachine, DEFAULT_STAGE_MACHINE } from '../session/StageMachine.js';
+import { DEFAULT_SLOT_SCHEMA } from '../session/SlotExtractor.js';
+import { DEFAULT_LEAD_RULES } from '../leads/LeadManager.js';
+
+export const DEFAULT_PROFILE_ID = 'default';
+export const DEFAULT_SYSTEM_PROMPT = 'Você é um assistente virtual útil e amigável.';
+
+const PROFILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const AI_FIELDS = ['provider', 'model', 'temperature', 'maxTokens'];
+const BRANDING_FIELDS = ['title', 'welcomeMessage', 'placeholder', 'primaryColor', 'avatarUrl', 'theme'];
+const LEAD_FIELDS = ['requiredSlots', 'captureStages'];
+
+/**
+ * Perfil embutido, usado quando nenhum arquivo define o perfil `default`
+ * Mantém o dicionário de tópicos da clínica de estética original
+ */
+export const DEFAULT_BOT_PROFILE = {
+  id: DEFAULT_PROFILE_ID,
+  name: 'Assistente Virtual',
+  topics: {
+    'botox': ['botox', 'rugas', 'expressão'],
+    'emagrecimento': ['emagrecer', 'perder peso', 'gordura'],
+    'criolipólise': ['criolipólise', 'gordura localizada'],
+    'estrias': ['estrias', 'marca'],
+    'vasinhos': ['vasinhos', 'varizes', 'veias'],
+    'limpeza': ['limpeza de pele', 'acne', 'cravos']
+  }
+};
+
+/**
+ * Registro de perfis de bot (multi-tenant)
+ * Cada arquivo JSON/YAML do diretório configurado define um perfil com prompt,
+ * provedor/modelo, dicionário de tópicos, funil de estágios e branding do widget
+ *
+ * Formato do arquivo:
+ * {
+ *   "id": "imobiliaria",
+ *   "name": "Imobiliária Central",
+ *   "origins": ["https://www.imobiliariacentral.com.br"],
+ *   "systemPrompt": "Você é o corretor virtual da Imobiliária Central...",
+ *   "ai": { "provider": "openrouter", "model": "openai/gpt-4o-mini", "temperature": 0.4 },
+ *   "topics": { "aluguel": ["alugar", "aluguel"] },
+ *   "slots": { "bairro": { "type": "string", "description": "Bairro desejado" } }, // dados extraídos
+ *   "stageInstructions": { "closing": "Ofereça agendar uma visita." }, // ajusta o funil padrão
+ *   "stages": { "initial": "...", "states": {...}, "transitions": [...] }, // ou funil próprio (StageMachine)
+ *   "lead": { "requiredSlots": ["nome", "telefone"], "captureStages": ["closing"] }, // captura de leads
+ *   "branding": { "title": "Central Imóveis", "primaryColor": "#0a7d4f" }
+ * }
+ */
+export class BotProfileRegistry {
+  constructor(config = {}) {
+    this.config = {
+      directory: config.directory || null, // Diretório com os arquivos de perfil
+      profiles: config.profiles || null, // Alternativa: lista de perfis já carregada
+      systemPrompt: config.systemPrompt || DEFAULT_SYSTEM_PROMPT // Prompt de perfis sem systemPrompt
+    };
+
+    this.profiles = new Map(); // profileId -> perfil normalizado
+    this.origins = new Map(); // origem -> profileId
+
+    this.register(DEFAULT_BOT_PROFILE);
+  }
+
+  /**
+   * Carrega os perfis do diretório configurado
+   * Arquivos inválidos são ignorados para não derrubar os demais perfis
+   */
+  async initialize() {
+    const rawProfiles = this.config.profiles || await this.loadProfilesFromDirectory();
+
+    for (const rawProfile of rawProfiles) {
+      try {
+        this.register(rawProfile);
+      } catch (error) {
+        logger.error('Perfil de bot inválido', { profile: rawProfile?.id, error: error.message });
+      }
+    }
+
+    logger.info('Perfis de bot carregados', {
+      profiles: Array.from(this.profiles.keys()),
+      origins: Array.from(this.origins.keys())
+    });
+  }
+
+  async loadProfilesFromDirectory() {
+    if (!this.config.directory) {
+      return [];
+    }
+
+    let files;
+    try {
+      files = await fs.readdir(this.config.directory);
+    } catch (error) {
+      logger.warn('Diretório de perfis não encontrado', {
+        directory: this.config.directory,
+        error: error.message
+      });
+      return [];
+    }
+
+    const profiles = [];
+
+    for (const file of files.filter(name => PROFILE_EXTENSIONS.includes(extname(name))).sort()) {
+      try {
+        const content = await fs.readFile(join(this.config.directory, file), 'utf8');
+        const profile = extname(file) === '.json' ? JSON.parse(content) : yaml.load(content);
+        profiles.push({ id: file.slice(0, -extname(file).length), ...profile });
+      } catch (error) {
+        logger.error('Erro ao ler arquivo de perfil', { file, error: error.message });
+      }
+    }
+
+    return profiles;
+  }
+
+  /**
+   * Valida, normaliza e registra um perfil (substitui perfil com o mesmo ID)
+   */
+  register(rawProfile) {
+    const profile = this.normalizeProfile(rawProfile);
+    const previous = this.profiles.get(profile.id);
+
+    previous?.origins.forEach(origin => this.origins.delete(origin));
+    profile.origins.forEach(origin => this.origins.set(origin, profile.id));
+    this.profiles.set(profile.id, profile);
+
+    return profile;
+  }
+
+  normalizeProfile(rawProfile) {
+    if (!rawProfile || typeof rawProfile !== 'object') {
+      throw new Error('Perfil deve ser um objeto');
+    }
+
+    const id = String(rawProfile.id || '');
+    if (!/^[a-zA-Z0-9_-]+$/.test(id)) {
+      throw new Error(`ID de perfil inválido: '${id}'`);
+    }
+
+    return {
+      id,
+      name: rawProfile.name || id,
+      origins: (rawProfile.origins || []).map(origin => this.normalizeOrigin(origin)).filter(Boolean),
+      systemPrompt: rawProfile.systemPrompt || this.config.systemPrompt,
+      ai: this.pickFields(rawProfile.ai, AI_FIELDS),
+      topics: rawProfile.topics || {},
+      slots: rawProfile.slots || DEFAULT_SLOT_SCHEMA,
+      stageMachine: this.buildStageMachine(rawProfile),
+      lead: { ...DEFAULT_LEAD_RULES, ...this.pickFields(rawProfile.lead, LEAD_FIELDS) },
+      branding: this.pickFields(rawProfile.branding, BRANDING_FIELDS)
+    };
+  }
+
+  /**
+   * Funil declarativo do perfil (`stages`) ou o funil padrão, com
+   * `stageInstructions` substituindo os prompts dos estágios padrão
+   */
+  buildStageMachine(rawProfile) {
+    if (rawProfile.stages) {
+      return new StageMachine(rawProfile.stages);
+    }
+
+    const states = Object.fromEntries(
+      Object.entries(DEFAULT_STAGE_MACHINE.states).map(([name, state]) => [
+        name,
+        { ...state, prompt: rawProfile.stageInstructions?.[name] || state.prompt }
+      ])
+    );
+
+    return new StageMachine({ ...DEFAULT_STAGE_MACHINE, states });
+  }
+
+  pickFields(source = {}, fields) {
+    return Object.fromEntries(
+      fields.filter(field => source?.[field] !== undefined).map(field => [field, source[field]])
+    );
+  }
+
+  /**
+   * Origem no formato do cabeçalho Origin (esquema + host + porta, sem barra final)
+   */
+  normalizeOrigin(origin) {
+    if (!origin) return null;
+    return String(origin).trim().toLowerCase().replace(/\/+$/, '');
+  }
+
+  has(profileId) {
+    return this.profiles.has(profileId);
+  }
+
+  /**
+   * Perfil pelo ID; IDs desconhecidos caem no perfil padrão
+   */
+  get(profileId) {
+    return this.profiles.get(profileId) || this.getDefault();
+  }
+
+  getDefault() {
+    return this.profiles.get(DEFAULT_PROFILE_ID);
+  }
+
+  /**
+   * Seleciona o perfil da sessão: profileId explícito, depois a origem de
+   * embutimento do widget e, por fim, o perfil padrão
+   */
+  resolve({ profileId, origin } = {}) {
+    if (profileId) {
+      if (this.profiles.has(profileId)) {
+        return this.profiles.get(profileId);
+      }
+      logger.warn('Perfil de bot desconhecido, usando seleção por origem', { profileId, origin });
+    }
+
+    const originProfileId = this.origins.get(this.normalizeOrigin(origin));
+    return originProfileId ? this.profiles.get(originProfileId) : this.getDefault();
+  }
+
+  /**
+   * Dados do perfil que podem ser enviados ao widget (sem prompt nem modelo)
+   */
+  getPublicProfile(profile) {
+    return {
+      id: profile.id,
+      name: profile.name,
+      branding: profile.branding
+    };
+  }
+
+  list() {
+    return Array.from(this.profiles.values()).map(profile => this.getPublicProfile(profile));
+  }
+}
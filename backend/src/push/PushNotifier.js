@@ -0,0 +1,303 @@
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import logger from '../utils/logger.js';
+
+const MAX_BODY_LENGTH = 160;
+
+const truncate = text => (text.length > MAX_BODY_LENGTH ? `${text.slice(0, MAX_BODY_LENGTH - 1)}…` : text);
+
+/**
+ * Notificações Web Push das respostas que chegam com o widget fechado
+ *
+ * Guarda as assinaturas (PushSubscription) do navegador por sessão e, para visitantes
+ * autenticados, por userId. Dispara quando nenhum widget da sessão está conectado:
+ * - agent_reply: resposta do atendente humano
+ * - ai_reply: resposta da IA que terminou depois que o visitante saiu (ou veio do sync offline)
+ * - reminder: conversa parada com a última palavra do assistente há reminderDelay (uma vez por mensagem)
+ *
+ * O payload leva a URL da página com ?chatSession=<id>; o notificationclick do
+ * service worker abre o widget de volta nessa sessão. Com `path` as assinaturas são
+ * gravadas em arquivo JSON (arquivo temporário + rename), sem ele ficam em memória.
+ */
+export class PushNotifier {
+  constructor({ sender, handoffManager = null, ...config } = {}) {
+    this.sender = sender;
+    this.handoffManager = handoffManager;
+    this.config = {
+      path: config.path || '',
+      clickUrl: config.clickUrl || '/', // Página com o widget aberta pela notificação
+      reminderDelay: config.reminderDelay ?? 30 * 60 * 1000, // 0 desativa os lembretes
+      reminderInterval: config.reminderInterval || 60 * 1000,
+      maxPerSession: config.maxPerSession || 5, // Assinaturas por sessão/usuário (navegadores)
+      ...config
+    };
+
+    this.subscriptions = new Map(); // endpoint -> { endpoint, keys, sessionId, userId, createdAt }
+    this.reminded = new Map(); // sessionId -> id da mensagem já lembrada
+    this.reminderTimer = null;
+    this.writeQueue = Promise.resolve();
+    this.stats = { sent: 0, failed: 0, expired: 0 };
+  }
+
+  get enabled() {
+    return Boolean(this.sender?.enabled);
+  }
+
+  async initialize() {
+    if (this.config.path) {
+      await fs.mkdir(dirname(this.config.path), { recursive: true });
+
+      try {
+        const content = await fs.readFile(this.config.path, 'utf8');
+        const parsed = content.trim() ? JSON.parse(content) : {};
+        (parsed.subscriptions || []).forEach(subscription => {
+          this.subscriptions.set(subscription.endpoint, subscription);
+        });
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.error('Erro ao ler assinaturas de push, iniciando vazio', {
+            path: this.config.path,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    if (this.enabled && this.config.reminderDelay > 0) {
+      this.reminderTimer = setInterval(() => this.checkReminders(), this.config.reminderInterval);
+      this.reminderTimer.unref?.();
+    }
+
+    logger.info('Notificações push inicializadas', {
+      enabled: this.enabled,
+      subscriptions: this.subscriptions.size,
+      reminderDelay: this.config.reminderDelay
+    });
+  }
+
+  /**
+   * Dispara as notificações a partir das mensagens do SessionManager
+   */
+  attach(sessionManager) {
+    this.sessionManager = sessionManager;
+
+    sessionManager.on('messageAdded', ({ sessionId, message }) => {
+      if (message.role !== 'assistant' || message.metadata?.cancelled) return;
+
+      const session = sessionManager.sessions.get(sessionId);
+      if (session) {
+        this.notifyReply(session, message).catch(error => {
+          logger.error('Erro ao notificar resposta por push', { sessionId, error: error.message });
+        });
+      }
+    });
+
+    // Assinaturas anônimas só servem para a sessão em que foram criadas
+    sessionManager.on('sessionEnded', session => {
+      this.reminded.delete(session.id);
+      let removed = false;
+      this.subscriptions.forEach((subscription, endpoint) => {
+        if (subscription.sessionId === session.id && !subscription.userId) {
+          this.subscriptions.delete(endpoint);
+          removed = true;
+        }
+      });
+      if (removed) this.scheduleWrite();
+    });
+  }
+
+  /**
+   * Registra (ou move para a sessão atual) a assinatura do navegador
+   * @param {Object} subscription - PushSubscription.toJSON(): { endpoint, keys: { p256dh, auth } }
+   */
+  subscribe(subscription, { sessionId, userId = null }) {
+    const entry = {
+      endpoint: subscription.endpoint,
+      keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+      sessionId,
+      userId,
+      createdAt: this.subscriptions.get(subscription.endpoint)?.createdAt || new Date().toISOString()
+    };
+
+    // Reinsere no fim: a ordem do Map é a da assinatura mais recente
+    this.subscriptions.delete(entry.endpoint);
+    this.subscriptions.set(entry.endpoint, entry);
+
+    const owned = this.findSubscriptions(sessionId, userId);
+    owned.slice(0, Math.max(0, owned.length - this.config.maxPerSession)).forEach(old => {
+      this.subscriptions.delete(old.endpoint);
+    });
+
+    this.scheduleWrite();
+    logger.info('Assinatura de push registrada', { sessionId, userId, total: this.subscriptions.size });
+    return entry;
+  }
+
+  /**
+   * Remove a assinatura; com owner, só se ela pertence à sessão ou ao usuário informado
+   * @param {Object} [owner] - { sessionId, userId }
+   */
+  unsubscribe(endpoint, owner = null) {
+    const subscription = this.subscriptions.get(endpoint);
+    if (!subscription) return false;
+
+    if (owner) {
+      const owned = subscription.sessionId === owner.sessionId ||
+        (owner.userId && subscription.userId === owner.userId);
+      if (!owned) return false;
+    }
+
+    this.subscriptions.delete(endpoint);
+    this.scheduleWrite();
+    return true;
+  }
+
+  /**
+   * Assinaturas que recebem as notificações da sessão (e dos outros navegadores do mesmo usuário)
+   */
+  findSubscriptions(sessionId, userId = null) {
+    return Array.from(this.subscriptions.values()).filter(subscription =>
+      subscription.sessionId === sessionId || (userId && subscription.userId === userId)
+    );
+  }
+
+  isVisitorOnline(sessionId) {
+    return this.handoffManager ? this.handoffManager.isVisitorOnline(sessionId) : false;
+  }
+
+  async notifyReply(session, message) {
+    if (!this.enabled || this.isVisitorOnline(session.id)) return 0;
+
+    const fromAgent = message.metadata?.from === 'agent';
+    return this.notify(session, {
+      type: fromAgent ? 'agent_reply' : 'ai_reply',
+      title: fromAgent ? `${message.metadata.agentName || 'Atendente'} respondeu` : 'Nova resposta no chat',
+      body: truncate(message.content),
+      messageId: message.id
+    });
+  }
+
+  /**
+   * Lembra o visitante das conversas ativas em que a última mensagem é do assistente
+   */
+  async checkReminders() {
+    if (!this.sessionManager) return;
+
+    const now = Date.now();
+    const pending = [];
+
+    this.sessionManager.sessions.forEach(session => {
+      const lastMessage = session.messageHistory[session.messageHistory.length - 1];
+      if (
+        session.status !== 'active' ||
+        lastMessage?.role !== 'assistant' ||
+        this.reminded.get(session.id) === lastMessage.id ||
+        now - new Date(lastMessage.timestamp).getTime() < this.config.reminderDelay ||
+        this.isVisitorOnline(session.id)
+      ) {
+        return;
+      }
+
+      this.reminded.set(session.id, lastMessage.id);
+      pending.push(this.notify(session, {
+        type: 'reminder',
+        title: 'Sua conversa continua aberta',
+        body: truncate(lastMessage.content),
+        messageId: lastMessage.id
+      }));
+    });
+
+    await Promise.all(pending);
+  }
+
+  /**
+   * Envia o payload para as assinaturas da sessão, removendo as expiradas
+   * @returns {Promise<number>} Notificações entregues ao push service
+   */
+  async notify(session, { type, title, body, messageId = null }) {
+    const subscriptions = this.findSubscriptions(session.id, session.visitor?.userId);
+    if (subscriptions.length === 0) return 0;
+
+    const url = new URL(this.config.clickUrl, 'http://localhost');
+    url.searchParams.set('chatSession', session.id);
+    const link = /^https?:\/\//.test(this.config.clickUrl) ? url.toString() : `${url.pathname}${url.search}${url.hash}`;
+
+    const payload = JSON.stringify({
+      type,
+      title,
+      body,
+      tag: `chat-reply-${session.id}`, // Mesma tag do service worker: substitui a notificação anterior
+      url: link,
+      sessionId: session.id,
+      messageId,
+      timestamp: new Date().toISOString()
+    });
+
+    const results = await Promise.all(subscriptions.map(async subscription => {
+      try {
+        await this.sender.send(subscription, payload, {
+          urgency: type === 'reminder' ? 'low' : 'normal',
+          topic: `chat-${type}` // Só a última notificação de cada tipo fica na fila do push service
+        });
+        this.stats.sent++;
+        return true;
+      } catch (error) {
+        if (error.code === 'PUSH_SUBSCRIPTION_GONE') {
+          this.stats.expired++;
+          this.unsubscribe(subscription.endpoint);
+        } else {
+          this.stats.failed++;
+          logger.warn('Falha ao enviar notificação push', { sessionId: session.id, type, error: error.message });
+        }
+        return false;
+      }
+    }));
+
+    const delivered = results.filter(Boolean).length;
+    logger.debug('Notificação push enviada', { sessionId: session.id, type, delivered });
+    return delivered;
+  }
+
+  scheduleWrite() {
+    if (!this.config.path) return this.writeQueue;
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => this.writeFile())
+      .catch(error => {
+        logger.error('Erro ao gravar assinaturas de push', { path: this.config.path, error: error.message });
+      });
+    return this.writeQueue;
+  }
+
+  async writeFile() {
+    const tempPath = `${this.config.path}.tmp`;
+    const content = JSON.stringify({
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      subscriptions: Array.from(this.subscriptions.values())
+    });
+
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.rename(tempPath, this.config.path);
+  }
+
+  async close() {
+    if (this.reminderTimer) {
+      clearInterval(this.reminderTimer);
+      this.reminderTimer = null;
+    }
+    await this.writeQueue;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      subscriptions: this.subscriptions.size,
+      persistent: Boolean(this.config.path),
+      ...this.stats
+    };
+  }
+}
+
+export default PushNotifier;
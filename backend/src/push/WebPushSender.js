@@ -0,0 +1,155 @@
+import { createCipheriv, createECDH, createPrivateKey, generateKeyPairSync, hkdfSync, randomBytes, sign } from 'crypto';
+
+const RECORD_SIZE = 4096;
+const VAPID_TOKEN_TTL = 12 * 60 * 60; // segundos (o push service aceita até 24h)
+
+function createPushError(code, message, statusCode = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+const hkdf = (salt, ikm, info, length) => Buffer.from(hkdfSync('sha256', ikm, salt, info, length));
+
+/**
+ * Envio de Web Push (RFC 8030) assinado com VAPID (RFC 8292) e payload cifrado
+ * em aes128gcm (RFC 8291), sem dependências externas
+ *
+ * Chaves VAPID em base64url: pública P-256 não comprimida (65 bytes) e privada (32 bytes),
+ * as mesmas usadas como applicationServerKey no navegador. Gere com generateVAPIDKeys().
+ */
+export class WebPushSender {
+  constructor(config = {}) {
+    this.config = {
+      publicKey: config.publicKey || '',
+      privateKey: config.privateKey || '',
+      subject: config.subject || 'mailto:suporte@example.com', // Contato do remetente para o push service
+      ttl: config.ttl ?? 24 * 60 * 60, // segundos que o push service guarda a mensagem
+      timeout: config.timeout || 10000,
+      ...config
+    };
+
+    this.signingKey = this.enabled ? this.createSigningKey() : null;
+  }
+
+  get enabled() {
+    return Boolean(this.config.publicKey && this.config.privateKey);
+  }
+
+  static generateVAPIDKeys() {
+    const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const { d, x, y } = privateKey.export({ format: 'jwk' });
+    return {
+      publicKey: Buffer.concat([Buffer.from([4]), Buffer.from(x, 'base64url'), Buffer.from(y, 'base64url')]).toString('base64url'),
+      privateKey: d
+    };
+  }
+
+  createSigningKey() {
+    const publicKey = Buffer.from(this.config.publicKey, 'base64url');
+    if (publicKey.length !== 65 || publicKey[0] !== 0x04) {
+      throw new Error('VAPID_PUBLIC_KEY inválida: esperada chave P-256 não comprimida em base64url');
+    }
+
+    return createPrivateKey({
+      key: {
+        kty: 'EC',
+        crv: 'P-256',
+        d: this.config.privateKey,
+        x: publicKey.subarray(1, 33).toString('base64url'),
+        y: publicKey.subarray(33).toString('base64url')
+      },
+      format: 'jwk'
+    });
+  }
+
+  /**
+   * Header Authorization do VAPID: JWT ES256 com a origem do push service como audiência
+   */
+  createVapidAuthorization(endpoint) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ typ: 'JWT', alg: 'ES256' })}.${encode({
+      aud: new URL(endpoint).origin,
+      exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_TTL,
+      sub: this.config.subject
+    })}`;
+    const signature = sign('sha256', Buffer.from(unsigned), { key: this.signingKey, dsaEncoding: 'ieee-p1363' });
+
+    return `vapid t=${unsigned}.${signature.toString('base64url')}, k=${this.config.publicKey}`;
+  }
+
+  /**
+   * Cifra o payload para a assinatura do navegador (um único registro aes128gcm)
+   * @param {Object} subscription - PushSubscription.toJSON(): { endpoint, keys: { p256dh, auth } }
+   */
+  encrypt(subscription, payload) {
+    const userAgentPublicKey = Buffer.from(subscription.keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(subscription.keys.auth, 'base64url');
+
+    const ecdh = createECDH('prime256v1');
+    const serverPublicKey = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(userAgentPublicKey);
+    const salt = randomBytes(16);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey]);
+    const ikm = hkdf(authSecret, sharedSecret, keyInfo, 32);
+    const contentKey = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+    const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+    // Delimitador 0x02: último (e único) registro, sem padding
+    const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+    if (plaintext.length + 16 > RECORD_SIZE) {
+      throw createPushError('PUSH_PAYLOAD_TOO_LARGE', 'Payload maior que um registro aes128gcm');
+    }
+
+    const cipher = createCipheriv('aes-128-gcm', contentKey, nonce);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+
+    return Buffer.concat([header, serverPublicKey, ciphertext]);
+  }
+
+  /**
+   * Entrega a mensagem ao push service da assinatura
+   * @param {Object} options - { ttl, urgency (very-low, low, normal, high), topic }
+   * @throws {Error} code PUSH_SUBSCRIPTION_GONE (404/410: remover a assinatura) ou PUSH_FAILED
+   */
+  async send(subscription, payload, options = {}) {
+    if (!this.enabled) {
+      throw createPushError('PUSH_NOT_CONFIGURED', 'Chaves VAPID não configuradas');
+    }
+
+    const headers = {
+      Authorization: this.createVapidAuthorization(subscription.endpoint),
+      TTL: String(options.ttl ?? this.config.ttl),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream'
+    };
+    if (options.urgency) headers.Urgency = options.urgency;
+    if (options.topic) headers.Topic = options.topic;
+
+    const response = await fetch(subscription.endpoint, {
+      method: 'POST',
+      headers,
+      body: this.encrypt(subscription, payload),
+      signal: AbortSignal.timeout(this.config.timeout)
+    });
+
+    if (response.status === 404 || response.status === 410) {
+      throw createPushError('PUSH_SUBSCRIPTION_GONE', 'Assinatura de push expirada ou cancelada', response.status);
+    }
+
+    if (!response.ok) {
+      throw createPushError('PUSH_FAILED', `Push service respondeu ${response.status}`, response.status);
+    }
+
+    return { statusCode: response.status };
+  }
+}
+
+export default WebPushSender;
@@ -0,0 +1,163 @@
+import express from 'express';
+import { ERROR_CODES, PROTOCOL_VERSION } from '../handlers/index.js';
+import { createErrorResponse } from '../middleware/errorHandler.js';
+import { createVisitorAuthMiddleware } from '../middleware/visitorAuth.js';
+import logger from '../utils/logger.js';
+
+// Frames que encerram a mensagem enviada (os demais, como ack e typing, são intermediários)
+const FINAL_FRAMES = ['chat_response', 'chat_forwarded', 'chat_cancelled', 'rate_limited', 'chat_error', 'error'];
+
+const ERROR_STATUS = {
+  [ERROR_CODES.INVALID_FRAME]: 400,
+  [ERROR_CODES.EMPTY_MESSAGE]: 400,
+  [ERROR_CODES.SESSION_NOT_FOUND]: 404,
+  [ERROR_CODES.AI_ERROR]: 502
+};
+
+/**
+ * Chat por HTTP (montado em /api/chat), usado quando o widget está sem WebSocket:
+ * o service worker envia a caixa de saída offline (background sync) e consulta as
+ * respostas que chegaram depois, com a aba fechada
+ *
+ * POST /send passa pelo mesmo roteador do /ws (schema, idempotência por messageId,
+ * limites, IA, ferramentas e base de conhecimento) e responde com o frame final.
+ * Sessões existentes exigem o token de retomada em X-Resume-Token; visitantes
+ * autenticados enviam o JWT em Authorization: Bearer, como no upgrade do /ws.
+ * O cabeçalho traceparent (W3C Trace Context) continua o trace do cliente.
+ * @param {Object} deps - { router, sessionManager, resumeTokens, visitorAuth }
+ */
+export function createChatRoutes({ router, sessionManager, resumeTokens, visitorAuth }) {
+  const routes = express.Router();
+
+  /**
+   * Token de retomada da sessão informada; sessão ainda inexistente dispensa o token
+   * (a mensagem cria uma nova sessão, como no /ws)
+   * @returns {Object|null} Erro a responder ou null quando autorizado
+   */
+  const verifySession = async (req, sessionId) => {
+    const session = sessionId ? await sessionManager.loadSession(sessionId) : null;
+    if (!session) {
+      return null;
+    }
+
+    try {
+      resumeTokens.verify(req.get('X-Resume-Token'), sessionId);
+    } catch (error) {
+      return { status: 401, body: createErrorResponse(error.code, error.message) };
+    }
+
+    if (!sessionManager.canAccessSession(session, req.visitor)) {
+      return { status: 404, body: createErrorResponse(ERROR_CODES.SESSION_NOT_FOUND, 'Sessão não encontrada') };
+    }
+
+    return null;
+  };
+
+  routes.use(createVisitorAuthMiddleware(visitorAuth));
+
+  // Envia uma mensagem de chat: { messageId, content, sessionId?, lastMessageId?, history?, profileId? }
+  routes.post('/send', async (req, res) => {
+    const denied = await verifySession(req, req.body?.sessionId);
+    if (denied) {
+      return res.status(denied.status).json(denied.body);
+    }
+
+    const frames = [];
+    const connection = {
+      id: `http_${Date.now()}`,
+      ws: null,
+      ip: req.ip,
+      origin: req.get('origin'),
+      protocolVersion: PROTOCOL_VERSION,
+      visitor: req.visitor,
+      connectedAt: new Date().toISOString(),
+      sessions: new Set(),
+      activeGenerations: new Map(),
+      send: frame => frames.push(frame)
+    };
+
+    // Sem streaming: a resposta HTTP carrega o conteúdo completo
+    const traceparent = req.get('traceparent');
+    const returned = await router.dispatch(connection, {
+      ...req.body,
+      resumeToken: req.get('X-Resume-Token') || null,
+      ...(traceparent ? { traceparent } : {}),
+      type: 'chat',
+      stream: false
+    });
+    if (returned) {
+      frames.push(returned);
+    }
+
+    const final = frames.find(frame => FINAL_FRAMES.includes(frame.type));
+    const ack = frames.find(frame => frame.type === 'ack');
+
+    // Mesma mensagem ainda em processamento por outra tentativa (WebSocket ou HTTP)
+    if (!final) {
+      return res.status(202).json({
+        success: true,
+        data: { messageId: req.body?.messageId, status: ack?.status || 'processing' }
+      });
+    }
+
+    if (final.type === 'rate_limited') {
+      res.set('Retry-After', String(final.retryAfter));
+      return res.status(429).json(createErrorResponse(
+        final.reason === 'budget' ? 'BUDGET_EXCEEDED' : 'RATE_LIMITED',
+        final.message,
+        { retryAfter: final.retryAfter, scope: final.scope }
+      ));
+    }
+
+    if (final.type === 'chat_error' || final.type === 'error') {
+      return res.status(ERROR_STATUS[final.code] || 500).json({
+        ...createErrorResponse(final.code, final.message, final.details || null),
+        retryable: final.retryable
+      });
+    }
+
+    logger.info('Mensagem de chat respondida via HTTP', {
+      messageId: final.messageId,
+      sessionId: final.sessionId,
+      type: final.type,
+      duplicate: final.duplicate === true
+    });
+
+    res.json({ success: true, data: final });
+  });
+
+  // Respostas da sessão depois de `after` (última mensagem vista), para quem não tem WebSocket
+  routes.get('/messages', async (req, res) => {
+    const { sessionId, after = null } = req.query;
+    if (!sessionId) {
+      return res.status(400).json(createErrorResponse('VALIDATION_ERROR', 'sessionId é obrigatório'));
+    }
+
+    const denied = await verifySession(req, sessionId);
+    if (denied) {
+      return res.status(denied.status).json(denied.body);
+    }
+
+    if (!sessionManager.sessions.has(sessionId)) {
+      return res.status(404).json(createErrorResponse(ERROR_CODES.SESSION_NOT_FOUND, 'Sessão não encontrada'));
+    }
+
+    // `after` fora do histórico atual: devolve a transcrição inteira
+    const missed = sessionManager.getMessagesSince(sessionId, after);
+
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        status: sessionManager.sessions.get(sessionId).status,
+        lastMessageId: sessionManager.getLastMessageId(sessionId),
+        historySync: !missed,
+        messages: (missed || sessionManager.getTranscript(sessionId)).filter(msg => msg.role === 'assistant')
+      }
+    });
+  });
+
+  return routes;
+}
+
+export default createChatRoutes;
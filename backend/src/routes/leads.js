@@ -0,0 +1,80 @@
+import express from 'express';
+import { timingSafeEqual } from 'crypto';
+import logger from '../utils/logger.js';
+import { createErrorResponse } from '../middleware/errorHandler.js';
+
+const DATE_FILTERS = ['since', 'until'];
+
+/**
+ * Rotas administrativas de leads (montadas em /api/leads)
+ * Com `apiKey` definida exigem `Authorization: Bearer <chave>` ou `X-API-Key`;
+ * sem chave respondem 503, a menos que `allowUnauthenticated` as abra explicitamente
+ * @param {LeadManager} leadManager
+ * @param {Object} options - { apiKey, allowUnauthenticated }
+ */
+export function createLeadRoutes(leadManager, options = {}) {
+  const router = express.Router();
+  const apiKey = Buffer.from(options.apiKey || '');
+
+  const requireAdmin = (req, res, next) => {
+    if (!options.apiKey) {
+      if (!options.allowUnauthenticated) {
+        return res.status(503).json(createErrorResponse(
+          'ADMIN_NOT_CONFIGURED',
+          'ADMIN_API_KEY não configurada'
+        ));
+      }
+      return next();
+    }
+
+    const authHeader = req.headers.authorization;
+    const token = Buffer.from((authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : req.headers['x-api-key']) || '');
+
+    if (token.length !== apiKey.length || !timingSafeEqual(token, apiKey)) {
+      logger.warn('Acesso negado às rotas de leads', { ip: req.ip, url: req.originalUrl });
+      return res.status(401).json(createErrorResponse('UNAUTHORIZED', 'Chave de administração inválida'));
+    }
+
+    next();
+  };
+
+  router.use(requireAdmin);
+
+  // Lista leads com filtros: profileId, trigger, stage, topic, since, until, q, limit, offset
+  router.get('/', (req, res) => {
+    const invalidDate = DATE_FILTERS.find(filter => req.query[filter] && Number.isNaN(Date.parse(req.query[filter])));
+    if (invalidDate) {
+      return res.status(400).json(createErrorResponse(
+        'VALIDATION_ERROR',
+        `Data inválida no filtro '${invalidDate}'`,
+        { [invalidDate]: req.query[invalidDate] }
+      ));
+    }
+
+    const { total, leads } = leadManager.query(req.query);
+
+    res.json({
+      success: true,
+      data: {
+        total,
+        count: leads.length,
+        leads
+      }
+    });
+  });
+
+  router.get('/:leadId', (req, res) => {
+    const lead = leadManager.get(req.params.leadId);
+    if (!lead) {
+      return res.status(404).json(createErrorResponse('LEAD_NOT_FOUND', 'Lead não encontrado', {
+        leadId: req.params.leadId
+      }));
+    }
+
+    res.json({ success: true, data: lead });
+  });
+
+  return router;
+}
+
+export default createLeadRoutes;
@@ -1,5 +1,6 @@
 import express from 'express';
 import monitoring from '../utils/monitoring.js';
+import metricsRegistry, { PROMETHEUS_CONTENT_TYPE } from '../metrics/index.js';
 import logger from '../utils/logger.js';
 import config from '../config/environment.js';
 
@@ -105,7 +106,8 @@ router.get('/health/detailed', requireAuth, (req, res) => {
           totalRequests: metrics.mcp.totalRequests,
           errorRate: metrics.mcp.errorRate,
           threshold: 10
-        }
+        },
+        ...monitoring.runHealthChecks()
       }
     };
     
@@ -132,6 +134,25 @@ router.get('/health/detailed', requireAuth, (req, res) => {
   }
 });
 
+// Get active alerts and delivery history (?status=firing|resolved&limit=50)
+router.get('/alerts', requireAuth, (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const status = ['firing', 'resolved'].includes(req.query.status) ? req.query.status : null;
+
+    res.json({
+      success: true,
+      data: monitoring.getAlerts({ status, limit })
+    });
+  } catch (error) {
+    logger.error('Failed to get alerts', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve alerts'
+    });
+  }
+});
+
 // Get performance metrics
 router.get('/performance', requireAuth, (req, res) => {
   try {
@@ -174,49 +195,11 @@ router.get('/performance', requireAuth, (req, res) => {
   }
 });
 
-// Export metrics in Prometheus format (for external monitoring)
+// Export metrics in Prometheus text exposition format (for external monitoring)
 router.get('/metrics/prometheus', requireAuth, (req, res) => {
   try {
-    const metrics = monitoring.getMetrics();
-    
-    const prometheusMetrics = [
-      `# HELP chatbot_requests_total Total number of HTTP requests`,
-      `# TYPE chatbot_requests_total counter`,
-      `chatbot_requests_total ${metrics.requests.total}`,
-      ``,
-      `# HELP chatbot_errors_total Total number of errors`,
-      `# TYPE chatbot_errors_total counter`,
-      `chatbot_errors_total ${metrics.requests.errors}`,
-      ``,
-      `# HELP chatbot_websocket_connections Current WebSocket connections`,
-      `# TYPE chatbot_websocket_connections gauge`,
-      `chatbot_websocket_connections ${metrics.websocket.activeConnections}`,
-      ``,
-      `# HELP chatbot_mcp_requests_total Total MCP requests`,
-      `# TYPE chatbot_mcp_requests_total counter`,
-      `chatbot_mcp_requests_total ${metrics.mcp.totalRequests}`,
-      ``,
-      `# HELP chatbot_mcp_errors_total Total MCP errors`,
-      `# TYPE chatbot_mcp_errors_total counter`,
-      `chatbot_mcp_errors_total ${metrics.mcp.errors}`,
-      ``,
-      `# HELP chatbot_response_time_ms Response time in milliseconds`,
-      `# TYPE chatbot_response_time_ms histogram`,
-      `chatbot_response_time_ms_average ${metrics.performance.average}`,
-      `chatbot_response_time_ms_p95 ${metrics.performance.p95}`,
-      `chatbot_response_time_ms_p99 ${metrics.performance.p99}`,
-      ``,
-      `# HELP chatbot_memory_usage_bytes Memory usage in bytes`,
-      `# TYPE chatbot_memory_usage_bytes gauge`,
-      `chatbot_memory_usage_bytes ${metrics.memory.heapUsed}`,
-      ``,
-      `# HELP chatbot_uptime_seconds Server uptime in seconds`,
-      `# TYPE chatbot_uptime_seconds counter`,
-      `chatbot_uptime_seconds ${metrics.server.uptime}`
-    ].join('\n');
-    
-    res.set('Content-Type', 'text/plain');
-    res.send(prometheusMetrics);
+    res.set('Content-Type', PROMETHEUS_CONTENT_TYPE);
+    res.send(metricsRegistry.render());
   } catch (error) {
     logger.error('Failed to generate Prometheus metrics', { error: error.message });
     res.status(500).send('# Error generating metrics');
@@ -0,0 +1,167 @@
+import express from 'express';
+import { ERROR_CODES } from '../handlers/index.js';
+import { createErrorResponse } from '../middleware/errorHandler.js';
+import { createVisitorAuthMiddleware } from '../middleware/visitorAuth.js';
+import { validateSchema } from '../utils/jsonSchema.js';
+
+const BASE64URL = /^[A-Za-z0-9_-]+=*$/;
+
+// Push services dos navegadores (FCM, Mozilla, WNS e Apple); '.' no início aceita subdomínios.
+// O servidor faz POST no endpoint da assinatura, então outro host seria um SSRF
+export const PUSH_SERVICE_HOSTS = [
+  'fcm.googleapis.com',
+  'android.googleapis.com',
+  'updates.push.services.mozilla.com',
+  '.notify.windows.com',
+  'web.push.apple.com'
+];
+
+const subscribeSchema = {
+  type: 'object',
+  required: ['subscription', 'sessionId'],
+  properties: {
+    sessionId: { type: 'string', minLength: 1, maxLength: 128 },
+    subscription: {
+      type: 'object',
+      required: ['endpoint', 'keys'],
+      properties: {
+        endpoint: { type: 'string', minLength: 1, maxLength: 2048 },
+        expirationTime: { type: ['number', 'null'] },
+        keys: {
+          type: 'object',
+          required: ['p256dh', 'auth'],
+          properties: {
+            p256dh: { type: 'string', minLength: 80, maxLength: 100 },
+            auth: { type: 'string', minLength: 16, maxLength: 32 }
+          }
+        }
+      }
+    }
+  }
+};
+
+const unsubscribeSchema = {
+  type: 'object',
+  required: ['endpoint', 'sessionId'],
+  properties: {
+    sessionId: { type: 'string', minLength: 1, maxLength: 128 },
+    endpoint: { type: 'string', minLength: 1, maxLength: 2048 }
+  }
+};
+
+const isPushServiceHost = (hostname, hosts) => hosts.some(host =>
+  host.startsWith('.') ? hostname.endsWith(host) : hostname === host
+);
+
+/**
+ * Assinaturas de Web Push do widget (montado em /api/push)
+ *
+ * GET /vapid-public-key devolve a applicationServerKey do pushManager.subscribe().
+ * POST /subscribe associa a assinatura à sessão e POST /unsubscribe a remove, ambos
+ * com o token de retomada em X-Resume-Token (o mesmo do /ws e do chat HTTP).
+ * Só endpoints https:// dos pushServiceHosts são aceitos; allowInsecureEndpoints
+ * (desenvolvimento) libera http:// e outros hosts, para emuladores de push service.
+ * @param {Object} deps - { pushNotifier, sessionManager, resumeTokens, visitorAuth, allowInsecureEndpoints, pushServiceHosts }
+ */
+export function createPushRoutes({
+  pushNotifier,
+  sessionManager,
+  resumeTokens,
+  visitorAuth,
+  allowInsecureEndpoints = false,
+  pushServiceHosts = PUSH_SERVICE_HOSTS
+}) {
+  const routes = express.Router();
+
+  const validate = (schema, req, res) => {
+    const errors = validateSchema(schema, req.body);
+    if (errors.length > 0) {
+      res.status(400).json(createErrorResponse('VALIDATION_ERROR', 'Dados inválidos', errors));
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * Token de retomada antes da sessão: sem ele a resposta não revela quais sessões existem
+   * @returns {Object|null} Sessão autorizada ou null quando a resposta de erro já foi enviada
+   */
+  const authorizeSession = async (req, res, sessionId) => {
+    try {
+      resumeTokens.verify(req.get('X-Resume-Token'), sessionId);
+    } catch (error) {
+      res.status(401).json(createErrorResponse(error.code, error.message));
+      return null;
+    }
+
+    const session = await sessionManager.loadSession(sessionId);
+    if (!session || !sessionManager.canAccessSession(session, req.visitor)) {
+      res.status(404).json(createErrorResponse(ERROR_CODES.SESSION_NOT_FOUND, 'Sessão não encontrada'));
+      return null;
+    }
+
+    return session;
+  };
+
+  routes.use((req, res, next) => {
+    if (!pushNotifier.enabled) {
+      return res.status(503).json(createErrorResponse('PUSH_NOT_CONFIGURED', 'Notificações push não configuradas'));
+    }
+    next();
+  });
+
+  routes.use(createVisitorAuthMiddleware(visitorAuth));
+
+  routes.get('/vapid-public-key', (req, res) => {
+    res.json({ success: true, data: { publicKey: pushNotifier.sender.config.publicKey } });
+  });
+
+  routes.post('/subscribe', async (req, res) => {
+    if (!validate(subscribeSchema, req, res)) return;
+
+    const { subscription, sessionId } = req.body;
+
+    if (!await authorizeSession(req, res, sessionId)) return;
+
+    let endpoint;
+    try {
+      endpoint = new URL(subscription.endpoint);
+    } catch (error) {
+      endpoint = null;
+    }
+    const trusted = endpoint && (allowInsecureEndpoints
+      ? ['https:', 'http:'].includes(endpoint.protocol)
+      : endpoint.protocol === 'https:' && !endpoint.port && isPushServiceHost(endpoint.hostname, pushServiceHosts));
+    if (!trusted) {
+      return res.status(400).json(createErrorResponse('INVALID_SUBSCRIPTION', 'Endpoint de push inválido'));
+    }
+
+    if (!BASE64URL.test(subscription.keys.p256dh) || !BASE64URL.test(subscription.keys.auth)) {
+      return res.status(400).json(createErrorResponse('INVALID_SUBSCRIPTION', 'Chaves da assinatura inválidas'));
+    }
+
+    const entry = pushNotifier.subscribe(subscription, {
+      sessionId,
+      userId: req.visitor?.userId || null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { endpoint: entry.endpoint, sessionId: entry.sessionId }
+    });
+  });
+
+  routes.post('/unsubscribe', async (req, res) => {
+    if (!validate(unsubscribeSchema, req, res)) return;
+
+    const { endpoint, sessionId } = req.body;
+    if (!await authorizeSession(req, res, sessionId)) return;
+
+    const removed = pushNotifier.unsubscribe(endpoint, { sessionId, userId: req.visitor?.userId || null });
+    res.json({ success: true, data: { removed } });
+  });
+
+  return routes;
+}
+
+export default createPushRoutes;
@@ -2,14 +2,39 @@ import express from 'express';
 import cors from 'cors';
 import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
-// import { WebSocketHandler } from './handlers/WebSocketHandler.js'; // Temporariamente desabilitado
 import { AIProviderManager } from './ai/AIProviderManager.js';
 import { SessionManager } from './session/SessionManager.js';
+import { createLLMIntentClassifier } from './session/StageMachine.js';
+import { SlotExtractor } from './session/SlotExtractor.js';
+import { ConversationSummarizer } from './session/ConversationSummarizer.js';
+import { ResumeTokenSigner } from './session/ResumeTokenSigner.js';
+import { VisitorHistory } from './session/VisitorHistory.js';
+import { createSessionStore } from './session/stores/index.js';
+import { MCPToolRegistry } from './mcp/MCPToolRegistry.js';
+import { BotProfileRegistry } from './profiles/BotProfileRegistry.js';
+import { LeadManager } from './leads/LeadManager.js';
+import { createLeadSink } from './leads/sinks/index.js';
+import { HandoffManager } from './handoff/HandoffManager.js';
+import { RateLimiter } from './limits/RateLimiter.js';
+import { KnowledgeBase } from './knowledge/KnowledgeBase.js';
+import { VisitorAuthenticator } from './auth/VisitorAuthenticator.js';
+import { WebPushSender } from './push/WebPushSender.js';
+import { PushNotifier } from './push/PushNotifier.js';
+import { AlertManager } from './alerts/AlertManager.js';
+import { createAlertChannel } from './alerts/channels/index.js';
+import { createSpanExporter } from './tracing/exporters/index.js';
+import { WebSocketHandler, createMessageRouter, selectSubprotocol, PROTOCOL_VERSION } from './handlers/index.js';
 import apiRoutes from './routes/api.js';
+import { createLeadRoutes } from './routes/leads.js';
+import { createChatRoutes } from './routes/chat.js';
+import { createPushRoutes } from './routes/push.js';
 import monitoringRoutes from './routes/monitoring.js';
-import logger from './utils/logger.js';
+import logger, { redactUrl } from './utils/logger.js';
 import monitoring from './utils/monitoring.js';
+import metrics from './metrics/index.js';
+import tracer from './tracing/index.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { createRateLimitMiddleware } from './middleware/rateLimit.js';
 import config from './config/environment.js';
 
 const app = express();
@@ -24,9 +49,23 @@ app.use(express.urlencoded({ extended: true }));
 // Monitoring middleware (must be before routes)
 app.use(monitoring.trackRequest.bind(monitoring));
 
+// Alertas do monitoramento entregues aos canais de cada severidade (ALERT_CHANNELS_*)
+const alertManager = new AlertManager({
+  ...config.alerts,
+  channels: [...new Set(Object.values(config.alerts.routes).flat())]
+    .map(type => createAlertChannel({ type, ...config.alerts[type] }))
+});
+monitoring.setAlertManager(alertManager);
+
+// Traces das mensagens de chat exportados por OTLP/HTTP JSON ou JSONL (TRACING_EXPORTERS)
+tracer.configure({
+  ...config.tracing,
+  exporters: config.tracing.exporters.map(type => createSpanExporter({ type, ...config.tracing[type] }))
+});
+
 // Log de requests
 app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.url}`, { ip: req.ip });
+  logger.info(`${req.method} ${redactUrl(req.url)}`, { ip: req.ip });
   next();
 });
 
@@ -49,7 +88,9 @@ const aiConfig = {
            config.ai.provider === 'openrouter' ? process.env.OPENROUTER_BASE_URL :
            config.ai.provider === 'anthropic' ? process.env.ANTHROPIC_BASE_URL : '',
   httpReferer: process.env.HTTP_REFERER || 'http://localhost:3001',
-  xTitle: process.env.X_TITLE || 'Chatbot Web MCP'
+  xTitle: process.env.X_TITLE || 'Chatbot Web MCP',
+  // Mesma estimativa do orçamento diário para a métrica de custo
+  costPer1kTokens: config.rateLimit.budget.costPer1kTokens
 };
 
 console.log('🔧 Configuração do AI Provider:', {
@@ -61,20 +102,154 @@ console.log('🔧 Configuração do AI Provider:', {
 
 const aiManager = new AIProviderManager(aiConfig);
 
+// Estado do provedor ativo e dos disjuntores da cadeia de fallback em /monitoring/health/detailed
+monitoring.registerHealthCheck('ai', () => aiManager.getHealthStatus());
+
+// Perfis de bot por tenant (prompt, modelo, tópicos e branding)
+const botProfiles = new BotProfileRegistry({
+  directory: config.profiles.directory,
+  systemPrompt: config.ai.systemPrompt
+});
+
+// Limites de frequência por IP/sessão e orçamentos diários de tokens
+// (também contabilizam os tokens da extração de dados e do resumo da conversa)
+const rateLimiter = new RateLimiter(config.rateLimit);
+monitoring.registerHealthCheck('rateLimit', () => rateLimiter.getHealthStatus());
+
 // Inicializa o gerenciador de sessões
-console.log('🔧 Inicializando SessionManager...');
+console.log('🔧 Inicializando SessionManager...', { store: config.session.store.type });
+const sessionTimeout = 30 * 60 * 1000; // 30 minutos
 const sessionManager = new SessionManager({
   maxHistoryLength: 20,
-  sessionTimeout: 30 * 60 * 1000, // 30 minutos
-  maxSessions: 1000
+  sessionTimeout,
+  maxSessions: 1000,
+  profiles: botProfiles,
+  // Transições de estágio com `intent` classificam a mensagem com o provedor ativo
+  stageClassifier: createLLMIntentClassifier(aiManager),
+  // Dados do cliente extraídos em JSON pelo provedor ativo (SLOT_EXTRACTION=llm)
+  slotExtractor: new SlotExtractor({ aiManager, rateLimiter, ...config.slots }),
+  // Mensagens que saem do histórico são resumidas pelo provedor ativo (SUMMARY_MODE=llm)
+  summarizer: new ConversationSummarizer({ aiManager, rateLimiter, ...config.summary }),
+  store: createSessionStore({
+    ...config.session.store,
+    ttl: sessionTimeout + 5 * 60 * 1000 // Margem para a finalização registrar o encerramento
+  })
+});
+
+// Leads gerados pelas sessões, exportados para os destinos de LEAD_SINKS
+const leadManager = new LeadManager({
+  sinks: config.leads.sinks.map(type => createLeadSink({ type, ...config.leads[type] }))
+});
+leadManager.attach(sessionManager);
+
+// Visitantes autenticados pelo JWT do site e suas conversas anteriores
+const visitorAuth = new VisitorAuthenticator(config.visitorAuth);
+const visitorHistory = new VisitorHistory(config.visitorHistory);
+visitorHistory.attach(sessionManager);
+
+// Atendimento humano: atendentes assumem sessões pelo canal config.handoff.path
+const handoffManager = new HandoffManager({
+  sessionManager,
+  tokens: config.handoff.tokens,
+  allowAnonymous: config.handoff.allowAnonymous
+});
+
+// Web Push das respostas (atendente, IA atrasada e lembretes) com o widget fechado
+const pushNotifier = new PushNotifier({
+  sender: new WebPushSender({
+    publicKey: config.push.vapidPublicKey,
+    privateKey: config.push.vapidPrivateKey,
+    subject: config.push.subject,
+    ttl: config.push.ttl
+  }),
+  handoffManager,
+  path: config.push.storePath,
+  clickUrl: config.push.clickUrl,
+  reminderDelay: config.push.reminderDelay
+});
+pushNotifier.attach(sessionManager);
+
+// Ferramentas MCP disponíveis para o modelo (servidores stdio do MCP_SERVERS_CONFIG)
+const mcpTools = new MCPToolRegistry({ ...config.mcp, monitoring });
+
+// Base de conhecimento: trechos dos documentos de KNOWLEDGE_DIR citados nas respostas
+const knowledgeBase = new KnowledgeBase({ aiManager, ...config.knowledge });
+monitoring.registerHealthCheck('knowledge', () => knowledgeBase.getHealthStatus());
+
+// Protocolo do widget: um handler por tipo de frame, validado por schema JSON
+// (o mesmo roteador atende o /ws e o chat HTTP do service worker)
+const resumeTokens = new ResumeTokenSigner(config.session.resume);
+const messageRouter = createMessageRouter({
+  sessionManager,
+  aiManager,
+  botProfiles,
+  handoffManager,
+  rateLimiter,
+  knowledgeBase,
+  mcpTools,
+  resumeTokens,
+  visitorHistory,
+  config: {
+    historyMode: config.session.historyMode,
+    streaming: config.ai.streaming
+  }
 });
 
+// Leads capturados (admin, autenticado: fora do limite por IP das rotas públicas)
+app.use('/api/leads', createLeadRoutes(leadManager, {
+  apiKey: config.leads.adminApiKey,
+  allowUnauthenticated: config.leads.adminAllowUnauthenticated
+}));
+
+app.use('/api', createRateLimitMiddleware(rateLimiter));
+
+// Branding público de um perfil de bot (sem prompt nem modelo)
+app.get('/api/profiles/:profileId', (req, res) => {
+  if (!botProfiles.has(req.params.profileId)) {
+    return res.status(404).json({
+      error: 'Perfil não encontrado',
+      profileId: req.params.profileId
+    });
+  }
+
+  res.json(botProfiles.getPublicProfile(botProfiles.get(req.params.profileId)));
+});
+
+// Chat HTTP: caixa de saída offline enviada pelo service worker e consulta de respostas
+app.use('/api/chat', createChatRoutes({ router: messageRouter, sessionManager, resumeTokens, visitorAuth }));
+
+// Assinaturas de Web Push do widget
+app.use('/api/push', createPushRoutes({
+  pushNotifier,
+  sessionManager,
+  resumeTokens,
+  visitorAuth,
+  allowInsecureEndpoints: config.push.allowInsecureEndpoints
+}));
+
 // Rotas da API
 app.use('/api', apiRoutes);
 
 // Rotas de monitoramento
 app.use('/monitoring', monitoringRoutes);
 
+// Sessões lidas a cada coleta de /monitoring/metrics/prometheus
+metrics.gauge({
+  name: 'chatbot_sessions_active',
+  help: 'Sessões de chat ativas',
+  collect: gauge => gauge.set(sessionManager.getStats().activeSessions)
+});
+metrics.gauge({
+  name: 'chatbot_sessions_handed_off',
+  help: 'Sessões ativas com atendimento humano',
+  collect: gauge => gauge.set(sessionManager.getStats().handedOffSessions)
+});
+metrics.gauge({
+  name: 'chatbot_sessions_loaded',
+  help: 'Sessões mantidas em memória, incluindo as encerradas',
+  collect: gauge => gauge.set(sessionManager.getStats().totalSessions)
+});
+
 // Health check endpoint
 app.get('/health', async (req, res) => {
   try {
@@ -105,9 +280,16 @@ app.get('/health', async (req, res) => {
         isConnected: aiInfo?.isConnected || false
       },
       sessions: sessionManager.getStats(),
+      visitors: {
+        ...visitorAuth.getStatus(),
+        history: visitorHistory.getStats()
+      },
+      push: pushNotifier.getStats(),
+      tracing: tracer.getStats(),
       websocket: {
         enabled: true,
-        path: config.websocket.path
+        path: config.websocket.path,
+        ...wsHandler.getStats()
       }
     });
   } catch (error) {
@@ -136,7 +318,9 @@ app.get('/config', (req, res) => {
     },
     websocket: {
       enabled: true,
-      path: config.websocket.path
+      path: config.websocket.path,
+      streaming: config.ai.streaming,
+      protocolVersion: PROTOCOL_VERSION
     }
   });
 });
@@ -184,319 +368,59 @@ app.use(errorHandler);
 // Cria servidor HTTP
 const server = createServer(app);
 
-// Configura WebSocket Server
+// Configura WebSocket Server (widget) e canal dos atendentes no mesmo servidor HTTP
 const wss = new WebSocketServer({ 
-  server,
-  path: config.websocket.path,
-  clientTracking: config.websocket.clientTracking
+  noServer: true,
+  clientTracking: config.websocket.clientTracking,
+  handleProtocols: selectSubprotocol // Versão do protocolo pedida via Sec-WebSocket-Protocol (chatbot.v1)
 });
+const agentWss = new WebSocketServer({ noServer: true });
 
-// Inicializa o handler WebSocket SIMPLIFICADO (temporário para debug)
-console.log('🔧 Server: Usando WebSocket handler simplificado...');
+server.on('upgrade', (request, socket, head) => {
+  const { pathname } = new URL(request.url, 'http://localhost');
 
-// Handler WebSocket simplificado que funciona
-wss.on('connection', (ws, request) => {
-  const clientIp = request.socket.remoteAddress || 'unknown';
-  console.log('🔗 Conexão WebSocket recebida de:', clientIp);
-  
-  // Envia mensagem de boas-vindas
-  ws.send(JSON.stringify({
-    type: 'connection',
-    status: 'connected',
-    clientId: `client_${Date.now()}`,
-    message: 'Conectado ao chatbot com sucesso!'
-  }));
-  
-  ws.on('message', async (data) => {
-    console.log('📥 Mensagem recebida:', data.toString());
-    
+  if (pathname === config.websocket.path) {
     try {
-      const message = JSON.parse(data.toString());
-      console.log('📋 Mensagem parseada:', message);
-      
-      // Processa diferentes tipos de mensagem
-      let response;
-      
-      switch (message.type) {
-        case 'ping':
-          response = {
-            type: 'pong',
-            timestamp: new Date().toISOString()
-          };
-          break;
-          
-        case 'session_start':
-          const newSession = sessionManager.createSession(clientIp);
-          response = {
-            type: 'session_started',
-            sessionId: newSession.id,
-            timestamp: new Date().toISOString(),
-            context: {
-              stage: newSession.context.stage,
-              isNewSession: true
-            }
-          };
-          break;
-          
-        case 'chat':
-          // Mostra indicador de digitação
-          ws.send(JSON.stringify({
-            type: 'typing',
-            isTyping: true,
-            timestamp: new Date().toISOString()
-          }));
-          
-          // Processa mensagem via AI Provider
-          try {
-            console.log('🤖 Processando mensagem com histórico do frontend:', message.history ? message.history.length : 'sem histórico');
-            
-            // Obtém ou cria sessão
-            let session = null;
-            if (message.sessionId) {
-              session = sessionManager.getSession(message.sessionId);
-            }
-            
-            if (!session) {
-              console.log('📝 Criando nova sessão para cliente');
-              session = sessionManager.createSession(clientIp);
-            }
-
-            // Usa histórico enviado pelo frontend ou fallback para histórico da sessão
-            let conversationHistory = [];
-            
-            if (message.history && Array.isArray(message.history) && message.history.length > 0) {
-              console.log('📚 Usando histórico do frontend:', message.history.length, 'mensagens');
-              conversationHistory = message.history;
-            } else {
-              console.log('📚 Fallback para histórico da sessão');
-              // Adiciona mensagem do usuário ao histórico da sessão
-              sessionManager.addMessage(session.id, {
-                role: 'user',
-                content: message.content,
-                tokens: Math.ceil(message.content.length / 4)
-              });
-              
-              conversationHistory = sessionManager.getFormattedHistory(session.id) || [];
-            }
-            
-            console.log('📚 Histórico final para IA:', {
-              sessionId: session.id,
-              historyLength: conversationHistory.length,
-              customerName: session.context.customerName,
-              stage: session.context.stage,
-              firstMessage: conversationHistory[0]?.role,
-              lastMessage: conversationHistory[conversationHistory.length - 1]?.role
-            });
-
-            // Remove qualquer system message do histórico do frontend (não deve vir do frontend)
-            const messageHistory = conversationHistory.filter(msg => msg.role !== 'system');
-            
-            // Garante que messageHistory é sempre um array válido
-            const safeMessageHistory = Array.isArray(messageHistory) ? messageHistory : [];
-            
-            // Usa SEMPRE o AI_SYSTEM_PROMPT do .env, não do frontend
-            const systemPrompt = process.env.AI_SYSTEM_PROMPT || 'Você é um assistente virtual útil e amigável.';
-            
-            // Obtém conteúdo da mensagem atual
-            let content = message.content;
-            
-            // Se não há conteúdo direto, tenta obter da última mensagem do usuário no histórico
-            if (!content && message.history && Array.isArray(message.history)) {
-              const lastUserMessage = message.history.filter(msg => msg.role === 'user').pop();
-              if (lastUserMessage) {
-                content = lastUserMessage.content;
-              }
-            }
-            
-            // Verifica se há conteúdo para processar
-            if (!content) {
-              console.log('❌ Mensagem sem conteúdo válido:', message);
-              ws.send(JSON.stringify({
-                type: 'chat_error',
-                messageId: message.messageId,
-                message: 'Desculpe, não foi possível processar sua mensagem. Tente novamente.',
-                error: 'Conteúdo da mensagem não encontrado',
-                timestamp: new Date().toISOString()
-              }));
-              return;
-            }
-
-            console.log('📤 Enviando para AI Provider:', {
-              messageContent: content,
-              historyLength: safeMessageHistory.length,
-              systemPrompt: 'usando AI_SYSTEM_PROMPT do .env'
-            });
-
-            const aiResponse = await aiManager.sendMessage(content, {
-              sessionId: session.id,
-              requestId: message.messageId,
-              history: safeMessageHistory, // Histórico sem system message (sempre array)
-              systemPrompt: systemPrompt // Sempre do .env
-            });
-            
-            // Adiciona resposta da IA ao histórico
-            sessionManager.addMessage(session.id, {
-              role: 'assistant',
-              content: aiResponse.message,
-              tokens: aiResponse.usage.totalTokens
-            });
-
-            // Para indicador de digitação
-            ws.send(JSON.stringify({
-              type: 'typing',
-              isTyping: false,
-              timestamp: new Date().toISOString()
-            }));
-            
-            // Envia resposta da AI com contexto da sessão
-            ws.send(JSON.stringify({
-              type: 'chat_response',
-              messageId: message.messageId,
-              content: aiResponse.message,
-              timestamp: aiResponse.timestamp,
-              sessionId: session.id,
-              usage: aiResponse.usage,
-              model: aiResponse.model,
-              provider: aiResponse.provider,
-              context: {
-                customerName: session.context.customerName,
-                stage: session.context.stage,
-                currentTopic: session.context.currentTopic,
-                messageCount: session.metadata.messageCount,
-                isContextual: session.messageHistory.length > 1
-              }
-            }));
-            
-            console.log('✅ Resposta AI enviada com contexto:', {
-              provider: aiResponse.provider,
-              sessionId: session.id,
-              responseLength: aiResponse.message.length,
-              tokensUsed: aiResponse.usage.totalTokens,
-              customerName: session.context.customerName,
-              stage: session.context.stage,
-              historyLength: session.messageHistory.length
-            });
-            
-          } catch (error) {
-            console.error('❌ Erro ao processar com AI Provider:', error.message);
-            
-            // Para indicador de digitação
-            ws.send(JSON.stringify({
-              type: 'typing',
-              isTyping: false,
-              timestamp: new Date().toISOString()
-            }));
-            
-            // Envia mensagem de erro
-            ws.send(JSON.stringify({
-              type: 'chat_error',
-              messageId: message.messageId,
-              message: 'Desculpe, ocorreu um erro ao processar sua mensagem. Tente novamente.',
-              error: error.message,
-              timestamp: new Date().toISOString()
-            }));
-          }
-          return; // Não envia resposta imediata
-
-        case 'session_end':
-          if (message.sessionId) {
-            const ended = sessionManager.endSession(message.sessionId, 'user_request');
-            response = {
-              type: 'session_ended',
-              sessionId: message.sessionId,
-              success: ended,
-              timestamp: new Date().toISOString(),
-              message: ended ? 'Atendimento finalizado com sucesso!' : 'Sessão não encontrada'
-            };
-          } else {
-            response = {
-              type: 'session_error',
-              message: 'ID da sessão não fornecido',
-              timestamp: new Date().toISOString()
-            };
-          }
-          break;
-
-        case 'session_reset':
-          if (message.sessionId) {
-            sessionManager.resetSessionContext(message.sessionId);
-            response = {
-              type: 'session_reset',
-              sessionId: message.sessionId,
-              timestamp: new Date().toISOString(),
-              message: 'Novo atendimento iniciado!'
-            };
-          } else {
-            response = {
-              type: 'session_error',
-              message: 'ID da sessão não fornecido',
-              timestamp: new Date().toISOString()
-            };
-          }
-          break;
-
-        case 'session_info':
-          if (message.sessionId) {
-            const session = sessionManager.getSession(message.sessionId);
-            if (session) {
-              response = {
-                type: 'session_info',
-                sessionId: message.sessionId,
-                context: session.context,
-                metadata: session.metadata,
-                timestamp: new Date().toISOString()
-              };
-            } else {
-              response = {
-                type: 'session_error',
-                message: 'Sessão não encontrada',
-                timestamp: new Date().toISOString()
-              };
-            }
-          } else {
-            response = {
-              type: 'session_error',
-              message: 'ID da sessão não fornecido',
-              timestamp: new Date().toISOString()
-            };
-          }
-          break;
-          
-        default:
-          response = {
-            type: 'unknown_message_type',
-            originalType: message.type,
-            message: `Tipo não reconhecido: ${message.type}`,
-            timestamp: new Date().toISOString()
-          };
-      }
-      
-      if (response) {
-        console.log('📤 Enviando resposta:', response);
-        ws.send(JSON.stringify(response));
-      }
-      
+      request.visitor = visitorAuth.authenticate(request);
     } catch (error) {
-      console.error('❌ Erro ao processar mensagem:', error.message);
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Erro ao processar mensagem',
-        error: error.message,
-        timestamp: new Date().toISOString()
-      }));
+      console.warn('🚫 Token de visitante recusado:', request.socket.remoteAddress, error.code);
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
     }
-  });
-  
-  ws.on('close', (code, reason) => {
-    console.log('🔌 Conexão fechada:', code, reason?.toString());
-  });
-  
-  ws.on('error', (error) => {
-    console.error('❌ Erro na conexão:', error.message);
-  });
+
+    wss.handleUpgrade(request, socket, head, ws => wss.emit('connection', ws, request));
+    return;
+  }
+
+  if (pathname === config.handoff.path) {
+    const agent = handoffManager.authenticate(request);
+    if (!agent) {
+      console.warn('🚫 Atendente não autorizado no canal de handoff:', request.socket.remoteAddress);
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    agentWss.handleUpgrade(request, socket, head, ws => handoffManager.handleAgentConnection(ws, agent));
+    return;
+  }
+
+  socket.destroy();
 });
 
-console.log('✅ Server: Handler WebSocket simplificado configurado');
+const wsHandler = new WebSocketHandler({
+  router: messageRouter,
+  botProfiles,
+  handoffManager,
+  config: { historyMode: config.session.historyMode }
+});
+
+wss.on('connection', (ws, request) => {
+  monitoring.trackWebSocketConnection('connect');
+  ws.once('close', () => monitoring.trackWebSocketConnection('disconnect'));
+  wsHandler.handleConnection(ws, request);
+});
 
 // Eventos do servidor
 server.on('listening', () => {
@@ -522,15 +446,29 @@ async function gracefulShutdown(signal) {
   try {
     // Fecha conexões WebSocket
     console.log('Fechando conexões WebSocket...');
-    await wsHandler.shutdown();
+    wsHandler.shutdown(1001, 'Servidor reiniciando');
+    handoffManager.close();
+    rateLimiter.close();
     
     // Desconecta do AI Manager
     console.log('Desconectando do AI Manager...');
     await aiManager.disconnect();
 
+    // Encerra servidores MCP
+    console.log('Encerrando servidores MCP...');
+    await mcpTools.close();
+
     // Destrói o SessionManager
     console.log('Finalizando SessionManager...');
-    sessionManager.destroy();
+    await sessionManager.destroy();
+
+    // Conclui a exportação dos leads (inclusive os gerados no encerramento das sessões)
+    console.log('Fechando destinos de leads...');
+    await leadManager.close();
+    await visitorHistory.close();
+    await pushNotifier.close();
+    await alertManager.close();
+    await tracer.close();
     
     // Fecha servidor HTTP
     console.log('Fechando servidor HTTP...');
@@ -553,7 +491,7 @@ async function gracefulShutdown(signal) {
 
 // Inicializa o AI Manager
 console.log('🔧 Iniciando AI Provider Manager...');
-aiManager.initialize().then(() => {
+const aiReady = aiManager.initialize().then(() => {
   const providerInfo = aiManager.getCurrentProviderInfo();
   console.log('✅ AI Provider inicializado com sucesso!', {
     provider: providerInfo.name,
@@ -566,7 +504,38 @@ aiManager.initialize().then(() => {
   // Não encerra o servidor, permite funcionamento com fallback
 });
 
-// Inicia o servidor
-server.listen(config.server.port);
+// Indexa a base de conhecimento depois do provedor (os embeddings usam o provedor ativo)
+aiReady.then(() => knowledgeBase.initialize()).catch(error => {
+  console.error('❌ Erro ao carregar base de conhecimento:', error.message);
+});
+
+// Conecta aos servidores de ferramentas MCP
+mcpTools.initialize().catch(error => {
+  console.error('❌ Erro ao inicializar ferramentas MCP:', error.message);
+});
+
+// Carrega perfis de bot e reidrata sessões persistidas antes de aceitar conexões
+// (leads e histórico de visitantes vêm antes das sessões: a reidratação pode finalizar sessões expiradas)
+Promise.all([
+  botProfiles.initialize().catch(error => {
+    console.error('❌ Erro ao carregar perfis de bot:', error.message);
+  }),
+  Promise.all([
+    leadManager.initialize().catch(error => {
+      console.error('❌ Erro ao inicializar captura de leads:', error.message);
+    }),
+    visitorHistory.initialize().catch(error => {
+      console.error('❌ Erro ao carregar histórico de visitantes:', error.message);
+    }),
+    pushNotifier.initialize().catch(error => {
+      console.error('❌ Erro ao carregar assinaturas de push:', error.message);
+    })
+  ]).then(() => sessionManager.initialize()).catch(error => {
+    console.error('❌ Erro ao reidratar sessões do store:', error.message);
+  })
+]).finally(() => {
+  // Inicia o servidor
+  server.listen(config.server.port);
+});
 
 export { app, server, aiManager };
\ No newline at end of file
@@ -0,0 +1,111 @@
+import logger from '../utils/logger.js';
+
+const ROLE_LABELS = {
+  user: 'Cliente',
+  assistant: 'Assistente'
+};
+
+const EXCERPT_LENGTH = 160;
+
+/**
+ * Resumo extrativo sem modelo (usado com o provedor mock, com o resumo via LLM
+ * desligado ou quando ele falha): acrescenta ao resumo anterior um trecho de cada
+ * mensagem descartada e mantém apenas o final quando passa de maxLength
+ * @returns {string}
+ */
+export function summarizeWithoutModel(summary, messages, { maxLength = 1500 } = {}) {
+  const lines = messages
+    .filter(msg => ROLE_LABELS[msg.role] && msg.content)
+    .map(msg => {
+      const text = msg.content.replace(/\s+/g, ' ').trim();
+      const excerpt = text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 3)}...` : text;
+      return `- ${ROLE_LABELS[msg.role]}: ${excerpt}`;
+    });
+
+  const text = [summary, ...lines].filter(Boolean).join('\n');
+  return text.length > maxLength ? `...${text.slice(text.length - maxLength + 3)}` : text;
+}
+
+/**
+ * Resumo contínuo da conversa via provedor de IA
+ * Quando o histórico da sessão passa do limite, condensa as mensagens descartadas
+ * junto com o resumo anterior em um novo resumo, injetado no prompt de sistema
+ * Os tokens do resumo entram no orçamento diário do cliente (RateLimiter); com ele
+ * esgotado, o resumo é extrativo
+ */
+export class ConversationSummarizer {
+  constructor(config = {}) {
+    this.aiManager = config.aiManager || null;
+    this.rateLimiter = config.rateLimiter || null;
+    this.config = {
+      mode: config.mode || 'llm', // llm: resumo pelo provedor ativo; extractive: trechos das mensagens
+      maxTokens: config.maxTokens || 400,
+      maxLength: config.maxLength || 1500 // Caracteres mantidos no resumo
+    };
+  }
+
+  /**
+   * O resumo via LLM só roda com um provedor real ativo
+   */
+  isAvailable() {
+    const provider = this.aiManager?.currentProvider;
+    return this.config.mode === 'llm' && Boolean(provider) && provider.providerName !== 'mock';
+  }
+
+  /**
+   * @param {Object} input - { summary, messages, client } resumo anterior, mensagens descartadas
+   *   e cliente do orçamento ({ ip, sessionId })
+   * @returns {Promise<Object>} { text, source } source: llm ou extractive
+   */
+  async summarize({ summary = '', messages = [], client = {} }) {
+    if (!this.isAvailable()) {
+      return { text: summarizeWithoutModel(summary, messages, this.config), source: 'extractive' };
+    }
+
+    if (this.rateLimiter?.checkBudget(client, true)) {
+      logger.info('Orçamento diário esgotado, usando resumo extrativo', { sessionId: client.sessionId });
+      return { text: summarizeWithoutModel(summary, messages, this.config), source: 'extractive' };
+    }
+
+    try {
+      const response = await this.aiManager.sendMessage(this.buildTranscript(summary, messages), {
+        history: [],
+        systemPrompt: this.buildPrompt(),
+        temperature: 0,
+        maxTokens: this.config.maxTokens,
+        sessionId: client.sessionId
+      });
+      this.rateLimiter?.recordUsage(client, response.usage, response.metadata?.cost || null);
+
+      const text = response.message.trim();
+      if (!text) {
+        throw new Error('Resumo vazio');
+      }
+
+      return { text: text.slice(0, this.config.maxLength), source: 'llm' };
+    } catch (error) {
+      logger.warn('Erro ao resumir conversa, usando resumo extrativo', { error: error.message });
+      return { text: summarizeWithoutModel(summary, messages, this.config), source: 'extractive' };
+    }
+  }
+
+  buildPrompt() {
+    return [
+      'Você resume conversas de atendimento para que o assistente continue o atendimento sem perder contexto.',
+      'Atualize o resumo anterior com as novas mensagens e responda apenas com o resumo, em português, em tópicos curtos.',
+      'Preserve dados do cliente (nome, contatos, datas, valores), pedidos, decisões e pendências; omita cumprimentos.',
+      `Use no máximo ${this.config.maxLength} caracteres.`
+    ].join('\n');
+  }
+
+  buildTranscript(summary, messages) {
+    const lines = messages
+      .filter(msg => ROLE_LABELS[msg.role] && msg.content)
+      .map(msg => `${ROLE_LABELS[msg.role]}: ${msg.content}`);
+
+    return [
+      `Resumo anterior:\n${summary || '(nenhum)'}`,
+      `Novas mensagens:\n${lines.join('\n')}`
+    ].join('\n\n');
+  }
+}
@@ -0,0 +1,87 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import logger from '../utils/logger.js';
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 horas
+
+function createResumeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Tokens de retomada de sessão do widget
+ *
+ * Emitidos no session_started e apresentados no session_resume para religar uma
+ * nova conexão (reconexão ou recarga da página) à sessão existente.
+ * Formato: base64url({ sid, iat, exp }).base64url(HMAC-SHA256)
+ * Sem SESSION_RESUME_SECRET a chave é gerada no boot e os tokens não sobrevivem a um restart.
+ */
+export class ResumeTokenSigner {
+  constructor(config = {}) {
+    this.config = {
+      ttl: config.ttl || DEFAULT_TTL,
+      ...config
+    };
+
+    if (!config.secret) {
+      logger.warn('SESSION_RESUME_SECRET não configurado: tokens de retomada valem só até o próximo restart');
+    }
+    this.secret = config.secret || randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Emite um token para a sessão
+   * @returns {Object} { token, expiresAt }
+   */
+  issue(sessionId) {
+    const issuedAt = Date.now();
+    const payload = { sid: sessionId, iat: issuedAt, exp: issuedAt + this.config.ttl };
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    return {
+      token: `${encoded}.${this.sign(encoded)}`,
+      expiresAt: new Date(payload.exp).toISOString()
+    };
+  }
+
+  /**
+   * Valida assinatura, expiração e a sessão do token
+   * @throws {Error} code RESUME_TOKEN_INVALID ou RESUME_TOKEN_EXPIRED
+   */
+  verify(token, sessionId) {
+    const [encoded, signature, ...rest] = typeof token === 'string' ? token.split('.') : [];
+    if (!encoded || !signature || rest.length > 0 || !this.isValidSignature(encoded, signature)) {
+      throw createResumeError('RESUME_TOKEN_INVALID', 'Token de retomada inválido');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw createResumeError('RESUME_TOKEN_INVALID', 'Token de retomada inválido');
+    }
+
+    if (payload.sid !== sessionId) {
+      throw createResumeError('RESUME_TOKEN_INVALID', 'Token de retomada não pertence a esta sessão');
+    }
+
+    if (!Number.isFinite(payload.exp) || payload.exp <= Date.now()) {
+      throw createResumeError('RESUME_TOKEN_EXPIRED', 'Token de retomada expirado');
+    }
+
+    return payload;
+  }
+
+  sign(encoded) {
+    return createHmac('sha256', this.secret).update(encoded).digest('base64url');
+  }
+
+  isValidSignature(encoded, signature) {
+    const expected = Buffer.from(this.sign(encoded));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && timingSafeEqual(expected, received);
+  }
+}
+
+export default ResumeTokenSigner;
@@ -1,9 +1,20 @@
 import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
 import logger from '../utils/logger.js';
+import { MemorySessionStore } from './stores/MemorySessionStore.js';
+import { BotProfileRegistry, DEFAULT_PROFILE_ID } from '../profiles/BotProfileRegistry.js';
+import { extractSlotsWithPatterns } from './SlotExtractor.js';
+import { summarizeWithoutModel } from './ConversationSummarizer.js';
+
+const MAX_STAGE_HISTORY = 20; // Transições de estágio mantidas no contexto
 
 /**
  * Gerenciador de sessões de chat
  * Mantém o contexto das conversas e controla o ciclo de vida das sessões
+ * As sessões ficam em cache no Map `sessions` e são gravadas no store configurado
+ * (memória, arquivo ou Redis) a cada criação, mensagem e finalização
+ * Cada gravação incrementa `revision`; antes de servir ou expirar uma sessão o cache é
+ * comparado com o store, que pode ter sido atualizado por outra instância
  */
 export class SessionManager extends EventEmitter {
   constructor(config = {}) {
@@ -16,8 +27,20 @@ export class SessionManager extends EventEmitter {
       ...config
     };
 
+    this.store = config.store || new MemorySessionStore();
+    // Perfis de bot: prompt, tópicos e instruções por estágio de cada tenant
+    this.profiles = config.profiles || new BotProfileRegistry({ systemPrompt: process.env.AI_SYSTEM_PROMPT });
     this.sessions = new Map(); // sessionId -> sessionData
     this.sessionTimeouts = new Map(); // sessionId -> timeoutId
+    this.pendingWrites = new Map(); // sessionId -> Promise da última gravação no store
+    this.removalTimeouts = new Map(); // sessionId -> timeoutId da remoção após finalizar
+    this.stageUpdates = new Map(); // sessionId -> Promise da última atualização (estágio ou resumo)
+    // Classificador LLM usado pelas transições de estágio com `intent`
+    this.stageClassifier = config.stageClassifier || null;
+    // Extração de dados do cliente via LLM (sem ela, ou com o mock, usa expressões regulares)
+    this.slotExtractor = config.slotExtractor || null;
+    // Resumo das mensagens que saem do histórico (sem ele, resumo extrativo)
+    this.summarizer = config.summarizer || null;
     
     // Limpa sessões expiradas a cada 5 minutos
     this.cleanupInterval = setInterval(() => {
@@ -27,31 +50,85 @@ export class SessionManager extends EventEmitter {
     logger.info('SessionManager inicializado', {
       maxHistoryLength: this.config.maxHistoryLength,
       sessionTimeout: this.config.sessionTimeout,
-      maxSessions: this.config.maxSessions
+      maxSessions: this.config.maxSessions,
+      store: this.store.storeName
     });
   }
 
+  /**
+   * Conecta ao store e reidrata as sessões persistidas
+   * Timeouts são recriados a partir de lastActivity; sessões já expiradas são finalizadas
+   */
+  async initialize() {
+    await this.store.connect();
+
+    const storedSessions = await this.store.getAll();
+    let restoredCount = 0;
+    let expiredCount = 0;
+
+    for (const session of storedSessions) {
+      if (session.status === 'ended') {
+        await this.store.delete(session.id);
+        continue;
+      }
+
+      if (this.hydrateSession(session)) {
+        restoredCount++;
+      } else {
+        expiredCount++;
+      }
+    }
+
+    logger.info('Sessões reidratadas do store', {
+      store: this.store.storeName,
+      restored: restoredCount,
+      expired: expiredCount
+    });
+
+    this.emit('sessionsRestored', { restored: restoredCount, expired: expiredCount });
+    return restoredCount;
+  }
+
+  /**
+   * Carrega no cache uma sessão vinda do store
+   * Retorna false se ela expirou enquanto estava fora da memória
+   */
+  hydrateSession(session) {
+    this.sessions.set(session.id, session);
+
+    const remaining = this.config.sessionTimeout - (Date.now() - session.lastActivity.getTime());
+    if (remaining <= 0) {
+      this.endSession(session.id, 'expired');
+      return false;
+    }
+
+    this.resetSessionTimeout(session.id, remaining);
+    return true;
+  }
+
   /**
    * Cria uma nova sessão
+   * @param {string} clientId - Identificação do cliente (IP)
+   * @param {Object} options - { profileId, visitor } perfil de bot que atende a sessão e
+   *   visitante autenticado pelo JWT do site ({ userId, name, email, plan })
    */
-  createSession(clientId = null) {
+  createSession(clientId = null, options = {}) {
     const sessionId = this.generateSessionId();
     const now = new Date();
+    const profile = this.profiles.get(options.profileId);
     
     const sessionData = {
       id: sessionId,
       clientId: clientId,
+      profileId: profile.id,
       createdAt: now,
       lastActivity: now,
-      status: 'active', // active, paused, ended
+      revision: 0, // Incrementada a cada gravação no store
+      status: 'active', // active, paused (com atendente humano), ended
+      handoff: null, // { agentId, agentName, claimedAt } enquanto um atendente conduz a conversa
+      visitor: options.visitor || null,
       messageHistory: [],
-      context: {
-        customerName: null,
-        customerInfo: {},
-        currentTopic: null,
-        stage: 'greeting', // greeting, information_gathering, service_discussion, closing
-        preferences: {}
-      },
+      context: this.createInitialContext(profile, options.visitor),
       metadata: {
         messageCount: 0,
         totalTokens: 0,
@@ -66,10 +143,13 @@ export class SessionManager extends EventEmitter {
 
     this.sessions.set(sessionId, sessionData);
     this.resetSessionTimeout(sessionId);
+    this.persistSession(sessionId);
 
     logger.info('Nova sessão criada', {
       sessionId,
       clientId,
+      profileId: sessionData.profileId,
+      userId: sessionData.visitor?.userId,
       totalSessions: this.sessions.size
     });
 
@@ -77,6 +157,43 @@ export class SessionManager extends EventEmitter {
     return sessionData;
   }
 
+  /**
+   * Contexto de um atendimento novo, no estágio inicial do funil do perfil
+   * Com visitante autenticado, nome, e-mail e plano já vêm das claims do JWT
+   */
+  createInitialContext(profile, visitor = null) {
+    return {
+      customerName: visitor?.name || null,
+      customerInfo: this.getVisitorInfo(visitor),
+      currentTopic: null,
+      stage: profile.stageMachine.initial,
+      stageHistory: [], // Transições de estágio { from, to, rule, messageId, timestamp }
+      summary: null, // Resumo das mensagens que saíram do histórico { text, messageCount, source, updatedAt }
+      preferences: {}
+    };
+  }
+
+  /**
+   * Claims do visitante autenticado no formato de customerInfo
+   */
+  getVisitorInfo(visitor) {
+    if (!visitor) return {};
+
+    const claims = { nome: visitor.name, email: visitor.email, plano: visitor.plan };
+    return Object.fromEntries(
+      Object.entries(claims)
+        .filter(([, value]) => value)
+        .map(([slot, value]) => [slot, { value, confidence: 1, source: 'jwt', messageId: null }])
+    );
+  }
+
+  /**
+   * Cliente dos limites e orçamentos do RateLimiter: IP que criou a sessão e a sessão
+   */
+  getUsageClient(session) {
+    return { ip: session.clientId, sessionId: session.id };
+  }
+
   /**
    * Obtém dados da sessão
    */
@@ -88,6 +205,78 @@ export class SessionManager extends EventEmitter {
     return session;
   }
 
+  /**
+   * Obtém a sessão atualizada com o store
+   * (ex.: sessão criada ou alterada por outra instância atrás do balanceador)
+   */
+  async loadSession(sessionId) {
+    try {
+      const session = await this.syncWithStore(sessionId);
+      return session ? this.getSession(sessionId) : null;
+    } catch (error) {
+      logger.error('Erro ao carregar sessão do store', {
+        sessionId,
+        store: this.store.storeName,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Relê a sessão do store e atualiza o cache antes de alterá-la ou expirá-la
+   * Revisão maior no store substitui o cache; sessão finalizada no store por outra
+   * instância sai do cache. Se o store não tiver a sessão, o cache é mantido
+   * @returns {Promise<Object|null>} Sessão atual ou null se não existir/estiver finalizada
+   */
+  async syncWithStore(sessionId) {
+    const cached = this.sessions.get(sessionId);
+    if (cached?.status === 'ended') {
+      return cached;
+    }
+
+    // Gravações locais pendentes precisam chegar ao store antes da comparação
+    await this.pendingWrites.get(sessionId);
+    const stored = await this.store.get(sessionId);
+    const current = this.sessions.get(sessionId);
+
+    if (!stored) {
+      return current || null;
+    }
+
+    if (stored.status === 'ended') {
+      if (current && current.status !== 'ended') {
+        logger.info('Sessão finalizada por outra instância', { sessionId, endReason: stored.endReason });
+        this.evictSession(sessionId);
+      }
+      return current?.status === 'ended' ? current : null;
+    }
+
+    if (current && (stored.revision || 0) <= (current.revision || 0)) {
+      return current;
+    }
+
+    if (!this.hydrateSession(stored)) {
+      return null;
+    }
+
+    logger.info(current ? 'Sessão atualizada a partir do store' : 'Sessão carregada do store', {
+      sessionId,
+      revision: stored.revision || 0,
+      store: this.store.storeName
+    });
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * Remove a sessão do cache sem gravar no store
+   */
+  evictSession(sessionId) {
+    clearTimeout(this.sessionTimeouts.get(sessionId));
+    this.sessionTimeouts.delete(sessionId);
+    this.sessions.delete(sessionId);
+  }
+
   /**
    * Adiciona mensagem ao histórico da sessão
    */
@@ -111,20 +300,25 @@ export class SessionManager extends EventEmitter {
     session.metadata.messageCount++;
     session.metadata.totalTokens += messageData.tokens;
 
-    // Mantém apenas as últimas N mensagens
+    // Mantém apenas as últimas N mensagens; as removidas entram no resumo da conversa
     if (session.messageHistory.length > this.config.maxHistoryLength) {
       const removed = session.messageHistory.splice(0, session.messageHistory.length - this.config.maxHistoryLength);
       logger.debug('Mensagens antigas removidas do histórico', {
         sessionId,
         removedCount: removed.length
       });
+      this.summarizeRemoved(sessionId, removed);
     }
 
     this.updateLastActivity(sessionId);
     this.resetSessionTimeout(sessionId);
 
-    // Atualiza contexto baseado na mensagem
-    this.updateSessionContext(sessionId, messageData);
+    // Atualiza contexto baseado na mensagem e avalia a transição de estágio
+    const contextUpdate = this.updateSessionContext(sessionId, messageData);
+    this.persistSession(sessionId);
+    if (messageData.role === 'user' && !contextUpdate.reset) {
+      this.advanceStage(sessionId, messageData, contextUpdate.topic);
+    }
 
     logger.debug('Mensagem adicionada ao histórico', {
       sessionId,
@@ -167,36 +361,103 @@ export class SessionManager extends EventEmitter {
     return messages;
   }
 
+  /**
+   * ID da última mensagem registrada na sessão (null se não houver)
+   */
+  getLastMessageId(sessionId) {
+    const session = this.sessions.get(sessionId);
+    const lastMessage = session?.messageHistory[session.messageHistory.length - 1];
+    return lastMessage ? lastMessage.id : null;
+  }
+
+  /**
+   * Transcrição canônica da sessão para sincronizar o cliente
+   */
+  getTranscript(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return [];
+    }
+
+    return session.messageHistory.map(msg => ({
+      id: msg.id,
+      role: msg.role,
+      from: this.getMessageAuthor(msg),
+      content: msg.content,
+      timestamp: msg.timestamp,
+      metadata: msg.metadata
+    }));
+  }
+
+  /**
+   * Mensagens da transcrição posteriores a lastMessageId (todas, sem lastMessageId)
+   * Retorna null quando lastMessageId não está mais no histórico
+   */
+  getMessagesSince(sessionId, lastMessageId = null) {
+    const transcript = this.getTranscript(sessionId);
+    if (!lastMessageId) {
+      return transcript;
+    }
+
+    const index = transcript.findIndex(msg => msg.id === lastMessageId);
+    return index === -1 ? null : transcript.slice(index + 1);
+  }
+
+  /**
+   * Sessões de visitantes autenticados só podem ser usadas pelo mesmo usuário
+   */
+  canAccessSession(session, visitor = null) {
+    return !session.visitor || session.visitor.userId === visitor?.userId;
+  }
+
+  /**
+   * Autor da mensagem: visitor, bot ou agent (respostas de atendentes humanos)
+   */
+  getMessageAuthor(message) {
+    if (message.role === 'user') return 'visitor';
+    return message.metadata?.from === 'agent' ? 'agent' : 'bot';
+  }
+
+  /**
+   * Perfil de bot da sessão (sessões antigas sem profileId usam o padrão)
+   */
+  getSessionProfile(session) {
+    return this.profiles.get(session?.profileId || DEFAULT_PROFILE_ID);
+  }
+
   /**
    * Constrói prompt de sistema com contexto da sessão
    */
   buildSystemPrompt(session) {
-    const basePrompt = process.env.AI_SYSTEM_PROMPT || 'Você é um assistente virtual útil e amigável.';
+    const profile = this.getSessionProfile(session);
     
-    let contextPrompt = basePrompt;
+    let contextPrompt = profile.systemPrompt;
 
     // Adiciona informações do cliente se disponível
-    if (session.context.customerName) {
+    const customerInfo = Object.entries(session.context.customerInfo).filter(([key]) => key !== 'nome');
+
+    if (session.context.customerName || customerInfo.length > 0) {
       contextPrompt += `\n\nInformações do cliente atual:`;
-      contextPrompt += `\n- Nome: ${session.context.customerName}`;
-      
-      if (Object.keys(session.context.customerInfo).length > 0) {
-        Object.entries(session.context.customerInfo).forEach(([key, value]) => {
-          contextPrompt += `\n- ${key}: ${value}`;
-        });
+
+      if (session.context.customerName) {
+        contextPrompt += `\n- Nome: ${session.context.customerName}`;
       }
+      
+      customerInfo.forEach(([key, entry]) => {
+        contextPrompt += `\n- ${key}: ${this.getSlotValue(entry)}`;
+      });
     }
 
-    // Adiciona contexto do estágio da conversa
-    const stageInstructions = {
-      greeting: 'Você está no início do atendimento. Seja caloroso e descubra como pode ajudar.',
-      information_gathering: 'Você está coletando informações do cliente. Faça perguntas relevantes para entender suas necessidades.',
-      service_discussion: 'Você está discutindo serviços específicos. Seja detalhado sobre preços e benefícios.',
-      closing: 'Você está finalizando o atendimento. Confirme próximos passos e agradeça.'
-    };
+    // Adiciona o resumo das mensagens que já saíram do histórico
+    if (session.context.summary?.text) {
+      contextPrompt += `\n\nResumo do início da conversa:\n${session.context.summary.text}`;
+    }
+
+    // Adiciona contexto do estágio da conversa (fragmento do funil do perfil)
+    const stagePrompt = profile.stageMachine.getPrompt(session.context.stage);
 
-    if (stageInstructions[session.context.stage]) {
-      contextPrompt += `\n\nEstágio atual do atendimento: ${stageInstructions[session.context.stage]}`;
+    if (stagePrompt) {
+      contextPrompt += `\n\nEstágio atual do atendimento: ${stagePrompt}`;
     }
 
     // Adiciona tópico atual se disponível
@@ -214,102 +475,292 @@ export class SessionManager extends EventEmitter {
 
   /**
    * Atualiza contexto da sessão baseado na mensagem
+   * Retorna o tópico detectado na mensagem e se o atendimento foi reiniciado
    */
   updateSessionContext(sessionId, message) {
     const session = this.sessions.get(sessionId);
-    if (!session) return;
+    if (!session) return {};
 
-    const content = message.content.toLowerCase();
-
-    // Detecta nome do cliente
-    if (message.role === 'user' && !session.context.customerName) {
-      const namePatterns = [
-        /(?:me chamo|meu nome é|sou (?:a |o )?|eu sou (?:a |o )?)([\w\s]+)/i,
-        /(?:nome|chamo)(?:\s+é|\s+:)?\s+([\w\s]+)/i
-      ];
-
-      for (const pattern of namePatterns) {
-        const match = message.content.match(pattern);
-        if (match && match[1]) {
-          const name = match[1].trim().split(' ')[0]; // Pega apenas o primeiro nome
-          if (name.length > 1 && name.length < 20) {
-            session.context.customerName = name;
-            logger.info('Nome do cliente detectado', { sessionId, customerName: name });
-            break;
-          }
-        }
-      }
-    }
+    let detectedTopic = null;
 
-    // Detecta informações do cliente
-    const infoPatterns = {
-      telefone: /(?:telefone|whatsapp|contato)(?:\s+é|\s+:)?\s*(\d{10,11})/i,
-      idade: /(?:tenho|idade)(?:\s+é|\s+:)?\s*(\d{1,2})\s*anos?/i,
-      peso: /(?:peso|quilos?)(?:\s+é|\s+:)?\s*(\d{2,3})\s*k?g?/i,
-      altura: /(?:altura|metro)(?:\s+é|\s+:)?\s*(\d{1}\.\d{2}|\d{3})/i
-    };
+    const content = message.content.toLowerCase();
 
-    if (message.role === 'user') {
-      Object.entries(infoPatterns).forEach(([key, pattern]) => {
-        const match = message.content.match(pattern);
-        if (match && match[1]) {
-          session.context.customerInfo[key] = match[1];
-          logger.debug('Informação do cliente detectada', { sessionId, key, value: match[1] });
-        }
-      });
+    // Detecta dados do cliente por expressões regulares quando a extração via LLM
+    // não está disponível (ela roda depois, em advanceStage)
+    if (message.role === 'user' && !this.slotExtractor?.isAvailable()) {
+      const slots = extractSlotsWithPatterns(message.content, { skipName: Boolean(session.context.customerName) });
+      this.mergeCustomerInfo(session, slots, message.id, 'regex');
     }
 
-    // Detecta tópicos de interesse
-    const topics = {
-      'botox': ['botox', 'rugas', 'expressão'],
-      'emagrecimento': ['emagrecer', 'perder peso', 'gordura'],
-      'criolipólise': ['criolipólise', 'gordura localizada'],
-      'estrias': ['estrias', 'marca'],
-      'vasinhos': ['vasinhos', 'varizes', 'veias'],
-      'limpeza': ['limpeza de pele', 'acne', 'cravos']
-    };
+    // Detecta tópicos de interesse (dicionário do perfil da sessão)
+    const topics = this.getSessionProfile(session).topics;
 
     if (message.role === 'user') {
       Object.entries(topics).forEach(([topic, keywords]) => {
-        if (keywords.some(keyword => content.includes(keyword))) {
+        if (keywords.some(keyword => content.includes(keyword.toLowerCase()))) {
           session.context.currentTopic = topic;
-          session.context.stage = 'service_discussion';
+          detectedTopic = topic;
           logger.debug('Tópico detectado', { sessionId, topic });
         }
       });
     }
 
     // Detecta comandos especiais
-    if (message.role === 'user') {
-      if (content.includes('finalizar') || content.includes('encerrar') || content.includes('tchau')) {
-        session.context.stage = 'closing';
-      } else if (content.includes('novo atendimento')) {
-        this.resetSessionContext(sessionId);
+    if (message.role === 'user' && content.includes('novo atendimento')) {
+      this.resetSessionContext(sessionId);
+      return { topic: null, reset: true };
+    }
+
+    return { topic: detectedTopic, reset: false };
+  }
+
+  /**
+   * Grava dados extraídos em customerInfo com confiança, origem e mensagem
+   * O nome também fica em customerName (usado no prompt e no widget)
+   * @param {Object} slots - slot -> { value, confidence }
+   * @param {string} source - regex ou llm
+   */
+  mergeCustomerInfo(session, slots, messageId, source) {
+    Object.entries(slots).forEach(([slot, { value, confidence }]) => {
+      // Dados verificados pelo JWT do site não são sobrescritos pela extração
+      if (session.context.customerInfo[slot]?.source === 'jwt') return;
+
+      session.context.customerInfo[slot] = { value, confidence, source, messageId };
+
+      if (slot === 'nome') {
+        session.context.customerName = value;
+        logger.info('Nome do cliente detectado', { sessionId: session.id, customerName: value, source });
+      } else {
+        logger.debug('Informação do cliente detectada', { sessionId: session.id, key: slot, value, source });
       }
+    });
+  }
+
+  /**
+   * Valor de um item de customerInfo (sessões antigas guardavam o valor puro)
+   */
+  getSlotValue(entry) {
+    return entry !== null && typeof entry === 'object' ? entry.value : entry;
+  }
+
+  /**
+   * Dados do cliente usados nas condições `slots` das transições de estágio
+   */
+  getSessionSlots(session) {
+    const slots = Object.fromEntries(
+      Object.entries(session.context.customerInfo).map(([key, entry]) => [key, this.getSlotValue(entry)])
+    );
+
+    return {
+      ...slots,
+      nome: session.context.customerName
+    };
+  }
+
+  /**
+   * Extrai dados do cliente da mensagem com o provedor de IA e o schema do perfil
+   */
+  async extractSlots(sessionId, message) {
+    if (!this.slotExtractor?.isAvailable()) return null;
+
+    const session = this.sessions.get(sessionId);
+    if (!session || session.status === 'ended') return null;
+
+    const slots = await this.slotExtractor.extract({
+      content: message.content,
+      schema: this.getSessionProfile(session).slots,
+      known: this.getSessionSlots(session),
+      client: this.getUsageClient(session)
+    });
+
+    if (Object.keys(slots).length > 0) {
+      this.mergeCustomerInfo(session, slots, message.id, 'llm');
+      this.persistSession(sessionId);
+      this.emit('slotsExtracted', { sessionId, messageId: message.id, slots });
     }
+
+    return slots;
+  }
+
+  /**
+   * Extrai dados do cliente e avalia a transição de estágio para a mensagem do usuário
+   * As avaliações são encadeadas por sessão (extração e classificador LLM são
+   * assíncronos); use waitForStage para aguardar contexto e estágio atualizados
+   */
+  advanceStage(sessionId, message, topic = null) {
+    return this.queueUpdate(sessionId, async () => {
+      await this.extractSlots(sessionId, message);
+      return this.applyStageTransition(sessionId, message, topic);
+    }, 'Erro ao avaliar transição de estágio');
+  }
+
+  /**
+   * Encadeia uma atualização assíncrona da sessão às pendentes (estágio e resumo)
+   */
+  queueUpdate(sessionId, task, errorMessage) {
+    const previous = this.stageUpdates.get(sessionId) || Promise.resolve();
+    const update = previous
+      .then(task)
+      .catch(error => {
+        logger.error(errorMessage, { sessionId, error: error.message });
+        return null;
+      });
+
+    this.stageUpdates.set(sessionId, update);
+    update.then(() => {
+      if (this.stageUpdates.get(sessionId) === update) {
+        this.stageUpdates.delete(sessionId);
+      }
+    });
+
+    return update;
+  }
+
+  /**
+   * Condensa as mensagens removidas do histórico no resumo da sessão
+   * (via summarizer quando disponível; senão, resumo extrativo)
+   */
+  summarizeRemoved(sessionId, messages) {
+    return this.queueUpdate(sessionId, async () => {
+      const session = this.sessions.get(sessionId);
+      if (!session || session.status === 'ended') return null;
+
+      const context = session.context;
+      const previous = context.summary;
+      const { text, source } = this.summarizer
+        ? await this.summarizer.summarize({ summary: previous?.text || '', messages, client: this.getUsageClient(session) })
+        : { text: summarizeWithoutModel(previous?.text || '', messages), source: 'extractive' };
+
+      // O atendimento pode ter sido reiniciado enquanto o resumo era gerado
+      if (session.context !== context) return null;
+
+      session.context.summary = {
+        text,
+        messageCount: (previous?.messageCount || 0) + messages.length,
+        source,
+        updatedAt: new Date().toISOString()
+      };
+      this.persistSession(sessionId);
+
+      logger.info('Resumo da conversa atualizado', {
+        sessionId,
+        summarizedMessages: session.context.summary.messageCount,
+        source
+      });
+      this.emit('summaryUpdated', { sessionId, summary: session.context.summary });
+      return session.context.summary;
+    }, 'Erro ao resumir histórico da conversa');
+  }
+
+  async applyStageTransition(sessionId, message, topic) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.status === 'ended') return null;
+
+    const transition = await this.getSessionProfile(session).stageMachine.evaluate({
+      stage: session.context.stage,
+      content: message.content,
+      topic,
+      slots: this.getSessionSlots(session)
+    }, this.stageClassifier);
+
+    if (!transition) return null;
+
+    const entry = {
+      ...transition,
+      messageId: message.id,
+      timestamp: new Date().toISOString()
+    };
+
+    session.context.stage = transition.to;
+    session.context.stageHistory = [...(session.context.stageHistory || []), entry].slice(-MAX_STAGE_HISTORY);
+    this.persistSession(sessionId);
+
+    logger.info('Estágio da conversa alterado', { sessionId, from: entry.from, to: entry.to, rule: entry.rule });
+    this.emit('stageChanged', { sessionId, ...entry });
+    return entry;
+  }
+
+  /**
+   * Aguarda as atualizações pendentes da sessão (estágio, dados do cliente e resumo)
+   */
+  async waitForStage(sessionId) {
+    await this.stageUpdates.get(sessionId);
+  }
+
+  /**
+   * Estágio atual, estágios do funil e transições recentes (exposto em session_info)
+   */
+  getStageInfo(session) {
+    const stageMachine = this.getSessionProfile(session).stageMachine;
+
+    return {
+      current: session.context.stage,
+      initial: stageMachine.initial,
+      states: stageMachine.getStateNames(),
+      history: session.context.stageHistory || []
+    };
   }
 
   /**
    * Reseta o contexto da sessão (novo atendimento)
+   * @returns {boolean} false se a sessão não existe
    */
   resetSessionContext(sessionId) {
     const session = this.sessions.get(sessionId);
-    if (!session) return;
+    if (!session) return false;
 
-    session.context = {
-      customerName: null,
-      customerInfo: {},
-      currentTopic: null,
-      stage: 'greeting',
-      preferences: {}
-    };
+    session.context = this.createInitialContext(this.getSessionProfile(session), session.visitor);
 
     // Limpa histórico
     session.messageHistory = [];
     session.metadata.messageCount = 0;
+    this.persistSession(sessionId);
 
     logger.info('Contexto da sessão resetado', { sessionId });
     this.emit('sessionReset', { sessionId });
+    return true;
+  }
+
+  /**
+   * Passa a conversa para um atendente humano: a sessão fica pausada e o bot
+   * deixa de responder até endHandoff
+   * @param {Object} agent - { id, name }
+   */
+  startHandoff(sessionId, agent) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.status === 'ended') return null;
+
+    session.status = 'paused';
+    session.handoff = {
+      agentId: agent.id,
+      agentName: agent.name,
+      claimedAt: new Date().toISOString()
+    };
+    this.persistSession(sessionId);
+
+    logger.info('Sessão assumida por atendente', { sessionId, agentId: agent.id });
+    this.emit('handoffStarted', { sessionId, ...session.handoff });
+    return session.handoff;
+  }
+
+  /**
+   * Devolve a conversa ao bot
+   * @param {string} reason - released, agent_disconnected, agent_unavailable, session_ended
+   */
+  endHandoff(sessionId, reason = 'released') {
+    const session = this.sessions.get(sessionId);
+    if (!session?.handoff) return false;
+
+    const handoff = session.handoff;
+    session.handoff = null;
+    if (session.status === 'paused') {
+      session.status = 'active';
+    }
+    this.persistSession(sessionId);
+
+    logger.info('Sessão devolvida ao bot', { sessionId, agentId: handoff.agentId, reason });
+    this.emit('handoffEnded', { sessionId, ...handoff, reason });
+    return true;
   }
 
   /**
@@ -317,7 +768,8 @@ export class SessionManager extends EventEmitter {
    */
   endSession(sessionId, reason = 'manual') {
     const session = this.sessions.get(sessionId);
-    if (!session) {
+    // Sessão já finalizada aguarda a remoção: não emite sessionEnded de novo nem adia a remoção
+    if (!session || session.status === 'ended') {
       return false;
     }
 
@@ -339,12 +791,17 @@ export class SessionManager extends EventEmitter {
       messageCount: session.metadata.messageCount
     });
 
+    this.persistSession(sessionId);
     this.emit('sessionEnded', session);
 
-    // Remove da memória após um tempo
-    setTimeout(() => {
+    // Remove da memória e do store após um tempo
+    clearTimeout(this.removalTimeouts.get(sessionId));
+    const removalTimeout = setTimeout(() => {
+      this.removalTimeouts.delete(sessionId);
       this.sessions.delete(sessionId);
+      this.removePersistedSession(sessionId);
     }, 5 * 60 * 1000); // 5 minutos
+    this.removalTimeouts.set(sessionId, removalTimeout);
 
     return true;
   }
@@ -361,8 +818,9 @@ export class SessionManager extends EventEmitter {
 
   /**
    * Reseta timeout da sessão
+   * @param {number} [delay] - Tempo até expirar (padrão: sessionTimeout completo)
    */
-  resetSessionTimeout(sessionId) {
+  resetSessionTimeout(sessionId, delay = this.config.sessionTimeout) {
     // Remove timeout existente
     const existingTimeout = this.sessionTimeouts.get(sessionId);
     if (existingTimeout) {
@@ -371,29 +829,114 @@ export class SessionManager extends EventEmitter {
 
     // Cria novo timeout
     const timeoutId = setTimeout(() => {
-      logger.info('Sessão expirada por inatividade', { sessionId });
-      this.endSession(sessionId, 'timeout');
-    }, this.config.sessionTimeout);
+      this.sessionTimeouts.delete(sessionId);
+      this.expireIfIdle(sessionId, 'timeout');
+    }, delay);
 
     this.sessionTimeouts.set(sessionId, timeoutId);
   }
 
   /**
-   * Limpa sessões expiradas
+   * Finaliza a sessão se ela continua inativa segundo o store
+   * Atividade gravada por outra instância reagenda o timeout em vez de finalizar
+   * @returns {Promise<boolean>} true se a sessão foi finalizada
+   */
+  async expireIfIdle(sessionId, reason) {
+    try {
+      const session = await this.syncWithStore(sessionId);
+      if (!session || session.status === 'ended') {
+        return false;
+      }
+
+      const remaining = this.config.sessionTimeout - (Date.now() - session.lastActivity.getTime());
+      if (remaining > 0) {
+        this.resetSessionTimeout(sessionId, remaining);
+        return false;
+      }
+
+      logger.info('Sessão expirada por inatividade', { sessionId, reason });
+      return this.endSession(sessionId, reason);
+    } catch (error) {
+      logger.error('Erro ao verificar expiração da sessão', {
+        sessionId,
+        store: this.store.storeName,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Grava o estado atual da sessão no store
+   * Gravações da mesma sessão são encadeadas para não chegarem fora de ordem
+   */
+  persistSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.revision = (session.revision || 0) + 1;
+    }
+
+    return this.enqueueStoreOperation(sessionId, () => {
+      const session = this.sessions.get(sessionId);
+      return session ? this.store.set(sessionId, session) : undefined;
+    });
+  }
+
+  /**
+   * Remove a sessão do store
+   */
+  removePersistedSession(sessionId) {
+    return this.enqueueStoreOperation(sessionId, () => this.store.delete(sessionId));
+  }
+
+  enqueueStoreOperation(sessionId, operation) {
+    const previous = this.pendingWrites.get(sessionId) || Promise.resolve();
+
+    const current = previous
+      .then(operation)
+      .catch(error => {
+        logger.error('Erro ao gravar sessão no store', {
+          sessionId,
+          store: this.store.storeName,
+          error: error.message
+        });
+      })
+      .finally(() => {
+        if (this.pendingWrites.get(sessionId) === current) {
+          this.pendingWrites.delete(sessionId);
+        }
+      });
+
+    this.pendingWrites.set(sessionId, current);
+    return current;
+  }
+
+  /**
+   * Aguarda todas as gravações pendentes no store
+   */
+  async flush() {
+    await Promise.all(Array.from(this.stageUpdates.values()));
+    await Promise.all(Array.from(this.pendingWrites.values()));
+  }
+
+  /**
+   * Limpa sessões expiradas (confirmando a inatividade no store)
    */
-  cleanupExpiredSessions() {
+  async cleanupExpiredSessions() {
     const now = new Date();
-    let cleanedCount = 0;
+    const expired = [];
 
     for (const [sessionId, session] of this.sessions.entries()) {
       const timeSinceLastActivity = now - session.lastActivity;
       
-      if (timeSinceLastActivity > this.config.sessionTimeout) {
-        this.endSession(sessionId, 'expired');
-        cleanedCount++;
+      if (session.status !== 'ended' && timeSinceLastActivity > this.config.sessionTimeout) {
+        expired.push(sessionId);
       }
     }
 
+    const results = await Promise.all(expired.map(sessionId => this.expireIfIdle(sessionId, 'expired')));
+    const cleanedCount = results.filter(Boolean).length;
+
     if (cleanedCount > 0) {
       logger.info('Sessões expiradas limpas', { count: cleanedCount });
     }
@@ -404,6 +947,7 @@ export class SessionManager extends EventEmitter {
    */
   cleanupOldestSessions(count) {
     const sessions = Array.from(this.sessions.entries())
+      .filter(([, session]) => session.status !== 'ended')
       .sort(([,a], [,b]) => a.lastActivity - b.lastActivity)
       .slice(0, count);
 
@@ -418,11 +962,13 @@ export class SessionManager extends EventEmitter {
    * Obtém estatísticas das sessões
    */
   getStats() {
-    const activeSessions = Array.from(this.sessions.values()).filter(s => s.status === 'active');
+    const activeSessions = Array.from(this.sessions.values()).filter(s => s.status !== 'ended');
     
     return {
+      store: this.store.storeName,
       totalSessions: this.sessions.size,
       activeSessions: activeSessions.length,
+      handedOffSessions: activeSessions.filter(s => s.status === 'paused').length,
       averageMessageCount: activeSessions.reduce((sum, s) => sum + s.metadata.messageCount, 0) / activeSessions.length || 0,
       averageSessionDuration: activeSessions.reduce((sum, s) => sum + (new Date() - s.createdAt), 0) / activeSessions.length || 0
     };
@@ -432,7 +978,8 @@ export class SessionManager extends EventEmitter {
    * Gera ID único para sessão
    */
   generateSessionId() {
-    return `session_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+    // Imprevisível: o ID da sessão funciona como credencial no /api/chat e no /ws
+    return `session_${randomUUID()}`;
   }
 
   /**
@@ -444,8 +991,9 @@ export class SessionManager extends EventEmitter {
 
   /**
    * Destrói o gerenciador
+   * Com store persistente as sessões ativas são mantidas para a próxima inicialização
    */
-  destroy() {
+  async destroy() {
     // Limpa interval de limpeza
     if (this.cleanupInterval) {
       clearInterval(this.cleanupInterval);
@@ -455,14 +1003,27 @@ export class SessionManager extends EventEmitter {
     for (const timeoutId of this.sessionTimeouts.values()) {
       clearTimeout(timeoutId);
     }
+    this.sessionTimeouts.clear();
 
     // Finaliza todas as sessões ativas
-    for (const sessionId of this.sessions.keys()) {
-      this.endSession(sessionId, 'shutdown');
+    if (!this.store.persistent) {
+      for (const [sessionId, session] of this.sessions.entries()) {
+        if (session.status !== 'ended') {
+          this.endSession(sessionId, 'shutdown');
+        }
+      }
+    }
+
+    // Sessões finalizadas que ficarem no store são descartadas na próxima reidratação
+    for (const timeoutId of this.removalTimeouts.values()) {
+      clearTimeout(timeoutId);
     }
+    this.removalTimeouts.clear();
+
+    await this.flush();
+    await this.store.close();
 
     this.sessions.clear();
-    this.sessionTimeouts.clear();
 
     logger.info('SessionManager destruído');
   }
@@ -0,0 +1,231 @@
+import logger from '../utils/logger.js';
+
+export const REGEX_CONFIDENCE = 0.5;
+
+/**
+ * Campos coletados quando o perfil não define `slots`
+ * type: string, integer, number, phone, email ou date (YYYY-MM-DD);
+ * opcionais: description, enum, pattern, minimum, maximum
+ */
+export const DEFAULT_SLOT_SCHEMA = {
+  nome: { type: 'string', description: 'Primeiro nome do cliente' },
+  telefone: { type: 'phone', description: 'Telefone ou WhatsApp com DDD' },
+  email: { type: 'email', description: 'E-mail do cliente' },
+  data_preferida: { type: 'date', description: 'Data preferida para atendimento ou agendamento' },
+  servico: { type: 'string', description: 'Serviço ou produto de interesse' },
+  idade: { type: 'integer', minimum: 1, maximum: 120, description: 'Idade em anos' },
+  peso: { type: 'number', minimum: 20, maximum: 400, description: 'Peso em kg' },
+  altura: { type: 'number', minimum: 0.5, maximum: 2.5, description: 'Altura em metros' }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_STRING_LENGTH = 200;
+
+/**
+ * Extração por expressões regulares (comportamento original, usada com o
+ * provedor mock ou com a extração via LLM desligada)
+ * @returns {Object} slot -> { value, confidence }
+ */
+export function extractSlotsWithPatterns(content, { skipName = false } = {}) {
+  const slots = {};
+
+  // Detecta nome do cliente
+  if (!skipName) {
+    const namePatterns = [
+      /(?:me chamo|meu nome é|sou (?:a |o )?|eu sou (?:a |o )?)([\w\s]+)/i,
+      /(?:nome|chamo)(?:\s+é|\s+:)?\s+([\w\s]+)/i
+    ];
+
+    for (const pattern of namePatterns) {
+      const match = content.match(pattern);
+      if (match && match[1]) {
+        const name = match[1].trim().split(' ')[0]; // Pega apenas o primeiro nome
+        if (name.length > 1 && name.length < 20) {
+          slots.nome = { value: name, confidence: REGEX_CONFIDENCE };
+          break;
+        }
+      }
+    }
+  }
+
+  // Detecta informações do cliente
+  const infoPatterns = {
+    telefone: /(?:telefone|whatsapp|contato)(?:\s+é|\s+:)?\s*(\d{10,11})/i,
+    idade: /(?:tenho|idade)(?:\s+é|\s+:)?\s*(\d{1,2})\s*anos?/i,
+    peso: /(?:peso|quilos?)(?:\s+é|\s+:)?\s*(\d{2,3})\s*k?g?/i,
+    altura: /(?:altura|metro)(?:\s+é|\s+:)?\s*(\d{1}\.\d{2}|\d{3})/i
+  };
+
+  Object.entries(infoPatterns).forEach(([key, pattern]) => {
+    const match = content.match(pattern);
+    if (match && match[1]) {
+      slots[key] = { value: match[1], confidence: REGEX_CONFIDENCE };
+    }
+  });
+
+  return slots;
+}
+
+/**
+ * Extração estruturada de dados do cliente via provedor de IA
+ * Pede ao modelo um JSON com os campos do schema do perfil, valida cada valor
+ * e descarta os de baixa confiança. Os tokens entram no orçamento diário do
+ * cliente (RateLimiter); com ele esgotado, a extração não chama o provedor
+ */
+export class SlotExtractor {
+  constructor(config = {}) {
+    this.aiManager = config.aiManager || null;
+    this.rateLimiter = config.rateLimiter || null;
+    this.config = {
+      mode: config.mode || 'regex', // llm: extração pelo provedor ativo; regex: apenas expressões regulares
+      minConfidence: config.minConfidence ?? 0.6,
+      maxTokens: config.maxTokens || 300
+    };
+  }
+
+  /**
+   * A extração via LLM só roda com um provedor real ativo
+   */
+  isAvailable() {
+    const provider = this.aiManager?.currentProvider;
+    return this.config.mode === 'llm' && Boolean(provider) && provider.providerName !== 'mock';
+  }
+
+  /**
+   * @param {Object} input - { content, schema, known, client } known: valores já coletados;
+   *   client: cliente do orçamento ({ ip, sessionId })
+   * @returns {Promise<Object>} slot -> { value, confidence } (vazio em caso de erro ou orçamento esgotado)
+   */
+  async extract({ content, schema = DEFAULT_SLOT_SCHEMA, known = {}, client = {} }) {
+    if (this.rateLimiter?.checkBudget(client, true)) {
+      logger.info('Orçamento diário esgotado, extração de dados ignorada', { sessionId: client.sessionId });
+      return {};
+    }
+
+    try {
+      const response = await this.aiManager.sendMessage(content, {
+        history: [],
+        systemPrompt: this.buildPrompt(schema, known),
+        temperature: 0,
+        maxTokens: this.config.maxTokens,
+        sessionId: client.sessionId
+      });
+      this.rateLimiter?.recordUsage(client, response.usage, response.metadata?.cost || null);
+
+      return this.validate(this.parseResponse(response.message), schema);
+    } catch (error) {
+      logger.warn('Erro na extração de dados do cliente', { error: error.message });
+      return {};
+    }
+  }
+
+  buildPrompt(schema, known) {
+    const fields = Object.entries(schema).map(([name, field]) => {
+      const options = field.enum ? ` (um de: ${field.enum.join(', ')})` : '';
+      return `- ${name} (${field.type || 'string'})${options}: ${field.description || name}`;
+    });
+
+    const knownValues = Object.entries(known).filter(([, value]) => value !== null && value !== undefined);
+
+    return [
+      'Extraia dados do cliente da mensagem abaixo.',
+      'Responda apenas com JSON no formato {"slots": {"<campo>": {"value": <valor>, "confidence": <0 a 1>}}}.',
+      'Inclua somente campos informados explicitamente na mensagem; não invente valores.',
+      `Datas no formato YYYY-MM-DD (hoje é ${new Date().toISOString().slice(0, 10)}); telefones apenas com dígitos.`,
+      'Campos:',
+      ...fields,
+      ...(knownValues.length > 0
+        ? ['Dados já conhecidos (atualize apenas se o cliente corrigir):', JSON.stringify(Object.fromEntries(knownValues))]
+        : [])
+    ].join('\n');
+  }
+
+  /**
+   * Aceita o JSON puro ou dentro de bloco de código markdown
+   */
+  parseResponse(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('Resposta sem JSON');
+    }
+
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    return parsed.slots || parsed;
+  }
+
+  /**
+   * Mantém apenas campos do schema com valor válido e confiança suficiente
+   */
+  validate(rawSlots, schema) {
+    const slots = {};
+
+    Object.entries(rawSlots || {}).forEach(([name, raw]) => {
+      const field = schema[name];
+      if (!field || raw === null || raw === undefined) return;
+
+      const { value, confidence = 1 } = typeof raw === 'object' ? raw : { value: raw };
+      const normalized = this.normalizeValue(value, field);
+
+      if (normalized === null) {
+        logger.debug('Valor extraído descartado pela validação', { slot: name, value });
+        return;
+      }
+
+      if (typeof confidence !== 'number' || confidence < this.config.minConfidence) return;
+
+      slots[name] = { value: normalized, confidence: Math.min(confidence, 1) };
+    });
+
+    return slots;
+  }
+
+  normalizeValue(value, field) {
+    if (value === null || value === undefined || value === '') return null;
+
+    let normalized;
+
+    switch (field.type) {
+      case 'integer':
+      case 'number': {
+        normalized = Number(String(value).replace(',', '.'));
+        if (!Number.isFinite(normalized) || (field.type === 'integer' && !Number.isInteger(normalized))) return null;
+        if (field.minimum !== undefined && normalized < field.minimum) return null;
+        if (field.maximum !== undefined && normalized > field.maximum) return null;
+        break;
+      }
+
+      case 'phone':
+        normalized = String(value).replace(/\D/g, '');
+        if (normalized.length < 10 || normalized.length > 13) return null;
+        break;
+
+      case 'email':
+        normalized = String(value).trim().toLowerCase();
+        if (!EMAIL_PATTERN.test(normalized)) return null;
+        break;
+
+      case 'date':
+        normalized = String(value).trim();
+        if (!DATE_PATTERN.test(normalized) || Number.isNaN(Date.parse(normalized))) return null;
+        break;
+
+      default:
+        normalized = String(value).trim();
+        if (!normalized || normalized.length > MAX_STRING_LENGTH) return null;
+    }
+
+    if (field.enum) {
+      const option = field.enum.find(item => String(item).toLowerCase() === String(normalized).toLowerCase());
+      if (option === undefined) return null;
+      normalized = option;
+    }
+
+    if (field.pattern && !new RegExp(field.pattern).test(String(normalized))) {
+      return null;
+    }
+
+    return normalized;
+  }
+}
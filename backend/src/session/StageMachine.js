@@ -0,0 +1,201 @@
+import logger from '../utils/logger.js';
+
+const ANY_STATE = '*';
+
+/**
+ * Funil padrão do atendimento
+ * Reproduz os estágios originais e passa a entrar em information_gathering
+ * quando o cliente se apresenta ou descreve o que procura
+ */
+export const DEFAULT_STAGE_MACHINE = {
+  initial: 'greeting',
+  states: {
+    greeting: {
+      prompt: 'Você está no início do atendimento. Seja caloroso e descubra como pode ajudar.'
+    },
+    information_gathering: {
+      prompt: 'Você está coletando informações do cliente. Faça perguntas relevantes para entender suas necessidades.'
+    },
+    service_discussion: {
+      prompt: 'Você está discutindo serviços específicos. Seja detalhado sobre preços e benefícios.'
+    },
+    closing: {
+      prompt: 'Você está finalizando o atendimento. Confirme próximos passos e agradeça.'
+    }
+  },
+  transitions: [
+    { from: ANY_STATE, to: 'closing', when: { keywords: ['finalizar', 'encerrar', 'tchau'] } },
+    { from: ANY_STATE, to: 'service_discussion', when: { topicDetected: true } },
+    { from: 'greeting', to: 'information_gathering', when: { slots: ['nome'] } },
+    { from: 'greeting', to: 'information_gathering', when: { pattern: '\\b(quero|queria|gostaria|preciso|procuro|tenho interesse)\\b' } }
+  ]
+};
+
+/**
+ * Máquina de estados declarativa dos estágios da conversa
+ *
+ * Cada transição tem `from` (estado, lista de estados ou "*"), `to` e `when`;
+ * todas as condições de `when` precisam ser satisfeitas e vale a primeira
+ * transição que casar, na ordem da definição:
+ * - keywords: alguma palavra-chave presente na mensagem do usuário
+ * - pattern: expressão regular (sem distinção de maiúsculas) aplicada à mensagem
+ * - topicDetected: tópico do perfil detectado na mensagem (true para qualquer um)
+ * - slots: lista de dados do cliente que precisam estar preenchidos
+ * - intent: rótulo (ou lista) atribuído à mensagem pelo classificador LLM
+ */
+export class StageMachine {
+  constructor(definition = DEFAULT_STAGE_MACHINE) {
+    this.states = definition.states || {};
+    this.initial = definition.initial || Object.keys(this.states)[0];
+
+    if (!this.states[this.initial]) {
+      throw new Error(`Estágio inicial desconhecido: '${this.initial}'`);
+    }
+
+    this.transitions = (definition.transitions || []).map((transition, index) =>
+      this.compileTransition(transition, index)
+    );
+  }
+
+  compileTransition(transition, index) {
+    if (!this.states[transition.to]) {
+      throw new Error(`Transição ${index} aponta para estágio desconhecido: '${transition.to}'`);
+    }
+
+    const from = [].concat(transition.from || ANY_STATE);
+    const when = transition.when || {};
+
+    return {
+      index,
+      from,
+      to: transition.to,
+      keywords: when.keywords?.map(keyword => keyword.toLowerCase()),
+      pattern: when.pattern ? new RegExp(when.pattern, 'i') : null,
+      topicDetected: when.topicDetected,
+      slots: when.slots,
+      intents: when.intent ? [].concat(when.intent) : null
+    };
+  }
+
+  getStateNames() {
+    return Object.keys(this.states);
+  }
+
+  /**
+   * Fragmento de prompt do estágio (null para estágios desconhecidos)
+   */
+  getPrompt(stage) {
+    return this.states[stage]?.prompt || null;
+  }
+
+  /**
+   * Rótulos de intenção usados pelas transições que partem do estágio
+   */
+  getIntents(stage) {
+    const intents = this.getCandidates(stage).flatMap(transition => transition.intents || []);
+    return Array.from(new Set(intents));
+  }
+
+  getCandidates(stage) {
+    return this.transitions.filter(transition =>
+      transition.to !== stage &&
+      (transition.from.includes(ANY_STATE) || transition.from.includes(stage))
+    );
+  }
+
+  /**
+   * Avalia as transições para a mensagem do usuário
+   * @param {Object} input - { stage, content, topic, slots }
+   * @param {Function} classify - async ({ content, intents }) => rótulo | null
+   * @returns {Promise<{from, to, rule}|null>} transição escolhida
+   */
+  async evaluate(input, classify = null) {
+    const content = (input.content || '').toLowerCase();
+    let intent;
+
+    for (const transition of this.getCandidates(input.stage)) {
+      if (!this.matchesSyncConditions(transition, content, input)) {
+        continue;
+      }
+
+      if (transition.intents) {
+        // Classifica uma única vez por mensagem, apenas se alguma regra precisar
+        if (intent === undefined) {
+          intent = await this.classifyIntent(input, classify);
+        }
+        if (!transition.intents.includes(intent)) {
+          continue;
+        }
+      }
+
+      return {
+        from: input.stage,
+        to: transition.to,
+        rule: transition.index
+      };
+    }
+
+    return null;
+  }
+
+  matchesSyncConditions(transition, content, input) {
+    if (transition.keywords && !transition.keywords.some(keyword => content.includes(keyword))) {
+      return false;
+    }
+
+    if (transition.pattern && !transition.pattern.test(content)) {
+      return false;
+    }
+
+    if (transition.topicDetected !== undefined) {
+      const topic = input.topic;
+      const matchesTopic = transition.topicDetected === true ? Boolean(topic) : topic === transition.topicDetected;
+      if (!matchesTopic) {
+        return false;
+      }
+    }
+
+    if (transition.slots && !transition.slots.every(slot => this.hasValue(input.slots?.[slot]))) {
+      return false;
+    }
+
+    return true;
+  }
+
+  hasValue(value) {
+    return value !== undefined && value !== null && value !== '';
+  }
+
+  async classifyIntent(input, classify) {
+    if (!classify) {
+      return null;
+    }
+
+    try {
+      return await classify({ content: input.content, intents: this.getIntents(input.stage) });
+    } catch (error) {
+      logger.warn('Erro ao classificar intenção para transição de estágio', { error: error.message });
+      return null;
+    }
+  }
+}
+
+/**
+ * Classificador de intenção que usa o provedor de IA ativo
+ * Pede ao modelo um único rótulo dentre os esperados pelas transições
+ */
+export function createLLMIntentClassifier(aiManager) {
+  return async ({ content, intents }) => {
+    const response = await aiManager.sendMessage(content, {
+      history: [],
+      systemPrompt: 'Classifique a intenção da mensagem do cliente. ' +
+        `Responda apenas com um destes rótulos: ${intents.join(', ')}. ` +
+        'Se nenhum se aplicar, responda "nenhum".',
+      temperature: 0,
+      maxTokens: 10
+    });
+
+    const answer = response.message.trim().toLowerCase();
+    return intents.find(intent => answer.includes(intent.toLowerCase())) || null;
+  };
+}
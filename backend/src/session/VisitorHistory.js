@@ -0,0 +1,140 @@
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import logger from '../utils/logger.js';
+
+/**
+ * Conversas anteriores dos visitantes autenticados (JWT), por userId
+ *
+ * Cada sessão com `visitor` é registrada a cada mensagem e ao finalizar, com a
+ * transcrição (últimas maxMessages) e o resumo. Sobrevive ao fim da sessão; com
+ * `path` é gravada em arquivo JSON (arquivo temporário + rename), sem ele fica em memória.
+ */
+export class VisitorHistory {
+  constructor(config = {}) {
+    this.config = {
+      path: config.path || '',
+      maxConversations: config.maxConversations || 10, // Por usuário
+      maxMessages: config.maxMessages || 50, // Por conversa
+      ...config
+    };
+
+    this.conversations = new Map(); // userId -> [conversa] (mais recente primeiro)
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    if (!this.config.path) return;
+
+    await fs.mkdir(dirname(this.config.path), { recursive: true });
+
+    try {
+      const content = await fs.readFile(this.config.path, 'utf8');
+      const parsed = content.trim() ? JSON.parse(content) : {};
+      Object.entries(parsed.users || {}).forEach(([userId, conversations]) => {
+        this.conversations.set(userId, conversations);
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Erro ao ler histórico de visitantes, iniciando vazio', {
+          path: this.config.path,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Histórico de visitantes carregado', { path: this.config.path, users: this.conversations.size });
+  }
+
+  /**
+   * Registra as conversas das sessões autenticadas do SessionManager
+   */
+  attach(sessionManager) {
+    this.sessionManager = sessionManager;
+
+    const recordSession = ({ sessionId }) => {
+      const session = sessionManager.sessions.get(sessionId);
+      if (session) this.record(session);
+    };
+
+    sessionManager.on('messageAdded', recordSession);
+    sessionManager.on('summaryUpdated', recordSession);
+    sessionManager.on('sessionEnded', session => this.record(session));
+  }
+
+  record(session) {
+    const userId = session.visitor?.userId;
+    if (!userId) return;
+
+    const conversation = {
+      sessionId: session.id,
+      profileId: session.profileId,
+      status: session.status,
+      startedAt: new Date(session.createdAt).toISOString(),
+      updatedAt: new Date().toISOString(),
+      endedAt: session.endedAt ? new Date(session.endedAt).toISOString() : null,
+      summary: session.context.summary?.text || null,
+      messageCount: session.metadata.messageCount,
+      messages: this.sessionManager.getTranscript(session.id).slice(-this.config.maxMessages)
+    };
+
+    // Sessão sem mensagens não entra no histórico
+    if (conversation.messages.length === 0) return;
+
+    const others = (this.conversations.get(userId) || []).filter(entry => entry.sessionId !== session.id);
+    this.conversations.set(userId, [conversation, ...others].slice(0, this.config.maxConversations));
+    this.scheduleWrite();
+  }
+
+  /**
+   * Conversas do usuário, da mais recente para a mais antiga
+   * @param {Object} options - { excludeSessionId } sessão atual, que o widget já exibe
+   */
+  list(userId, { excludeSessionId = null } = {}) {
+    return (this.conversations.get(userId) || [])
+      .filter(conversation => conversation.sessionId !== excludeSessionId)
+      .map(conversation => ({ ...conversation, messages: [...conversation.messages] }));
+  }
+
+  scheduleWrite() {
+    if (!this.config.path) return this.writeQueue;
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => this.writeFile())
+      .catch(error => {
+        logger.error('Erro ao gravar histórico de visitantes', { path: this.config.path, error: error.message });
+      });
+    return this.writeQueue;
+  }
+
+  async writeFile() {
+    const tempPath = `${this.config.path}.tmp`;
+    const content = JSON.stringify({
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      users: Object.fromEntries(this.conversations)
+    });
+
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.rename(tempPath, this.config.path);
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+
+  getStats() {
+    let conversations = 0;
+    this.conversations.forEach(entries => {
+      conversations += entries.length;
+    });
+
+    return {
+      users: this.conversations.size,
+      conversations,
+      persistent: Boolean(this.config.path)
+    };
+  }
+}
+
+export default VisitorHistory;
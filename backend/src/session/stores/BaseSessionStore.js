@@ -0,0 +1,103 @@
+/**
+ * Interface base para armazenamento de sessões
+ * Define a estrutura comum que todos os stores devem implementar
+ */
+export class BaseSessionStore {
+  constructor(config = {}) {
+    this.config = config;
+    this.storeName = 'base';
+    this.persistent = false; // Indica se as sessões sobrevivem a um restart
+  }
+
+  /**
+   * Prepara o store para uso (abre arquivo, conecta ao servidor, etc.)
+   * @returns {Promise<void>}
+   */
+  async connect() {}
+
+  /**
+   * Obtém uma sessão pelo ID
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>}
+   */
+  async get(sessionId) {
+    throw new Error('get() deve ser implementado pela classe filha');
+  }
+
+  /**
+   * Salva (cria ou substitui) uma sessão
+   * @param {string} sessionId
+   * @param {Object} session - Dados da sessão
+   * @returns {Promise<void>}
+   */
+  async set(sessionId, session) {
+    throw new Error('set() deve ser implementado pela classe filha');
+  }
+
+  /**
+   * Remove uma sessão
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  async delete(sessionId) {
+    throw new Error('delete() deve ser implementado pela classe filha');
+  }
+
+  /**
+   * Lista todas as sessões armazenadas
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAll() {
+    throw new Error('getAll() deve ser implementado pela classe filha');
+  }
+
+  /**
+   * Libera recursos do store
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Converte a sessão para texto JSON
+   * @param {Object} session
+   * @returns {string}
+   */
+  serialize(session) {
+    return JSON.stringify(session);
+  }
+
+  /**
+   * Reconstrói a sessão a partir de JSON, restaurando os campos de data
+   * @param {string|Object} raw
+   * @returns {Object|null}
+   */
+  deserialize(raw) {
+    if (!raw) return null;
+
+    const session = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    const toDate = (value) => (value ? new Date(value) : value);
+
+    session.createdAt = toDate(session.createdAt);
+    session.lastActivity = toDate(session.lastActivity);
+    session.endedAt = toDate(session.endedAt);
+
+    if (Array.isArray(session.messageHistory)) {
+      session.messageHistory.forEach(message => {
+        message.timestamp = toDate(message.timestamp);
+      });
+    }
+
+    return session;
+  }
+
+  /**
+   * Retorna informações sobre o store
+   * @returns {Object}
+   */
+  getStoreInfo() {
+    return {
+      name: this.storeName,
+      persistent: this.persistent
+    };
+  }
+}
@@ -0,0 +1,91 @@
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import { BaseSessionStore } from './BaseSessionStore.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Store em arquivo JSON no disco
+ * Mantém o conteúdo em memória e regrava o arquivo inteiro a cada alteração,
+ * sempre via arquivo temporário + rename para não corromper o JSON em caso de queda
+ */
+export class FileSessionStore extends BaseSessionStore {
+  constructor(config = {}) {
+    super(config);
+    this.storeName = 'file';
+    this.persistent = true;
+    this.filePath = config.path || 'data/sessions.json';
+    this.data = new Map(); // sessionId -> sessão serializável
+    this.writeQueue = Promise.resolve();
+  }
+
+  async connect() {
+    await fs.mkdir(dirname(this.filePath), { recursive: true });
+
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const parsed = content.trim() ? JSON.parse(content) : {};
+
+      Object.entries(parsed.sessions || {}).forEach(([sessionId, session]) => {
+        this.data.set(sessionId, session);
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Erro ao ler arquivo de sessões, iniciando vazio', {
+          path: this.filePath,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('FileSessionStore conectado', {
+      path: this.filePath,
+      sessions: this.data.size
+    });
+  }
+
+  async get(sessionId) {
+    const session = this.data.get(sessionId);
+    return session ? this.deserialize(this.serialize(session)) : null;
+  }
+
+  async set(sessionId, session) {
+    this.data.set(sessionId, JSON.parse(this.serialize(session)));
+    return this.scheduleWrite();
+  }
+
+  async delete(sessionId) {
+    if (this.data.delete(sessionId)) {
+      return this.scheduleWrite();
+    }
+  }
+
+  async getAll() {
+    return Array.from(this.data.values()).map(session => this.deserialize(this.serialize(session)));
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+
+  /**
+   * Enfileira uma gravação do arquivo, evitando escritas concorrentes
+   */
+  scheduleWrite() {
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => this.writeFile());
+    return this.writeQueue;
+  }
+
+  async writeFile() {
+    const tempPath = `${this.filePath}.tmp`;
+    const content = JSON.stringify({
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      sessions: Object.fromEntries(this.data)
+    });
+
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.rename(tempPath, this.filePath);
+  }
+}
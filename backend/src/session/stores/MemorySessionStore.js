@@ -0,0 +1,34 @@
+import { BaseSessionStore } from './BaseSessionStore.js';
+
+/**
+ * Store em memória (padrão)
+ * Não sobrevive a restarts; guarda cópias serializadas para isolar o estado
+ * do cache do SessionManager, assim como os stores persistentes
+ */
+export class MemorySessionStore extends BaseSessionStore {
+  constructor(config = {}) {
+    super(config);
+    this.storeName = 'memory';
+    this.data = new Map(); // sessionId -> JSON
+  }
+
+  async get(sessionId) {
+    return this.deserialize(this.data.get(sessionId));
+  }
+
+  async set(sessionId, session) {
+    this.data.set(sessionId, this.serialize(session));
+  }
+
+  async delete(sessionId) {
+    this.data.delete(sessionId);
+  }
+
+  async getAll() {
+    return Array.from(this.data.values()).map(raw => this.deserialize(raw));
+  }
+
+  async close() {
+    this.data.clear();
+  }
+}
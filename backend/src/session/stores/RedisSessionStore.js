@@ -0,0 +1,87 @@
+import { BaseSessionStore } from './BaseSessionStore.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Store compatível com Redis
+ * Usa a API de comandos do ioredis (get/set/del/sadd/srem/smembers/quit), dependência
+ * opcional do package.json carregada só quando SESSION_STORE=redis;
+ * qualquer cliente com os mesmos métodos pode ser injetado via config.client
+ */
+export class RedisSessionStore extends BaseSessionStore {
+  constructor(config = {}) {
+    super(config);
+    this.storeName = 'redis';
+    this.persistent = true;
+    this.client = config.client || null;
+    this.ownsClient = !config.client;
+    this.prefix = config.prefix || 'chatbot:session:';
+    this.ttl = config.ttl || 0; // ms; 0 = sem expiração
+  }
+
+  async connect() {
+    if (!this.client) {
+      let Redis;
+      try {
+        ({ default: Redis } = await import('ioredis'));
+      } catch (error) {
+        throw new Error('SESSION_STORE=redis requer o pacote ioredis instalado (npm install ioredis)');
+      }
+
+      this.client = new Redis(this.config.url || 'redis://localhost:6379');
+    }
+
+    logger.info('RedisSessionStore conectado', { prefix: this.prefix });
+  }
+
+  sessionKey(sessionId) {
+    return `${this.prefix}${sessionId}`;
+  }
+
+  get indexKey() {
+    return `${this.prefix}index`;
+  }
+
+  async get(sessionId) {
+    return this.deserialize(await this.client.get(this.sessionKey(sessionId)));
+  }
+
+  async set(sessionId, session) {
+    const key = this.sessionKey(sessionId);
+    const value = this.serialize(session);
+
+    if (this.ttl > 0) {
+      await this.client.set(key, value, 'PX', this.ttl);
+    } else {
+      await this.client.set(key, value);
+    }
+    await this.client.sadd(this.indexKey, sessionId);
+  }
+
+  async delete(sessionId) {
+    await this.client.del(this.sessionKey(sessionId));
+    await this.client.srem(this.indexKey, sessionId);
+  }
+
+  async getAll() {
+    const sessionIds = await this.client.smembers(this.indexKey);
+    const sessions = [];
+
+    for (const sessionId of sessionIds) {
+      const session = await this.get(sessionId);
+      if (session) {
+        sessions.push(session);
+      } else {
+        // Chave expirou pelo TTL; remove do índice
+        await this.client.srem(this.indexKey, sessionId);
+      }
+    }
+
+    return sessions;
+  }
+
+  async close() {
+    if (this.client && this.ownsClient) {
+      await this.client.quit();
+    }
+  }
+}
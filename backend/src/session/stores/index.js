@@ -0,0 +1,27 @@
+import { MemorySessionStore } from './MemorySessionStore.js';
+import { FileSessionStore } from './FileSessionStore.js';
+import { RedisSessionStore } from './RedisSessionStore.js';
+
+const stores = {
+  memory: MemorySessionStore,
+  file: FileSessionStore,
+  redis: RedisSessionStore
+};
+
+/**
+ * Cria o store de sessões a partir da configuração
+ * @param {Object} config - { type: 'memory' | 'file' | 'redis', ...opções do store }
+ */
+export function createSessionStore(config = {}) {
+  const type = config.type || 'memory';
+  const StoreClass = stores[type];
+
+  if (!StoreClass) {
+    throw new Error(`Store de sessões não suportado: ${type}. Disponíveis: ${Object.keys(stores).join(', ')}`);
+  }
+
+  return new StoreClass(config);
+}
+
+export { BaseSessionStore } from './BaseSessionStore.js';
+export { MemorySessionStore, FileSessionStore, RedisSessionStore };
@@ -0,0 +1,264 @@
+import { randomBytes } from 'crypto';
+import { performance } from 'perf_hooks';
+import logger from '../utils/logger.js';
+
+export const SPAN_KINDS = ['internal', 'server', 'client', 'producer', 'consumer'];
+
+// version-traceid-parentid-flags (W3C Trace Context, versão 00)
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * Lê o cabeçalho/campo traceparent; IDs zerados ou fora do formato são ignorados
+ * @returns {Object|null} { traceId, spanId, sampled }
+ */
+export function parseTraceparent(value) {
+  const match = typeof value === 'string' ? TRACEPARENT.exec(value.trim().toLowerCase()) : null;
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+
+  return { traceId: match[1], spanId: match[2], sampled: (parseInt(match[3], 16) & 1) === 1 };
+}
+
+// Época em nanossegundos com precisão de microssegundos (o relógio monotônico evita saltos)
+function nowUnixNano() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n;
+}
+
+/**
+ * Trecho de uma operação: IDs do W3C Trace Context, atributos, eventos e status
+ * Só é exportado ao chamar end(), e apenas quando amostrado
+ */
+export class Span {
+  constructor(tracer, { name, traceId, parentSpanId = null, sampled = true, kind = 'internal', attributes = {} }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = randomBytes(8).toString('hex');
+    this.parentSpanId = parentSpanId;
+    this.sampled = sampled;
+    this.kind = SPAN_KINDS.includes(kind) ? kind : 'internal';
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: 'unset', message: null };
+    this.startTime = nowUnixNano();
+    this.startedAt = performance.now();
+    this.endTime = null;
+    this.duration = null; // ms
+    this.ended = false;
+
+    this.setAttributes(attributes);
+  }
+
+  get traceparent() {
+    return `00-${this.traceId}-${this.spanId}-${this.sampled ? '01' : '00'}`;
+  }
+
+  /**
+   * Valores null/undefined são ignorados; objetos viram JSON
+   */
+  setAttribute(key, value) {
+    if (value === undefined || value === null) return this;
+    this.attributes[key] = typeof value === 'object' && !Array.isArray(value) ? JSON.stringify(value) : value;
+    return this;
+  }
+
+  setAttributes(attributes = {}) {
+    Object.entries(attributes).forEach(([key, value]) => this.setAttribute(key, value));
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: nowUnixNano(), attributes: { ...attributes } });
+    return this;
+  }
+
+  /**
+   * @param {string} code - 'ok' | 'error' | 'unset'
+   */
+  setStatus(code, message = null) {
+    this.status = { code, message };
+    return this;
+  }
+
+  /**
+   * Evento "exception" (convenção semântica do OpenTelemetry) e status de erro
+   */
+  recordException(error) {
+    this.addEvent('exception', {
+      'exception.type': error.type || error.name || 'Error',
+      'exception.message': error.message,
+      ...(error.code ? { 'exception.code': String(error.code) } : {})
+    });
+    return this.setStatus('error', error.message);
+  }
+
+  end() {
+    if (this.ended) return;
+
+    this.ended = true;
+    this.endTime = nowUnixNano();
+    this.duration = performance.now() - this.startedAt;
+    this.tracer.onEnd(this);
+  }
+
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      startTime: new Date(Number(this.startTime / 1000000n)).toISOString(),
+      endTime: this.endTime ? new Date(Number(this.endTime / 1000000n)).toISOString() : null,
+      durationMs: this.duration === null ? null : Math.round(this.duration * 1000) / 1000,
+      status: this.status,
+      attributes: this.attributes,
+      events: this.events.map(event => ({
+        name: event.name,
+        time: new Date(Number(event.time / 1000000n)).toISOString(),
+        attributes: event.attributes
+      }))
+    };
+  }
+}
+
+/**
+ * Rastreamento distribuído no estilo OpenTelemetry
+ *
+ * - startSpan cria o trecho como filho de `parent` (Span) ou de um traceparent
+ *   recebido do cliente; sem nenhum dos dois inicia um novo trace
+ * - A amostragem (sampleRate) é decidida na raiz e herdada pelos filhos
+ * - Trechos encerrados vão em lotes para os exportadores (OTLP/HTTP JSON, JSONL)
+ *   a cada flushInterval ou ao atingir maxBatchSize; a fila tem limite (maxQueueSize)
+ */
+export class Tracer {
+  constructor(config = {}) {
+    this.exporters = [];
+    this.queue = [];
+    this.exports = new Set(); // Exportações em andamento (aguardadas no close)
+    this.flushTimer = null;
+    this.stats = { exported: 0, dropped: 0, failed: 0 };
+    this.configure(config);
+  }
+
+  /**
+   * @param {Object} config - { serviceName, serviceVersion, sampleRate, exporters, maxBatchSize, maxQueueSize, flushInterval }
+   */
+  configure({ exporters = [], ...config } = {}) {
+    this.config = {
+      serviceName: 'chatbot-backend',
+      serviceVersion: null,
+      sampleRate: 1,
+      maxBatchSize: 100,
+      maxQueueSize: 2048,
+      flushInterval: 5000,
+      ...config
+    };
+    this.exporters = exporters;
+
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    if (this.exporters.length > 0) {
+      this.flushTimer = setInterval(() => this.flush(), this.config.flushInterval);
+      this.flushTimer.unref?.();
+    }
+  }
+
+  get enabled() {
+    return this.exporters.length > 0;
+  }
+
+  /**
+   * @param {string} name - Nome da operação (ex.: chat.frame, ai.attempt)
+   * @param {Object} options - { parent: Span, traceparent: string, kind, attributes }
+   */
+  startSpan(name, { parent = null, traceparent = null, kind = 'internal', attributes = {} } = {}) {
+    const remote = parent ? null : parseTraceparent(traceparent);
+
+    return new Span(this, {
+      name,
+      kind,
+      attributes,
+      traceId: parent?.traceId || remote?.traceId || randomBytes(16).toString('hex'),
+      parentSpanId: parent?.spanId || remote?.spanId || null,
+      sampled: parent ? parent.sampled : remote ? remote.sampled : Math.random() < this.config.sampleRate
+    });
+  }
+
+  /**
+   * Executa fn(span) dentro de um trecho encerrado ao final; exceções ficam registradas no trecho
+   */
+  async withSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+
+    try {
+      return await fn(span);
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  onEnd(span) {
+    if (!span.sampled || !this.enabled) return;
+
+    if (this.queue.length >= this.config.maxQueueSize) {
+      this.stats.dropped++;
+      return;
+    }
+
+    this.queue.push(span);
+    if (this.queue.length >= this.config.maxBatchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Envia os trechos da fila a todos os exportadores
+   */
+  flush() {
+    if (this.queue.length === 0) {
+      return Promise.resolve();
+    }
+
+    const batch = this.queue.splice(0, this.queue.length);
+    const resource = { serviceName: this.config.serviceName, serviceVersion: this.config.serviceVersion };
+
+    const pending = Promise.all(this.exporters.map(async exporter => {
+      try {
+        await exporter.export(batch, resource);
+        this.stats.exported += batch.length;
+      } catch (error) {
+        this.stats.failed += batch.length;
+        logger.warn('Falha ao exportar trechos de trace', { exporter: exporter.exporterName, spans: batch.length, error: error.message });
+      }
+    }));
+
+    this.exports.add(pending);
+    pending.finally(() => this.exports.delete(pending));
+    return pending;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      exporters: this.exporters.map(exporter => exporter.getExporterInfo()),
+      sampleRate: this.config.sampleRate,
+      queued: this.queue.length,
+      ...this.stats
+    };
+  }
+
+  async close() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    await this.flush();
+    await Promise.all(Array.from(this.exports));
+    await Promise.all(this.exporters.map(exporter => exporter.close()));
+  }
+}
+
+export default Tracer;
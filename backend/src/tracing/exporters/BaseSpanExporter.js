@@ -0,0 +1,38 @@
+/**
+ * Interface base para os exportadores de trechos de trace
+ * Define a estrutura comum que todos os exportadores devem implementar
+ */
+export class BaseSpanExporter {
+  constructor(config = {}) {
+    this.config = config;
+    this.exporterName = 'base';
+  }
+
+  /**
+   * Exporta um lote de trechos encerrados
+   * @param {Span[]} spans - Trechos do lote
+   * @param {Object} resource - { serviceName, serviceVersion }
+   * @returns {Promise<void>} Rejeita quando a exportação falha
+   */
+  async export(spans, resource) {
+    throw new Error('export() deve ser implementado pela classe filha');
+  }
+
+  /**
+   * Libera recursos do exportador
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Retorna informações sobre o exportador
+   * @returns {Object}
+   */
+  getExporterInfo() {
+    return {
+      name: this.exporterName
+    };
+  }
+}
+
+export default BaseSpanExporter;
@@ -0,0 +1,46 @@
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import { BaseSpanExporter } from './BaseSpanExporter.js';
+
+/**
+ * Grava os trechos em JSON Lines (um trecho por linha) para inspeção offline:
+ * `grep <traceId> logs/traces.jsonl` reúne a mensagem, o histórico e as chamadas à IA
+ */
+export class FileSpanExporter extends BaseSpanExporter {
+  constructor(config = {}) {
+    super(config);
+    this.exporterName = 'file';
+    this.filePath = config.path || 'logs/traces.jsonl';
+    this.writeQueue = Promise.resolve();
+    this.ready = null;
+  }
+
+  async export(spans, resource) {
+    if (!this.ready) {
+      this.ready = fs.mkdir(dirname(this.filePath), { recursive: true });
+    }
+
+    const lines = spans
+      .map(span => JSON.stringify({ service: resource.serviceName, ...span.toJSON() }))
+      .join('\n') + '\n';
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => this.ready)
+      .then(() => fs.appendFile(this.filePath, lines, 'utf8'));
+    return this.writeQueue;
+  }
+
+  async close() {
+    await this.writeQueue.catch(() => {});
+  }
+
+  getExporterInfo() {
+    return {
+      ...super.getExporterInfo(),
+      path: this.filePath
+    };
+  }
+}
+
+export default FileSpanExporter;
@@ -0,0 +1,99 @@
+import { BaseSpanExporter } from './BaseSpanExporter.js';
+
+// Enums do OTLP (opentelemetry/proto/trace/v1/trace.proto)
+const SPAN_KIND = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const STATUS_CODE = { unset: 0, ok: 1, error: 2 };
+
+function toAnyValue(value) {
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(toAnyValue) } };
+  }
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (typeof value === 'number') {
+    // int64 vai como string no mapeamento JSON do protobuf
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  return { stringValue: String(value) };
+}
+
+function toAttributes(attributes) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+/**
+ * Exporta os trechos para um coletor OpenTelemetry por OTLP/HTTP com corpo JSON
+ * (POST em /v1/traces: Collector, Jaeger, Tempo, Honeycomb...)
+ *
+ * `headers` leva a autenticação do coletor (ex.: OTEL_EXPORTER_OTLP_HEADERS)
+ */
+export class OtlpHttpSpanExporter extends BaseSpanExporter {
+  constructor(config = {}) {
+    super(config);
+    this.exporterName = 'otlp';
+    this.url = config.url || 'http://localhost:4318/v1/traces';
+    this.headers = config.headers || {};
+    this.timeout = config.timeout || 10000;
+  }
+
+  async export(spans, resource) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { ...this.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.buildRequest(spans, resource)),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Coletor OTLP respondeu ${response.status}`);
+    }
+  }
+
+  /**
+   * ExportTraceServiceRequest no mapeamento JSON do OTLP (IDs em hexadecimal)
+   */
+  buildRequest(spans, resource) {
+    return {
+      resourceSpans: [{
+        resource: {
+          attributes: toAttributes({
+            'service.name': resource.serviceName,
+            ...(resource.serviceVersion ? { 'service.version': resource.serviceVersion } : {})
+          })
+        },
+        scopeSpans: [{
+          scope: { name: 'chatbot-backend' },
+          spans: spans.map(span => ({
+            traceId: span.traceId,
+            spanId: span.spanId,
+            ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+            name: span.name,
+            kind: SPAN_KIND[span.kind],
+            startTimeUnixNano: String(span.startTime),
+            endTimeUnixNano: String(span.endTime),
+            attributes: toAttributes(span.attributes),
+            events: span.events.map(event => ({
+              timeUnixNano: String(event.time),
+              name: event.name,
+              attributes: toAttributes(event.attributes)
+            })),
+            status: {
+              code: STATUS_CODE[span.status.code],
+              ...(span.status.message ? { message: span.status.message } : {})
+            }
+          }))
+        }]
+      }]
+    };
+  }
+
+  getExporterInfo() {
+    return {
+      ...super.getExporterInfo(),
+      url: this.url
+    };
+  }
+}
+
+export default OtlpHttpSpanExporter;
@@ -0,0 +1,24 @@
+import { OtlpHttpSpanExporter } from './OtlpHttpSpanExporter.js';
+import { FileSpanExporter } from './FileSpanExporter.js';
+
+const exporters = {
+  otlp: OtlpHttpSpanExporter,
+  file: FileSpanExporter
+};
+
+/**
+ * Cria um exportador de trechos de trace a partir da configuração
+ * @param {Object} config - { type: 'otlp' | 'file', ...opções do exportador }
+ */
+export function createSpanExporter(config = {}) {
+  const ExporterClass = exporters[config.type];
+
+  if (!ExporterClass) {
+    throw new Error(`Exportador de traces não suportado: ${config.type}. Disponíveis: ${Object.keys(exporters).join(', ')}`);
+  }
+
+  return new ExporterClass(config);
+}
+
+export { BaseSpanExporter } from './BaseSpanExporter.js';
+export { OtlpHttpSpanExporter, FileSpanExporter };
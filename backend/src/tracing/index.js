@@ -0,0 +1,8 @@
+import { Tracer } from './Tracer.js';
+
+export { Tracer, Span, SPAN_KINDS, parseTraceparent } from './Tracer.js';
+
+// Rastreador único do processo; o servidor define exportadores e amostragem (tracer.configure)
+const tracer = new Tracer();
+
+export default tracer;
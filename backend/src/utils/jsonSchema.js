@@ -0,0 +1,103 @@
+/**
+ * Validador do subconjunto de JSON Schema usado no protocolo WebSocket
+ * Suporta type (inclusive lista de tipos), enum, const, required, properties,
+ * additionalProperties, items, minLength/maxLength, minimum/maximum e maxItems
+ * @param {Object} schema - Schema JSON
+ * @param {*} value - Valor a validar
+ * @param {string} path - Caminho do valor (usado nas mensagens de erro)
+ * @returns {Array} [{ path, message }] vazio quando o valor é válido
+ */
+export function validateSchema(schema, value, path = '') {
+  const errors = [];
+  const at = path || '(raiz)';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      return [{ path: at, message: `deve ser do tipo ${types.join(' ou ')}` }];
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path: at, message: `deve ser ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `deve ser um de: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: `deve ter ao menos ${schema.minLength} caracteres` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `deve ter no máximo ${schema.maxLength} caracteres` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `deve ser maior ou igual a ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `deve ser menor ou igual a ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `deve ter no máximo ${schema.maxItems} itens` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (matchesType('object', value)) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'é obrigatório' });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      if (properties[key]) {
+        if (propertyValue !== undefined) {
+          errors.push(...validateSchema(properties[key], propertyValue, joinPath(path, key)));
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: 'não é permitido' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, propertyValue, joinPath(path, key)));
+      }
+    });
+  }
+
+  return errors;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+export default validateSchema;
@@ -46,5 +46,22 @@ class Logger {
   }
 }
 
+/**
+ * URL para log sem credenciais: parâmetros de query com "token" no nome são mascarados
+ * (ex.: /ws/agent?token=... de clientes antigos)
+ */
+export function redactUrl(url = '') {
+  const queryStart = url.indexOf('?');
+  if (queryStart === -1) return url;
+
+  const params = new URLSearchParams(url.slice(queryStart + 1));
+  for (const key of new Set(params.keys())) {
+    if (/token/i.test(key)) {
+      params.set(key, '***');
+    }
+  }
+  return `${url.slice(0, queryStart)}?${params.toString()}`;
+}
+
 // Export singleton instance
 export default new Logger();
\ No newline at end of file
@@ -1,5 +1,9 @@
 import logger from './logger.js';
 import config from '../config/environment.js';
+import metrics from '../metrics/index.js';
+
+// Interaction types accepted as label values (the analytics endpoint is public)
+const INTERACTION_TYPES = ['user', 'bot', 'error'];
 
 class MonitoringService {
   constructor() {
@@ -15,11 +19,79 @@ class MonitoringService {
     
     this.errorCounts = new Map();
     this.performanceMetrics = new Map();
+    this.healthChecks = new Map(); // Checks extras de /health/detailed registrados pelos módulos
+    this.alertManager = null; // Entrega dos alertas aos canais (src/alerts), definida pelo servidor
+    this.registerMetrics();
     
     // Start periodic metrics collection
     this.startMetricsCollection();
   }
 
+  // Prometheus metrics exposed by /monitoring/metrics/prometheus
+  registerMetrics() {
+    this.prometheus = {
+      requests: metrics.counter({
+        name: 'chatbot_requests_total',
+        help: 'Total number of HTTP requests',
+        labelNames: ['method', 'route', 'status']
+      }),
+      requestDuration: metrics.histogram({
+        name: 'chatbot_http_request_duration_seconds',
+        help: 'HTTP request duration in seconds',
+        labelNames: ['method', 'route', 'status']
+      }),
+      errors: metrics.counter({
+        name: 'chatbot_errors_total',
+        help: 'Total number of tracked errors',
+        labelNames: ['type']
+      }),
+      websocketConnections: metrics.gauge({
+        name: 'chatbot_websocket_connections',
+        help: 'Current WebSocket connections'
+      }),
+      mcpRequests: metrics.counter({
+        name: 'chatbot_mcp_requests_total',
+        help: 'Total MCP requests',
+        labelNames: ['status']
+      }),
+      mcpDuration: metrics.histogram({
+        name: 'chatbot_mcp_request_duration_seconds',
+        help: 'MCP request duration in seconds',
+        labelNames: ['status']
+      }),
+      chatInteractions: metrics.counter({
+        name: 'chatbot_chat_interactions_total',
+        help: 'Chat interactions reported by the widget',
+        labelNames: ['type', 'success']
+      }),
+      chatResponseTime: metrics.histogram({
+        name: 'chatbot_chat_response_time_seconds',
+        help: 'Chat response time reported by the widget in seconds',
+        labelNames: ['type'],
+        buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60]
+      })
+    };
+
+    metrics.gauge({
+      name: 'chatbot_memory_usage_bytes',
+      help: 'Process memory usage in bytes',
+      labelNames: ['type'],
+      collect: gauge => {
+        const memUsage = process.memoryUsage();
+        gauge.set({ type: 'heap_used' }, memUsage.heapUsed);
+        gauge.set({ type: 'heap_total' }, memUsage.heapTotal);
+        gauge.set({ type: 'rss' }, memUsage.rss);
+        gauge.set({ type: 'external' }, memUsage.external);
+      }
+    });
+
+    metrics.gauge({
+      name: 'chatbot_uptime_seconds',
+      help: 'Server uptime in seconds',
+      collect: gauge => gauge.set(Math.floor((Date.now() - this.metrics.uptime) / 1000))
+    });
+  }
+
   // Request tracking
   trackRequest(req, res, next) {
     const startTime = Date.now();
@@ -28,6 +100,15 @@ class MonitoringService {
     res.on('finish', () => {
       const responseTime = Date.now() - startTime;
       this.trackResponseTime(responseTime);
+
+      // Route pattern instead of the URL keeps label cardinality bounded
+      const labels = {
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+        status: res.statusCode
+      };
+      this.prometheus.requests.inc(labels);
+      this.prometheus.requestDuration.observe(labels, responseTime / 1000);
       
       if (res.statusCode >= 400) {
         this.trackError(`HTTP_${res.statusCode}`, {
@@ -54,6 +135,7 @@ class MonitoringService {
   // Error tracking
   trackError(errorType, details = {}) {
     this.metrics.errors++;
+    this.prometheus.errors.inc({ type: errorType });
     
     const errorKey = `${errorType}_${new Date().toISOString().split('T')[0]}`;
     const currentCount = this.errorCounts.get(errorKey) || 0;
@@ -65,13 +147,13 @@ class MonitoringService {
       timestamp: new Date().toISOString()
     });
     
-    // Alert on high error rates
+    // Alert on high error rates (one alert per error type)
     if (currentCount > 10) {
       this.sendAlert('HIGH_ERROR_RATE', {
         errorType,
         count: currentCount,
         details
-      });
+      }, { key: `HIGH_ERROR_RATE:${errorType}` });
     }
   }
 
@@ -100,6 +182,7 @@ class MonitoringService {
     } else if (action === 'disconnect') {
       this.metrics.websocketConnections--;
     }
+    this.prometheus.websocketConnections.set(this.metrics.websocketConnections);
     
     logger.info('WebSocket connection tracked', {
       action,
@@ -110,6 +193,10 @@ class MonitoringService {
   // MCP request tracking
   trackMCPRequest(success = true, responseTime = 0) {
     this.metrics.mcpRequests++;
+
+    const status = success ? 'success' : 'error';
+    this.prometheus.mcpRequests.inc({ status });
+    this.prometheus.mcpDuration.observe({ status }, responseTime / 1000);
     
     if (!success) {
       this.metrics.mcpErrors++;
@@ -145,6 +232,12 @@ class MonitoringService {
     
     // Store interaction for analytics
     this.storeInteraction(interactionData);
+
+    const type = INTERACTION_TYPES.includes(messageType) ? messageType : 'other';
+    this.prometheus.chatInteractions.inc({ type, success: String(Boolean(success)) });
+    if (responseTime > 0) {
+      this.prometheus.chatResponseTime.observe({ type }, responseTime / 1000);
+    }
     
     logger.info('Chat interaction tracked', interactionData);
   }
@@ -211,6 +304,26 @@ class MonitoringService {
     };
   }
 
+  // Register a component check for /health/detailed; must return { status: ok|warning|error, ... }
+  registerHealthCheck(name, check) {
+    this.healthChecks.set(name, check);
+  }
+
+  runHealthChecks() {
+    const results = {};
+
+    for (const [name, check] of this.healthChecks) {
+      try {
+        results[name] = check();
+      } catch (error) {
+        logger.error('Health check failed', { check: name, error: error.message });
+        results[name] = { status: 'error', error: error.message };
+      }
+    }
+
+    return results;
+  }
+
   // Calculate response time statistics
   calculateResponseTimeMetrics() {
     if (this.metrics.responseTime.length === 0) {
@@ -274,8 +387,14 @@ class MonitoringService {
     return analytics;
   }
 
-  // Send alerts (can be extended to integrate with external services)
-  sendAlert(alertType, data) {
+  // Register the alert channels (webhook, Slack, e-mail, file) used by sendAlert
+  setAlertManager(alertManager) {
+    this.alertManager = alertManager;
+  }
+
+  // Send alerts; options.key separates alerts of the same type (default: alertType)
+  // and options.autoResolve: false keeps it active until resolveAlert
+  sendAlert(alertType, data, options = {}) {
     const alert = {
       type: alertType,
       severity: this.getAlertSeverity(alertType),
@@ -289,18 +408,27 @@ class MonitoringService {
     
     logger.warn('Alert triggered', alert);
     
-    // In production, you could send to external monitoring services:
-    // - Slack webhook
-    // - Email notification
-    // - PagerDuty
-    // - DataDog
-    // - New Relic
-    
-    if (config.server.isProduction) {
-      this.sendExternalAlert(alert);
+    this.sendExternalAlert(alert, options);
+  }
+
+  // Recovery of a condition reported by sendAlert (same alertType/key)
+  resolveAlert(alertType, data = null, options = {}) {
+    const key = options.key || alertType;
+
+    if (this.alertManager?.resolve(key, data)) {
+      logger.info('Alert resolved', { type: alertType, key, data });
     }
   }
 
+  // Active alerts and delivery history for /monitoring/alerts
+  getAlerts(options = {}) {
+    if (!this.alertManager) {
+      return { active: [], history: [], channels: [], suppressed: 0 };
+    }
+
+    return this.alertManager.getAlerts(options);
+  }
+
   // Determine alert severity
   getAlertSeverity(alertType) {
     const severityMap = {
@@ -314,11 +442,15 @@ class MonitoringService {
     return severityMap[alertType] || 'info';
   }
 
-  // Send alert to external services (placeholder)
-  sendExternalAlert(alert) {
-    // Implement integration with external monitoring services
-    // Example: Slack webhook, email, etc.
-    logger.info('External alert would be sent', { alert });
+  // Deliver alert to the channels routed for its severity (deduplicated by AlertManager)
+  sendExternalAlert(alert, options = {}) {
+    if (!this.alertManager) return;
+
+    this.alertManager.trigger({
+      ...alert,
+      key: options.key,
+      autoResolve: options.autoResolve
+    });
   }
 
   // Start periodic metrics collection
@@ -345,6 +477,8 @@ class MonitoringService {
         memoryUsage: memUsageMB,
         memoryDetails: memUsage
       });
+    } else {
+      this.resolveAlert('MEMORY_USAGE_HIGH', { memoryUsage: memUsageMB });
     }
     
     logger.info('System metrics collected', {
@@ -1,3 +1,19 @@
+/**
+ * No Jest os módulos rodam como CommonJS, onde import.meta não existe:
+ * import.meta.env (variáveis do Vite) passa a ler process.env nos testes
+ */
+const importMetaEnvToProcessEnv = ({ types: t }) => ({
+  visitor: {
+    MetaProperty(path) {
+      if (path.node.meta.name === 'import' && path.node.property.name === 'meta') {
+        path.replaceWith(t.objectExpression([
+          t.objectProperty(t.identifier('env'), t.memberExpression(t.identifier('process'), t.identifier('env')))
+        ]));
+      }
+    }
+  }
+});
+
 module.exports = {
   presets: [
     ['@babel/preset-env', {
@@ -5,5 +21,10 @@ module.exports = {
         node: 'current'
       }
     }]
-  ]
-};
\ No newline at end of file
+  ],
+  env: {
+    test: {
+      plugins: [importMetaEnvToProcessEnv]
+    }
+  }
+};
@@ -29,6 +29,14 @@ const API_ENDPOINTS = [
 // Maximum cache size (in items)
 const MAX_CACHE_SIZE = 50;
 
+// Offline outbox - must match src/utils/MessageOutbox.js
+const OUTBOX_DB_NAME = 'chatbot-outbox';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'messages';
+const REPLIES_STORE = 'replies';
+const OUTBOX_SYNC_TAG = 'chat-messages';
+const REPLIES_SYNC_TAG = 'chat-replies';
+
 /**
  * Install event - cache static files
  */
@@ -245,62 +253,258 @@ async function limitCacheSize(cacheName, maxSize) {
 self.addEventListener('sync', (event) => {
   console.log('Background sync triggered:', event.tag);
   
-  if (event.tag === 'chat-messages') {
-    event.waitUntil(syncChatMessages());
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(syncChatMessages().finally(() => pollReplies()));
+  }
+});
+
+/**
+ * Periodic sync - replies from a human agent to messages sent while the tab was closed
+ */
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REPLIES_SYNC_TAG) {
+    event.waitUntil(pollReplies());
   }
 });
 
 /**
- * Sync offline chat messages
+ * Sync offline chat messages (outbox written by MessageHandler) through POST /api/chat/send
+ * Rejects when a message must be retried, so the browser schedules the sync again
  */
 async function syncChatMessages() {
-  try {
-    // Get offline messages from IndexedDB
-    const offlineMessages = await getOfflineMessages();
-    
-    if (offlineMessages.length === 0) {
-      console.log('No offline messages to sync');
-      return;
+  const offlineMessages = await getOfflineMessages();
+
+  if (offlineMessages.length === 0) {
+    console.log('No offline messages to sync');
+    return;
+  }
+
+  console.log(`Syncing ${offlineMessages.length} offline messages`);
+
+  // Session created by an earlier message of this batch (original sessionId -> { sessionId, resumeToken })
+  const createdSessions = new Map();
+  let retryLater = false;
+
+  for (const queued of offlineMessages) {
+    const message = withCreatedSession(queued, createdSessions);
+
+    try {
+      let { response, result } = await sendOfflineMessage(message);
+
+      // Resume token expired while offline: the message starts a new session
+      if (response.status === 401 && String(result.code).startsWith('RESUME_TOKEN')) {
+        ({ response, result } = await sendOfflineMessage({
+          ...message,
+          resumeToken: null,
+          body: { ...message.body, sessionId: null, lastMessageId: null }
+        }));
+      }
+
+      if (response.status === 200) {
+        await removeOfflineMessage(message.id);
+        if (result.data?.resumeToken) {
+          createdSessions.set(queued.body.sessionId || '', {
+            sessionId: result.data.sessionId,
+            resumeToken: result.data.resumeToken
+          });
+        }
+        await deliverReply(message, result.data);
+        console.log('Synced message:', message.id);
+      } else if (response.status === 202 || response.status === 429 || response.status >= 500) {
+        // Still being answered through another connection, rate limited or server error
+        retryLater = true;
+      } else {
+        console.warn('Dropping offline message rejected by server:', message.id, result.code);
+        await removeOfflineMessage(message.id);
+      }
+    } catch (error) {
+      console.error('Failed to sync message:', message.id, error);
+      retryLater = true;
     }
+  }
 
-    console.log(`Syncing ${offlineMessages.length} offline messages`);
-    
-    // Send messages to server
-    for (const message of offlineMessages) {
-      try {
-        const response = await fetch('/api/chat/send', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(message)
-        });
-        
-        if (response.ok) {
-          await removeOfflineMessage(message.id);
-          console.log('Synced message:', message.id);
+  if (retryLater) {
+    throw new Error('Offline messages pending retry');
+  }
+}
+
+/**
+ * Points messages queued before their session existed to the session created during this sync
+ */
+function withCreatedSession(message, createdSessions) {
+  const created = createdSessions.get(message.body.sessionId || '');
+  if (!created) {
+    return message;
+  }
+
+  return {
+    ...message,
+    resumeToken: created.resumeToken,
+    body: { ...message.body, sessionId: created.sessionId }
+  };
+}
+
+async function sendOfflineMessage(message) {
+  const response = await fetch(`${message.endpoint}/send`, {
+    method: 'POST',
+    headers: buildChatHeaders(message),
+    body: JSON.stringify(message.body)
+  });
+  const result = await response.json().catch(() => ({}));
+
+  return { response, result };
+}
+
+function buildChatHeaders(entry) {
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (entry.resumeToken) {
+    headers['X-Resume-Token'] = entry.resumeToken;
+  }
+  if (entry.authToken) {
+    headers.Authorization = `Bearer ${entry.authToken}`;
+  }
+
+  return headers;
+}
+
+/**
+ * Hands the reply to open tabs; with no visible tab, shows it as a notification.
+ * Messages forwarded to a human agent are watched until the agent answers
+ */
+async function deliverReply(message, frame) {
+  if (!frame) {
+    return;
+  }
+
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(client => client.postMessage({ type: 'OUTBOX_SYNCED', messageId: message.id, response: frame }));
+
+  if (frame.type === 'chat_forwarded') {
+    await runOutboxRequest(REPLIES_STORE, 'readwrite', store => store.put({
+      sessionId: frame.sessionId,
+      endpoint: message.endpoint,
+      resumeToken: message.resumeToken,
+      authToken: message.authToken,
+      lastMessageId: frame.userMessageId
+    }));
+    return;
+  }
+
+  if (frame.type === 'chat_response' && !hasVisibleWindow(windows)) {
+    await showReplyNotification(frame.content, frame.sessionId);
+  }
+}
+
+/**
+ * Polls GET /api/chat/messages for the sessions waiting on a human agent
+ */
+async function pollReplies() {
+  const watches = await runOutboxRequest(REPLIES_STORE, 'readonly', store => store.getAll());
+
+  for (const watch of watches) {
+    try {
+      const query = new URLSearchParams({ sessionId: watch.sessionId });
+      if (watch.lastMessageId) {
+        query.set('after', watch.lastMessageId);
+      }
+
+      const response = await fetch(`${watch.endpoint}/messages?${query}`, { headers: buildChatHeaders(watch) });
+
+      // Token expired or session gone: stop watching
+      if (response.status === 401 || response.status === 404) {
+        await runOutboxRequest(REPLIES_STORE, 'readwrite', store => store.delete(watch.sessionId));
+        continue;
+      }
+      if (!response.ok) {
+        continue;
+      }
+
+      const { data } = await response.json();
+      const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+      if (!hasVisibleWindow(windows)) {
+        for (const reply of data.messages) {
+          await showReplyNotification(reply.content, watch.sessionId);
         }
-      } catch (error) {
-        console.error('Failed to sync message:', message.id, error);
       }
+
+      await runOutboxRequest(REPLIES_STORE, 'readwrite', store => (data.status === 'ended'
+        ? store.delete(watch.sessionId)
+        : store.put({ ...watch, lastMessageId: data.lastMessageId })));
+    } catch (error) {
+      console.error('Failed to poll replies:', watch.sessionId, error);
     }
-  } catch (error) {
-    console.error('Error syncing chat messages:', error);
   }
 }
 
+function hasVisibleWindow(windows) {
+  return windows.some(client => client.visibilityState === 'visible');
+}
+
+function showReplyNotification(content, sessionId) {
+  const body = content.length > 200 ? `${content.slice(0, 197)}...` : content;
+
+  return self.registration.showNotification('Chatbot Web', {
+    body,
+    icon: '/icons/icon-192x192.png',
+    badge: '/icons/badge-72x72.png',
+    tag: `chat-reply-${sessionId}`,
+    data: { url: `/?chatSession=${encodeURIComponent(sessionId)}`, sessionId }
+  });
+}
+
+/**
+ * Open the outbox database (same schema as src/utils/MessageOutbox.js)
+ */
+function openOutboxDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(REPLIES_STORE)) {
+        db.createObjectStore(REPLIES_STORE, { keyPath: 'sessionId' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function runOutboxRequest(storeName, mode, operation) {
+  const db = await openOutboxDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
 /**
- * Get offline messages from IndexedDB (placeholder)
+ * Get offline messages from IndexedDB, oldest first
  */
 async function getOfflineMessages() {
-  // This would integrate with IndexedDB to get stored offline messages
-  return [];
+  const messages = await runOutboxRequest(OUTBOX_STORE, 'readonly', store => store.getAll());
+  return messages.sort((a, b) => a.createdAt - b.createdAt);
 }
 
 /**
- * Remove synced message from IndexedDB (placeholder)
+ * Remove synced message from IndexedDB
  */
-async function removeOfflineMessage(messageId) {
-  // This would remove the message from IndexedDB after successful sync
-  console.log('Removing synced message:', messageId);
+function removeOfflineMessage(messageId) {
+  return runOutboxRequest(OUTBOX_STORE, 'readwrite', store => store.delete(messageId));
 }
 
 /**
@@ -331,18 +535,29 @@ self.addEventListener('push', (event) => {
     ]
   };
 
+  let title = 'Chatbot Web';
+
+  // Chat replies sent by the backend (src/push/PushNotifier.js):
+  // { type, title, body, tag, url, sessionId, messageId }
   if (event.data) {
     try {
       const data = event.data.json();
-      options.body = data.message || options.body;
+      title = data.title || title;
+      options.body = data.body || data.message || options.body;
       options.data = { ...options.data, ...data };
+
+      // Same tag as the background sync notifications: one notification per session
+      if (data.tag) {
+        options.tag = data.tag;
+        options.renotify = data.type !== 'reminder';
+      }
     } catch (error) {
       console.error('Error parsing push data:', error);
     }
   }
 
   event.waitUntil(
-    self.registration.showNotification('Chatbot Web', options)
+    self.registration.showNotification(title, options)
   );
 });
 
@@ -355,19 +570,25 @@ self.addEventListener('notificationclick', (event) => {
   event.notification.close();
   
   if (event.action === 'open' || !event.action) {
+    const { url = '/', sessionId } = event.notification.data || {};
+    const target = new URL(url, self.location.origin);
+
     event.waitUntil(
-      clients.matchAll({ type: 'window' })
+      clients.matchAll({ type: 'window', includeUncontrolled: true })
         .then(clientList => {
-          // Focus existing window if available
+          // Focus an open page with the widget and reopen the notified session there
           for (const client of clientList) {
-            if (client.url === '/' && 'focus' in client) {
+            if (new URL(client.url).origin === target.origin && 'focus' in client) {
+              if (sessionId) {
+                client.postMessage({ type: 'OPEN_SESSION', sessionId });
+              }
               return client.focus();
             }
           }
           
-          // Open new window
+          // Open new window (the widget reads ?chatSession= on load)
           if (clients.openWindow) {
-            return clients.openWindow('/');
+            return clients.openWindow(target.href);
           }
         })
     );
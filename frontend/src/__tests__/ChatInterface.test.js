@@ -180,6 +180,20 @@ describe('ChatInterface', () => {
       expect(updatedMessage.status).toBe('sent');
     });
 
+    test('não deve regredir o status de entrega confirmado pelo servidor', () => {
+      const messageId = chatInterface.addMessage({ type: 'user', content: 'Teste', status: 'sending' });
+      const statusElement = container.querySelector(`[data-message-id="${messageId}"] .chat-interface__message-status`);
+
+      chatInterface.updateMessageStatus(messageId, 'delivered');
+      chatInterface.updateMessageStatus(messageId, 'sent');
+
+      expect(chatInterface.messages.find(m => m.id === messageId).status).toBe('delivered');
+      expect(statusElement.classList.contains('chat-interface__message-status--delivered')).toBe(true);
+
+      chatInterface.updateMessageStatus(messageId, 'error');
+      expect(chatInterface.messages.find(m => m.id === messageId).status).toBe('error');
+    });
+
     test('deve limpar todas as mensagens', () => {
       chatInterface.addMessage({ type: 'user', content: 'Mensagem 1' });
       chatInterface.addMessage({ type: 'bot', content: 'Mensagem 2' });
@@ -380,6 +394,111 @@ describe('ChatInterface', () => {
     });
   });
 
+  describe('Respostas em Streaming', () => {
+    beforeEach(() => {
+      chatInterface = new ChatInterface(container);
+    });
+
+    test('deve criar mensagem do bot no primeiro trecho e esconder digitação', () => {
+      chatInterface.showTypingIndicator();
+
+      const messageId = chatInterface.appendStreamDelta('srv_1', 'Olá');
+
+      const element = container.querySelector(`[data-message-id="${messageId}"]`);
+      expect(chatInterface.isTyping).toBe(false);
+      expect(chatInterface.messages).toHaveLength(1);
+      expect(element.classList.contains('chat-interface__message--streaming')).toBe(true);
+      expect(element.getAttribute('aria-busy')).toBe('true');
+    });
+
+    test('deve acumular trechos na mesma mensagem', () => {
+      chatInterface.appendStreamDelta('srv_1', 'Olá, ');
+      const messageId = chatInterface.appendStreamDelta('srv_1', 'tudo bem?');
+
+      const element = container.querySelector(`[data-message-id="${messageId}"]`);
+      expect(chatInterface.messages).toHaveLength(1);
+      expect(chatInterface.messages[0].content).toBe('Olá, tudo bem?');
+      expect(element.querySelector('.chat-interface__message-text').textContent.trim()).toBe('Olá, tudo bem?');
+    });
+
+    test('deve concluir mensagem com conteúdo final e status entregue', () => {
+      let completed = null;
+      container.addEventListener('messageCompleted', (e) => {
+        completed = e.detail;
+      });
+
+      chatInterface.appendStreamDelta('srv_1', 'Parcial');
+      const messageId = chatInterface.finalizeStreamMessage('srv_1', {
+        content: 'Resposta final',
+        metadata: { modelDisplayName: 'GPT-4' }
+      });
+
+      const element = container.querySelector(`[data-message-id="${messageId}"]`);
+      expect(element.classList.contains('chat-interface__message--streaming')).toBe(false);
+      expect(element.hasAttribute('aria-busy')).toBe(false);
+      expect(element.querySelector('.chat-interface__message-text').textContent.trim()).toBe('Resposta final');
+      expect(element.querySelector('.chat-interface__metadata-model')).toBeTruthy();
+      expect(chatInterface.messages[0].status).toBe('delivered');
+      expect(completed.content).toBe('Resposta final');
+    });
+
+    test('deve retornar null ao concluir stream desconhecido', () => {
+      expect(chatInterface.finalizeStreamMessage('inexistente', { content: 'x' })).toBeNull();
+    });
+  });
+
+  describe('Interrupção de Respostas', () => {
+    beforeEach(() => {
+      chatInterface = new ChatInterface(container);
+    });
+
+    test('deve exibir botão de parar apenas durante a geração', () => {
+      const stopBtn = container.querySelector('.chat-interface__stop-btn');
+      expect(stopBtn.style.display).toBe('none');
+
+      chatInterface.setGenerating(true);
+      expect(stopBtn.style.display).toBe('flex');
+
+      chatInterface.setGenerating(false);
+      expect(stopBtn.style.display).toBe('none');
+    });
+
+    test('deve disparar generationStopRequested ao clicar em parar', () => {
+      let eventFired = false;
+      container.addEventListener('generationStopRequested', () => {
+        eventFired = true;
+      });
+
+      chatInterface.setGenerating(true);
+      container.querySelector('.chat-interface__stop-btn').click();
+
+      expect(eventFired).toBe(true);
+    });
+
+    test('não deve disparar evento quando não há geração em andamento', () => {
+      let eventFired = false;
+      container.addEventListener('generationStopRequested', () => {
+        eventFired = true;
+      });
+
+      chatInterface.stopGenerating();
+
+      expect(eventFired).toBe(false);
+    });
+
+    test('deve manter texto parcial ao cancelar resposta em streaming', () => {
+      chatInterface.appendStreamDelta('srv_1', 'Resposta parc');
+      const messageId = chatInterface.cancelStreamMessage('srv_1');
+
+      const element = container.querySelector(`[data-message-id="${messageId}"]`);
+      expect(element.classList.contains('chat-interface__message--streaming')).toBe(false);
+      expect(element.classList.contains('chat-interface__message--cancelled')).toBe(true);
+      expect(element.querySelector('.chat-interface__message-text').textContent.trim()).toBe('Resposta parc');
+      expect(chatInterface.messages[0].status).toBe('cancelled');
+      expect(chatInterface.cancelStreamMessage('srv_1')).toBeNull();
+    });
+  });
+
   describe('Controles da Interface', () => {
     beforeEach(() => {
       chatInterface = new ChatInterface(container);
@@ -312,6 +312,24 @@ describe('ChatWidget', () => {
       expect(indicator.style.display).toBe('none');
     });
 
+    test('deve mostrar status de ferramenta no indicador de digitação', () => {
+      chatWidget.showToolStatus('consultando agenda…');
+
+      const indicator = container.querySelector('#typing-indicator');
+      expect(indicator.style.display).toBe('flex');
+      expect(indicator.classList.contains('chat-widget__typing--tool')).toBe(true);
+      expect(indicator.querySelector('.chat-widget__typing-text').textContent).toBe('consultando agenda…');
+    });
+
+    test('deve restaurar texto padrão ao concluir ferramenta', () => {
+      chatWidget.showToolStatus('consultando agenda…');
+      chatWidget.clearToolStatus();
+
+      const indicator = container.querySelector('#typing-indicator');
+      expect(indicator.classList.contains('chat-widget__typing--tool')).toBe(false);
+      expect(indicator.querySelector('.chat-widget__typing-text').textContent).toBe('Digitando...');
+    });
+
     test('deve mostrar badge com contador', () => {
       chatWidget.showBadge(3);
 
@@ -353,6 +371,147 @@ describe('ChatWidget', () => {
     });
   });
 
+  describe('Branding do Perfil', () => {
+    beforeEach(() => {
+      chatWidget = new ChatWidget('test-container');
+    });
+
+    test('deve aplicar título, placeholder, cor e avatar do perfil', () => {
+      chatWidget.applyBranding({
+        title: 'Central Imóveis',
+        placeholder: 'Conte o que você procura...',
+        primaryColor: '#0a7d4f',
+        avatarUrl: 'https://exemplo.com/avatar.png'
+      });
+
+      expect(container.querySelector('.chat-widget__title').textContent).toBe('Central Imóveis');
+      expect(container.querySelector('#chat-input').placeholder).toBe('Conte o que você procura...');
+      expect(chatWidget.container.style.getPropertyValue('--chat-primary')).toBe('#0a7d4f');
+      expect(container.querySelector('.chat-widget__avatar img').src).toBe('https://exemplo.com/avatar.png');
+    });
+
+    test('deve manter valores atuais para campos ausentes', () => {
+      chatWidget.applyBranding({ theme: 'dark' });
+
+      expect(container.querySelector('.chat-widget__title').textContent).toBe('Assistente Virtual');
+      expect(chatWidget.container.classList.contains('chat-widget--dark')).toBe(true);
+      expect(chatWidget.container.classList.contains('chat-widget--light')).toBe(false);
+    });
+  });
+
+  describe('Atendimento Humano', () => {
+    beforeEach(() => {
+      chatWidget = new ChatWidget('test-container');
+    });
+
+    test('deve indicar no status que a conversa está com um atendente', () => {
+      chatWidget.setHandoffState(true, { name: 'Ana' });
+
+      expect(container.querySelector('#chat-status').textContent).toBe('Você está falando com um atendente (Ana)');
+      expect(chatWidget.container.classList.contains('chat-widget--handoff')).toBe(true);
+
+      // Mudanças de estágio não sobrescrevem o aviso
+      chatWidget.updateSessionInfo({ context: { stage: 'closing' } });
+      expect(container.querySelector('#chat-status').textContent).toContain('atendente');
+
+      chatWidget.setHandoffState(false);
+      expect(container.querySelector('#chat-status').textContent).toBe('Online');
+      expect(chatWidget.container.classList.contains('chat-widget--handoff')).toBe(false);
+    });
+
+    test('deve exibir o nome do atendente nas respostas dele', () => {
+      chatWidget.addMessage({
+        type: 'agent',
+        author: 'Ana',
+        content: 'Olá, aqui é a Ana!',
+        timestamp: new Date().toISOString()
+      });
+
+      const message = container.querySelector('.chat-widget__message--agent');
+      expect(message.querySelector('.chat-widget__message-author').textContent).toBe('Ana');
+    });
+  });
+
+  describe('Fontes Citadas', () => {
+    beforeEach(() => {
+      chatWidget = new ChatWidget('test-container');
+    });
+
+    test('deve exibir as fontes da resposta e da resposta em streaming', () => {
+      const sources = [{ index: 1, title: 'Guia de Atendimento', section: 'Entrega', excerpt: 'Frete grátis.' }];
+
+      chatWidget.addMessage({ type: 'bot', content: 'Frete grátis [1]', sources, timestamp: new Date().toISOString() });
+      chatWidget.appendStreamDelta('stream-1', 'Em até 3 dias');
+      chatWidget.finalizeStreamMessage('stream-1', 'Em até 3 dias [1]', sources);
+
+      const lists = container.querySelectorAll('.chat-widget__sources');
+      expect(lists).toHaveLength(2);
+      expect(lists[0].nextElementSibling.className).toBe('chat-widget__message-time');
+      expect(lists[1].querySelector('.chat-widget__source').textContent).toBe('Guia de Atendimento — Entrega');
+    });
+  });
+
+  describe('Conversas Anteriores', () => {
+    beforeEach(() => {
+      chatWidget = new ChatWidget('test-container');
+    });
+
+    test('deve exibir as conversas anteriores no topo e substituí-las ao receber de novo', () => {
+      chatWidget.addMessage({ type: 'bot', content: 'Olá!', timestamp: new Date().toISOString() });
+      const conversation = {
+        sessionId: 's1',
+        updatedAt: '2026-03-10T12:00:00Z',
+        summary: 'Dúvida sobre frete',
+        messages: [
+          { role: 'user', content: 'Qual o frete?', timestamp: '2026-03-10T12:00:00Z' },
+          { role: 'assistant', from: 'agent', content: 'Grátis!', timestamp: '2026-03-10T12:01:00Z', metadata: { agentName: 'Ana' } }
+        ]
+      };
+
+      chatWidget.showPreviousConversations([conversation]);
+      chatWidget.showPreviousConversations([conversation]);
+
+      const messages = container.querySelector('#chat-messages');
+      const items = messages.querySelectorAll('.chat-widget__history-item');
+      expect(items).toHaveLength(1);
+      expect(messages.firstElementChild.className).toBe('chat-widget__history');
+      expect(items[0].querySelector('summary').title).toBe('Dúvida sobre frete');
+      expect(items[0].querySelector('.chat-widget__message--user')).not.toBeNull();
+      expect(items[0].querySelector('.chat-widget__message-author').textContent).toBe('Ana');
+    });
+  });
+
+  describe('Limite de Uso', () => {
+    beforeEach(() => {
+      chatWidget = new ChatWidget('test-container');
+    });
+
+    test('deve exibir o aviso e bloquear o envio até o fim da contagem', () => {
+      const sendListener = jest.fn();
+      chatWidget.container.addEventListener('chatMessage', sendListener);
+      const notice = container.querySelector('#rate-limit-notice');
+      const input = container.querySelector('#chat-input');
+
+      chatWidget.setRateLimit('Aguarde 5s para enviar outra.');
+
+      expect(notice.style.display).toBe('block');
+      expect(notice.textContent).toBe('Aguarde 5s para enviar outra.');
+      expect(container.querySelector('#send-btn').disabled).toBe(true);
+
+      input.value = 'Mensagem bloqueada';
+      chatWidget.sendMessage();
+      expect(sendListener).not.toHaveBeenCalled();
+      expect(input.value).toBe('Mensagem bloqueada');
+
+      chatWidget.clearRateLimit();
+      expect(notice.style.display).toBe('none');
+      expect(container.querySelector('#send-btn').disabled).toBe(false);
+
+      chatWidget.sendMessage();
+      expect(sendListener).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('Limpeza', () => {
     test('deve destruir widget corretamente', () => {
       chatWidget = new ChatWidget('test-container');
@@ -2,7 +2,7 @@
  * @jest-environment jsdom
  */
 
-import { Message } from '../components/Message.js';
+import { Message, createSourcesElement } from '../components/Message.js';
 
 describe('Message', () => {
   let messageData;
@@ -165,6 +165,34 @@ describe('Message', () => {
     });
   });
 
+  describe('Fontes Citadas', () => {
+    test('deve listar as fontes da base de conhecimento na mensagem do bot', () => {
+      const message = new Message({
+        ...messageData,
+        type: 'bot',
+        sources: [
+          { index: 1, title: 'Guia de Atendimento', section: 'Entrega > Prazo', excerpt: 'O prazo é de 3 dias úteis.' },
+          { index: 2, title: 'politicas', source: 'politicas.txt' }
+        ]
+      });
+
+      const items = message.getElement().querySelectorAll('.chat-message__source');
+
+      expect(message.getElement().querySelector('.chat-message__sources-title').textContent).toBe('Fontes');
+      expect(items).toHaveLength(2);
+      expect(items[0].textContent).toBe('Guia de Atendimento — Entrega > Prazo');
+      expect(items[0].title).toBe('O prazo é de 3 dias úteis.');
+      expect(items[1].value).toBe(2);
+    });
+
+    test('não deve exibir a lista sem fontes', () => {
+      const message = new Message(messageData);
+
+      expect(message.getElement().querySelector('.chat-message__sources')).toBeNull();
+      expect(createSourcesElement([])).toBeNull();
+    });
+  });
+
   describe('Remoção de Mensagem', () => {
     test('deve remover elemento do DOM', () => {
       const container = document.createElement('div');
@@ -6,8 +6,9 @@ import { MessageHandler } from '../components/MessageHandler.js';
 
 // Mock do WebSocket
 class MockWebSocket {
-  constructor(url) {
+  constructor(url, protocols) {
     this.url = url;
+    this.protocols = protocols;
     this.readyState = WebSocket.CONNECTING;
     this.CONNECTING = 0;
     this.OPEN = 1;
@@ -16,8 +17,12 @@ class MockWebSocket {
     
     this.eventListeners = {};
     
-    // Simula conexão após um tempo
+    // Simula conexão (ou servidor fora do ar) após um tempo
     setTimeout(() => {
+      if (MockWebSocket.failConnections) {
+        this.close(1006, 'Servidor indisponível');
+        return;
+      }
       this.readyState = WebSocket.OPEN;
       this.dispatchEvent({ type: 'open' });
     }, 10);
@@ -63,6 +68,8 @@ class MockWebSocket {
   }
 }
 
+MockWebSocket.failConnections = false;
+
 // Configura mock global
 global.WebSocket = MockWebSocket;
 global.WebSocket.CONNECTING = 0;
@@ -83,6 +90,7 @@ describe('MessageHandler', () => {
     if (messageHandler) {
       messageHandler.destroy();
     }
+    MockWebSocket.failConnections = false;
     jest.useRealTimers();
   });
 
@@ -141,6 +149,38 @@ describe('MessageHandler', () => {
       expect(connectedEvent.reconnectAttempts).toBe(0);
     });
 
+    test('deve enviar o authToken no subprotocolo e pedir as conversas anteriores do visitante', () => {
+      const conversations = [];
+      let token = 'jwt.1';
+      messageHandler = new MessageHandler(`${testUrl}?protocol=1`, { authToken: () => token, enableLogging: false });
+      messageHandler.on('conversationHistory', (data) => conversations.push(data));
+
+      expect(messageHandler.ws.url).toBe('ws://localhost:3001/ws?protocol=1');
+      expect(messageHandler.ws.protocols).toEqual(['chatbot.v1', 'chatbot.token.jwt.1']);
+      jest.advanceTimersByTime(20);
+
+      const sendSpy = jest.spyOn(messageHandler.ws, 'send');
+      messageHandler.ws.dispatchEvent({
+        type: 'message',
+        data: JSON.stringify({ type: 'connection', protocolVersion: 1, visitor: { userId: 'u-42', name: 'Ana' } })
+      });
+      expect(messageHandler.visitor).toEqual({ userId: 'u-42', name: 'Ana' });
+      expect(JSON.parse(sendSpy.mock.calls[0][0])).toMatchObject({ type: 'conversation_history' });
+
+      messageHandler.ws.dispatchEvent({
+        type: 'message',
+        data: JSON.stringify({ type: 'conversation_history', userId: 'u-42', conversations: [{ sessionId: 's1', messages: [] }] })
+      });
+      expect(conversations).toEqual([expect.objectContaining({ userId: 'u-42', conversations: [expect.objectContaining({ sessionId: 's1' })] })]);
+
+      // O token renovado pelo site vale para a próxima conexão
+      token = 'jwt.2';
+      messageHandler.ws.close(1006, 'Conexão perdida');
+      jest.advanceTimersByTime(3100);
+      expect(messageHandler.ws.url).toBe('ws://localhost:3001/ws?protocol=1');
+      expect(messageHandler.ws.protocols).toEqual(['chatbot.v1', 'chatbot.token.jwt.2']);
+    });
+
     test('deve tratar desconexão', () => {
       let disconnectedEvent = null;
       
@@ -188,17 +228,14 @@ describe('MessageHandler', () => {
         maxAttemptsEvent = data;
       });
 
-      // Simula múltiplas desconexões
-      for (let i = 0; i < 3; i++) {
-        jest.advanceTimersByTime(20);
-        if (messageHandler.ws) {
-          messageHandler.ws.close(1006, 'Conexão perdida');
-        }
-        jest.advanceTimersByTime(5000);
-      }
+      // Conexão cai e o servidor não volta: toda reconexão fecha sem abrir
+      jest.advanceTimersByTime(20);
+      MockWebSocket.failConnections = true;
+      messageHandler.ws.close(1006, 'Conexão perdida');
+      jest.advanceTimersByTime(3000 + 6000 + 100);
 
-      expect(maxAttemptsEvent).toBeDefined();
-      expect(maxAttemptsEvent.attempts).toBe(2);
+      expect(maxAttemptsEvent).toEqual({ attempts: 2 });
+      expect(messageHandler.isConnected).toBe(false);
     });
   });
 
@@ -235,17 +272,71 @@ describe('MessageHandler', () => {
 
     test('deve processar fila ao reconectar', () => {
       // Desconecta e adiciona mensagens à fila
-      messageHandler.ws.close(1000);
+      messageHandler.ws.close(1006, 'Conexão perdida');
       messageHandler.sendMessage('test1');
       messageHandler.sendMessage('test2');
       
       expect(messageHandler.messageQueue).toHaveLength(2);
 
-      // Simula reconexão
-      messageHandler.ws = new MockWebSocket(testUrl);
-      jest.advanceTimersByTime(20);
+      // Reconexão agendada (3s) e abertura do novo WebSocket
+      const sendSpy = jest.spyOn(MockWebSocket.prototype, 'send');
+      jest.advanceTimersByTime(3020);
 
+      expect(messageHandler.isConnected).toBe(true);
       expect(messageHandler.messageQueue).toHaveLength(0);
+      expect(sendSpy.mock.calls.map(([data]) => JSON.parse(data).type)).toEqual(['test1', 'test2']);
+      sendSpy.mockRestore();
+    });
+
+    test('deve enviar o chat da fila uma única vez em duas reconexões', () => {
+      const dispatch = (frame) => messageHandler.ws.dispatchEvent({ type: 'message', data: JSON.stringify(frame) });
+      const sendSpy = jest.spyOn(MockWebSocket.prototype, 'send');
+      const chatSends = (messageId) => sendSpy.mock.calls
+        .map(([data]) => JSON.parse(data))
+        .filter(frame => frame.type === 'chat' && frame.messageId === messageId);
+
+      messageHandler.ws.close(1006, 'Conexão perdida');
+      const messageId = messageHandler.sendChatMessage('Olá');
+
+      // Primeira reconexão: sai da fila e é respondida
+      jest.advanceTimersByTime(3020);
+      expect(chatSends(messageId)).toHaveLength(1);
+      dispatch({ type: 'ack', messageId, status: 'received', duplicate: false });
+      dispatch({ type: 'chat_response', messageId, content: 'Oi!' });
+
+      // Segunda reconexão: nada mais a reenviar
+      messageHandler.ws.close(1006, 'Conexão perdida');
+      jest.advanceTimersByTime(3020);
+
+      expect(messageHandler.isConnected).toBe(true);
+      expect(chatSends(messageId)).toHaveLength(1);
+      expect(messageHandler.messageQueue).toEqual([]);
+      expect(messageHandler.pendingMessages.size).toBe(0);
+      sendSpy.mockRestore();
+    });
+
+    test('deve desistir do chat sem resposta após maxResendAttempts reconexões', () => {
+      messageHandler.destroy();
+      messageHandler = new MessageHandler(testUrl, { maxResendAttempts: 1, enableLogging: false });
+      jest.advanceTimersByTime(20);
+
+      const timeouts = [];
+      messageHandler.on('messageTimeout', (data) => timeouts.push(data.messageId));
+      const sendSpy = jest.spyOn(MockWebSocket.prototype, 'send');
+      const messageId = messageHandler.sendChatMessage('Olá');
+
+      // Cada conexão reenvia uma vez, e a fila nunca guarda uma segunda cópia
+      messageHandler.ws.close(1006, 'Conexão perdida');
+      expect(messageHandler.messageQueue).toEqual([]);
+      jest.advanceTimersByTime(3020);
+      messageHandler.ws.close(1006, 'Conexão perdida');
+      jest.advanceTimersByTime(3020);
+
+      const chatFrames = sendSpy.mock.calls.map(([data]) => JSON.parse(data)).filter(frame => frame.type === 'chat');
+      expect(chatFrames.map(frame => frame.messageId)).toEqual([messageId, messageId]);
+      expect(timeouts).toEqual([messageId]);
+      expect(messageHandler.isGenerating()).toBe(false);
+      sendSpy.mockRestore();
     });
 
     test('deve enviar mensagem de chat', () => {
@@ -253,18 +344,28 @@ describe('MessageHandler', () => {
       
       messageHandler.sendChatMessage('Olá!', 'session123');
 
-      expect(sendSpy).toHaveBeenCalledWith('chat', {
+      // Modo client: o histórico vai junto e a resposta é pedida token a token
+      expect(sendSpy).toHaveBeenCalledWith('chat', expect.objectContaining({
         content: 'Olá!',
-        sessionId: 'session123'
-      });
+        sessionId: messageHandler.historyManager.sessionId,
+        history: [{ role: 'user', content: 'Olá!' }],
+        profileId: null, // Sem perfil configurado o servidor escolhe pela origem
+        resumeToken: null, // Sessão ainda não criada no servidor
+        stream: true,
+        messageId: expect.stringMatching(/^msg_/) // Chave de idempotência no servidor
+      }));
     });
 
     test('deve iniciar sessão', () => {
       const sendSpy = jest.spyOn(messageHandler, 'sendMessage');
       
-      messageHandler.startSession();
+      messageHandler.startSession({ page: '/precos' });
 
-      expect(sendSpy).toHaveBeenCalledWith('session_start');
+      expect(sendSpy).toHaveBeenCalledWith('session_start', {
+        sessionId: messageHandler.historyManager.sessionId,
+        profileId: null,
+        context: { page: '/precos' }
+      });
     });
 
     test('deve encerrar sessão', () => {
@@ -385,6 +486,333 @@ describe('MessageHandler', () => {
       expect(messageError.error).toBeDefined();
       expect(messageError.rawData).toBe('json inválido');
     });
+
+    test('deve enviar apenas a mensagem nova no modo de histórico do servidor', () => {
+      const sendSpy = jest.spyOn(messageHandler.ws, 'send');
+
+      messageHandler.ws.dispatchEvent({
+        type: 'message',
+        data: JSON.stringify({ type: 'connection', historyMode: 'server' })
+      });
+      messageHandler.historyManager.setServerState('server-session', 'msg_42');
+      messageHandler.historyManager.setResumeToken('token-server-session');
+      messageHandler.sendChatMessage('Olá de novo');
+
+      const sent = JSON.parse(sendSpy.mock.calls.pop()[0]);
+      expect(sent.history).toBeUndefined();
+      expect(sent.sessionId).toBe('server-session');
+      expect(sent.lastMessageId).toBe('msg_42');
+      // O servidor exige o token para religar a sessão antes do session_resume
+      expect(sent.resumeToken).toBe('token-server-session');
+    });
+
+    test('deve emitir perfil de bot recebido na conexão', () => {
+      let profile = null;
+
+      messageHandler.on('profile', (data) => {
+        profile = data;
+      });
+
+      messageHandler.ws.dispatchEvent({
+        type: 'message',
+        data: JSON.stringify({
+          type: 'connection',
+          profile: { id: 'imobiliaria', branding: { title: 'Central Imóveis' } }
+        })
+      });
+
+      expect(profile.branding.title).toBe('Central Imóveis');
+      expect(messageHandler.profile.id).toBe('imobiliaria');
+    });
+
+    test('deve substituir histórico local ao receber history_sync', () => {
+      let syncData = null;
+
+      messageHandler.on('historySync', (data) => {
+        syncData = data;
+      });
+
+      messageHandler.historyManager.addUserMessage('mensagem só local');
+      messageHandler.ws.dispatchEvent({
+        type: 'message',
+        data: JSON.stringify({
+          type: 'history_sync',
+          sessionId: 'server-session',
+          reason: 'diverged',
+          lastMessageId: 'msg_2',
+          messages: [
+            { id: 'msg_1', role: 'user', content: 'Oi' },
+            { id: 'msg_2', role: 'assistant', content: 'Olá!' }
+          ]
+        })
+      });
+
+      expect(syncData.reason).toBe('diverged');
+      expect(messageHandler.historyManager.messages.map(m => m.id)).toEqual(['msg_1', 'msg_2']);
+      expect(messageHandler.historyManager.lastServerMessageId).toBe('msg_2');
+    });
+
+    test('deve tratar handoff e mensagens repassadas ao atendente', () => {
+      const handoffEvents = [];
+      const responses = [];
+
+      messageHandler.on('handoff', (data) => handoffEvents.push(data));
+      messageHandler.on('chatResponse', (data) => responses.push(data));
+
+      const messageId = messageHandler.sendChatMessage('Quero falar com uma pessoa');
+      messageHandler.ws.dispatchEvent({
+        type: 'message',
+        data: JSON.stringify({
+          type: 'handoff',
+          sessionId: 'server-session',
+          active: true,
+          agent: { name: 'Ana' },
+          message: 'Você está falando com um atendente'
+        })
+      });
+      messageHandler.ws.dispatchEvent({
+        type: 'message',
+        data: JSON.stringify({ type: 'chat_forwarded', messageId, sessionId: 'server-session', userMessageId: 'msg_1' })
+      });
+
+      expect(messageHandler.handoff).toEqual({ name: 'Ana' });
+      expect(handoffEvents[0]).toMatchObject({ active: true, agent: { name: 'Ana' } });
+      expect(messageHandler.isGenerating()).toBe(false);
+      expect(messageHandler.historyManager.lastServerMessageId).toBe('msg_1');
+
+      messageHandler.ws.dispatchEvent({
+        type: 'message',
+        data: JSON.stringify({
+          type: 'chat_response',
+          from: 'agent',
+          agent: { name: 'Ana' },
+          messageId: 'msg_2',
+          assistantMessageId: 'msg_2',
+          sessionId: 'server-session',
+          content: 'Olá, aqui é a Ana!'
+        })
+      });
+
+      expect(responses[0].type).toBe('agent');
+      expect(messageHandler.historyManager.messages.pop().metadata).toMatchObject({ from: 'agent', agentName: 'Ana' });
+
+      messageHandler.ws.dispatchEvent({
+        type: 'message',
+        data: JSON.stringify({ type: 'handoff', sessionId: 'server-session', active: false, reason: 'released' })
+      });
+
+      expect(messageHandler.handoff).toBeNull();
+      expect(handoffEvents[1]).toMatchObject({ active: false, reason: 'released' });
+    });
+
+    test('deve encerrar a geração e exibir contagem regressiva ao receber rate_limited', () => {
+      const limited = [];
+      const countdown = [];
+      const cleared = jest.fn();
+      messageHandler.on('rateLimited', (data) => limited.push(data));
+      messageHandler.on('rateLimitCountdown', (data) => countdown.push(data));
+      messageHandler.on('rateLimitCleared', cleared);
+
+      const messageId = messageHandler.sendChatMessage('Olá de novo');
+      messageHandler.ws.dispatchEvent({
+        type: 'message',
+        data: JSON.stringify({ type: 'rate_limited', messageId, reason: 'rate', scope: 'session', retryAfter: 3 })
+      });
+
+      expect(messageHandler.isGenerating()).toBe(false);
+      expect(messageHandler.isRateLimited()).toBe(true);
+      expect(limited[0]).toMatchObject({
+        messageId,
+        retryAfter: 3,
+        displayMessage: 'Você está enviando mensagens muito rápido. Aguarde 3s para enviar outra.'
+      });
+
+      jest.advanceTimersByTime(1000);
+      expect(countdown[0]).toMatchObject({ remaining: 2, displayMessage: expect.stringContaining('Aguarde 2s') });
+
+      jest.advanceTimersByTime(2000);
+      expect(cleared).toHaveBeenCalledTimes(1);
+      expect(messageHandler.isRateLimited()).toBe(false);
+    });
+
+    test('deve pedir a versão do protocolo e tratar frames de erro do servidor', () => {
+      const chatErrors = [];
+      const protocolErrors = [];
+      messageHandler.on('chatError', (data) => chatErrors.push(data));
+      messageHandler.on('protocolError', (data) => protocolErrors.push(data));
+
+      expect(messageHandler.ws.protocols).toEqual(['chatbot.v1']);
+      messageHandler.ws.dispatchEvent({
+        type: 'message',
+        data: JSON.stringify({ type: 'connection', protocolVersion: 1, historyMode: 'client' })
+      });
+      expect(messageHandler.protocolVersion).toBe(1);
+
+      const messageId = messageHandler.sendChatMessage('Olá');
+      messageHandler.ws.dispatchEvent({
+        type: 'message',
+        data: JSON.stringify({ type: 'error', code: 'INVALID_FRAME', message: 'Frame chat inválido', messageId })
+      });
+      messageHandler.ws.dispatchEvent({
+        type: 'message',
+        data: JSON.stringify({ type: 'error', code: 'UNKNOWN_TYPE', message: 'Tipo não reconhecido: foo' })
+      });
+
+      expect(messageHandler.isGenerating()).toBe(false);
+      expect(chatErrors[0]).toMatchObject({ messageId, displayMessage: 'Mensagem inválida. Verifique o formato.' });
+      expect(protocolErrors).toEqual([expect.objectContaining({ code: 'UNKNOWN_TYPE' })]);
+    });
+
+    test('deve retomar a sessão ao reconectar e exibir as respostas perdidas', () => {
+      const responses = [];
+      const handoffs = [];
+      const failures = [];
+      messageHandler.on('chatResponse', (data) => responses.push(data));
+      messageHandler.on('handoff', (data) => handoffs.push(data));
+      messageHandler.on('sessionResumeFailed', (data) => failures.push(data));
+      const dispatch = (frame) => messageHandler.ws.dispatchEvent({ type: 'message', data: JSON.stringify(frame) });
+
+      dispatch({ type: 'session_started', sessionId: 'session_1', resumeToken: 'token-1' });
+      const sendSpy = jest.spyOn(messageHandler.ws, 'send');
+      dispatch({ type: 'connection', protocolVersion: 1, historyMode: 'server' });
+
+      expect(JSON.parse(sendSpy.mock.calls[0][0])).toMatchObject({
+        type: 'session_resume',
+        sessionId: 'session_1',
+        resumeToken: 'token-1',
+        lastMessageId: null
+      });
+
+      dispatch({
+        type: 'session_resumed',
+        sessionId: 'session_1',
+        resumeToken: 'token-2',
+        lastMessageId: 'msg_2',
+        messages: [{ id: 'msg_2', role: 'assistant', from: 'agent', content: 'Oi, aqui é a Ana', metadata: { agentName: 'Ana' } }],
+        handoff: { active: true, agent: { name: 'Ana' } }
+      });
+
+      expect(responses).toEqual([expect.objectContaining({ type: 'agent', content: 'Oi, aqui é a Ana', replayed: true })]);
+      expect(handoffs).toEqual([expect.objectContaining({ active: true, agent: { name: 'Ana' } })]);
+      expect(messageHandler.historyManager.resumeToken).toBe('token-2');
+      expect(messageHandler.historyManager.lastServerMessageId).toBe('msg_2');
+
+      dispatch({ type: 'session_error', code: 'RESUME_TOKEN_EXPIRED', requestType: 'session_resume', message: 'Token de retomada expirado' });
+      expect(failures).toEqual([expect.objectContaining({ code: 'RESUME_TOKEN_EXPIRED' })]);
+      expect(messageHandler.historyManager.resumeToken).toBeNull();
+    });
+
+    test('deve emitir status de entrega e reenviar com o mesmo messageId após reconectar', () => {
+      const statuses = [];
+      const responses = [];
+      messageHandler.on('messageStatus', (data) => statuses.push([data.messageId, data.status]));
+      messageHandler.on('chatResponse', (data) => responses.push(data));
+      const dispatch = (frame) => messageHandler.ws.dispatchEvent({ type: 'message', data: JSON.stringify(frame) });
+
+      const messageId = messageHandler.sendChatMessage('Olá', null, { messageId: 'msg_ui_1' });
+      expect(messageId).toBe('msg_ui_1');
+      dispatch({ type: 'ack', messageId, status: 'received', duplicate: false });
+
+      // Conexão cai antes da resposta: a mensagem continua pendente e é reenviada com o mesmo ID
+      messageHandler.ws.close(1006, 'Conexão perdida');
+      expect(messageHandler.messageQueue).toEqual([]);
+      expect(messageHandler.isGenerating()).toBe(true);
+
+      const sendSpy = jest.spyOn(MockWebSocket.prototype, 'send');
+      jest.advanceTimersByTime(3100);
+      expect(JSON.parse(sendSpy.mock.calls[0][0])).toMatchObject({ type: 'chat', messageId, content: 'Olá' });
+      sendSpy.mockRestore();
+      dispatch({ type: 'chat_response', messageId, content: 'Oi!', assistantMessageId: 'srv_2' });
+      dispatch({ type: 'chat_response', messageId, content: 'Oi!', assistantMessageId: 'srv_2', duplicate: true });
+
+      expect(statuses).toEqual([
+        [messageId, 'sent'],
+        [messageId, 'delivered'],
+        [messageId, 'sending'],
+        [messageId, 'sent']
+      ]);
+      expect(responses).toHaveLength(1);
+      expect(messageHandler.historyManager.messages.filter(m => m.role === 'user')).toHaveLength(1);
+    });
+
+    test('deve guardar na caixa de saída os chats sem conexão e restaurá-los ao abrir', async () => {
+      const serviceWorker = new EventTarget();
+      const outbox = {
+        isAvailable: true,
+        options: { serviceWorker },
+        put: jest.fn(() => Promise.resolve()),
+        delete: jest.fn(() => Promise.resolve()),
+        requestSync: jest.fn(() => Promise.resolve(true)),
+        getAll: jest.fn(() => Promise.resolve([
+          { id: 'msg_old', body: { messageId: 'msg_old', content: 'Digitada offline', sessionId: 's1', type: 'chat', extra: true }, createdAt: 1 }
+        ]))
+      };
+      const responses = [];
+
+      messageHandler.destroy();
+      messageHandler = new MessageHandler(testUrl, { outbox, enableLogging: false });
+      messageHandler.on('chatResponse', (data) => responses.push(data));
+      await Promise.resolve();
+      await Promise.resolve();
+
+      // Restaurada da caixa de saída: volta a ficar pendente e na fila do WebSocket
+      expect(messageHandler.pendingMessages.has('msg_old')).toBe(true);
+      expect(messageHandler.messageQueue).toEqual([
+        expect.objectContaining({ type: 'chat', messageId: 'msg_old', content: 'Digitada offline' })
+      ]);
+      expect(messageHandler.messageQueue[0]).not.toHaveProperty('extra');
+
+      const messageId = messageHandler.sendChatMessage('Sem rede', null, { messageId: 'msg_new' });
+      await Promise.resolve();
+      expect(outbox.put).toHaveBeenLastCalledWith(expect.objectContaining({
+        id: messageId,
+        endpoint: 'http://localhost:3001/api/chat',
+        body: expect.objectContaining({ messageId, content: 'Sem rede' })
+      }));
+      expect(Object.keys(outbox.put.mock.calls[1][0].body).sort()).toEqual(
+        ['content', 'history', 'messageId', 'profileId', 'resumeToken', 'sessionId']
+      );
+      expect(outbox.requestSync).toHaveBeenCalled();
+
+      // Resposta obtida pelo service worker enquanto a aba estava sem WebSocket
+      const response = { type: 'chat_response', messageId: 'msg_old', content: 'Respondida', sessionId: 's1' };
+      serviceWorker.dispatchEvent(Object.assign(new Event('message'), { data: { type: 'OUTBOX_SYNCED', messageId: 'msg_old', response } }));
+      serviceWorker.dispatchEvent(Object.assign(new Event('message'), { data: { type: 'OUTBOX_SYNCED', messageId: 'msg_old', response } }));
+
+      expect(responses).toEqual([expect.objectContaining({ content: 'Respondida' })]);
+      expect(outbox.delete).toHaveBeenCalledWith('msg_old');
+    });
+
+    test('deve associar a assinatura push à sessão e abrir a conversa da notificação', () => {
+      const serviceWorker = new EventTarget();
+      const outbox = { isAvailable: false, options: { serviceWorker } };
+      const pushSubscriber = { subscribe: jest.fn(() => Promise.resolve(true)) };
+      const opened = [];
+
+      messageHandler.destroy();
+      messageHandler = new MessageHandler(testUrl, { outbox, pushSubscriber, authToken: 'jwt-1', enableLogging: false });
+      messageHandler.on('openSession', (data) => opened.push(data));
+      jest.advanceTimersByTime(20);
+
+      const dispatch = (frame) => messageHandler.ws.dispatchEvent({ type: 'message', data: JSON.stringify(frame) });
+      dispatch({ type: 'session_started', sessionId: 'session_1', resumeToken: 'token-1' });
+      dispatch({ type: 'session_resumed', sessionId: 'session_1', resumeToken: 'token-2', messages: [] });
+
+      expect(pushSubscriber.subscribe.mock.calls.map(([params]) => params)).toEqual([
+        { apiUrl: 'http://localhost:3001/api/push', sessionId: 'session_1', resumeToken: 'token-1', authToken: 'jwt-1' },
+        { apiUrl: 'http://localhost:3001/api/push', sessionId: 'session_1', resumeToken: 'token-2', authToken: 'jwt-1' }
+      ]);
+
+      serviceWorker.dispatchEvent(Object.assign(new Event('message'), { data: { type: 'OPEN_SESSION', sessionId: 'session_1' } }));
+      expect(opened).toEqual([{ sessionId: 'session_1' }]);
+    });
+
+    test('deve formatar a espera do orçamento diário em horas e minutos', () => {
+      expect(messageHandler.getRateLimitMessage('budget', 5400))
+        .toBe('O limite diário de uso foi atingido. Você poderá conversar novamente em 1h 30min.');
+      expect(messageHandler.formatWaitTime(90)).toBe('2 min');
+      expect(messageHandler.formatWaitTime(7200)).toBe('2h');
+    });
   });
 
   describe('Heartbeat', () => {
@@ -479,6 +907,20 @@ describe('MessageHandler', () => {
       expect(callback).toHaveBeenCalledTimes(1);
     });
 
+    test('deve chamar listener de once uma única vez sem pular os demais', () => {
+      const onceCallback = jest.fn();
+      const callback = jest.fn();
+
+      messageHandler.once('test', onceCallback);
+      messageHandler.on('test', callback);
+      messageHandler.emit('test', { data: 'teste' });
+      messageHandler.emit('test', { data: 'teste2' });
+
+      expect(onceCallback).toHaveBeenCalledTimes(1);
+      expect(onceCallback).toHaveBeenCalledWith({ data: 'teste' });
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+
     test('deve tratar erro em event listener', () => {
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
       const errorCallback = () => { throw new Error('Erro no callback'); };
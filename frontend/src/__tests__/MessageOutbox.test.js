@@ -0,0 +1,236 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import v8 from 'v8';
+import vm from 'vm';
+import { jest } from '@jest/globals';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  MessageOutbox,
+  OUTBOX_DB_NAME,
+  OUTBOX_SYNC_TAG,
+  REPLIES_STORE,
+  REPLIES_SYNC_TAG
+} from '../utils/MessageOutbox.js';
+
+// O ambiente jsdom do Jest não expõe structuredClone, usado pelo fake-indexeddb
+if (typeof structuredClone === 'undefined') {
+  global.structuredClone = value => v8.deserialize(v8.serialize(value));
+}
+
+const SERVICE_WORKER_SOURCE = readFileSync(join(__dirname, '../../public/sw.js'), 'utf8');
+
+const createEntry = (id, createdAt, body = {}) => ({
+  id,
+  endpoint: 'https://chat.example.com/api/chat',
+  body: { messageId: id, content: `Mensagem ${id}`, sessionId: null, ...body },
+  resumeToken: null,
+  authToken: null,
+  createdAt
+});
+
+/**
+ * Carrega o public/sw.js num contexto isolado, com o mesmo IndexedDB da caixa de saída
+ */
+const loadServiceWorker = ({ indexedDB, fetch, windows = [] }) => {
+  const listeners = {};
+  const self = {
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    clients: { matchAll: jest.fn(async () => windows) },
+    registration: { showNotification: jest.fn(async () => {}) }
+  };
+
+  vm.runInNewContext(SERVICE_WORKER_SOURCE, {
+    self,
+    indexedDB,
+    fetch,
+    console: { log: () => {}, warn: () => {}, error: () => {} },
+    URLSearchParams,
+    Promise
+  });
+
+  // Dispara o evento e devolve a promessa passada a waitUntil
+  const dispatch = (type, event) => {
+    let pending = Promise.resolve();
+    listeners[type]({ ...event, waitUntil: promise => { pending = promise; } });
+    return pending;
+  };
+
+  return { self, dispatch };
+};
+
+const jsonResponse = (status, body) => ({ status, ok: status >= 200 && status < 300, json: async () => body });
+
+describe('MessageOutbox', () => {
+  let indexedDB;
+  let outbox;
+
+  beforeEach(() => {
+    indexedDB = new IDBFactory();
+    outbox = new MessageOutbox({ indexedDB });
+  });
+
+  describe('IndexedDB', () => {
+    test('deve guardar, listar da mais antiga para a mais recente e remover entradas', async () => {
+      await outbox.put(createEntry('msg_2', 200));
+      await outbox.put(createEntry('msg_1', 100));
+      await outbox.put({ ...createEntry('msg_2', 200), resumeToken: 'token-novo' });
+
+      const entries = await outbox.getAll();
+      expect(entries.map(entry => entry.id)).toEqual(['msg_1', 'msg_2']);
+      expect(entries[1].resumeToken).toBe('token-novo');
+
+      await outbox.delete('msg_1');
+      expect((await outbox.getAll()).map(entry => entry.id)).toEqual(['msg_2']);
+    });
+
+    test('deve criar os stores usados pelo service worker', async () => {
+      const db = await outbox.open();
+
+      expect(db.name).toBe(OUTBOX_DB_NAME);
+      expect(Array.from(db.objectStoreNames)).toEqual(['messages', REPLIES_STORE]);
+    });
+
+    test('deve ficar indisponível sem IndexedDB e permitir reabrir após erro', async () => {
+      const unavailable = new MessageOutbox({ indexedDB: null });
+      expect(unavailable.isAvailable).toBe(false);
+
+      const failing = {
+        open: jest.fn(() => {
+          const request = {};
+          setTimeout(() => {
+            request.error = new Error('IndexedDB bloqueado');
+            request.onerror();
+          });
+          return request;
+        })
+      };
+      const blocked = new MessageOutbox({ indexedDB: failing });
+
+      await expect(blocked.getAll()).rejects.toThrow('IndexedDB bloqueado');
+      expect(blocked.dbPromise).toBeNull();
+      await expect(blocked.getAll()).rejects.toThrow('IndexedDB bloqueado');
+      expect(failing.open).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Background sync', () => {
+    test('deve registrar o envio e a consulta periódica das respostas', async () => {
+      const registration = {
+        sync: { register: jest.fn(async () => {}) },
+        periodicSync: { register: jest.fn(async () => {}) }
+      };
+      outbox = new MessageOutbox({
+        indexedDB,
+        serviceWorker: { getRegistration: async () => registration },
+        repliesInterval: 60000
+      });
+
+      expect(await outbox.requestSync()).toBe(true);
+      expect(registration.sync.register).toHaveBeenCalledWith(OUTBOX_SYNC_TAG);
+      expect(registration.periodicSync.register).toHaveBeenCalledWith(REPLIES_SYNC_TAG, { minInterval: 60000 });
+    });
+
+    test('deve informar quando o navegador não tem Background Sync', async () => {
+      const withoutSync = new MessageOutbox({ indexedDB, serviceWorker: { getRegistration: async () => ({}) } });
+      const failing = new MessageOutbox({
+        indexedDB,
+        serviceWorker: { getRegistration: async () => { throw new Error('sem service worker'); } }
+      });
+
+      expect(await withoutSync.requestSync()).toBe(false);
+      expect(await failing.requestSync()).toBe(false);
+    });
+  });
+
+  describe('Service worker', () => {
+    test('deve enviar as entradas em ordem, levar a sessão criada às seguintes e notificar a resposta', async () => {
+      await outbox.put({ ...createEntry('msg_1', 100), authToken: 'jwt' });
+      await outbox.put(createEntry('msg_2', 200));
+
+      const fetch = jest.fn(async (url, options) => {
+        const body = JSON.parse(options.body);
+        return jsonResponse(200, {
+          success: true,
+          data: {
+            type: 'chat_response',
+            messageId: body.messageId,
+            sessionId: 'session_1',
+            content: `Resposta: ${body.content}`,
+            ...(body.sessionId ? {} : { resumeToken: 'token-1' })
+          }
+        });
+      });
+      const { self, dispatch } = loadServiceWorker({ indexedDB, fetch });
+
+      await dispatch('sync', { tag: OUTBOX_SYNC_TAG });
+
+      expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+        'https://chat.example.com/api/chat/send',
+        'https://chat.example.com/api/chat/send'
+      ]);
+      expect(fetch.mock.calls[0][1].headers).toEqual({ 'Content-Type': 'application/json', Authorization: 'Bearer jwt' });
+      expect(fetch.mock.calls[1][1].headers).toMatchObject({ 'X-Resume-Token': 'token-1' });
+      expect(JSON.parse(fetch.mock.calls[1][1].body)).toMatchObject({ messageId: 'msg_2', sessionId: 'session_1' });
+      expect(await outbox.getAll()).toEqual([]);
+      expect(self.registration.showNotification).toHaveBeenCalledWith('Chatbot Web', expect.objectContaining({
+        body: 'Resposta: Mensagem msg_1',
+        tag: 'chat-reply-session_1'
+      }));
+    });
+
+    test('deve iniciar nova sessão com token expirado e manter entradas que precisam de nova tentativa', async () => {
+      await outbox.put({ ...createEntry('msg_1', 100, { sessionId: 'session_old' }), resumeToken: 'expirado' });
+      await outbox.put(createEntry('msg_2', 200, { sessionId: 'session_other' }));
+
+      const fetch = jest.fn()
+        .mockResolvedValueOnce(jsonResponse(401, { success: false, code: 'RESUME_TOKEN_EXPIRED' }))
+        .mockResolvedValueOnce(jsonResponse(200, { success: true, data: { type: 'chat_response', sessionId: 'session_new', content: 'Oi' } }))
+        .mockResolvedValueOnce(jsonResponse(202, { success: true, data: { status: 'processing' } }));
+      const visible = [{ visibilityState: 'visible', postMessage: jest.fn() }];
+      const { self, dispatch } = loadServiceWorker({ indexedDB, fetch, windows: visible });
+
+      await expect(dispatch('sync', { tag: OUTBOX_SYNC_TAG })).rejects.toThrow('Offline messages pending retry');
+
+      const retried = fetch.mock.calls[1][1];
+      expect(retried.headers['X-Resume-Token']).toBeUndefined();
+      expect(JSON.parse(retried.body)).toMatchObject({ messageId: 'msg_1', sessionId: null, lastMessageId: null });
+      expect((await outbox.getAll()).map(entry => entry.id)).toEqual(['msg_2']);
+      expect(visible[0].postMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'OUTBOX_SYNCED', messageId: 'msg_1' }));
+      expect(self.registration.showNotification).not.toHaveBeenCalled();
+    });
+
+    test('deve acompanhar as sessões repassadas ao atendente até a resposta', async () => {
+      await outbox.put({ ...createEntry('msg_1', 100, { sessionId: 'session_1' }), resumeToken: 'token-1' });
+
+      const fetch = jest.fn()
+        .mockResolvedValueOnce(jsonResponse(200, {
+          success: true,
+          data: { type: 'chat_forwarded', sessionId: 'session_1', userMessageId: 'm_user' }
+        }))
+        .mockResolvedValueOnce(jsonResponse(200, {
+          success: true,
+          data: { status: 'paused', lastMessageId: 'm_agent', messages: [{ id: 'm_agent', content: 'Oi, aqui é a Ana' }] }
+        }));
+      const { self, dispatch } = loadServiceWorker({ indexedDB, fetch });
+
+      await dispatch('sync', { tag: OUTBOX_SYNC_TAG });
+
+      expect(fetch.mock.calls[1][0]).toBe('https://chat.example.com/api/chat/messages?sessionId=session_1&after=m_user');
+      expect(fetch.mock.calls[1][1].headers).toMatchObject({ 'X-Resume-Token': 'token-1' });
+      expect(self.registration.showNotification).toHaveBeenCalledWith('Chatbot Web', expect.objectContaining({
+        body: 'Oi, aqui é a Ana'
+      }));
+
+      const db = await outbox.open();
+      const watch = await new Promise(resolve => {
+        const request = db.transaction(REPLIES_STORE).objectStore(REPLIES_STORE).get('session_1');
+        request.onsuccess = () => resolve(request.result);
+      });
+      expect(watch).toMatchObject({ sessionId: 'session_1', lastMessageId: 'm_agent' });
+    });
+  });
+});
@@ -5,70 +5,112 @@
 import { jest } from '@jest/globals';
 import { ChatbotApp } from '../../components/ChatbotApp.js';
 
-// Mock WebSocket for responsive testing
-global.WebSocket = class MockWebSocket {
-  constructor(url) {
+// Mock WebSocket for responsive testing: connects and answers chats with the widget protocol
+class MockWebSocket {
+  constructor(url, protocols) {
     this.url = url;
-    this.readyState = WebSocket.OPEN;
-    this.CONNECTING = 0;
-    this.OPEN = 1;
-    this.CLOSING = 2;
-    this.CLOSED = 3;
+    this.protocols = protocols;
+    this.readyState = MockWebSocket.CONNECTING;
+    this.listeners = {};
+
+    setTimeout(() => {
+      this.readyState = MockWebSocket.OPEN;
+      this.dispatchEvent({ type: 'open' });
+      this.receive({ type: 'connection', status: 'connected', clientId: 'client_1', protocolVersion: 1, historyMode: 'server' });
+    }, 10);
+  }
+
+  addEventListener(type, callback, options = {}) {
+    (this.listeners[type] = this.listeners[type] || []).push({ callback, once: options.once === true });
   }
-  
+
+  removeEventListener(type, callback) {
+    this.listeners[type] = (this.listeners[type] || []).filter(listener => listener.callback !== callback);
+  }
+
+  dispatchEvent(event) {
+    (this.listeners[event.type] || []).slice().forEach(listener => {
+      if (listener.once) this.removeEventListener(event.type, listener.callback);
+      listener.callback(event);
+    });
+  }
+
+  receive(frame) {
+    if (this.readyState !== MockWebSocket.OPEN) return;
+    this.dispatchEvent({ type: 'message', data: JSON.stringify({ timestamp: new Date().toISOString(), ...frame }) });
+  }
+
   send(data) {
+    const message = JSON.parse(data);
+    if (message.type !== 'chat') return;
+
     // Mock response
     setTimeout(() => {
-      if (this.onmessage) {
-        this.onmessage({
-          data: JSON.stringify({
-            type: 'chatResponse',
-            messageId: 'test-id',
-            content: 'Test response',
-            timestamp: new Date().toISOString()
-          })
-        });
-      }
+      this.receive({ type: 'ack', messageId: message.messageId, status: 'received', duplicate: false });
+      this.receive({
+        type: 'chat_response',
+        from: 'bot',
+        messageId: message.messageId,
+        content: 'Test response',
+        sessionId: 'session-1',
+        userMessageId: `${message.messageId}-user`,
+        assistantMessageId: `${message.messageId}-assistant`
+      });
     }, 10);
   }
-  
-  close() {
-    this.readyState = WebSocket.CLOSED;
-  }
-  
-  addEventListener(event, handler) {
-    this[`on${event}`] = handler;
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === MockWebSocket.CLOSED) return;
+    this.readyState = MockWebSocket.CLOSED;
+    this.dispatchEvent({ type: 'close', code, reason, wasClean: code === 1000 });
   }
-  
-  removeEventListener(event, handler) {
-    this[`on${event}`] = null;
+}
+
+MockWebSocket.CONNECTING = 0;
+MockWebSocket.OPEN = 1;
+MockWebSocket.CLOSING = 2;
+MockWebSocket.CLOSED = 3;
+
+global.WebSocket = MockWebSocket;
+
+const wait = (ms) => jest.advanceTimersByTimeAsync(ms);
+
+const setViewport = (width, height) => {
+  Object.defineProperty(window, 'innerWidth', { writable: true, configurable: true, value: width });
+  if (height) {
+    Object.defineProperty(window, 'innerHeight', { writable: true, configurable: true, value: height });
   }
 };
 
+const createChatbot = () => new ChatbotApp({
+  websocketUrl: 'ws://localhost:3001/ws',
+  title: 'Test Chatbot',
+  enableNotifications: false,
+  enableSounds: false,
+  autoStart: false,
+  enableLogging: false
+});
+
 describe('Responsive Behavior Integration Tests', () => {
   let chatbotApp;
-  let container;
+  let widget;
+
+  const openWidget = () => {
+    widget.querySelector('.chat-widget__fab').click();
+    expect(chatbotApp.chatWidget.isOpen).toBe(true);
+  };
+
+  const userMessages = () => chatbotApp.messageHistory.filter(msg => msg.type === 'user');
 
   beforeEach(() => {
+    jest.useFakeTimers();
+
     // Clean DOM
     document.body.innerHTML = '';
-    
-    // Create container
-    container = document.createElement('div');
-    container.id = 'test-container';
-    document.body.appendChild(container);
-    
+
     // Initialize chatbot app
-    const config = {
-      websocketUrl: 'ws://localhost:3001/ws',
-      title: 'Test Chatbot',
-      enableNotifications: false,
-      enableSounds: false,
-      autoStart: false,
-      enableLogging: false
-    };
-    
-    chatbotApp = new ChatbotApp(config);
+    chatbotApp = createChatbot();
+    widget = chatbotApp.chatWidget.container;
   });
 
   afterEach(() => {
@@ -76,76 +118,61 @@ describe('Responsive Behavior Integration Tests', () => {
       chatbotApp.destroy();
     }
     document.body.innerHTML = '';
+    jest.useRealTimers();
   });
 
   describe('Desktop Responsive Behavior (>1024px)', () => {
-    beforeEach(() => {
+    beforeEach(async () => {
       // Set desktop viewport
-      Object.defineProperty(window, 'innerWidth', {
-        writable: true,
-        configurable: true,
-        value: 1440,
-      });
-      
-      Object.defineProperty(window, 'innerHeight', {
-        writable: true,
-        configurable: true,
-        value: 900,
-      });
-      
+      setViewport(1440, 900);
+
       // Trigger resize event
       window.dispatchEvent(new Event('resize'));
+      await wait(20);
     });
 
     test('should display chat widget with desktop dimensions', () => {
-      const widget = document.querySelector('.chat-widget');
-      expect(widget).toBeTruthy();
-      
-      // Check FAB positioning and size
+      expect(document.querySelector('.chat-widget')).toBe(widget);
+
+      // Check FAB and desktop layout
       const fab = widget.querySelector('.chat-widget__fab');
       expect(fab).toBeTruthy();
-      
-      const fabStyles = window.getComputedStyle(fab);
-      // Note: In JSDOM, computed styles may not reflect CSS exactly
-      // We verify the elements exist and have appropriate classes
-      expect(fab.classList.contains('chat-widget__fab')).toBe(true);
+      expect(widget.classList.contains('chat-widget--bottom-right')).toBe(true);
+      expect(widget.classList.contains('chat-widget--mobile')).toBe(false);
     });
 
-    test('should open chat interface with desktop layout', () => {
-      chatbotApp.openChatInterface();
-      
-      const chatInterface = chatbotApp.chatInterface;
-      expect(chatInterface).toBeTruthy();
-      
-      const interfaceContainer = chatInterface.container;
+    test('should open chat interface with desktop layout', async () => {
+      openWidget();
+
+      const interfaceContainer = widget.querySelector('.chat-widget__interface');
       expect(interfaceContainer).toBeTruthy();
-      
+      expect(widget.classList.contains('chat-widget--open')).toBe(true);
+
       // Verify desktop-specific elements
-      const header = interfaceContainer.querySelector('.chat-widget__header');
-      const messageArea = interfaceContainer.querySelector('.chat-widget__messages');
-      const inputArea = interfaceContainer.querySelector('.chat-widget__input-area');
-      
-      expect(header).toBeTruthy();
-      expect(messageArea).toBeTruthy();
-      expect(inputArea).toBeTruthy();
-      
-      // Verify desktop layout classes
-      expect(interfaceContainer.classList.contains('chat-widget__interface')).toBe(true);
+      expect(interfaceContainer.querySelector('.chat-widget__header')).toBeTruthy();
+      expect(interfaceContainer.querySelector('.chat-widget__messages')).toBeTruthy();
+      expect(interfaceContainer.querySelector('.chat-widget__input-area')).toBeTruthy();
+
+      // Input is focused after the opening animation on desktop
+      await wait(300);
+      expect(document.activeElement).toBe(widget.querySelector('.chat-widget__input'));
+
+      // Clicking outside closes the widget on desktop
+      document.body.click();
+      expect(chatbotApp.chatWidget.isOpen).toBe(false);
     });
 
     test('should handle desktop-specific interactions', async () => {
-      chatbotApp.openChatInterface();
-      
-      const chatInterface = chatbotApp.chatInterface;
-      const input = chatInterface.container.querySelector('.chat-widget__input');
-      const sendButton = chatInterface.container.querySelector('.chat-widget__send-btn');
-      
-      expect(input).toBeTruthy();
-      expect(sendButton).toBeTruthy();
-      
-      // Test desktop keyboard interaction (Enter to send)
+      openWidget();
+
+      const input = widget.querySelector('.chat-widget__input');
+
+      // Shift+Enter keeps editing (new line)
       input.value = 'Desktop test message';
-      
+      input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', shiftKey: true, bubbles: true }));
+      expect(chatbotApp.messageHistory).toHaveLength(0);
+
+      // Test desktop keyboard interaction (Enter to send)
       const enterEvent = new KeyboardEvent('keydown', {
         key: 'Enter',
         code: 'Enter',
@@ -153,268 +180,197 @@ describe('Responsive Behavior Integration Tests', () => {
         which: 13,
         bubbles: true
       });
-      
+
       input.dispatchEvent(enterEvent);
-      
+
       // Wait for message processing
-      await new Promise(resolve => setTimeout(resolve, 50));
-      
-      // Verify message was sent
-      expect(chatbotApp.messageHistory.length).toBeGreaterThan(0);
+      await wait(50);
+
+      // Verify message was sent and answered
       expect(chatbotApp.messageHistory[0].content).toBe('Desktop test message');
+      expect(chatbotApp.messageHistory[1].content).toBe('Test response');
     });
 
     test('should handle window resize from desktop to tablet', () => {
-      chatbotApp.openChatInterface();
-      const initialInterface = chatbotApp.chatInterface;
-      
+      openWidget();
+
       // Resize to tablet
-      Object.defineProperty(window, 'innerWidth', {
-        writable: true,
-        configurable: true,
-        value: 768,
-      });
-      
+      setViewport(768);
       window.dispatchEvent(new Event('resize'));
-      
-      // Wait for resize handling
-      setTimeout(() => {
-        // Verify interface adapted to new size
-        expect(chatbotApp.chatInterface).toBeTruthy();
-        
-        const interfaceContainer = chatbotApp.chatInterface.container;
-        expect(interfaceContainer).toBeTruthy();
-      }, 10);
+
+      // Verify widget adapted to new size and stayed open
+      expect(widget.classList.contains('chat-widget--mobile')).toBe(true);
+      expect(chatbotApp.chatWidget.isOpen).toBe(true);
     });
   });
 
   describe('Tablet Responsive Behavior (768px-1024px)', () => {
-    beforeEach(() => {
+    beforeEach(async () => {
       // Set tablet viewport
-      Object.defineProperty(window, 'innerWidth', {
-        writable: true,
-        configurable: true,
-        value: 768,
-      });
-      
-      Object.defineProperty(window, 'innerHeight', {
-        writable: true,
-        configurable: true,
-        value: 1024,
-      });
-      
+      setViewport(768, 1024);
+
       window.dispatchEvent(new Event('resize'));
+      await wait(20);
     });
 
     test('should adapt chat widget for tablet dimensions', () => {
-      const widget = document.querySelector('.chat-widget');
-      expect(widget).toBeTruthy();
-      
-      // Verify tablet-appropriate sizing
-      const fab = widget.querySelector('.chat-widget__fab');
-      expect(fab).toBeTruthy();
-      expect(fab.classList.contains('chat-widget__fab')).toBe(true);
+      // Verify tablet uses the compact layout
+      expect(widget.querySelector('.chat-widget__fab')).toBeTruthy();
+      expect(widget.classList.contains('chat-widget--mobile')).toBe(true);
     });
 
-    test('should handle tablet orientation changes', () => {
-      chatbotApp.openChatInterface();
-      
+    test('should handle tablet orientation changes', async () => {
+      openWidget();
+
       // Simulate portrait to landscape
-      Object.defineProperty(window, 'innerWidth', {
-        writable: true,
-        configurable: true,
-        value: 1024,
-      });
-      
-      Object.defineProperty(window, 'innerHeight', {
-        writable: true,
-        configurable: true,
-        value: 768,
-      });
-      
+      setViewport(1024, 768);
+
       // Mock orientation change event
-      const orientationEvent = new Event('orientationchange');
-      window.dispatchEvent(orientationEvent);
-      
-      // Verify interface adapted
-      expect(chatbotApp.chatInterface).toBeTruthy();
-      
-      const interfaceContainer = chatbotApp.chatInterface.container;
-      expect(interfaceContainer).toBeTruthy();
+      window.dispatchEvent(new Event('orientationchange'));
+
+      // Layout is updated after the orientation settles
+      expect(widget.classList.contains('chat-widget--mobile')).toBe(true);
+      await wait(100);
+
+      expect(widget.classList.contains('chat-widget--mobile')).toBe(false);
+      expect(chatbotApp.chatWidget.isOpen).toBe(true);
     });
 
     test('should handle touch interactions on tablet', async () => {
-      chatbotApp.openChatInterface();
-      
-      const chatInterface = chatbotApp.chatInterface;
-      const sendButton = chatInterface.container.querySelector('.chat-widget__send-btn');
-      const input = chatInterface.container.querySelector('.chat-widget__input');
-      
-      expect(sendButton).toBeTruthy();
-      expect(input).toBeTruthy();
-      
+      openWidget();
+
+      const sendButton = widget.querySelector('.chat-widget__send-btn');
+      const input = widget.querySelector('.chat-widget__input');
+
       // Simulate touch interaction
       input.value = 'Tablet touch message';
-      
-      const touchEvent = new TouchEvent('touchstart', {
+
+      sendButton.dispatchEvent(new TouchEvent('touchstart', {
         touches: [{ clientX: 100, clientY: 100 }],
         bubbles: true
-      });
-      
-      sendButton.dispatchEvent(touchEvent);
-      
+      }));
+
       // Simulate click after touch
       sendButton.click();
-      
-      await new Promise(resolve => setTimeout(resolve, 50));
-      
-      // Verify message was sent
-      expect(chatbotApp.messageHistory.length).toBeGreaterThan(0);
-      expect(chatbotApp.messageHistory[0].content).toBe('Tablet touch message');
+
+      await wait(50);
+
+      // Verify message was sent once
+      expect(userMessages().map(msg => msg.content)).toEqual(['Tablet touch message']);
     });
   });
 
   describe('Mobile Responsive Behavior (<768px)', () => {
-    beforeEach(() => {
+    beforeEach(async () => {
       // Set mobile viewport
-      Object.defineProperty(window, 'innerWidth', {
-        writable: true,
-        configurable: true,
-        value: 375,
-      });
-      
-      Object.defineProperty(window, 'innerHeight', {
-        writable: true,
-        configurable: true,
-        value: 667,
-      });
-      
+      setViewport(375, 667);
+
       window.dispatchEvent(new Event('resize'));
+      await wait(20);
     });
 
     test('should adapt chat widget for mobile dimensions', () => {
-      const widget = document.querySelector('.chat-widget');
-      expect(widget).toBeTruthy();
-      
-      // Verify mobile-appropriate elements
-      const fab = widget.querySelector('.chat-widget__fab');
-      expect(fab).toBeTruthy();
-      expect(fab.classList.contains('chat-widget__fab')).toBe(true);
+      expect(widget.querySelector('.chat-widget__fab')).toBeTruthy();
+      expect(widget.classList.contains('chat-widget--mobile')).toBe(true);
     });
 
-    test('should open fullscreen chat interface on mobile', () => {
-      chatbotApp.openChatInterface();
-      
-      const chatInterface = chatbotApp.chatInterface;
-      expect(chatInterface).toBeTruthy();
-      
-      const interfaceContainer = chatInterface.container;
-      expect(interfaceContainer).toBeTruthy();
-      
+    test('should open fullscreen chat interface on mobile', async () => {
+      openWidget();
+
       // Verify mobile layout elements
-      const header = interfaceContainer.querySelector('.chat-widget__header');
-      const closeButton = header?.querySelector('.chat-widget__close-btn');
-      
-      expect(header).toBeTruthy();
+      const header = widget.querySelector('.chat-widget__header');
+      const closeButton = header.querySelector('.chat-widget__close-btn');
       expect(closeButton).toBeTruthy();
+
+      // Input is not focused automatically (would open the virtual keyboard)
+      await wait(300);
+      expect(document.activeElement).not.toBe(widget.querySelector('.chat-widget__input'));
+
+      // Tapping outside keeps it open; the close button closes it
+      document.body.click();
+      expect(chatbotApp.chatWidget.isOpen).toBe(true);
+
+      closeButton.click();
+      expect(chatbotApp.chatWidget.isOpen).toBe(false);
     });
 
     test('should handle virtual keyboard appearance', () => {
-      chatbotApp.openChatInterface();
-      
-      const chatInterface = chatbotApp.chatInterface;
-      const input = chatInterface.container.querySelector('.chat-widget__input');
-      
-      expect(input).toBeTruthy();
-      
-      // Simulate virtual keyboard appearance (viewport height reduction)
-      Object.defineProperty(window, 'innerHeight', {
-        writable: true,
-        configurable: true,
-        value: 300, // Reduced height simulating keyboard
-      });
-      
-      // Mock visualViewport API
-      if (!window.visualViewport) {
-        window.visualViewport = {
-          height: 300,
-          addEventListener: jest.fn(),
-          removeEventListener: jest.fn()
-        };
+      // Mock visualViewport API (read when the widget is created)
+      chatbotApp.destroy();
+      const visualViewport = Object.assign(new EventTarget(), { height: 667 });
+      Object.defineProperty(window, 'visualViewport', { configurable: true, value: visualViewport });
+      Object.defineProperty(window.screen, 'height', { configurable: true, value: 667 });
+
+      try {
+        chatbotApp = createChatbot();
+        widget = chatbotApp.chatWidget.container;
+        openWidget();
+
+        // Simulate virtual keyboard appearance (viewport height reduction)
+        visualViewport.height = 300;
+        visualViewport.dispatchEvent(new Event('resize'));
+
+        // Verify widget adapted to keyboard
+        expect(widget.classList.contains('chat-widget--keyboard-open')).toBe(true);
+
+        // Keyboard closes
+        visualViewport.height = 667;
+        visualViewport.dispatchEvent(new Event('resize'));
+
+        expect(widget.classList.contains('chat-widget--keyboard-open')).toBe(false);
+      } finally {
+        delete window.visualViewport;
+        delete window.screen.height;
       }
-      
-      // Trigger viewport change
-      const viewportEvent = new Event('resize');
-      window.dispatchEvent(viewportEvent);
-      
-      // Verify interface adapted to keyboard
-      expect(chatInterface.container).toBeTruthy();
     });
 
     test('should handle mobile swipe gestures', () => {
-      chatbotApp.openChatInterface();
-      
-      const chatInterface = chatbotApp.chatInterface;
-      const interfaceContainer = chatInterface.container;
-      
-      // Simulate swipe down to close
-      const touchStart = new TouchEvent('touchstart', {
+      openWidget();
+
+      const interfaceContainer = widget.querySelector('.chat-widget__interface');
+
+      // Simulate swipe down
+      interfaceContainer.dispatchEvent(new TouchEvent('touchstart', {
         touches: [{ clientX: 200, clientY: 100 }],
         bubbles: true
-      });
-      
-      const touchMove = new TouchEvent('touchmove', {
+      }));
+
+      interfaceContainer.dispatchEvent(new TouchEvent('touchmove', {
         touches: [{ clientX: 200, clientY: 200 }],
         bubbles: true
-      });
-      
-      const touchEnd = new TouchEvent('touchend', {
+      }));
+
+      interfaceContainer.dispatchEvent(new TouchEvent('touchend', {
         changedTouches: [{ clientX: 200, clientY: 200 }],
         bubbles: true
-      });
-      
-      interfaceContainer.dispatchEvent(touchStart);
-      interfaceContainer.dispatchEvent(touchMove);
-      interfaceContainer.dispatchEvent(touchEnd);
-      
-      // Verify swipe was handled (interface should still exist unless specifically programmed to close)
-      expect(chatInterface.container).toBeTruthy();
+      }));
+
+      // Swipe gestures are disabled in the widget: it stays open
+      expect(chatbotApp.chatWidget.isOpen).toBe(true);
     });
 
     test('should handle mobile-specific input behaviors', async () => {
-      chatbotApp.openChatInterface();
-      
-      const chatInterface = chatbotApp.chatInterface;
-      const input = chatInterface.container.querySelector('.chat-widget__input');
-      const sendButton = chatInterface.container.querySelector('.chat-widget__send-btn');
-      
-      expect(input).toBeTruthy();
-      expect(sendButton).toBeTruthy();
-      
-      // Test mobile input behavior (no Enter to send, only button)
+      openWidget();
+
+      const input = widget.querySelector('.chat-widget__input');
+      const sendButton = widget.querySelector('.chat-widget__send-btn');
+
+      // Empty input does not send
+      sendButton.click();
+      expect(chatbotApp.messageHistory.length).toBe(0);
+
+      // Shift+Enter adds a new line instead of sending
       input.value = 'Mobile test message';
-      
-      // Verify Enter doesn't send on mobile (Shift+Enter for new line)
-      const enterEvent = new KeyboardEvent('keydown', {
-        key: 'Enter',
-        code: 'Enter',
-        keyCode: 13,
-        which: 13,
-        bubbles: true
-      });
-      
-      input.dispatchEvent(enterEvent);
-      
-      // Should not send message yet
+      input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', shiftKey: true, bubbles: true }));
       expect(chatbotApp.messageHistory.length).toBe(0);
-      
+
       // Send via button
       sendButton.click();
-      
-      await new Promise(resolve => setTimeout(resolve, 50));
-      
+
+      await wait(50);
+
       // Now message should be sent
-      expect(chatbotApp.messageHistory.length).toBeGreaterThan(0);
+      expect(input.value).toBe('');
       expect(chatbotApp.messageHistory[0].content).toBe('Mobile test message');
     });
   });
@@ -422,58 +378,41 @@ describe('Responsive Behavior Integration Tests', () => {
   describe('Cross-Device Responsive Transitions', () => {
     test('should maintain state during viewport transitions', async () => {
       // Start on desktop
-      Object.defineProperty(window, 'innerWidth', {
-        writable: true,
-        configurable: true,
-        value: 1440,
-      });
-      
-      chatbotApp.openChatInterface();
-      
+      setViewport(1440);
+      window.dispatchEvent(new Event('resize'));
+      await wait(20);
+
+      openWidget();
+
       // Send a message on desktop
-      const chatInterface = chatbotApp.chatInterface;
-      const input = chatInterface.container.querySelector('.chat-widget__input');
-      const sendButton = chatInterface.container.querySelector('.chat-widget__send-btn');
-      
+      const input = widget.querySelector('.chat-widget__input');
+      const sendButton = widget.querySelector('.chat-widget__send-btn');
+
       input.value = 'Message before resize';
       sendButton.click();
-      
-      await new Promise(resolve => setTimeout(resolve, 50));
-      
+
+      await wait(50);
+
       // Verify message was sent
-      expect(chatbotApp.messageHistory.length).toBe(1);
-      
+      expect(userMessages()).toHaveLength(1);
+
       // Resize to mobile
-      Object.defineProperty(window, 'innerWidth', {
-        writable: true,
-        configurable: true,
-        value: 375,
-      });
-      
+      setViewport(375);
       window.dispatchEvent(new Event('resize'));
-      
-      // Wait for resize handling
-      await new Promise(resolve => setTimeout(resolve, 50));
-      
+
       // Verify message history is preserved
-      expect(chatbotApp.messageHistory.length).toBe(1);
-      expect(chatbotApp.messageHistory[0].content).toBe('Message before resize');
-      
-      // Verify interface still works on mobile
-      const mobileInput = chatInterface.container.querySelector('.chat-widget__input');
-      const mobileSendButton = chatInterface.container.querySelector('.chat-widget__send-btn');
-      
-      expect(mobileInput).toBeTruthy();
-      expect(mobileSendButton).toBeTruthy();
-      
-      mobileInput.value = 'Message after resize';
-      mobileSendButton.click();
-      
-      await new Promise(resolve => setTimeout(resolve, 50));
-      
+      expect(userMessages()[0].content).toBe('Message before resize');
+      expect(widget.querySelectorAll('.chat-widget__message--user')).toHaveLength(1);
+
+      // Verify widget still works on mobile
+      input.value = 'Message after resize';
+      sendButton.click();
+
+      await wait(50);
+
       // Verify new message was sent
-      expect(chatbotApp.messageHistory.length).toBe(2);
-      expect(chatbotApp.messageHistory[1].content).toBe('Message after resize');
+      expect(userMessages().map(msg => msg.content)).toEqual(['Message before resize', 'Message after resize']);
+      expect(chatbotApp.messageHistory.filter(msg => msg.type === 'bot')).toHaveLength(2);
     });
 
     test('should handle rapid viewport changes', () => {
@@ -484,88 +423,52 @@ describe('Responsive Behavior Integration Tests', () => {
         { width: 375, height: 667 },  // Mobile
         { width: 1200, height: 800 }  // Desktop again
       ];
-      
-      chatbotApp.openChatInterface();
-      
+
+      openWidget();
+
       // Rapidly change viewport sizes
-      viewportSizes.forEach((size, index) => {
-        Object.defineProperty(window, 'innerWidth', {
-          writable: true,
-          configurable: true,
-          value: size.width,
-        });
-        
-        Object.defineProperty(window, 'innerHeight', {
-          writable: true,
-          configurable: true,
-          value: size.height,
-        });
-        
+      viewportSizes.forEach(size => {
+        setViewport(size.width, size.height);
         window.dispatchEvent(new Event('resize'));
       });
-      
-      // Verify interface is still functional after rapid changes
-      expect(chatbotApp.chatInterface).toBeTruthy();
-      
-      const finalInterface = chatbotApp.chatInterface.container;
-      expect(finalInterface).toBeTruthy();
-      
-      const input = finalInterface.querySelector('.chat-widget__input');
-      const sendButton = finalInterface.querySelector('.chat-widget__send-btn');
-      
-      expect(input).toBeTruthy();
-      expect(sendButton).toBeTruthy();
+
+      // Verify widget is still functional after rapid changes, with the final layout
+      expect(chatbotApp.chatWidget.isOpen).toBe(true);
+      expect(widget.classList.contains('chat-widget--mobile')).toBe(false);
+      expect(widget.querySelector('.chat-widget__input')).toBeTruthy();
+      expect(widget.querySelector('.chat-widget__send-btn')).toBeTruthy();
     });
 
     test('should preserve accessibility features across screen sizes', () => {
-      const testAccessibility = (screenSize) => {
-        const chatInterface = chatbotApp.chatInterface;
-        const interfaceContainer = chatInterface.container;
-        
+      const testAccessibility = () => {
         // Check ARIA attributes
-        const input = interfaceContainer.querySelector('.chat-widget__input');
-        const sendButton = interfaceContainer.querySelector('.chat-widget__send-btn');
-        const closeButton = interfaceContainer.querySelector('.chat-widget__close-btn');
-        
-        if (input) {
-          expect(input.getAttribute('aria-label')).toBeTruthy();
-        }
-        
-        if (sendButton) {
-          expect(sendButton.getAttribute('aria-label')).toBeTruthy();
-        }
-        
-        if (closeButton) {
-          expect(closeButton.getAttribute('aria-label')).toBeTruthy();
-        }
-        
+        const input = widget.querySelector('.chat-widget__input');
+        const sendButton = widget.querySelector('.chat-widget__send-btn');
+        const closeButton = widget.querySelector('.chat-widget__close-btn');
+
+        expect(input.getAttribute('aria-label')).toBeTruthy();
+        expect(sendButton.getAttribute('aria-label')).toBeTruthy();
+        expect(closeButton.getAttribute('aria-label')).toBeTruthy();
+
         // Check keyboard navigation
-        const focusableElements = interfaceContainer.querySelectorAll(
-          'button, input, textarea, [tabindex]:not([tabindex=\"-1\"])'
+        const focusableElements = widget.querySelectorAll(
+          'button, input, textarea, [tabindex]:not([tabindex="-1"])'
         );
-        
+
         expect(focusableElements.length).toBeGreaterThan(0);
       };
-      
+
       // Test on desktop
-      Object.defineProperty(window, 'innerWidth', {
-        writable: true,
-        configurable: true,
-        value: 1440,
-      });
-      
-      chatbotApp.openChatInterface();
-      testAccessibility('desktop');
-      
+      setViewport(1440);
+      window.dispatchEvent(new Event('resize'));
+
+      openWidget();
+      testAccessibility();
+
       // Test on mobile
-      Object.defineProperty(window, 'innerWidth', {
-        writable: true,
-        configurable: true,
-        value: 375,
-      });
-      
+      setViewport(375);
       window.dispatchEvent(new Event('resize'));
-      testAccessibility('mobile');
+      testAccessibility();
     });
   });
-});
\ No newline at end of file
+});
@@ -6,6 +6,9 @@ import { LazyLoader } from '../utils/LazyLoader.js';
 import { PerformanceOptimizer } from '../utils/PerformanceOptimizer.js';
 import { AccessibilityManager } from '../utils/AccessibilityManager.js';
 
+// Etapas de entrega da mensagem do usuário, em ordem
+const DELIVERY_STEPS = ['sending', 'sent', 'delivered', 'read'];
+
 export class ChatInterface {
   constructor(container, config = {}) {
     this.container = container;
@@ -25,7 +28,9 @@ export class ChatInterface {
     };
 
     this.messages = [];
+    this.streamingMessages = new Map(); // streamId (messageId do servidor) -> id local
     this.isTyping = false;
+    this.isGenerating = false;
     this.isMinimized = false;
     this.messageIdCounter = 0;
     this.lazyLoader = null;
@@ -68,6 +73,7 @@ export class ChatInterface {
       inputArea: this.container.querySelector('.chat-interface__input-area'),
       input: this.container.querySelector('.chat-interface__input'),
       sendBtn: this.container.querySelector('.chat-interface__send-btn'),
+      stopBtn: this.container.querySelector('.chat-interface__stop-btn'),
       charCount: this.container.querySelector('.chat-interface__char-count'),
       attachBtn: this.container.querySelector('.chat-interface__attach-btn')
     };
@@ -148,6 +154,12 @@ export class ChatInterface {
                 aria-label="Digite sua mensagem"
               ></textarea>
               <div class="chat-interface__input-actions">
+                <button class="chat-interface__stop-btn" aria-label="Parar de gerar resposta" style="display: none;">
+                  <svg viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M6 6h12v12H6z"/>
+                  </svg>
+                  <span class="chat-interface__stop-text">Parar de gerar</span>
+                </button>
                 <button class="chat-interface__send-btn" aria-label="Enviar mensagem" disabled>
                   <svg viewBox="0 0 24 24" fill="currentColor">
                     <path d="M2.01 21L23 12 2.01 3 2 10l15 2-15 2z"/>
@@ -196,6 +208,11 @@ export class ChatInterface {
       this.sendMessage();
     });
 
+    // Botão parar geração
+    this.elements.stopBtn.addEventListener('click', () => {
+      this.stopGenerating();
+    });
+
     // Auto-resize do textarea
     this.elements.input.addEventListener('input', () => {
       this.autoResizeInput();
@@ -288,6 +305,149 @@ export class ChatInterface {
     return messageId;
   }
 
+  /**
+   * Acrescenta um trecho a uma resposta em streaming
+   * A mensagem do bot é criada no primeiro trecho recebido
+   */
+  appendStreamDelta(streamId, delta) {
+    let messageId = this.streamingMessages.get(streamId);
+
+    if (!messageId) {
+      this.hideTypingIndicator();
+
+      messageId = this.addMessage({
+        type: 'bot',
+        content: '',
+        status: 'streaming',
+        isStreaming: true
+      });
+      this.streamingMessages.set(streamId, messageId);
+
+      const element = this.getMessageElement(messageId);
+      if (element) {
+        element.classList.add('chat-interface__message--streaming');
+        element.setAttribute('aria-busy', 'true');
+      }
+    }
+
+    const message = this.messages.find(m => m.id === messageId);
+    if (message) {
+      message.content += delta;
+      this.updateMessageText(messageId, message.content);
+    }
+
+    if (this.config.autoScroll) {
+      this.scrollToBottom(false);
+    }
+
+    return messageId;
+  }
+
+  /**
+   * Conclui uma resposta em streaming com o conteúdo final do servidor
+   * Retorna null se nenhum trecho foi recebido para este stream
+   */
+  finalizeStreamMessage(streamId, response = {}) {
+    const messageId = this.streamingMessages.get(streamId);
+    if (!messageId) return null;
+
+    this.streamingMessages.delete(streamId);
+
+    const message = this.messages.find(m => m.id === messageId);
+    if (message) {
+      Object.assign(message, {
+        content: response.content || message.content,
+        metadata: response.metadata,
+        usage: response.usage,
+        isStreaming: false
+      });
+      this.updateMessageText(messageId, message.content);
+    }
+
+    const element = this.getMessageElement(messageId);
+    if (element) {
+      element.classList.remove('chat-interface__message--streaming');
+      element.removeAttribute('aria-busy');
+
+      const contentElement = element.querySelector('.chat-interface__message-content');
+      if (contentElement && response.metadata) {
+        contentElement.insertAdjacentHTML('beforeend', this.createMetadataSection(response.metadata));
+      }
+    }
+
+    this.updateMessageStatus(messageId, response.status || 'delivered');
+
+    this.container.dispatchEvent(new CustomEvent('messageCompleted', {
+      detail: message
+    }));
+
+    return messageId;
+  }
+
+  /**
+   * Marca uma resposta em streaming como interrompida, mantendo o texto parcial
+   * Retorna null se nenhum trecho foi recebido para este stream
+   */
+  cancelStreamMessage(streamId) {
+    const messageId = this.streamingMessages.get(streamId);
+    if (!messageId) return null;
+
+    this.streamingMessages.delete(streamId);
+
+    const message = this.messages.find(m => m.id === messageId);
+    if (message) {
+      message.isStreaming = false;
+    }
+
+    const element = this.getMessageElement(messageId);
+    if (element) {
+      element.classList.remove('chat-interface__message--streaming');
+      element.classList.add('chat-interface__message--cancelled');
+      element.removeAttribute('aria-busy');
+    }
+
+    this.updateMessageStatus(messageId, 'cancelled');
+    return messageId;
+  }
+
+  /**
+   * Alterna o botão "Parar de gerar" conforme há resposta em andamento
+   */
+  setGenerating(isGenerating) {
+    this.isGenerating = isGenerating;
+    this.elements.stopBtn.style.display = isGenerating ? 'flex' : 'none';
+    this.container.classList.toggle('chat-interface--generating', isGenerating);
+  }
+
+  /**
+   * Solicita a interrupção da resposta em andamento
+   */
+  stopGenerating() {
+    if (!this.isGenerating) return;
+
+    this.container.dispatchEvent(new CustomEvent('generationStopRequested', {
+      detail: { timestamp: new Date().toISOString() }
+    }));
+  }
+
+  /**
+   * Atualiza o texto exibido de uma mensagem
+   */
+  updateMessageText(messageId, content) {
+    const element = this.getMessageElement(messageId);
+    const textElement = element?.querySelector('.chat-interface__message-text');
+    if (textElement) {
+      textElement.innerHTML = this.formatMessageContent(content);
+    }
+  }
+
+  /**
+   * Retorna o elemento DOM de uma mensagem
+   */
+  getMessageElement(messageId) {
+    return this.container.querySelector(`[data-message-id="${messageId}"]`);
+  }
+
   /**
    * Cria elemento de mensagem
    */
@@ -446,7 +606,8 @@ export class ChatInterface {
       sent: '✓',
       delivered: '✓✓',
       read: '✓✓',
-      error: '❌'
+      error: '❌',
+      cancelled: '⏹'
     };
     
     return icons[status] || '';
@@ -507,26 +668,32 @@ export class ChatInterface {
       }
     }));
 
-    // Atualiza status da mensagem para enviada
-    setTimeout(() => {
-      this.updateMessageStatus(messageId, 'sent');
-    }, 500);
+    // O status avança com a entrega: sent ao sair pelo WebSocket, delivered no ack do servidor
   }
 
   /**
    * Atualiza status de uma mensagem
+   * Entrega só avança (sending → sent → delivered → read): um `sent` atrasado não
+   * desfaz o `delivered` já confirmado; error e cancelled valem a qualquer momento
    */
   updateMessageStatus(messageId, status) {
+    const message = this.messages.find(m => m.id === messageId);
+    const currentStep = DELIVERY_STEPS.indexOf(message?.status);
+    const nextStep = DELIVERY_STEPS.indexOf(status);
+    if (currentStep > -1 && nextStep > -1 && nextStep < currentStep) {
+      return;
+    }
+
     const messageElement = this.container.querySelector(`[data-message-id="${messageId}"]`);
     if (messageElement) {
       const statusElement = messageElement.querySelector('.chat-interface__message-status');
       if (statusElement) {
         statusElement.innerHTML = this.getStatusIcon(status);
+        statusElement.className = `chat-interface__message-status chat-interface__message-status--${status}`;
       }
     }
 
     // Atualiza no array de mensagens
-    const message = this.messages.find(m => m.id === messageId);
     if (message) {
       message.status = status;
     }
@@ -743,6 +910,7 @@ export class ChatInterface {
    */
   clearMessages() {
     this.messages = [];
+    this.streamingMessages.clear();
     this.elements.messagesContainer.innerHTML = '';
     
     this.container.dispatchEvent(new CustomEvent('messagesCleared'));
@@ -769,6 +937,7 @@ export class ChatInterface {
     return {
       messageCount: this.messages.length,
       isTyping: this.isTyping,
+      isGenerating: this.isGenerating,
       isMinimized: this.isMinimized,
       autoScroll: this.config.autoScroll
     };
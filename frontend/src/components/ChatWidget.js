@@ -7,6 +7,7 @@
 // import { PerformanceOptimizer } from '../utils/PerformanceOptimizer.js';
 // import { AccessibilityManager } from '../utils/AccessibilityManager.js';
 // import analytics from '../utils/Analytics.js';
+import { createSourcesElement } from './Message.js';
 
 export class ChatWidget {
   constructor(containerId, config = {}) {
@@ -27,6 +28,9 @@ export class ChatWidget {
 
     this.isOpen = false;
     this.isMinimized = false;
+    this.isGenerating = false;
+    this.handoffActive = false; // Conversa conduzida por atendente humano
+    this.isRateLimited = false; // Servidor recusando mensagens até o fim da contagem
     this.container = null;
     this.chatInterface = null;
     // Utilitários comentados para debug
@@ -139,14 +143,21 @@ export class ChatWidget {
         </div>
 
         <div class="chat-widget__input-area">
+          <div class="chat-widget__rate-limit" id="rate-limit-notice" role="status" aria-live="polite" style="display: none;"></div>
           <div class="chat-widget__input-container">
             <textarea 
               class="chat-widget__input" 
               id="chat-input" 
               placeholder="${this.config.placeholder}"
+              aria-label="Mensagem"
               rows="1"
               maxlength="4000"
             ></textarea>
+            <button class="chat-widget__stop-btn" id="stop-btn" aria-label="Parar de gerar resposta" title="Parar de gerar" style="display: none;">
+              <svg viewBox="0 0 24 24" fill="currentColor">
+                <path d="M6 6h12v12H6z"/>
+              </svg>
+            </button>
             <button class="chat-widget__send-btn" id="send-btn" aria-label="Enviar mensagem">
               <svg viewBox="0 0 24 24" fill="currentColor">
                 <path d="M2.01 21L23 12 2.01 3 2 10l15 2-15 2z"/>
@@ -225,6 +236,11 @@ export class ChatWidget {
       this.sendMessage();
     });
 
+    const stopBtn = this.container.querySelector('#stop-btn');
+    stopBtn.addEventListener('click', () => {
+      this.stopGenerating();
+    });
+
     // Botões de controle de sessão
     const endSessionBtn = this.container.querySelector('#end-session-btn');
     const newSessionBtn = this.container.querySelector('#new-session-btn');
@@ -404,6 +420,50 @@ export class ChatWidget {
     this.scrollToBottom();
   }
 
+  /**
+   * Exibe as conversas anteriores do visitante autenticado no topo do chat,
+   * cada uma recolhida com a data e o resumo; substitui a lista exibida antes
+   */
+  showPreviousConversations(conversations) {
+    const messagesContainer = this.container.querySelector('#chat-messages');
+    messagesContainer.querySelector('.chat-widget__history')?.remove();
+
+    const historyElement = document.createElement('div');
+    historyElement.className = 'chat-widget__history';
+
+    conversations.forEach(conversation => {
+      const item = document.createElement('details');
+      item.className = 'chat-widget__history-item';
+
+      const summary = document.createElement('summary');
+      summary.className = 'chat-widget__history-summary';
+      summary.textContent = new Date(conversation.updatedAt || conversation.startedAt).toLocaleDateString('pt-BR', {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric'
+      });
+      if (conversation.summary) {
+        summary.title = conversation.summary;
+      }
+      item.appendChild(summary);
+
+      conversation.messages.forEach(message => {
+        const isAgent = message.from === 'agent';
+        item.appendChild(this.createMessageElement({
+          type: message.role === 'user' ? 'user' : (isAgent ? 'agent' : 'bot'),
+          author: isAgent ? message.metadata?.agentName || 'Atendente' : null,
+          content: message.content,
+          timestamp: message.timestamp,
+          sources: message.metadata?.sources
+        }));
+      });
+
+      historyElement.appendChild(item);
+    });
+
+    messagesContainer.prepend(historyElement);
+  }
+
   /**
    * Cria elemento de mensagem
    */
@@ -423,9 +483,132 @@ export class ChatWidget {
       <div class="chat-widget__message-time">${time}</div>
     `;
 
+    // Identifica quem respondeu quando não é o bot (ex.: atendente humano)
+    if (message.author) {
+      const authorElement = document.createElement('div');
+      authorElement.className = 'chat-widget__message-author';
+      authorElement.textContent = message.author;
+      messageDiv.prepend(authorElement);
+    }
+
+    // Fontes da base de conhecimento citadas na resposta
+    const sourcesElement = createSourcesElement(message.sources, 'chat-widget');
+    if (sourcesElement) {
+      messageDiv.querySelector('.chat-widget__message-time').before(sourcesElement);
+    }
+
     return messageDiv;
   }
 
+  /**
+   * Acrescenta um trecho a uma resposta em streaming
+   * A mensagem do bot é criada no primeiro trecho recebido
+   */
+  appendStreamDelta(streamId, delta) {
+    const messagesContainer = this.container.querySelector('#chat-messages');
+    let messageElement = messagesContainer.querySelector(`[data-stream-id="${streamId}"]`);
+
+    if (!messageElement) {
+      this.hideTypingIndicator();
+
+      messageElement = this.createMessageElement({
+        type: 'bot',
+        content: '',
+        timestamp: new Date().toISOString()
+      });
+      messageElement.setAttribute('data-stream-id', streamId);
+      messageElement.classList.add('chat-widget__message--streaming');
+      messagesContainer.appendChild(messageElement);
+    }
+
+    const contentElement = messageElement.querySelector('.chat-widget__message-content');
+    contentElement.textContent += delta;
+    this.scrollToBottom();
+  }
+
+  /**
+   * Conclui uma resposta em streaming com o conteúdo final e as fontes citadas
+   * Retorna false se nenhum trecho foi recebido para este stream
+   */
+  finalizeStreamMessage(streamId, content, sources = []) {
+    const messagesContainer = this.container.querySelector('#chat-messages');
+    const messageElement = messagesContainer.querySelector(`[data-stream-id="${streamId}"]`);
+    if (!messageElement) return false;
+
+    if (content) {
+      messageElement.querySelector('.chat-widget__message-content').innerHTML = content;
+    }
+
+    const sourcesElement = createSourcesElement(sources, 'chat-widget');
+    if (sourcesElement) {
+      messageElement.querySelector('.chat-widget__message-time').before(sourcesElement);
+    }
+    messageElement.classList.remove('chat-widget__message--streaming');
+    messageElement.removeAttribute('data-stream-id');
+    this.scrollToBottom();
+    return true;
+  }
+
+  /**
+   * Marca uma resposta em streaming como interrompida, mantendo o texto parcial
+   * Retorna false se nenhum trecho foi recebido para este stream
+   */
+  cancelStreamMessage(streamId) {
+    const messagesContainer = this.container.querySelector('#chat-messages');
+    const messageElement = messagesContainer.querySelector(`[data-stream-id="${streamId}"]`);
+    if (!messageElement) return false;
+
+    messageElement.classList.remove('chat-widget__message--streaming');
+    messageElement.classList.add('chat-widget__message--cancelled');
+    messageElement.removeAttribute('data-stream-id');
+    return true;
+  }
+
+  /**
+   * Alterna o botão "Parar de gerar" conforme há resposta em andamento
+   */
+  setGenerating(isGenerating) {
+    this.isGenerating = isGenerating;
+    const stopBtn = this.container.querySelector('#stop-btn');
+    if (stopBtn) {
+      stopBtn.style.display = isGenerating ? 'flex' : 'none';
+    }
+  }
+
+  /**
+   * Exibe o aviso de limite de uso com a contagem regressiva e bloqueia o envio
+   */
+  setRateLimit(message) {
+    this.isRateLimited = true;
+    const notice = this.container.querySelector('#rate-limit-notice');
+    notice.textContent = message;
+    notice.style.display = 'block';
+    this.container.querySelector('#send-btn').disabled = true;
+  }
+
+  /**
+   * Remove o aviso de limite de uso e libera o envio
+   */
+  clearRateLimit() {
+    this.isRateLimited = false;
+    const notice = this.container.querySelector('#rate-limit-notice');
+    notice.textContent = '';
+    notice.style.display = 'none';
+    this.container.querySelector('#send-btn').disabled = false;
+  }
+
+  /**
+   * Solicita a interrupção da resposta em andamento
+   */
+  stopGenerating() {
+    if (!this.isGenerating) return;
+
+    this.container.dispatchEvent(new CustomEvent('chatStop', {
+      detail: { timestamp: new Date().toISOString() },
+      bubbles: true
+    }));
+  }
+
   /**
    * Envia mensagem
    */
@@ -440,6 +623,11 @@ export class ChatWidget {
       return;
     }
 
+    // Servidor recusaria a mensagem: mantém o texto no campo até o fim da contagem
+    if (this.isRateLimited) {
+      return;
+    }
+
     // Adiciona mensagem do usuário
     this.addMessage({
       type: 'user',
@@ -479,6 +667,32 @@ export class ChatWidget {
   hideTypingIndicator() {
     const indicator = this.container.querySelector('#typing-indicator');
     indicator.style.display = 'none';
+    this.clearToolStatus();
+  }
+
+  /**
+   * Exibe no indicador de digitação o que o assistente está consultando
+   * (ex.: "consultando agenda…")
+   */
+  showToolStatus(status) {
+    const indicator = this.container.querySelector('#typing-indicator');
+    const text = indicator.querySelector('.chat-widget__typing-text');
+
+    text.textContent = status || 'Consultando…';
+    indicator.classList.add('chat-widget__typing--tool');
+    indicator.style.display = 'flex';
+    this.scrollToBottom();
+  }
+
+  /**
+   * Volta o indicador de digitação ao texto padrão
+   */
+  clearToolStatus() {
+    const indicator = this.container.querySelector('#typing-indicator');
+    const text = indicator.querySelector('.chat-widget__typing-text');
+
+    text.textContent = 'Digitando...';
+    indicator.classList.remove('chat-widget__typing--tool');
   }
 
   /**
@@ -629,6 +843,55 @@ export class ChatWidget {
     }, 500);
   }
 
+  /**
+   * Aplica o branding do perfil de bot enviado pelo servidor
+   * (título, textos, cor principal, avatar e tema)
+   */
+  applyBranding(branding = {}) {
+    ['title', 'welcomeMessage', 'placeholder'].forEach(key => {
+      if (branding[key]) {
+        this.config[key] = branding[key];
+      }
+    });
+
+    this.container.querySelector('.chat-widget__title').textContent = this.config.title;
+    this.container.querySelector('#chat-input').placeholder = this.config.placeholder;
+
+    if (branding.primaryColor) {
+      this.container.style.setProperty('--chat-primary', branding.primaryColor);
+      this.container.style.setProperty('--chat-primary-dark', `color-mix(in srgb, ${branding.primaryColor} 80%, black)`);
+    }
+
+    if (branding.avatarUrl) {
+      const avatar = this.container.querySelector('.chat-widget__avatar');
+      const image = document.createElement('img');
+      image.src = branding.avatarUrl;
+      image.alt = this.config.title;
+      avatar.replaceChildren(image);
+    }
+
+    if (branding.theme && branding.theme !== this.config.theme) {
+      this.container.classList.replace(`chat-widget--${this.config.theme}`, `chat-widget--${branding.theme}`);
+      this.config.theme = branding.theme;
+    }
+  }
+
+  /**
+   * Indica no cabeçalho que a conversa está com um atendente humano
+   * (ou que voltou ao assistente virtual)
+   */
+  setHandoffState(active, agent = null) {
+    this.handoffActive = active;
+    this.container.classList.toggle('chat-widget--handoff', active);
+
+    if (active) {
+      const agentName = agent && agent.name ? ` (${agent.name})` : '';
+      this.updateStatus('handoff', `Você está falando com um atendente${agentName}`);
+    } else {
+      this.updateStatus('online', 'Online');
+    }
+  }
+
   /**
    * Atualiza informações da sessão
    */
@@ -641,8 +904,8 @@ export class ChatWidget {
       titleElement.textContent = `${this.config.title} - ${sessionInfo.context.customerName}`;
     }
 
-    // Atualiza status baseado no estágio
-    if (sessionInfo.context && sessionInfo.context.stage) {
+    // Atualiza status baseado no estágio (com atendente humano o status indica o handoff)
+    if (sessionInfo.context && sessionInfo.context.stage && !this.handoffActive) {
       const stageMessages = {
         greeting: 'Iniciando atendimento',
         information_gathering: 'Coletando informações',
@@ -44,6 +44,9 @@ export class ChatbotApp {
       // Configura event listeners
       this.setupEventListeners();
 
+      // Página aberta pelo clique numa notificação de resposta (?chatSession=)
+      this.openNotifiedSession();
+
       this.isInitialized = true;
       console.log('ChatbotApp inicializado com sucesso');
       
@@ -88,6 +91,8 @@ export class ChatbotApp {
     // Inicializa MessageHandler
     this.messageHandler = new MessageHandler(this.config.websocketUrl, {
       enableLogging: this.config.enableLogging,
+      profileId: this.config.profileId,
+      authToken: this.config.authToken,
       maxReconnectAttempts: this.config.maxReconnectAttempts || 5,
       messageTimeout: this.config.messageTimeout || 30000
     });
@@ -114,11 +119,77 @@ export class ChatbotApp {
       this.handleMCPResponse(response);
     });
 
+    // Processa trechos de respostas em streaming
+    this.messageHandler.on('chatDelta', (data) => {
+      this.handleChatDelta(data);
+    });
+
+    // Status da mensagem do usuário (sending → sent → delivered) confirmado pelo servidor
+    this.messageHandler.on('messageStatus', (data) => {
+      this.handleMessageStatus(data);
+    });
+
     // Processa erros MCP
     this.messageHandler.on('chatError', (error) => {
       this.handleMCPError(error);
     });
 
+    // Processa execução de ferramentas pelo assistente
+    this.messageHandler.on('toolCall', (data) => {
+      this.handleToolCall(data);
+    });
+
+    this.messageHandler.on('toolResult', () => {
+      this.handleToolResult();
+    });
+
+    // Processa respostas interrompidas pelo usuário
+    this.messageHandler.on('chatCancelled', (data) => {
+      this.handleChatCancelled(data);
+    });
+
+    // Processa mensagens repassadas a um atendente humano (sem resposta da IA)
+    this.messageHandler.on('chatForwarded', () => {
+      this.handleChatForwarded();
+    });
+
+    // Processa mensagens recusadas por limite de frequência ou orçamento diário
+    this.messageHandler.on('rateLimited', (data) => {
+      this.handleRateLimited(data);
+    });
+
+    this.messageHandler.on('rateLimitCountdown', (data) => {
+      if (this.chatWidget) {
+        this.chatWidget.setRateLimit(data.displayMessage);
+      }
+    });
+
+    this.messageHandler.on('rateLimitCleared', () => {
+      if (this.chatWidget) {
+        this.chatWidget.clearRateLimit();
+      }
+    });
+
+    // Processa início e fim do atendimento humano
+    this.messageHandler.on('handoff', (data) => {
+      this.handleHandoff(data);
+    });
+
+    // Aplica o branding do perfil de bot selecionado pelo servidor
+    this.messageHandler.on('profile', (profile) => {
+      this.handleProfile(profile);
+    });
+
+    // Exibe as conversas anteriores do visitante autenticado
+    this.messageHandler.on('conversationHistory', (data) => {
+      this.handleConversationHistory(data);
+    });
+
+    // Clique numa notificação push com a página já aberta
+    this.messageHandler.on('openSession', (data) => {
+      this.handleOpenSession(data);
+    });
+
     // Processa indicador de digitação
     this.messageHandler.on('typing', (data) => {
       this.handleTypingIndicator(data);
@@ -201,6 +272,21 @@ export class ChatbotApp {
       console.log('ChatbotApp: Comando para nova sessão');
       this.handleSessionReset();
     });
+
+    // Botão "Parar de gerar" do widget
+    this.container.addEventListener('chatStop', () => {
+      console.log('ChatbotApp: Solicitada interrupção da resposta');
+      this.messageHandler.cancelChat();
+    });
+
+    // Fechar o widget interrompe a resposta em andamento
+    if (this.chatWidget && this.chatWidget.container) {
+      this.chatWidget.container.addEventListener('chatClosed', () => {
+        if (this.messageHandler.isGenerating()) {
+          this.messageHandler.cancelChat();
+        }
+      });
+    }
     
     console.log('ChatbotApp: Event listener configurado');
 
@@ -353,24 +439,22 @@ export class ChatbotApp {
       // ChatInterface removida - usando apenas ChatWidget
 
       // Adiciona ao histórico
-      this.messageHistory.push({
-        ...messageData,
-        type: 'user',
-        timestamp: new Date().toISOString()
-      });
+      if (!messageData.resend) {
+        this.messageHistory.push({
+          ...messageData,
+          type: 'user',
+          timestamp: new Date().toISOString()
+        });
+      }
 
-      // Envia via WebSocket
+      // Envia via WebSocket com o messageId da interface (chave de idempotência no servidor)
       const sentMessageId = this.messageHandler.sendChatMessage(
         messageData.content,
-        this.currentSessionId
+        this.currentSessionId,
+        { messageId: messageData.messageId, resend: messageData.resend === true }
       );
 
-      // Atualiza status na interface
-      if (this.chatInterface) {
-        setTimeout(() => {
-          this.chatInterface.updateMessageStatus(messageData.messageId, 'sent');
-        }, 500);
-      }
+      this.updateGeneratingState();
 
       console.log('Mensagem enviada:', sentMessageId);
 
@@ -390,6 +474,8 @@ export class ChatbotApp {
   handleMCPResponse(response) {
     console.log('🤖 ChatbotApp: Resposta MCP recebida para ChatWidget');
 
+    this.updateGeneratingState();
+
     // Adiciona ao histórico
     this.messageHistory.push({
       ...response,
@@ -401,12 +487,21 @@ export class ChatbotApp {
       // Para o indicador de digitação
       this.chatWidget.hideTypingIndicator();
       
-      // Adiciona mensagem do bot
-      this.chatWidget.addMessage({
-        type: 'bot',
-        content: response.formattedContent || response.content,
-        timestamp: response.timestamp || new Date().toISOString()
-      });
+      // Conclui a mensagem em streaming ou adiciona a mensagem do bot
+      const content = response.formattedContent || response.content;
+      const wasStreamed = response.streamed &&
+        this.chatWidget.finalizeStreamMessage(response.messageId, content, response.sources);
+
+      if (!wasStreamed) {
+        const isAgent = response.from === 'agent';
+        this.chatWidget.addMessage({
+          type: isAgent ? 'agent' : 'bot',
+          author: isAgent ? (response.agent && response.agent.name) || 'Atendente' : null,
+          content,
+          sources: response.sources,
+          timestamp: response.timestamp || new Date().toISOString()
+        });
+      }
 
       // Atualiza informações da sessão se disponível
       if (response.context) {
@@ -419,12 +514,10 @@ export class ChatbotApp {
     
     // ChatInterface removida - usando apenas ChatWidget
 
-    // Atualiza widget com nova mensagem
-    this.chatWidget.updateLastMessage(response.content);
-
     // Notificação se interface estiver fechada
     if (!this.chatInterface && this.config.enableNotifications) {
-      this.showNotification('Nova mensagem do assistente', response.content);
+      const title = response.from === 'agent' ? 'Nova mensagem do atendente' : 'Nova mensagem do assistente';
+      this.showNotification(title, response.content);
     }
 
     // Som de notificação
@@ -433,6 +526,192 @@ export class ChatbotApp {
     }
   }
 
+  /**
+   * Atualiza o status da mensagem do usuário na interface
+   */
+  handleMessageStatus(data) {
+    if (this.chatInterface) {
+      this.chatInterface.updateMessageStatus(data.messageId, data.status);
+    }
+  }
+
+  /**
+   * Processa trecho de resposta em streaming
+   */
+  handleChatDelta(data) {
+    if (this.chatWidget) {
+      this.chatWidget.appendStreamDelta(data.messageId, data.delta);
+    }
+
+    if (this.chatInterface) {
+      this.chatInterface.appendStreamDelta(data.messageId, data.delta);
+    }
+  }
+
+  /**
+   * Mostra o status da ferramenta em execução no lugar de "Digitando..."
+   */
+  handleToolCall(data) {
+    if (this.chatWidget) {
+      this.chatWidget.showToolStatus(data.status);
+    }
+
+    if (this.chatInterface) {
+      this.chatInterface.showTypingIndicator();
+    }
+  }
+
+  /**
+   * Ferramenta concluída: o assistente volta a redigir a resposta
+   */
+  handleToolResult() {
+    if (this.chatWidget) {
+      this.chatWidget.clearToolStatus();
+    }
+  }
+
+  /**
+   * Mensagem entregue ao atendente humano: não há resposta da IA a aguardar
+   */
+  handleChatForwarded() {
+    this.updateGeneratingState();
+
+    if (this.chatWidget) {
+      this.chatWidget.hideTypingIndicator();
+    }
+  }
+
+  /**
+   * Mensagem recusada pelo servidor: exibe o aviso com contagem regressiva
+   */
+  handleRateLimited(data) {
+    this.updateGeneratingState();
+
+    if (this.chatWidget) {
+      this.chatWidget.hideTypingIndicator();
+      this.chatWidget.setRateLimit(data.displayMessage);
+    }
+
+    if (this.chatInterface) {
+      this.chatInterface.addMessage({
+        type: 'system',
+        content: data.displayMessage,
+        timestamp: data.timestamp || new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Atendente humano assumiu (ou devolveu ao bot) a conversa
+   */
+  handleHandoff(data) {
+    if (this.chatWidget) {
+      this.chatWidget.setHandoffState(data.active, data.agent);
+
+      if (data.message) {
+        this.chatWidget.addMessage({
+          type: 'system',
+          content: data.message,
+          timestamp: data.timestamp || new Date().toISOString()
+        });
+      }
+    }
+
+    if (this.chatInterface && data.message) {
+      this.chatInterface.addMessage({
+        type: 'system',
+        content: data.message,
+        timestamp: data.timestamp || new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Processa perfil de bot (tenant) informado pelo servidor
+   */
+  handleProfile(profile) {
+    if (this.chatWidget && profile.branding) {
+      this.chatWidget.applyBranding(profile.branding);
+    }
+  }
+
+  /**
+   * Processa as conversas anteriores do visitante autenticado (authToken)
+   */
+  handleConversationHistory(data) {
+    if (this.chatWidget && data.conversations.length > 0) {
+      this.chatWidget.showPreviousConversations(data.conversations);
+    }
+  }
+
+  /**
+   * Abre o widget na conversa da notificação clicada; a sessão é retomada pelo
+   * token guardado no navegador, e as respostas perdidas chegam no session_resumed
+   */
+  handleOpenSession(data) {
+    console.log('🔔 ChatbotApp: abrindo conversa notificada', data.sessionId);
+
+    if (this.chatWidget && !this.chatWidget.isOpen) {
+      this.chatWidget.open();
+    }
+  }
+
+  openNotifiedSession() {
+    if (typeof window === 'undefined' || !window.location?.search) return;
+
+    const url = new URL(window.location.href);
+    const sessionId = url.searchParams.get('chatSession');
+    if (!sessionId) return;
+
+    // Remove o parâmetro para que recarregar a página não reabra o widget
+    url.searchParams.delete('chatSession');
+    window.history?.replaceState?.(window.history.state, '', url.toString());
+
+    this.handleOpenSession({ sessionId });
+  }
+
+  /**
+   * Processa resposta interrompida pelo usuário
+   */
+  handleChatCancelled(data) {
+    this.updateGeneratingState();
+
+    if (this.chatWidget) {
+      this.chatWidget.hideTypingIndicator();
+
+      if (!this.chatWidget.cancelStreamMessage(data.messageId)) {
+        this.chatWidget.addMessage({
+          type: 'system',
+          content: 'Resposta interrompida.',
+          timestamp: data.timestamp || new Date().toISOString()
+        });
+      }
+    }
+
+    if (this.chatInterface && !this.chatInterface.cancelStreamMessage(data.messageId)) {
+      this.chatInterface.addMessage({
+        type: 'system',
+        content: 'Resposta interrompida.',
+        timestamp: data.timestamp || new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Exibe o botão "Parar de gerar" enquanto houver resposta pendente
+   */
+  updateGeneratingState() {
+    const isGenerating = this.messageHandler.isGenerating();
+
+    if (this.chatWidget) {
+      this.chatWidget.setGenerating(isGenerating);
+    }
+
+    if (this.chatInterface) {
+      this.chatInterface.setGenerating(isGenerating);
+    }
+  }
+
   /**
    * Finaliza sessão atual
    */
@@ -538,6 +817,8 @@ export class ChatbotApp {
   handleMCPError(error) {
     console.error('Erro MCP:', error);
 
+    this.updateGeneratingState();
+
     // Adiciona mensagem de erro à interface
     if (this.chatInterface) {
       this.chatInterface.addMessage({
@@ -666,17 +947,19 @@ export class ChatbotApp {
    * Tenta reenviar mensagem
    */
   async retryMessage(messageId) {
-    const originalMessage = this.messageHistory.find(m => m.id === messageId);
+    const originalMessage = this.messageHistory.find(m => m.messageId === messageId);
     if (!originalMessage) return;
 
     try {
       // Remove da fila de retry
       this.retryQueue.delete(messageId);
 
-      // Reenvia mensagem
+      // Reenvia com o mesmo messageId: se a primeira tentativa foi respondida,
+      // o servidor devolve a resposta já gerada em vez de chamar a IA de novo
       await this.handleUserMessage({
         content: originalMessage.content,
-        messageId: this.generateMessageId()
+        messageId: originalMessage.messageId,
+        resend: true
       });
 
     } catch (error) {
@@ -1,3 +1,40 @@
+/**
+ * Cria a lista de fontes citadas em uma resposta do bot ([1], [2], ...)
+ * @param {Array} sources - [{ index, title, source, section, excerpt }] vindas do backend
+ * @param {string} block - Bloco BEM das classes (chat-message ou chat-widget)
+ * @returns {HTMLElement|null} null quando não há fontes
+ */
+export function createSourcesElement(sources, block = 'chat-message') {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    return null;
+  }
+
+  const container = document.createElement('div');
+  container.className = `${block}__sources`;
+
+  const title = document.createElement('div');
+  title.className = `${block}__sources-title`;
+  title.textContent = 'Fontes';
+  container.appendChild(title);
+
+  const list = document.createElement('ol');
+  list.className = `${block}__sources-list`;
+
+  sources.forEach((source, position) => {
+    const item = document.createElement('li');
+    item.className = `${block}__source`;
+    item.value = source.index || position + 1;
+    item.textContent = [source.title || source.source, source.section].filter(Boolean).join(' — ');
+    if (source.excerpt) {
+      item.title = source.excerpt; // Trecho usado na resposta, visível ao passar o mouse
+    }
+    list.appendChild(item);
+  });
+
+  container.appendChild(list);
+  return container;
+}
+
 /**
  * Componente para exibir mensagens individuais do chat
  */
@@ -8,6 +45,7 @@ export class Message {
     this.type = messageData.type; // 'user' ou 'bot'
     this.timestamp = messageData.timestamp || new Date();
     this.status = messageData.status || 'sent'; // 'sending', 'sent', 'error'
+    this.sources = messageData.sources || []; // Fontes da base de conhecimento citadas na resposta
     
     this.element = this.createElement();
   }
@@ -60,6 +98,12 @@ export class Message {
     }
     
     messageContent.appendChild(messageBubble);
+
+    const sourcesElement = createSourcesElement(this.sources);
+    if (sourcesElement) {
+      messageContent.appendChild(sourcesElement);
+    }
+
     messageContent.appendChild(messageInfo);
     messageContainer.appendChild(messageContent);
     messageDiv.appendChild(messageContainer);
@@ -1,5 +1,23 @@
 import analytics from '../utils/Analytics.js';
 import { ConversationHistoryManager } from '../utils/ConversationHistoryManager.js';
+import { MessageOutbox } from '../utils/MessageOutbox.js';
+import { PushSubscriber } from '../utils/PushSubscriber.js';
+
+// Versão do protocolo do widget pedida ao servidor (subprotocolo chatbot.v1)
+export const PROTOCOL_VERSION = 1;
+// Subprotocolo que leva o JWT do visitante: fora da URL, que vai para logs e proxies
+const TOKEN_SUBPROTOCOL_PREFIX = 'chatbot.token.';
+
+// Campos do chat guardados na caixa de saída e enviados pelo service worker via HTTP
+const OUTBOX_PAYLOAD_FIELDS = ['content', 'sessionId', 'history', 'lastMessageId', 'resumeToken', 'profileId'];
+
+function pickOutboxPayload(source) {
+  const payload = {};
+  OUTBOX_PAYLOAD_FIELDS.forEach(field => {
+    if (source[field] !== undefined) payload[field] = source[field];
+  });
+  return payload;
+}
 
 /**
  * Gerenciador de mensagens WebSocket com auto-reconexão e fila de mensagens
@@ -15,7 +33,16 @@ export class MessageHandler {
       heartbeatInterval: config.heartbeatInterval || 30000,
       messageTimeout: config.messageTimeout || 30000,
       queueMaxSize: config.queueMaxSize || 100,
+      maxResendAttempts: config.maxResendAttempts || 3, // Reenvios de um chat sem resposta após reconexões
       enableLogging: config.enableLogging !== false,
+      enableStreaming: config.enableStreaming !== false,
+      profileId: config.profileId || null, // Perfil de bot (tenant); sem ele o servidor usa a origem
+      // JWT do visitante autenticado emitido pelo site (string ou função que devolve um token atual)
+      authToken: config.authToken || null,
+      // Mensagens digitadas sem conexão ficam no IndexedDB e o service worker as envia
+      offlineOutbox: config.offlineOutbox !== false,
+      // Web Push das respostas com o widget fechado (com a permissão de notificações concedida)
+      pushNotifications: config.pushNotifications !== false,
       // Configurações do histórico
       historyConfig: {
         maxTokens: 4000,
@@ -36,12 +63,20 @@ export class MessageHandler {
     // Gerenciamento de mensagens
     this.messageQueue = [];
     this.pendingMessages = new Map();
+    this.streamingResponses = new Map(); // messageId -> conteúdo parcial
     this.messageIdCounter = 0;
+    this.historyMode = 'client'; // Definido pelo servidor na mensagem de conexão
+    this.profile = null; // Perfil de bot ativo (id, name, branding)
+    this.protocolVersion = null; // Versão do protocolo aceita pelo servidor
+    this.handoff = null; // Atendente humano que conduz a conversa ({ name }) ou null
+    this.visitor = null; // Visitante autenticado pelo authToken ({ userId, name }) ou null
 
     // Timers
     this.reconnectTimer = null;
     this.heartbeatTimer = null;
     this.messageTimeouts = new Map();
+    this.rateLimitTimer = null;
+    this.rateLimitedUntil = null; // Timestamp até o qual o servidor recusa novas mensagens
 
     // Event listeners
     this.eventListeners = new Map();
@@ -49,6 +84,12 @@ export class MessageHandler {
     // Inicializa gerenciador de histórico
     this.historyManager = new ConversationHistoryManager(this.config.historyConfig);
 
+    // Caixa de saída offline (IndexedDB), enviada pelo service worker se a aba fechar
+    this.outbox = this.config.offlineOutbox ? (config.outbox || new MessageOutbox()) : null;
+    this.handleServiceWorkerMessage = this.handleServiceWorkerMessage.bind(this);
+
+    this.pushSubscriber = this.config.pushNotifications ? (config.pushSubscriber || new PushSubscriber()) : null;
+
     this.init();
   }
 
@@ -57,7 +98,9 @@ export class MessageHandler {
    */
   init() {
     this.log('MessageHandler inicializado');
+    this.outbox?.options.serviceWorker?.addEventListener('message', this.handleServiceWorkerMessage);
     this.connect();
+    this.restoreOutbox();
   }
 
   /**
@@ -72,7 +115,7 @@ export class MessageHandler {
     this.log(`Conectando ao WebSocket: ${this.websocketUrl}`);
 
     try {
-      this.ws = new WebSocket(this.websocketUrl);
+      this.ws = new WebSocket(this.websocketUrl, this.getConnectionProtocols());
       this.setupWebSocketHandlers();
       
       // Timeout para conexão
@@ -133,7 +176,8 @@ export class MessageHandler {
     // Inicia heartbeat
     this.startHeartbeat();
 
-    // Processa fila de mensagens
+    // Reenvia os chats sem resposta da conexão anterior e depois a fila
+    this.resendPendingMessages();
     this.processMessageQueue();
 
     // Emite evento de conexão
@@ -156,12 +200,39 @@ export class MessageHandler {
         case 'connection':
           this.handleConnectionMessage(data);
           break;
+        case 'chat_delta':
+          this.handleChatDelta(data);
+          break;
+        case 'ack':
+          this.handleAck(data);
+          break;
         case 'chat_response':
           this.handleChatResponse(data);
           break;
         case 'chat_error':
           this.handleChatError(data);
           break;
+        case 'chat_cancelled':
+          this.handleChatCancelled(data);
+          break;
+        case 'chat_forwarded':
+          this.handleChatForwarded(data);
+          break;
+        case 'rate_limited':
+          this.handleRateLimited(data);
+          break;
+        case 'handoff':
+          this.handleHandoff(data);
+          break;
+        case 'history_sync':
+          this.handleHistorySync(data);
+          break;
+        case 'tool_call':
+          this.handleToolCall(data);
+          break;
+        case 'tool_result':
+          this.handleToolResult(data);
+          break;
         case 'typing':
           this.handleTypingIndicator(data);
           break;
@@ -180,12 +251,21 @@ export class MessageHandler {
         case 'session_reset':
           this.handleSessionReset(data);
           break;
+        case 'session_resumed':
+          this.handleSessionResumed(data);
+          break;
         case 'session_info':
           this.handleSessionInfo(data);
           break;
+        case 'conversation_history':
+          this.handleConversationHistory(data);
+          break;
         case 'session_error':
           this.handleSessionError(data);
           break;
+        case 'error':
+          this.handleProtocolError(data);
+          break;
         default:
           this.log('Tipo de mensagem desconhecido:', data.type);
           this.emit('unknownMessage', data);
@@ -208,6 +288,28 @@ export class MessageHandler {
     
     this.stopHeartbeat();
     this.clearMessageTimeouts();
+    this.streamingResponses.clear();
+
+    // Gerações já enviadas são interrompidas pelo servidor ao fechar a conexão: as mensagens
+    // sem resposta ficam em pendingMessages e são reenviadas uma vez na próxima conexão, com o
+    // mesmo messageId (o servidor ignora repetições), até maxResendAttempts
+    const willReconnect = event.code !== 1000 && this.reconnectAttempts < this.config.maxReconnectAttempts;
+    this.pendingMessages.forEach((pending, messageId) => {
+      // Ainda na fila: nunca saiu do navegador e é enviada ao reconectar
+      if (this.messageQueue.some(m => m.messageId === messageId)) return;
+
+      if (!willReconnect || !pending.payload) {
+        this.pendingMessages.delete(messageId);
+      } else if (pending.resends >= this.config.maxResendAttempts) {
+        this.pendingMessages.delete(messageId);
+        this.removeFromOutbox(messageId);
+        this.emit('messageTimeout', { messageId, timestamp: new Date().toISOString() });
+      } else {
+        pending.awaitingResend = true;
+        this.emitMessageStatus(messageId, 'sending');
+        this.saveToOutbox(this.createChatFrame(messageId, pending.payload));
+      }
+    });
 
     // Track WebSocket disconnection
     analytics.trackWebSocketMetrics('disconnect', {
@@ -317,6 +419,7 @@ export class MessageHandler {
       // Adiciona timeout para resposta se necessário
       if (message.type === 'chat') {
         this.addMessageTimeout(message.messageId);
+        this.emitMessageStatus(message.messageId, 'sent');
       }
 
       this.emit('messageSent', message);
@@ -328,6 +431,27 @@ export class MessageHandler {
     }
   }
 
+  /**
+   * Reenvia, uma vez por conexão, os chats enviados numa conexão que caiu antes da resposta
+   */
+  resendPendingMessages() {
+    this.pendingMessages.forEach((pending, messageId) => {
+      if (!pending.awaitingResend) return;
+
+      pending.awaitingResend = false;
+      pending.resends++;
+      this.log(`Reenviando mensagem sem resposta (${pending.resends}/${this.config.maxResendAttempts}):`, messageId);
+      this.sendMessageNow(this.createChatFrame(messageId, pending.payload));
+    });
+  }
+
+  /**
+   * Monta o frame de chat a partir do payload guardado em pendingMessages
+   */
+  createChatFrame(messageId, payload) {
+    return { type: 'chat', messageId, timestamp: new Date().toISOString(), ...payload };
+  }
+
   /**
    * Adiciona mensagem à fila
    */
@@ -340,6 +464,87 @@ export class MessageHandler {
 
     this.messageQueue.push(message);
     this.log(`Mensagem adicionada à fila (${this.messageQueue.length}/${this.config.queueMaxSize})`);
+
+    if (message.type === 'chat') {
+      this.emitMessageStatus(message.messageId, 'sending');
+      this.saveToOutbox(message);
+    }
+  }
+
+  /**
+   * Guarda o chat enfileirado na caixa de saída e pede o background sync:
+   * se a aba fechar antes de reconectar, o service worker o envia por HTTP
+   */
+  saveToOutbox(message) {
+    if (!this.outbox?.isAvailable) return;
+
+    this.outbox.put({
+      id: message.messageId,
+      endpoint: this.getChatApiUrl(),
+      body: { messageId: message.messageId, ...pickOutboxPayload(message) },
+      resumeToken: this.historyManager.resumeToken,
+      authToken: this.resolveAuthToken() || null,
+      createdAt: Date.now()
+    })
+      .then(() => this.outbox.requestSync())
+      .catch(error => this.log('Erro ao gravar na caixa de saída:', error));
+  }
+
+  /**
+   * Mensagem respondida (ou recusada) pelo servidor: sai da caixa de saída
+   */
+  removeFromOutbox(messageId) {
+    if (!this.outbox?.isAvailable || !messageId) return;
+
+    this.outbox.delete(messageId).catch(error => this.log('Erro ao limpar a caixa de saída:', error));
+  }
+
+  /**
+   * Reenvia as mensagens que ficaram na caixa de saída (aba fechada antes do envio)
+   */
+  async restoreOutbox() {
+    if (!this.outbox?.isAvailable) return;
+
+    try {
+      const entries = await this.outbox.getAll();
+      const restored = entries.filter(entry => !this.pendingMessages.has(entry.id));
+
+      restored.forEach(entry => {
+        const payload = pickOutboxPayload(entry.body);
+        this.pendingMessages.set(entry.id, { content: payload.content, payload, sentAt: entry.createdAt, resends: 0 });
+        this.sendMessage('chat', { ...payload, messageId: entry.id });
+      });
+
+      if (restored.length > 0) {
+        this.log(`📮 ${restored.length} mensagens restauradas da caixa de saída`);
+        this.emit('outboxRestored', {
+          messages: restored.map(entry => ({
+            messageId: entry.id,
+            content: entry.body.content,
+            createdAt: entry.createdAt
+          }))
+        });
+      }
+    } catch (error) {
+      this.log('Erro ao ler a caixa de saída:', error);
+    }
+  }
+
+  /**
+   * Mensagens do service worker:
+   * - OUTBOX_SYNCED: resposta de um chat da caixa de saída enviado enquanto a aba
+   *   estava sem WebSocket; vale só para mensagens ainda pendentes
+   * - OPEN_SESSION: clique numa notificação de resposta com a página já aberta
+   */
+  handleServiceWorkerMessage(event) {
+    const { type, messageId, response, sessionId } = event.data || {};
+    if (type === 'OPEN_SESSION') {
+      this.emit('openSession', { sessionId });
+      return;
+    }
+    if (type !== 'OUTBOX_SYNCED' || !response || !this.pendingMessages.has(messageId)) return;
+
+    this.handleMessage({ data: JSON.stringify(response) });
   }
 
   /**
@@ -360,15 +565,20 @@ export class MessageHandler {
 
   /**
    * Envia mensagem de chat com histórico
+   * @param {Object} options - { messageId, resend } o messageId é a chave de idempotência
+   *   no servidor: reenviar com o mesmo ID (resend) não gera uma segunda resposta
    */
-  sendChatMessage(content, sessionId = null) {
+  sendChatMessage(content, sessionId = null, options = {}) {
     this.log('📤 Enviando mensagem de chat:', content.substring(0, 50) + '...');
     
-    // Adiciona mensagem do usuário ao histórico
-    this.historyManager.addUserMessage(content);
+    // Adiciona mensagem do usuário ao histórico (no reenvio ela já está lá)
+    if (!options.resend) {
+      this.historyManager.addUserMessage(content);
+    }
     
-    // Prepara payload com histórico completo
-    const historyPayload = this.historyManager.prepareApiPayload();
+    // No modo server o backend mantém o histórico: envia só a mensagem nova
+    const isServerHistory = this.historyMode === 'server';
+    const historyPayload = isServerHistory ? [] : this.historyManager.prepareApiPayload();
     
     this.log('📤 Histórico preparado com', historyPayload.length, 'mensagens');
     this.log('📤 Payload completo:', JSON.stringify(historyPayload, null, 2));
@@ -381,12 +591,71 @@ export class MessageHandler {
       timestamp: Date.now()
     });
     
-    // Envia mensagem com histórico formatado
-    return this.sendMessage('chat', {
+    // Envia mensagem com histórico formatado (modo client) ou com o ID da
+    // última mensagem do servidor já vista (modo server)
+    const payload = isServerHistory ? {
+      content: content,
+      sessionId: this.historyManager.serverSessionId || this.historyManager.sessionId,
+      lastMessageId: this.historyManager.lastServerMessageId,
+      resumeToken: this.historyManager.resumeToken, // Religa a sessão se a mensagem sair antes do session_resume
+      profileId: this.config.profileId,
+      stream: this.config.enableStreaming
+    } : {
       content: content, // Inclui o conteúdo da mensagem
       sessionId: this.historyManager.sessionId,
-      history: historyPayload // Inclui histórico completo já formatado
+      history: historyPayload, // Inclui histórico completo já formatado
+      resumeToken: this.historyManager.resumeToken, // Exigido pelo servidor para sessões já existentes
+      profileId: this.config.profileId, // Perfil usado se o servidor criar a sessão
+      stream: this.config.enableStreaming // Solicita resposta token a token
+    };
+
+    // Registra geração em andamento até resposta, erro ou cancelamento
+    // (antes do envio: o status da mensagem é emitido ao enviar ou enfileirar)
+    const messageId = options.messageId || this.generateMessageId();
+    this.pendingMessages.set(messageId, {
+      content,
+      payload,
+      sentAt: Date.now(),
+      resends: 0
     });
+    this.sendMessage('chat', { ...payload, messageId });
+
+    return messageId;
+  }
+
+  /**
+   * Cancela uma geração em andamento (a mais recente se messageId não for informado)
+   */
+  cancelChat(messageId = null) {
+    const targetId = messageId || Array.from(this.pendingMessages.keys()).pop();
+    if (!targetId || !this.pendingMessages.has(targetId)) {
+      return null;
+    }
+
+    this.log('⏹️ Cancelando geração:', targetId);
+
+    // Mensagem ainda na fila: o servidor nunca a recebeu
+    const queuedIndex = this.messageQueue.findIndex(m => m.messageId === targetId);
+    if (queuedIndex > -1) {
+      this.messageQueue.splice(queuedIndex, 1);
+      this.handleChatCancelled({
+        messageId: targetId,
+        cancelled: true,
+        partialContent: '',
+        timestamp: new Date().toISOString()
+      });
+      return targetId;
+    }
+
+    this.sendMessage('chat_cancel', { messageId: targetId });
+    return targetId;
+  }
+
+  /**
+   * Indica se há alguma geração em andamento
+   */
+  isGenerating() {
+    return this.pendingMessages.size > 0;
   }
 
   /**
@@ -400,6 +669,7 @@ export class MessageHandler {
     
     return this.sendMessage('session_start', {
       sessionId,
+      profileId: this.config.profileId,
       context
     });
   }
@@ -423,15 +693,96 @@ export class MessageHandler {
   resetSession(context = {}) {
     this.log('🔄 Resetando sessão');
     
+    // A sessão do servidor é reaproveitada; o servidor limpa a transcrição dela
+    const serverSessionId = this.historyManager.serverSessionId;
+
     // Inicia nova sessão (que automaticamente limpa a anterior)
     const sessionId = this.historyManager.startNewSession(context);
     
     return this.sendMessage('session_reset', {
-      sessionId,
+      sessionId: serverSessionId || sessionId,
       context
     });
   }
 
+  /**
+   * Retoma a sessão do servidor com o token recebido ao criá-la; o servidor
+   * reenvia as respostas produzidas depois da última mensagem vista
+   */
+  resumeSession() {
+    const { serverSessionId, resumeToken, lastServerMessageId } = this.historyManager;
+    if (!serverSessionId || !resumeToken) {
+      return null;
+    }
+
+    this.log('🔁 Retomando sessão:', serverSessionId);
+
+    return this.sendMessage('session_resume', {
+      sessionId: serverSessionId,
+      resumeToken,
+      lastMessageId: lastServerMessageId
+    });
+  }
+
+  /**
+   * Pede ao servidor as conversas anteriores do visitante autenticado
+   */
+  requestConversationHistory() {
+    return this.sendMessage('conversation_history', {
+      sessionId: this.historyManager.serverSessionId
+    });
+  }
+
+  /**
+   * Subprotocolos do WebSocket: versão do protocolo e o authToken, lido a cada
+   * conexão (o site pode renovar o JWT)
+   */
+  getConnectionProtocols() {
+    const protocols = [`chatbot.v${PROTOCOL_VERSION}`];
+    const token = this.resolveAuthToken();
+    if (token) {
+      protocols.push(`${TOKEN_SUBPROTOCOL_PREFIX}${token}`);
+    }
+    return protocols;
+  }
+
+  resolveAuthToken() {
+    const { authToken } = this.config;
+    return typeof authToken === 'function' ? authToken() : authToken;
+  }
+
+  /**
+   * Endereço de uma rota HTTP do backend, derivado da URL do WebSocket
+   */
+  getApiUrl(path) {
+    const url = new URL(this.websocketUrl, typeof location !== 'undefined' ? location.href : undefined);
+    url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+    url.pathname = `${url.pathname.replace(/\/ws\/?$/, '')}${path}`;
+    url.search = '';
+    return url.toString();
+  }
+
+  /**
+   * Endereço do chat HTTP do backend (/api/chat)
+   */
+  getChatApiUrl() {
+    return this.getApiUrl('/api/chat');
+  }
+
+  /**
+   * Associa a assinatura de Web Push à sessão (a cada novo token de retomada)
+   */
+  subscribeToPush() {
+    const { serverSessionId, resumeToken } = this.historyManager;
+
+    this.pushSubscriber?.subscribe({
+      apiUrl: this.getApiUrl('/api/push'),
+      sessionId: serverSessionId,
+      resumeToken,
+      authToken: this.resolveAuthToken() || null
+    });
+  }
+
   /**
    * Envia ping
    */
@@ -500,6 +851,7 @@ export class MessageHandler {
   handleMessageTimeout(messageId) {
     this.log(`Timeout na mensagem: ${messageId}`);
     this.messageTimeouts.delete(messageId);
+    this.pendingMessages.delete(messageId);
     
     this.emit('messageTimeout', {
       messageId,
@@ -511,23 +863,163 @@ export class MessageHandler {
    * Handlers para tipos específicos de mensagem
    */
   handleConnectionMessage(data) {
+    this.protocolVersion = data.protocolVersion || PROTOCOL_VERSION;
+    // O servidor informa se mantém o histórico canônico (server) ou aceita o do cliente
+    this.historyMode = data.historyMode === 'server' ? 'server' : 'client';
+    this.updateProfile(data.profile);
+    this.visitor = data.visitor || null;
     this.emit('connectionMessage', data);
+
+    // Nova conexão (reconexão ou recarga da página): religa à sessão que já existia
+    this.resumeSession();
+
+    if (this.visitor) {
+      this.requestConversationHistory();
+    }
+  }
+
+  /**
+   * Registra o perfil de bot informado pelo servidor e notifica a troca
+   */
+  updateProfile(profile) {
+    if (!profile || (this.profile && this.profile.id === profile.id)) {
+      return;
+    }
+
+    this.log('🎨 Perfil de bot ativo:', profile.id);
+    this.profile = profile;
+    this.emit('profile', profile);
+  }
+
+  /**
+   * Reconcilia o histórico local com a transcrição canônica do servidor
+   */
+  handleHistorySync(data) {
+    this.log('🔄 Histórico divergente, sincronizando com o servidor:', data.reason);
+
+    this.historyManager.replaceMessages(data.messages || []);
+    this.historyManager.setServerState(data.sessionId, data.lastMessageId);
+
+    this.emit('historySync', {
+      sessionId: data.sessionId,
+      reason: data.reason,
+      messages: data.messages || [],
+      timestamp: data.timestamp
+    });
+  }
+
+  handleChatDelta(data) {
+    // Cada trecho recebido prova que a resposta está ativa: reinicia o timeout
+    this.removeMessageTimeout(data.messageId);
+    this.addMessageTimeout(data.messageId);
+
+    const content = (this.streamingResponses.get(data.messageId) || '') + (data.delta || '');
+    this.streamingResponses.set(data.messageId, content);
+
+    this.emit('chatDelta', {
+      messageId: data.messageId,
+      sessionId: data.sessionId,
+      delta: data.delta || '',
+      index: data.index,
+      content
+    });
+  }
+
+  /**
+   * Trata início de execução de ferramenta pelo assistente
+   */
+  handleToolCall(data) {
+    // Ferramentas podem demorar: a resposta continua ativa
+    this.removeMessageTimeout(data.messageId);
+    this.addMessageTimeout(data.messageId);
+
+    this.emit('toolCall', {
+      messageId: data.messageId,
+      sessionId: data.sessionId,
+      toolCallId: data.toolCallId,
+      name: data.name,
+      status: data.status,
+      timestamp: data.timestamp
+    });
+  }
+
+  /**
+   * Trata conclusão de execução de ferramenta
+   */
+  handleToolResult(data) {
+    this.removeMessageTimeout(data.messageId);
+    this.addMessageTimeout(data.messageId);
+
+    this.emit('toolResult', {
+      messageId: data.messageId,
+      sessionId: data.sessionId,
+      toolCallId: data.toolCallId,
+      name: data.name,
+      isError: data.isError === true,
+      duration: data.duration,
+      timestamp: data.timestamp
+    });
+  }
+
+  /**
+   * Servidor confirmou o recebimento da mensagem de chat
+   */
+  handleAck(data) {
+    // Repetição de mensagem ainda em processamento: a resposta virá da primeira tentativa
+    if (data.status === 'processing') {
+      this.removeMessageTimeout(data.messageId);
+      this.addMessageTimeout(data.messageId);
+    }
+
+    this.emitMessageStatus(data.messageId, 'delivered', { duplicate: data.duplicate === true });
+  }
+
+  /**
+   * Transição de status da mensagem do usuário: sending → sent → delivered
+   */
+  emitMessageStatus(messageId, status, details = {}) {
+    this.emit('messageStatus', {
+      messageId,
+      status,
+      ...details,
+      timestamp: new Date().toISOString()
+    });
   }
 
   handleChatResponse(data) {
+    // Resposta guardada reenviada pelo servidor para uma mensagem já respondida
+    if (data.duplicate && !this.pendingMessages.has(data.messageId)) {
+      this.log('Resposta repetida ignorada:', data.messageId);
+      return;
+    }
+
     console.log('📨 MessageHandler: handleChatResponse chamado com:', data);
     this.removeMessageTimeout(data.messageId);
+    this.streamingResponses.delete(data.messageId);
+    this.pendingMessages.delete(data.messageId);
+    this.removeFromOutbox(data.messageId);
     
     // Adiciona resposta do assistente ao histórico
     if (data.content) {
       this.historyManager.addAssistantMessage(data.content, {
         messageId: data.messageId,
+        serverMessageId: data.assistantMessageId,
+        from: data.from || 'bot',
+        agentName: data.agent?.name,
         usage: data.usage,
         model: data.metadata?.model,
         processingTime: data.metadata?.processingTime
       });
     }
     
+    this.updateServerHistoryState(data.sessionId, data.assistantMessageId || data.userMessageId);
+
+    // Sessão criada pela própria mensagem: o token de retomada vem junto da resposta
+    if (data.resumeToken) {
+      this.historyManager.setResumeToken(data.resumeToken);
+      this.subscribeToPush();
+    }
+
     // Processa e valida resposta MCP
     const processedResponse = this.processMCPResponse(data);
     console.log('📨 MessageHandler: processedResponse:', processedResponse);
@@ -535,14 +1027,193 @@ export class MessageHandler {
     this.emit('chatResponse', processedResponse);
   }
 
+  /**
+   * Erro de protocolo (frame inválido, tipo desconhecido): encerra a mensagem pendente, se houver
+   */
+  handleProtocolError(data) {
+    this.log('⚠️ Erro de protocolo:', data.code, data.message);
+
+    if (data.messageId && this.pendingMessages.has(data.messageId)) {
+      this.handleChatError(data);
+      return;
+    }
+
+    this.emit('protocolError', data);
+  }
+
   handleChatError(data) {
     this.removeMessageTimeout(data.messageId);
+    this.streamingResponses.delete(data.messageId);
+    this.pendingMessages.delete(data.messageId);
+    this.removeFromOutbox(data.messageId);
+    this.updateServerHistoryState(data.sessionId, data.userMessageId);
     
     // Processa erro com informações de retry
     const processedError = this.processChatError(data);
     this.emit('chatError', processedError);
   }
 
+  handleChatCancelled(data) {
+    this.removeMessageTimeout(data.messageId);
+    this.streamingResponses.delete(data.messageId);
+    this.pendingMessages.delete(data.messageId);
+    this.removeFromOutbox(data.messageId);
+
+    // Mantém no histórico o trecho já exibido, como o servidor faz
+    if (data.partialContent) {
+      this.historyManager.addAssistantMessage(data.partialContent, {
+        messageId: data.messageId,
+        serverMessageId: data.assistantMessageId,
+        cancelled: true
+      });
+    }
+
+    this.updateServerHistoryState(data.sessionId, data.assistantMessageId || data.userMessageId);
+
+    this.emit('typing', {
+      isTyping: false,
+      timestamp: data.timestamp || new Date().toISOString()
+    });
+
+    this.emit('chatCancelled', data);
+  }
+
+  /**
+   * Servidor recusou a mensagem por limite de frequência ou orçamento diário:
+   * encerra a geração pendente e inicia a contagem regressiva até retryAfter
+   */
+  handleRateLimited(data) {
+    this.removeMessageTimeout(data.messageId);
+    this.streamingResponses.delete(data.messageId);
+    this.pendingMessages.delete(data.messageId);
+
+    const retryAfter = Math.max(1, Math.ceil(data.retryAfter || 1));
+    this.rateLimitedUntil = Date.now() + retryAfter * 1000;
+
+    this.emit('typing', {
+      isTyping: false,
+      timestamp: data.timestamp || new Date().toISOString()
+    });
+
+    this.emit('rateLimited', {
+      messageId: data.messageId,
+      reason: data.reason,
+      scope: data.scope,
+      retryAfter,
+      displayMessage: this.getRateLimitMessage(data.reason, retryAfter),
+      timestamp: data.timestamp || new Date().toISOString()
+    });
+
+    this.startRateLimitCountdown(data.reason);
+  }
+
+  /**
+   * Emite rateLimitCountdown a cada segundo e rateLimitCleared ao chegar a zero
+   */
+  startRateLimitCountdown(reason) {
+    this.stopRateLimitCountdown();
+
+    this.rateLimitTimer = setInterval(() => {
+      const remaining = this.getRateLimitRemaining();
+
+      if (remaining <= 0) {
+        this.stopRateLimitCountdown();
+        this.rateLimitedUntil = null;
+        this.emit('rateLimitCleared', { reason });
+        return;
+      }
+
+      this.emit('rateLimitCountdown', {
+        reason,
+        remaining,
+        displayMessage: this.getRateLimitMessage(reason, remaining)
+      });
+    }, 1000);
+  }
+
+  stopRateLimitCountdown() {
+    if (this.rateLimitTimer) {
+      clearInterval(this.rateLimitTimer);
+      this.rateLimitTimer = null;
+    }
+  }
+
+  /**
+   * Segundos restantes até o servidor voltar a aceitar mensagens
+   */
+  getRateLimitRemaining() {
+    if (!this.rateLimitedUntil) {
+      return 0;
+    }
+    return Math.max(0, Math.ceil((this.rateLimitedUntil - Date.now()) / 1000));
+  }
+
+  isRateLimited() {
+    return this.getRateLimitRemaining() > 0;
+  }
+
+  /**
+   * Mensagem amigável com o tempo de espera
+   */
+  getRateLimitMessage(reason, seconds) {
+    if (reason === 'budget') {
+      return `O limite diário de uso foi atingido. Você poderá conversar novamente em ${this.formatWaitTime(seconds)}.`;
+    }
+    return `Você está enviando mensagens muito rápido. Aguarde ${this.formatWaitTime(seconds)} para enviar outra.`;
+  }
+
+  formatWaitTime(seconds) {
+    if (seconds < 60) {
+      return `${seconds}s`;
+    }
+
+    const totalMinutes = Math.ceil(seconds / 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+
+    if (hours === 0) {
+      return `${minutes} min`;
+    }
+    return minutes > 0 ? `${hours}h ${minutes}min` : `${hours}h`;
+  }
+
+  /**
+   * Mensagem entregue a um atendente humano: não haverá resposta da IA para ela
+   * (a resposta do atendente chega depois como chat_response com from: 'agent')
+   */
+  handleChatForwarded(data) {
+    this.removeMessageTimeout(data.messageId);
+    this.pendingMessages.delete(data.messageId);
+    this.removeFromOutbox(data.messageId);
+    this.updateServerHistoryState(data.sessionId, data.userMessageId);
+    this.emit('chatForwarded', data);
+  }
+
+  /**
+   * Início ou fim do atendimento humano na sessão
+   */
+  handleHandoff(data) {
+    this.handoff = data.active ? (data.agent || {}) : null;
+    this.log(data.active ? '🙋 Conversa assumida por atendente' : '🤖 Conversa devolvida ao assistente');
+
+    this.emit('handoff', {
+      sessionId: data.sessionId,
+      active: data.active === true,
+      agent: data.agent || null,
+      reason: data.reason,
+      message: data.message,
+      timestamp: data.timestamp
+    });
+  }
+
+  /**
+   * Avança a última mensagem do servidor vista pelo cliente
+   */
+  updateServerHistoryState(sessionId, lastMessageId) {
+    if (!lastMessageId) return;
+    this.historyManager.setServerState(sessionId, lastMessageId);
+  }
+
   handleTypingIndicator(data) {
     this.emit('typing', {
       isTyping: data.isTyping,
@@ -564,6 +1235,10 @@ export class MessageHandler {
 
   handleSessionStarted(data) {
     this.currentSessionId = data.sessionId;
+    this.historyManager.setServerState(data.sessionId, null);
+    this.historyManager.setResumeToken(data.resumeToken);
+    this.subscribeToPush();
+    this.updateProfile(data.profile);
     
     // Atualiza contexto no gerenciador de histórico se fornecido
     if (data.context) {
@@ -581,6 +1256,9 @@ export class MessageHandler {
   handleSessionReset(data) {
     // Limpa histórico atual
     this.historyManager.clearHistory();
+    this.historyManager.setServerState(data.sessionId, null);
+    this.historyManager.setResumeToken(data.resumeToken);
+    this.subscribeToPush();
     this.emit('sessionReset', data);
   }
 
@@ -589,11 +1267,69 @@ export class MessageHandler {
     if (data.context) {
       this.historyManager.updateSessionContext(data.context);
     }
+    this.updateProfile(data.profile);
     
     this.emit('sessionInfo', data);
   }
 
+  /**
+   * Conexão religada à sessão: reexibe as respostas perdidas enquanto estava desconectado
+   */
+  handleSessionResumed(data) {
+    this.log('🔁 Sessão retomada:', data.sessionId, `(${(data.messages || []).length} respostas pendentes)`);
+
+    this.historyManager.setResumeToken(data.resumeToken);
+    this.subscribeToPush();
+    this.updateProfile(data.profile);
+
+    (data.messages || []).forEach(message => {
+      this.handleChatResponse({
+        type: 'chat_response',
+        from: message.from,
+        agent: message.from === 'agent' ? { name: message.metadata?.agentName } : undefined,
+        content: message.content,
+        timestamp: message.timestamp,
+        sessionId: data.sessionId,
+        assistantMessageId: message.id,
+        sources: message.metadata?.sources || [],
+        replayed: true
+      });
+    });
+    this.historyManager.setServerState(data.sessionId, data.lastMessageId);
+
+    // Atendimento humano iniciado ou encerrado enquanto estava desconectado
+    if (Boolean(data.handoff) !== Boolean(this.handoff)) {
+      this.handleHandoff({
+        sessionId: data.sessionId,
+        active: Boolean(data.handoff),
+        agent: data.handoff?.agent,
+        timestamp: data.timestamp
+      });
+    }
+
+    this.emit('sessionResumed', data);
+  }
+
+  /**
+   * Conversas anteriores do visitante autenticado, da mais recente para a mais antiga
+   */
+  handleConversationHistory(data) {
+    this.emit('conversationHistory', {
+      userId: data.userId,
+      conversations: data.conversations || [],
+      timestamp: data.timestamp
+    });
+  }
+
   handleSessionError(data) {
+    // Token expirado ou inválido, ou sessão encerrada: a próxima mensagem cria uma nova sessão
+    if (data.requestType === 'session_resume') {
+      this.log('⚠️ Não foi possível retomar a sessão:', data.code);
+      this.historyManager.setResumeToken(null);
+      this.emit('sessionResumeFailed', data);
+      return;
+    }
+
     this.emit('sessionError', data);
   }
 
@@ -606,9 +1342,10 @@ export class MessageHandler {
       content: this.sanitizeResponseContent(data.content),
       usage: this.formatUsageInfo(data.usage),
       metadata: this.processMetadata(data.metadata),
+      sources: Array.isArray(data.sources) ? data.sources : [], // Fontes da base de conhecimento ([1], [2], ...)
       displayTimestamp: this.formatDisplayTimestamp(data.timestamp),
       responseTime: this.calculateResponseTime(data.metadata?.processingTime),
-      type: 'bot', // Marca como mensagem do bot
+      type: data.from === 'agent' ? 'agent' : 'bot', // Marca como mensagem do bot ou do atendente
       status: 'delivered'
     };
 
@@ -627,9 +1364,9 @@ export class MessageHandler {
   processChatError(data) {
     return {
       ...data,
-      displayMessage: this.getDisplayErrorMessage(data.message, data.errorCode),
+      displayMessage: this.getDisplayErrorMessage(data.message, data.code || data.errorCode),
       canRetry: data.retryable !== false,
-      retryDelay: this.getRetryDelay(data.errorCode),
+      retryDelay: this.getRetryDelay(data.code || data.errorCode),
       displayTimestamp: this.formatDisplayTimestamp(data.timestamp)
     };
   }
@@ -719,6 +1456,7 @@ export class MessageHandler {
       'TIMEOUT': 'A resposta demorou mais que o esperado. Tente novamente.',
       'SERVICE_UNAVAILABLE': 'Serviço temporariamente indisponível.',
       'INVALID_MESSAGE': 'Mensagem inválida. Verifique o formato.',
+      'INVALID_FRAME': 'Mensagem inválida. Verifique o formato.',
       'INTERNAL_ERROR': 'Erro interno. Tente novamente.'
     };
 
@@ -787,6 +1525,14 @@ export class MessageHandler {
     this.eventListeners.get(event).push(callback);
   }
 
+  once(event, callback) {
+    const listener = (data) => {
+      this.off(event, listener);
+      callback(data);
+    };
+    this.on(event, listener);
+  }
+
   off(event, callback) {
     if (this.eventListeners.has(event)) {
       const listeners = this.eventListeners.get(event);
@@ -799,7 +1545,8 @@ export class MessageHandler {
 
   emit(event, data) {
     if (this.eventListeners.has(event)) {
-      this.eventListeners.get(event).forEach(callback => {
+      // Cópia: listeners de once se removem durante o emit
+      this.eventListeners.get(event).slice().forEach(callback => {
         try {
           callback(data);
         } catch (error) {
@@ -952,6 +1699,7 @@ export class MessageHandler {
       lastConnectTime: this.lastConnectTime,
       queuedMessages: this.messageQueue.length,
       pendingMessages: this.pendingMessages.size,
+      streamingResponses: this.streamingResponses.size,
       activeTimeouts: this.messageTimeouts.size,
       // Informações do histórico
       currentSessionId: historyInfo.sessionId,
@@ -1005,6 +1753,7 @@ export class MessageHandler {
     }
 
     this.stopHeartbeat();
+    this.stopRateLimitCountdown();
     this.clearMessageTimeouts();
 
     if (this.ws) {
@@ -1022,9 +1771,11 @@ export class MessageHandler {
     this.log('Destruindo MessageHandler...');
     
     this.disconnect();
+    this.outbox?.options.serviceWorker?.removeEventListener('message', this.handleServiceWorkerMessage);
     this.eventListeners.clear();
     this.messageQueue = [];
     this.pendingMessages.clear();
+    this.streamingResponses.clear();
     
     // Finaliza sessão no gerenciador de histórico
     if (this.historyManager) {
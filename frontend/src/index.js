@@ -31,6 +31,8 @@ const config = {
   enableLogging: true,
   maxReconnectAttempts: 5,
   messageTimeout: 30000,
+  // Perfil de bot (tenant): definido pela página que embute o widget ou por ?profile=
+  profileId: window.CHATBOT_PROFILE_ID || new URLSearchParams(window.location.search).get('profile'),
   // Mobile optimizations
   enableTouchGestures: true,
   enablePerformanceOptimization: true,
@@ -460,15 +460,22 @@ export class AccessibilityManager {
    */
   setupMessageAnnouncements() {
     this.container.addEventListener('messageAdded', (e) => {
-      const { type, content } = e.detail;
+      const { type, content, isStreaming } = e.detail;
       
-      if (type === 'bot') {
+      // Respostas em streaming são anunciadas apenas quando concluídas
+      if (type === 'bot' && !isStreaming) {
         this.announce(`Nova mensagem do assistente: ${content}`);
       } else if (type === 'system') {
         this.announce(`Mensagem do sistema: ${content}`);
       }
     });
 
+    this.container.addEventListener('messageCompleted', (e) => {
+      if (e.detail?.type === 'bot') {
+        this.announce(`Nova mensagem do assistente: ${e.detail.content}`);
+      }
+    });
+
     // Announce typing indicator
     this.container.addEventListener('typingStarted', () => {
       this.announce('Assistente está digitando');
@@ -19,6 +19,11 @@ export class ConversationHistoryManager {
     this.messages = [];
     this.systemMessage = null;
     this.sessionContext = {};
+
+    // Estado do histórico canônico no servidor (modo server)
+    this.serverSessionId = null;
+    this.lastServerMessageId = null;
+    this.resumeToken = null; // Token para retomar a sessão do servidor após reconectar
     
     // Inicialização
     this.init();
@@ -51,6 +56,9 @@ export class ConversationHistoryManager {
     this.sessionId = this.generateSessionId();
     this.messages = [];
     this.sessionContext = { ...context };
+    this.serverSessionId = null;
+    this.lastServerMessageId = null;
+    this.resumeToken = null;
     
     // Gera system message baseado no contexto
     this.generateSystemMessage();
@@ -87,6 +95,40 @@ export class ConversationHistoryManager {
     return message;
   }
 
+  /**
+   * Registra a sessão do servidor e a última mensagem dela já vista pelo cliente
+   */
+  setServerState(serverSessionId, lastServerMessageId) {
+    if (serverSessionId) {
+      this.serverSessionId = serverSessionId;
+    }
+    this.lastServerMessageId = lastServerMessageId || null;
+    this.saveSession();
+  }
+
+  /**
+   * Guarda o token de retomada da sessão do servidor (null descarta o atual)
+   */
+  setResumeToken(resumeToken) {
+    this.resumeToken = resumeToken || null;
+    this.saveSession();
+  }
+
+  /**
+   * Substitui o histórico local pela transcrição canônica do servidor
+   */
+  replaceMessages(serverMessages = []) {
+    this.messages = serverMessages.map(msg => ({
+      ...this.createMessage(msg.role, msg.content || '', msg.metadata || {}),
+      id: msg.id,
+      timestamp: msg.timestamp || new Date().toISOString()
+    }));
+    this.saveSession();
+
+    this.log(`Histórico sincronizado com o servidor: ${this.messages.length} mensagens`);
+    return this.messages;
+  }
+
   /**
    * Cria objeto de mensagem padronizado
    */
@@ -243,6 +285,9 @@ export class ConversationHistoryManager {
         messages: this.messages,
         systemMessage: this.systemMessage,
         context: this.sessionContext,
+        serverSessionId: this.serverSessionId,
+        lastServerMessageId: this.lastServerMessageId,
+        resumeToken: this.resumeToken,
         createdAt: this.getSessionCreatedAt(),
         updatedAt: new Date().toISOString()
       };
@@ -278,6 +323,9 @@ export class ConversationHistoryManager {
       this.messages = sessionData.messages || [];
       this.systemMessage = sessionData.systemMessage;
       this.sessionContext = sessionData.context || {};
+      this.serverSessionId = sessionData.serverSessionId || null;
+      this.lastServerMessageId = sessionData.lastServerMessageId || null;
+      this.resumeToken = sessionData.resumeToken || null;
       
       this.log(`Sessão ${sessionId} carregada com ${this.messages.length} mensagens`);
       return true;
@@ -393,6 +441,8 @@ export class ConversationHistoryManager {
     this.messages = [];
     this.systemMessage = null;
     this.sessionContext = {};
+    this.serverSessionId = null;
+    this.lastServerMessageId = null;
   }
 
   /**
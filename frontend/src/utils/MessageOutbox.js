@@ -0,0 +1,119 @@
+/**
+ * Caixa de saída das mensagens de chat digitadas sem conexão, persistida no IndexedDB
+ *
+ * Compartilhada com o service worker (public/sw.js): no background sync `chat-messages`
+ * ele envia as entradas para POST /api/chat/send mesmo com a aba fechada.
+ * Nome do banco, stores e formato das entradas precisam ser os mesmos nos dois lados.
+ *
+ * Entrada: { id (messageId), endpoint, body, resumeToken, authToken, createdAt }
+ */
+export const OUTBOX_DB_NAME = 'chatbot-outbox';
+export const OUTBOX_DB_VERSION = 1;
+export const OUTBOX_STORE = 'messages';
+export const REPLIES_STORE = 'replies'; // Sessões aguardando resposta do atendente (uso do service worker)
+export const OUTBOX_SYNC_TAG = 'chat-messages';
+export const REPLIES_SYNC_TAG = 'chat-replies';
+
+export class MessageOutbox {
+  constructor(options = {}) {
+    this.options = {
+      indexedDB: options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null),
+      serviceWorker: options.serviceWorker ||
+        (typeof navigator !== 'undefined' && 'serviceWorker' in navigator ? navigator.serviceWorker : null),
+      repliesInterval: options.repliesInterval || 15 * 60 * 1000, // Periodic sync das respostas
+      ...options
+    };
+
+    this.dbPromise = null;
+  }
+
+  get isAvailable() {
+    return Boolean(this.options.indexedDB);
+  }
+
+  /**
+   * Abre (e cria na primeira vez) o banco da caixa de saída
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.options.indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+            db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains(REPLIES_STORE)) {
+            db.createObjectStore(REPLIES_STORE, { keyPath: 'sessionId' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        // Permite tentar de novo (ex.: IndexedDB bloqueado na navegação privada)
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  async transaction(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(OUTBOX_STORE, mode);
+      const request = operation(transaction.objectStore(OUTBOX_STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  put(entry) {
+    return this.transaction('readwrite', store => store.put(entry));
+  }
+
+  delete(messageId) {
+    return this.transaction('readwrite', store => store.delete(messageId));
+  }
+
+  /**
+   * Entradas pendentes, da mais antiga para a mais recente
+   */
+  async getAll() {
+    const entries = await this.transaction('readonly', store => store.getAll());
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Pede ao service worker o envio em segundo plano quando a rede voltar
+   * (e, se o navegador permitir, a consulta periódica das respostas do atendente)
+   * @returns {Promise<boolean>} false sem service worker ou sem Background Sync
+   */
+  async requestSync() {
+    const { serviceWorker } = this.options;
+    if (!serviceWorker) {
+      return false;
+    }
+
+    try {
+      const registration = await serviceWorker.getRegistration();
+      if (!registration?.sync) {
+        return false;
+      }
+
+      await registration.sync.register(OUTBOX_SYNC_TAG);
+      await registration.periodicSync?.register(REPLIES_SYNC_TAG, {
+        minInterval: this.options.repliesInterval
+      }).catch(() => {});
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+export default MessageOutbox;
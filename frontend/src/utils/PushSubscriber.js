@@ -0,0 +1,82 @@
+/**
+ * Assinatura de Web Push do widget: o backend (/api/push) notifica as respostas
+ * do atendente, as respostas da IA que chegam com o widget fechado e os lembretes
+ *
+ * Só assina com a permissão de notificações já concedida (o pedido fica com o
+ * PWAInstaller) e a cada nova sessão associa a assinatura do navegador a ela.
+ */
+export class PushSubscriber {
+  constructor(options = {}) {
+    this.options = {
+      serviceWorker: options.serviceWorker ||
+        (typeof navigator !== 'undefined' && 'serviceWorker' in navigator ? navigator.serviceWorker : null),
+      fetch: options.fetch || (typeof fetch !== 'undefined' ? fetch.bind(globalThis) : null),
+      ...options
+    };
+
+    this.sessionId = null; // Sessão já associada à assinatura atual
+  }
+
+  get isSupported() {
+    return Boolean(this.options.serviceWorker && this.options.fetch) &&
+      typeof Notification !== 'undefined' && Notification.permission === 'granted';
+  }
+
+  /**
+   * Assina (se ainda não houver assinatura) e associa à sessão
+   * @param {Object} params - { apiUrl (/api/push), sessionId, resumeToken, authToken }
+   * @returns {Promise<boolean>} true quando o backend registrou a assinatura
+   */
+  async subscribe({ apiUrl, sessionId, resumeToken, authToken = null }) {
+    if (!this.isSupported || !sessionId || !resumeToken || this.sessionId === sessionId) {
+      return false;
+    }
+
+    try {
+      const registration = await this.options.serviceWorker.getRegistration();
+      if (!registration?.pushManager) {
+        return false;
+      }
+
+      const headers = { 'Content-Type': 'application/json', 'X-Resume-Token': resumeToken };
+      if (authToken) {
+        headers.Authorization = `Bearer ${authToken}`;
+      }
+
+      let subscription = await registration.pushManager.getSubscription();
+      if (!subscription) {
+        // 503: backend sem chaves VAPID
+        const keyResponse = await this.options.fetch(`${apiUrl}/vapid-public-key`, { headers });
+        if (!keyResponse.ok) {
+          return false;
+        }
+
+        const { data } = await keyResponse.json();
+        subscription = await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: decodeBase64Url(data.publicKey)
+        });
+      }
+
+      const response = await this.options.fetch(`${apiUrl}/subscribe`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ subscription: subscription.toJSON(), sessionId })
+      });
+
+      if (response.ok) {
+        this.sessionId = sessionId;
+      }
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+function decodeBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+export default PushSubscriber;